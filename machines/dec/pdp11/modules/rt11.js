@@ -0,0 +1,566 @@
+/**
+ * @fileoverview RT-11 file system support for PDP-11 disk images
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+import Device   from "../../../modules/device.js";
+import DiskInfo from "../../../pcx86/modules/diskinfo.js";
+
+/**
+ * RT11Entry describes a directory entry on an RT-11 volume.
+ *
+ * @typedef {Object} RT11Entry
+ * @property {string} name (eg, "PIP.SAV"; empty for unused areas)
+ * @property {number} status (combination of RT11.STATUS values)
+ * @property {number} block (first block of the file or area)
+ * @property {number} length (length of the file or area, in blocks)
+ * @property {Date|null} date (creation date, if any)
+ * @property {number} segment (directory segment containing the entry)
+ */
+
+/**
+ * RT11Volume describes an RT-11 volume (see getVolume()).
+ *
+ * @typedef {Object} RT11Volume
+ * @property {string} format (one of the RT11.FORMATS keys)
+ * @property {number} nBlocks
+ * @property {number} blockDir (first block of the directory)
+ * @property {number} nSegments (number of directory segments allocated)
+ * @property {number} nSegmentsUsed (highest directory segment in use)
+ * @property {number} cbExtra (number of extra bytes per directory entry)
+ * @property {string} volumeID
+ * @property {string} ownerName
+ * @property {string} systemID
+ * @property {Array.<RT11Entry>} aEntries
+ */
+
+/**
+ * RT-11 volumes consist of 512-byte blocks, beginning with a boot block (block 0) and a home block (block 1),
+ * followed by a few blocks reserved for the monitor bootstrap, and then the directory (normally starting at block 6),
+ * which is divided into 2-block segments.  Each segment begins with a 5-word header, followed by a series of
+ * directory entries, the last of which is an end-of-segment marker.  Every file is contiguous, and the entries of a
+ * segment describe the files (and unused areas) of the volume in order, so a file's starting block is determined by
+ * adding up the lengths of all the entries that precede it in its segment, starting with the segment's first data block.
+ *
+ * This class reads and writes RT-11 volumes through a DiskInfo object, mapping blocks to the underlying sectors
+ * (including the interleaving that RT-11 uses for RX01 diskettes), so any disk image format that DiskInfo supports
+ * can be used.
+ *
+ * @class {RT11}
+ * @unrestricted
+ */
+export default class RT11 {
+    /**
+     * RT11(di)
+     *
+     * @this {RT11}
+     * @param {DiskInfo} di
+     */
+    constructor(di)
+    {
+        this.di = di;
+        this.device = di.device;
+        this.printf = this.device.printf.bind(this.device);
+        this.sprintf = this.device.sprintf.bind(this.device);
+        this.vol = null;
+    }
+
+    /**
+     * getFormat(cbDisk)
+     *
+     * @this {RT11}
+     * @param {number} cbDisk
+     * @returns {string|null} (one of the RT11.FORMATS keys, or null if the disk size isn't recognized)
+     */
+    getFormat(cbDisk)
+    {
+        for (let format in RT11.FORMATS) {
+            if (RT11.FORMATS[format].cbDisk == cbDisk) return format;
+        }
+        return null;
+    }
+
+    /**
+     * getBlockSectors(format, iBlock)
+     *
+     * Returns the (0-based) sector numbers that make up the specified block.  RX01 diskettes have 128-byte sectors,
+     * which RT-11 accesses as "logical" sectors, starting with track 1, using a 2:1 sector interleave and a 6-sector
+     * skew from one track to the next; RK05 and RL01/RL02 disks are simply accessed in sector order.
+     *
+     * @this {RT11}
+     * @param {string} format
+     * @param {number} iBlock
+     * @returns {Array.<number>}
+     */
+    getBlockSectors(format, iBlock)
+    {
+        let aSectors = [];
+        let info = RT11.FORMATS[format];
+        let nSectors = RT11.BLOCK_SIZE / info.cbSector;
+        for (let i = 0; i < nSectors; i++) {
+            let iSector = iBlock * nSectors + i;
+            if (info.nTrackSecs) {
+                let iTrack = (iSector / info.nTrackSecs) | 0;
+                iSector %= info.nTrackSecs;
+                iSector = (iSector * 2 + (iSector >= (info.nTrackSecs >> 1)? 1 : 0) + iTrack * 6) % info.nTrackSecs;
+                iSector += (iTrack + 1) * info.nTrackSecs;
+            }
+            aSectors.push(iSector);
+        }
+        return aSectors;
+    }
+
+    /**
+     * readBlock(iBlock, ab)
+     *
+     * Appends the contents of the specified block to the given array.
+     *
+     * @this {RT11}
+     * @param {number} iBlock
+     * @param {Array.<number>} [ab]
+     * @returns {Array.<number>|null}
+     */
+    readBlock(iBlock, ab = [])
+    {
+        let aSectors = this.getBlockSectors(this.vol.format, iBlock);
+        for (let i = 0; i < aSectors.length; i++) {
+            let sector = this.di.getSector(aSectors[i]);
+            if (!sector) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: unable to read block %d\n", this.di.getName(), iBlock);
+                return null;
+            }
+            for (let off = 0; off < this.di.cbSector; off++) {
+                ab.push(this.di.read(sector, off));
+            }
+        }
+        return ab;
+    }
+
+    /**
+     * getVolume()
+     *
+     * Reads the home block and the directory of the disk, returning null if the disk doesn't contain a (recognizable)
+     * RT-11 volume.
+     *
+     * @this {RT11}
+     * @returns {RT11Volume|null}
+     */
+    getVolume()
+    {
+        if (this.vol) return this.vol;
+        let format = this.getFormat(this.di.nCylinders * this.di.nHeads * this.di.nSectors * this.di.cbSector);
+        if (!format || this.di.cbSector != RT11.FORMATS[format].cbSector) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: unrecognized RT-11 disk geometry\n", this.di.getName());
+            return null;
+        }
+        this.vol = /** @type {RT11Volume} */ ({format, nBlocks: RT11.FORMATS[format].nBlocks, aEntries: []});
+        let abHome = this.readBlock(RT11.HOME.BLOCK);
+        if (abHome) {
+            let getWord = (ab, off) => ab[off] | (ab[off + 1] << 8);
+            let getString = (ab, off, len) => String.fromCharCode(...ab.slice(off, off + len)).trim();
+            this.vol.blockDir = getWord(abHome, RT11.HOME.DIR_BLOCK) || RT11.HOME.DIR_DEFAULT;
+            this.vol.volumeID = getString(abHome, RT11.HOME.VOLUME_ID, 12);
+            this.vol.ownerName = getString(abHome, RT11.HOME.OWNER_NAME, 12);
+            this.vol.systemID = getString(abHome, RT11.HOME.SYSTEM_ID, 12);
+            let iSegment = 1, nSegmentsRead = 0;
+            while (iSegment) {
+                let blockSegment = this.vol.blockDir + (iSegment - 1) * RT11.DIR.SEGMENT_BLOCKS;
+                let abSegment = this.readBlock(blockSegment);
+                if (!abSegment || !this.readBlock(blockSegment + 1, abSegment)) break;
+                let nSegments = getWord(abSegment, RT11.DIR.SEGMENTS);
+                let iSegmentNext = getWord(abSegment, RT11.DIR.NEXT);
+                let cbExtra = getWord(abSegment, RT11.DIR.EXTRA);
+                let block = getWord(abSegment, RT11.DIR.START);
+                if (iSegment == 1) {
+                    if (nSegments < 1 || nSegments > RT11.DIR.MAX_SEGMENTS || (cbExtra & 1) || block >= this.vol.nBlocks) {
+                        this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: no RT-11 directory found\n", this.di.getName());
+                        this.vol = null;
+                        return null;
+                    }
+                    this.vol.nSegments = nSegments;
+                    this.vol.nSegmentsUsed = getWord(abSegment, RT11.DIR.HIGHEST);
+                    this.vol.cbExtra = cbExtra;
+                }
+                let cbEntry = RT11.DIR.ENTRY_SIZE + cbExtra;
+                for (let off = RT11.DIR.HEADER_SIZE; off + RT11.DIR.ENTRY_SIZE <= abSegment.length; off += cbEntry) {
+                    let status = getWord(abSegment, off + RT11.ENTRY.STATUS);
+                    if (status & RT11.STATUS.EOS) break;
+                    let length = getWord(abSegment, off + RT11.ENTRY.LENGTH);
+                    let name = "";
+                    if (status & RT11.STATUS.PERM) {
+                        name = (RT11.fromRAD50(getWord(abSegment, off + RT11.ENTRY.NAME)) + RT11.fromRAD50(getWord(abSegment, off + RT11.ENTRY.NAME + 2))).trim() + "." + RT11.fromRAD50(getWord(abSegment, off + RT11.ENTRY.TYPE)).trim();
+                    }
+                    let date = this.getDate(getWord(abSegment, off + RT11.ENTRY.DATE));
+                    this.vol.aEntries.push({name, status, block, length, date, segment: iSegment});
+                    block += length;
+                }
+                /*
+                 * Guard against bogus segment links (which could otherwise send us around in circles).
+                 */
+                if (++nSegmentsRead >= this.vol.nSegments || iSegmentNext > this.vol.nSegments) break;
+                iSegment = iSegmentNext;
+            }
+        }
+        return this.vol;
+    }
+
+    /**
+     * getDate(wDate)
+     *
+     * Converts an RT-11 date word to a Date.  Bits 10-13 contain the month (1-12), bits 5-9 the day, and bits 0-4
+     * the year (relative to 1972); starting with RT-11 v5.5, bits 14-15 contain the "age" (ie, the number of 32-year
+     * periods to add to the year).
+     *
+     * @this {RT11}
+     * @param {number} wDate
+     * @returns {Date|null}
+     */
+    getDate(wDate)
+    {
+        let month = (wDate >> 10) & 0xf, day = (wDate >> 5) & 0x1f;
+        if (!month || month > 12 || !day) return null;
+        let year = 1972 + (wDate & 0x1f) + ((wDate >> 14) & 0x3) * 32;
+        return this.device.parseDate(year, month - 1, day, 0, 0, 0);
+    }
+
+    /**
+     * getDateWord(date)
+     *
+     * @this {RT11}
+     * @param {Date} date
+     * @returns {number}
+     */
+    getDateWord(date)
+    {
+        let year = date.getFullYear() - 1972;
+        if (year < 0 || year >= 128) return 0;
+        return ((year >> 5) << 14) | ((date.getMonth() + 1) << 10) | (date.getDate() << 5) | (year & 0x1f);
+    }
+
+    /**
+     * getListing()
+     *
+     * Returns a directory listing similar to the one produced by the RT-11 DIR command (with unused areas included).
+     *
+     * @this {RT11}
+     * @returns {string}
+     */
+    getListing()
+    {
+        let sListing = "";
+        let vol = this.getVolume();
+        if (vol) {
+            let nFiles = 0, nBlocks = 0, nFree = 0;
+            sListing += this.sprintf(" Volume ID: %s\n Owner    : %s\n\n", vol.volumeID, vol.ownerName);
+            for (let entry of vol.aEntries) {
+                let sDate = "";
+                if (entry.date) {
+                    sDate = this.sprintf("%02d-%s-%02d", entry.date.getUTCDate(), RT11.MONTHS[entry.date.getUTCMonth()], entry.date.getUTCFullYear() % 100);
+                }
+                if (entry.status & RT11.STATUS.PERM) {
+                    let [name, type] = entry.name.split('.');
+                    sListing += this.sprintf("%-6s.%-3s %5d%s %s\n", name, type, entry.length, (entry.status & RT11.STATUS.PROT)? "P" : " ", sDate);
+                    nFiles++;
+                    nBlocks += entry.length;
+                } else {
+                    sListing += this.sprintf("< UNUSED > %5d\n", entry.length);
+                    nFree += entry.length;
+                }
+            }
+            sListing += this.sprintf(" %d Files, %d Blocks\n %d Free blocks\n", nFiles, nBlocks, nFree);
+        }
+        return sListing;
+    }
+
+    /**
+     * findFile(name)
+     *
+     * @this {RT11}
+     * @param {string} name
+     * @returns {RT11Entry|null}
+     */
+    findFile(name)
+    {
+        let vol = this.getVolume();
+        if (vol) {
+            name = name.toUpperCase();
+            for (let entry of vol.aEntries) {
+                if ((entry.status & RT11.STATUS.PERM) && entry.name == name) return entry;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * readFile(entry)
+     *
+     * Returns the contents of the specified file; since RT-11 records file lengths in blocks, the contents always
+     * consist of whole blocks.
+     *
+     * @this {RT11}
+     * @param {RT11Entry} entry
+     * @returns {Array.<number>|null}
+     */
+    readFile(entry)
+    {
+        let ab = [];
+        for (let i = 0; i < entry.length; i++) {
+            if (!this.readBlock(entry.block + i, ab)) return null;
+        }
+        return ab;
+    }
+
+    /**
+     * buildDiskFromFiles(dbDisk, diskName, aFileData, format, nSegments)
+     *
+     * Builds an RT-11 volume from the given files (subdirectories are not supported, so any are skipped) and then
+     * builds the DiskInfo disk image from the volume.  Host file names are converted to upper-case and must be valid
+     * RT-11 file names (ie, up to 6 RAD50 characters, optionally followed by a period and up to 3 RAD50 characters).
+     *
+     * @this {RT11}
+     * @param {DataBuffer} dbDisk
+     * @param {string} diskName
+     * @param {Array.<FileData>} aFileData
+     * @param {string} format (one of the RT11.FORMATS keys)
+     * @param {number} [nSegments] (number of directory segments; the default depends on the format)
+     * @returns {boolean}
+     */
+    buildDiskFromFiles(dbDisk, diskName, aFileData, format, nSegments = 0)
+    {
+        let info = RT11.FORMATS[format];
+        if (!info) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: unrecognized RT-11 disk format (%s)\n", diskName, format);
+            return false;
+        }
+        if (!nSegments) nSegments = info.nSegments;
+        if (nSegments < 1 || nSegments > RT11.DIR.MAX_SEGMENTS) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: invalid number of directory segments (%d)\n", diskName, nSegments);
+            return false;
+        }
+
+        /*
+         * Collect the files, along with their RAD50 names, and make sure they (and their directory entries) fit.
+         */
+        let aFiles = [], asNames = [];
+        let blockData = RT11.HOME.DIR_DEFAULT + nSegments * RT11.DIR.SEGMENT_BLOCKS, nBlocks = 0;
+        for (let file of aFileData) {
+            if (file.attr & (DiskInfo.ATTR.SUBDIR | DiskInfo.ATTR.VOLUME)) {
+                if (file.attr & DiskInfo.ATTR.SUBDIR) {
+                    this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, "%s warning: RT-11 volumes don't support subdirectories; skipping %s\n", diskName, file.name);
+                }
+                continue;
+            }
+            let name = file.name.toUpperCase();
+            let match = name.match(/^([A-Z0-9$]{1,6})(?:\.([A-Z0-9$]{0,3}))?$/);
+            if (!match) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, "%s warning: %s is not a valid RT-11 file name; skipping\n", diskName, file.name);
+                continue;
+            }
+            name = match[1] + "." + (match[2] || "");
+            if (asNames.indexOf(name) >= 0) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, "%s warning: duplicate file name %s; skipping\n", diskName, name);
+                continue;
+            }
+            asNames.push(name);
+            let length = Math.ceil(file.size / RT11.BLOCK_SIZE);
+            aFiles.push({file, rad50: [RT11.toRAD50(match[1].substr(0, 3)), RT11.toRAD50(match[1].substr(3)), RT11.toRAD50(match[2] || "")], length});
+            nBlocks += length;
+        }
+        if (blockData + nBlocks > info.nBlocks) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: files (%d blocks) exceed volume capacity (%d blocks)\n", diskName, nBlocks, info.nBlocks - blockData);
+            return false;
+        }
+
+        /*
+         * I leave room for two entries (and the end-of-segment marker) in every segment, so that RT-11 can split
+         * an unused area without having to immediately split the segment as well.
+         */
+        let nEntriesPerSegment = Math.floor((RT11.DIR.SEGMENT_BLOCKS * RT11.BLOCK_SIZE - RT11.DIR.HEADER_SIZE - 2) / RT11.DIR.ENTRY_SIZE) - 2;
+        let nSegmentsUsed = Math.max(1, Math.ceil((aFiles.length + 1) / nEntriesPerSegment));
+        if (nSegmentsUsed > nSegments) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: too many files (%d) for %d directory segment(s)\n", diskName, aFiles.length, nSegments);
+            return false;
+        }
+
+        /*
+         * Now build the volume, block by block, using a flat array of bytes (in block order) for the directory and
+         * file data, which is then copied to the disk buffer, sector by sector (in physical order).
+         */
+        let ab = new Array(info.nBlocks * RT11.BLOCK_SIZE).fill(0);
+        let setWord = (off, w) => {
+            ab[off] = w & 0xff;
+            ab[off + 1] = (w >> 8) & 0xff;
+        };
+        let setString = (off, s, len) => {
+            for (let i = 0; i < len; i++) ab[off + i] = i < s.length? s.charCodeAt(i) : 0x20;
+        };
+        let offHome = RT11.HOME.BLOCK * RT11.BLOCK_SIZE;
+        setWord(offHome + RT11.HOME.CLUSTER_SIZE, 1);
+        setWord(offHome + RT11.HOME.DIR_BLOCK, RT11.HOME.DIR_DEFAULT);
+        setWord(offHome + RT11.HOME.VERSION, RT11.toRAD50("V3A"));
+        setString(offHome + RT11.HOME.VOLUME_ID, "RT11A", 12);
+        setString(offHome + RT11.HOME.OWNER_NAME, "", 12);
+        setString(offHome + RT11.HOME.SYSTEM_ID, "DECRT11A", 12);
+        let checksum = 0;
+        for (let off = 0; off < RT11.HOME.CHECKSUM; off += 2) {
+            checksum += ab[offHome + off] | (ab[offHome + off + 1] << 8);
+        }
+        setWord(offHome + RT11.HOME.CHECKSUM, checksum);
+
+        let iFile = 0, block = blockData;
+        for (let iSegment = 1; iSegment <= nSegmentsUsed; iSegment++) {
+            let offSegment = (RT11.HOME.DIR_DEFAULT + (iSegment - 1) * RT11.DIR.SEGMENT_BLOCKS) * RT11.BLOCK_SIZE;
+            setWord(offSegment + RT11.DIR.SEGMENTS, nSegments);
+            setWord(offSegment + RT11.DIR.NEXT, iSegment < nSegmentsUsed? iSegment + 1 : 0);
+            setWord(offSegment + RT11.DIR.HIGHEST, iSegment == 1? nSegmentsUsed : 0);
+            setWord(offSegment + RT11.DIR.EXTRA, 0);
+            setWord(offSegment + RT11.DIR.START, block);
+            let off = offSegment + RT11.DIR.HEADER_SIZE;
+            for (let nEntries = 0; nEntries < nEntriesPerSegment && iFile < aFiles.length; nEntries++) {
+                let {file, rad50, length} = aFiles[iFile++];
+                setWord(off + RT11.ENTRY.STATUS, RT11.STATUS.PERM);
+                setWord(off + RT11.ENTRY.NAME, rad50[0]);
+                setWord(off + RT11.ENTRY.NAME + 2, rad50[1]);
+                setWord(off + RT11.ENTRY.TYPE, rad50[2]);
+                setWord(off + RT11.ENTRY.LENGTH, length);
+                setWord(off + RT11.ENTRY.DATE, file.date? this.getDateWord(file.date) : 0);
+                for (let i = 0; i < file.size; i++) {
+                    ab[block * RT11.BLOCK_SIZE + i] = file.data.readUInt8(i);
+                }
+                block += length;
+                off += RT11.DIR.ENTRY_SIZE;
+            }
+            if (iSegment == nSegmentsUsed) {
+                setWord(off + RT11.ENTRY.STATUS, RT11.STATUS.MPTY);
+                setWord(off + RT11.ENTRY.NAME, RT11.toRAD50("EMP"));
+                setWord(off + RT11.ENTRY.NAME + 2, RT11.toRAD50("TY"));
+                setWord(off + RT11.ENTRY.TYPE, RT11.toRAD50("FIL"));
+                setWord(off + RT11.ENTRY.LENGTH, info.nBlocks - block);
+                off += RT11.DIR.ENTRY_SIZE;
+            }
+            setWord(off + RT11.ENTRY.STATUS, RT11.STATUS.EOS);
+        }
+
+        dbDisk.new(info.cbDisk);
+        dbDisk.fill(0);
+        for (let iBlock = 0; iBlock < info.nBlocks; iBlock++) {
+            let aSectors = this.getBlockSectors(format, iBlock);
+            for (let i = 0; i < aSectors.length; i++) {
+                let offDisk = aSectors[i] * info.cbSector, offBlock = iBlock * RT11.BLOCK_SIZE + i * info.cbSector;
+                for (let j = 0; j < info.cbSector; j++) {
+                    dbDisk.writeUInt8(ab[offBlock + j], offDisk + j);
+                }
+            }
+        }
+        this.di.diskName = diskName;
+        this.vol = null;
+        return this.di.buildDiskFromBuffer(dbDisk);
+    }
+
+    /**
+     * fromRAD50(w)
+     *
+     * @param {number} w
+     * @returns {string} (3 characters)
+     */
+    static fromRAD50(w)
+    {
+        let s = "";
+        for (let i = 0, n = 1600; i < 3; i++, n /= 40) {
+            s += RT11.RAD50.charAt(((w / n) | 0) % 40);
+        }
+        return s;
+    }
+
+    /**
+     * toRAD50(s)
+     *
+     * @param {string} s (up to 3 characters; any characters not in the RAD50 character set are treated as spaces)
+     * @returns {number}
+     */
+    static toRAD50(s)
+    {
+        let w = 0;
+        for (let i = 0; i < 3; i++) {
+            let c = RT11.RAD50.indexOf(s.charAt(i) || ' ');
+            w = w * 40 + (c < 0? 0 : c);
+        }
+        return w;
+    }
+}
+
+RT11.BLOCK_SIZE = 512;
+
+RT11.RAD50 = " ABCDEFGHIJKLMNOPQRSTUVWXYZ$.%0123456789";
+
+RT11.MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/*
+ * Supported disk formats, where nBlocks is the size of an RT-11 volume on the disk (which excludes, for example,
+ * track 0 of an RX01 diskette, the spare cylinders of an RK05 cartridge, and the last track of an RL01/RL02 cartridge,
+ * which contains the bad sector file), and nSegments is the default number of directory segments used by INITIALIZE.
+ */
+RT11.FORMATS = {
+    'rx01': {cbDisk: 256256,   cbSector: 128, nTrackSecs: 26, nBlocks: 494,   nSegments: 4},
+    'rk05': {cbDisk: 2494464,  cbSector: 512, nTrackSecs: 0,  nBlocks: 4800,  nSegments: 16},
+    'rl01': {cbDisk: 5242880,  cbSector: 256, nTrackSecs: 0,  nBlocks: 10220, nSegments: 16},
+    'rl02': {cbDisk: 10485760, cbSector: 256, nTrackSecs: 0,  nBlocks: 20460, nSegments: 31}
+};
+
+/*
+ * Home block offsets (these are traditionally given in octal).
+ */
+RT11.HOME = {
+    BLOCK:          1,
+    CLUSTER_SIZE:   0o722,          // pack cluster size (always 1)
+    DIR_BLOCK:      0o724,          // first block of the directory
+    DIR_DEFAULT:    6,
+    VERSION:        0o726,          // system version (RAD50)
+    VOLUME_ID:      0o730,          // volume identification (12 ASCII characters)
+    OWNER_NAME:     0o744,          // owner name (12 ASCII characters)
+    SYSTEM_ID:      0o760,          // system identification (12 ASCII characters)
+    CHECKSUM:       0o776           // sum of all preceding words
+};
+
+/*
+ * Directory segment header offsets.
+ */
+RT11.DIR = {
+    SEGMENTS:       0,              // total number of segments allocated
+    NEXT:           2,              // next segment (0 if none)
+    HIGHEST:        4,              // highest segment in use (first segment only)
+    EXTRA:          6,              // number of extra bytes per directory entry
+    START:          8,              // first data block described by the segment
+    HEADER_SIZE:    10,
+    ENTRY_SIZE:     14,             // size of a directory entry (not counting any extra bytes)
+    SEGMENT_BLOCKS: 2,
+    MAX_SEGMENTS:   31
+};
+
+/*
+ * Directory entry offsets.
+ */
+RT11.ENTRY = {
+    STATUS:         0,
+    NAME:           2,              // 2 words: 6 RAD50 characters
+    TYPE:           6,              // 1 word: 3 RAD50 characters
+    LENGTH:         8,              // length in blocks
+    JOB:            10,             // job and channel numbers (tentative files only)
+    DATE:           12              // creation date
+};
+
+/*
+ * Directory entry status bits.
+ */
+RT11.STATUS = {
+    TENT:           0o000400,       // tentative file
+    MPTY:           0o001000,       // unused area
+    PERM:           0o002000,       // permanent file
+    EOS:            0o004000,       // end-of-segment marker
+    READ:           0o040000,       // read-only file
+    PROT:           0o100000        // protected file
+};
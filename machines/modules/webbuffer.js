@@ -271,6 +271,18 @@ export default class DataBuffer {
         this.dv.setInt32(off, dw, true);
     }
 
+    /**
+     * writeUInt32BE(dw, off)
+     *
+     * @this {DataBuffer}
+     * @param {number} dw
+     * @param {number} off
+     */
+    writeUInt32BE(dw, off)
+    {
+        this.dv.setUint32(off, dw);
+    }
+
     /**
      * toString(format)
      *
@@ -0,0 +1,642 @@
+/**
+ * @fileoverview OS-65D disk support for OSI Challenger 1P disk images
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+import Device from "../../../modules/device.js";
+
+/**
+ * OS65DSector describes a sector, using the same properties that C1PDiskController.loadDisk() expects.
+ *
+ * @typedef {Object} OS65DSector
+ * @property {number} [sectorSig] (OS65D.SECTOR_SIG; absent for track 0)
+ * @property {number} sectorNum
+ * @property {number} sectorPages
+ * @property {string} [sectorEndSig] (OS65D.SECTOR_END_SIG; absent for track 0)
+ * @property {Array.<number>} sectorData
+ */
+
+/**
+ * OS65DTrack describes a track, using the same properties that C1PDiskController.loadDisk() expects.
+ *
+ * @typedef {Object} OS65DTrack
+ * @property {string} [trackSig] (OS65D.TRACK_SIG; absent for track 0)
+ * @property {number} trackNum (in binary, even though it's recorded on the disk in BCD)
+ * @property {number} [trackType] (OS65D.TRACK_TYPE; absent for track 0)
+ * @property {number} [trackLoad] (load address; track 0 only)
+ * @property {Array.<OS65DSector>} sectors
+ */
+
+/**
+ * OS65DEntry describes a directory entry on an OS-65D disk.
+ *
+ * @typedef {Object} OS65DEntry
+ * @property {number} index (of the entry within the directory)
+ * @property {string} name (eg, "BEXEC*")
+ * @property {number} trackFirst
+ * @property {number} trackLast
+ */
+
+/**
+ * OS-65D disks for the Challenger 1P are 5.25-inch single-sided diskettes with 40 tracks.  Track 0 is special:
+ * it contains only a 16-bit load address (high byte first), a page count, and the data that the boot ROM loads.
+ * Every other track begins with a header (a "CW" signature, the BCD track number, and a track type of 0x58),
+ * followed by one or more sectors, each of which begins with a sector header (0x76, the sector number, and a page
+ * count) and ends with a "GS" signature.  Most tracks contain a single 8-page sector, but the directory track
+ * contains two 1-page sectors, each of which contains 32 8-byte entries: a 6-character name, followed by the BCD
+ * numbers of the first and last tracks of the file.  Every file occupies a contiguous range of whole tracks.
+ *
+ * Disks are stored either in the JSON format that C1PDiskController.loadDisk() expects (an array of heads, each
+ * of which is an array of OS65DTrack objects) or as raw images (eg, ".65D" files), where every track occupies
+ * OS65D.TRACK_SIZE bytes.
+ *
+ * BASIC programs are saved as images of the BASIC workspace, beginning with a 5-byte header that records the start
+ * and end addresses of the program and the number of tracks it occupies, followed by the tokenized program itself.
+ * This class can convert those images to and from text, using the token table of OSI's Microsoft BASIC.
+ *
+ * @class {OS65D}
+ * @unrestricted
+ */
+export default class OS65D {
+    /**
+     * OS65D(device)
+     *
+     * @this {OS65D}
+     * @param {Device} device
+     */
+    constructor(device)
+    {
+        this.device = device;
+        this.printf = device.printf.bind(device);
+        this.sprintf = device.sprintf.bind(device);
+        this.aTracks = [];
+        this.trackDir = OS65D.DIR.TRACK;
+    }
+
+    /**
+     * buildDisk(nTracks)
+     *
+     * Builds a blank (but formatted) data disk, with an empty directory.
+     *
+     * @this {OS65D}
+     * @param {number} [nTracks]
+     */
+    buildDisk(nTracks = OS65D.TRACKS)
+    {
+        this.aTracks = [{trackNum: 0, trackLoad: OS65D.BOOT_LOAD, sectors: [{sectorNum: 1, sectorPages: 0, sectorData: []}]}];
+        for (let iTrack = 1; iTrack < nTracks; iTrack++) {
+            if (iTrack == this.trackDir) {
+                let aEntries = [];
+                for (let i = 0; i < OS65D.DIR.ENTRIES; i++) {
+                    aEntries.push({index: i, name: "", trackFirst: 0, trackLast: 0});
+                }
+                this.aTracks.push(this.newTrack(iTrack, 2, OS65D.DIR.SECTOR_PAGES));
+                this.setDirectory(aEntries);
+                continue;
+            }
+            this.aTracks.push(this.newTrack(iTrack));
+        }
+    }
+
+    /**
+     * newTrack(iTrack, nSectors, nPages)
+     *
+     * @this {OS65D}
+     * @param {number} iTrack
+     * @param {number} [nSectors]
+     * @param {number} [nPages] (per sector)
+     * @returns {OS65DTrack}
+     */
+    newTrack(iTrack, nSectors = 1, nPages = OS65D.TRACK_PAGES)
+    {
+        let track = {trackSig: OS65D.TRACK_SIG, trackNum: iTrack, trackType: OS65D.TRACK_TYPE, sectors: []};
+        for (let iSector = 1; iSector <= nSectors; iSector++) {
+            track.sectors.push({sectorSig: OS65D.SECTOR_SIG, sectorNum: iSector, sectorPages: nPages, sectorEndSig: OS65D.SECTOR_END_SIG, sectorData: new Array(nPages * 256).fill(0)});
+        }
+        return track;
+    }
+
+    /**
+     * loadImage(data)
+     *
+     * Loads either a JSON disk image (as a string or as an already-parsed array of heads) or a raw disk image.
+     * Raw images are decoded track by track, stopping at the first track that isn't formatted.
+     *
+     * @this {OS65D}
+     * @param {string|Array|Buffer|Uint8Array} data
+     * @returns {boolean}
+     */
+    loadImage(data)
+    {
+        this.aTracks = [];
+        if (typeof data == "string" || Array.isArray(data)) {
+            let aHeads;
+            try {
+                aHeads = typeof data == "string"? JSON.parse(data) : data;
+            } catch(err) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "OS-65D error: %s\n", err.message);
+                return false;
+            }
+            if (!Array.isArray(aHeads) || !Array.isArray(aHeads[0]) || !aHeads[0].length || aHeads[0][0].trackNum === undefined) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "OS-65D error: unrecognized disk data\n");
+                return false;
+            }
+            for (let track of aHeads[0]) this.aTracks[track.trackNum] = track;
+            return true;
+        }
+        for (let off = 0, iTrack = 0; off < data.length; off += OS65D.TRACK_SIZE, iTrack++) {
+            let track = this.decodeTrack(data, off, iTrack);
+            if (!track) break;
+            this.aTracks.push(track);
+        }
+        if (!this.aTracks.length) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "OS-65D error: unrecognized disk data\n");
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * decodeTrack(data, off, iTrack)
+     *
+     * @this {OS65D}
+     * @param {Buffer|Uint8Array} data
+     * @param {number} off
+     * @param {number} iTrack
+     * @returns {OS65DTrack|null}
+     */
+    decodeTrack(data, off, iTrack)
+    {
+        let end = Math.min(off + OS65D.TRACK_SIZE, data.length);
+        let getData = (pos, nPages) => Array.from(data.slice(pos, pos + nPages * 256));
+        if (!iTrack) {
+            let nPages = data[off + 2];
+            return {trackNum: 0, trackLoad: (data[off] << 8) | data[off + 1], sectors: [{sectorNum: 1, sectorPages: nPages, sectorData: getData(off + 3, nPages)}]};
+        }
+        if (data[off] != OS65D.TRACK_SIG.charCodeAt(0) || data[off + 1] != OS65D.TRACK_SIG.charCodeAt(1)) {
+            return null;
+        }
+        let trackNum = OS65D.fromBCD(data[off + 2]);
+        if (trackNum != iTrack) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, "OS-65D warning: track %d is numbered %d\n", iTrack, trackNum);
+        }
+        let track = {trackSig: OS65D.TRACK_SIG, trackNum: iTrack, trackType: data[off + 3], sectors: []};
+        let pos = off + 4;
+        while (pos + 5 <= end && data[pos] == OS65D.SECTOR_SIG) {
+            let nPages = data[pos + 2];
+            let posEnd = pos + 3 + nPages * 256;
+            if (posEnd + 2 > end) break;
+            track.sectors.push({
+                sectorSig: OS65D.SECTOR_SIG, sectorNum: data[pos + 1], sectorPages: nPages,
+                sectorEndSig: String.fromCharCode(data[posEnd], data[posEnd + 1]), sectorData: getData(pos + 3, nPages)
+            });
+            pos = posEnd + 2;
+        }
+        return track;
+    }
+
+    /**
+     * getImage()
+     *
+     * Returns the disk as a raw image, with every track padded to OS65D.TRACK_SIZE bytes.
+     *
+     * @this {OS65D}
+     * @returns {Uint8Array}
+     */
+    getImage()
+    {
+        let ab = new Uint8Array(this.aTracks.length * OS65D.TRACK_SIZE);
+        for (let iTrack = 0; iTrack < this.aTracks.length; iTrack++) {
+            let track = this.aTracks[iTrack];
+            if (!track) continue;
+            let off = iTrack * OS65D.TRACK_SIZE, a = [];
+            if (!iTrack) {
+                let sector = track.sectors[0];
+                a.push((track.trackLoad >> 8) & 0xff, track.trackLoad & 0xff, sector.sectorPages, ...sector.sectorData);
+            } else {
+                a.push(track.trackSig.charCodeAt(0), track.trackSig.charCodeAt(1), OS65D.toBCD(iTrack), track.trackType);
+                for (let sector of track.sectors) {
+                    a.push(sector.sectorSig, sector.sectorNum, sector.sectorPages, ...sector.sectorData);
+                    a.push(sector.sectorEndSig.charCodeAt(0), sector.sectorEndSig.charCodeAt(1));
+                }
+            }
+            ab.set(a.slice(0, OS65D.TRACK_SIZE), off);
+        }
+        return ab;
+    }
+
+    /**
+     * getJSON()
+     *
+     * Returns the disk in the JSON format that C1PDiskController.loadDisk() expects.
+     *
+     * @this {OS65D}
+     * @returns {string}
+     */
+    getJSON()
+    {
+        let asTracks = [];
+        for (let track of this.aTracks) {
+            if (track) asTracks.push(JSON.stringify(track));
+        }
+        return "[[\n" + asTracks.join(",\n") + "\n]]\n";
+    }
+
+    /**
+     * getTrackData(iTrack)
+     *
+     * @this {OS65D}
+     * @param {number} iTrack
+     * @returns {Array.<number>|null} (the data of all the track's sectors, or null if the track doesn't exist)
+     */
+    getTrackData(iTrack)
+    {
+        let track = this.aTracks[iTrack];
+        if (!track) return null;
+        let ab = [];
+        for (let sector of track.sectors) ab.push(...sector.sectorData);
+        return ab;
+    }
+
+    /**
+     * getDirectory()
+     *
+     * @this {OS65D}
+     * @returns {Array.<OS65DEntry>|null} (all the directory's entries, including unused entries, or null if none)
+     */
+    getDirectory()
+    {
+        let track = this.aTracks[this.trackDir];
+        if (!track) return null;
+        let aEntries = [];
+        for (let iSector = 1; iSector <= 2; iSector++) {
+            let sector = track.sectors.find((s) => s.sectorNum == iSector);
+            if (!sector || sector.sectorData.length < OS65D.DIR.SECTOR_PAGES * 256) return null;
+            let ab = sector.sectorData;
+            for (let off = 0; off < OS65D.DIR.SECTOR_PAGES * 256; off += OS65D.DIR.ENTRY_SIZE) {
+                let name = String.fromCharCode(...ab.slice(off, off + OS65D.DIR.NAME_LENGTH));
+                /*
+                 * Unused entries are filled with '#' characters, but I also treat names that begin with a blank or
+                 * a non-printable character as unused, since those can't have been created by OS-65D either.
+                 */
+                if (name[0] == '#' || name.charCodeAt(0) <= 0x20 || name.charCodeAt(0) >= 0x7f) name = "";
+                aEntries.push({index: aEntries.length, name: name.trimEnd(), trackFirst: OS65D.fromBCD(ab[off + 6]), trackLast: OS65D.fromBCD(ab[off + 7])});
+            }
+        }
+        return aEntries;
+    }
+
+    /**
+     * setDirectory(aEntries)
+     *
+     * @this {OS65D}
+     * @param {Array.<OS65DEntry>} aEntries
+     */
+    setDirectory(aEntries)
+    {
+        let track = this.aTracks[this.trackDir];
+        let nPerSector = OS65D.DIR.SECTOR_PAGES * 256 / OS65D.DIR.ENTRY_SIZE;
+        for (let entry of aEntries) {
+            let sector = track.sectors.find((s) => s.sectorNum == Math.floor(entry.index / nPerSector) + 1);
+            let off = (entry.index % nPerSector) * OS65D.DIR.ENTRY_SIZE;
+            let name = entry.name? entry.name.padEnd(OS65D.DIR.NAME_LENGTH) : "#".repeat(OS65D.DIR.NAME_LENGTH);
+            for (let i = 0; i < OS65D.DIR.NAME_LENGTH; i++) sector.sectorData[off + i] = name.charCodeAt(i);
+            sector.sectorData[off + 6] = OS65D.toBCD(entry.name? entry.trackFirst : 0);
+            sector.sectorData[off + 7] = OS65D.toBCD(entry.name? entry.trackLast : 0);
+        }
+    }
+
+    /**
+     * getListing()
+     *
+     * @this {OS65D}
+     * @returns {string}
+     */
+    getListing()
+    {
+        let aEntries = this.getDirectory();
+        if (!aEntries) return "no OS-65D directory found\n";
+        let sListing = "", nFiles = 0;
+        for (let entry of aEntries) {
+            if (!entry.name) continue;
+            let sType = "";
+            let ab = this.readFile(entry);
+            if (ab && OS65D.isBASIC(ab)) sType = this.sprintf("BASIC %d bytes", OS65D.getBASICEnd(ab) - OS65D.BASIC.START);
+            sListing += this.sprintf("%-6s  %02d-%02d  %s\n", entry.name, entry.trackFirst, entry.trackLast, sType);
+            nFiles++;
+        }
+        let nFree = this.getFreeTracks(aEntries).length;
+        sListing += this.sprintf("%d file(s), %d free track(s)\n", nFiles, nFree);
+        return sListing;
+    }
+
+    /**
+     * getFreeTracks(aEntries)
+     *
+     * Only tracks above the directory track are considered, since the tracks below it are reserved for OS-65D
+     * itself (and BASIC), whether or not the directory says so.
+     *
+     * @this {OS65D}
+     * @param {Array.<OS65DEntry>} aEntries
+     * @returns {Array.<number>}
+     */
+    getFreeTracks(aEntries)
+    {
+        let aFree = [];
+        for (let iTrack = this.trackDir + 1; iTrack < this.aTracks.length; iTrack++) {
+            if (!this.aTracks[iTrack]) continue;
+            if (aEntries.some((entry) => entry.name && iTrack >= entry.trackFirst && iTrack <= entry.trackLast)) continue;
+            aFree.push(iTrack);
+        }
+        return aFree;
+    }
+
+    /**
+     * findFile(name)
+     *
+     * @this {OS65D}
+     * @param {string} name
+     * @returns {OS65DEntry|null}
+     */
+    findFile(name)
+    {
+        let aEntries = this.getDirectory() || [];
+        name = name.toUpperCase();
+        return aEntries.find((entry) => entry.name && entry.name == name) || null;
+    }
+
+    /**
+     * readFile(entry)
+     *
+     * Returns the contents of the specified file; since OS-65D allocates whole tracks, the contents always consist
+     * of whole tracks.
+     *
+     * @this {OS65D}
+     * @param {OS65DEntry} entry
+     * @returns {Array.<number>|null}
+     */
+    readFile(entry)
+    {
+        let ab = [];
+        for (let iTrack = entry.trackFirst; iTrack <= entry.trackLast; iTrack++) {
+            let abTrack = this.getTrackData(iTrack);
+            if (!abTrack) return null;
+            ab.push(...abTrack);
+        }
+        return ab;
+    }
+
+    /**
+     * writeFile(name, ab)
+     *
+     * Writes the given data to the first contiguous range of free tracks large enough to hold it, and adds
+     * a directory entry for it (replacing any existing file with the same name).
+     *
+     * @this {OS65D}
+     * @param {string} name
+     * @param {Array.<number>} ab
+     * @returns {OS65DEntry|null}
+     */
+    writeFile(name, ab)
+    {
+        name = name.toUpperCase();
+        if (!name.match(/^[\x21-\x7e]{1,6}$/) || name[0] == '#') {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "OS-65D error: invalid file name \"%s\"\n", name);
+            return null;
+        }
+        let aEntries = this.getDirectory();
+        if (!aEntries) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "OS-65D error: no directory found\n");
+            return null;
+        }
+        let entry = aEntries.find((e) => e.name == name);
+        if (entry) entry.name = "";
+        if (!entry) entry = aEntries.find((e) => !e.name);
+        if (!entry) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "OS-65D error: directory full\n");
+            return null;
+        }
+        let cbTrack = OS65D.TRACK_PAGES * 256;
+        let nTracks = Math.max(1, Math.ceil(ab.length / cbTrack));
+        let aFree = this.getFreeTracks(aEntries), trackFirst = -1;
+        for (let i = 0; i + nTracks <= aFree.length; i++) {
+            if (aFree[i + nTracks - 1] - aFree[i] == nTracks - 1) {
+                trackFirst = aFree[i];
+                break;
+            }
+        }
+        if (trackFirst < 0) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "OS-65D error: no room for %s (%d track(s))\n", name, nTracks);
+            return null;
+        }
+        for (let i = 0; i < nTracks; i++) {
+            let track = this.newTrack(trackFirst + i);
+            let abTrack = ab.slice(i * cbTrack, (i + 1) * cbTrack);
+            for (let j = 0; j < abTrack.length; j++) track.sectors[0].sectorData[j] = abTrack[j];
+            this.aTracks[trackFirst + i] = track;
+        }
+        entry.name = name;
+        entry.trackFirst = trackFirst;
+        entry.trackLast = trackFirst + nTracks - 1;
+        this.setDirectory(aEntries);
+        return entry;
+    }
+
+    /**
+     * fromBCD(b)
+     *
+     * @param {number} b
+     * @returns {number}
+     */
+    static fromBCD(b)
+    {
+        return (b >> 4) * 10 + (b & 0xf);
+    }
+
+    /**
+     * toBCD(n)
+     *
+     * @param {number} n
+     * @returns {number}
+     */
+    static toBCD(n)
+    {
+        return (Math.floor(n / 10) << 4) | (n % 10);
+    }
+
+    /**
+     * isBASIC(ab)
+     *
+     * @param {Array.<number>} ab (file contents)
+     * @returns {boolean} (true if the header describes a BASIC program that fits within the file)
+     */
+    static isBASIC(ab)
+    {
+        if (ab.length < OS65D.BASIC.HEADER_SIZE) return false;
+        let start = ab[0] | (ab[1] << 8), end = OS65D.getBASICEnd(ab);
+        return start == OS65D.BASIC.START && end > start && end - OS65D.BASIC.LOAD <= ab.length && ab[4] == Math.ceil((end - OS65D.BASIC.LOAD) / (OS65D.TRACK_PAGES * 256));
+    }
+
+    /**
+     * getBASICEnd(ab)
+     *
+     * @param {Array.<number>} ab (file contents)
+     * @returns {number} (end address of the BASIC program, from the header)
+     */
+    static getBASICEnd(ab)
+    {
+        return ab[2] | (ab[3] << 8);
+    }
+
+    /**
+     * detokenize(ab)
+     *
+     * Converts a BASIC file to text, one line per program line.  Any bytes that don't correspond to known tokens
+     * are converted to "{$xx}", which tokenize() converts back again.
+     *
+     * @param {Array.<number>} ab (file contents)
+     * @returns {string}
+     */
+    static detokenize(ab)
+    {
+        let sText = "";
+        let end = OS65D.getBASICEnd(ab) - OS65D.BASIC.LOAD;
+        let off = OS65D.BASIC.START - OS65D.BASIC.LOAD;
+        while (off + 4 <= end) {
+            let next = ab[off] | (ab[off + 1] << 8);
+            if (!next) break;
+            let sLine = (ab[off + 2] | (ab[off + 3] << 8)) + " ";
+            for (off += 4; off < end && ab[off]; off++) {
+                let b = ab[off];
+                if (b >= 0x80) {
+                    sLine += OS65D.BASIC.TOKENS[b - 0x80] || "{$" + b.toString(16) + "}";
+                } else if (b < 0x20 || b == 0x7f) {
+                    sLine += "{$" + b.toString(16).padStart(2, '0') + "}";
+                } else {
+                    sLine += String.fromCharCode(b);
+                }
+            }
+            sText += sLine + "\n";
+            off = next - OS65D.BASIC.LOAD;
+        }
+        return sText;
+    }
+
+    /**
+     * tokenize(sText, aErrors)
+     *
+     * Converts BASIC program text to a BASIC file, the same way that BASIC does as each line is entered:
+     * keywords are converted to tokens, except within strings, REM statements, and DATA statements, and
+     * everything else is stored as-is (including spaces).  Lines are sorted by line number, and if the same line
+     * number appears more than once, the last one wins.
+     *
+     * @param {string} sText
+     * @param {Array.<string>} [aErrors] (receives a description of every line that couldn't be converted)
+     * @returns {Array.<number>}
+     */
+    static tokenize(sText, aErrors = [])
+    {
+        let aLines = [];
+        let asLines = sText.split(/\r?\n|\r/);
+        for (let i = 0; i < asLines.length; i++) {
+            let sLine = asLines[i].trim();
+            if (!sLine) continue;
+            let match = sLine.match(/^(\d+)\s*(.*)$/);
+            if (!match || +match[1] > OS65D.BASIC.MAX_LINE) {
+                aErrors.push("line " + (i + 1) + ": missing or invalid line number");
+                continue;
+            }
+            let lineNum = +match[1], s = match[2], ab = [];
+            let fQuote = false, fData = false, fRem = false;
+            for (let j = 0; j < s.length;) {
+                let ch = s[j];
+                let b = s.charCodeAt(j);
+                match = s.substr(j).match(/^{\$([0-9a-f]{2})}/i);
+                if (match) {
+                    ab.push(parseInt(match[1], 16));
+                    j += match[0].length;
+                    continue;
+                }
+                if (!fRem && ch == '"') fQuote = !fQuote;
+                if (!fRem && !fQuote) {
+                    if (ch == ':') fData = false;
+                    if (!fData) {
+                        let sUpper = s.substr(j).toUpperCase();
+                        let t = OS65D.BASIC.TOKENS.findIndex((sToken) => sUpper.startsWith(sToken));
+                        if (t >= 0) {
+                            ab.push(0x80 + t);
+                            j += OS65D.BASIC.TOKENS[t].length;
+                            if (OS65D.BASIC.TOKENS[t] == "REM") fRem = true;
+                            if (OS65D.BASIC.TOKENS[t] == "DATA") fData = true;
+                            continue;
+                        }
+                        b = ch.toUpperCase().charCodeAt(0);
+                    }
+                }
+                ab.push(b > 0xff? 0x3f : b);
+                j++;
+            }
+            aLines[lineNum] = ab;
+        }
+        let ab = [0, 0, 0, 0, 0];
+        let addr = OS65D.BASIC.START;
+        aLines.forEach((abLine, lineNum) => {
+            addr += abLine.length + 5;
+            ab.push(addr & 0xff, addr >> 8, lineNum & 0xff, lineNum >> 8, ...abLine, 0);
+        });
+        ab.push(0, 0);
+        addr += 2;
+        ab[0] = OS65D.BASIC.START & 0xff;
+        ab[1] = OS65D.BASIC.START >> 8;
+        ab[2] = addr & 0xff;
+        ab[3] = addr >> 8;
+        ab[4] = Math.ceil(ab.length / (OS65D.TRACK_PAGES * 256));
+        return ab;
+    }
+}
+
+OS65D.TRACKS = 40;
+OS65D.TRACK_SIZE = 0x900;           // size of every track in a raw disk image
+OS65D.TRACK_PAGES = 8;              // number of pages in a (single-sector) data track
+OS65D.TRACK_SIG = "CW";
+OS65D.TRACK_TYPE = 0x58;
+OS65D.SECTOR_SIG = 0x76;
+OS65D.SECTOR_END_SIG = "GS";
+OS65D.BOOT_LOAD = 0x2200;           // load address of track 0
+
+/*
+ * The directory occupies sectors 1 and 2 of the directory track.
+ */
+OS65D.DIR = {
+    TRACK:          12,
+    SECTOR_PAGES:   1,
+    ENTRIES:        64,
+    ENTRY_SIZE:     8,
+    NAME_LENGTH:    6
+};
+
+/*
+ * BASIC files are images of memory starting at LOAD, where the header (start address, end address, and number
+ * of tracks) is stored, immediately followed by the program at START.
+ */
+OS65D.BASIC = {
+    LOAD:           0x3179,
+    START:          0x317E,
+    HEADER_SIZE:    5,
+    MAX_LINE:       63999,
+    TOKENS: [
+        "END", "FOR", "NEXT", "DATA", "INPUT", "DIM", "READ", "LET",                    // 0x80-0x87
+        "GOTO", "RUN", "IF", "RESTORE", "GOSUB", "RETURN", "REM", "STOP",               // 0x88-0x8F
+        "ON", "NULL", "WAIT", "LOAD", "SAVE", "DEF", "POKE", "PRINT",                   // 0x90-0x97
+        "CONT", "LIST", "CLEAR", "NEW", "TAB(", "TO", "FN", "SPC(",                     // 0x98-0x9F
+        "THEN", "NOT", "STEP", "+", "-", "*", "/", "^",                                 // 0xA0-0xA7
+        "AND", "OR", ">", "=", "<", "SGN", "INT", "ABS",                                // 0xA8-0xAF
+        "USR", "FRE", "POS", "SQR", "RND", "LOG", "EXP", "COS",                         // 0xB0-0xB7
+        "SIN", "TAN", "ATN", "PEEK", "LEN", "STR$", "VAL", "ASC",                       // 0xB8-0xBF
+        "CHR$", "LEFT$", "RIGHT$", "MID$"                                               // 0xC0-0xC3
+    ]
+};
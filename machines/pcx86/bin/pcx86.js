@@ -19,12 +19,16 @@ var Proc = require("../../shared/lib/proclib");
 
 var fConsole = false;
 var fDebug = false;
+var fOverlay = false;
+var sWAVFile = null;
 var fGlobalsSet = false;
 var args = Proc.getArgs();
 var argv = args.argv;
 var sCmdPrev = "";
 if (argv['console'] !== undefined) fConsole = argv['console'];
 if (argv['debug'] !== undefined) fDebug = argv['debug'];
+if (argv['overlay'] !== undefined) fOverlay = argv['overlay'];
+if (argv['wav'] !== undefined) sWAVFile = (typeof argv['wav'] == "string"? argv['wav'] : "speaker.wav");
 
 var lib = path.join(path.dirname(fs.realpathSync(__filename)), "../lib/");
 
@@ -57,6 +61,24 @@ var dbg;
 var aComponents = [];
 var asComponentsIgnore = ["panel", "embed", "save"];
 
+/*
+ * When overlays are enabled (--overlay), every disk mounted from a local image gets an entry in this table,
+ * indexed by the image's file name; eg:
+ *
+ *  {
+ *      "/Users/.../PCDOS100.json": {
+ *          disk: Disk,
+ *          sOverlay: "/Users/.../PCDOS100.json.overlay",
+ *          fFailed: false
+ *      },
+ *      ...
+ *  }
+ *
+ * The 'disk' property is always the most recent Disk object mounted from that image; if the image is unmounted
+ * and later remounted, the controller restores the previous Disk's changes to the new Disk, so nothing is lost.
+ */
+var aOverlays = {};
+
 /*
  * A few of the components are subclasses of other classes (eg, "cpux86" is a subclass
  * of "cpu").  In those situations, we "hoist" the subclass constructor into the
@@ -283,6 +305,354 @@ function loadMachine(sFile)
     return machine;
 }
 
+/**
+ * initOverlays()
+ *
+ * Hooks the FDC and HDC "load done" handlers, so that every disk they mount passes through mountOverlay() before
+ * the controller sees it.  This must happen before any machine is loaded, because the controllers begin auto-mounting
+ * disks as soon as they're initialized, and Disk.load() holds onto whatever handler it was given at that point.
+ */
+function initOverlays()
+{
+    let aHandlers = {"fdc": "doneLoadDrive", "hdc": "doneLoadDisk"};
+    for (let sName in aHandlers) {
+        let Controller = getComponentByName(sName);
+        if (!Controller) continue;
+        let sHandler = aHandlers[sName];
+        let fnDone = Controller.prototype[sHandler];
+        Controller.prototype[sHandler] = function(drive, disk, sDiskName, sDiskPath) {
+            if (disk && fOverlay) mountOverlay(disk);
+            return fnDone.apply(this, arguments);
+        };
+    }
+    process.on("exit", function() {
+        if (fOverlay) saveOverlays();
+    });
+}
+
+/**
+ * mountOverlay(disk)
+ *
+ * Overlays are only possible for disks loaded from local image files, since the overlay is stored next to the image.
+ * If the image was mounted earlier, we save the previous Disk's changes first, so that the new Disk picks them up.
+ *
+ * @param {Disk} disk
+ */
+function mountOverlay(disk)
+{
+    let sDiskPath = disk.sDiskPath;
+    if (!sDiskPath || sDiskPath.match(/^[a-z]+:/i)) return;
+    let sImage = path.join(lib, "../../../", sDiskPath);
+    if (!fs.existsSync(sImage)) return;
+
+    let overlay = aOverlays[sImage];
+    if (overlay) {
+        saveOverlay(overlay);
+    } else {
+        overlay = aOverlays[sImage] = {disk: null, sOverlay: sImage + ".overlay", fFailed: false};
+    }
+    overlay.disk = disk;
+    overlay.fFailed = false;
+
+    if (fs.existsSync(overlay.sOverlay)) {
+        let nChanges = -1;
+        try {
+            nChanges = disk.restore(JSON.parse(fs.readFileSync(overlay.sOverlay, {encoding: "utf8"})));
+        } catch(err) {
+            console.log(err.message);
+        }
+        if (nChanges < 0) {
+            /*
+             * Most likely, the image has changed since the overlay was created (restore() reports that as a checksum
+             * mismatch), so we leave the overlay alone rather than replace it with changes made to a different image.
+             */
+            overlay.fFailed = true;
+            console.log("warning: unable to apply overlay " + overlay.sOverlay + " (it will not be updated)");
+        } else {
+            console.log("applied " + nChanges + " change(s) from overlay " + overlay.sOverlay);
+        }
+    }
+}
+
+/**
+ * saveOverlay(overlay)
+ *
+ * @param {Object} overlay (from aOverlays)
+ * @return {number} number of modified sectors saved, or -1 if the overlay could not be saved
+ */
+function saveOverlay(overlay)
+{
+    if (overlay.fFailed) return -1;
+    let deltas = overlay.disk.save();
+    try {
+        if (deltas.length > 1) {
+            fs.writeFileSync(overlay.sOverlay, JSON.stringify(deltas));
+        } else if (fs.existsSync(overlay.sOverlay)) {
+            fs.unlinkSync(overlay.sOverlay);
+        }
+    } catch(err) {
+        console.log(err.message);
+        return -1;
+    }
+    return deltas.length - 1;
+}
+
+/**
+ * saveOverlays()
+ *
+ * @return {number} number of overlays saved
+ */
+function saveOverlays()
+{
+    let nOverlays = 0;
+    for (let sImage in aOverlays) {
+        if (saveOverlay(aOverlays[sImage]) > 0) nOverlays++;
+    }
+    return nOverlays;
+}
+
+/**
+ * commitOverlay(sImage, overlay)
+ *
+ * Writes the disk's modified sectors back into the image itself, and then removes the overlay.
+ *
+ * JSON images are updated sector-by-sector, so that any other sector properties (eg, CRC errors) are preserved;
+ * other images are updated in place, which is only possible if the sectors are stored at the start of the image
+ * in CHS order, as they are in raw images and fixed VHD images (which simply append a 512-byte footer).
+ *
+ * @param {string} sImage
+ * @param {Object} overlay (from aOverlays)
+ * @return {number} number of sectors committed, or -1 if the image could not be updated
+ */
+function commitOverlay(sImage, overlay)
+{
+    let Disk = getComponentByName("disk");
+    if (overlay.fFailed) return -1;
+    let disk = overlay.disk;
+    let deltas = disk.save();
+    if (deltas.length <= 1) return 0;
+    try {
+        if (Str.getExtension(sImage) == "json") {
+            let sImageData = /** @type {string} */ (fs.readFileSync(sImage, {encoding: "utf8"}));
+            let image = null, aDiskData;
+            if (sImageData[0] == '{') {
+                image = JSON.parse(sImageData);
+                aDiskData = image['diskData'];
+            } else if (sImageData.indexOf("0x") < 0) {
+                aDiskData = JSON.parse(sImageData.replace(/([a-z]+):/gm, "\"$1\":").replace(/\/\/[^\n]*/gm, ""));
+            } else {
+                aDiskData = eval("(" + sImageData + ")");       // jshint ignore:line
+            }
+            for (let i = 1; i < deltas.length; i++) {
+                let iCylinder = deltas[i][0], iHead = deltas[i][1], iSector = deltas[i][2];
+                let sector = disk.aDiskData[iCylinder][iHead][iSector];
+                let sectorImage = aDiskData[iCylinder][iHead][iSector];
+                let adwSector = sector[Disk.SECTOR.DATA], adw = [];
+                for (let idw = 0, cdw = sector[Disk.SECTOR.LENGTH] >> 2; idw < cdw; idw++) {
+                    adw.push(idw < adwSector.length? adwSector[idw] : sector[Disk.SECTOR.PATTERN]);
+                }
+                while (adw.length > 1 && adw[adw.length - 1] === adw[adw.length - 2]) adw.length--;
+                delete sectorImage['data'];
+                delete sectorImage['bytes'];
+                delete sectorImage['pattern'];
+                delete sectorImage[Disk.SECTOR.DATA_VARIANTS];
+                delete sectorImage[Disk.SECTOR.DATA_WEAK];
+                sectorImage[Disk.SECTOR.DATA] = adw;
+            }
+            if (image) image['diskData'] = aDiskData;
+            fs.writeFileSync(sImage, JSON.stringify(image || aDiskData));
+        } else {
+            let cbDisk = disk.nCylinders * disk.nHeads * disk.nSectors * disk.cbSector;
+            let cbImage = fs.statSync(sImage).size;
+            if (cbImage != cbDisk && cbImage != cbDisk + 511 && cbImage != cbDisk + 512) {
+                console.log("unable to commit changes to " + sImage + " (unsupported image format)");
+                return -1;
+            }
+            let fd = fs.openSync(sImage, "r+");
+            for (let i = 1; i < deltas.length; i++) {
+                let iCylinder = deltas[i][0], iHead = deltas[i][1], iSector = deltas[i][2];
+                let ab = disk.toBytes(disk.aDiskData[iCylinder][iHead][iSector]);
+                if (ab.length != disk.cbSector) continue;
+                fs.writeSync(fd, Buffer.from(ab), 0, ab.length, ((iCylinder * disk.nHeads + iHead) * disk.nSectors + iSector) * disk.cbSector);
+            }
+            fs.closeSync(fd);
+        }
+    } catch(err) {
+        console.log(err.message);
+        return -1;
+    }
+    /*
+     * The committed sectors are no longer changes, as far as the overlay is concerned.  And since we don't know what
+     * checksum the updated image will produce the next time it's loaded, we clear the checksum, which tells restore()
+     * to skip that test when the next overlay is applied.
+     */
+    for (let i = 1; i < deltas.length; i++) {
+        let sector = disk.aDiskData[deltas[i][0]][deltas[i][1]][deltas[i][2]];
+        sector.iModify = sector.cModify = 0;
+    }
+    disk.dwChecksum = null;
+    saveOverlay(overlay);
+    return deltas.length - 1;
+}
+
+/**
+ * doOverlay(sOption)
+ *
+ * Implements the "overlay" command; sOption is one of "list" (the default), "save", "commit", or "discard".
+ *
+ * @param {string} [sOption]
+ * @return {boolean}
+ */
+function doOverlay(sOption)
+{
+    let sImage, overlay, n;
+    if (!fOverlay) {
+        console.log("overlays not enabled (use --overlay)");
+        return false;
+    }
+    switch(sOption || "list") {
+    case "list":
+        for (sImage in aOverlays) {
+            overlay = aOverlays[sImage];
+            n = overlay.disk.save().length - 1;
+            console.log(overlay.disk.sDiskName + ": " + n + " modified sector(s)" + (overlay.fFailed? " (overlay not applied)" : "") + "\n    " + overlay.sOverlay);
+        }
+        break;
+    case "save":
+        console.log(saveOverlays() + " overlay(s) saved");
+        break;
+    case "commit":
+        for (sImage in aOverlays) {
+            n = commitOverlay(sImage, aOverlays[sImage]);
+            if (n > 0) console.log(n + " sector(s) committed to " + sImage);
+        }
+        break;
+    case "discard":
+        /*
+         * The changes remain in the mounted disks, but we stop tracking them, so they will be lost on exit.
+         */
+        for (sImage in aOverlays) {
+            overlay = aOverlays[sImage];
+            try {
+                if (!overlay.fFailed && fs.existsSync(overlay.sOverlay)) fs.unlinkSync(overlay.sOverlay);
+            } catch(err) {
+                console.log(err.message);
+            }
+        }
+        aOverlays = {};
+        fOverlay = false;
+        console.log("overlays discarded (disk changes will no longer be saved)");
+        break;
+    default:
+        console.log("unrecognized overlay option: " + sOption);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * getChipSet()
+ *
+ * @return {ChipSet|null} the ChipSet of the current machine, if any
+ */
+function getChipSet()
+{
+    for (let i = 0; i < aComponents.length; i++) {
+        if (aComponents[i].name == "chipset") {
+            return aComponents[i].objects[0] || null;
+        }
+    }
+    return null;
+}
+
+/**
+ * writeWAV(sFile, samples, nSampleRate)
+ *
+ * @param {string} sFile
+ * @param {Int16Array} samples (16-bit signed mono samples)
+ * @param {number} nSampleRate
+ * @return {boolean}
+ */
+function writeWAV(sFile, samples, nSampleRate)
+{
+    let cbData = samples.length * 2;
+    let buf = Buffer.alloc(44 + cbData);
+    buf.write("RIFF", 0, "ascii");
+    buf.writeUInt32LE(36 + cbData, 4);
+    buf.write("WAVE", 8, "ascii");
+    buf.write("fmt ", 12, "ascii");
+    buf.writeUInt32LE(16, 16);                  // size of the "fmt " chunk
+    buf.writeUInt16LE(1, 20);                   // PCM
+    buf.writeUInt16LE(1, 22);                   // mono
+    buf.writeUInt32LE(nSampleRate, 24);
+    buf.writeUInt32LE(nSampleRate * 2, 28);     // bytes per second
+    buf.writeUInt16LE(2, 32);                   // bytes per sample frame
+    buf.writeUInt16LE(16, 34);                  // bits per sample
+    buf.write("data", 36, "ascii");
+    buf.writeUInt32LE(cbData, 40);
+    for (let i = 0; i < samples.length; i++) {
+        buf.writeInt16LE(samples[i], 44 + i * 2);
+    }
+    try {
+        fs.writeFileSync(sFile, buf);
+    } catch(err) {
+        console.log(err.message);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * doWAV(aTokens)
+ *
+ * Implements the "wav" command, which captures the speaker's output; aTokens[1] is one of "start" (with an optional
+ * sample rate), "stop", "save" (with an optional file name), or "clear".
+ *
+ * @param {Array.<string>} aTokens
+ * @return {boolean}
+ */
+function doWAV(aTokens)
+{
+    let chipset = getChipSet();
+    if (!chipset) {
+        console.log("no machine loaded");
+        return false;
+    }
+    let sFile, samples;
+    let sOption = aTokens[1] || "";
+    if (sOption != "start" && !chipset.capture) {
+        console.log("speaker capture not started (use wav start)");
+        return false;
+    }
+    switch(sOption) {
+    case "start":
+        if (!chipset.startCapture(+aTokens[2] || undefined)) return false;
+        console.log("speaker capture started at " + chipset.capture.nSampleRate + "hz");
+        break;
+    case "stop":
+        if (!chipset.fCapturing) {
+            console.log("speaker capture already stopped");
+            return false;
+        }
+        chipset.stopCapture();
+        console.log("speaker capture stopped");
+        break;
+    case "save":
+        sFile = aTokens[2] || sWAVFile || "speaker.wav";
+        samples = chipset.getCapture();
+        if (!writeWAV(sFile, samples, chipset.capture.nSampleRate)) return false;
+        console.log(samples.length + " samples written to " + sFile);
+        break;
+    case "clear":
+        chipset.getCapture(true);
+        break;
+    default:
+        console.log("unrecognized wav option: " + sOption);
+        return false;
+    }
+    return true;
+}
+
 /**
  * doCommand(sCmd)
  *
@@ -306,6 +676,13 @@ function doCommand(sCmd)
         break;
     case "load":
         result = loadMachine(aTokens[1]);
+        if (result && sWAVFile) doWAV(["wav", "start"]);
+        break;
+    case "overlay":
+        result = doOverlay(aTokens[1]);
+        break;
+    case "wav":
+        result = doWAV(aTokens);
         break;
     case "quit":
         process.exit();
@@ -367,6 +744,13 @@ var onCommand = function (cmd, context, filename, callback)
 
 if (scriptsPCx86) {
     loadComponents(scriptsPCx86);
+    if (fOverlay) initOverlays();
+    if (sWAVFile) {
+        process.on("exit", function() {
+            let chipset = getChipSet();
+            if (chipset && chipset.capture) doWAV(["wav", "save"]);
+        });
+    }
 }
 
 /*
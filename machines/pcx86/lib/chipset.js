@@ -173,6 +173,14 @@ class ChipSet extends Component {
          */
         this.fSpeakerEnabled = this.fSpeakerOn = this.fUserSound = false;
 
+        /*
+         * capture is set by startCapture() when the speaker's output should also be rendered into a buffer of samples
+         * (eg, for saving as a WAV file), which is the only way to "hear" the speaker when there's no audio context.
+         * stopCapture() clears fCapturing but keeps capture (and its samples), so that they can still be saved.
+         */
+        this.capture = null;
+        this.fCapturing = false;
+
         /*
          * I used to defer ChipSet's reset() to powerUp(), which then gave us the option of doing either
          * reset() OR restore(), instead of both.  However, on MODEL_5170 machines, the initial CMOS data
@@ -2570,6 +2578,58 @@ class ChipSet extends Component {
         return true;
     }
 
+    /**
+     * readDMA(iDMAChannel, nBytes)
+     *
+     * Unlike requestDMA(), which transfers an entire block on behalf of a device as quickly as possible, this allows
+     * a device that consumes data at its own pace (eg, the DSP of a sound card) to read a DMA_MODE.TYPE_READ channel a
+     * little at a time.  The channel's current address and count are updated as we go, so that software polling the
+     * count sees the transfer progress, and at Terminal Count (TC), an AUTOINIT channel is reloaded; otherwise, it's
+     * masked, just as updateDMA() would do.
+     *
+     * @this {ChipSet}
+     * @param {number} iDMAChannel
+     * @param {number} nBytes (maximum number of bytes to read)
+     * @return {Array.<number>} (fewer than nBytes, possibly none, if the channel is masked or not set up for reads)
+     */
+    readDMA(iDMAChannel, nBytes)
+    {
+        let ab = [];
+        let controller = this.aDMACs[iDMAChannel >> 2];
+        let channel = controller && controller.aChannels[iDMAChannel & 0x3];
+        if (!channel) return ab;
+
+        while (ab.length < nBytes && !channel.masked && (channel.mode & ChipSet.DMA_MODE.TYPE) == ChipSet.DMA_MODE.TYPE_READ) {
+            ab.push(this.bus.getByte((channel.bPage << 16) | (channel.addrCurrent[1] << 8) | channel.addrCurrent[0]));
+            if (channel.mode & ChipSet.DMA_MODE.DECREMENT) {
+                if (--channel.addrCurrent[0] < 0) {
+                    channel.addrCurrent[0] = 0xff;
+                    channel.addrCurrent[1] = (channel.addrCurrent[1] - 1) & 0xff;
+                }
+            } else {
+                if (++channel.addrCurrent[0] > 0xff) {
+                    channel.addrCurrent[0] = 0x00;
+                    channel.addrCurrent[1] = (channel.addrCurrent[1] + 1) & 0xff;
+                }
+            }
+            if (--channel.countCurrent[0] < 0) {
+                channel.countCurrent[0] = 0xff;
+                if (--channel.countCurrent[1] < 0) {
+                    channel.countCurrent[1] = 0xff;
+                    controller.bStatus = (controller.bStatus & ~(0x10 << channel.iChannel)) | (0x1 << channel.iChannel);
+                    if (channel.mode & ChipSet.DMA_MODE.AUTOINIT) {
+                        channel.addrCurrent[0] = channel.addrInit[0]; channel.addrCurrent[1] = channel.addrInit[1];
+                        channel.countCurrent[0] = channel.countInit[0]; channel.countCurrent[1] = channel.countInit[1];
+                    } else {
+                        channel.masked = true;
+                    }
+                    if (DEBUG) this.printf(Messages.DMA, "readDMA(%d) reached terminal count\n", iDMAChannel);
+                }
+            }
+        }
+        return ab;
+    }
+
     /**
      * inPICLo(iPIC, addrFrom)
      *
@@ -3095,6 +3155,7 @@ class ChipSet extends Component {
 
         let iBaseTimer = (iPIT? 3 : 0);
         let timer = this.aTimers[iBaseTimer + iPITTimer];
+        if (iBaseTimer + iPITTimer == ChipSet.PIT0.TIMER2) this.updateCapture();
 
         if (timer.countIndex == timer.countBytes) {
             this.resetTimerIndex(iBaseTimer + iPITTimer);
@@ -3121,6 +3182,7 @@ class ChipSet extends Component {
                  * low to high.
                  */
                 timer.fOUT = (timer.mode != ChipSet.PIT_CTRL.MODE0);
+                if (this.capture && iBaseTimer + iPITTimer == ChipSet.PIT0.TIMER2) this.capture.nPhase = 0;
 
                 if (iPIT == ChipSet.PIT0.INDEX && iPITTimer == ChipSet.PIT0.TIMER0) {
                     /*
@@ -3384,6 +3446,7 @@ class ChipSet extends Component {
      */
     setTimerMode(iTimer, bcd, mode, rw)
     {
+        if (iTimer == ChipSet.PIT0.TIMER2) this.updateCapture();
         let timer = this.aTimers[iTimer];
         timer.rw = rw;
         timer.mode = mode;
@@ -3603,6 +3666,7 @@ class ChipSet extends Component {
      */
     updateAllTimers(fCycleReset)
     {
+        this.updateCapture(fCycleReset);
         for (let iTimer = 0; iTimer < this.aTimers.length; iTimer++) {
             this.updateTimer(iTimer, fCycleReset);
         }
@@ -3712,6 +3776,7 @@ class ChipSet extends Component {
      */
     updatePPIB(bOut)
     {
+        this.updateCapture();
         let toggled = (bOut ^ this.bPPIB);
         if (toggled & ChipSet.PPI_B.CLK_TIMER2) {
             /*
@@ -3755,6 +3820,12 @@ class ChipSet extends Component {
             }
         }
         this.bPPIB = bOut;
+        if (this.capture && (toggled & bOut & ChipSet.PPI_B.CLK_TIMER2)) {
+            /*
+             * A rising edge on TIMER2's gate restarts its count.
+             */
+            this.capture.nPhase = 0;
+        }
         if (toggled & ChipSet.PPI_B.SPK_TIMER2) {
             /*
              * Originally, this code didn't catch the "ERROR_BEEP" case @F000:EC34, which first turns both PPI_B.CLK_TIMER2 (0x01)
@@ -4858,6 +4929,164 @@ class ChipSet extends Component {
         return false;
     }
 
+    /**
+     * startCapture(nSampleRate)
+     *
+     * Starts rendering the speaker's output into a buffer of 16-bit signed mono samples, which getCapture() returns.
+     * Rendering is driven entirely by CPU cycles, not wall-clock time, so the same sequence of instructions always
+     * produces the same samples, no matter how fast (or slow) the machine is actually running.
+     *
+     * @this {ChipSet}
+     * @param {number} [nSampleRate] (default is 44100)
+     * @return {boolean} true if capture started, false if the ChipSet isn't ready yet
+     */
+    startCapture(nSampleRate = 44100)
+    {
+        if (!this.cpu) return false;
+        this.capture = {
+            nSampleRate: nSampleRate,
+            nCyclesPerSample: this.cpu.getBaseCyclesPerSecond() / nSampleRate,
+            nCyclesLast: this.cpu.getCycles(this.fScaleTimers),
+            nCyclesSample: 0,       // cycles accumulated toward the next sample
+            nCyclesHigh: 0,         // cycles (of nCyclesSample) that the speaker was high
+            nPhase: 0,              // cycles elapsed since TIMER2 began its current count
+            levelPrev: 0,           // previous input to the DC filter
+            levelFiltered: 0,       // previous output of the DC filter
+            aBuffers: [],
+            nSamples: 0,
+            aSamples: new Int16Array(4096),
+            iSample: 0
+        };
+        this.fCapturing = true;
+        return true;
+    }
+
+    /**
+     * stopCapture()
+     *
+     * Stops rendering the speaker's output, but any samples already captured remain available to getCapture().
+     *
+     * @this {ChipSet}
+     */
+    stopCapture()
+    {
+        this.updateCapture();
+        this.fCapturing = false;
+    }
+
+    /**
+     * getCapture(fClear)
+     *
+     * @this {ChipSet}
+     * @param {boolean} [fClear] (true to discard the samples after returning them)
+     * @return {Int16Array|null} (all samples captured so far, or null if capture was never started)
+     */
+    getCapture(fClear)
+    {
+        let capture = this.capture;
+        if (!capture) return null;
+        this.updateCapture();
+        let samples = new Int16Array(capture.nSamples + capture.iSample), off = 0;
+        for (let i = 0; i < capture.aBuffers.length; i++) {
+            samples.set(capture.aBuffers[i], off);
+            off += capture.aBuffers[i].length;
+        }
+        samples.set(capture.aSamples.subarray(0, capture.iSample), off);
+        if (fClear) {
+            capture.aBuffers = [];
+            capture.nSamples = capture.iSample = 0;
+        }
+        return samples;
+    }
+
+    /**
+     * updateCapture(fCycleReset)
+     *
+     * Renders the speaker's output from the last update to the current cycle count.  This must be called BEFORE
+     * anything that affects the speaker (ie, PPI_B or TIMER2) changes, so that the elapsed cycles are rendered with
+     * the old state.
+     *
+     * Each sample is the fraction of its cycles that the speaker was high, so speakers toggled faster than the sample
+     * rate (eg, by pulse-width modulation) produce intermediate levels, and a simple high-pass filter then removes the
+     * DC offset of a speaker that's simply left on (or off).
+     *
+     * @this {ChipSet}
+     * @param {boolean} [fCycleReset] is true if a cycle-count reset is about to occur
+     */
+    updateCapture(fCycleReset)
+    {
+        let capture = this.capture;
+        if (!capture || !this.fCapturing) return;
+        let nCycles = this.cpu.getCycles(this.fScaleTimers);
+        let nCyclesDelta = nCycles - capture.nCyclesLast;
+        capture.nCyclesLast = fCycleReset? 0 : nCycles;
+        let volume = this.volumeInit || 0.5;
+        while (nCyclesDelta > 0) {
+            let n = Math.min(nCyclesDelta, capture.nCyclesPerSample - capture.nCyclesSample);
+            capture.nCyclesHigh += this.getSpeakerCycles(n);
+            capture.nCyclesSample += n;
+            nCyclesDelta -= n;
+            if (capture.nCyclesSample >= capture.nCyclesPerSample) {
+                let level = capture.nCyclesHigh / capture.nCyclesSample;
+                capture.levelFiltered = level - capture.levelPrev + 0.995 * capture.levelFiltered;
+                capture.levelPrev = level;
+                capture.aSamples[capture.iSample++] = Math.round(Math.max(-1, Math.min(1, capture.levelFiltered)) * volume * 0x7fff);
+                if (capture.iSample == capture.aSamples.length) {
+                    capture.aBuffers.push(capture.aSamples);
+                    capture.nSamples += capture.iSample;
+                    capture.aSamples = new Int16Array(capture.aSamples.length);
+                    capture.iSample = 0;
+                }
+                capture.nCyclesSample = capture.nCyclesHigh = 0;
+            }
+        }
+    }
+
+    /**
+     * getSpeakerCycles(nCycles)
+     *
+     * Returns how many of the next nCycles the speaker will be high, based on the current PPI_B and TIMER2 state,
+     * and advances the capture's TIMER2 phase accordingly.  With TIMER2's gate (PPI_B.CLK_TIMER2) off, its OUT line
+     * remains high (except in MODE0), so software can still drive the speaker directly with PPI_B.SPK_TIMER2.
+     *
+     * @this {ChipSet}
+     * @param {number} nCycles
+     * @return {number}
+     */
+    getSpeakerCycles(nCycles)
+    {
+        let capture = this.capture;
+        if (!(this.bPPIB & ChipSet.PPI_B.SPK_TIMER2)) return 0;
+        let timer = this.aTimers[ChipSet.PIT0.TIMER2];
+        if (!(this.bPPIB & ChipSet.PPI_B.CLK_TIMER2) || !timer.fCounting) {
+            return (timer.mode == ChipSet.PIT_CTRL.MODE0 && !timer.fOUT)? 0 : nCycles;
+        }
+        let nPeriod = this.getTimerInit(ChipSet.PIT0.TIMER2) * this.nTicksDivisor;
+        let nPhase = capture.nPhase;
+        if (timer.mode == ChipSet.PIT_CTRL.MODE0) {
+            /*
+             * In MODE0, OUT goes high when the count expires and stays high.
+             */
+            capture.nPhase = Math.min(nPhase + nCycles, nPeriod);
+            return Math.max(0, nPhase + nCycles - Math.max(nPhase, nPeriod));
+        }
+        if (timer.mode == ChipSet.PIT_CTRL.MODE3) {
+            /*
+             * In MODE3, OUT is high for the first half of every count and low for the second half.
+             */
+            let nHalf = nPeriod / 2;
+            let getHigh = function(n) {
+                return Math.floor(n / nPeriod) * nHalf + Math.min(n % nPeriod, nHalf);
+            };
+            capture.nPhase = (nPhase + nCycles) % nPeriod;
+            return getHigh(nPhase + nCycles) - getHigh(nPhase);
+        }
+        /*
+         * In the remaining modes, OUT is high all (or all but one tick) of the time.
+         */
+        return nCycles;
+    }
+
     /**
      * messageBitsDMA(iChannel)
      *
@@ -4874,6 +5103,8 @@ class ChipSet extends Component {
                 bitsMessage += Messages.FDC;
             } else if (iChannel == ChipSet.DMA_HDC) {
                 bitsMessage += Messages.HDC;
+            } else if (iChannel == ChipSet.DMA_SB) {
+                bitsMessage += Messages.SOUND;
             }
         }
         return bitsMessage;
@@ -5210,6 +5441,7 @@ ChipSet.DMA_MODE = {
 ChipSet.DMA_REFRESH   = 0x00;   // DMA channel assigned to memory refresh
 ChipSet.DMA_FDC       = 0x02;   // DMA channel assigned to the Floppy Drive Controller (FDC)
 ChipSet.DMA_HDC       = 0x03;   // DMA channel assigned to the Hard Drive Controller (HDC; XTC only)
+ChipSet.DMA_SB        = 0x01;   // DMA channel typically assigned to a Sound Blaster DSP
 
 /*
  * 8259A Programmable Interrupt Controller (PIC) I/O ports
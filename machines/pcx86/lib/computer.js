@@ -50,6 +50,7 @@ if (typeof module !== "undefined") {
     var Messages    = require("./messages");
     var BusX86      = require("./bus").BusX86;
     var FPUx86      = require("./fpux86");
+    var X86         = require("./x86");
 }
 
 /**
@@ -165,9 +166,18 @@ class Computer extends Component {
         /*
          * We now record whether or not the machine was originally configured with an FPU (this.fpu),
          * but even when not, we still initialize an FPU, so that the machine can be dynamically reconfigured.
+         *
+         * The 80486 is the exception: its FPU is integrated, so rather than requiring every 80486 machine
+         * configuration to include an FPU component, we create one on its behalf and treat it as configured.
          */
         this.fpu = /** @type {FPUx86} */ (Component.getComponentByType("FPU", this.id));
-        if (!this.fpu) new FPUx86({'id': this.idMachine + ".fpu"});
+        if (!this.fpu) {
+            if (this.cpu.model >= X86.MODEL_80486) {
+                this.fpu = new FPUx86({'id': this.idMachine + ".fpu", 'model': X86.FPU.MODEL_80487});
+            } else {
+                new FPUx86({'id': this.idMachine + ".fpu"});
+            }
+        }
 
         this.dbg = /** @type {DebuggerX86} */ (Component.getComponentByType("Debugger", this.id));
 
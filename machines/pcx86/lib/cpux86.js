@@ -78,6 +78,9 @@ class CPUx86 extends CPULib {
         case X86.MODEL_80386:
             nCyclesDefault = 16000000;
             break;
+        case X86.MODEL_80486:
+            nCyclesDefault = 25000000;
+            break;
         }
 
         super(parmsCPU, nCyclesDefault);
@@ -422,6 +425,48 @@ class CPUx86 extends CPULib {
         if (this.regCR0 & X86.CR0.PG) this.enablePageBlocks();
     }
 
+    /**
+     * flushPageBlock(addr)
+     *
+     * Our equivalent of flushing a single TLB entry (see the 80486 INVLPG instruction): if the page containing
+     * the given linear address has been upgraded to a PAGED block, release that block and restore the UNPAGED block,
+     * so that the next access to the page will consult the page tables again.
+     *
+     * @this {CPUx86}
+     * @param {number} addr is a linear address
+     */
+    flushPageBlock(addr)
+    {
+        if (this.regCR0 & X86.CR0.PG) {
+            let iBlock = addr >>> this.nBlockShift;
+            let i = this.aBlocksPaged.indexOf(iBlock);
+            if (i >= 0) {
+                this.aBlocksPaged.splice(i, 1);
+                this.releasePageBlock(this.aMemBlocks[iBlock]);
+                this.aMemBlocks[iBlock] = this.blockUnpaged;
+            }
+        }
+    }
+
+    /**
+     * checkPageWrite(addr)
+     *
+     * Called by PAGED blocks for read-only pages before every write.  A write to a read-only page always faults
+     * at CPL 3, but at CPL 0-2, it faults only if CR0.WP is set (which only an 80486 allows).
+     *
+     * @this {CPUx86}
+     * @param {number} addr is a linear address
+     * @return {boolean} true if the write is allowed, false if not (ie, a page fault was generated)
+     */
+    checkPageWrite(addr)
+    {
+        if (this.nCPL == 3 || (this.regCR0 & X86.CR0.WP)) {
+            X86.helpPageFault.call(this, addr, true, true);
+            return false;
+        }
+        return true;
+    }
+
     /**
      * acquirePageBlock(addr)
      *
@@ -558,9 +603,11 @@ class CPUx86 extends CPULib {
          * So we have the block containing the physical memory corresponding to the given linear address.
          *
          * Now we can create a new PAGED Memory block and record the physical block info using setPhysBlock().
+         * On an 80486, if either the PDE or the PTE marks the page read-only, then we also give the new PAGED block
+         * a CPU reference, so that every write to the page can be vetted by checkPageWrite().
          */
         let blockPage = this.acquirePageBlock(addr & ~X86.LADDR.OFFSET);
-        blockPage.setPhysBlock(blockPhys, blockPDE, offPDE, blockPTE, offPTE);
+        blockPage.setPhysBlock(blockPhys, blockPDE, offPDE, blockPTE, offPTE, (this.model >= X86.MODEL_80486 && !(pde & pte & X86.PTE.READWRITE))? this : undefined);
         blockPage.copyBreakpoints(this.dbg, block);
 
         this.aMemBlocks[iBlock] = blockPage;
@@ -787,6 +834,7 @@ class CPUx86 extends CPULib {
         this.aOpGrp4b = X86.aOpGrp4b;
         this.aOpGrp4w = X86.aOpGrp4w;
         this.aOpGrp6  = X86.aOpGrp6Real;        // setProtMode() will ensure that aOpGrp6 is switched
+        this.aOpGrp7  = X86.aOpGrp7;
 
         if (this.model >= X86.MODEL_80186) {
             /*
@@ -859,6 +907,27 @@ class CPUx86 extends CPULib {
                             this.aOps0F[0xA6] = X86.opXBTS;
                             this.aOps0F[0xA7] = X86.opIBTS;
                         }
+                        if (this.model >= X86.MODEL_80486) {
+                            /*
+                             * The 80486 adds the AC (Alignment Check) flag, as well as the ID flag, whose mere
+                             * ability to be toggled tells software that the CPUID instruction is available.
+                             */
+                            this.PS_DIRECT |= X86.PS.AC | X86.PS.ID;
+                            for (bOpcode in X86.aOps0F486) {
+                                this.aOps0F[+bOpcode] = X86.aOps0F486[+bOpcode];
+                            }
+                            this.aOpGrp7 = X86.aOpGrp7.slice();
+                            this.aOpGrp7[0x7] = X86.fnINVLPG;
+                        } else {
+                            /*
+                             * Just as we do for 80286 opcodes that are defined only on the 80386 (see below), make
+                             * any "undefined" 80386 0x0F opcode handler "invalid" IFF the opcode is defined on the
+                             * 80486, since software (eg, CPU detection code) may reasonably try to execute them.
+                             */
+                            for (i = 0; i < X86.aOps0F486.length; i++) {
+                                if (X86.aOps0F486[i] && this.aOps0F[i] == X86.opUndefined) this.aOps0F[i] = X86.opInvalid;
+                            }
+                        }
                     } else {
                         /*
                          * Let's make any "undefined" 80286 0x0F opcode handler "invalid" instead IFF the opcode
@@ -868,6 +937,9 @@ class CPUx86 extends CPULib {
                         for (i = 0; i < X86.aOps0F386.length; i++) {
                             if (X86.aOps0F386[i] && this.aOps0F[i] == X86.opUndefined) this.aOps0F[i] = X86.opInvalid;
                         }
+                        for (i = 0; i < X86.aOps0F486.length; i++) {
+                            if (X86.aOps0F486[i] && this.aOps0F[i] == X86.opUndefined) this.aOps0F[i] = X86.opInvalid;
+                        }
                     }
                 }
             }
@@ -895,7 +967,10 @@ class CPUx86 extends CPULib {
     resetFPU()
     {
         if (this.chipset) {
-            if (this.chipset.getDIPCoprocessor()) {
+            /*
+             * The 80486's FPU is integrated, so it's active regardless of the machine's coprocessor switch setting.
+             */
+            if (this.model >= X86.MODEL_80486 || this.chipset.getDIPCoprocessor()) {
                 this.fpuActive = this.fpu;
             } else {
                 this.fpuActive = null;
@@ -1164,6 +1239,14 @@ class CPUx86 extends CPULib {
                 break;
             }
             this.regCR0 = X86.CR0.ON | X86.CR0.ET;
+            if (this.model >= X86.MODEL_80486) {
+                /*
+                 * The 80486 loads its CPUID signature into DX instead, and comes out of reset with its (non-existent)
+                 * cache disabled; the rest of the 80386's "always on" CR0 bits are reserved on the 80486 and read as zero.
+                 */
+                this.regEDX = X86.CPUID.SIGNATURE;
+                this.regCR0 = X86.CR0.CD | X86.CR0.NW | X86.CR0.ET;
+            }
             this.regCR1 = 0;                // reserved
             this.regCR2 = 0;                // page fault linear address (PFLA)
             this.regCR3 = 0;                // page directory base register (PDBR)
@@ -2925,6 +3008,12 @@ class CPUx86 extends CPULib {
          * therefore, we always OR the previous value of MSW.PE into the new value before loading.
          */
         w |= (this.regCR0 & X86.CR0.MSW.PE) | X86.CR0.MSW.ON;
+        if (this.model >= X86.MODEL_80486) {
+            /*
+             * On the 80486, CR0 bits 4-15 are no longer "always on" (eg, ET and NE), and this instruction can't change them.
+             */
+            w = (w & ~X86.CR0.MSW.ON) | (this.regCR0 & X86.CR0.MSW.ON);
+        }
         this.regCR0 = (this.regCR0 & ~X86.CR0.MSW.MASK) | (w & X86.CR0.MSW.MASK);
         /*
          * Since the 80286 cannot return to real-mode via this instruction, the only transition we
@@ -4328,7 +4417,7 @@ class CPUx86 extends CPULib {
                 this.updateReg("A", (regPS & X86.PS.AF));
                 this.updateReg("P", (regPS & X86.PS.PF));
                 this.updateReg("C", (regPS & X86.PS.CF));
-                if (this.model == X86.MODEL_80386) {
+                if (this.model >= X86.MODEL_80386) {
                     this.updateReg("FS", this.getFS());
                     this.updateReg("GS", this.getGS());
                     this.updateReg("CR0", this.regCR0);
@@ -6839,11 +6839,12 @@ if (DEBUGGER) {
     /*
      * CPU instruction ordinals
      *
-     * Note that individual instructions end with ordinal 163 and instruction groups begin with ordinal 164;
+     * Note that individual instructions end with ordinal 170 and instruction groups begin with ordinal 171;
      * the disassembler knows it's dealing with a group whenever the ordinal is not a valid index into INS_NAMES.
      *
      * NOTE: While this list started alphabetical, there are a few wrinkles; eg, POPA/POPF/PUSHF/PUSHA are
-     * sequential to make it easier to detect instructions that require a D suffix when the operand size is 32 bits.
+     * sequential to make it easier to detect instructions that require a D suffix when the operand size is 32 bits,
+     * and the 80486 instructions (BSWAP through XADD) were simply appended after XOR.
      */
     DebuggerX86.INS = {
         NONE:   0,   AAA:    1,   AAD:    2,   AAM:    3,   AAS:    4,   ADC:    5,   ADD:    6,   AND:    7,
@@ -6866,9 +6867,10 @@ if (DEBUGGER) {
         SETO:   136, SETP:   137, SETS:   138, SETZ:   139, SGDT:   140, SHL:    141, SHLD:   142, SHR:    143,
         SHRD:   144, SIDT:   145, SLDT:   146, SMSW:   147, SS:     148, STC:    149, STD:    150, STI:    151,
         STOSB:  152, STOSW:  153, STR:    154, SUB:    155, TEST:   156, VERR:   157, VERW:   158, WAIT:   159,
-        XBTS:   160, XCHG:   161, XLAT:   162, XOR:    163, GRP1B:  164, GRP1W:  165, GRP1SW: 166, GRP2B:  167,
-        GRP2W:  168, GRP2B1: 169, GRP2W1: 170, GRP2BC: 171, GRP2WC: 172, GRP3B:  173, GRP3W:  174, GRP4B:  175,
-        GRP4W:  176, OP0F:   177, GRP6:   178, GRP7:   179, GRP8:   180
+        XBTS:   160, XCHG:   161, XLAT:   162, XOR:    163, BSWAP:  164, CMPXCHG:165, CPUID:  166, INVD:   167,
+        INVLPG: 168, WBINVD: 169, XADD:   170, GRP1B:  171, GRP1W:  172, GRP1SW: 173, GRP2B:  174, GRP2W:  175,
+        GRP2B1: 176, GRP2W1: 177, GRP2BC: 178, GRP2WC: 179, GRP3B:  180, GRP3W:  181, GRP4B:  182, GRP4W:  183,
+        OP0F:   184, GRP6:   185, GRP7:   186, GRP8:   187
     };
 
     /*
@@ -6895,7 +6897,8 @@ if (DEBUGGER) {
         "SETO",   "SETP",   "SETS",   "SETZ",   "SGDT",   "SHL",    "SHLD",   "SHR",
         "SHRD",   "SIDT",   "SLDT",   "SMSW",   "SS:",    "STC",    "STD",    "STI",
         "STOSB",  "STOSW",  "STR",    "SUB",    "TEST",   "VERR",   "VERW",   "WAIT",
-        "XBTS",   "XCHG",   "XLAT",   "XOR"
+        "XBTS",   "XCHG",   "XLAT",   "XOR",    "BSWAP",  "CMPXCHG","CPUID",  "INVD",
+        "INVLPG", "WBINVD", "XADD"
     ];
 
     /*
@@ -6958,7 +6961,8 @@ if (DEBUGGER) {
     DebuggerX86.CPU_80186 = 1;
     DebuggerX86.CPU_80286 = 2;
     DebuggerX86.CPU_80386 = 3;
-    DebuggerX86.CPUS = [8086, 80186, 80286, 80386];
+    DebuggerX86.CPU_80486 = 4;
+    DebuggerX86.CPUS = [8086, 80186, 80286, 80386, 80486];
 
     /*
      * ModRM masks and definitions
@@ -7148,6 +7152,7 @@ if (DEBUGGER) {
     DebuggerX86.TYPE_80287 = DebuggerX86.TYPE_80286;
     DebuggerX86.TYPE_80386 = (DebuggerX86.CPU_80386 << 14);
     DebuggerX86.TYPE_80387 = DebuggerX86.TYPE_80386;
+    DebuggerX86.TYPE_80486 = (DebuggerX86.CPU_80486 << 14);
     DebuggerX86.TYPE_CPU_SHIFT = 14;
 
     DebuggerX86.HISTORY_LIMIT = DEBUG? 100000 : 1000;
@@ -7482,6 +7487,8 @@ if (DEBUGGER) {
         0x05: [DebuggerX86.INS.LOADALL,DebuggerX86.TYPE_80286],
         0x06: [DebuggerX86.INS.CLTS,   DebuggerX86.TYPE_80286],
         0x07: [DebuggerX86.INS.LOADALL,DebuggerX86.TYPE_80386],   // TODO: implied operand is ES:[(E)DI]
+        0x08: [DebuggerX86.INS.INVD,   DebuggerX86.TYPE_80486],
+        0x09: [DebuggerX86.INS.WBINVD, DebuggerX86.TYPE_80486],
         0x20: [DebuggerX86.INS.MOV,    DebuggerX86.TYPE_MODREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_CTLREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_IN],
         0x21: [DebuggerX86.INS.MOV,    DebuggerX86.TYPE_MODREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_DBGREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_IN],
         0x22: [DebuggerX86.INS.MOV,    DebuggerX86.TYPE_CTLREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_IN],
@@ -7522,6 +7529,7 @@ if (DEBUGGER) {
         0x9F: [DebuggerX86.INS.SETG,   DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386],
         0xA0: [DebuggerX86.INS.PUSH,   DebuggerX86.TYPE_FS     | DebuggerX86.TYPE_IN    | DebuggerX86.TYPE_80386],
         0xA1: [DebuggerX86.INS.POP,    DebuggerX86.TYPE_FS     | DebuggerX86.TYPE_OUT   | DebuggerX86.TYPE_80386],
+        0xA2: [DebuggerX86.INS.CPUID,  DebuggerX86.TYPE_80486],
         0xA3: [DebuggerX86.INS.BT,     DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN   | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN],
         0xA4: [DebuggerX86.INS.SHLD,   DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
         0xA5: [DebuggerX86.INS.SHLD,   DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN, DebuggerX86.TYPE_CL  | DebuggerX86.TYPE_IN],
@@ -7533,6 +7541,8 @@ if (DEBUGGER) {
         0xAC: [DebuggerX86.INS.SHRD,   DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
         0xAD: [DebuggerX86.INS.SHRD,   DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN, DebuggerX86.TYPE_CL  | DebuggerX86.TYPE_IN],
         0xAF: [DebuggerX86.INS.IMUL,   DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN],
+        0xB0: [DebuggerX86.INS.CMPXCHG,DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80486, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_IN],
+        0xB1: [DebuggerX86.INS.CMPXCHG,DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80486, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN],
         0xB2: [DebuggerX86.INS.LSS,    DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT,                           DebuggerX86.TYPE_MODMEM | DebuggerX86.TYPE_SEGP  | DebuggerX86.TYPE_IN],
         0xB3: [DebuggerX86.INS.BTR,    DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN],
         0xB4: [DebuggerX86.INS.LFS,    DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT,                           DebuggerX86.TYPE_MODMEM | DebuggerX86.TYPE_SEGP  | DebuggerX86.TYPE_IN],
@@ -7544,7 +7554,17 @@ if (DEBUGGER) {
         0xBC: [DebuggerX86.INS.BSF,    DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN],
         0xBD: [DebuggerX86.INS.BSR,    DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN],
         0xBE: [DebuggerX86.INS.MOVSX,  DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_IN],
-        0xBF: [DebuggerX86.INS.MOVSX,  DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_SHORT | DebuggerX86.TYPE_IN]
+        0xBF: [DebuggerX86.INS.MOVSX,  DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_SHORT | DebuggerX86.TYPE_IN],
+        0xC0: [DebuggerX86.INS.XADD,   DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80486, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_BOTH],
+        0xC1: [DebuggerX86.INS.XADD,   DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80486, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH],
+        0xC8: [DebuggerX86.INS.BSWAP,  DebuggerX86.TYPE_AX     | DebuggerX86.TYPE_BOTH  | DebuggerX86.TYPE_80486],
+        0xC9: [DebuggerX86.INS.BSWAP,  DebuggerX86.TYPE_CX     | DebuggerX86.TYPE_BOTH  | DebuggerX86.TYPE_80486],
+        0xCA: [DebuggerX86.INS.BSWAP,  DebuggerX86.TYPE_DX     | DebuggerX86.TYPE_BOTH  | DebuggerX86.TYPE_80486],
+        0xCB: [DebuggerX86.INS.BSWAP,  DebuggerX86.TYPE_BX     | DebuggerX86.TYPE_BOTH  | DebuggerX86.TYPE_80486],
+        0xCC: [DebuggerX86.INS.BSWAP,  DebuggerX86.TYPE_SP     | DebuggerX86.TYPE_BOTH  | DebuggerX86.TYPE_80486],
+        0xCD: [DebuggerX86.INS.BSWAP,  DebuggerX86.TYPE_BP     | DebuggerX86.TYPE_BOTH  | DebuggerX86.TYPE_80486],
+        0xCE: [DebuggerX86.INS.BSWAP,  DebuggerX86.TYPE_SI     | DebuggerX86.TYPE_BOTH  | DebuggerX86.TYPE_80486],
+        0xCF: [DebuggerX86.INS.BSWAP,  DebuggerX86.TYPE_DI     | DebuggerX86.TYPE_BOTH  | DebuggerX86.TYPE_80486]
     };
 
     /*
@@ -7857,7 +7877,7 @@ if (DEBUGGER) {
         [DebuggerX86.INS.SMSW, DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_SHORT| DebuggerX86.TYPE_OUT | DebuggerX86.TYPE_80286],
          DebuggerX86.aOpDescUndefined,
         [DebuggerX86.INS.LMSW, DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_SHORT| DebuggerX86.TYPE_IN  | DebuggerX86.TYPE_80286],
-         DebuggerX86.aOpDescUndefined
+        [DebuggerX86.INS.INVLPG, DebuggerX86.TYPE_MODMEM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN | DebuggerX86.TYPE_80486]
       ],
       [
         /* GRP8 */
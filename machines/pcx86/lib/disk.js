@@ -171,6 +171,16 @@ if (typeof module !== "undefined") {
  * then fDirty is set back to true and again all modifications remain in place; the best we can do is schedule another
  * write attempt.
  *
+ * Sectors from copy-protected disks may also contain "weak" (aka "fuzzy") bits, which real hardware reads back
+ * differently every time.  Such sectors can include either (or both) of the following properties:
+ *
+ *      [DATA_VARIANTS]:    array of alternate DATA arrays; successive reads cycle through DATA and then each variant
+ *      [DATA_WEAK]:        array of dword masks, laid out like DATA; every bit that is set reads back randomly
+ *
+ * The FDC calls nextRead() at the start of every sector read, which selects the variant for that read (iVariant),
+ * and read() applies the weak-bit mask to every byte it returns.  Writing a sector removes both properties, since
+ * the new data is recorded normally.
+ *
  * TODO: Perhaps we should also maintain a failure count and stop trying to write sectors that reach a certain
  * threshold.  Error-handling, as usual, is the thorniest problem.
  *
@@ -195,6 +205,9 @@ if (typeof module !== "undefined") {
  * @property {number} dataMark
  * @property {number} headCRC
  * @property {boolean} headError
+ * @property {Array.<Array.<number>>} dataVariants (alternate arrays of 32-bit values)
+ * @property {Array.<number>} dataWeak (array of 32-bit weak-bit masks)
+ * @property {number} iVariant (for internal use only)
  * @property {number} iModify (for internal use only)
  * @property {number} cModify (for internal use only)
  * @property {boolean} fDirty (for internal use only)
@@ -281,6 +294,8 @@ class Disk extends Component {
         this.sDiskName = drive.name;
         this.fRemovable = drive.fRemovable;
         this.fOnDemand = this.fRemote = false;
+        this.fStream = false;               // set by doneLoadStream() if the disk's sectors are being streamed on demand
+        this.fVHD = false;                  // set by buildDisk() if the disk was built from a VHD image
 
         /*
          * Initialize the disk contents
@@ -530,6 +545,7 @@ class Disk extends Component {
         this.sDiskPath = sDiskPath;
         this.sDiskFile = Str.getBaseName(sDiskPath);
         this.sFormat = "json";
+        this.fStream = false;
 
         let disk = this;
         this.fnNotify = fnNotify;
@@ -564,6 +580,8 @@ class Disk extends Component {
                 if (this.mode == DiskAPI.MODE.DEMANDRW || this.mode == DiskAPI.MODE.DEMANDRO) {
                     sDiskURL = this.connectRemoteDisk(sDiskPath);
                     this.fOnDemand = true;
+                } else if (this.mode == DiskAPI.MODE.STREAM) {
+                    return this.loadStream(sDiskURL);
                 } else {
                     this.sFormat = "arraybuffer";
                 }
@@ -609,6 +627,209 @@ class Disk extends Component {
         });
     }
 
+    /**
+     * loadStream(sDiskURL)
+     *
+     * Instead of waiting for an entire (raw) disk image to load, we request only the first chunk of the image (which
+     * also tells us the size of the entire image), and the remaining chunks are requested as their sectors are needed;
+     * see readStreamSector().  This works with any server that supports HTTP Range requests, and if the server ignores
+     * the Range request, then we simply end up with the entire image, as if the disk had been preloaded.
+     *
+     * @this {Disk}
+     * @param {string} sDiskURL
+     * @return {boolean} true if load completed (successfully or not), false if queued
+     */
+    loadStream(sDiskURL)
+    {
+        let disk = this;
+        this.sFormat = "arraybuffer";
+        this.println("Loading " + sDiskURL + "...", Component.PRINT.PROGRESS);
+        Web.getResourceRange(sDiskURL, 0, Disk.STREAM.CHUNK_SIZE, true, function loadStreamDone(sURL, resource, nErrorCode, cbTotal, offResource) {
+            disk.doneLoadStream(sURL, resource, nErrorCode, cbTotal, offResource);
+        });
+        return false;
+    }
+
+    /**
+     * doneLoadStream(sURL, resource, nErrorCode, cbTotal, offResource)
+     *
+     * The image size must match either a standard disk geometry or the drive's own geometry; otherwise (eg, if the
+     * image is a VHD image), we fall back to preloading the entire image.
+     *
+     * @this {Disk}
+     * @param {string} sURL
+     * @param {ArrayBuffer} resource
+     * @param {number} nErrorCode
+     * @param {number} cbTotal
+     * @param {number} offResource
+     */
+    doneLoadStream(sURL, resource, nErrorCode, cbTotal, offResource)
+    {
+        if (nErrorCode) {
+            this.doneLoad(sURL, resource, nErrorCode);
+            return;
+        }
+        if (!offResource && resource.byteLength >= cbTotal) {
+            this.buildDisk(resource);
+            return;
+        }
+        let drive = this.drive;
+        let diskFormat = DiskAPI.GEOMETRIES[cbTotal];
+        if (!diskFormat && drive.nCylinders * drive.nHeads * drive.nSectors * drive.cbSector == cbTotal) {
+            diskFormat = [drive.nCylinders, drive.nHeads, drive.nSectors, drive.cbSector];
+        }
+        if (!diskFormat) {
+            let disk = this;
+            Web.getResource(sURL, this.sFormat, true, function loadDone(sURL, sResponse, nErrorCode) {
+                disk.doneLoad(sURL, sResponse, nErrorCode);
+            });
+            return;
+        }
+        if (DEBUG && this.messageEnabled()) {
+            this.printMessage('doneLoadStream("' + this.sDiskPath + '"): ' + cbTotal + ' bytes');
+        }
+        this.create(this.mode, diskFormat[0], diskFormat[1], diskFormat[2], diskFormat[3] || 512);
+        this.sDiskURL = sURL;
+        this.fStream = true;
+        this.fWriteProtected = false;
+        this.aStreamChunks = [];            // sparse array of loaded chunks (true if the chunk's sectors are loaded)
+        this.aStreamMRU = [];               // array of loaded chunk indexes, starting with the most-recently-used
+        this.aStreamPending = [];           // sparse array of callback arrays for chunks with requests in progress
+        this.iStreamChunkLast = 0;          // the last chunk requested by readStreamSector(), for prefetch purposes
+        this.fillStreamChunk(0, resource, offResource);
+        if (this.fnNotify) {
+            this.fnNotify.call(this.controllerNotify, this.drive, this, this.sDiskName, this.sDiskPath);
+            this.fnNotify = null;
+        }
+    }
+
+    /**
+     * fillStreamChunk(iChunk, resource, offResource)
+     *
+     * Fills every unloaded sector in the specified chunk from the given resource, and then updates the chunk cache,
+     * unloading the sectors of the least-recently-used chunk if the cache is full.  Sectors that have been modified
+     * (or that were never loaded because they were being written) are never filled or unloaded.
+     *
+     * @this {Disk}
+     * @param {number} iChunk
+     * @param {ArrayBuffer} resource
+     * @param {number} offResource (offset of the resource data within the entire disk image)
+     */
+    fillStreamChunk(iChunk, resource, offResource)
+    {
+        let ab = new Uint8Array(resource);
+        let nSectorsPerChunk = Disk.STREAM.CHUNK_SIZE / this.cbSector;
+        let lba = iChunk * nSectorsPerChunk;
+        for (let i = 0; i < nSectorsPerChunk; i++, lba++) {
+            let sector = this.getStreamSector(lba);
+            if (!sector) break;
+            let off = lba * this.cbSector - offResource;
+            if (off + this.cbSector > ab.length) break;
+            if (sector[Disk.SECTOR.PATTERN] === null) {
+                this.fill(sector, ab, off);
+                sector[Disk.SECTOR.PATTERN] = 0;
+            }
+        }
+        let i = this.aStreamMRU.indexOf(iChunk);
+        if (i >= 0) this.aStreamMRU.splice(i, 1);
+        this.aStreamMRU.unshift(iChunk);
+        this.aStreamChunks[iChunk] = true;
+        if (this.aStreamMRU.length > Disk.STREAM.CACHE_CHUNKS) {
+            let iChunkOld = this.aStreamMRU.pop();
+            lba = iChunkOld * nSectorsPerChunk;
+            for (i = 0; i < nSectorsPerChunk; i++, lba++) {
+                let sector = this.getStreamSector(lba);
+                if (!sector) break;
+                if (!sector.cModify && sector[Disk.SECTOR.PATTERN] !== null) {
+                    sector[Disk.SECTOR.DATA] = [];
+                    sector[Disk.SECTOR.PATTERN] = null;
+                }
+            }
+            this.aStreamChunks[iChunkOld] = false;
+        }
+    }
+
+    /**
+     * getStreamSector(lba)
+     *
+     * Unlike getSector(), this returns the sector object directly, without any seek() side-effects.
+     *
+     * @this {Disk}
+     * @param {number} lba
+     * @return {Sector|null}
+     */
+    getStreamSector(lba)
+    {
+        let iSector = lba % this.nSectors;
+        let iHead = ((lba / this.nSectors) | 0) % this.nHeads;
+        let iCylinder = (lba / (this.nSectors * this.nHeads)) | 0;
+        return (iCylinder < this.aDiskData.length && this.aDiskData[iCylinder][iHead][iSector]) || null;
+    }
+
+    /**
+     * readStreamSector(iCylinder, iHead, iSector, fAsync, done)
+     *
+     * Requests the chunk containing the specified sector, and if the request is the next chunk after the previously
+     * requested chunk, we assume the disk is being read sequentially and also request (asynchronously) the next
+     * Disk.STREAM.PREFETCH chunks that aren't already loaded.
+     *
+     * @this {Disk}
+     * @param {number} iCylinder
+     * @param {number} iHead
+     * @param {number} iSector
+     * @param {boolean} fAsync
+     * @param {function(number,boolean)} [done]
+     */
+    readStreamSector(iCylinder, iHead, iSector, fAsync, done)
+    {
+        let lba = ((iCylinder * this.nHeads) + iHead) * this.nSectors + iSector - 1;
+        let iChunk = Math.floor(lba * this.cbSector / Disk.STREAM.CHUNK_SIZE);
+        if (DEBUG && this.messageEnabled()) {
+            this.printMessage("readStreamSector(CHS=" + iCylinder + ':' + iHead + ':' + iSector + "): chunk " + iChunk);
+        }
+        this.readStreamChunk(iChunk, fAsync, done);
+        if (iChunk == this.iStreamChunkLast + 1) {
+            let nChunks = Math.ceil(this.nCylinders * this.nHeads * this.nSectors * this.cbSector / Disk.STREAM.CHUNK_SIZE);
+            for (let i = 1; i <= Disk.STREAM.PREFETCH && iChunk + i < nChunks; i++) {
+                if (!this.aStreamChunks[iChunk + i]) this.readStreamChunk(iChunk + i, true);
+            }
+        }
+        this.iStreamChunkLast = iChunk;
+    }
+
+    /**
+     * readStreamChunk(iChunk, fAsync, done)
+     *
+     * If an asynchronous request for the same chunk is already in progress, then an asynchronous caller simply waits
+     * for that request to finish; a synchronous caller can't wait, so it issues its own request.
+     *
+     * @this {Disk}
+     * @param {number} iChunk
+     * @param {boolean} fAsync
+     * @param {function(number,boolean)} [done]
+     */
+    readStreamChunk(iChunk, fAsync, done)
+    {
+        let aCallbacks = this.aStreamPending[iChunk];
+        if (aCallbacks && fAsync) {
+            if (done) aCallbacks.push(done);
+            return;
+        }
+        aCallbacks = [];
+        if (done) aCallbacks.push(done);
+        if (fAsync) this.aStreamPending[iChunk] = aCallbacks;
+        let disk = this;
+        Web.getResourceRange(this.sDiskURL, iChunk * Disk.STREAM.CHUNK_SIZE, Disk.STREAM.CHUNK_SIZE, fAsync, function(sURL, resource, nErrorCode, cbTotal, offResource) {
+            if (!nErrorCode) {
+                disk.fillStreamChunk(iChunk, resource, offResource);
+            } else if (DEBUG && disk.messageEnabled()) {
+                disk.printMessage("readStreamChunk(" + iChunk + ") returned error " + nErrorCode);
+            }
+            if (fAsync) disk.aStreamPending[iChunk] = null;
+            for (let i = 0; i < aCallbacks.length; i++) aCallbacks[i](nErrorCode, fAsync);
+        });
+    }
+
     /**
      * buildDisk(buffer, fModified, message)
      *
@@ -625,6 +846,20 @@ class Disk extends Component {
         let cbDiskData = buffer? buffer.byteLength : 0;
         let diskFormat = DiskAPI.GEOMETRIES[cbDiskData];
 
+        /*
+         * If the buffer isn't a recognized raw disk image, it may be a VHD image, which records its own geometry.
+         */
+        this.fVHD = false;
+        if (!diskFormat && cbDiskData) {
+            let vhd = this.convertVHD(buffer);
+            if (vhd) {
+                buffer = vhd.buffer;
+                cbDiskData = buffer.byteLength;
+                diskFormat = vhd.geometry;
+                this.fVHD = true;
+            }
+        }
+
         if (diskFormat) {
             this.nCylinders = diskFormat[0];
             this.nHeads = diskFormat[1];
@@ -664,6 +899,89 @@ class Disk extends Component {
         }
     }
 
+    /**
+     * convertVHD(buffer)
+     *
+     * If the given ArrayBuffer contains a fixed or dynamic VHD (Virtual Hard Disk) image, return the raw disk data,
+     * along with a geometry (in the same [cylinders, heads, sectors/track] form as DiskAPI.GEOMETRIES).  The disk data
+     * of a fixed VHD simply precedes a 512-byte footer, whereas a dynamic VHD contains a dynamic disk header that points
+     * to a Block Allocation Table (BAT), which in turn points to the blocks of the disk that have actually been allocated.
+     *
+     * We prefer the footer's geometry, as long as it accounts for the entire disk; otherwise, we use the drive's geometry
+     * if it's a match, followed by any matching DiskAPI.GEOMETRIES entry, and finally the footer's geometry regardless.
+     *
+     * @this {Disk}
+     * @param {ArrayBuffer} buffer
+     * @return {Object|null} (an object with 'buffer' and 'geometry' properties, or null if not a supported VHD image)
+     */
+    convertVHD(buffer)
+    {
+        let cbFile = buffer.byteLength;
+        let dv = new DataView(buffer, 0, cbFile);
+        let getCookie = function(off) {
+            let s = "";
+            for (let i = 0; i < 8 && off >= 0 && off + i < cbFile; i++) s += String.fromCharCode(dv.getUint8(off + i));
+            return s;
+        };
+        let getSize = function(off) {
+            return dv.getUint32(off) * 0x100000000 + dv.getUint32(off + 4);
+        };
+
+        let offFooter = cbFile - 512;
+        if (getCookie(offFooter) != "conectix") {
+            if (getCookie(offFooter + 1) == "conectix") {
+                offFooter++;            // older Virtual PC images used a 511-byte footer
+            } else if (getCookie(0) == "conectix") {
+                offFooter = 0;          // the footer copy at the start of a dynamic VHD will suffice
+            } else {
+                return null;
+            }
+        }
+
+        let cbData = getSize(offFooter + 0x30);
+        let geometry = [dv.getUint16(offFooter + 0x38), dv.getUint8(offFooter + 0x3A), dv.getUint8(offFooter + 0x3B)];
+        let type = dv.getUint32(offFooter + 0x3C);
+        let abData;
+
+        if (type == 2) {                // fixed VHD
+            if (cbData > offFooter) return null;
+            abData = buffer.slice(0, cbData);
+        }
+        else if (type == 3) {           // dynamic VHD
+            let offHeader = getSize(offFooter + 0x10);
+            if (getCookie(offHeader) != "cxsparse") return null;
+            let offBAT = getSize(offHeader + 0x10);
+            let nEntries = dv.getUint32(offHeader + 0x1C);
+            let cbBlock = dv.getUint32(offHeader + 0x20);
+            let cbBitmap = Math.ceil(cbBlock / 512 / 8 / 512) * 512;
+            abData = new ArrayBuffer(cbData);
+            let ab = new Uint8Array(abData);
+            for (let iBlock = 0; iBlock < nEntries && iBlock * cbBlock < cbData; iBlock++) {
+                let lba = dv.getUint32(offBAT + iBlock * 4);
+                if (lba == 0xFFFFFFFF) continue;
+                let off = lba * 512 + cbBitmap;
+                let cb = Math.min(cbBlock, cbData - iBlock * cbBlock);
+                if (off + cb > cbFile) return null;
+                ab.set(new Uint8Array(buffer, off, cb), iBlock * cbBlock);
+            }
+        }
+        else {
+            return null;
+        }
+
+        let drive = this.drive;
+        if (geometry[0] * geometry[1] * geometry[2] * 512 != cbData) {
+            if (drive && drive.nCylinders * drive.nHeads * drive.nSectors * drive.cbSector == cbData) {
+                geometry = [drive.nCylinders, drive.nHeads, drive.nSectors, drive.cbSector];
+            } else if (DiskAPI.GEOMETRIES[cbData]) {
+                geometry = DiskAPI.GEOMETRIES[cbData];
+            } else if (!geometry[0] || !geometry[1] || !geometry[2] || geometry[0] * geometry[1] * geometry[2] * 512 > cbData) {
+                return null;
+            }
+        }
+        return {buffer: abData, geometry: geometry};
+    }
+
     /**
      * doneLoad(sURL, imageData, nErrorCode)
      *
@@ -916,6 +1234,16 @@ class Disk extends Component {
 
                                 this.initSector(sector, iCylinder, iHead, idSector, this.cbSector, dwPattern);
 
+                                /*
+                                 * Any read variants and weak-bit masks use the same compressed format as the sector data,
+                                 * so we fully "inflate" those now, since they're rare and read() needs no patterns for them.
+                                 */
+                                let variants = sector[Disk.SECTOR.DATA_VARIANTS];
+                                if (variants) {
+                                    for (let i = 0; i < variants.length; i++) this.inflateData(variants[i], length);
+                                }
+                                if (sector[Disk.SECTOR.DATA_WEAK]) this.inflateData(sector[Disk.SECTOR.DATA_WEAK], length);
+
                                 /*
                                  * For the disk as a whole, we maintain a checksum of the original unmodified data:
                                  *
@@ -1628,6 +1956,14 @@ class Disk extends Component {
                                  * sector, then we shouldn't need to read it from the server; assume a zero pattern and return.
                                  */
                                 sector[Disk.SECTOR.PATTERN] = 0;
+                            } else if (this.fStream) {
+                                this.readStreamSector(iCylinder, iHead, iSector, done != null, function onReadStreamComplete(err, fAsync) {
+                                    if (err) sector = null;
+                                    if (done) { //noinspection JSReferencingMutableVariableFromClosure
+                                        done(sector, fAsync);
+                                    }
+                                });
+                                return done? null : sector;
                             } else {
                                 let nSectors = 1;
                                 /*
@@ -1715,9 +2051,47 @@ class Disk extends Component {
         return ab;
     }
 
+    /**
+     * inflateData(adw, cb)
+     *
+     * Expands a compressed array of dwords (where the last value is repeated) to the given length, in bytes.
+     *
+     * @this {Disk}
+     * @param {Array.<number>} adw
+     * @param {number} cb
+     */
+    inflateData(adw, cb)
+    {
+        let dw = adw.length? adw[adw.length - 1] : 0;
+        for (let idw = adw.length; idw < (cb >> 2); idw++) adw[idw] = dw;
+    }
+
+    /**
+     * nextRead(sector)
+     *
+     * Called by the FDC at the start of every read of the given sector, so that sectors with read variants return
+     * the next variant (starting with the sector's own data); see read() for weak-bit masks, which are applied on
+     * every read.
+     *
+     * @this {Disk}
+     * @param {Sector} sector (returned from a previous seek)
+     */
+    nextRead(sector)
+    {
+        let variants = sector[Disk.SECTOR.DATA_VARIANTS];
+        if (variants) {
+            sector.iVariant = (sector.iVariant === undefined? 0 : (sector.iVariant + 1) % (variants.length + 1));
+            if (DEBUG && this.messageEnabled()) {
+                this.printMessage('nextRead("' + this.sDiskFile + '",CHS=' + sector[Disk.SECTOR.CYLINDER] + ':' + sector[Disk.SECTOR.HEAD] + ':' + sector[Disk.SECTOR.ID] + '): variant ' + sector.iVariant);
+            }
+        }
+    }
+
     /**
      * read(sector, iByte, fCompare)
      *
+     * Write-compare reads always return the sector's own data, ignoring any read variants and weak bits.
+     *
      * @this {Disk}
      * @param {Sector} sector (returned from a previous seek)
      * @param {number} iByte (byte index within the given sector)
@@ -1734,13 +2108,40 @@ class Disk extends Component {
             if (iByte < sector[Disk.SECTOR.LENGTH]) {
                 let adw = sector[Disk.SECTOR.DATA];
                 let idw = iByte >> 2;
-                let dw = (idw < adw.length ? adw[idw] : sector[Disk.SECTOR.PATTERN]);
-                b = ((dw >> ((iByte & 0x3) << 3)) & 0xff);
+                let nShift = (iByte & 0x3) << 3;
+                if (sector.iVariant && !fCompare) {
+                    b = ((sector[Disk.SECTOR.DATA_VARIANTS][sector.iVariant - 1][idw] >> nShift) & 0xff);
+                } else {
+                    let dw = (idw < adw.length ? adw[idw] : sector[Disk.SECTOR.PATTERN]);
+                    b = ((dw >> nShift) & 0xff);
+                }
+                let adwWeak = sector[Disk.SECTOR.DATA_WEAK];
+                if (adwWeak && !fCompare) {
+                    let bMask = (adwWeak[idw] >> nShift) & 0xff;
+                    if (bMask) b = (b & ~bMask) | (Math.floor(Math.random() * 256) & bMask);
+                }
             }
         }
         return b;
     }
 
+    /**
+     * clearVariants(sector)
+     *
+     * Once a sector has been modified, it's no longer "weak", so any read variants and weak-bit masks are removed.
+     *
+     * @this {Disk}
+     * @param {Sector} sector
+     */
+    clearVariants(sector)
+    {
+        if (sector[Disk.SECTOR.DATA_VARIANTS] || sector[Disk.SECTOR.DATA_WEAK]) {
+            delete sector[Disk.SECTOR.DATA_VARIANTS];
+            delete sector[Disk.SECTOR.DATA_WEAK];
+            delete sector.iVariant;
+        }
+    }
+
     /**
      * write(sector, iByte, b)
      *
@@ -1781,6 +2182,7 @@ class Disk extends Component {
                     sector.cModify += idw - (sector.iModify + sector.cModify) + 1;
                 }
                 adw[idw] = (adw[idw] & ~(0xff << nShift)) | (b << nShift);
+                this.clearVariants(sector);
 
                 if (this.fRemote) this.queueDirtySector(sector, true);
             }
@@ -1978,6 +2380,13 @@ class Disk extends Component {
                 let iModifyLimit = iModify + mods.length;
                 let sector = this.aDiskData[iCylinder][iHead][iSector];
                 if (!sector) continue;
+                /*
+                 * If this is a streamed disk, the sector may not have been loaded yet, and since the modifications may
+                 * not cover the entire sector, we must load it now (seek() will do that for us, synchronously).
+                 */
+                if (this.fStream && sector[Disk.SECTOR.PATTERN] === null) {
+                    this.seek(iCylinder, iHead, sector[Disk.SECTOR.ID]);
+                }
                 /*
                  * Since write() now deals with empty/partial sectors, we no longer need to completely "inflate"
                  * the sector prior to applying modifications.  So let's just make sure that the sector is "inflated"
@@ -1993,6 +2402,7 @@ class Disk extends Component {
                 while (iModify < iModifyLimit) {
                     sector[Disk.SECTOR.DATA][iModify++] = mods[n++];
                 }
+                this.clearVariants(sector);
                 nChanges++;
             }
         }
@@ -2164,7 +2574,20 @@ Disk.SECTOR = {
     DATA_ERROR: 'dataError',
     DATA_MARK:  'dataMark',
     HEAD_CRC:   'headCRC',
-    HEAD_ERROR: 'headError'
+    HEAD_ERROR: 'headError',
+    DATA_VARIANTS: 'dataVariants',  // array of alternate DATA arrays, returned by successive reads (for "weak" sectors)
+    DATA_WEAK:  'dataWeak'          // array of dword masks, laid out like DATA, of bits that read back randomly
+};
+
+/**
+ * Streamed disk images (see DiskAPI.MODE.STREAM) are requested in chunks of CHUNK_SIZE bytes, up to CACHE_CHUNKS
+ * chunks remain loaded at any time (unmodified sectors in older chunks are unloaded, to be requested again as needed),
+ * and whenever a disk appears to be read sequentially, the next PREFETCH chunks are requested in advance.
+ */
+Disk.STREAM = {
+    CHUNK_SIZE:     65536,
+    CACHE_CHUNKS:   256,                // 16Mb
+    PREFETCH:       2
 };
 
 /**
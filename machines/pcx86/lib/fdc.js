@@ -2871,6 +2871,9 @@ class FDC extends Component {
          * So we simply set resCode to CRC_ERROR as soon as we notice a sector with *dataError* set, and we no
          * longer bypass the entire operation simply because resCode has been set to that value.
          *
+         * Sectors with "weak" bits (see *dataVariants* and *dataWeak*) must return different data on every read,
+         * so we also notify the Disk object every time we start reading a sector (see nextRead()).
+         *
          * TODO: Someday all possible FDC error conditions need to be tested on a real controller, because this
          * code is becoming a bit too crufty.
          */
@@ -2895,6 +2898,7 @@ class FDC extends Component {
                 if (drive.sector['dataError']) {
                     drive.resCode = FDC.REG_DATA.RES.CRC_ERROR | FDC.REG_DATA.RES.INCOMPLETE;
                 }
+                drive.disk.nextRead(drive.sector);
                 drive.iByte = 0;
                 /*
                  * We "pre-advance" bSector et al now, instead of waiting to advance it right before the seek().
@@ -387,6 +387,9 @@ class FPUx86 extends Component {
     /**
      * checkException()
      *
+     * On an 80486 with CR0.NE set, an unmasked exception is no longer reported by requesting an interrupt (IRQ 13);
+     * instead, the next waiting FPU instruction (or WAIT) generates MF_FAULT (see checkMathFault()).
+     *
      * @this {FPUx86}
      * @return {boolean} (true if unmasked exception exists, false if not)
      */
@@ -406,13 +409,47 @@ class FPUx86 extends Component {
             this.regStatus |= X86.FPU.STATUS.ES;    // set ES whenever one or more unmasked EXC bits are set
         }
         if ((this.regStatus & X86.FPU.STATUS.ES) && !(this.regControl & X86.FPU.CONTROL.IEM)) {
-            this.chipset.setFPUInterrupt();
+            if (this.isNativeError()) {
+                this.chipset.clearFPUInterrupt();
+            } else {
+                this.chipset.setFPUInterrupt();
+            }
             return true;
         }
         this.chipset.clearFPUInterrupt();
         return false;
     }
 
+    /**
+     * checkMathFault()
+     *
+     * Called before every waiting FPU instruction (and WAIT), to generate MF_FAULT if an unmasked exception is pending
+     * and errors are being reported natively (see isNativeError()).
+     *
+     * @this {FPUx86}
+     * @return {boolean} (true if MF_FAULT was generated, false if not)
+     */
+    checkMathFault()
+    {
+        if (this.isNativeError() && (this.regStatus & X86.FPU.STATUS.ES) && !(this.regControl & X86.FPU.CONTROL.IEM)) {
+            X86.helpFault.call(this.cpu, X86.EXCEPTION.MF_FAULT);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * isNativeError()
+     *
+     * @this {FPUx86}
+     * @return {boolean} (true if FPU errors are reported with MF_FAULT, false if they're reported with IRQ 13)
+     */
+    isNativeError()
+    {
+        let cpu = this.cpu;
+        return cpu.model >= X86.MODEL_80486 && !!(cpu.regCR0 & X86.CR0.NE);
+    }
+
     /**
      * setException(n)
      *
@@ -1398,6 +1435,10 @@ class FPUx86 extends Component {
 
         let fnOp = FPUx86.aaOps[bOpcode][modReg];
         if (fnOp) {
+            /*
+             * Any pending (unmasked) exception must be reported before a waiting instruction can execute.
+             */
+            if (FPUx86.afnNoWait.indexOf(fnOp) < 0 && this.checkMathFault()) return;
             /*
              * A handful of FPU instructions must preserve (at least some of) the "exception" registers,
              * so if the current function is NOT one of those, then update all the "exception" registers.
@@ -1446,13 +1487,15 @@ class FPUx86 extends Component {
      * but technically, it's the same opcode.
      *
      * If we choose to do nothing, then we must return false, so that the CPU can charge a default number of cycles.
+     * The only thing we do at the moment is generate MF_FAULT if there's a pending exception that requires it, in which
+     * case helpFault() has charged the cycles.
      *
      * @this {FPUx86}
      * @return {boolean} true if implemented, false if not
      */
     opWAIT()
     {
-        return false;
+        return this.checkMathFault();
     }
 
     /**
@@ -3346,6 +3389,14 @@ FPUx86.afnPreserveExceptions = [
     FPUx86.FSAVE,   FPUx86.FSTCW,   FPUx86.FSTENV,  FPUx86.FSTSW,   FPUx86.FSTSWAX287
 ];
 
+/*
+ * An array of FPUx86 functions for the "no-wait" (FN) instructions, which don't report pending exceptions.
+ */
+FPUx86.afnNoWait = [
+    FPUx86.FCLEX,   FPUx86.FINIT,   FPUx86.FSAVE,   FPUx86.FSTCW,   FPUx86.FSTENV,
+    FPUx86.FSTSW,   FPUx86.FSTSWAX287,      FPUx86.FENI8087,    FPUx86.FDISI8087,   FPUx86.FSETPM287
+];
+
 /*
  * Initialize every FPU module on the page
  */
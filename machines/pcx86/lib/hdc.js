@@ -28,7 +28,7 @@ if (typeof module !== "undefined") {
  * @property {string} path
  * @property {number} type
  * @property {number} size (for custom disk geometries; not yet implemented)
- * @property {string} mode (for enabling on-demand disk I/O with special server APIs; not currently used)
+ * @property {string} mode (for enabling on-demand disk I/O; eg, "stream" to load raw disk images in chunks, as needed)
  */
 
 /**
@@ -61,6 +61,7 @@ if (typeof module !== "undefined") {
  * @property {boolean} useBuffer (true if buffer rather than sector must be used; make sure initBuffer() has been called)
  * @property {Array} chunksCached (sparse array of cached chunks)
  * @property {Array} chunksMRU (array of cached chunk indexes, starting with the most-recently-used; capped at 128 entries)
+ * @property {string} [sVolumeLabel] (ATAPI drives only; volume ID of the selected ISO 9660 disc, if any)
  */
 
 /**
@@ -980,9 +981,49 @@ class HDC extends Component {
     loadSelectedDisk(iDrive, controlDisks)
     {
         let drive = this.aDrives[iDrive];
-        drive.sDiskPath = controlDisks.options[controlDisks.selectedIndex].value;
+        let option = controlDisks.options[controlDisks.selectedIndex];
+        drive.sDiskPath = option.value;
         drive.chunksCached = [];
         drive.chunksMRU = [];
+        drive.sVolumeLabel = "";
+        if (this.fATAPI && drive.sDiskPath) this.readVolumeLabel(drive, option);
+    }
+
+    /**
+     * readVolumeLabel(drive, option)
+     *
+     * CD-ROM images are stored as a series of 32Kb chunks (see the READ packet command), so the ISO 9660 primary
+     * volume descriptor (at LBA 16, or offset 0x8000) is always at the start of the second chunk.  If the descriptor
+     * is valid, its volume ID is saved as the drive's volume label and appended to the disc's name in the drive list.
+     *
+     * @this {HDC}
+     * @param {Drive} drive
+     * @param {HTMLOptionElement} option
+     */
+    readVolumeLabel(drive, option)
+    {
+        let hdc = this;
+        let sDiskPath = drive.sDiskPath;
+        let off = HDC.ATC.ISO.PVD_LBA << 11;
+        Web.getResource(Str.sprintf("%s/x%05d", sDiskPath, off >>> 15), "arraybuffer", true, function(url, data, error) {
+            if (!data || error || drive.sDiskPath != sDiskPath) return;
+            let bytes = new Uint8Array(data);
+            let getString = function(offset, length) {
+                let s = "";
+                for (let i = 0; i < length && offset + i < bytes.length; i++) {
+                    s += String.fromCharCode(bytes[offset + i]);
+                }
+                return s;
+            };
+            off &= 0x7fff;
+            if (bytes[off] != HDC.ATC.ISO.TYPE_PRIMARY || getString(off + 1, 5) != HDC.ATC.ISO.SIGNATURE) return;
+            let sLabel = getString(off + HDC.ATC.ISO.VOLUME_ID, 32).replace(/[\0 ]+$/, "");
+            if (!sLabel) return;
+            drive.sVolumeLabel = sLabel;
+            sLabel = " (" + sLabel + ")";
+            if (option.text.slice(-sLabel.length) != sLabel) option.text += sLabel;
+            if (hdc.messageEnabled()) hdc.printMessage("volume label of " + sDiskPath + ": " + drive.sVolumeLabel);
+        });
     }
 
     /**
@@ -1012,11 +1053,20 @@ class HDC extends Component {
             let aDiskInfo = disk.info();
             if (aDiskInfo[0] != drive.nCylinders || aDiskInfo[1] != drive.nHeads || aDiskInfo[2] != drive.nSectors || aDiskInfo[3] != drive.cbSector) {
                 /*
-                 * TODO: Decide how to deal with this problem; ie, either disallow disk access altogether, or automatically
-                 * map the controller's I/O requests to the disk's geometry.  Also, we should provide a way to reformat such a
-                 * disk so that its geometry matches the controller requirements.
+                 * VHD images record their own geometry, so if there's a drive type with the same geometry, we simply
+                 * switch the drive to that type.
+                 *
+                 * TODO: For other images, decide how to deal with this problem; ie, either disallow disk access altogether,
+                 * or automatically map the controller's I/O requests to the disk's geometry.  Also, we should provide a way
+                 * to reformat such a disk so that its geometry matches the controller requirements.
                  */
-                this.notice("Warning: disk geometry (" + aDiskInfo[0] + ':' + aDiskInfo[1] + ':' + aDiskInfo[2] + ") does not match " + HDC.aDriveTables[this.iDriveTable] + " drive type " + drive.type + " (" + drive.nCylinders + ':' + drive.nHeads + ':' + drive.nSectors + ")");
+                let type = disk.fVHD? this.findDriveType(aDiskInfo[0], aDiskInfo[1], aDiskInfo[2], aDiskInfo[3]) : -1;
+                if (type > 0) {
+                    this.setDriveType(drive, type);
+                    this.notice("Drive " + drive.iDrive + " changed to " + HDC.aDriveTables[this.iDriveTable] + " drive type " + type + " to match disk geometry (" + aDiskInfo[0] + ':' + aDiskInfo[1] + ':' + aDiskInfo[2] + ")", true);
+                } else {
+                    this.notice("Warning: disk geometry (" + aDiskInfo[0] + ':' + aDiskInfo[1] + ':' + aDiskInfo[2] + ") does not match " + HDC.aDriveTables[this.iDriveTable] + " drive type " + drive.type + " (" + drive.nCylinders + ':' + drive.nHeads + ':' + drive.nSectors + ")");
+                }
             }
         }
         if (drive.fAutoMount) {
@@ -1025,6 +1075,60 @@ class HDC extends Component {
         }
     }
 
+    /**
+     * findDriveType(nCylinders, nHeads, nSectors, cbSector)
+     *
+     * @this {HDC}
+     * @param {number} nCylinders
+     * @param {number} nHeads
+     * @param {number} nSectors
+     * @param {number} cbSector
+     * @return {number} matching drive type, or -1 if none
+     */
+    findDriveType(nCylinders, nHeads, nSectors, cbSector)
+    {
+        let driveTypes = HDC.aDriveTypes[this.iDriveTable];
+        for (let type in driveTypes) {
+            let driveType = driveTypes[type];
+            /*
+             * Type 0 is never a fixed disk type (it's an ATAPI drive for ATC controllers, and loadDisk() ignores it regardless).
+             */
+            if (+type && driveType[0] == nCylinders && driveType[1] == nHeads && (driveType[2] || 17) == nSectors && (driveType[3] || 512) == cbSector) {
+                return +type;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * setDriveType(drive, type)
+     *
+     * Changes the type of the specified drive, updating its geometry, the corresponding CMOS drive type (or, for the XTC,
+     * the drive type switches in regConfig), and the drive's configuration, so that the change survives a machine reset.
+     *
+     * @this {HDC}
+     * @param {Drive} drive
+     * @param {number} type
+     */
+    setDriveType(drive, type)
+    {
+        let driveType = HDC.aDriveTypes[this.iDriveTable][type];
+        drive.type = type;
+        drive.nCylinders = driveType[0];
+        drive.nHeads = driveType[1];
+        drive.nSectors = driveType[2] || 17;
+        drive.cbSector = drive.cbTransfer = driveType[3] || 512;
+        if (this.chipset) {
+            this.chipset.setCMOSDriveType(this.nInterface*2+drive.iDrive, type);
+        }
+        if (this.regConfig != null && drive.iDrive <= 1) {
+            let nShift = (1 - drive.iDrive) << 1;
+            this.regConfig = (this.regConfig & ~(0x3 << nShift)) | ((type & 0x3) << nShift);
+        }
+        let driveConfig = this.aDriveConfigs[drive.iDrive];
+        if (driveConfig) driveConfig['type'] = type;
+    }
+
     /**
      * intXTCData(port, addrFrom)
      *
@@ -3671,6 +3775,17 @@ HDC.ATC.PACKET = {
     }
 };
 
+/*
+ * The only parts of an ISO 9660 (CD-ROM) volume that we care about are the signature and volume ID
+ * of the primary volume descriptor (see readVolumeLabel()).
+ */
+HDC.ATC.ISO = {
+    PVD_LBA:            16,         // LBA of the primary volume descriptor
+    TYPE_PRIMARY:       0x01,       // byte 0: volume descriptor type
+    SIGNATURE:          "CD001",    // bytes 1-5
+    VOLUME_ID:          0x28        // 32 bytes, padded with spaces
+};
+
 /*
  * XTC (XT Controller) Registers
  */
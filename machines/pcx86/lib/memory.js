@@ -504,7 +504,7 @@ class MemoryX86 {
     }
 
     /**
-     * setPhysBlock(blockPhys, blockPDE, offPDE, blockPTE, offPTE)
+     * setPhysBlock(blockPhys, blockPDE, offPDE, blockPTE, offPTE, cpu)
      *
      * @this {MemoryX86}
      * @param {MemoryX86} blockPhys
@@ -512,8 +512,9 @@ class MemoryX86 {
      * @param {number} offPDE
      * @param {MemoryX86} blockPTE
      * @param {number} offPTE
+     * @param {CPUx86} [cpu] is required for read-only pages on an 80486, so that the CPU can decide whether writes should fault
      */
-    setPhysBlock(blockPhys, blockPDE, offPDE, blockPTE, offPTE)
+    setPhysBlock(blockPhys, blockPDE, offPDE, blockPTE, offPTE, cpu)
     {
         this.blockPhys = blockPhys;
         this.blockPDE = blockPDE;
@@ -524,8 +525,10 @@ class MemoryX86 {
          * This is an optimization for "normal" pages, installing paged memory handlers that mimic
          * normal memory but also know how to update page tables.  If any of the criteria are not met
          * for these special handlers, we fall back to the slower default "paged" memory handlers.
+         *
+         * Read-only pages always use the slower "paged" handlers, with write handlers that ask the CPU first.
          */
-        if (TYPEDARRAYS && littleEndian && blockPhys.adw && !blockPhys.controller && !blockPhys.cReadBreakpoints && !blockPhys.cWriteBreakpoints) {
+        if (TYPEDARRAYS && littleEndian && !cpu && blockPhys.adw && !blockPhys.controller && !blockPhys.cReadBreakpoints && !blockPhys.cWriteBreakpoints) {
             this.ab = blockPhys.ab;
             this.aw = blockPhys.aw;
             this.adw = blockPhys.adw;
@@ -533,7 +536,12 @@ class MemoryX86 {
         } else {
             this.bitPTEAccessed = blockPhys? MemoryX86.adjustEndian(X86.PTE.ACCESSED) : 0;
             this.bitPTEDirty = blockPhys? MemoryX86.adjustEndian(X86.PTE.ACCESSED | X86.PTE.DIRTY) : 0;
-            this.setAccess(MemoryX86.afnPaged);
+            if (cpu) {
+                this.cpu = cpu;
+                this.setAccess(MemoryX86.afnPagedRO);
+            } else {
+                this.setAccess(MemoryX86.afnPaged);
+            }
         }
     }
 
@@ -1066,6 +1074,45 @@ class MemoryX86 {
         this.blockPhys.writeLong(off, l, addr);
     }
 
+    /**
+     * writeBytePagedRO(off, b, addr)
+     *
+     * @this {MemoryX86}
+     * @param {number} off
+     * @param {number} b
+     * @param {number} addr
+     */
+    writeBytePagedRO(off, b, addr)
+    {
+        if (this.cpu.checkPageWrite(addr)) this.writeBytePaged(off, b, addr);
+    }
+
+    /**
+     * writeShortPagedRO(off, w, addr)
+     *
+     * @this {MemoryX86}
+     * @param {number} off
+     * @param {number} w
+     * @param {number} addr
+     */
+    writeShortPagedRO(off, w, addr)
+    {
+        if (this.cpu.checkPageWrite(addr)) this.writeShortPaged(off, w, addr);
+    }
+
+    /**
+     * writeLongPagedRO(off, l, addr)
+     *
+     * @this {MemoryX86}
+     * @param {number} off
+     * @param {number} l
+     * @param {number} addr
+     */
+    writeLongPagedRO(off, l, addr)
+    {
+        if (this.cpu.checkPageWrite(addr)) this.writeLongPaged(off, l, addr);
+    }
+
     /**
      * readByteUnpaged(off, addr)
      *
@@ -1728,6 +1775,15 @@ if (PAGEBLOCKS) {
         MemoryX86.prototype.writeLongPaged
     ];
 
+    MemoryX86.afnPagedRO = [
+        MemoryX86.prototype.readBytePaged,
+        MemoryX86.prototype.writeBytePagedRO,
+        MemoryX86.prototype.readShortPaged,
+        MemoryX86.prototype.writeShortPagedRO,
+        MemoryX86.prototype.readLongPaged,
+        MemoryX86.prototype.writeLongPagedRO
+    ];
+
     MemoryX86.afnUnpaged = [
         MemoryX86.prototype.readByteUnpaged,
         MemoryX86.prototype.writeByteUnpaged,
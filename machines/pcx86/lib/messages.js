@@ -53,6 +53,7 @@ var Messages = {
     DOS:        0x000100000000,
     EVENT:      0x000200000000,
     KEY:        0x000400000000,
+    SOUND:      0x000800000000,
     WARN:       0x100000000000,
     HALT:       0x200000000000,
     BUFFER:     0x400000000000,
@@ -101,6 +102,7 @@ Messages.CATEGORIES = {
     "serial":   Messages.SERIAL,
     "mouse":    Messages.MOUSE,
     "speaker":  Messages.SPEAKER,
+    "sound":    Messages.SOUND,
     "chipset":  Messages.CHIPSET,
     "video":    Messages.VIDEO,
     "computer": Messages.COMPUTER,
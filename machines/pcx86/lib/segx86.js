@@ -432,6 +432,58 @@ class SegX86 {
         return X86.ADDR_INVALID;
     }
 
+    /**
+     * checkReadAC(off, cb)
+     *
+     * Used in place of checkRead() on an 80486 in protected-mode (and V86-mode); it performs the normal check via
+     * checkReadNoAC() and then generates an AC_FAULT if alignment checking is enabled and the address is misaligned.
+     *
+     * @this {SegX86}
+     * @param {number} off is a segment-relative offset
+     * @param {number} cb is number of bytes to check (1, 2 or 4)
+     * @return {number} corresponding linear address if valid, X86.ADDR_INVALID if not
+     */
+    checkReadAC(off, cb)
+    {
+        let addr = this.checkReadNoAC(off, cb);
+        return this.checkAlignment(addr, cb);
+    }
+
+    /**
+     * checkWriteAC(off, cb)
+     *
+     * @this {SegX86}
+     * @param {number} off is a segment-relative offset
+     * @param {number} cb is number of bytes to check (1, 2 or 4)
+     * @return {number} corresponding linear address if valid, X86.ADDR_INVALID if not
+     */
+    checkWriteAC(off, cb)
+    {
+        let addr = this.checkWriteNoAC(off, cb);
+        return this.checkAlignment(addr, cb);
+    }
+
+    /**
+     * checkAlignment(addr, cb)
+     *
+     * Alignment checks apply only to word and dword accesses at CPL 3, and only when both the AC bit in EFLAGS
+     * and the AM bit in CR0 are set; since those bits can change at any time, we must test them on every access.
+     *
+     * @this {SegX86}
+     * @param {number} addr is a linear address
+     * @param {number} cb is number of bytes to check (1, 2 or 4)
+     * @return {number} addr if valid, X86.ADDR_INVALID if not
+     */
+    checkAlignment(addr, cb)
+    {
+        let cpu = this.cpu;
+        if ((cb == 2 || cb == 4) && (addr & (cb - 1)) && addr !== X86.ADDR_INVALID && cpu.nCPL == 3 && (cpu.regPS & X86.PS.AC) && (cpu.regCR0 & X86.CR0.AM)) {
+            X86.helpFault.call(cpu, X86.EXCEPTION.AC_FAULT, 0);
+            return X86.ADDR_INVALID;
+        }
+        return addr;
+    }
+
     /**
      * checkReadDebugger(off, cb)
      *
@@ -1439,6 +1491,7 @@ class SegX86 {
                 this.offMax = this.limit + 1;
                 this.addrDesc = X86.ADDR_INVALID;
                 this.fStackSwitch = false;
+                this.updateAlignmentCheck();
                 return;
             }
 
@@ -1525,6 +1578,7 @@ class SegX86 {
                 this.sizeAddr = this.sizeData;
                 this.maskAddr = this.maskData;
             }
+            this.updateAlignmentCheck();
             return;
         }
         /*
@@ -1542,6 +1596,25 @@ class SegX86 {
         this.fStackSwitch = false;
     }
 
+    /**
+     * updateAlignmentCheck()
+     *
+     * On an 80486, data and stack accesses in protected-mode (and V86-mode) may be subject to alignment checks,
+     * so we interpose checkReadAC() and checkWriteAC() on whatever check functions updateMode() just selected.
+     * Older processors are left alone, so that they don't pay for a feature they don't have.
+     *
+     * @this {SegX86}
+     */
+    updateAlignmentCheck()
+    {
+        if (this.cpu.model >= X86.MODEL_80486 && this.id >= SegX86.ID.CODE && this.id <= SegX86.ID.STACK) {
+            this.checkReadNoAC = this.checkRead;
+            this.checkWriteNoAC = this.checkWrite;
+            this.checkRead = this.checkReadAC;
+            this.checkWrite = this.checkWriteAC;
+        }
+    }
+
     /**
      * messageSeg(sel, base, limit, type, ext)
      *
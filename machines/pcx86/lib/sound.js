@@ -0,0 +1,1377 @@
+/**
+ * @fileoverview Implements the PCx86 SoundBlaster component (AdLib OPL2 and Sound Blaster DSP)
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+if (typeof module !== "undefined") {
+    var Str         = require("../../shared/lib/strlib");
+    var Web         = require("../../shared/lib/weblib");
+    var Component   = require("../../shared/lib/component");
+    var State       = require("../../shared/lib/state");
+    var PCx86       = require("./defines");
+    var Messages    = require("./messages");
+    var ChipSet     = require("./chipset");
+}
+
+/**
+ * @typedef {Object} Operator
+ * @property {number} mult (index into SoundBlaster.OPL.MULT)
+ * @property {boolean} ksr (key scale rate)
+ * @property {boolean} egt (envelope type: true if sustained, false if percussive)
+ * @property {boolean} vib (vibrato)
+ * @property {boolean} am (tremolo)
+ * @property {number} ksl (key scale level)
+ * @property {number} tl (total level, in 0.75dB steps)
+ * @property {number} ar (attack rate)
+ * @property {number} dr (decay rate)
+ * @property {number} sl (sustain level, in 3dB steps)
+ * @property {number} rr (release rate)
+ * @property {number} ws (waveform select)
+ * @property {number} key (key-on bits: 0x1 from the channel, 0x2 from the rhythm register)
+ * @property {number} state (one of SoundBlaster.OPL.EG)
+ * @property {number} env (current envelope attenuation, in dB)
+ * @property {number} phase (current phase, in cycles)
+ * @property {number} phaseInc (phase increment per sample)
+ * @property {number} attBase (attenuation from TL and KSL, in dB)
+ * @property {number} mulAttack (envelope multiplier per sample during attack; 0 for an instant attack)
+ * @property {number} incDecay (envelope increment per sample during decay)
+ * @property {number} incRelease (envelope increment per sample during release)
+ * @property {number} dbSustain (sustain level, in dB)
+ * @property {number} out1 (most recent output, for feedback)
+ * @property {number} out2 (previous output, for feedback)
+ */
+
+/**
+ * class SoundBlaster
+ * @unrestricted (allows the class to define properties, both dot and named, outside of the constructor)
+ */
+class SoundBlaster extends Component {
+    /**
+     * SoundBlaster(parmsSound)
+     *
+     * The SoundBlaster component has the following component-specific (parmsSound) properties:
+     *
+     *      model: "adlib" (OPL2 only), "sb1" (Sound Blaster 1.x), or "sb2" (Sound Blaster 2.0, the default)
+     *
+     *      port: base port of the Sound Blaster DSP (default is 0x220)
+     *
+     *      irq: IRQ of the Sound Blaster DSP (default is 7)
+     *
+     *      dma: DMA channel of the Sound Blaster DSP (default is 1)
+     *
+     *      volume: a number from 0 to 1 (default is 0.5)
+     *
+     *      sampleRate: output sample rate when there's no AudioContext (default is 44100)
+     *
+     *      bufferSeconds: maximum number of seconds of output kept when there's no AudioContext (default is 60)
+     *
+     * The OPL2 is always available at ports 0x388-0x389, and for Sound Blaster models, at base ports +8 and +9 as well.
+     *
+     * In the browser, all output is sent to Web Audio; otherwise (eg, in Node), output is accumulated in a buffer of
+     * 16-bit mono samples, which getBuffer() returns.  Either way, output is generated from the number of CPU cycles
+     * executed, not from wall-clock time, just as the ChipSet's timers are.
+     *
+     * @this {SoundBlaster}
+     * @param {Object} parmsSound
+     */
+    constructor(parmsSound)
+    {
+        super("SoundBlaster", parmsSound, Messages.SOUND);
+
+        this.model = parmsSound['model'] || SoundBlaster.MODEL.SB2;
+        if (!SoundBlaster.VERSION[this.model]) {
+            Component.warning("Unrecognized sound model: " + this.model);
+            this.model = SoundBlaster.MODEL.SB2;
+        }
+        this.fDSP = (this.model != SoundBlaster.MODEL.ADLIB);
+
+        let port = parmsSound['port'];
+        if (typeof port == "string") port = Str.parseInt(port, 16);
+        this.portBase = port || 0x220;
+        this.nIRQ = parmsSound['irq'] || ChipSet.IRQ.LPT1;
+        this.iDMAChannel = parmsSound['dma'] || ChipSet.DMA_SB;
+
+        let volume = parmsSound['volume'];
+        this.volume = (typeof volume != "number" || volume < 0 || volume > 1)? 0.5 : volume;
+
+        /*
+         * As in ChipSet, we create an audio context if the browser supports one; we use a gain node to control
+         * the volume, and a new buffer source node for every block of samples we generate.
+         */
+        this.contextAudio = this.volumeAudio = null;
+        this.nSampleRate = parmsSound['sampleRate'] || 44100;
+        let classAudio = window? (window['AudioContext'] || window['webkitAudioContext']) : null;
+        if (classAudio) {
+            try {
+                this.contextAudio = new classAudio();
+                this.volumeAudio = this.contextAudio['createGain']();
+                this.volumeAudio['connect'](this.contextAudio['destination']);
+                this.volumeAudio['gain']['setValueAtTime'](this.volume, 0);
+                this.nSampleRate = this.contextAudio['sampleRate'];
+            } catch(e) {
+                this.notice("AudioContext exception: " + e.message);
+                this.contextAudio = null;
+            }
+        }
+        this.timeAudio = 0;
+
+        /*
+         * Without an audio context, samples are kept in aBuffers, an array of Int16Arrays, up to a maximum of
+         * nBufferMax samples; when the maximum is exceeded, the oldest samples are discarded.
+         */
+        this.aBuffers = [];
+        this.nBufferSamples = 0;
+        this.nBufferMax = (parmsSound['bufferSeconds'] || 60) * this.nSampleRate;
+
+        this.aSamples = new Float32Array(Math.ceil(this.nSampleRate * SoundBlaster.MS_UPDATE / 1000));
+        this.iSample = 0;
+        this.fSilent = true;
+
+        /*
+         * Create all the OPL2 operators and channels; the rest of the state is initialized by reset().
+         */
+        this.aOps = new Array(18);
+        for (let iOp = 0; iOp < this.aOps.length; iOp++) {
+            this.aOps[iOp] = {
+                mult: 0, ksr: false, egt: false, vib: false, am: false, ksl: 0, tl: 0, ar: 0, dr: 0, sl: 0, rr: 0, ws: 0,
+                key: 0, state: SoundBlaster.OPL.EG.OFF, env: 96, phase: 0, phaseInc: 0, attBase: 0,
+                mulAttack: 1, incDecay: 0, incRelease: 0, dbSustain: 0, out1: 0, out2: 0
+            };
+        }
+        this.aChannels = new Array(9);
+        for (let iChannel = 0; iChannel < this.aChannels.length; iChannel++) {
+            let iOp = ((iChannel / 3)|0) * 6 + (iChannel % 3);
+            this.aChannels[iChannel] = {
+                fnum: 0, block: 0, fb: 0, con: false, aOps: [this.aOps[iOp], this.aOps[iOp + 3]]
+            };
+        }
+        this.abRegs = new Array(256);
+    }
+
+    /**
+     * initBus(cmp, bus, cpu, dbg)
+     *
+     * @this {SoundBlaster}
+     * @param {Computer} cmp
+     * @param {BusX86} bus
+     * @param {CPUx86} cpu
+     * @param {DebuggerX86} dbg
+     */
+    initBus(cmp, bus, cpu, dbg)
+    {
+        this.bus = bus;
+        this.cpu = cpu;
+        this.dbg = dbg;
+        this.chipset = cmp.getMachineComponent("ChipSet");
+        this.fScaleTimers = !!(this.chipset && this.chipset.fScaleTimers);
+
+        /*
+         * Boards that were configured for IRQ 2 actually generated IRQ 9 on machines with a slave PIC.
+         */
+        if (this.nIRQ == ChipSet.IRQ.SLAVE && this.chipset && this.chipset.cPICs > 1) {
+            this.nIRQ = ChipSet.IRQ.IRQ2;
+        }
+
+        bus.addPortInputTable(this, SoundBlaster.aOPLPortInput, SoundBlaster.OPL.PORT);
+        bus.addPortOutputTable(this, SoundBlaster.aOPLPortOutput, SoundBlaster.OPL.PORT);
+        if (this.fDSP) {
+            bus.addPortInputTable(this, SoundBlaster.aOPLPortInput, this.portBase + 8);
+            bus.addPortOutputTable(this, SoundBlaster.aOPLPortOutput, this.portBase + 8);
+            bus.addPortInputTable(this, SoundBlaster.aDSPPortInput, this.portBase);
+            bus.addPortOutputTable(this, SoundBlaster.aDSPPortOutput, this.portBase);
+        }
+
+        let sound = this;
+        this.nCyclesPerSample = cpu.getBaseCyclesPerSecond() / this.nSampleRate;
+        this.timerUpdate = cpu.addTimer(this.id + ".update", function updateSoundTimer() {
+            sound.updateSound();
+        }, SoundBlaster.MS_UPDATE);
+        this.timerDSP = cpu.addTimer(this.id + ".dsp", function updateDSPTimer() {
+            sound.updateSound();
+            sound.setDSPTimer();
+        });
+        this.setReady();
+    }
+
+    /**
+     * powerUp(data, fRepower)
+     *
+     * @this {SoundBlaster}
+     * @param {Object|null} data
+     * @param {boolean} [fRepower]
+     * @return {boolean} true if successful, false if failure
+     */
+    powerUp(data, fRepower)
+    {
+        if (!fRepower) {
+            if (!data || !this.restore) {
+                this.reset();
+            } else {
+                if (!this.restore(data)) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * powerDown(fSave, fShutdown)
+     *
+     * @this {SoundBlaster}
+     * @param {boolean} [fSave]
+     * @param {boolean} [fShutdown]
+     * @return {Object|boolean} component state if fSave; otherwise, true if successful, false if failure
+     */
+    powerDown(fSave, fShutdown)
+    {
+        return fSave? this.save() : true;
+    }
+
+    /**
+     * reset()
+     *
+     * @this {SoundBlaster}
+     */
+    reset()
+    {
+        this.initState();
+    }
+
+    /**
+     * save()
+     *
+     * This implements save support for the SoundBlaster component.
+     *
+     * @this {SoundBlaster}
+     * @return {Object}
+     */
+    save()
+    {
+        let state = new State(this);
+        state.set(0, [this.abRegs, this.bAddr, this.nTimer1Start, this.nTimer2Start, this.bStatus]);
+        state.set(1, [
+            this.fReset, this.abRead, this.bCmd, this.abParms, this.bTest, this.fSpeaker, this.nDSPRate, this.cbBlock,
+            this.fDMA, this.fAutoInit, this.fExitAutoInit, this.fPaused, this.fSilence, this.cbLeft, this.bDAC, this.fIRQ
+        ]);
+        return state.data();
+    }
+
+    /**
+     * restore(data)
+     *
+     * This implements restore support for the SoundBlaster component.
+     *
+     * @this {SoundBlaster}
+     * @param {Object} data
+     * @return {boolean} true if successful, false if failure
+     */
+    restore(data)
+    {
+        return this.initState(data[0], data[1]);
+    }
+
+    /**
+     * initState(dataOPL, dataDSP)
+     *
+     * Since all the OPL2 operator and channel properties are derived from the OPL2 registers, we simply replay the
+     * saved register values; any notes that were playing will be restarted.
+     *
+     * @this {SoundBlaster}
+     * @param {Array} [dataOPL]
+     * @param {Array} [dataDSP]
+     * @return {boolean} true if successful, false if failure
+     */
+    initState(dataOPL, dataDSP)
+    {
+        if (dataOPL === undefined) dataOPL = [[], 0, 0, 0, 0];
+        if (dataDSP === undefined) dataDSP = [false, [], -1, [], 0, false, 8000, 0x800, false, false, false, false, false, 0, 0x80, false];
+
+        let i = 0;
+        let abRegs = dataOPL[i++];
+        this.bAddr = dataOPL[i++];
+        this.nTimer1Start = dataOPL[i++];
+        this.nTimer2Start = dataOPL[i++];
+        let bStatus = dataOPL[i];
+
+        for (let iOp = 0; iOp < this.aOps.length; iOp++) {
+            let op = this.aOps[iOp];
+            op.key = 0;
+            op.state = SoundBlaster.OPL.EG.OFF;
+            op.env = 96;
+            op.phase = op.out1 = op.out2 = 0;
+        }
+        this.nOpsActive = 0;
+        this.fRhythm = this.fWaveSelect = this.fNoteSel = false;
+        this.dbTremolo = 1;
+        this.vibDepth = 0.0041;
+        this.phaseTremolo = this.phaseVibrato = 0;
+        this.nNoise = 1;
+        for (let reg = 0; reg < this.abRegs.length; reg++) {
+            this.abRegs[reg] = 0;
+            this.writeOPL(reg, abRegs[reg] || 0);
+        }
+        this.bStatus = bStatus;
+
+        i = 0;
+        this.fReset = dataDSP[i++];
+        this.abRead = dataDSP[i++];
+        this.bCmd = dataDSP[i++];
+        this.abParms = dataDSP[i++];
+        this.bTest = dataDSP[i++];
+        this.fSpeaker = dataDSP[i++];
+        this.nDSPRate = dataDSP[i++];
+        this.cbBlock = dataDSP[i++];
+        this.fDMA = dataDSP[i++];
+        this.fAutoInit = dataDSP[i++];
+        this.fExitAutoInit = dataDSP[i++];
+        this.fPaused = dataDSP[i++];
+        this.fSilence = dataDSP[i++];
+        this.cbLeft = dataDSP[i++];
+        this.bDAC = dataDSP[i++];
+        this.fIRQ = dataDSP[i];
+        this.abDMA = [];
+        this.posDSP = 0;
+        this.bReadLast = 0xff;
+
+        this.nCyclesLast = this.cpu? this.cpu.getCycles(this.fScaleTimers) : 0;
+        this.nCyclesPending = 0;
+        if (this.fDMA) this.setDSPTimer();
+        return true;
+    }
+
+    /**
+     * inOPLStatus(port, addrFrom)
+     *
+     * The OPL2 timers are updated only when someone looks at them; since nobody can tell the difference, there's no
+     * need to update them any more often than that.
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (0x388, or base port + 8)
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to read the specified port)
+     * @return {number} simulated port value
+     */
+    inOPLStatus(port, addrFrom)
+    {
+        let reg = this.abRegs[SoundBlaster.OPL.REG.TIMER_CTRL];
+        let nCycles = this.cpu.getCycles(this.fScaleTimers);
+        let nCyclesPerUS = this.cpu.getBaseCyclesPerSecond() / 1000000;
+        if ((reg & SoundBlaster.OPL.TIMER_CTRL.START1) && !(reg & SoundBlaster.OPL.TIMER_CTRL.MASK1)) {
+            if (nCycles - this.nTimer1Start >= (256 - this.abRegs[SoundBlaster.OPL.REG.TIMER1]) * 80 * nCyclesPerUS) {
+                this.bStatus |= SoundBlaster.OPL.STATUS.TIMER1;
+            }
+        }
+        if ((reg & SoundBlaster.OPL.TIMER_CTRL.START2) && !(reg & SoundBlaster.OPL.TIMER_CTRL.MASK2)) {
+            if (nCycles - this.nTimer2Start >= (256 - this.abRegs[SoundBlaster.OPL.REG.TIMER2]) * 320 * nCyclesPerUS) {
+                this.bStatus |= SoundBlaster.OPL.STATUS.TIMER2;
+            }
+        }
+        if (this.bStatus & (SoundBlaster.OPL.STATUS.TIMER1 | SoundBlaster.OPL.STATUS.TIMER2)) {
+            this.bStatus |= SoundBlaster.OPL.STATUS.IRQ;
+        }
+        let b = this.bStatus | SoundBlaster.OPL.STATUS.ALWAYS_SET;
+        this.printMessageIO(port, undefined, addrFrom, "OPL.STATUS", b);
+        return b;
+    }
+
+    /**
+     * inOPLData(port, addrFrom)
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (0x389, or base port + 9)
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to read the specified port)
+     * @return {number} simulated port value
+     */
+    inOPLData(port, addrFrom)
+    {
+        let b = 0xff;
+        this.printMessageIO(port, undefined, addrFrom, "OPL.DATA", b);
+        return b;
+    }
+
+    /**
+     * outOPLAddr(port, bOut, addrFrom)
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (0x388, or base port + 8)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to write the specified port)
+     */
+    outOPLAddr(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "OPL.ADDR");
+        this.bAddr = bOut;
+    }
+
+    /**
+     * outOPLData(port, bOut, addrFrom)
+     *
+     * Before changing any register, we generate all the samples up to this point, so that the change takes effect
+     * at the right moment.
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (0x389, or base port + 9)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to write the specified port)
+     */
+    outOPLData(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "OPL.DATA[" + Str.toHexByte(this.bAddr) + "]");
+        this.updateSound();
+        this.writeOPL(this.bAddr, bOut);
+    }
+
+    /**
+     * writeOPL(reg, b)
+     *
+     * @this {SoundBlaster}
+     * @param {number} reg
+     * @param {number} b
+     */
+    writeOPL(reg, b)
+    {
+        let iOp, op, iChannel, channel;
+        let OPL = SoundBlaster.OPL;
+
+        switch (reg & 0xe0) {
+        case 0x00:
+            if (reg == OPL.REG.TEST) {
+                this.fWaveSelect = !!(b & 0x20);
+            }
+            else if (reg == OPL.REG.TIMER_CTRL) {
+                if (b & OPL.TIMER_CTRL.RESET) {
+                    this.bStatus = 0;
+                    return;                     // the IRQ RESET bit is the only bit that matters when it's set
+                }
+                let nCycles = this.cpu? this.cpu.getCycles(this.fScaleTimers) : 0;
+                let bPrev = this.abRegs[reg];
+                if ((b & OPL.TIMER_CTRL.START1) && !(bPrev & OPL.TIMER_CTRL.START1)) this.nTimer1Start = nCycles;
+                if ((b & OPL.TIMER_CTRL.START2) && !(bPrev & OPL.TIMER_CTRL.START2)) this.nTimer2Start = nCycles;
+            }
+            else if (reg == OPL.REG.CSM) {
+                this.fNoteSel = !!(b & 0x40);
+                this.abRegs[reg] = b;
+                this.aChannels.forEach((channel) => this.updateChannel(channel));
+                return;
+            }
+            this.abRegs[reg] = b;
+            return;
+        case 0x20:
+        case 0x40:
+        case 0x60:
+        case 0x80:
+        case 0xe0:
+            iOp = OPL.SLOTS[reg & 0x1f];
+            if (iOp === undefined || iOp < 0) break;
+            op = this.aOps[iOp];
+            switch (reg & 0xe0) {
+            case 0x20:
+                op.am = !!(b & 0x80);
+                op.vib = !!(b & 0x40);
+                op.egt = !!(b & 0x20);
+                op.ksr = !!(b & 0x10);
+                op.mult = b & 0x0f;
+                break;
+            case 0x40:
+                op.ksl = b >> 6;
+                op.tl = b & 0x3f;
+                break;
+            case 0x60:
+                op.ar = b >> 4;
+                op.dr = b & 0x0f;
+                break;
+            case 0x80:
+                op.sl = b >> 4;
+                op.rr = b & 0x0f;
+                break;
+            case 0xe0:
+                op.ws = b & 0x03;
+                break;
+            }
+            this.abRegs[reg] = b;
+            this.updateOperator(op);
+            return;
+        case 0xa0:
+            if (reg == OPL.REG.RHYTHM) {
+                this.abRegs[reg] = b;
+                this.dbTremolo = (b & 0x80)? 4.8 : 1;
+                this.vibDepth = (b & 0x40)? 0.0081 : 0.0041;
+                this.fRhythm = !!(b & 0x20);
+                let aRhythmOps = [[12, 0x10], [15, 0x10], [16, 0x08], [14, 0x04], [17, 0x02], [13, 0x01]];
+                for (let i = 0; i < aRhythmOps.length; i++) {
+                    op = this.aOps[aRhythmOps[i][0]];
+                    if (this.fRhythm && (b & aRhythmOps[i][1])) {
+                        this.keyOn(op, 0x2);
+                    } else {
+                        this.keyOff(op, 0x2);
+                    }
+                }
+                return;
+            }
+            iChannel = reg & 0x0f;
+            if (iChannel >= this.aChannels.length) break;
+            channel = this.aChannels[iChannel];
+            this.abRegs[reg] = b;
+            if (!(reg & 0x10)) {
+                channel.fnum = (channel.fnum & 0x300) | b;
+            } else {
+                channel.fnum = (channel.fnum & 0xff) | ((b & 0x03) << 8);
+                channel.block = (b >> 2) & 0x07;
+                for (let i = 0; i < 2; i++) {
+                    if (b & 0x20) {
+                        this.keyOn(channel.aOps[i], 0x1);
+                    } else {
+                        this.keyOff(channel.aOps[i], 0x1);
+                    }
+                }
+            }
+            this.updateChannel(channel);
+            return;
+        case 0xc0:
+            iChannel = reg & 0x0f;
+            if (iChannel >= this.aChannels.length) break;
+            channel = this.aChannels[iChannel];
+            channel.fb = (b >> 1) & 0x07;
+            channel.con = !!(b & 0x01);
+            this.abRegs[reg] = b;
+            return;
+        }
+        this.abRegs[reg] = b;
+    }
+
+    /**
+     * keyOn(op, bit)
+     *
+     * @this {SoundBlaster}
+     * @param {Operator} op
+     * @param {number} bit
+     */
+    keyOn(op, bit)
+    {
+        if (!op.key) {
+            if (op.state == SoundBlaster.OPL.EG.OFF) this.nOpsActive++;
+            op.state = SoundBlaster.OPL.EG.ATTACK;
+            op.phase = 0;
+        }
+        op.key |= bit;
+    }
+
+    /**
+     * keyOff(op, bit)
+     *
+     * @this {SoundBlaster}
+     * @param {Operator} op
+     * @param {number} bit
+     */
+    keyOff(op, bit)
+    {
+        if (op.key) {
+            op.key &= ~bit;
+            if (!op.key && op.state != SoundBlaster.OPL.EG.OFF) op.state = SoundBlaster.OPL.EG.RELEASE;
+        }
+    }
+
+    /**
+     * updateChannel(channel)
+     *
+     * @this {SoundBlaster}
+     * @param {Object} channel
+     */
+    updateChannel(channel)
+    {
+        this.updateOperator(channel.aOps[0], channel);
+        this.updateOperator(channel.aOps[1], channel);
+    }
+
+    /**
+     * updateOperator(op, channel)
+     *
+     * Recalculates all the operator properties that are derived from its registers and its channel's frequency.
+     *
+     * Envelope rates are based on the YM3812's documented attack and decay times, which are halved for every increase
+     * of 4 in the operator's effective rate (4 * rate + key scale offset); attack times are approximated with an
+     * exponential curve, while decay and release times are linear, in dB.
+     *
+     * @this {SoundBlaster}
+     * @param {Operator} op
+     * @param {Object} [channel]
+     */
+    updateOperator(op, channel)
+    {
+        let OPL = SoundBlaster.OPL;
+        if (!channel) {
+            let iOp = this.aOps.indexOf(op);
+            channel = this.aChannels[((iOp / 6)|0) * 3 + (iOp % 3)];
+        }
+        let fnum = channel.fnum, block = channel.block;
+        op.phaseInc = fnum * (1 << block) * OPL.CLOCK_RATE / 0x100000 * OPL.MULT[op.mult] / this.nSampleRate;
+
+        let ksl = OPL.KSL[fnum >> 6] - 3 * (7 - block);
+        op.attBase = op.tl * 0.75 + (ksl > 0? ksl * OPL.KSL_SCALE[op.ksl] : 0);
+        op.dbSustain = (op.sl == 15? 93 : op.sl * 3);
+
+        let kcode = (block << 1) | ((fnum >> (this.fNoteSel? 8 : 9)) & 1);
+        let rks = op.ksr? kcode : (kcode >> 2);
+        let samplesPerMS = this.nSampleRate / 1000;
+        let getRate = function(r) {
+            return r? Math.min(63, r * 4 + rks) : 0;
+        };
+        let getDecay = function(r) {
+            let rate = getRate(r);
+            return rate? 96 / (OPL.MS_DECAY / ((4 + (rate & 3)) << (rate >> 2)) * samplesPerMS) : 0;
+        };
+        let rate = getRate(op.ar);
+        op.mulAttack = !rate? 1 : (rate >= 60? 0 : Math.exp(-Math.log(960) / (OPL.MS_ATTACK / ((4 + (rate & 3)) << (rate >> 2)) * samplesPerMS)));
+        op.incDecay = getDecay(op.dr);
+        op.incRelease = getDecay(op.rr);
+    }
+
+    /**
+     * outputOp(op, index)
+     *
+     * @this {SoundBlaster}
+     * @param {Operator} op
+     * @param {number} index (into the waveform table)
+     * @return {number}
+     */
+    outputOp(op, index)
+    {
+        let db = op.env + op.attBase + (op.am? this.dbAM : 0);
+        if (db >= 96) return 0;
+        return SoundBlaster.OPL.WAVES[this.fWaveSelect? op.ws : 0][index & 0x3ff] * SoundBlaster.OPL.AMPS[(db * (1024 / 96))|0];
+    }
+
+    /**
+     * calcOp(op, pm)
+     *
+     * @this {SoundBlaster}
+     * @param {Operator} op
+     * @param {number} pm (phase modulation, in cycles)
+     * @return {number}
+     */
+    calcOp(op, pm)
+    {
+        return this.outputOp(op, Math.floor((op.phase + pm) * 1024));
+    }
+
+    /**
+     * calcChannel(channel)
+     *
+     * The modulator's output modulates the carrier's phase by up to 4 cycles (8π), and the modulator's feedback,
+     * which is the sum of its last two outputs, modulates its own phase by up to 2 cycles (4π) when FB is 7.
+     *
+     * @this {SoundBlaster}
+     * @param {Object} channel
+     * @return {number}
+     */
+    calcChannel(channel)
+    {
+        let mod = channel.aOps[0], car = channel.aOps[1];
+        let out = this.calcOp(mod, channel.fb? (mod.out1 + mod.out2) * SoundBlaster.OPL.FEEDBACK[channel.fb] : 0);
+        mod.out2 = mod.out1;
+        mod.out1 = out;
+        return channel.con? out + this.calcOp(car, 0) : this.calcOp(car, out * 4);
+    }
+
+    /**
+     * calcRhythm()
+     *
+     * In rhythm mode, channel 6 plays the bass drum, and the four operators of channels 7 and 8 play the hi-hat, snare
+     * drum, tom-tom, and top cymbal.  The phase calculations for the hi-hat, snare drum and top cymbal, which combine
+     * bits from the phases of other operators with a noise generator, follow those verified on a real YM3812.
+     *
+     * @this {SoundBlaster}
+     * @return {number}
+     */
+    calcRhythm()
+    {
+        let out = 0;
+        let OPL = SoundBlaster.OPL;
+        let channel = this.aChannels[6];
+        let mod = channel.aOps[0], car = channel.aOps[1];
+        if (mod.state != OPL.EG.OFF || car.state != OPL.EG.OFF) {
+            let m = this.calcOp(mod, channel.fb? (mod.out1 + mod.out2) * OPL.FEEDBACK[channel.fb] : 0);
+            mod.out2 = mod.out1;
+            mod.out1 = m;
+            out += this.calcOp(car, channel.con? 0 : m * 4) * 2;
+        }
+        let opHH = this.aOps[13], opSD = this.aOps[16], opTT = this.aOps[14], opTC = this.aOps[17];
+        let noise = this.nNoise & 1;
+        let p13 = Math.floor(opHH.phase * 1024), p17 = Math.floor(opTC.phase * 1024);
+        let res1 = (((p13 >> 2) ^ (p13 >> 7)) | (p13 >> 3)) & 1;
+        let res2 = ((p17 >> 3) ^ (p17 >> 5)) & 1;
+        if (opHH.state != OPL.EG.OFF) {
+            let phase = (res1 || res2)? (0x200 | (0xd0 >> 2)) : 0xd0;
+            if (phase & 0x200) {
+                if (noise) phase = 0x200 | 0xd0;
+            } else if (noise) {
+                phase = 0xd0 >> 2;
+            }
+            out += this.outputOp(opHH, phase) * 2;
+        }
+        if (opSD.state != OPL.EG.OFF) {
+            out += this.outputOp(opSD, (((p13 >> 8) & 1)? 0x200 : 0x100) ^ (noise << 8)) * 2;
+        }
+        if (opTT.state != OPL.EG.OFF) {
+            out += this.calcOp(opTT, 0) * 2;
+        }
+        if (opTC.state != OPL.EG.OFF) {
+            out += this.outputOp(opTC, (res1 || res2)? 0x300 : 0x100) * 2;
+        }
+        return out;
+    }
+
+    /**
+     * generateOPL()
+     *
+     * @this {SoundBlaster}
+     * @return {number} (next OPL2 sample)
+     */
+    generateOPL()
+    {
+        let OPL = SoundBlaster.OPL;
+        this.phaseTremolo += OPL.HZ_TREMOLO / this.nSampleRate;
+        if (this.phaseTremolo >= 1) this.phaseTremolo -= 1;
+        this.phaseVibrato += OPL.HZ_VIBRATO / this.nSampleRate;
+        if (this.phaseVibrato >= 1) this.phaseVibrato -= 1;
+        this.dbAM = this.dbTremolo * (1 - Math.cos(this.phaseTremolo * 2 * Math.PI)) / 2;
+        if (this.nNoise & 1) this.nNoise ^= 0x800302;
+        this.nNoise >>>= 1;
+
+        let out = 0;
+        let nChannels = this.fRhythm? 6 : 9;
+        for (let iChannel = 0; iChannel < nChannels; iChannel++) {
+            let channel = this.aChannels[iChannel];
+            if (channel.aOps[0].state != OPL.EG.OFF || channel.aOps[1].state != OPL.EG.OFF) {
+                out += this.calcChannel(channel);
+            }
+        }
+        if (this.fRhythm) out += this.calcRhythm();
+
+        let vib = 1 + this.vibDepth * Math.sin(this.phaseVibrato * 2 * Math.PI);
+        for (let iOp = 0; iOp < this.aOps.length; iOp++) {
+            let op = this.aOps[iOp];
+            if (op.state == OPL.EG.OFF) continue;
+            op.phase += op.vib? op.phaseInc * vib : op.phaseInc;
+            if (op.phase >= 1) op.phase -= Math.floor(op.phase);
+            switch(op.state) {
+            case OPL.EG.ATTACK:
+                op.env *= op.mulAttack;
+                if (op.env < 0.1) {
+                    op.env = 0;
+                    op.state = OPL.EG.DECAY;
+                }
+                break;
+            case OPL.EG.DECAY:
+                op.env += op.incDecay;
+                if (op.env >= op.dbSustain) {
+                    op.env = op.dbSustain;
+                    op.state = OPL.EG.SUSTAIN;
+                }
+                break;
+            case OPL.EG.SUSTAIN:
+                if (!op.egt) op.env += op.incRelease;
+                break;
+            case OPL.EG.RELEASE:
+                op.env += op.incRelease;
+                break;
+            }
+            if (op.env >= 96) {
+                op.env = 96;
+                if (op.state == OPL.EG.RELEASE || op.state == OPL.EG.SUSTAIN) {
+                    op.state = OPL.EG.OFF;
+                    this.nOpsActive--;
+                }
+            }
+        }
+        return out;
+    }
+
+    /**
+     * outDSPReset(port, bOut, addrFrom)
+     *
+     * Software resets the DSP by writing 1 and then 0; the DSP is supposed to need a few microseconds before it
+     * responds with DSP.READY, but there's no harm in responding immediately.
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (base port + 6)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to write the specified port)
+     */
+    outDSPReset(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "DSP.RESET");
+        if (bOut & 0x01) {
+            this.fReset = true;
+        } else if (this.fReset) {
+            this.updateSound();
+            this.fReset = false;
+            this.fDMA = this.fAutoInit = this.fExitAutoInit = this.fPaused = this.fSilence = false;
+            this.fSpeaker = false;
+            this.bDAC = 0x80;
+            this.bCmd = -1;
+            this.abParms = [];
+            this.abDMA = [];
+            this.abRead = [SoundBlaster.DSP.READY];
+            this.cpu.clearTimer(this.timerDSP);
+            this.setIRQ(false);
+        }
+    }
+
+    /**
+     * inDSPData(port, addrFrom)
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (base port + 0xA)
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to read the specified port)
+     * @return {number} simulated port value
+     */
+    inDSPData(port, addrFrom)
+    {
+        let b = this.abRead.length? this.abRead.shift() : this.bReadLast;
+        this.bReadLast = b;
+        this.printMessageIO(port, undefined, addrFrom, "DSP.DATA", b);
+        return b;
+    }
+
+    /**
+     * inDSPWriteStatus(port, addrFrom)
+     *
+     * Bit 7 clear indicates that the DSP is ready to accept another command or data byte, which is always the case.
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (base port + 0xC)
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to read the specified port)
+     * @return {number} simulated port value
+     */
+    inDSPWriteStatus(port, addrFrom)
+    {
+        let b = 0x7f;
+        this.printMessageIO(port, undefined, addrFrom, "DSP.WSTATUS", b);
+        return b;
+    }
+
+    /**
+     * inDSPReadStatus(port, addrFrom)
+     *
+     * Bit 7 set indicates that data is available to read; reading this port also acknowledges the DSP's interrupt.
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (base port + 0xE)
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to read the specified port)
+     * @return {number} simulated port value
+     */
+    inDSPReadStatus(port, addrFrom)
+    {
+        let b = this.abRead.length? 0xff : 0x7f;
+        this.printMessageIO(port, undefined, addrFrom, "DSP.RSTATUS", b);
+        if (addrFrom !== undefined) this.setIRQ(false);
+        return b;
+    }
+
+    /**
+     * outDSPWrite(port, bOut, addrFrom)
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (base port + 0xC)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to write the specified port)
+     */
+    outDSPWrite(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "DSP.WRITE");
+        if (this.bCmd < 0) {
+            this.bCmd = bOut;
+            this.abParms = [];
+        } else {
+            this.abParms.push(bOut);
+        }
+        let nParms = SoundBlaster.DSP.PARMS[this.bCmd] || 0;
+        if (this.abParms.length >= nParms) {
+            let bCmd = this.bCmd;
+            this.bCmd = -1;
+            this.updateSound();
+            this.doDSPCommand(bCmd, this.abParms);
+        }
+    }
+
+    /**
+     * doDSPCommand(bCmd, abParms)
+     *
+     * @this {SoundBlaster}
+     * @param {number} bCmd
+     * @param {Array.<number>} abParms
+     */
+    doDSPCommand(bCmd, abParms)
+    {
+        let DSP = SoundBlaster.DSP;
+        let version = SoundBlaster.VERSION[this.model];
+        let cb = abParms.length >= 2? (abParms[0] | (abParms[1] << 8)) + 1 : 0;
+
+        this.printf(Messages.SOUND, "DSP command %#04X\n", bCmd);
+
+        switch(bCmd) {
+        case DSP.CMD.DAC_DIRECT:
+            this.bDAC = abParms[0];
+            break;
+        case DSP.CMD.DAC_DMA:
+            this.startDMA(cb, false, false);
+            break;
+        case DSP.CMD.DAC_DMA_AUTO:
+        case DSP.CMD.DAC_DMA_HIGH_AUTO:
+            if (version[0] >= 2) this.startDMA(this.cbBlock, true, false);
+            break;
+        case DSP.CMD.DAC_DMA_HIGH:
+            if (version[0] >= 2) this.startDMA(this.cbBlock, false, false);
+            break;
+        case DSP.CMD.SILENCE:
+            this.startDMA(cb, false, true);
+            break;
+        case DSP.CMD.ADC_DIRECT:
+            this.abRead.push(0x80);
+            break;
+        case DSP.CMD.TIME_CONSTANT:
+            this.nDSPRate = Math.round(1000000 / (256 - abParms[0]));
+            break;
+        case DSP.CMD.BLOCK_SIZE:
+            this.cbBlock = cb;
+            break;
+        case DSP.CMD.PAUSE_DMA:
+            this.fPaused = true;
+            this.cpu.clearTimer(this.timerDSP);
+            break;
+        case DSP.CMD.CONTINUE_DMA:
+            this.fPaused = false;
+            this.setDSPTimer();
+            break;
+        case DSP.CMD.EXIT_AUTO:
+            this.fExitAutoInit = true;
+            break;
+        case DSP.CMD.SPEAKER_ON:
+            this.fSpeaker = true;
+            break;
+        case DSP.CMD.SPEAKER_OFF:
+            this.fSpeaker = false;
+            break;
+        case DSP.CMD.SPEAKER_STATUS:
+            this.abRead.push(this.fSpeaker? 0xff : 0x00);
+            break;
+        case DSP.CMD.IDENTIFY:
+            this.abRead.push(~abParms[0] & 0xff);
+            break;
+        case DSP.CMD.VERSION:
+            this.abRead.push(version[0], version[1]);
+            break;
+        case DSP.CMD.WRITE_TEST:
+            this.bTest = abParms[0];
+            break;
+        case DSP.CMD.READ_TEST:
+            this.abRead.push(this.bTest);
+            break;
+        case DSP.CMD.FORCE_IRQ:
+            this.setIRQ(true);
+            break;
+        case DSP.CMD.UNDOCUMENTED_F8:
+            this.abRead.push(0x00);
+            break;
+        default:
+            /*
+             * That leaves DMA input (recording), ADPCM output, MIDI, and any other unimplemented commands.
+             */
+            this.printf(Messages.SOUND + Messages.WARN, "unsupported DSP command %#04X\n", bCmd);
+            break;
+        }
+    }
+
+    /**
+     * startDMA(cb, fAutoInit, fSilence)
+     *
+     * @this {SoundBlaster}
+     * @param {number} cb (block length, in bytes)
+     * @param {boolean} fAutoInit
+     * @param {boolean} fSilence (true to play silence instead of DMA data)
+     */
+    startDMA(cb, fAutoInit, fSilence)
+    {
+        this.fDMA = true;
+        this.fAutoInit = fAutoInit;
+        this.fExitAutoInit = this.fPaused = false;
+        this.fSilence = fSilence;
+        this.cbLeft = cb;
+        this.abDMA = [];
+        this.posDSP = 0;
+        this.printf(Messages.SOUND, "DSP %s of %d bytes at %dhz\n", fSilence? "silence" : (fAutoInit? "auto-init DMA" : "DMA"), cb, this.nDSPRate);
+        this.setDSPTimer();
+    }
+
+    /**
+     * setDSPTimer()
+     *
+     * Arms the DSP timer to fire when the current DMA block should end, so that the DSP interrupt will be generated
+     * on time.  If the timer fires a little early, updateDSPTimer() simply calls us again.
+     *
+     * @this {SoundBlaster}
+     */
+    setDSPTimer()
+    {
+        if (this.fDMA && !this.fPaused && this.cpu) {
+            let nCycles = Math.ceil(this.cbLeft / this.nDSPRate * this.cpu.getBaseCyclesPerSecond());
+            this.cpu.setTimer(this.timerDSP, -Math.max(nCycles, 1), true);
+        }
+    }
+
+    /**
+     * setIRQ(fSet)
+     *
+     * @this {SoundBlaster}
+     * @param {boolean} fSet
+     */
+    setIRQ(fSet)
+    {
+        if (this.fIRQ != fSet) {
+            this.fIRQ = fSet;
+            if (this.chipset) {
+                if (fSet) {
+                    this.chipset.setIRR(this.nIRQ);
+                } else {
+                    this.chipset.clearIRR(this.nIRQ);
+                }
+            }
+        }
+    }
+
+    /**
+     * generateDSP()
+     *
+     * The DSP holds each sample until it's time for the next one, at the DSP's sample rate.  And if DMA data isn't
+     * available (eg, because the DMA channel is masked), the DSP stalls, just as the real DSP would.
+     *
+     * @this {SoundBlaster}
+     * @return {number} (next DSP sample)
+     */
+    generateDSP()
+    {
+        if (this.fDMA && !this.fPaused) {
+            this.posDSP += this.nDSPRate / this.nSampleRate;
+            while (this.posDSP >= 1 && this.fDMA) {
+                if (!this.fSilence) {
+                    if (!this.abDMA.length) {
+                        this.abDMA = this.chipset? this.chipset.readDMA(this.iDMAChannel, Math.min(this.cbLeft, 256)) : [];
+                        if (!this.abDMA.length) {
+                            this.posDSP = 0;
+                            break;
+                        }
+                    }
+                    this.bDAC = this.abDMA.shift();
+                } else {
+                    this.bDAC = 0x80;
+                }
+                this.posDSP -= 1;
+                if (!--this.cbLeft) {
+                    this.setIRQ(true);
+                    if (this.fAutoInit && !this.fExitAutoInit) {
+                        this.cbLeft = this.cbBlock;
+                    } else {
+                        this.fDMA = false;
+                    }
+                }
+            }
+        }
+        return this.fSpeaker? (this.bDAC - 0x80) / 0x80 : 0;
+    }
+
+    /**
+     * updateSound()
+     *
+     * Generates all the samples due, based on the number of CPU cycles executed since the last update.
+     *
+     * @this {SoundBlaster}
+     */
+    updateSound()
+    {
+        if (!this.cpu) return;
+        let nCycles = this.cpu.getCycles(this.fScaleTimers);
+        let nCyclesDelta = nCycles - this.nCyclesLast;
+        this.nCyclesLast = nCycles;
+        /*
+         * The CPU resets its cycle counts from time to time (see getCycles()), so a negative delta isn't an error.
+         */
+        if (nCyclesDelta < 0) return;
+        this.nCyclesPending += nCyclesDelta;
+        let nSamples = Math.floor(this.nCyclesPending / this.nCyclesPerSample);
+        this.nCyclesPending -= nSamples * this.nCyclesPerSample;
+        nSamples = Math.min(nSamples, this.nSampleRate);
+
+        while (nSamples--) {
+            let out = (this.nOpsActive? this.generateOPL() * 0.25 : 0) + (this.fDSP? this.generateDSP() * 0.75 : 0);
+            if (out) {
+                this.fSilent = false;
+                if (out > 1) out = 1; else if (out < -1) out = -1;
+            }
+            this.aSamples[this.iSample++] = out;
+            if (this.iSample == this.aSamples.length) this.flushSamples();
+        }
+    }
+
+    /**
+     * flushSamples()
+     *
+     * With an audio context, we schedule the samples to play after the previous samples; however, if the machine
+     * is running faster than real-time, we discard any samples that would be scheduled too far in the future.
+     *
+     * @this {SoundBlaster}
+     */
+    flushSamples()
+    {
+        let n = this.iSample;
+        this.iSample = 0;
+        if (this.contextAudio) {
+            if (this.fSilent) return;
+            this.fSilent = true;
+            try {
+                if (this.contextAudio['state'] == "suspended") this.contextAudio['resume']();
+                let time = this.contextAudio['currentTime'];
+                if (this.timeAudio < time) this.timeAudio = time + SoundBlaster.SEC_LATENCY;
+                if (this.timeAudio - time > SoundBlaster.SEC_LATENCY * 4) return;
+                let buffer = this.contextAudio['createBuffer'](1, n, this.nSampleRate);
+                buffer['getChannelData'](0).set(this.aSamples.subarray(0, n));
+                let source = this.contextAudio['createBufferSource']();
+                source['buffer'] = buffer;
+                source['connect'](this.volumeAudio);
+                source['start'](this.timeAudio);
+                this.timeAudio += n / this.nSampleRate;
+            } catch(e) {
+                this.notice("AudioContext exception: " + e.message);
+                this.contextAudio = null;
+            }
+            return;
+        }
+        let samples = new Int16Array(n);
+        for (let i = 0; i < n; i++) {
+            samples[i] = Math.round(this.aSamples[i] * this.volume * 0x7fff);
+        }
+        this.aBuffers.push(samples);
+        this.nBufferSamples += n;
+        while (this.nBufferSamples - this.aBuffers[0].length >= this.nBufferMax) {
+            this.nBufferSamples -= this.aBuffers.shift().length;
+        }
+    }
+
+    /**
+     * getBuffer(fClear)
+     *
+     * Returns all the samples accumulated without an audio context, as 16-bit signed mono samples at nSampleRate.
+     *
+     * @this {SoundBlaster}
+     * @param {boolean} [fClear] (true to discard the samples after returning them)
+     * @return {Int16Array}
+     */
+    getBuffer(fClear)
+    {
+        this.updateSound();
+        if (this.iSample) this.flushSamples();
+        let samples = new Int16Array(this.nBufferSamples), off = 0;
+        for (let i = 0; i < this.aBuffers.length; i++) {
+            samples.set(this.aBuffers[i], off);
+            off += this.aBuffers[i].length;
+        }
+        if (fClear) {
+            this.aBuffers = [];
+            this.nBufferSamples = 0;
+        }
+        return samples;
+    }
+
+    /**
+     * SoundBlaster.init()
+     *
+     * This function operates on every HTML element of class "sound", extracting the
+     * JSON-encoded parameters for the SoundBlaster constructor from the element's "data-value"
+     * attribute, invoking the constructor to create a SoundBlaster component, and then binding
+     * any associated HTML controls to the new component.
+     */
+    static init()
+    {
+        let aeSound = Component.getElementsByClass(document, PCx86.APPCLASS, "sound");
+        for (let iSound = 0; iSound < aeSound.length; iSound++) {
+            let eSound = aeSound[iSound];
+            let parmsSound = Component.getComponentParms(eSound);
+            let sound = new SoundBlaster(parmsSound);
+            Component.bindComponentControls(sound, eSound, PCx86.APPCLASS);
+        }
+    }
+}
+
+SoundBlaster.MODEL = {
+    ADLIB:      "adlib",
+    SB1:        "sb1",
+    SB2:        "sb2"
+};
+
+/*
+ * DSP version numbers returned by DSP.CMD.VERSION (AdLib cards have no DSP, but the entry marks the model as valid)
+ */
+SoundBlaster.VERSION = {
+    "adlib":    [0, 0],
+    "sb1":      [1, 5],
+    "sb2":      [2, 1]
+};
+
+SoundBlaster.MS_UPDATE   = 10;      // milliseconds of samples generated between updates
+SoundBlaster.SEC_LATENCY = 0.05;    // seconds of audio scheduled ahead of the audio context's current time
+
+/*
+ * Yamaha YM3812 (OPL2) definitions
+ *
+ * The OPL2 has 18 operators, paired into 9 channels, but the registers for the operators are not numbered
+ * sequentially; register offsets 0x06, 0x07, 0x0E, and 0x0F are unused, so SLOTS maps register offsets to operators.
+ * The operators of channel N are operator ((N / 3) * 6 + (N % 3)), which is the modulator, and that operator + 3,
+ * which is the carrier.
+ */
+SoundBlaster.OPL = {
+    PORT:       0x388,
+    CLOCK_RATE: 49716,                  // 3.579545Mhz / 72
+    REG: {
+        TEST:       0x01,               // bit 5 enables waveform select
+        TIMER1:     0x02,               // 80us resolution
+        TIMER2:     0x03,               // 320us resolution
+        TIMER_CTRL: 0x04,
+        CSM:        0x08,               // bit 7 selects CSM mode, bit 6 is NOTE-SEL
+        RHYTHM:     0xBD                // bit 7 AM depth, bit 6 VIB depth, bit 5 rhythm mode, bits 4-0 BD, SD, TT, TC, HH
+    },
+    TIMER_CTRL: {
+        START1:     0x01,
+        START2:     0x02,
+        MASK2:      0x20,
+        MASK1:      0x40,
+        RESET:      0x80
+    },
+    STATUS: {
+        ALWAYS_SET: 0x06,               // the low bits of an OPL2 status byte are typically 6
+        TIMER2:     0x20,
+        TIMER1:     0x40,
+        IRQ:        0x80
+    },
+    EG: {
+        OFF:        0,
+        ATTACK:     1,
+        DECAY:      2,
+        SUSTAIN:    3,
+        RELEASE:    4
+    },
+    SLOTS:      [0, 1, 2, 3, 4, 5, -1, -1, 6, 7, 8, 9, 10, 11, -1, -1, 12, 13, 14, 15, 16, 17],
+    MULT:       [0.5, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 10, 12, 12, 15, 15],
+    KSL:        [0, 9, 12, 13.875, 15, 16.125, 16.875, 17.625, 18, 18.75, 19.125, 19.5, 19.875, 20.25, 20.625, 21],
+    KSL_SCALE:  [0, 1, 0.5, 2],         // KSL values 1, 2, and 3 select 3dB, 1.5dB, and 6dB per octave, respectively
+    FEEDBACK:   [0, 1/64, 1/32, 1/16, 1/8, 1/4, 1/2, 1],
+    MS_ATTACK:  22610,                  // attack time (in ms) of rate 1 is 2826.24ms, or 22610 / 8
+    MS_DECAY:   314245,                 // decay time (in ms) of rate 1 is 39280.64ms, or 314245 / 8
+    HZ_TREMOLO: 3.7,
+    HZ_VIBRATO: 6.1,
+    WAVES:      [],                     // initialized below
+    AMPS:       []                      // initialized below
+};
+
+/*
+ * The four OPL2 waveforms: sine, half-sine, absolute sine, and "pulse" (the first and third quarters of absolute sine);
+ * also, a table of amplitudes for attenuations from 0 to 96dB.
+ */
+(function() {
+    let OPL = SoundBlaster.OPL;
+    for (let ws = 0; ws < 4; ws++) OPL.WAVES.push(new Float32Array(1024));
+    for (let i = 0; i < 1024; i++) {
+        let v = Math.sin((i + 0.5) * 2 * Math.PI / 1024);
+        OPL.WAVES[0][i] = v;
+        OPL.WAVES[1][i] = i < 512? v : 0;
+        OPL.WAVES[2][i] = Math.abs(v);
+        OPL.WAVES[3][i] = (i & 0x100)? 0 : Math.abs(v);
+    }
+    OPL.AMPS = new Float32Array(1025);
+    for (let i = 0; i < OPL.AMPS.length; i++) {
+        OPL.AMPS[i] = Math.pow(10, -(i * 96 / 1024) / 20);
+    }
+})();
+
+/*
+ * Sound Blaster DSP definitions
+ *
+ * The DSP ports are offsets from the base port (eg, 0x220).
+ */
+SoundBlaster.DSP = {
+    PORT: {
+        RESET:      0x6,                // write
+        READ:       0xA,                // read
+        WRITE:      0xC,                // write command/data, read write-buffer status
+        STATUS:     0xE                 // read read-buffer status (and acknowledge the DSP interrupt)
+    },
+    READY:          0xAA,               // returned after a DSP reset
+    CMD: {
+        DAC_DIRECT:         0x10,       // 8-bit direct output (1 parameter: sample)
+        DAC_DMA:            0x14,       // 8-bit single-cycle DMA output (2 parameters: length - 1)
+        DAC_DMA_AUTO:       0x1C,       // 8-bit auto-init DMA output (SB 2.0)
+        ADC_DIRECT:         0x20,       // 8-bit direct input
+        TIME_CONSTANT:      0x40,       // set time constant (1 parameter: 256 - 1000000 / rate)
+        BLOCK_SIZE:         0x48,       // set DMA block size (2 parameters: length - 1) (SB 2.0)
+        SILENCE:            0x80,       // output silence (2 parameters: length - 1)
+        DAC_DMA_HIGH_AUTO:  0x90,       // 8-bit high-speed auto-init DMA output (SB 2.0)
+        DAC_DMA_HIGH:       0x91,       // 8-bit high-speed single-cycle DMA output (SB 2.0)
+        PAUSE_DMA:          0xD0,
+        SPEAKER_ON:         0xD1,
+        SPEAKER_OFF:        0xD3,
+        CONTINUE_DMA:       0xD4,
+        SPEAKER_STATUS:     0xD8,
+        EXIT_AUTO:          0xDA,       // exit 8-bit auto-init DMA (SB 2.0)
+        IDENTIFY:           0xE0,       // returns the inverse of its parameter
+        VERSION:            0xE1,       // returns major and minor version numbers
+        WRITE_TEST:         0xE4,
+        READ_TEST:          0xE8,
+        FORCE_IRQ:          0xF2,
+        UNDOCUMENTED_F8:    0xF8
+    },
+    /*
+     * Number of parameter bytes for every command that has any, including unsupported commands, so that their
+     * parameters don't get mistaken for commands.
+     */
+    PARMS: {
+        0x10: 1, 0x14: 2, 0x16: 2, 0x17: 2, 0x24: 2, 0x38: 1, 0x40: 1, 0x48: 2,
+        0x74: 2, 0x75: 2, 0x76: 2, 0x77: 2, 0x80: 2, 0xE0: 1, 0xE2: 1, 0xE4: 1
+    }
+};
+
+/*
+ * Port input notification tables
+ */
+SoundBlaster.aOPLPortInput = {
+    0x0: SoundBlaster.prototype.inOPLStatus,
+    0x1: SoundBlaster.prototype.inOPLData
+};
+
+SoundBlaster.aDSPPortInput = {
+    0xA: SoundBlaster.prototype.inDSPData,
+    0xC: SoundBlaster.prototype.inDSPWriteStatus,
+    0xE: SoundBlaster.prototype.inDSPReadStatus
+};
+
+/*
+ * Port output notification tables
+ */
+SoundBlaster.aOPLPortOutput = {
+    0x0: SoundBlaster.prototype.outOPLAddr,
+    0x1: SoundBlaster.prototype.outOPLData
+};
+
+SoundBlaster.aDSPPortOutput = {
+    0x6: SoundBlaster.prototype.outDSPReset,
+    0xC: SoundBlaster.prototype.outDSPWrite
+};
+
+/*
+ * Initialize every SoundBlaster module on the page.
+ */
+Web.onInit(SoundBlaster.init);
+
+if (typeof module !== "undefined") module.exports = SoundBlaster;
@@ -407,6 +407,14 @@ class Card extends Controller {
                 this.sizeBuffer = Math.min(this.cbMemory >> 2, 0x8000);
             }
 
+            /*
+             * An HGC is an MDA with enough memory for two pages, but only the first page is mapped until the
+             * configuration switch (regConfig) enables the second; setHGCConfig() updates sizeBuffer accordingly.
+             */
+            this.fHGC = (nCard == VideoX86.CARD.MDA && video.model == "hgc");
+            this.regConfig = 0;
+            if (this.fHGC) this.setHGCConfig(data[9] || 0);
+
             this.fActive    = data[0];
             this.regMode    = data[1];      // see MDA.MODE* or CGA.MODE_*
                                             // use MDA.MODE.HIRES | MDA.MODE.VIDEO_ENABLE | MDA.MODE.BLINK_ENABLE
@@ -602,6 +610,17 @@ class Card extends Controller {
             this.regDACShift    = data[29];
             this.regDACState    = data[30];
             this.regDACData     = data[31];
+
+            /*
+             * The remaining state is used only by the "svga" model, while a VBE mode is active (nVBEMode is non-zero);
+             * all these offsets are byte offsets into the card's linear (packed pixel) frame buffer.
+             */
+            let aVBE = data[32] || [0, 0, 0, 0];
+            this.nVBEMode       = aVBE[0];  // current VBE mode number (eg, 0x101), or zero if none
+            this.offVBEBank     = aVBE[1];  // offset of the memory visible through the A000:0000 window
+            this.cbVBELine      = aVBE[2];  // bytes per (logical) scan line
+            this.offVBEStart    = aVBE[3];  // offset of the first visible pixel
+            this.fVBEDirty      = true;     // set whenever a write through the window modifies the frame buffer
         }
 
         /*
@@ -680,10 +699,27 @@ class Card extends Controller {
             data[6] = (this.nCard < VideoX86.CARD.EGA? State.compressEvenOdd(this.adwMemory) : this.saveEGA());
             data[7] = this.nCyclesVertRetrace;
             data[8] = this.adwMemory.length;
+            data[9] = this.regConfig;
         }
         return data;
     }
 
+    /**
+     * setHGCConfig(bConfig)
+     *
+     * Records a write to the HGC's configuration switch (see Card.HGC.CONFIG), and resizes the video buffer
+     * to include the second page if the switch enables it.  It's up to the caller to call checkMode(), so that
+     * any change in the buffer size is mapped.
+     *
+     * @this {Card}
+     * @param {number} bConfig
+     */
+    setHGCConfig(bConfig)
+    {
+        this.regConfig = bConfig & (Card.HGC.CONFIG.GRAPHICS | Card.HGC.CONFIG.PAGE1);
+        this.sizeBuffer = (this.regConfig & Card.HGC.CONFIG.PAGE1)? Card.HGC.PAGE_SIZE * 2 : Card.HGC.PAGE_SIZE;
+    }
+
     /**
      * saveEGA()
      *
@@ -727,6 +763,7 @@ class Card extends Controller {
             data[29] = this.regDACShift;
             data[30] = this.regDACState;
             data[31] = this.regDACData;
+            data[32] = [this.nVBEMode, this.offVBEBank, this.cbVBELine, this.offVBEStart];
         }
         return data;
     }
@@ -1107,6 +1144,39 @@ Card.MDA = {
     }
 };
 
+/*
+ * HGC Registers (the MDA registers above, plus port 0x3BF)
+ *
+ * The Hercules Graphics Card adds two bits to the MDA's Mode Select Register, but they have no effect until the
+ * corresponding bits of the Configuration Switch are set (by default, they're not, so that an HGC behaves like an
+ * MDA, and so that its second page doesn't collide with a CGA's video buffer).
+ *
+ * In graphics mode, each 32Kb page contains 348 scan lines of 90 bytes (720 pixels, with the high bit of each byte
+ * leftmost), and scan lines are interleaved across four 8Kb banks; ie, scan line N starts at offset
+ * ((N & 3) * 0x2000) + ((N >> 2) * 90).
+ *
+ * Software tells an HGC from an MDA by reading the Status Register and watching for bit 7 (VSYNC) to change, which
+ * it never does on an MDA, and then checks bits 6-4 to tell an HGC (0) from an HGC+ (1) or InColor (5) card.
+ */
+Card.HGC = {
+    MODE: {
+        GRAPHICS:           0x02,       // 720x348 graphics mode (if CONFIG.GRAPHICS is set)
+        PAGE1:              0x80        // display the second page at B800:0000 (if CONFIG.PAGE1 is set)
+    },
+    STATUS: {
+        VSYNC:              0x80,       // clear during vertical retrace
+        ID:                 0x70        // zero on an HGC
+    },
+    CONFIG: {
+        PORT:               0x3BF,      // Configuration Switch (write-only)
+        GRAPHICS:           0x01,       // allows MODE.GRAPHICS to be set
+        PAGE1:              0x02        // maps the second page at B800:0000 and allows MODE.PAGE1 to be set
+    },
+    BANK_SIZE:              0x2000,
+    PAGE_SIZE:              0x8000,
+    LINE_SIZE:              90
+};
+
 /*
  * CGA Registers (ports 0x3D4, 0x3D5, 0x3D8, 0x3D9, and 0x3DA)
  */
@@ -1706,6 +1776,7 @@ Card.ACCESS = {
         MODE1:              0x0500,
         PAIRS:              0x0800,
         EVENODD:            0x1000,
+        BANKED:             0x2000,     // SVGA only
         CHAIN4:             0x4000,
         MASK:               0xFF00
     },
@@ -1718,6 +1789,7 @@ Card.ACCESS = {
         PAIRS:              0x0008,
         EVENODD:            0x0010,
         ROT:                0x0020,
+        BANKED:             0x0040,     // SVGA only
         AND:                0x0060,
         OR:                 0x00A0,
         XOR:                0x00E0,
@@ -2276,6 +2348,52 @@ Card.ACCESS.writeByteMode3 = function writeByteMode3(off, b, addr)
 /*
  * Mappings from getCardAccess() values to access functions above
  */
+/**
+ * readByteBanked(off, addr)
+ *
+ * Used for SVGA (VBE) modes, where the 64Kb window at A000:0000 maps to whatever portion of the card's linear
+ * frame buffer the current bank (offVBEBank) selects; byte N of the frame buffer is stored in byte (N & 3) of
+ * adw[N >> 2], so this has nothing in common with the planar (or CHAIN4) layout of the other access functions.
+ *
+ * @this {MemoryX86}
+ * @param {number} off
+ * @param {number} [addr]
+ * @return {number}
+ */
+Card.ACCESS.readByteBanked = function readByteBanked(off, addr)
+{
+    let lin = this.controller.offVBEBank + this.offset + off;
+    return (this.adw[lin >> 2] >>> ((lin & 0x3) << 3)) & 0xff;
+};
+
+/**
+ * writeByteBanked(off, b, addr)
+ *
+ * Since only the current bank is mapped, the DIRTY flags of the underlying memory blocks can't tell
+ * updateScreenSVGA() whether any other part of the frame buffer has changed, so we also set fVBEDirty.
+ *
+ * @this {MemoryX86}
+ * @param {number} off
+ * @param {number} b (which should already be pre-masked to 8 bits; see cpu.setByte())
+ * @param {number} [addr]
+ */
+Card.ACCESS.writeByteBanked = function writeByteBanked(off, b, addr)
+{
+    let card = this.controller;
+    let lin = card.offVBEBank + this.offset + off;
+    let idw = lin >> 2;
+    if (idw < this.adw.length) {
+        let shift = (lin & 0x3) << 3;
+        let dw = (this.adw[idw] & ~(0xff << shift)) | (b << shift);
+        if (this.adw[idw] != dw) {
+            this.adw[idw] = dw;
+            this.flags |= MemoryX86.FLAGS.DIRTY;
+            card.fVBEDirty = true;
+        }
+    }
+    if (DEBUG) card.video.printf(Messages.MEM + Messages.VIDEO, "writeByteBanked(%#010X): %#04X -> %#010X\n", addr, b, lin);
+};
+
 Card.ACCESS.afn = [];
 
 Card.ACCESS.afn[Card.ACCESS.READ.MODE0]  = Card.ACCESS.readByteMode0;
@@ -2283,6 +2401,7 @@ Card.ACCESS.afn[Card.ACCESS.READ.MODE0  |  Card.ACCESS.READ.CHAIN4]  = Card.ACCE
 Card.ACCESS.afn[Card.ACCESS.READ.MODE0  |  Card.ACCESS.READ.EVENODD] = Card.ACCESS.readByteMode0EvenOdd;
 Card.ACCESS.afn[Card.ACCESS.READ.MODE1]  = Card.ACCESS.readByteMode1;
 Card.ACCESS.afn[Card.ACCESS.READ.PAIRS]  = Card.ACCESS.readBytePairs;
+Card.ACCESS.afn[Card.ACCESS.READ.BANKED] = Card.ACCESS.readByteBanked;
 
 Card.ACCESS.afn[Card.ACCESS.WRITE.MODE0] = Card.ACCESS.writeByteMode0;
 Card.ACCESS.afn[Card.ACCESS.WRITE.MODE0 |  Card.ACCESS.WRITE.ROT] = Card.ACCESS.writeByteMode0Rot;
@@ -2299,6 +2418,7 @@ Card.ACCESS.afn[Card.ACCESS.WRITE.MODE2 |  Card.ACCESS.WRITE.OR]  = Card.ACCESS.
 Card.ACCESS.afn[Card.ACCESS.WRITE.MODE2 |  Card.ACCESS.WRITE.XOR] = Card.ACCESS.writeByteMode2Xor;
 Card.ACCESS.afn[Card.ACCESS.WRITE.MODE3] = Card.ACCESS.writeByteMode3;
 Card.ACCESS.afn[Card.ACCESS.WRITE.PAIRS] = Card.ACCESS.writeBytePairs;
+Card.ACCESS.afn[Card.ACCESS.WRITE.BANKED] = Card.ACCESS.writeByteBanked;
 
 /**
  * @class VideoX86
@@ -2385,7 +2505,7 @@ class VideoX86 extends Component {
         this.nCardFont = 0;
         this.nActiveFont = this.nAlternateFont = 0;
         this.nFontSelect = 0;                       // current set of selectable logical fonts
-        this.cbMemory = +parmsVideo['memory'] || 0; // zero means fallback to the cardSpec's default size
+        this.cbMemory = +parmsVideo['memory'] || aModelDefaults[2] || 0;    // zero means fallback to the cardSpec's default size
         this.sSwitches = parmsVideo['switches'];
         this.nRandomize = parmsVideo['randomize'];
         if (this.nRandomize == null) this.nRandomize = 1;
@@ -2700,6 +2820,23 @@ class VideoX86 extends Component {
             bus.addPortOutputTable(this, VideoX86.aVGAPortOutput);
         }
 
+        /*
+         * The "hgc" model traps the MDA ports above, plus its configuration switch.
+         */
+        if (this.model == "hgc") {
+            bus.addPortInputTable(this, VideoX86.aHGCPortInput);
+            bus.addPortOutputTable(this, VideoX86.aHGCPortOutput);
+        }
+
+        /*
+         * The "svga" model also gets a VBE option ROM, which the ROM BIOS will find and initialize during POST.
+         */
+        this.addrVBE = this.addrVBEPrev = 0;
+        if (this.model == "svga") {
+            this.addrVBE = +this.parmsVideo['romVBE'] || VideoX86.VBE.ROM_ADDR;
+            this.initVBE();
+        }
+
         if (DEBUGGER && dbg) {
             dbg.messageDump(Messages.VIDEO, function onDumpVideo(asArgs) {
                 video.dumpVideo(asArgs);
@@ -3612,7 +3749,7 @@ class VideoX86 extends Component {
         }
 
         this.cardActive = null;
-        this.cardMono = this.cardMDA = new Card(this, VideoX86.CARD.MDA);
+        this.cardMono = this.cardMDA = new Card(this, VideoX86.CARD.MDA, null, this.nCard == VideoX86.CARD.MDA? this.cbMemory : 0);
         this.cardColor = this.cardCGA = new Card(this, VideoX86.CARD.CGA);
 
         if (this.nCard < VideoX86.CARD.EGA) {
@@ -3700,6 +3837,7 @@ class VideoX86 extends Component {
         state.set(1, this.cardCGA.saveCard());
         state.set(2, [this.nMonitorType, this.nModeDefault, this.nMode]);
         state.set(3, this.cardEGA.saveCard());
+        state.set(4, this.addrVBEPrev);
         return state.data();
     }
 
@@ -3720,7 +3858,7 @@ class VideoX86 extends Component {
         this.nMode = a[2];
 
         this.cardActive = null;
-        this.cardMono = this.cardMDA = new Card(this, VideoX86.CARD.MDA, data[0]);
+        this.cardMono = this.cardMDA = new Card(this, VideoX86.CARD.MDA, data[0], this.nCard == VideoX86.CARD.MDA? this.cbMemory : 0);
         this.cardColor = this.cardCGA = new Card(this, VideoX86.CARD.CGA, data[1]);
 
         /*
@@ -3729,6 +3867,11 @@ class VideoX86 extends Component {
         this.cardEGA = new Card(this, this.nCard, data[3], this.cbMemory);
         if (this.cardEGA.fActive) this.enableEGA();
 
+        /*
+         * If the VBE option ROM had hooked INT 10h, then it must continue passing non-VBE calls to the same handler.
+         */
+        if (this.addrVBE && data[4]) this.patchVBE(data[4]);
+
         /*
          * While I could restore the active card here, it's better for setMode() to do it, because
          * setMode() will also take care of mapping the appropriate video buffer.  So, after restore() has
@@ -4963,7 +5106,11 @@ class VideoX86 extends Component {
         let card = this.cardActive;
         let nAccess = Card.ACCESS.READ.PAIRS | Card.ACCESS.WRITE.PAIRS;
 
-        if (card.nCard >= VideoX86.CARD.EGA) {
+        if (card.nVBEMode) {
+            this.fColor256 = true;
+            nAccess = Card.ACCESS.READ.BANKED | Card.ACCESS.WRITE.BANKED;
+        }
+        else if (card.nCard >= VideoX86.CARD.EGA) {
             this.fColor256 = false;
             let regGRCMode = card.regGRCData[Card.GRC.MODE.INDX];
             if (regGRCMode != null) {
@@ -5265,6 +5412,24 @@ class VideoX86 extends Component {
         else {
             if (card.nCard == VideoX86.CARD.MDA) {
                 nMode = VideoX86.MODE.MDA_80X25;
+                if (card.fHGC) {
+                    if ((card.regMode & Card.HGC.MODE.GRAPHICS) && (card.regConfig & Card.HGC.CONFIG.GRAPHICS)) {
+                        nMode = VideoX86.MODE.HGC_720X348;
+                    }
+                    if (card.sizeBuffer != this.sizeBuffer) {
+                        fRemap = true;
+                    }
+                }
+            }
+            else if (card.nVBEMode) {
+                /*
+                 * While a VBE mode is active, the mode is whatever setVBEMode() selected, regardless of how the
+                 * standard VGA registers are programmed; only a BIOS mode set (see outVBE()) can change that.
+                 */
+                nMode = VideoX86.VBE.MODES[card.nVBEMode];
+                if (card.addrBuffer != this.addrBuffer || card.sizeBuffer != this.sizeBuffer) {
+                    fRemap = true;
+                }
             }
             else if (card.nCard >= VideoX86.CARD.EGA) {
                 /*
@@ -5276,7 +5441,11 @@ class VideoX86 extends Component {
                  * presumably mode 0x10, on an EGA card with only 64Kb).
                  */
                 nMode = null;
-                let cbBuffer = card.cbMemory >> 2;
+                /*
+                 * On an SVGA, the memory beyond the first 256Kb is accessible only through the VBE window,
+                 * so a standard mapping never exceeds the 64Kb that a VGA's memory planes span.
+                 */
+                let cbBuffer = Math.min(card.cbMemory >> 2, 0x10000);
                 let cbBufferText = (cbBuffer > 0x8000? 0x8000 : cbBuffer);
 
                 let regGRCMisc = card.regGRCData[Card.GRC.MISC.INDX];
@@ -5508,7 +5677,7 @@ class VideoX86 extends Component {
              * (MDA or CGA) never reallocates its memory buffer, it's still a good idea to always force this operation
              * (eg, in case a switch setting changed the active video card).
              */
-            let card = this.cardActive || (nMode == VideoX86.MODE.MDA_80X25? this.cardMono : this.cardColor);
+            let card = this.cardActive || (nMode == VideoX86.MODE.MDA_80X25 || nMode == VideoX86.MODE.HGC_720X348? this.cardMono : this.cardColor);
 
             if (card != this.cardActive || card.addrBuffer != this.addrBuffer || card.sizeBuffer != this.sizeBuffer) {
 
@@ -5913,6 +6082,25 @@ class VideoX86 extends Component {
             if (this.aCellCache === undefined) return false;
         }
 
+        /*
+         * Without a screen (eg, when running in the Node CLI), graphics modes have no image buffer to draw into.
+         */
+        if (!this.contextScreen && !this.nActiveFont) return false;
+
+        /*
+         * VBE modes have none of the CRTC-based addressing considerations below, so they get their own update.
+         */
+        if (card.nVBEMode) {
+            return this.updateScreenSVGA(fForce);
+        }
+
+        /*
+         * HGC graphics mode gets its own update, too, because its 4-way interleave doesn't fit the CGA's 2-way split.
+         */
+        if (this.nMode == VideoX86.MODE.HGC_720X348) {
+            return this.updateScreenHGC(fForce);
+        }
+
         /*
          * If this is a hardware update (as opposed to, say, a debugger-triggered update, where fForce is set),
          * and cBlinks is "enabled" (ie, >= 0), then advance cBlinks once every 10 updateScreen() calls.
@@ -6353,6 +6541,64 @@ class VideoX86 extends Component {
         return cCells;
     }
 
+    /**
+     * updateScreenHGC(fForce)
+     *
+     * This is the HGC graphics-mode update case, where cells are 16-pixel byte pairs and scan lines are interleaved
+     * across 4 banks of the displayed page (see Card.HGC).
+     *
+     * @this {VideoX86}
+     * @param {boolean} [fForce]
+     * @return {boolean}
+     */
+    updateScreenHGC(fForce)
+    {
+        let card = this.cardActive;
+        let addrPage = card.addrBuffer;
+        if ((card.regMode & Card.HGC.MODE.PAGE1) && (card.regConfig & Card.HGC.CONFIG.PAGE1)) {
+            addrPage += Card.HGC.PAGE_SIZE;
+        }
+        if (!fForce && this.iCellCacheValid == 2 && this.bus.cleanMemory(addrPage, Card.HGC.PAGE_SIZE)) return true;
+
+        let iCell = 0;
+        let aPixelColors = this.getCardColors(1);
+        let xDirty = this.nCols, xMaxDirty = 0, yDirty = this.nRows, yMaxDirty = 0;
+
+        for (let y = 0; y < this.nRows; y++) {
+            let addr = addrPage + (y & 0x3) * Card.HGC.BANK_SIZE + (y >> 2) * Card.HGC.LINE_SIZE;
+            for (let x = 0; x < this.nCols; x += 16, addr += 2) {
+                let data = this.bus.getShortDirect(addr);
+                if (this.iCellCacheValid && data === this.aCellCache[iCell]) {
+                    iCell++;
+                    continue;
+                }
+                this.aCellCache[iCell++] = data;
+                let wPixels = (data >> 8) | ((data & 0xff) << 8);
+                for (let iPixel = 0; iPixel < 16; iPixel++) {
+                    this.setPixel(this.imageBuffer, x + iPixel, y, aPixelColors[(wPixels >> (15 - iPixel)) & 0x1]);
+                }
+                if (x < xDirty) xDirty = x;
+                if (x + 16 > xMaxDirty) xMaxDirty = x + 16;
+                if (y < yDirty) yDirty = y;
+                if (y >= yMaxDirty) yMaxDirty = y + 1;
+            }
+        }
+
+        this.bus.cleanMemory(addrPage, Card.HGC.PAGE_SIZE, true);
+        this.iCellCacheValid = 2;
+
+        /*
+         * For a fascinating discussion of the best way to update the screen canvas at this point, see updateScreenGraphicsCGA().
+         */
+        if (xDirty < this.nCols) {
+            let cxDirty = xMaxDirty - xDirty;
+            let cyDirty = yMaxDirty - yDirty;
+            this.contextBuffer.putImageData(this.imageBuffer, 0, 0, xDirty, yDirty, cxDirty, cyDirty);
+            this.contextScreen.drawImage(this.canvasBuffer, 0, 0, this.nCols, this.nRows, 0, 0, this.cxScreen, this.cyScreen);
+        }
+        return true;
+    }
+
     /**
      * updateScreenGraphicsEGA(addrBuffer, addrScreen, addrScreenLimit)
      *
@@ -6567,6 +6813,71 @@ class VideoX86 extends Component {
         return cCells;
     }
 
+    /**
+     * updateScreenSVGA(fForce)
+     *
+     * Updates the screen from the linear (packed pixel) frame buffer of a VBE mode, starting at offVBEStart and
+     * advancing cbVBELine bytes per scan line.  Every cell in the cell cache holds 4 consecutive pixels.
+     *
+     * Since writes are made through a bank window, the DIRTY flags of the video memory blocks don't reflect changes
+     * to the rest of the frame buffer, so we rely on the card's fVBEDirty flag to skip updates when nothing changed.
+     *
+     * @this {VideoX86}
+     * @param {boolean} [fForce]
+     * @return {boolean}
+     */
+    updateScreenSVGA(fForce)
+    {
+        let card = this.cardActive;
+        if (!fForce && !card.fVBEDirty && this.iCellCacheValid == 2) return true;
+        card.fVBEDirty = false;
+
+        let iCell = 0;
+        let aPixelColors = this.getCardColors(8);
+        let adwMemory = card.adwMemory;
+        let xDirty = this.nCols, xMaxDirty = 0, yDirty = this.nRows, yMaxDirty = 0;
+
+        for (let y = 0; y < this.nRows; y++) {
+            let lin = card.offVBEStart + y * card.cbVBELine;
+            for (let x = 0; x < this.nCols; x += 4, lin += 4) {
+                /*
+                 * Display start addresses (and scan line lengths) aren't necessarily dword-aligned, in which case the
+                 * 4 pixels we need straddle two dwords; the last of those dwords may lie beyond the end of video memory,
+                 * so we treat anything out there as zero.
+                 */
+                let idw = lin >>> 2, shift = (lin & 0x3) << 3;
+                let data = adwMemory[idw] >>> shift;
+                if (shift && idw + 1 < adwMemory.length) data |= adwMemory[idw + 1] << (32 - shift);
+                if (this.iCellCacheValid && data === this.aCellCache[iCell]) {
+                    iCell++;
+                    continue;
+                }
+                this.aCellCache[iCell++] = data;
+                for (let iPixel = 0; iPixel < 4; iPixel++) {
+                    this.setPixel(this.imageBuffer, x + iPixel, y, aPixelColors[data & 0xff]);
+                    data >>>= 8;
+                }
+                if (x < xDirty) xDirty = x;
+                if (x + 4 > xMaxDirty) xMaxDirty = x + 4;
+                if (y < yDirty) yDirty = y;
+                if (y >= yMaxDirty) yMaxDirty = y + 1;
+            }
+        }
+
+        this.iCellCacheValid = 2;
+
+        /*
+         * For a fascinating discussion of the best way to update the screen canvas at this point, see updateScreenGraphicsCGA().
+         */
+        if (xDirty < this.nCols) {
+            let cxDirty = xMaxDirty - xDirty;
+            let cyDirty = yMaxDirty - yDirty;
+            this.contextBuffer.putImageData(this.imageBuffer, 0, 0, xDirty, yDirty, cxDirty, cyDirty);
+            this.contextScreen.drawImage(this.canvasBuffer, 0, 0, this.nCols, this.nRows, 0, 0, this.cxScreen, this.cyScreen);
+        }
+        return true;
+    }
+
     /**
      * getRetraceBits(card)
      *
@@ -6707,6 +7018,36 @@ class VideoX86 extends Component {
         return this.inCardStatus(this.cardMono, addrFrom);
     }
 
+    /**
+     * inHGCConfig(port, addrFrom)
+     *
+     * @this {VideoX86}
+     * @param {number} port (0x3BF)
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     * @return {number}
+     */
+    inHGCConfig(port, addrFrom)
+    {
+        let b = this.cardMDA.regConfig;
+        this.printMessageIO(port, undefined, addrFrom, "CONFIG", b);
+        return b;
+    }
+
+    /**
+     * outHGCConfig(port, bOut, addrFrom)
+     *
+     * @this {VideoX86}
+     * @param {number} port (0x3BF)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     */
+    outHGCConfig(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "CONFIG");
+        this.cardMDA.setHGCConfig(bOut);
+        if (this.cardActive === this.cardMDA) this.checkMode();
+    }
+
     /**
      * outFeat(port, bOut, addrFrom)
      *
@@ -7699,7 +8040,7 @@ class VideoX86 extends Component {
     outCardMode(card, bOut, addrFrom)
     {
         this.printMessageIO(card.port + 4, bOut, addrFrom, "MODE");
-        if ((card.regMode ^ bOut) & Card.MDA.MODE.BLINK_ENABLE) {
+        if ((card.regMode ^ bOut) & (Card.MDA.MODE.BLINK_ENABLE | (card.fHGC? Card.HGC.MODE.PAGE1 : 0))) {
             card.video.iCellCacheValid = 0;
         }
         card.regMode = bOut;
@@ -7786,8 +8127,15 @@ class VideoX86 extends Component {
              * old data on appear on the screen before the above code has the chance to store new data over it.
              *
              *      b = (card.regStatus ^= (Card.CGA.STATUS.RETRACE | Card.CGA.STATUS.VRETRACE)) | 0xF0;
+             *
+             * On an HGC, however, bits 6-4 are OFF (Card.HGC.STATUS.ID), and bit 7 goes OFF during vertical retrace,
+             * because that's how software detects an HGC.
              */
-            b |= 0xF0;
+            if (!card.fHGC) {
+                b |= 0xF0;
+            } else if (!(b & Card.CGA.STATUS.VRETRACE)) {
+                b |= Card.HGC.STATUS.VSYNC;
+            }
         }
 
         card.regStatus = b;
@@ -7795,6 +8143,346 @@ class VideoX86 extends Component {
         return b;
     }
 
+    /**
+     * initVBE()
+     *
+     * Builds the VBE option ROM (see VideoX86.VBE) and adds it to the bus at addrVBE, along with the port
+     * that the ROM uses to call outVBE().  The ROM's mode list includes only those modes that fit in the card's
+     * memory, and its last byte is a checksum, so that the ROM BIOS will accept and initialize it.
+     *
+     * @this {VideoX86}
+     */
+    initVBE()
+    {
+        let VBE = VideoX86.VBE;
+        let cbMemory = this.cbMemory || VideoX86.cardSpecs[this.nCard][4];
+        let abROM = new Array(VBE.ROM_SIZE).fill(0);
+        let i, off, sum = 0;
+
+        for (i = 0; i < VBE.ROM_CODE.length; i++) abROM[i] = VBE.ROM_CODE[i];
+        for (i = 0; i < VBE.OEM_STRING.length; i++) abROM[VBE.OFF.OEM + i] = VBE.OEM_STRING.charCodeAt(i);
+
+        off = VBE.OFF.MODES;
+        for (let sMode in VBE.MODES) {
+            let nMode = +sMode;
+            if (this.getVBEMode(nMode, cbMemory)) {
+                abROM[off++] = nMode & 0xff;
+                abROM[off++] = nMode >> 8;
+            }
+        }
+        abROM[off++] = 0xff;
+        abROM[off] = 0xff;
+
+        for (i = 0; i < abROM.length - 1; i++) sum += abROM[i];
+        abROM[i] = (0x100 - (sum & 0xff)) & 0xff;
+
+        if (!this.bus.addMemory(this.addrVBE, abROM.length, MemoryX86.TYPE.ROM)) {
+            this.addrVBE = 0;
+            return;
+        }
+        for (i = 0; i < abROM.length; i++) {
+            this.bus.setByteDirect(this.addrVBE + i, abROM[i]);
+        }
+        this.bus.addPortOutputTable(this, VideoX86.aVBEPortOutput);
+    }
+
+    /**
+     * patchVBE(addrPrev)
+     *
+     * Since the ROM can't store the address of the previous INT 10h handler itself, we store it in the operands
+     * of the ROM's JMP FAR and CALL FAR instructions.
+     *
+     * @this {VideoX86}
+     * @param {number} addrPrev (segmented address of the previous INT 10h handler, with the segment in the high word)
+     */
+    patchVBE(addrPrev)
+    {
+        let aOffsets = [VideoX86.VBE.OFF.PREV_JMP, VideoX86.VBE.OFF.PREV_CALL];
+        for (let i = 0; i < aOffsets.length; i++) {
+            for (let j = 0; j < 4; j++) {
+                this.bus.setByteDirect(this.addrVBE + aOffsets[i] + j, (addrPrev >>> (j << 3)) & 0xff);
+            }
+        }
+        this.addrVBEPrev = addrPrev;
+    }
+
+    /**
+     * getVBEMode(nMode, cbMemory)
+     *
+     * @this {VideoX86}
+     * @param {number} nMode (VBE mode number)
+     * @param {number} [cbMemory] (default is the memory size of the current card)
+     * @return {Array|null} the mode's aModeParms entry, or null if the mode is unsupported (or doesn't fit in memory)
+     */
+    getVBEMode(nMode, cbMemory = this.cardEGA.cbMemory)
+    {
+        let nModeInternal = VideoX86.VBE.MODES[nMode];
+        let modeParms = nModeInternal && VideoX86.aModeParms[nModeInternal];
+        return (modeParms && modeParms[0] * modeParms[1] <= cbMemory)? modeParms : null;
+    }
+
+    /**
+     * setVBEMode(nMode)
+     *
+     * Activates the specified VBE mode (bit 15 set means don't clear video memory), or deactivates the current
+     * VBE mode if nMode is zero.  Deactivation doesn't call checkMode(), because it happens only when the VGA BIOS
+     * is about to reprogram the card, and checkMode() will be called as that happens.
+     *
+     * @this {VideoX86}
+     * @param {number} nMode
+     */
+    setVBEMode(nMode)
+    {
+        let card = this.cardEGA;
+        card.offVBEBank = card.offVBEStart = 0;
+        if (!nMode) {
+            card.nVBEMode = 0;
+            return;
+        }
+        let modeParms = this.getVBEMode(nMode & 0x1ff);
+        if (modeParms) {
+            if (DEBUG) this.printf(Messages.VIDEO, "setVBEMode(%#06X)\n", nMode);
+            card.nVBEMode = nMode & 0x1ff;
+            card.cbVBELine = modeParms[0];
+            card.addrBuffer = VideoX86.VBE.WINDOW_SEG << 4;
+            card.sizeBuffer = VideoX86.VBE.WINDOW_SIZE;
+            if (!(nMode & 0x8000)) card.adwMemory.fill(0);
+            card.fVBEDirty = true;
+            this.checkMode(true);
+        }
+    }
+
+    /**
+     * setVBEData(off, v, cb)
+     *
+     * Stores cb bytes of v in the caller's buffer at ES:DI+off.
+     *
+     * @this {VideoX86}
+     * @param {number} off
+     * @param {number} v
+     * @param {number} [cb] (default is 1)
+     */
+    setVBEData(off, v, cb = 1)
+    {
+        let cpu = this.cpu;
+        off += cpu.regEDI;
+        while (cb--) {
+            cpu.setSOByte(cpu.segES, off++ & 0xffff, v & 0xff);
+            v >>>= 8;
+        }
+    }
+
+    /**
+     * callVBE(nFunc)
+     *
+     * Performs the requested VBE function, using the caller's registers, except for DX, which the ROM has
+     * pushed onto the stack, so that's where we read it from (and update it, if the function returns a value in DX).
+     *
+     * Set Mode (function 02h) is a special case, because the VGA BIOS must program the card for 256-color operation
+     * first (and load the default 256-color palette).  So, instead of a VBE status in AX, we return a BIOS mode number,
+     * which the ROM passes to the previous INT 10h handler, and then the ROM calls outVBE() again to finish the job.
+     *
+     * @this {VideoX86}
+     * @param {number} nFunc
+     */
+    callVBE(nFunc)
+    {
+        let VBE = VideoX86.VBE;
+        let cpu = this.cpu, card = this.cardEGA;
+        let sp = cpu.getSP() & 0xffff;
+        let regAX = VBE.STATUS.FAILED;
+        let regBX = cpu.regEBX & 0xffff, regCX = cpu.regECX & 0xffff, regDX = cpu.getSOWord(cpu.segSS, sp);
+        let segVBE = this.addrVBE >>> 4, modeParms;
+
+        switch(nFunc) {
+        case VBE.FUNC.INFO:
+            for (let off = 0; off < 256; off++) this.setVBEData(off, 0);
+            this.setVBEData(0x00, VBE.SIGNATURE, 4);
+            this.setVBEData(0x04, VBE.VERSION, 2);
+            this.setVBEData(0x06, (segVBE << 16) | VBE.OFF.OEM, 4);
+            this.setVBEData(0x0E, (segVBE << 16) | VBE.OFF.MODES, 4);
+            this.setVBEData(0x12, card.cbMemory >> 16, 2);
+            regAX = VBE.STATUS.SUCCESS;
+            break;
+
+        case VBE.FUNC.MODEINFO:
+            modeParms = this.getVBEMode(regCX & 0x1ff);
+            if (modeParms) {
+                for (let off = 0; off < 256; off++) this.setVBEData(off, 0);
+                this.setVBEData(0x00, VBE.MODEATTR, 2);
+                this.setVBEData(0x02, VBE.WINATTR);
+                this.setVBEData(0x04, VBE.WINDOW_SIZE >> 10, 2);       // granularity (in Kb)
+                this.setVBEData(0x06, VBE.WINDOW_SIZE >> 10, 2);       // size (in Kb)
+                this.setVBEData(0x08, VBE.WINDOW_SEG, 2);
+                this.setVBEData(0x0C, (segVBE << 16) | VBE.OFF.WINFUNC, 4);
+                this.setVBEData(0x10, modeParms[0], 2);                 // bytes per scan line
+                this.setVBEData(0x12, modeParms[0], 2);
+                this.setVBEData(0x14, modeParms[1], 2);
+                this.setVBEData(0x16, 8);                               // character cell width
+                this.setVBEData(0x17, 16);                              // character cell height
+                this.setVBEData(0x18, 1);                               // number of planes
+                this.setVBEData(0x19, 8);                               // bits per pixel
+                this.setVBEData(0x1A, 1);                               // number of banks
+                this.setVBEData(0x1B, VBE.MEMMODEL_PACKED);
+                this.setVBEData(0x1D, ((card.cbMemory / (modeParms[0] * modeParms[1])) | 0) - 1);
+                this.setVBEData(0x1E, 1);
+                regAX = VBE.STATUS.SUCCESS;
+            }
+            break;
+
+        case VBE.FUNC.SETMODE:
+            this.nVBEPending = 0;
+            this.setVBEMode(0);
+            if (this.getVBEMode(regBX & 0x1ff)) {
+                this.nVBEPending = regBX;
+                regAX = VideoX86.MODE.VGA_320X200 | 0x80;
+            }
+            else if ((regBX & 0x1ff) <= VideoX86.MODE.VGA_320X200) {
+                regAX = (regBX & 0x7f) | ((regBX & 0x8000)? 0x80 : 0);
+            }
+            break;
+
+        case VBE.FUNC.GETMODE:
+            regBX = card.nVBEMode || (cpu.getByte(0x449) & 0x7f);
+            regAX = VBE.STATUS.SUCCESS;
+            break;
+
+        case VBE.FUNC.WINDOW:
+            if (!(regBX & 0xff)) {                                      // only window A is supported
+                if (!(regBX & 0xff00)) {
+                    if (regDX * VBE.WINDOW_SIZE < card.cbMemory) {
+                        card.offVBEBank = regDX * VBE.WINDOW_SIZE;
+                        regAX = VBE.STATUS.SUCCESS;
+                    }
+                }
+                else if ((regBX >> 8) == 1) {
+                    regDX = (card.offVBEBank / VBE.WINDOW_SIZE) | 0;
+                    regAX = VBE.STATUS.SUCCESS;
+                }
+            }
+            break;
+
+        case VBE.FUNC.SCANLINE:
+            modeParms = card.nVBEMode && this.getVBEMode(card.nVBEMode);
+            if (modeParms && (regBX & 0xff) <= 1) {
+                if (!(regBX & 0xff)) {
+                    if (regCX < modeParms[0] || regCX * modeParms[1] > card.cbMemory) break;
+                    card.cbVBELine = regCX;
+                    if (card.offVBEStart + (modeParms[1] - 1) * regCX + modeParms[0] > card.cbMemory) card.offVBEStart = 0;
+                    this.invalidateCellCache(false);
+                }
+                regBX = regCX = card.cbVBELine;
+                regDX = (card.cbMemory / card.cbVBELine) | 0;
+                regAX = VBE.STATUS.SUCCESS;
+            }
+            break;
+
+        case VBE.FUNC.START:
+            modeParms = card.nVBEMode && this.getVBEMode(card.nVBEMode);
+            if (modeParms) {
+                if (!(regBX & 0x7f)) {
+                    /*
+                     * The new start address is accepted only if the entire visible area still fits in video memory.
+                     */
+                    let offStart = regDX * card.cbVBELine + regCX;
+                    if (offStart + (modeParms[1] - 1) * card.cbVBELine + modeParms[0] <= card.cbMemory) {
+                        card.offVBEStart = offStart;
+                        this.invalidateCellCache(false);
+                        regAX = VBE.STATUS.SUCCESS;
+                    }
+                }
+                else if ((regBX & 0xff) == 1) {
+                    regBX = 0;
+                    regCX = card.offVBEStart % card.cbVBELine;
+                    regDX = (card.offVBEStart / card.cbVBELine) | 0;
+                    regAX = VBE.STATUS.SUCCESS;
+                }
+            }
+            break;
+
+        case VBE.FUNC.DAC:
+            if ((regBX & 0xff) <= 1) {                                  // the DAC width is fixed at 6 bits
+                regBX = (6 << 8) | (regBX & 0xff);
+                regAX = VBE.STATUS.SUCCESS;
+            }
+            break;
+
+        default:
+            break;
+        }
+
+        if (DEBUG) this.printf(Messages.VIDEO, "callVBE(%#04X): AX=%#06X BX=%#06X CX=%#06X DX=%#06X\n", nFunc, regAX, regBX, regCX, regDX);
+
+        cpu.regEAX = (cpu.regEAX & ~0xffff) | regAX;
+        cpu.regEBX = (cpu.regEBX & ~0xffff) | regBX;
+        cpu.regECX = (cpu.regECX & ~0xffff) | regCX;
+        cpu.setSOWord(cpu.segSS, sp, regDX);
+    }
+
+    /**
+     * outVBE(port, bOut, addrFrom)
+     *
+     * This is how the VBE option ROM calls us; since every "trap" in the ROM is an OUT to this port, we use the address
+     * of the OUT instruction to determine which trap was hit, and ignore any OUT that didn't come from the ROM.
+     *
+     * @this {VideoX86}
+     * @param {number} port (0x1CE)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to write the specified port)
+     */
+    outVBE(port, bOut, addrFrom)
+    {
+        let VBE = VideoX86.VBE;
+        let cpu = this.cpu;
+        let segVBE = this.addrVBE >>> 4, offPrev, segPrev;
+
+        if (!addrFrom || this.messageEnabled()) {
+            this.printMessageIO(port, bOut, addrFrom, "VBE");
+        }
+
+        switch(addrFrom - this.addrVBE) {
+        case VBE.TRAP.INIT:
+            /*
+             * The ROM BIOS is initializing the ROM, so hook INT 10h (unless it's already hooked).
+             */
+            offPrev = cpu.getShort(0x10 << 2);
+            segPrev = cpu.getShort((0x10 << 2) + 2);
+            if (segPrev != segVBE || offPrev != VBE.OFF.INT10) {
+                this.patchVBE(((segPrev << 16) | offPrev) >>> 0);
+                cpu.setShort(0x10 << 2, VBE.OFF.INT10);
+                cpu.setShort((0x10 << 2) + 2, segVBE);
+            }
+            break;
+
+        case VBE.TRAP.RESET:
+            /*
+             * INT 10h AH=00h is about to reprogram the card for a standard mode, so any VBE mode is over.
+             */
+            this.setVBEMode(0);
+            break;
+
+        case VBE.TRAP.CALL:
+            this.callVBE(cpu.regEAX & 0xff);
+            break;
+
+        case VBE.TRAP.WINFUNC:
+            this.callVBE(VBE.FUNC.WINDOW);
+            break;
+
+        case VBE.TRAP.MODE:
+            /*
+             * The previous INT 10h handler has finished the BIOS mode set that callVBE() requested.
+             */
+            if (this.nVBEPending) this.setVBEMode(this.nVBEPending);
+            this.nVBEPending = 0;
+            cpu.regEAX = (cpu.regEAX & ~0xffff) | VBE.STATUS.SUCCESS;
+            break;
+
+        default:
+            break;
+        }
+    }
+
     /**
      * dumpVideo(asArgs)
      *
@@ -8097,6 +8785,10 @@ VideoX86.MODE = {
     VGA_320X200P:       0x14,   // mapped at A000:0000, color, 8bpp, planar
     VGA_320X240P:       0x15,   // mapped at A000:0000, color, 8bpp, planar ("Mode X")
     VGA_320X400P:       0x16,   // mapped at A000:0000, color, 8bpp, planar
+    SVGA_640X480:       0x17,   // mapped at A000:0000, color, 8bpp, linear (banked; see VideoX86.VBE)
+    SVGA_800X600:       0x18,   // mapped at A000:0000, color, 8bpp, linear (banked; see VideoX86.VBE)
+    SVGA_1024X768:      0x19,   // mapped at A000:0000, color, 8bpp, linear (banked; see VideoX86.VBE)
+    HGC_720X348:        0x1A,   // mapped at B000:0000 or B800:0000, mono, 1bpp, interleaved (see Card.HGC)
     /*
      * Here's where we might assign additional identifiers to certain unique combinations, like the
      * fTextGraphicsHybrid 320x400 mode that Windows 95 uses (ie, when the buffer is mapped to B800:0000
@@ -8111,13 +8803,22 @@ VideoX86.UPDATES_PER_SECOND = 60;
 /*
  * Supported Models
  *
- * Each model refers to an array where [0] is the card ID, and [1] is the default mode.
+ * Each model refers to an array where [0] is the card ID, and [1] is the default mode.  An optional [2]
+ * overrides the card's default memory size (which a 'memory' parameter can still override).
+ *
+ * The "svga" model is a VGA with 1Mb of memory and a VBE option ROM (see VideoX86.VBE); it is a generic
+ * adapter, not a simulation of any particular SVGA chipset, so software that programs extended chipset
+ * registers directly will only see a VGA.
+ *
+ * The "hgc" model is a Hercules Graphics Card: an MDA with 64Kb of memory and a 720x348 graphics mode (see Card.HGC).
  */
 VideoX86.MODEL = {
-    "mda": [VideoX86.CARD.MDA, VideoX86.MODE.MDA_80X25],
-    "cga": [VideoX86.CARD.CGA, VideoX86.MODE.CGA_80X25],
-    "ega": [VideoX86.CARD.EGA, VideoX86.MODE.CGA_80X25],
-    "vga": [VideoX86.CARD.VGA, VideoX86.MODE.CGA_80X25]
+    "mda":  [VideoX86.CARD.MDA, VideoX86.MODE.MDA_80X25],
+    "cga":  [VideoX86.CARD.CGA, VideoX86.MODE.CGA_80X25],
+    "ega":  [VideoX86.CARD.EGA, VideoX86.MODE.CGA_80X25],
+    "vga":  [VideoX86.CARD.VGA, VideoX86.MODE.CGA_80X25],
+    "svga": [VideoX86.CARD.VGA, VideoX86.MODE.CGA_80X25, 0x100000],
+    "hgc":  [VideoX86.CARD.MDA, VideoX86.MODE.MDA_80X25, 0x10000]
 };
 
 /*
@@ -8302,10 +9003,125 @@ VideoX86.aModeParms[VideoX86.MODE.VGA_320X200]        = [320, 200,  4,   1];
 VideoX86.aModeParms[VideoX86.MODE.VGA_320X200P]       = [320, 200,  4,   4];                              // 0x14
 VideoX86.aModeParms[VideoX86.MODE.VGA_320X240P]       = [320, 240,  4,   4];                              // 0x15
 VideoX86.aModeParms[VideoX86.MODE.VGA_320X400P]       = [320, 400,  4,   4];                              // 0x16
+VideoX86.aModeParms[VideoX86.MODE.SVGA_640X480]       = [640, 480,  4,   1];                              // 0x17
+VideoX86.aModeParms[VideoX86.MODE.SVGA_800X600]       = [800, 600,  4,   1];                              // 0x18
+VideoX86.aModeParms[VideoX86.MODE.SVGA_1024X768]      = [1024, 768, 4,   1];                              // 0x19
+VideoX86.aModeParms[VideoX86.MODE.HGC_720X348]        = [720, 348, 16,   8];                              // 0x1A
 VideoX86.aModeParms[VideoX86.MODE.CGA_40X25_BW]       = VideoX86.aModeParms[VideoX86.MODE.CGA_40X25];           // 0x00
 VideoX86.aModeParms[VideoX86.MODE.CGA_80X25_BW]       = VideoX86.aModeParms[VideoX86.MODE.CGA_80X25];           // 0x02
 VideoX86.aModeParms[VideoX86.MODE.CGA_320X200_BW]     = VideoX86.aModeParms[VideoX86.MODE.CGA_320X200];         // 0x05
 
+/*
+ * VESA BIOS Extensions (VBE) for the "svga" model
+ *
+ * Rather than implementing INT 10h AH=4Fh with an interrupt notification handler (which would miss any INT 10h
+ * that a V86-mode monitor like Windows reflects to V86-mode without executing an INT instruction), we install a small
+ * option ROM that the ROM BIOS initializes like any other.  The ROM hooks INT 10h, and whenever it needs our help,
+ * it "traps" to outVBE() with an OUT to VBE.PORT; outVBE() uses the address of the OUT instruction to figure out
+ * which trap was hit.  Every trap preserves DX by pushing it, so callVBE() reads (and updates) DX on the stack.
+ *
+ * Here's the ROM code, starting at offset 0x03 (after the ROM signature and size):
+ *
+ *      03: 52              PUSH    DX                  ; INIT: called by the ROM BIOS
+ *      04: BACE01          MOV     DX,01CE
+ *      07: EE              OUT     DX,AL               ; TRAP.INIT (outVBE() hooks INT 10h)
+ *      08: 5A              POP     DX
+ *      09: CB              RETF
+ *      0A: 52              PUSH    DX                  ; WINFUNC: VBE function 05h, called directly (eg, by Windows drivers)
+ *      0B: BACE01          MOV     DX,01CE
+ *      0E: EE              OUT     DX,AL               ; TRAP.WINFUNC
+ *      0F: 5A              POP     DX
+ *      10: CB              RETF
+ *      11: 80FC4F          CMP     AH,4F               ; INT10: the new INT 10h handler
+ *      14: 740F            JE      0025
+ *      16: 0AE4            OR      AH,AH
+ *      18: 7506            JNZ     0020
+ *      1A: 52              PUSH    DX
+ *      1B: BACE01          MOV     DX,01CE
+ *      1E: EE              OUT     DX,AL               ; TRAP.RESET (AH=00h: a BIOS mode set ends any VBE mode)
+ *      1F: 5A              POP     DX
+ *      20: EA00000000      JMP     0000:0000           ; PREV_JMP (outVBE() patches the previous INT 10h handler here)
+ *      25: 52              PUSH    DX
+ *      26: BACE01          MOV     DX,01CE
+ *      29: EE              OUT     DX,AL               ; TRAP.CALL (callVBE() returns either a VBE status or a BIOS mode)
+ *      2A: 5A              POP     DX
+ *      2B: 3C4F            CMP     AL,4F
+ *      2D: 740C            JE      003B
+ *      2F: 9C              PUSHF
+ *      30: 9A00000000      CALL    0000:0000           ; PREV_CALL (AH=00h, AL=BIOS mode)
+ *      35: 52              PUSH    DX
+ *      36: BACE01          MOV     DX,01CE
+ *      39: EE              OUT     DX,AL               ; TRAP.MODE (outVBE() finishes the mode set)
+ *      3A: 5A              POP     DX
+ *      3B: CF              IRET
+ *
+ * followed by the OEM string at OFF.OEM and the mode list at OFF.MODES.
+ *
+ * In VBE modes, the frame buffer is linear (packed pixel), with byte N stored in byte (N & 3) of adwMemory[N >> 2],
+ * and only the 64Kb "window" at A000:0000 is mapped, starting at the offset selected by VBE function 05h (offVBEBank).
+ */
+VideoX86.VBE = {
+    VERSION:        0x0102,
+    SIGNATURE:      0x41534556,     // "VESA"
+    OEM_STRING:     "PCjs SVGA",
+    PORT:           0x1CE,
+    ROM_ADDR:       0xCA000,        // default ROM address (see the 'romVBE' parameter)
+    ROM_SIZE:       0x800,
+    OFF: {
+        WINFUNC:    0x0A,
+        INT10:      0x11,
+        PREV_JMP:   0x21,
+        PREV_CALL:  0x31,
+        OEM:        0x40,
+        MODES:      0x50
+    },
+    TRAP: {
+        INIT:       0x07,
+        WINFUNC:    0x0E,
+        RESET:      0x1E,
+        CALL:       0x29,
+        MODE:       0x39
+    },
+    FUNC: {
+        INFO:       0x00,
+        MODEINFO:   0x01,
+        SETMODE:    0x02,
+        GETMODE:    0x03,
+        WINDOW:     0x05,
+        SCANLINE:   0x06,
+        START:      0x07,
+        DAC:        0x08
+    },
+    STATUS: {
+        SUCCESS:    0x004F,
+        FAILED:     0x014F
+    },
+    MODEATTR:       0x001B,         // supported, extended info, color, graphics (no BIOS output)
+    WINATTR:        0x07,           // window exists, readable, writable
+    WINDOW_SEG:     0xA000,
+    WINDOW_SIZE:    0x10000,        // the window's granularity is the same as its size
+    MEMMODEL_PACKED: 0x04,
+    MODES: {
+        0x101:      VideoX86.MODE.SVGA_640X480,
+        0x103:      VideoX86.MODE.SVGA_800X600,
+        0x105:      VideoX86.MODE.SVGA_1024X768
+    }
+};
+
+VideoX86.VBE.ROM_CODE = [
+    0x55, 0xAA, VideoX86.VBE.ROM_SIZE >> 9,
+    0x52, 0xBA, 0xCE, 0x01, 0xEE, 0x5A, 0xCB,
+    0x52, 0xBA, 0xCE, 0x01, 0xEE, 0x5A, 0xCB,
+    0x80, 0xFC, 0x4F, 0x74, 0x0F, 0x0A, 0xE4, 0x75, 0x06,
+    0x52, 0xBA, 0xCE, 0x01, 0xEE, 0x5A,
+    0xEA, 0x00, 0x00, 0x00, 0x00,
+    0x52, 0xBA, 0xCE, 0x01, 0xEE, 0x5A,
+    0x3C, 0x4F, 0x74, 0x0C, 0x9C,
+    0x9A, 0x00, 0x00, 0x00, 0x00,
+    0x52, 0xBA, 0xCE, 0x01, 0xEE, 0x5A,
+    0xCF
+];
+
 /*
  * MDA attribute byte definitions
  *
@@ -8556,6 +9372,14 @@ VideoX86.aMDAPortOutput = {
     0x3B8: VideoX86.prototype.outMDAMode
 };
 
+VideoX86.aHGCPortInput = {
+    0x3BF: VideoX86.prototype.inHGCConfig           // technically, not actually readable, but I want the Debugger to be able to read this
+};
+
+VideoX86.aHGCPortOutput = {
+    0x3BF: VideoX86.prototype.outHGCConfig
+};
+
 VideoX86.aCGAPortInput = {
     0x3D4: VideoX86.prototype.inCGAIndx,           // technically, not actually readable, but I want the Debugger to be able to read this
     0x3D5: VideoX86.prototype.inCGAData,           // technically, the only CRTC Data registers that are readable are R14-R17
@@ -8617,6 +9441,10 @@ VideoX86.aVGAPortOutput = {
     0x3C9: VideoX86.prototype.outDACData
 };
 
+VideoX86.aVBEPortOutput = {
+    0x1CE: VideoX86.prototype.outVBE                // VideoX86.VBE.PORT
+};
+
 /*
  * Initialize every Video module on the page.
  */
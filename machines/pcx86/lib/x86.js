@@ -19,6 +19,7 @@ var X86 = {
     MODEL_80188:    80188,
     MODEL_80286:    80286,
     MODEL_80386:    80386,
+    MODEL_80486:    80486,
 
     /*
      * 80386 CPU stepping identifiers (supported)
@@ -33,6 +34,21 @@ var X86 = {
     STEPPING_80386_D1: (80386+0xD1),
     STEPPING_80386_D2: (80386+0xD2),
 
+    /*
+     * 80486 CPUID values; our 80486 identifies itself as an Intel 80486DX4 (family 4, model 8, stepping 0), since
+     * that's the kind of 80486 that included both CPUID and an integrated FPU.  The same signature is also loaded
+     * into DX on reset.
+     */
+    CPUID: {
+        VENDOR_EBX: 0x756E6547,         // "Genu"
+        VENDOR_EDX: 0x49656E69,         // "ineI"
+        VENDOR_ECX: 0x6C65746E,         // "ntel"
+        SIGNATURE:  0x00000480,         // family 4, model 8, stepping 0
+        FEATURES: {
+            FPU:    0x00000001          // bit 0 of EDX: FPU on-chip
+        }
+    },
+
     /*
      * This constant is used to mark points in the code where the physical address being returned
      * is invalid and should not be used.
@@ -92,7 +108,8 @@ var X86 = {
         SS_FAULT:   0x0C,       // Stack Fault                              (#SS: fault, with error code; protected-mode only)
         GP_FAULT:   0x0D,       // General Protection Fault                 (#GP: fault, with error code)
         PF_FAULT:   0x0E,       // Page Fault                               (#PF: fault, with error code)
-        MF_FAULT:   0x10        // Math Fault; see ESC or WAIT              (#MF: fault, no error code)
+        MF_FAULT:   0x10,       // Math Fault; see ESC or WAIT              (#MF: fault, no error code)
+        AC_FAULT:   0x11        // Alignment Check (80486 and up)           (#AC: fault, with error code)
     },
     /*
      * Processor Status flag definitions (stored in regPS)
@@ -117,7 +134,9 @@ var X86 = {
         NT:     0x4000,     // bit 14: Nested Task flag (always set on 8086/80186; clear on 80286 reset)
         BIT15:  0x8000,     // bit 15: reserved (always set on 8086/80186; clear otherwise)
         RF:    0x10000,     // bit 16: Resume Flag (temporarily disables debug exceptions; 80386 only)
-        VM:    0x20000      // bit 17: Virtual 8086 Mode (80386 only)
+        VM:    0x20000,     // bit 17: Virtual 8086 Mode (80386 and up)
+        AC:    0x40000,     // bit 18: Alignment Check (80486 and up)
+        ID:   0x200000      // bit 21: CPUID available (set/clear-able only on 80486 and up processors that support CPUID)
     },
     CR0: {
         /*
@@ -132,8 +151,14 @@ var X86 = {
             MASK:   0xFFFF  // these are the only (MSW) bits that the 80286 can access (within CR0)
         },
         ET: 0x00000010,     // coprocessor type (80287 or 80387); always 1 on post-80386 CPUs
-        ON: 0x7FFFFFE0,     // CR0 bits that are always on
+        NE: 0x00000020,     // numeric error (80486 and up): report FPU errors with MF_FAULT instead of IRQ 13
+        WP: 0x00010000,     // write protect (80486 and up): enforce read-only pages at CPL 0-2, too
+        AM: 0x00040000,     // alignment mask (80486 and up): must be set for PS.AC to generate AC_FAULT
+        NW: 0x20000000,     // not write-through (80486 and up); we have no cache, so this is merely recorded
+        CD: 0x40000000,     // cache disable (80486 and up); ditto
+        ON: 0x7FFFFFE0,     // CR0 bits that are always on (80386 only)
         PG: 0x80000000|0,   // 0: paging disabled
+        MASK486: 0xE005003F // CR0 bits that an 80486 allows software to change (ie, PG, CD, NW, AM, WP, NE, ET, TS, EM, MP, PE)
     },
     DR7: {                  // Debug Control Register
         L0:     0x00000001,
@@ -266,7 +291,7 @@ var X86 = {
         DIRTY:      0x00000040,         // page has been modified
         ACCESSED:   0x00000020,         // page has been accessed
         USER:       0x00000004,         // set for user level (CPL 3), clear for supervisor level (CPL 0-2)
-        READWRITE:  0x00000002,         // set for read/write, clear for read-only (affects CPL 3 only)
+        READWRITE:  0x00000002,         // set for read/write, clear for read-only (affects CPL 3 only, unless CR0.WP is set)
         PRESENT:    0x00000001          // set for present page, clear for not-present page
     },
     TSS286: {
@@ -510,6 +535,7 @@ var X86 = {
         MODEL_80287:    80287,
         MODEL_80287XL:  80387,  // internally, the 80287XL was an 80387SX, so generally, we treat this as MODEL_80387
         MODEL_80387:    80387,
+        MODEL_80487:    80487,  // the FPU integrated with an 80486DX, which we otherwise treat as MODEL_80387
         CONTROL: {              // FPU Control Word
             IM:     0x0001,     // bit 0: Invalid Operation Mask
             DM:     0x0002,     // bit 1: Denormalized Operand Mask
@@ -243,6 +243,28 @@ X86.fnBSR = function(dst, src)
     return dst;
 };
 
+/**
+ * fnBSWAP(l)
+ *
+ * Reverses the order of the bytes in a 32-bit register.  Intel says the result is undefined when BSWAP is
+ * used with a 16-bit operand size; we mimic what actual 80486 processors do, which is to zero the low word.
+ *
+ * NOTE: Unlike most fnXXX() functions, this is not a ModRM callback; it's called directly by the opBSWAPxxx()
+ * handlers with the contents of the register being swapped.
+ *
+ * @this {CPUx86}
+ * @param {number} l
+ * @return {number}
+ */
+X86.fnBSWAP = function(l)
+{
+    this.nStepCycles -= 1;
+    if (this.sizeData == 2) {
+        return l & ~0xffff;
+    }
+    return ((l >>> 24) | ((l >> 8) & 0xff00) | ((l & 0xff00) << 8) | (l << 24))|0;
+};
+
 /**
  * fnBT(dst, src)
  *
@@ -563,6 +585,51 @@ X86.fnCMPw = function(dst, src)
     return dst;
 };
 
+/**
+ * fnCMPXCHGb(dst, src)
+ *
+ * Compares AL with dst; if they're equal, ZF is set and src is stored in dst; otherwise, ZF is cleared and
+ * dst is loaded into AL.  All the arithmetic flags are set as if a CMP AL,dst had been performed.
+ *
+ * Note that the 80486 always writes to the destination, storing dst back into itself when the comparison fails.
+ *
+ * @this {CPUx86}
+ * @param {number} dst
+ * @param {number} src
+ * @return {number}
+ */
+X86.fnCMPXCHGb = function(dst, src)
+{
+    let acc = this.regEAX & 0xff;
+    let b = (acc - dst)|0;
+    this.setArithResult(acc, dst, b, X86.RESULT.BYTE | X86.RESULT.ALL, true);
+    this.nStepCycles -= (this.regEA === X86.ADDR_INVALID? 6 : 7);
+    if (!(b & 0xff)) return src;
+    this.regEAX = (this.regEAX & ~0xff) | dst;
+    return dst;
+};
+
+/**
+ * fnCMPXCHGw(dst, src)
+ *
+ * Same as fnCMPXCHGb(), but using AX (or EAX) instead of AL.
+ *
+ * @this {CPUx86}
+ * @param {number} dst
+ * @param {number} src
+ * @return {number}
+ */
+X86.fnCMPXCHGw = function(dst, src)
+{
+    let acc = this.regEAX & this.maskData;
+    let w = (acc - dst)|0;
+    this.setArithResult(acc, dst, w, this.typeData | X86.RESULT.ALL, true);
+    this.nStepCycles -= (this.regEA === X86.ADDR_INVALID? 6 : 7);
+    if (!(w & this.maskData)) return src;
+    this.regEAX = (this.regEAX & ~this.maskData) | dst;
+    return dst;
+};
+
 /**
  * fnDECb(dst, src)
  *
@@ -1135,6 +1202,37 @@ X86.fnINCw = function(dst, src)
     return w & this.maskData;
 };
 
+/**
+ * fnINVLPG(dst, src)
+ *
+ * Invalidates the TLB entry for the page containing the operand's linear address; for us, that means
+ * discarding the paged memory block (if any) that we created for that address, so that the next access
+ * rewalks the page tables.
+ *
+ * @this {CPUx86}
+ * @param {number} dst
+ * @param {number} src (null)
+ * @return {number}
+ */
+X86.fnINVLPG = function(dst, src)
+{
+    if (this.regEA === X86.ADDR_INVALID) {
+        /*
+         * Generate UD_FAULT (INT 0x06: Invalid Opcode) if dst is not a memory operand.
+         */
+        X86.opInvalid.call(this);
+        return dst;
+    }
+    if (this.nCPL) {
+        X86.helpFault.call(this, X86.EXCEPTION.GP_FAULT, 0);
+        return dst;
+    }
+    this.flushPageBlock(this.regEA);
+    this.opFlags |= X86.OPFLAG.NOWRITE;
+    this.nStepCycles -= 12;
+    return dst;
+};
+
 /**
  * fnJMPw(dst, src)
  *
@@ -1624,7 +1722,7 @@ X86.fnMOVsrw = function(dst, src)
         this.regXX = this.regEBX;
         break;
     default:
-        if (this.model == X86.MODEL_80286 || this.model == X86.MODEL_80386 && reg != 0x4 && reg != 0x5) {
+        if (this.model == X86.MODEL_80286 || this.model >= X86.MODEL_80386 && reg != 0x4 && reg != 0x5) {
             X86.opInvalid.call(this);
             break;
         }
@@ -3183,6 +3281,76 @@ X86.fnIBTS = function(dst, src)
     return (dst & ~(mask << shift)) | ((src & mask) << shift);
 };
 
+/**
+ * fnXADDb(dst, src)
+ *
+ * XADD is a traditional "op dst,src" instruction that stores the sum in dst, but it must also store the
+ * original dst in the src register, which is the register specified by the REG field of the ModRM byte.
+ *
+ * The ModRM decoder that's calling us doesn't read the REG register again until after we return, so if REG and
+ * R/M specify the same register, the sum wins, which is what the 80486 does too.
+ *
+ * @this {CPUx86}
+ * @param {number} dst
+ * @param {number} src
+ * @return {number}
+ */
+X86.fnXADDb = function(dst, src)
+{
+    let b = (dst + src)|0;
+    this.setArithResult(dst, src, b, X86.RESULT.BYTE | X86.RESULT.ALL);
+    switch ((this.bModRM >> 3) & 0x7) {
+    case 0x0:       // AL
+        this.regEAX = (this.regEAX & ~0xff) | dst;
+        break;
+    case 0x1:       // CL
+        this.regECX = (this.regECX & ~0xff) | dst;
+        break;
+    case 0x2:       // DL
+        this.regEDX = (this.regEDX & ~0xff) | dst;
+        break;
+    case 0x3:       // BL
+        this.regEBX = (this.regEBX & ~0xff) | dst;
+        break;
+    case 0x4:       // AH
+        this.regEAX = (this.regEAX & ~0xff00) | (dst << 8);
+        break;
+    case 0x5:       // CH
+        this.regECX = (this.regECX & ~0xff00) | (dst << 8);
+        break;
+    case 0x6:       // DH
+        this.regEDX = (this.regEDX & ~0xff00) | (dst << 8);
+        break;
+    case 0x7:       // BH
+        this.regEBX = (this.regEBX & ~0xff00) | (dst << 8);
+        break;
+    default:
+        break;      // there IS no other case, but JavaScript inspections don't know that
+    }
+    this.nStepCycles -= (this.regEA === X86.ADDR_INVALID? 3 : 4);
+    return b & 0xff;
+};
+
+/**
+ * fnXADDw(dst, src)
+ *
+ * Same as fnXADDb(), but for 16-bit or 32-bit operands.
+ *
+ * @this {CPUx86}
+ * @param {number} dst
+ * @param {number} src
+ * @return {number}
+ */
+X86.fnXADDw = function(dst, src)
+{
+    let w = (dst + src)|0;
+    this.setArithResult(dst, src, w, this.typeData | X86.RESULT.ALL);
+    let iReg = (this.bModRM >> 3) & 0x7;
+    this.setReg(iReg, (this.getReg(iReg) & ~this.maskData) | dst);
+    this.nStepCycles -= (this.regEA === X86.ADDR_INVALID? 3 : 4);
+    return w & this.maskData;
+};
+
 /**
  * fnXBTS(dst, src)
  *
@@ -220,14 +220,26 @@ X86.helpINCreg = function(w)
 /**
  * helpLoadCR0(l)
  *
- * This is called by an 80386 control instruction (ie, MOV CR0,reg).
+ * This is called by an 80386 (or 80486) control instruction (ie, MOV CR0,reg).
  *
  * @this {CPUx86}
  * @param {number} l
  */
 X86.helpLoadCR0 = function(l)
 {
-    this.regCR0 = l | X86.CR0.ON;
+    if (this.model < X86.MODEL_80486) {
+        this.regCR0 = l | X86.CR0.ON;
+    } else {
+        /*
+         * Setting NW without also setting CD is an invalid combination on the 80486, and the 80486 ignores
+         * attempts to clear ET (since its FPU is integrated) or to set any of the reserved bits.
+         */
+        if ((l & (X86.CR0.CD | X86.CR0.NW)) == X86.CR0.NW) {
+            X86.helpFault.call(this, X86.EXCEPTION.GP_FAULT, 0);
+            return;
+        }
+        this.regCR0 = (l & X86.CR0.MASK486) | X86.CR0.ET;
+    }
     this.setProtMode();
     if (this.regCR0 & X86.CR0.PG) {
         /*
@@ -35,10 +35,10 @@ X86.opGRP6 = function()
 X86.opGRP7 = function()
 {
     let bModRM = this.peekIPByte();
-    if (!(bModRM & 0x10)) {
+    if (!(bModRM & 0x10) || (bModRM & 0x38) == 0x38) {  // INVLPG (reg=0x7) needs only the address, not the data
         this.opFlags |= X86.OPFLAG.NOREAD;
     }
-    this.decodeModGrpWord.call(this, X86.aOpGrp7, X86.helpSRCNone);
+    this.decodeModGrpWord.call(this, this.aOpGrp7, X86.helpSRCNone);
 };
 
 /**
@@ -348,6 +348,45 @@ X86.opLOADALL386 = function()
     this.nStepCycles -= (122 << ((addr & 0x3)? 1 : 0));
 };
 
+/**
+ * opINVD()
+ *
+ * op=0x0F,0x08 (INVD) (80486 and up)
+ *
+ * We don't simulate the 80486's internal cache, so there's nothing to invalidate.
+ *
+ * @this {CPUx86}
+ */
+X86.opINVD = function()
+{
+    /*
+     * NOTE: The following code shouldn't need to also test X86.PS.VM, because V86-mode is CPL 3.
+     */
+    if (this.nCPL) {
+        X86.helpFault.call(this, X86.EXCEPTION.GP_FAULT, 0);
+        return;
+    }
+    this.nStepCycles -= 4;
+};
+
+/**
+ * opWBINVD()
+ *
+ * op=0x0F,0x09 (WBINVD) (80486 and up)
+ *
+ * Like INVD, there's nothing to write back or invalidate.
+ *
+ * @this {CPUx86}
+ */
+X86.opWBINVD = function()
+{
+    if (this.nCPL) {
+        X86.helpFault.call(this, X86.EXCEPTION.GP_FAULT, 0);
+        return;
+    }
+    this.nStepCycles -= 5;
+};
+
 /**
  * opMOVrc()
  *
@@ -1183,6 +1222,38 @@ X86.opPOPFS = function()
     this.opLSP = X86.ADDR_INVALID;
 };
 
+/**
+ * opCPUID()
+ *
+ * op=0x0F,0xA2 (CPUID) (80486 and up)
+ *
+ * We support only the first two CPUID functions: EAX=0 returns the highest supported function in EAX and
+ * the vendor string in EBX:EDX:ECX, and EAX=1 returns the processor signature in EAX and feature flags in EDX.
+ * All other function numbers return zeros.
+ *
+ * @this {CPUx86}
+ */
+X86.opCPUID = function()
+{
+    switch(this.regEAX) {
+    case 0:
+        this.regEAX = 1;
+        this.regEBX = X86.CPUID.VENDOR_EBX;
+        this.regEDX = X86.CPUID.VENDOR_EDX;
+        this.regECX = X86.CPUID.VENDOR_ECX;
+        break;
+    case 1:
+        this.regEAX = X86.CPUID.SIGNATURE;
+        this.regEBX = this.regECX = 0;
+        this.regEDX = X86.CPUID.FEATURES.FPU;
+        break;
+    default:
+        this.regEAX = this.regEBX = this.regECX = this.regEDX = 0;
+        break;
+    }
+    this.nStepCycles -= 14;
+};
+
 /**
  * opBT()
  *
@@ -1339,6 +1410,30 @@ X86.opIMUL = function()
     this.decodeModRegWord.call(this, this.sizeData == 2? X86.fnIMULrw : X86.fnIMULrd);
 };
 
+/**
+ * opCMPXCHGb()
+ *
+ * op=0x0F,0xB0 (CMPXCHG mem/reg,reg) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opCMPXCHGb = function()
+{
+    this.decodeModMemByte.call(this, X86.fnCMPXCHGb);
+};
+
+/**
+ * opCMPXCHGw()
+ *
+ * op=0x0F,0xB1 (CMPXCHG mem/reg,reg) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opCMPXCHGw = function()
+{
+    this.decodeModMemWord.call(this, X86.fnCMPXCHGw);
+};
+
 /**
  * opLSS()
  *
@@ -1609,6 +1704,126 @@ X86.opMOVSXw = function()
     this.nStepCycles -= (this.regEA === X86.ADDR_INVALID? 3 : 6);
 };
 
+/**
+ * opXADDb()
+ *
+ * op=0x0F,0xC0 (XADD mem/reg,reg) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opXADDb = function()
+{
+    this.decodeModMemByte.call(this, X86.fnXADDb);
+};
+
+/**
+ * opXADDw()
+ *
+ * op=0x0F,0xC1 (XADD mem/reg,reg) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opXADDw = function()
+{
+    this.decodeModMemWord.call(this, X86.fnXADDw);
+};
+
+/**
+ * opBSWAPEAX()
+ *
+ * op=0x0F,0xC8 (BSWAP EAX) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opBSWAPEAX = function()
+{
+    this.regEAX = X86.fnBSWAP.call(this, this.regEAX);
+};
+
+/**
+ * opBSWAPECX()
+ *
+ * op=0x0F,0xC9 (BSWAP ECX) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opBSWAPECX = function()
+{
+    this.regECX = X86.fnBSWAP.call(this, this.regECX);
+};
+
+/**
+ * opBSWAPEDX()
+ *
+ * op=0x0F,0xCA (BSWAP EDX) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opBSWAPEDX = function()
+{
+    this.regEDX = X86.fnBSWAP.call(this, this.regEDX);
+};
+
+/**
+ * opBSWAPEBX()
+ *
+ * op=0x0F,0xCB (BSWAP EBX) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opBSWAPEBX = function()
+{
+    this.regEBX = X86.fnBSWAP.call(this, this.regEBX);
+};
+
+/**
+ * opBSWAPESP()
+ *
+ * op=0x0F,0xCC (BSWAP ESP) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opBSWAPESP = function()
+{
+    this.setSP(X86.fnBSWAP.call(this, this.getSP()));
+};
+
+/**
+ * opBSWAPEBP()
+ *
+ * op=0x0F,0xCD (BSWAP EBP) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opBSWAPEBP = function()
+{
+    this.regEBP = X86.fnBSWAP.call(this, this.regEBP);
+};
+
+/**
+ * opBSWAPESI()
+ *
+ * op=0x0F,0xCE (BSWAP ESI) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opBSWAPESI = function()
+{
+    this.regESI = X86.fnBSWAP.call(this, this.regESI);
+};
+
+/**
+ * opBSWAPEDI()
+ *
+ * op=0x0F,0xCF (BSWAP EDI) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opBSWAPEDI = function()
+{
+    this.regEDI = X86.fnBSWAP.call(this, this.regEDI);
+};
+
 X86.aOps0F = new Array(256);
 
 X86.aOps0F[0x00] = X86.opGRP6;
@@ -1625,13 +1840,13 @@ X86.aOps0F[0x06] = X86.opCLTS;
 X86.aOps0F[0x0B] = X86.opInvalid;
 
 /*
- * The following 0x0F opcodes are of no consequence to us, since they were all introduced post-80386;
- * 0x0F,0xA6 and 0x0F,0xA7 were introduced on some 80486 processors (and then deprecated), while 0x0F,0xB0
- * and 0x0F,0xB1 were introduced on 80586 (aka Pentium) processors.
+ * The following 0x0F opcodes are of little consequence to us; 0x0F,0xA6 and 0x0F,0xA7 were introduced on
+ * early 80486 steppings (and then deprecated), while later 80486 steppings moved CMPXCHG to 0x0F,0xB0 and 0x0F,0xB1,
+ * which is the only encoding that our 80486 supports (see aOps0F486 below).
  *
- *      CMPXCHG r/m8,reg8           ; 0F B0 /r          [PENT]
- *      CMPXCHG r/m16,reg16         ; o16 0F B1 /r      [PENT]
- *      CMPXCHG r/m32,reg32         ; o32 0F B1 /r      [PENT]
+ *      CMPXCHG r/m8,reg8           ; 0F B0 /r          [486]
+ *      CMPXCHG r/m16,reg16         ; o16 0F B1 /r      [486]
+ *      CMPXCHG r/m32,reg32         ; o32 0F B1 /r      [486]
  *      CMPXCHG486 r/m8,reg8        ; 0F A6 /r          [486,UNDOC]
  *      CMPXCHG486 r/m16,reg16      ; o16 0F A7 /r      [486,UNDOC]
  *      CMPXCHG486 r/m32,reg32      ; o32 0F A7 /r      [486,UNDOC]
@@ -1657,7 +1872,7 @@ X86.aOps0F[0xFF] = X86.opInvalid;
 /*
  * NOTE: Any other opcode slots NOT explicitly initialized above with either a dedicated function OR opInvalid()
  * will be set to opUndefined() when initProcessor() finalizes the opcode tables.  If the processor is an 80386,
- * initProcessor() will also incorporate all the handlers listed below in aOps0F386.
+ * initProcessor() will also incorporate all the handlers listed below in aOps0F386 (and if it's an 80486, aOps0F486).
  *
  * A call to opUndefined() implies something serious has occurred that merits our attention (eg, perhaps someone
  * is using an undocumented opcode that we haven't implemented yet), whereas a call to opInvalid() may or may not.
@@ -1732,6 +1947,23 @@ if (I386) {
     X86.aOps0F386[0xBD] = X86.opBSR;
     X86.aOps0F386[0xBE] = X86.opMOVSXb;
     X86.aOps0F386[0xBF] = X86.opMOVSXw;
+
+    X86.aOps0F486 = [];
+    X86.aOps0F486[0x08] = X86.opINVD;
+    X86.aOps0F486[0x09] = X86.opWBINVD;
+    X86.aOps0F486[0xA2] = X86.opCPUID;
+    X86.aOps0F486[0xB0] = X86.opCMPXCHGb;
+    X86.aOps0F486[0xB1] = X86.opCMPXCHGw;
+    X86.aOps0F486[0xC0] = X86.opXADDb;
+    X86.aOps0F486[0xC1] = X86.opXADDw;
+    X86.aOps0F486[0xC8] = X86.opBSWAPEAX;
+    X86.aOps0F486[0xC9] = X86.opBSWAPECX;
+    X86.aOps0F486[0xCA] = X86.opBSWAPEDX;
+    X86.aOps0F486[0xCB] = X86.opBSWAPEBX;
+    X86.aOps0F486[0xCC] = X86.opBSWAPESP;
+    X86.aOps0F486[0xCD] = X86.opBSWAPEBP;
+    X86.aOps0F486[0xCE] = X86.opBSWAPESI;
+    X86.aOps0F486[0xCF] = X86.opBSWAPEDI;
 }
 
 /*
@@ -1753,7 +1985,8 @@ X86.aOpGrp6Real = [
 
 /*
  * Unlike Grp6, Grp7 and Grp8 do not require separate real-mode and protected-mode dispatch tables, because
- * all Grp7 and Grp8 instructions are valid in both modes.
+ * all Grp7 and Grp8 instructions are valid in both modes.  However, initProcessor() makes a copy of aOpGrp7 for
+ * the 80486, so that it can add INVLPG (reg=0x7).
  */
 X86.aOpGrp7 = [
     X86.fnSGDT,             X86.fnSIDT,             X86.fnLGDT,             X86.fnLIDT,             // 0x0F,0x01(reg=0x0-0x3)
@@ -2550,10 +2550,14 @@ X86.opPOPF = function()
         return;
     }
     /*
-     * Regardless of mode, VM and RF (the only defined EFLAGS bit above bit 15) are never changed by POPFD.
+     * Regardless of mode, VM and RF (the only 80386 EFLAGS bits above bit 15) are never changed by POPFD.
+     * However, POPFD on an 80486 may change AC and ID, which initProcessor() includes in PS_DIRECT for that model.
      */
     let newPS = this.popWord();
-    if (I386) newPS = (newPS & 0xffff) | (this.regPS & ~0xffff);
+    if (I386) {
+        let maskPS = (this.sizeData == 4? (this.PS_DIRECT & (X86.PS.AC | X86.PS.ID)) : 0) | 0xffff;
+        newPS = (newPS & maskPS) | (this.regPS & ~maskPS);
+    }
     this.setPS(newPS);
     /*
      * NOTE: I'm assuming that neither POPF nor IRET are required to set NOINTR like STI does.
@@ -24,6 +24,7 @@ import FileInfo from "./fileinfo.js";
  * @property {number} lbaTotal
  * @property {number} nFATBits
  * @property {number} vbaFAT
+ * @property {number} nFATs
  * @property {number} vbaRoot
  * @property {number} nEntries
  * @property {number} vbaData
@@ -32,6 +33,10 @@ import FileInfo from "./fileinfo.js";
  * @property {number} clusBad
  * @property {number} clusFree
  * @property {number} clusTotal
+ * @property {number} [clusRoot] (FAT32 volumes only; first cluster of the root directory)
+ * @property {number} [vbaFSInfo] (FAT32 volumes only; VBA of the FSInfo sector)
+ * @property {number} [bType] (partitioned volumes only; partition type from the partition table)
+ * @property {boolean} [fJoliet] (ISO 9660 volumes only; true if names came from a Joliet directory tree)
  */
 
 /**
@@ -46,6 +51,7 @@ import FileInfo from "./fileinfo.js";
  * @property {DataBuffer} data
  * @property {number} cluster
  * @property {Array.<FileData>} files
+ * @property {string} [lfn] (long filename, if any; see calcLFNEntries())
  */
 
 /**
@@ -60,6 +66,27 @@ import FileInfo from "./fileinfo.js";
  * @property {number} size
  * @property {number} cluster
  * @property {Array.<number>} aLBA (ie, array of logical block addresses)
+ * @property {string|null} lfn (long filename, if any, preceding the current entry)
+ * @property {Array.<number>|null} lfnChars (UCS-2 characters of the LFN entries seen so far, if any)
+ * @property {number} lfnSeq (sequence number of the next LFN entry expected)
+ * @property {number} lfnChecksum (checksum recorded in the LFN entries seen so far)
+ */
+
+/**
+ * RecoveredFile describes a deleted file (or directory) or the slack space of a file (see recoverFiles()).
+ *
+ * @typedef {Object} RecoveredFile
+ * @property {number} iVolume
+ * @property {string} path
+ * @property {string} name (the first character of a deleted name is '_' unless it could be determined from an LFN)
+ * @property {string|null} lfn
+ * @property {number} attr
+ * @property {Date} date
+ * @property {number} size (size recorded in the deleted entry, or size of the slack space)
+ * @property {number} cluster (first cluster recorded in the deleted entry)
+ * @property {Array.<number>} aLBA (logical block addresses of the recovered data)
+ * @property {number} offset (offset of the recovered data within the first LBA)
+ * @property {string} status (one of the DiskInfo.RECOVER values)
  */
 
 /**
@@ -80,6 +107,8 @@ import FileInfo from "./fileinfo.js";
  * @property {number} dataMark
  * @property {number} headCRC
  * @property {boolean} headError
+ * @property {Array.<Array.<number>>} dataVariants (alternate arrays of 32-bit values, for sectors with weak bits)
+ * @property {Array.<number>} dataWeak (array of 32-bit masks, for sectors with weak bits)
  * @property {number} iModify (used only with fWritable disk images)
  * @property {number} cModify (used only with fWritable disk images)
  */
@@ -178,13 +207,21 @@ export default class DiskInfo {
         let aTracks = [];                   // track array (used only for disk images with track tables)
         let cbSector = 512;                 // default sector size
         let bMediaID = 0;
-        let offBootSector = 0;
+        let offBootSector = 0, nPartitions = 0;
         let cbDiskData = dbDisk.length, cbPartition = cbDiskData;
 
         let dbTrack, dbSector;
         let iTrack, cbTrack, offTrack, offSector;
 
-        if (cbDiskData >= 3000000) {        // arbitrary threshold between diskette image sizes and hard drive image sizes
+        /*
+         * ISO 9660 (CD-ROM) images have no physical geometry to speak of, so if the image looks like one, I simply
+         * treat every 2Kb sector as a separate cylinder (ie, 1 head and 1 sector per track, making every cylinder number
+         * the same as the LBA of its only sector), and skip all the MBR and BPB checks below.
+         */
+        let fISO = this.isISO(dbDisk);
+
+
+        if (cbDiskData >= 3000000 && !fISO) {   // arbitrary threshold between diskette image sizes and hard drive image sizes
             let wSig = dbDisk.readUInt16LE(DiskInfo.BOOT.SIG_OFFSET);
             if (wSig == DiskInfo.BOOT.SIGNATURE) {
                 /*
@@ -192,10 +229,10 @@ export default class DiskInfo {
                  * then read the LBA of the first partition sector to calculate the boot sector offset.
                  */
                 for (let offEntry = 0x1BE; offEntry <= 0x1EE; offEntry += 0x10) {
-                    if (dbDisk.readUInt8(offEntry) >= 0x80) {
+                    if (dbDisk.readUInt8(offEntry + 0x04)) nPartitions++;
+                    if (dbDisk.readUInt8(offEntry) >= 0x80 && !offBootSector) {
                         offBootSector = dbDisk.readUInt32LE(offEntry + 0x08) * cbSector;
                         cbPartition = dbDisk.readUInt32LE(offEntry + 0x0C) * cbSector;
-                        break;
                     }
                 }
             }
@@ -234,7 +271,7 @@ export default class DiskInfo {
          * image whose logical format doesn't agree with its physical structure.
          */
         let fXDFOutput = false;
-        let diskFormat = DiskInfo.GEOMETRIES[cbDiskData];
+        let diskFormat = fISO? [cbDiskData / DiskInfo.ISO.SECTOR_SIZE, 1, 1, DiskInfo.ISO.SECTOR_SIZE] : DiskInfo.GEOMETRIES[cbDiskData];
         if (!diskFormat) {
             /*
              * I've come across some disk images that were .IMD files that I had converted to .IMG using HxC,
@@ -265,7 +302,7 @@ export default class DiskInfo {
          */
         let fBPBExists = false, bMediaIDBPB = 0;
 
-        if ((bByte0 == CPUx86.OPCODE.JMP || bByte0 == CPUx86.OPCODE.JMPS || bByte0 == CPUx86.OPCODE.CLD) && cbSectorBPB >= 128 && (cbSectorBPB & (cbSectorBPB - 1)) == 0) {
+        if (!fISO && (bByte0 == CPUx86.OPCODE.JMP || bByte0 == CPUx86.OPCODE.JMPS || bByte0 == CPUx86.OPCODE.CLD) && cbSectorBPB >= 128 && (cbSectorBPB & (cbSectorBPB - 1)) == 0) {
 
             let nHeadsBPB = dbDisk.readUInt16LE(offBootSector + DiskInfo.BPB.DRIVEHEADS);
             let nSectorsPerTrackBPB = dbDisk.readUInt16LE(offBootSector + DiskInfo.BPB.TRACKSECS);
@@ -284,7 +321,11 @@ export default class DiskInfo {
                     if (bMediaID && bMediaID != bMediaIDBPB) {
                         this.printf(Device.MESSAGE.WARN, "BPB media ID (%#0bx) does not match physical media ID (%#0bx)\n", bMediaIDBPB, bMediaID);
                     }
-                    if (nCylinders != nCylindersBPB) {
+                    /*
+                     * When a disk has more than one partition, the active partition's BPB can't account for all the
+                     * cylinders, so there's nothing to compare.
+                     */
+                    if (nCylinders != nCylindersBPB && nPartitions <= 1) {
                         this.printf(Device.MESSAGE.WARN, "BPB cylinders (%d) do not match physical cylinders (%d)\n", nCylindersBPB, nCylinders);
                         if (nCylinders - nCylindersBPB == 1) {
                             this.printf(Device.MESSAGE.WARN, "BIOS may have reserved the last cylinder for diagnostics\n");
@@ -695,21 +736,47 @@ export default class DiskInfo {
     }
 
     /**
-     * buildDiskFromFiles(dbDisk, diskName, aFileData, kbTarget)
+     * isISO(dbDisk)
+     *
+     * Returns true if the image is a multiple of 2Kb sectors and contains an ISO 9660 volume descriptor where the
+     * first one belongs.
+     *
+     * @this {DiskInfo}
+     * @param {DataBuffer} dbDisk
+     * @returns {boolean}
+     */
+    isISO(dbDisk)
+    {
+        let off = DiskInfo.ISO.VD_LBA * DiskInfo.ISO.SECTOR_SIZE;
+        if (dbDisk.length % DiskInfo.ISO.SECTOR_SIZE || dbDisk.length < off + DiskInfo.ISO.SECTOR_SIZE) return false;
+        for (let i = 0; i < DiskInfo.ISO.SIGNATURE.length; i++) {
+            if (dbDisk.readUInt8(off + DiskInfo.ISO.VD.ID + i) != DiskInfo.ISO.SIGNATURE.charCodeAt(i)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * buildDiskFromFiles(dbDisk, diskName, aFileData, kbTarget, fLongNames)
+     *
+     * If fLongNames is true, then every file whose name can't be represented exactly by a short (8.3) name is given
+     * long filename (LFN) entries as well, the way Windows 95 would; see buildLongNames().
      *
      * @this {DiskInfo}
      * @param {DataBuffer} dbDisk
      * @param {string} diskName
      * @param {Array.<FileData>} aFileData
      * @param {number} [kbTarget]
+     * @param {boolean} [fLongNames]
      * @returns {boolean} true if disk allocation successful, false if not
      */
-    buildDiskFromFiles(dbDisk, diskName, aFileData, kbTarget = 0)
+    buildDiskFromFiles(dbDisk, diskName, aFileData, kbTarget = 0, fLongNames = false)
     {
         if (!aFileData || !aFileData.length) {
             return false;
         }
 
+        if (fLongNames) this.buildLongNames(aFileData);
+
         this.diskName = diskName;
         this.abOrigBPB = [];
         this.fBPBModified = false;
@@ -734,6 +801,17 @@ export default class DiskInfo {
             return false;
         }
 
+        /*
+         * If the target is a hard drive large enough for a FAT32 volume, then that's what we'll build, since none
+         * of our default BPBs can describe a volume that large (buildBPB32() returns null if the target is too small).
+         */
+        if (kbTarget >= 10000) {
+            let abBoot32 = this.buildBPB32(nTargetSectors, aFileData);
+            if (abBoot32) {
+                return this.buildDiskFromFiles32(dbDisk, aFileData, abBoot32);
+            }
+        }
+
         let iBPB, abBoot, cbSector, cSectorsPerCluster, cbCluster, cFATs, cFATSectors;
         let cRootEntries, cRootSectors, cTotalSectors, cHiddenSectors, cSectorsPerTrack, cHeads, cDataSectors, cbAvail;
 
@@ -766,7 +844,7 @@ export default class DiskInfo {
              */
             if ((abBoot[DiskInfo.BPB.MEDIA] == DiskInfo.FAT.MEDIA_FIXED) != (kbTarget >= 10000)) continue;
             cRootEntries = abBoot[DiskInfo.BPB.DIRENTS] | (abBoot[DiskInfo.BPB.DIRENTS + 1] << 8);
-            if (aFileData.length > cRootEntries) continue;
+            if (this.calcDirEntries(aFileData) > cRootEntries) continue;
             cbSector = abBoot[DiskInfo.BPB.SECBYTES] | (abBoot[DiskInfo.BPB.SECBYTES + 1] << 8);
             cSectorsPerCluster = abBoot[DiskInfo.BPB.CLUSSECS];
             cbCluster = cbSector * cSectorsPerCluster;
@@ -901,6 +979,436 @@ export default class DiskInfo {
         return this.buildDiskFromBuffer(dbDisk);
     }
 
+    /**
+     * buildDiskFromFiles32(dbDisk, aFileData, abBoot)
+     *
+     * This is the FAT32 counterpart to the second half of buildDiskFromFiles(), using a boot sector previously
+     * built by buildBPB32().  The layout is the conventional one: an MBR followed by the rest of the first track
+     * (hidden sectors), then the volume's reserved sectors (boot sector, FSInfo sector, and their backups), two FATs,
+     * and finally the data area, which begins with the root directory cluster(s).
+     *
+     * @this {DiskInfo}
+     * @param {DataBuffer} dbDisk
+     * @param {Array.<FileData>} aFileData
+     * @param {Array.<number>} abBoot
+     * @returns {boolean} true if disk allocation successful, false if not
+     */
+    buildDiskFromFiles32(dbDisk, aFileData, abBoot)
+    {
+        let getBoot = (off, len) => {
+            let v = 0;
+            while (len--) v = (v * 0x100) + abBoot[off + len];
+            return v;
+        };
+
+        let cbSector = getBoot(DiskInfo.BPB.SECBYTES, 2);
+        let cSectorsPerCluster = getBoot(DiskInfo.BPB.CLUSSECS, 1);
+        let cbCluster = cbSector * cSectorsPerCluster;
+        let cReservedSectors = getBoot(DiskInfo.BPB.RESSECS, 2);
+        let cFATs = getBoot(DiskInfo.BPB.FATS, 1);
+        let cFATSectors = getBoot(DiskInfo.BPB32.FATSECS, 4);
+        let cSectorsPerTrack = getBoot(DiskInfo.BPB.TRACKSECS, 2);
+        let cHeads = getBoot(DiskInfo.BPB.DRIVEHEADS, 2);
+        let cHiddenSectors = getBoot(DiskInfo.BPB.HIDDENSECS, 4);
+        let cTotalSectors = getBoot(DiskInfo.BPB.LARGESECS, 4);
+        let vbaFSInfo = getBoot(DiskInfo.BPB32.FSINFO, 2);
+        let vbaBackup = getBoot(DiskInfo.BPB32.BACKUP, 2);
+        let vbaData = cReservedSectors + cFATs * cFATSectors;
+        let clusTotal = ((cTotalSectors - vbaData) / cSectorsPerCluster) | 0;
+
+        /*
+         * Unlike FAT12 and FAT16 volumes, the root directory is just another cluster chain, and like DOS, we always
+         * start it at the first data cluster; everything else follows it.
+         */
+        let cRootClusters = Math.max(1, Math.ceil(this.calcDirEntries(aFileData) * DiskInfo.DIRENT.LENGTH / cbCluster));
+
+        let abFAT = [];
+        this.buildFATEntry(abFAT, 0, 0x0FFFFF00 | abBoot[DiskInfo.BPB.MEDIA], 32);
+        this.buildFATEntry(abFAT, 1, 0x0FFFFFFF, 32);
+        for (let i = 0; i < cRootClusters; i++) {
+            let iCluster = DiskInfo.FAT32.CLUSNUM_MIN + i;
+            this.buildFATEntry(abFAT, iCluster, i < cRootClusters - 1? iCluster + 1 : 0x0FFFFFFF, 32);
+        }
+        let iNextCluster = this.buildFAT(abFAT, aFileData, DiskInfo.FAT32.CLUSNUM_MIN + cRootClusters, cbCluster, 32);
+        let clusUsed = iNextCluster - DiskInfo.FAT32.CLUSNUM_MIN;
+
+        if (clusUsed > clusTotal) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "too much data for disk image (%d clusters required, %d clusters available)\n", clusUsed, clusTotal);
+            return false;
+        }
+
+        let cbDisk = cTotalSectors * cbSector;
+        let cbDrive = cHiddenSectors * cbSector + cbDisk;
+        dbDisk.new(cbDrive);
+        dbDisk.fill(0);
+
+        /*
+         * Output the MBR, followed by the boot sector and its backup.
+         */
+        let abSector = this.buildMBR(cHeads, cSectorsPerTrack, cbSector, cTotalSectors, cHiddenSectors, DiskInfo.MBR.PARTITIONS.TYPE.FAT32_LBA);
+        this.copyData(dbDisk, 0, abSector);
+
+        let offVolume = cHiddenSectors * cbSector;
+        abSector = this.buildData(cbSector, abBoot);
+        this.copyData(dbDisk, offVolume, abSector);
+        this.copyData(dbDisk, offVolume + vbaBackup * cbSector, abSector);
+
+        /*
+         * Output the FSInfo sector (and its backup, which immediately follows the backup boot sector).
+         */
+        abSector = this.buildData(cbSector);
+        let setData = (off, v) => {
+            for (let i = 0; i < 4; i++, v >>>= 8) abSector[off + i] = v & 0xff;
+        };
+        setData(DiskInfo.FSINFO.SIG_LEAD, DiskInfo.FSINFO.LEAD_SIGNATURE);
+        setData(DiskInfo.FSINFO.SIG_STRUC, DiskInfo.FSINFO.STRUC_SIGNATURE);
+        setData(DiskInfo.FSINFO.FREE_COUNT, clusTotal - clusUsed);
+        setData(DiskInfo.FSINFO.NEXT_FREE, iNextCluster);
+        setData(DiskInfo.FSINFO.SIG_TRAIL, DiskInfo.FSINFO.TRAIL_SIGNATURE);
+        this.copyData(dbDisk, offVolume + vbaFSInfo * cbSector, abSector);
+        this.copyData(dbDisk, offVolume + (vbaBackup + vbaFSInfo) * cbSector, abSector);
+
+        /*
+         * Output the FATs (as before, as if each were one giant sector).
+         */
+        let offDisk = offVolume + cReservedSectors * cbSector;
+        while (cFATs--) {
+            abSector = this.buildData(cFATSectors * cbSector, abFAT);
+            offDisk += this.copyData(dbDisk, offDisk, abSector);
+        }
+
+        /*
+         * Output the root directory clusters, followed by all the file data clusters.
+         */
+        let abRoot = [];
+        this.buildDir(abRoot, aFileData);
+        abSector = this.buildData(cRootClusters * cbCluster, abRoot);
+        offDisk += this.copyData(dbDisk, offDisk, abSector);
+
+        let cClusters = this.buildClusters(dbDisk, aFileData, offDisk, cbCluster, 0, 0);
+        offDisk += cClusters * cbCluster;
+
+        this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "%d bytes written, %d bytes available\n", offDisk, cbDrive);
+
+        return this.buildDiskFromBuffer(dbDisk);
+    }
+
+    /**
+     * buildDiskFromPartitions(dbDisk, diskName, aVolumeData, kbTarget)
+     *
+     * Builds a hard disk image containing one FAT partition for every set of files in aVolumeData, the way FDISK would
+     * have done it: the first set goes in an active primary partition, and the rest go in logical partitions within an
+     * extended partition.  Every partition begins on a cylinder boundary, and its first track is reserved for the MBR or
+     * EBR, and like FDISK, the last cylinder of the disk is reserved for diagnostics.
+     *
+     * Targets up to 10Mb use the PC XT's 10Mb (type 3) geometry, targets up to 20Mb use the PC AT's 20Mb (type 2) geometry,
+     * and anything larger uses an LBA-friendly geometry of 63 sectors per track (as buildBPB32() does).  Each partition is
+     * given the minimum number of cylinders required for its files, and any remaining cylinders are divided evenly among
+     * all the partitions (with any leftovers going to the first).
+     *
+     * @this {DiskInfo}
+     * @param {DataBuffer} dbDisk
+     * @param {string} diskName
+     * @param {Array.<Array.<FileData>>} aVolumeData
+     * @param {number} [kbTarget]
+     * @param {boolean} [fLongNames] (see buildDiskFromFiles())
+     * @returns {boolean} true if disk allocation successful, false if not
+     */
+    buildDiskFromPartitions(dbDisk, diskName, aVolumeData, kbTarget = 0, fLongNames = false)
+    {
+        if (!aVolumeData || !aVolumeData.length) {
+            return false;
+        }
+
+        if (fLongNames) aVolumeData.forEach((aFileData) => this.buildLongNames(aFileData));
+
+        this.diskName = diskName;
+        this.abOrigBPB = [];
+        this.fBPBModified = false;
+
+        let cbSector = 512;
+        let nTargetSectors = (kbTarget || 10240) * 1024 / cbSector;
+        let geometry = DiskInfo.GEOMETRIES[10653696];
+        if (nTargetSectors > geometry[0] * geometry[1] * geometry[2]) {
+            geometry = DiskInfo.GEOMETRIES[21411840];
+            if (nTargetSectors > geometry[0] * geometry[1] * geometry[2]) {
+                let cHeads = (nTargetSectors <= 1024 * 16 * 63? 16 : 255);
+                geometry = [(nTargetSectors / (cHeads * 63)) | 0, cHeads, 63];
+            }
+        }
+        let [cCylinders, cHeads, cSectorsPerTrack] = geometry;
+        let cSectorsPerCylinder = cHeads * cSectorsPerTrack;
+        let cUsable = cCylinders - 1;
+
+        /*
+         * Determine the minimum number of cylinders required for each partition.
+         */
+        let aCylinders = [], cRequired = 0;
+        for (let iVolume = 0; iVolume < aVolumeData.length; iVolume++) {
+            let nCylinders;
+            for (nCylinders = 1; nCylinders <= cUsable; nCylinders++) {
+                let abBoot = this.buildBPB(nCylinders * cSectorsPerCylinder - cSectorsPerTrack, cSectorsPerTrack, cHeads, cSectorsPerTrack);
+                if (abBoot && this.buildVolumeFromFiles(null, 0, abBoot, aVolumeData[iVolume])) break;
+            }
+            cRequired += nCylinders;
+            if (cRequired > cUsable) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "too many file(s) for %d-cylinder disk image (partition %d requires %d cylinders)\n", cCylinders, iVolume, nCylinders);
+                return false;
+            }
+            aCylinders.push(nCylinders);
+        }
+        let cExtra = cUsable - cRequired;
+        for (let iVolume = 0; iVolume < aCylinders.length; iVolume++) {
+            aCylinders[iVolume] += (cExtra / aCylinders.length) | 0;
+        }
+        aCylinders[0] += cExtra % aCylinders.length;
+
+        dbDisk.new(cCylinders * cSectorsPerCylinder * cbSector);
+        dbDisk.fill(0);
+
+        let abMBR = this.buildData(cbSector);
+        let lbaExtended = aCylinders[0] * cSectorsPerCylinder;
+        let lbaPartition = 0;
+        for (let iVolume = 0; iVolume < aVolumeData.length; iVolume++) {
+            let cSectors = aCylinders[iVolume] * cSectorsPerCylinder - cSectorsPerTrack;
+            let abBoot = this.buildBPB(cSectors, cSectorsPerTrack, cHeads, cSectorsPerTrack);
+            if (!abBoot || !this.buildVolumeFromFiles(dbDisk, (lbaPartition + cSectorsPerTrack) * cbSector, abBoot, aVolumeData[iVolume])) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "unable to build partition %d\n", iVolume);
+                return false;
+            }
+            let bType = (cSectors < DiskInfo.FAT12.MAX_SECTORS? DiskInfo.MBR.PARTITIONS.TYPE.FAT12_PRIMARY : (cSectors < 0x10000? DiskInfo.MBR.PARTITIONS.TYPE.FAT16_PRIMARY : DiskInfo.MBR.PARTITIONS.TYPE.FAT16_BIG));
+            if (!iVolume) {
+                this.buildPartitionEntry(abMBR, 0, DiskInfo.MBR.PARTITIONS.STATUS.ACTIVE, bType, cSectorsPerTrack, cSectors, 0, cHeads, cSectorsPerTrack);
+                if (aVolumeData.length > 1) {
+                    let lbaLast = cUsable * cSectorsPerCylinder - 1;
+                    let bTypeExtended = (lbaLast / cSectorsPerCylinder >= 1024? DiskInfo.MBR.PARTITIONS.TYPE.EXTENDED_LBA : DiskInfo.MBR.PARTITIONS.TYPE.EXTENDED);
+                    this.buildPartitionEntry(abMBR, 1, DiskInfo.MBR.PARTITIONS.STATUS.INACTIVE, bTypeExtended, lbaExtended, lbaLast + 1 - lbaExtended, 0, cHeads, cSectorsPerTrack);
+                }
+            } else {
+                let abEBR = this.buildData(cbSector);
+                this.buildPartitionEntry(abEBR, 0, DiskInfo.MBR.PARTITIONS.STATUS.INACTIVE, bType, lbaPartition + cSectorsPerTrack, cSectors, lbaPartition, cHeads, cSectorsPerTrack);
+                if (iVolume < aVolumeData.length - 1) {
+                    let lbaNext = lbaPartition + aCylinders[iVolume] * cSectorsPerCylinder;
+                    this.buildPartitionEntry(abEBR, 1, DiskInfo.MBR.PARTITIONS.STATUS.INACTIVE, DiskInfo.MBR.PARTITIONS.TYPE.EXTENDED, lbaNext, aCylinders[iVolume + 1] * cSectorsPerCylinder, lbaExtended, cHeads, cSectorsPerTrack);
+                }
+                abEBR[DiskInfo.MBR.SIG_OFFSET] = DiskInfo.MBR.SIGNATURE & 0xff;
+                abEBR[DiskInfo.MBR.SIG_OFFSET + 1] = (DiskInfo.MBR.SIGNATURE >> 8) & 0xff;
+                this.copyData(dbDisk, lbaPartition * cbSector, abEBR);
+            }
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "partition %d: type %#0bx, %d cylinder(s), %d sectors at LBA %d\n", iVolume, bType, aCylinders[iVolume], cSectors, lbaPartition + cSectorsPerTrack);
+            lbaPartition += aCylinders[iVolume] * cSectorsPerCylinder;
+        }
+        abMBR[DiskInfo.MBR.SIG_OFFSET] = DiskInfo.MBR.SIGNATURE & 0xff;
+        abMBR[DiskInfo.MBR.SIG_OFFSET + 1] = (DiskInfo.MBR.SIGNATURE >> 8) & 0xff;
+        this.copyData(dbDisk, 0, abMBR);
+
+        return this.buildDiskFromBuffer(dbDisk);
+    }
+
+    /**
+     * buildVolumeFromFiles(dbDisk, offVolume, abBoot, aFileData)
+     *
+     * Writes a FAT12 or FAT16 volume, described by the BPB in abBoot, containing all the files in aFileData, at offset
+     * offVolume of dbDisk.  If dbDisk is null, nothing is written; we simply determine whether the files will fit.
+     *
+     * @this {DiskInfo}
+     * @param {DataBuffer|null} dbDisk
+     * @param {number} offVolume
+     * @param {Array.<number>} abBoot
+     * @param {Array.<FileData>} aFileData
+     * @returns {boolean} true if the files fit (and were written, if dbDisk was specified), false if not
+     */
+    buildVolumeFromFiles(dbDisk, offVolume, abBoot, aFileData)
+    {
+        let getBoot = (off, len) => {
+            let v = 0;
+            while (len--) v = (v * 0x100) + abBoot[off + len];
+            return v;
+        };
+
+        let cbSector = getBoot(DiskInfo.BPB.SECBYTES, 2);
+        let cSectorsPerCluster = getBoot(DiskInfo.BPB.CLUSSECS, 1);
+        let cbCluster = cbSector * cSectorsPerCluster;
+        let cReservedSectors = getBoot(DiskInfo.BPB.RESSECS, 2);
+        let cFATs = getBoot(DiskInfo.BPB.FATS, 1);
+        let cFATSectors = getBoot(DiskInfo.BPB.FATSECS, 2);
+        let cRootEntries = getBoot(DiskInfo.BPB.DIRENTS, 2);
+        let cRootSectors = ((cRootEntries * DiskInfo.DIRENT.LENGTH + cbSector - 1) / cbSector) | 0;
+        let cTotalSectors = getBoot(DiskInfo.BPB.DISKSECS, 2) || getBoot(DiskInfo.BPB.LARGESECS, 4);
+        let vbaData = cReservedSectors + cFATs * cFATSectors + cRootSectors;
+        let clusTotal = ((cTotalSectors - vbaData) / cSectorsPerCluster) | 0;
+        let nFATBits = (clusTotal <= DiskInfo.FAT12.MAX_CLUSTERS? 12 : 16);
+
+        if (this.calcDirEntries(aFileData) > cRootEntries || this.calcFileSizes(aFileData, cSectorsPerCluster) > clusTotal * cbCluster) {
+            return false;
+        }
+        if (!dbDisk) return true;
+
+        let abSector = this.buildData(cbSector, abBoot);
+        let offDisk = offVolume;
+        offDisk += this.copyData(dbDisk, offDisk, abSector) * cReservedSectors;
+
+        let abFAT = [];
+        this.buildFATEntry(abFAT, 0, abBoot[DiskInfo.BPB.MEDIA] | (nFATBits == 16? 0xFF00 : 0xF00), nFATBits);
+        this.buildFATEntry(abFAT, 1, (nFATBits == 16? 0xFFFF : 0xFFF), nFATBits);
+        this.buildFAT(abFAT, aFileData, 2, cbCluster, nFATBits);
+        while (cFATs--) {
+            abSector = this.buildData(cFATSectors * cbSector, abFAT);
+            offDisk += this.copyData(dbDisk, offDisk, abSector);
+        }
+
+        let abRoot = [];
+        this.buildDir(abRoot, aFileData);
+        abSector = this.buildData(cRootSectors * cbSector, abRoot);
+        offDisk += this.copyData(dbDisk, offDisk, abSector);
+
+        let cClusters = this.buildClusters(dbDisk, aFileData, offDisk, cbCluster, 0, 0);
+        this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "%d cluster(s) written, %d cluster(s) available\n", cClusters, clusTotal);
+        return true;
+    }
+
+    /**
+     * buildBPB(cTotalSectors, cHiddenSectors, cHeads, cSectorsPerTrack)
+     *
+     * Builds a boot sector for a FAT12 or FAT16 hard disk partition of cTotalSectors, using FORMAT's conventions: 512
+     * root directory entries, 8 sectors per cluster with a 12-bit FAT for partitions under 16Mb (FAT12.MAX_SECTORS), and
+     * otherwise a 16-bit FAT with 4 sectors per cluster, doubling the cluster size for every doubling of the partition size
+     * beyond 128Mb.  If the partition would be too large for a 16-bit FAT, null is returned.
+     *
+     * @this {DiskInfo}
+     * @param {number} cTotalSectors
+     * @param {number} cHiddenSectors
+     * @param {number} cHeads
+     * @param {number} cSectorsPerTrack
+     * @returns {Array.<number>|null}
+     */
+    buildBPB(cTotalSectors, cHiddenSectors, cHeads, cSectorsPerTrack)
+    {
+        let cbSector = 512;
+        let cReservedSectors = 1, cFATs = 2, cRootEntries = 512;
+        let cRootSectors = cRootEntries * DiskInfo.DIRENT.LENGTH / cbSector;
+        let nFATBits = (cTotalSectors < DiskInfo.FAT12.MAX_SECTORS? 12 : 16);
+        let cSectorsPerCluster = (nFATBits == 12? 8 : 4);
+        while (nFATBits == 16 && cTotalSectors > 0x40000 * (cSectorsPerCluster >> 2) && cSectorsPerCluster < 64) {
+            cSectorsPerCluster <<= 1;
+        }
+        let cFATSectors = 1, clusTotal;
+        while (true) {
+            clusTotal = ((cTotalSectors - cReservedSectors - cFATs * cFATSectors - cRootSectors) / cSectorsPerCluster) | 0;
+            let n = Math.ceil((clusTotal + 2) * nFATBits / 8 / cbSector);
+            if (n <= cFATSectors) break;
+            cFATSectors = n;
+        }
+        if (clusTotal < 1 || clusTotal > DiskInfo.FAT16.MAX_CLUSTERS) {
+            return null;
+        }
+
+        let abBoot = this.buildData(cbSector);
+        let setData = (off, v, len) => {
+            while (len--) {
+                abBoot[off++] = v & 0xff;
+                v = (v / 0x100) | 0;
+            }
+        };
+
+        abBoot[DiskInfo.BPB.OPCODE] = CPUx86.OPCODE.JMPS;
+        abBoot[DiskInfo.BPB.OPCODE + 1] = 0xFE;
+        abBoot[DiskInfo.BPB.OPCODE + 2] = 0x90;
+        for (let i = 0; i < 8; i++) abBoot[DiskInfo.BPB.OEM + i] = DiskInfo.PCJS_OEM.charCodeAt(i);
+        setData(DiskInfo.BPB.SECBYTES, cbSector, 2);
+        setData(DiskInfo.BPB.CLUSSECS, cSectorsPerCluster, 1);
+        setData(DiskInfo.BPB.RESSECS, cReservedSectors, 2);
+        setData(DiskInfo.BPB.FATS, cFATs, 1);
+        setData(DiskInfo.BPB.DIRENTS, cRootEntries, 2);
+        if (cTotalSectors < 0x10000) {
+            setData(DiskInfo.BPB.DISKSECS, cTotalSectors, 2);
+        } else {
+            setData(DiskInfo.BPB.LARGESECS, cTotalSectors, 4);
+        }
+        setData(DiskInfo.BPB.MEDIA, DiskInfo.FAT.MEDIA_FIXED, 1);
+        setData(DiskInfo.BPB.FATSECS, cFATSectors, 2);
+        setData(DiskInfo.BPB.TRACKSECS, cSectorsPerTrack, 2);
+        setData(DiskInfo.BPB.DRIVEHEADS, cHeads, 2);
+        setData(DiskInfo.BPB.HIDDENSECS, cHiddenSectors, 4);
+        setData(DiskInfo.BOOT.SIG_OFFSET, DiskInfo.BOOT.SIGNATURE, 2);
+        return abBoot;
+    }
+
+    /**
+     * buildBPB32(nTargetSectors, aFileData)
+     *
+     * Builds a FAT32 boot sector for a drive of (approximately) nTargetSectors, using the conventional LBA-friendly
+     * geometry (63 sectors per track, with 16 or 255 heads), one track of hidden sectors, 32 reserved sectors, and
+     * the same cluster sizes that Microsoft's FORMAT uses.  If the resulting volume would contain too few clusters
+     * to qualify as FAT32, null is returned.
+     *
+     * @this {DiskInfo}
+     * @param {number} nTargetSectors
+     * @param {Array.<FileData>} aFileData (used only to locate a volume label, if any)
+     * @returns {Array.<number>|null}
+     */
+    buildBPB32(nTargetSectors, aFileData)
+    {
+        let cbSector = 512;
+        let cSectorsPerTrack = 63;
+        let cHeads = (nTargetSectors <= 1024 * 16 * cSectorsPerTrack? 16 : 255);
+        let cCylinders = (nTargetSectors / (cHeads * cSectorsPerTrack)) | 0;
+        let cHiddenSectors = cSectorsPerTrack;
+        let cTotalSectors = cCylinders * cHeads * cSectorsPerTrack - cHiddenSectors;
+        let cReservedSectors = 32, cFATs = 2;
+        let cSectorsPerCluster = (cTotalSectors <= 532480? 1 : (cTotalSectors <= 16777216? 8 : (cTotalSectors <= 33554432? 16 : (cTotalSectors <= 67108864? 32 : 64))));
+        let cFATSectors = Math.ceil((cTotalSectors - cReservedSectors) / ((256 * cSectorsPerCluster + cFATs) / 2));
+        let clusTotal = ((cTotalSectors - cReservedSectors - cFATs * cFATSectors) / cSectorsPerCluster) | 0;
+        if (cTotalSectors <= 0 || clusTotal < DiskInfo.FAT32.MIN_CLUSTERS) {
+            return null;
+        }
+
+        let sLabel = "NO NAME";
+        for (let iFile = 0; iFile < aFileData.length; iFile++) {
+            if (aFileData[iFile].attr & DiskInfo.ATTR.VOLUME) {
+                sLabel = this.buildShortName(aFileData[iFile].name, true);
+                break;
+            }
+        }
+
+        let abBoot = this.buildData(cbSector);
+        let setData = (off, v, len) => {
+            while (len--) {
+                abBoot[off++] = v & 0xff;
+                v = (v / 0x100) | 0;
+            }
+        };
+        let setString = (off, s, len) => {
+            for (let i = 0; i < len; i++) abBoot[off + i] = (i < s.length? s.charCodeAt(i) : 0x20);
+        };
+
+        abBoot[DiskInfo.BPB.OPCODE] = CPUx86.OPCODE.JMPS;
+        abBoot[DiskInfo.BPB.OPCODE + 1] = 0xFE;
+        abBoot[DiskInfo.BPB.OPCODE + 2] = 0x90;
+        setString(DiskInfo.BPB.OEM, DiskInfo.PCJS_OEM, 8);
+        setData(DiskInfo.BPB.SECBYTES, cbSector, 2);
+        setData(DiskInfo.BPB.CLUSSECS, cSectorsPerCluster, 1);
+        setData(DiskInfo.BPB.RESSECS, cReservedSectors, 2);
+        setData(DiskInfo.BPB.FATS, cFATs, 1);
+        setData(DiskInfo.BPB.MEDIA, DiskInfo.FAT.MEDIA_FIXED, 1);
+        setData(DiskInfo.BPB.TRACKSECS, cSectorsPerTrack, 2);
+        setData(DiskInfo.BPB.DRIVEHEADS, cHeads, 2);
+        setData(DiskInfo.BPB.HIDDENSECS, cHiddenSectors, 4);
+        setData(DiskInfo.BPB.LARGESECS, cTotalSectors, 4);
+        setData(DiskInfo.BPB32.FATSECS, cFATSectors, 4);
+        setData(DiskInfo.BPB32.ROOTCLUS, DiskInfo.FAT32.CLUSNUM_MIN, 4);
+        setData(DiskInfo.BPB32.FSINFO, 1, 2);
+        setData(DiskInfo.BPB32.BACKUP, 6, 2);
+        setData(DiskInfo.BPB32.DRIVE, 0x80, 1);
+        setData(DiskInfo.BPB32.EXTSIG, 0x29, 1);
+        setString(DiskInfo.BPB32.LABEL, sLabel, 11);
+        setString(DiskInfo.BPB32.FSTYPE, "FAT32", 8);
+        setData(DiskInfo.BOOT.SIG_OFFSET, DiskInfo.BOOT.SIGNATURE, 2);
+
+        this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "FAT32 volume: %d sectors, %d sector(s) per cluster, %d clusters, %d FAT sectors\n", cTotalSectors, cSectorsPerCluster, clusTotal, cFATSectors);
+        return abBoot;
+    }
+
     /**
      * calcFileSizes(aFileData, cSectorsPerCluster)
      *
@@ -917,7 +1425,7 @@ export default class DiskInfo {
             let cb = aFileData[iFile].size;
             let cbSubTotal = 0;
             if (cb < 0) {
-                cb = (aFileData[iFile].files.length + 2) * 32;
+                cb = (this.calcDirEntries(aFileData[iFile].files) + 2) * 32;
                 cbSubTotal = this.calcFileSizes(aFileData[iFile].files, cSectorsPerCluster);
             }
             cbTotal += cb;
@@ -929,6 +1437,77 @@ export default class DiskInfo {
         return cbTotal;
     }
 
+    /**
+     * buildLongNames(aFileData)
+     *
+     * Sets the long filename of every file (and subdirectory) in aFileData, recursively, to its original name;
+     * calcLFNEntries() later decides which of those names actually require LFN entries.
+     *
+     * @this {DiskInfo}
+     * @param {Array.<FileData>} aFileData
+     */
+    buildLongNames(aFileData)
+    {
+        for (let iFile = 0; iFile < aFileData.length; iFile++) {
+            let file = aFileData[iFile];
+            if (file.attr & DiskInfo.ATTR.VOLUME) continue;
+            file.lfn = file.name;
+            if (file.files) this.buildLongNames(file.files);
+        }
+    }
+
+    /**
+     * calcDirEntries(aFileData)
+     *
+     * @this {DiskInfo}
+     * @param {Array.<FileData>} aFileData
+     * @returns {number} of directory entries required for all files, including any LFN entries
+     */
+    calcDirEntries(aFileData)
+    {
+        let cEntries = 0;
+        for (let iFile = 0; iFile < aFileData.length; iFile++) {
+            cEntries += this.calcLFNEntries(aFileData[iFile]) + 1;
+        }
+        return cEntries;
+    }
+
+    /**
+     * calcLFNEntries(file)
+     *
+     * A file gets long filename (LFN) entries only if it has a long filename (which buildDiskFromFiles() sets when
+     * long filenames are requested) and the long filename can't be represented exactly by a short name.
+     *
+     * @this {DiskInfo}
+     * @param {FileData} file
+     * @returns {number} of LFN entries required for the file
+     */
+    calcLFNEntries(file)
+    {
+        let sLFN = file.lfn;
+        if (!sLFN || (file.attr & DiskInfo.ATTR.VOLUME) || sLFN.length > DiskInfo.LFN.MAXLEN || this.buildShortName(sLFN) == sLFN) {
+            return 0;
+        }
+        return Math.ceil(sLFN.length / DiskInfo.LFN.CHARS);
+    }
+
+    /**
+     * calcLFNChecksum(ab, off)
+     *
+     * @this {DiskInfo}
+     * @param {Array.<number>} ab
+     * @param {number} [off] (offset of the 11-byte short name within ab)
+     * @returns {number} checksum of the short name, as recorded in every LFN entry for the name
+     */
+    calcLFNChecksum(ab, off = 0)
+    {
+        let checksum = 0;
+        for (let i = 0; i < 11; i++) {
+            checksum = ((((checksum & 1) << 7) | (checksum >> 1)) + ab[off + i]) & 0xff;
+        }
+        return checksum;
+    }
+
     /**
      * buildData(cb)
      *
@@ -1078,38 +1657,94 @@ export default class DiskInfo {
                 this.printf(Device.MESSAGE.DISK, "file %s missing cluster, skipping\n", file.name);
                 continue;
             }
-            let name, uniqueID = 0;
+            /*
+             * If the file has a long filename that can't be represented by its short name, then like Windows 95,
+             * we generate a "numeric tail" for the short name (eg, "LONGFI~1.TXT"), unless the only difference is case.
+             */
+            let name, sName = file.name, uniqueID = 0;
+            let nLFNEntries = this.calcLFNEntries(file);
+            if (nLFNEntries && this.buildShortName(file.lfn) != file.lfn.toUpperCase()) {
+                /*
+                 * Windows 95 also removes all spaces, and all periods except the last, from the basis of the short name.
+                 */
+                let i = sName.lastIndexOf('.');
+                sName = (i > 0? sName.substr(0, i).replace(/[ .]/g, '') + sName.substr(i).replace(/ /g, '') : sName.replace(/[ .]/g, ''));
+                uniqueID++;
+            }
             do {
-                name = this.buildShortName(file.name, !!(file.attr & DiskInfo.ATTR.VOLUME), uniqueID++);
+                name = this.buildShortName(sName, !!(file.attr & DiskInfo.ATTR.VOLUME), uniqueID++);
             } while (names.indexOf(name) >= 0);
             names.push(name);
-            offDir += this.buildDirEntry(abDir, offDir, name, file.size, file.attr, file.date, file.cluster);
-            cEntries++;
+            let offEntry = offDir + nLFNEntries * DiskInfo.DIRENT.LENGTH;
+            this.buildDirEntry(abDir, offEntry, name, file.size, file.attr, file.date, file.cluster);
+            if (nLFNEntries) {
+                this.buildLFNEntries(abDir, offDir, file.lfn, this.calcLFNChecksum(abDir, offEntry));
+            }
+            offDir = offEntry + DiskInfo.DIRENT.LENGTH;
+            cEntries += nLFNEntries + 1;
         }
         return cEntries;
     }
 
     /**
-     * buildDirEntry(ab, off, sName, cbFile, bAttr, dateMod, iCluster)
+     * buildLFNEntries(ab, off, sLFN, checksum)
      *
-     * TODO: This function should now be using DiskInfo.DIRENT constants where appropriate.
+     * Builds the long filename (LFN) entries for the given long filename, in the order they must appear on disk
+     * (ie, last part of the name first), immediately preceding the short entry whose name has the given checksum.
      *
      * @this {DiskInfo}
      * @param {Array.<number>} ab contains the bytes of a directory
-     * @param {number} off is the offset within ab to build the next directory entry
-     * @param {string} sName is the file name
-     * @param {number} cbFile is the size of the file, in bytes
-     * @param {number} bAttr contains the attribute bits of the file
-     * @param {Date} dateMod contains the modification date of the file
-     * @param {number} iCluster is the starting cluster of the file
-     * @returns {number} number of bytes added to the directory (normally 32)
+     * @param {number} off is the offset within ab to build the first LFN entry
+     * @param {string} sLFN is the long filename
+     * @param {number} checksum is the checksum of the short name (see calcLFNChecksum())
+     * @returns {number} number of bytes added to the directory
      */
-    buildDirEntry(ab, off, sName, cbFile, bAttr, dateMod, iCluster)
+    buildLFNEntries(ab, off, sLFN, checksum)
     {
-        let sExt = "";
         let offDir = off;
-        let i = sName.indexOf('.');
-        if (i > 0) {
+        let nEntries = Math.ceil(sLFN.length / DiskInfo.LFN.CHARS);
+        for (let seq = nEntries; seq > 0; seq--) {
+            for (let i = 0; i < DiskInfo.DIRENT.LENGTH; i++) ab[off + i] = 0;
+            ab[off + DiskInfo.LFN.SEQ] = seq | (seq == nEntries? DiskInfo.LFN.SEQ_LAST : 0);
+            ab[off + DiskInfo.LFN.ATTR] = DiskInfo.ATTR.LFN;
+            ab[off + DiskInfo.LFN.CHECKSUM] = checksum;
+            /*
+             * The name is terminated with a null character, unless it fills the last entry, and any remaining
+             * characters are set to 0xFFFF.
+             */
+            for (let i = 0; i < DiskInfo.LFN.CHARS; i++) {
+                let iChar = (seq - 1) * DiskInfo.LFN.CHARS + i;
+                let ch = (iChar < sLFN.length? sLFN.charCodeAt(iChar) : (iChar == sLFN.length? 0 : 0xFFFF));
+                let offChar = (i < 5? DiskInfo.LFN.NAME1 + i * 2 : (i < 11? DiskInfo.LFN.NAME2 + (i - 5) * 2 : DiskInfo.LFN.NAME3 + (i - 11) * 2));
+                ab[off + offChar] = ch & 0xff;
+                ab[off + offChar + 1] = ch >> 8;
+            }
+            off += DiskInfo.DIRENT.LENGTH;
+        }
+        return off - offDir;
+    }
+
+    /**
+     * buildDirEntry(ab, off, sName, cbFile, bAttr, dateMod, iCluster)
+     *
+     * TODO: This function should now be using DiskInfo.DIRENT constants where appropriate.
+     *
+     * @this {DiskInfo}
+     * @param {Array.<number>} ab contains the bytes of a directory
+     * @param {number} off is the offset within ab to build the next directory entry
+     * @param {string} sName is the file name
+     * @param {number} cbFile is the size of the file, in bytes
+     * @param {number} bAttr contains the attribute bits of the file
+     * @param {Date} dateMod contains the modification date of the file
+     * @param {number} iCluster is the starting cluster of the file
+     * @returns {number} number of bytes added to the directory (normally 32)
+     */
+    buildDirEntry(ab, off, sName, cbFile, bAttr, dateMod, iCluster)
+    {
+        let sExt = "";
+        let offDir = off;
+        let i = sName.indexOf('.');
+        if (i > 0) {
             sExt = sName.substr(i+1);
             sName = sName.substr(0, i);
         }
@@ -1127,9 +1762,16 @@ export default class DiskInfo {
         ab[off++] = bAttr;
 
         /*
-         * Skip 10 bytes, bringing us to offset 0x16: 2 bytes for modification time, plus 2 bytes for modification date.
+         * Skip 8 bytes, bringing us to offset 0x14, where FAT32 stores the high word of the starting cluster
+         * (which is always zero for FAT12 and FAT16 volumes).
+         */
+        off += 8;
+        ab[off++] = (iCluster >> 16) & 0xff;
+        ab[off++] = (iCluster >> 24) & 0xff;
+
+        /*
+         * Now we're at offset 0x16: 2 bytes for modification time, plus 2 bytes for modification date.
          */
-        off += 10;
         if (dateMod) {
             let dateTime = this.buildDateTime(dateMod);
             ab[off++] = dateTime & 0xff;
@@ -1163,23 +1805,25 @@ export default class DiskInfo {
     }
 
     /**
-     * buildFAT(abFAT, aFileData, iCluster, cbCluster)
+     * buildFAT(abFAT, aFileData, iCluster, cbCluster, nFATBits)
      *
      * @this {DiskInfo}
      * @param {Array.<number>} abFAT
      * @param {Array.<FileData>} aFileData
      * @param {number} iCluster
      * @param {number} cbCluster
+     * @param {number} [nFATBits] (default is 12)
      * @returns {number}
      */
-    buildFAT(abFAT, aFileData, iCluster, cbCluster)
+    buildFAT(abFAT, aFileData, iCluster, cbCluster, nFATBits = 12)
     {
+        let clusEOC = (nFATBits == 32? 0x0FFFFFFF : (nFATBits == 16? 0xFFFF : 0xFFF));
         let cb;
         let cSubDirs = 0;
         for (let iFile = 0; iFile < aFileData.length; iFile++) {
             cb = aFileData[iFile].size;
             if (cb < 0) {
-                cb = (aFileData[iFile].files.length + 2) * 32;
+                cb = (this.calcDirEntries(aFileData[iFile].files) + 2) * 32;
                 cSubDirs++;
             }
             let cFileClusters = ((cb + cbCluster - 1) / cbCluster) | 0;
@@ -1189,9 +1833,9 @@ export default class DiskInfo {
                 aFileData[iFile].cluster = iCluster;
                 while (cFileClusters-- > 0) {
                     let iNextCluster = iCluster + 1;
-                    if (!cFileClusters) iNextCluster = 0xFFF;
+                    if (!cFileClusters) iNextCluster = clusEOC;
                     this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "%s: setting cluster entry %d to %#0wx\n", aFileData[iFile].name, iCluster, iNextCluster);
-                    this.buildFATEntry(abFAT, iCluster++, iNextCluster);
+                    this.buildFATEntry(abFAT, iCluster++, iNextCluster, nFATBits);
                 }
             }
         }
@@ -1199,7 +1843,7 @@ export default class DiskInfo {
             for (let iFile = 0; iFile < aFileData.length; iFile++) {
                 cb = aFileData[iFile].size;
                 if (cb < 0) {
-                    iCluster = this.buildFAT(abFAT, aFileData[iFile].files, iCluster, cbCluster);
+                    iCluster = this.buildFAT(abFAT, aFileData[iFile].files, iCluster, cbCluster, nFATBits);
                 }
             }
         }
@@ -1207,15 +1851,25 @@ export default class DiskInfo {
     }
 
     /**
-     * buildFATEntry(abFat, iFat, v)
+     * buildFATEntry(abFat, iFat, v, nFATBits)
      *
      * @this {DiskInfo}
      * @param {Array.<number>} abFAT
      * @param {number} iFAT
      * @param {number} v
+     * @param {number} [nFATBits] (default is 12)
      */
-    buildFATEntry(abFAT, iFAT, v)
+    buildFATEntry(abFAT, iFAT, v, nFATBits = 12)
     {
+        if (nFATBits > 12) {
+            let cb = nFATBits >> 3;
+            let iByte = iFAT * cb;
+            while (cb--) {
+                abFAT[iByte++] = v & 0xff;
+                v >>>= 8;
+            }
+            return;
+        }
         let iBit = iFAT * 12;
         let iByte = (iBit >> 3);
         if ((iBit % 8) === 0) {
@@ -1232,16 +1886,18 @@ export default class DiskInfo {
     }
 
     /**
-     * buildMBR(cHeads, cSectorsPerTrack, cbSector, cTotalSectors)
+     * buildMBR(cHeads, cSectorsPerTrack, cbSector, cTotalSectors, cHiddenSectors, bType)
      *
      * @this {DiskInfo}
      * @param {number} cHeads
      * @param {number} cSectorsPerTrack
      * @param {number} cbSector
-     * @param {number} cTotalSectors
+     * @param {number} cTotalSectors (of the partition)
+     * @param {number} [cHiddenSectors] (ie, LBA of the first partition sector; default is 1)
+     * @param {number} [bType] (partition type; default is FAT12_PRIMARY)
      * @returns {Array.<number>}
      */
-    buildMBR(cHeads, cSectorsPerTrack, cbSector, cTotalSectors)
+    buildMBR(cHeads, cSectorsPerTrack, cbSector, cTotalSectors, cHiddenSectors = 1, bType = DiskInfo.MBR.PARTITIONS.TYPE.FAT12_PRIMARY)
     {
         /*
          * There are four 16-byte partition entries in the MBR, starting at offset 0x1BE,
@@ -1258,30 +1914,32 @@ export default class DiskInfo {
         /*
          * Next 3 bytes: CHS (Cylinder/Head/Sector) of first partition sector
          */
-        abSector[offSector++] = 0x00;           // head: 0
-        abSector[offSector++] = 0x02;           // sector: 1 (bits 0-5), cylinder bits 8-9: 0 (bits 6-7)
-        abSector[offSector++] = 0x00;           // cylinder bits 0-7: 0
+        let iCylinder = (cHiddenSectors / (cHeads * cSectorsPerTrack)) | 0;
+        abSector[offSector++] = ((cHiddenSectors / cSectorsPerTrack) | 0) % cHeads;
+        abSector[offSector++] = ((cHiddenSectors % cSectorsPerTrack) + 1) | ((iCylinder & 0x300) >> 2);
+        abSector[offSector++] = iCylinder & 0xff;
 
         /*
          * Next 1 byte: partition ID
          */
-        abSector[offSector++] = 0x01;           // partition ID: 0x01 (FAT12)
+        abSector[offSector++] = bType;          // partition ID: usually 0x01 (FAT12)
 
         /*
-         * Next 3 bytes: CHS (Cylinder/Head/Sector) of last partition sector
+         * Next 3 bytes: CHS (Cylinder/Head/Sector) of last partition sector (which, for cylinders beyond the
+         * CHS limit of 1024, is simply the largest CHS value possible)
          */
         abSector[offSector++] = cHeads-1;
-        let cCylinders = (cTotalSectors / (cHeads * cSectorsPerTrack)) | 0;
+        let cCylinders = Math.min((cTotalSectors / (cHeads * cSectorsPerTrack)) | 0, 1023);
         abSector[offSector++] = cSectorsPerTrack | ((cCylinders & 0x300) >> 2);
         abSector[offSector++] = cCylinders & 0xff;
 
         /*
          * Next 4 bytes: LBA (Logical Block Address) of first partition sector
          */
-        abSector[offSector++] = 1;
-        abSector[offSector++] = 0x00;
-        abSector[offSector++] = 0x00;
-        abSector[offSector++] = 0x00;
+        abSector[offSector++] = (cHiddenSectors & 0xff);
+        abSector[offSector++] = ((cHiddenSectors >> 8) & 0xff);
+        abSector[offSector++] = ((cHiddenSectors >> 16) & 0xff);
+        abSector[offSector++] = ((cHiddenSectors >> 24) & 0xff);
 
         /*
          * Next 4 bytes: Number of sectors in partition
@@ -1299,6 +1957,51 @@ export default class DiskInfo {
         return abSector;
     }
 
+    /**
+     * buildPartitionEntry(abSector, iEntry, bStatus, bType, lbaFirst, cSectors, lbaBase, cHeads, cSectorsPerTrack)
+     *
+     * Fills in one of the four partition table entries of an MBR (or EBR).  The CHS fields are always absolute (and
+     * for cylinders beyond the CHS limit of 1024, they're simply the largest CHS values possible), whereas the VBA field
+     * is relative to lbaBase (which is zero for MBR entries).
+     *
+     * @this {DiskInfo}
+     * @param {Array.<number>} abSector
+     * @param {number} iEntry (0-3)
+     * @param {number} bStatus
+     * @param {number} bType
+     * @param {number} lbaFirst (absolute LBA of first partition sector)
+     * @param {number} cSectors
+     * @param {number} lbaBase
+     * @param {number} cHeads
+     * @param {number} cSectorsPerTrack
+     */
+    buildPartitionEntry(abSector, iEntry, bStatus, bType, lbaFirst, cSectors, lbaBase, cHeads, cSectorsPerTrack)
+    {
+        let off = DiskInfo.MBR.PARTITIONS.OFFSET + iEntry * DiskInfo.MBR.PARTITIONS.ENTRY_LENGTH;
+        let setCHS = (offCHS, lba) => {
+            let iCylinder = (lba / (cHeads * cSectorsPerTrack)) | 0;
+            let iHead = ((lba / cSectorsPerTrack) | 0) % cHeads;
+            let iSector = (lba % cSectorsPerTrack) + 1;
+            if (iCylinder > 1023) {
+                iCylinder = 1023;
+                iHead = cHeads - 1;
+                iSector = cSectorsPerTrack;
+            }
+            abSector[off + offCHS] = iHead;
+            abSector[off + offCHS + 1] = iSector | ((iCylinder & 0x300) >> 2);
+            abSector[off + offCHS + 2] = iCylinder & 0xff;
+        };
+        let setData = (offData, v) => {
+            for (let i = 0; i < 4; i++, v >>>= 8) abSector[off + offData + i] = v & 0xff;
+        };
+        abSector[off + DiskInfo.MBR.PARTITIONS.ENTRY.STATUS] = bStatus;
+        setCHS(DiskInfo.MBR.PARTITIONS.ENTRY.CHS_FIRST, lbaFirst);
+        abSector[off + DiskInfo.MBR.PARTITIONS.ENTRY.TYPE] = bType;
+        setCHS(DiskInfo.MBR.PARTITIONS.ENTRY.CHS_LAST, lbaFirst + cSectors - 1);
+        setData(DiskInfo.MBR.PARTITIONS.ENTRY.VBA_FIRST, lbaFirst - lbaBase);
+        setData(DiskInfo.MBR.PARTITIONS.ENTRY.VBA_TOTAL, cSectors);
+    }
+
     /**
      * buildShortName(sFile, fLabel, uniqueID)
      *
@@ -1346,6 +2049,361 @@ export default class DiskInfo {
         return sName;
     }
 
+    /**
+     * buildDiskFromISOFiles(dbDisk, diskName, aFileData)
+     *
+     * Builds an ISO 9660 (CD-ROM) image from the given files, with level 1 (8.3-compatible) names in the primary
+     * directory tree and the original names in a Joliet directory tree.  Both trees share the same file data, and each
+     * has its own pair of path tables (little-endian and big-endian), which DOS (MSCDEX) relies on.
+     *
+     * The layout is: the system area (LBAs 0-15), the primary, Joliet, and terminating volume descriptors, the four
+     * path tables, the primary directories, the Joliet directories, and finally all the file data.  To make builds
+     * reproducible, nothing depends on the current date: the volume descriptor dates are the newest date of all the
+     * files (including the volume label, if any), and directories are sorted by name.
+     *
+     * @this {DiskInfo}
+     * @param {DataBuffer} dbDisk
+     * @param {string} diskName
+     * @param {Array.<FileData>} aFileData
+     * @returns {boolean} true if disk allocation successful, false if not
+     */
+    buildDiskFromISOFiles(dbDisk, diskName, aFileData)
+    {
+        if (!aFileData || !aFileData.length) {
+            return false;
+        }
+
+        this.diskName = diskName;
+        this.abOrigBPB = [];
+        this.fBPBModified = false;
+
+        let cbSector = DiskInfo.ISO.SECTOR_SIZE;
+        let sLabel = "", dateVolume = null;
+        let root = {name: "", lfn: "", date: null, fDir: true, size: 0, data: null, files: [], parent: null};
+
+        let buildNodes = (dir, aFiles) => {
+            let aNames = [], aLongNames = [];
+            for (let file of aFiles) {
+                if (!dateVolume || dateVolume.getTime() < file.date.getTime()) dateVolume = file.date;
+                if (file.attr & DiskInfo.ATTR.VOLUME) {
+                    sLabel = file.name;
+                    continue;
+                }
+                let fDir = !!(file.attr & DiskInfo.ATTR.SUBDIR);
+                let node = {
+                    name: this.buildISOName(file.name, fDir, aNames, false),
+                    lfn: this.buildISOName(file.name, fDir, aLongNames, true),
+                    date: file.date, fDir, size: fDir? 0 : file.size, data: file.data, files: [], parent: dir,
+                    hidden: !!(file.attr & DiskInfo.ATTR.HIDDEN)
+                };
+                dir.files.push(node);
+                if (fDir) buildNodes(node, file.files || []);
+            }
+        };
+        buildNodes(root, aFileData);
+        root.date = dateVolume;
+
+        /*
+         * Each tree is a breadth-first list of directories, with every directory's entries sorted by name (in that tree);
+         * that's the order that path table records must be in, and it's also the order in which I number the directories.
+         */
+        let getTree = (fJoliet) => {
+            let key = fJoliet? "lfn" : "name";
+            let aDirs = [root];
+            for (let i = 0; i < aDirs.length; i++) {
+                let dir = aDirs[i];
+                let aFiles = dir.files.slice().sort((a, b) => (a[key] < b[key]? -1 : (a[key] > b[key]? 1 : 0)));
+                dir[fJoliet? "aJoliet" : "aPrimary"] = aFiles;
+                dir[fJoliet? "iJoliet" : "iPrimary"] = i + 1;
+                for (let file of aFiles) {
+                    if (file.fDir) aDirs.push(file);
+                }
+            }
+            return aDirs;
+        };
+        let getRecordLength = (sName, fJoliet) => {
+            let cbName = sName.length * (fJoliet? 2 : 1);
+            return DiskInfo.ISO.DIR.NAME + cbName + ((cbName + 1) & 1);
+        };
+        /*
+         * A level 1 file identifier must always contain a separator ("."), even when the file has no extension
+         * (eg, "README.;1"); Joliet identifiers have no such requirement.
+         */
+        let getIdentifier = (file, fJoliet) => {
+            if (file.fDir) return fJoliet? file.lfn : file.name;
+            if (fJoliet) return file.lfn + ";1";
+            return file.name + (file.name.indexOf('.') < 0? "." : "") + ";1";
+        };
+
+        let aTrees = [getTree(false), getTree(true)];
+        let abPathTables = [], lbaNext = DiskInfo.ISO.VD_LBA + 3;
+
+        /*
+         * Calculate the size of every directory, remembering that directory records may not span sectors.
+         */
+        for (let iTree = 0; iTree < aTrees.length; iTree++) {
+            let fJoliet = !!iTree;
+            let cbPathTable = 0;
+            for (let dir of aTrees[iTree]) {
+                let cb = DiskInfo.ISO.DIR.MINLENGTH * 2;
+                for (let file of dir[fJoliet? "aJoliet" : "aPrimary"]) {
+                    let cbRecord = getRecordLength(getIdentifier(file, fJoliet), fJoliet);
+                    if ((cb % cbSector) + cbRecord > cbSector) cb += cbSector - (cb % cbSector);
+                    cb += cbRecord;
+                }
+                dir[fJoliet? "cbJoliet" : "cbPrimary"] = Math.ceil(cb / cbSector) * cbSector;
+                let cbName = dir.parent? (fJoliet? dir.lfn.length * 2 : dir.name.length) : 1;
+                cbPathTable += DiskInfo.ISO.PATH.NAME + cbName + (cbName & 1);
+            }
+            abPathTables.push({size: cbPathTable, lbaL: 0, lbaM: 0});
+        }
+
+        /*
+         * Assign LBAs to the path tables, then the directories, then the files.
+         */
+        for (let table of abPathTables) {
+            let nSectors = Math.ceil(table.size / cbSector);
+            table.lbaL = lbaNext;
+            table.lbaM = lbaNext + nSectors;
+            lbaNext += nSectors * 2;
+        }
+        for (let iTree = 0; iTree < aTrees.length; iTree++) {
+            for (let dir of aTrees[iTree]) {
+                dir[iTree? "lbaJoliet" : "lbaPrimary"] = lbaNext;
+                lbaNext += dir[iTree? "cbJoliet" : "cbPrimary"] / cbSector;
+            }
+        }
+        for (let dir of aTrees[0]) {
+            for (let file of dir.aPrimary) {
+                if (file.fDir) continue;
+                file.lba = file.size? lbaNext : 0;
+                lbaNext += Math.ceil(file.size / cbSector);
+            }
+        }
+
+        let cTotalSectors = lbaNext;
+        this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "calculated size for ISO 9660 image: %d sectors (%d bytes)\n", cTotalSectors, cTotalSectors * cbSector);
+
+        dbDisk.new(cTotalSectors * cbSector);
+        dbDisk.fill(0);
+
+        let abVolume = this.buildISODate(dateVolume);
+        let abNone = this.buildISODate(null);
+
+        let setBoth = (ab, off, v, cb) => {
+            for (let i = 0; i < cb; i++) {
+                ab[off + i] = (v >>> (i * 8)) & 0xff;
+                ab[off + cb * 2 - 1 - i] = (v >>> (i * 8)) & 0xff;
+            }
+        };
+        let setLong = (ab, off, v, fBE) => {
+            for (let i = 0; i < 4; i++) ab[off + (fBE? 3 - i : i)] = (v >>> (i * 8)) & 0xff;
+        };
+        let setString = (ab, off, s, cb, fJoliet) => {
+            for (let i = 0, j = 0; i < cb; i += (fJoliet? 2 : 1), j++) {
+                let ch = j < s.length? s.charCodeAt(j) : 0x20;
+                if (fJoliet) {
+                    if (i + 1 >= cb) break;
+                    ab[off + i] = ch >> 8;
+                    ab[off + i + 1] = ch & 0xff;
+                } else {
+                    ab[off + i] = ch;
+                }
+            }
+        };
+        let setRecord = (ab, off, sName, lba, size, date, flags, fJoliet) => {
+            let cbName = sName? sName.length * (fJoliet? 2 : 1) : 1;
+            let cbRecord = DiskInfo.ISO.DIR.NAME + cbName + ((cbName + 1) & 1);
+            ab[off + DiskInfo.ISO.DIR.LENGTH] = cbRecord;
+            setBoth(ab, off + DiskInfo.ISO.DIR.EXTENT, lba, 4);
+            setBoth(ab, off + DiskInfo.ISO.DIR.SIZE, size, 4);
+            let abDate = this.buildISODate(date, true);
+            for (let i = 0; i < abDate.length; i++) ab[off + DiskInfo.ISO.DIR.DATE + i] = abDate[i];
+            ab[off + DiskInfo.ISO.DIR.FLAGS] = flags;
+            setBoth(ab, off + DiskInfo.ISO.DIR.SEQ_NUM, 1, 2);
+            ab[off + DiskInfo.ISO.DIR.NAME_LENGTH] = cbName;
+            if (sName) setString(ab, off + DiskInfo.ISO.DIR.NAME, sName, cbName, fJoliet);
+            return cbRecord;
+        };
+
+        /*
+         * Output the volume descriptors.
+         */
+        let lba = DiskInfo.ISO.VD_LBA;
+        for (let iTree = 0; iTree < aTrees.length; iTree++) {
+            let fJoliet = !!iTree;
+            let ab = new Array(cbSector).fill(0);
+            ab[DiskInfo.ISO.VD.TYPE] = fJoliet? DiskInfo.ISO.VD_TYPE.SUPPLEMENTARY : DiskInfo.ISO.VD_TYPE.PRIMARY;
+            setString(ab, DiskInfo.ISO.VD.ID, DiskInfo.ISO.SIGNATURE, DiskInfo.ISO.SIGNATURE.length);
+            ab[DiskInfo.ISO.VD.VERSION] = 1;
+            for (let off = DiskInfo.ISO.VD.SYSTEM_ID; off < DiskInfo.ISO.VD.VOLUME_SIZE - 8; off += 32) {
+                setString(ab, off, off == DiskInfo.ISO.VD.VOLUME_ID? (fJoliet? sLabel.substr(0, 16) : this.buildISOLabel(sLabel)) : "", 32, fJoliet);
+            }
+            setBoth(ab, DiskInfo.ISO.VD.VOLUME_SIZE, cTotalSectors, 4);
+            if (fJoliet) setString(ab, DiskInfo.ISO.VD.ESCAPES, DiskInfo.ISO.JOLIET[2], 3);
+            setBoth(ab, DiskInfo.ISO.VD.SET_SIZE, 1, 2);
+            setBoth(ab, DiskInfo.ISO.VD.SEQ_NUM, 1, 2);
+            setBoth(ab, DiskInfo.ISO.VD.BLOCK_SIZE, cbSector, 2);
+            let table = abPathTables[iTree];
+            setBoth(ab, DiskInfo.ISO.VD.PATH_SIZE, table.size, 4);
+            setLong(ab, DiskInfo.ISO.VD.PATH_LE, table.lbaL, false);
+            setLong(ab, DiskInfo.ISO.VD.PATH_BE, table.lbaM, true);
+            setRecord(ab, DiskInfo.ISO.VD.ROOT, "", root[fJoliet? "lbaJoliet" : "lbaPrimary"], root[fJoliet? "cbJoliet" : "cbPrimary"], root.date, DiskInfo.ISO.FLAGS.DIRECTORY, fJoliet);
+            for (let off = DiskInfo.ISO.VD.SET_ID; off < DiskInfo.ISO.VD.CREATED; off += (off < DiskInfo.ISO.VD.COPYRIGHT_ID? 128 : 37)) {
+                setString(ab, off, off == DiskInfo.ISO.VD.APP_ID? DiskInfo.PCJS_OEM : "", off < DiskInfo.ISO.VD.COPYRIGHT_ID? 128 : 37, fJoliet);
+            }
+            let aDates = [abVolume, abVolume, abNone, abNone];
+            for (let i = 0; i < aDates.length; i++) {
+                for (let j = 0; j < aDates[i].length; j++) ab[DiskInfo.ISO.VD.CREATED + i * 17 + j] = aDates[i][j];
+            }
+            ab[DiskInfo.ISO.VD.FS_VERSION] = 1;
+            this.copyData(dbDisk, lba++ * cbSector, ab);
+        }
+        let abTerm = new Array(cbSector).fill(0);
+        abTerm[DiskInfo.ISO.VD.TYPE] = DiskInfo.ISO.VD_TYPE.TERMINATOR;
+        setString(abTerm, DiskInfo.ISO.VD.ID, DiskInfo.ISO.SIGNATURE, DiskInfo.ISO.SIGNATURE.length);
+        abTerm[DiskInfo.ISO.VD.VERSION] = 1;
+        this.copyData(dbDisk, lba * cbSector, abTerm);
+
+        /*
+         * Output the path tables and directories of each tree.
+         */
+        for (let iTree = 0; iTree < aTrees.length; iTree++) {
+            let fJoliet = !!iTree;
+            let table = abPathTables[iTree];
+            let abL = [], abM = [];
+            for (let dir of aTrees[iTree]) {
+                let sName = dir.parent? (fJoliet? dir.lfn : dir.name) : "";
+                let cbName = sName? sName.length * (fJoliet? 2 : 1) : 1;
+                let lbaDir = dir[fJoliet? "lbaJoliet" : "lbaPrimary"];
+                let iParent = dir.parent? dir.parent[fJoliet? "iJoliet" : "iPrimary"] : 1;
+                for (let ab of [abL, abM]) {
+                    let off = ab.length, fBE = (ab === abM);
+                    ab[off + DiskInfo.ISO.PATH.NAME_LENGTH] = cbName;
+                    ab[off + DiskInfo.ISO.PATH.EXT_LENGTH] = 0;
+                    setLong(ab, off + DiskInfo.ISO.PATH.EXTENT, lbaDir, fBE);
+                    ab[off + DiskInfo.ISO.PATH.PARENT + (fBE? 1 : 0)] = iParent & 0xff;
+                    ab[off + DiskInfo.ISO.PATH.PARENT + (fBE? 0 : 1)] = (iParent >> 8) & 0xff;
+                    ab[off + DiskInfo.ISO.PATH.NAME] = 0;
+                    if (sName) setString(ab, off + DiskInfo.ISO.PATH.NAME, sName, cbName, fJoliet);
+                    if (cbName & 1) ab[off + DiskInfo.ISO.PATH.NAME + cbName] = 0;
+                }
+            }
+            this.assert(abL.length == table.size);
+            this.copyData(dbDisk, table.lbaL * cbSector, abL);
+            this.copyData(dbDisk, table.lbaM * cbSector, abM);
+
+            for (let dir of aTrees[iTree]) {
+                let cbDir = dir[fJoliet? "cbJoliet" : "cbPrimary"];
+                let ab = new Array(cbDir).fill(0);
+                let parent = dir.parent || dir;
+                let off = setRecord(ab, 0, "", dir[fJoliet? "lbaJoliet" : "lbaPrimary"], cbDir, dir.date, DiskInfo.ISO.FLAGS.DIRECTORY, fJoliet);
+                off += setRecord(ab, off, "", parent[fJoliet? "lbaJoliet" : "lbaPrimary"], parent[fJoliet? "cbJoliet" : "cbPrimary"], parent.date, DiskInfo.ISO.FLAGS.DIRECTORY, fJoliet);
+                ab[DiskInfo.ISO.DIR.MINLENGTH + DiskInfo.ISO.DIR.NAME] = 1;     // the ".." record's name is 0x01
+                for (let file of dir[fJoliet? "aJoliet" : "aPrimary"]) {
+                    let sName = getIdentifier(file, fJoliet);
+                    if ((off % cbSector) + getRecordLength(sName, fJoliet) > cbSector) off += cbSector - (off % cbSector);
+                    let flags = (file.fDir? DiskInfo.ISO.FLAGS.DIRECTORY : 0) | (file.hidden? DiskInfo.ISO.FLAGS.HIDDEN : 0);
+                    if (file.fDir) {
+                        off += setRecord(ab, off, sName, file[fJoliet? "lbaJoliet" : "lbaPrimary"], file[fJoliet? "cbJoliet" : "cbPrimary"], file.date, flags, fJoliet);
+                    } else {
+                        off += setRecord(ab, off, sName, file.lba, file.size, file.date, flags, fJoliet);
+                    }
+                }
+                this.copyData(dbDisk, dir[fJoliet? "lbaJoliet" : "lbaPrimary"] * cbSector, ab);
+            }
+        }
+
+        /*
+         * Output the file data.
+         */
+        for (let dir of aTrees[0]) {
+            for (let file of dir.aPrimary) {
+                if (file.fDir || !file.size) continue;
+                this.assert(file.size == file.data.length);
+                file.data.copy(dbDisk, file.lba * cbSector);
+            }
+        }
+
+        return this.buildDiskFromBuffer(dbDisk);
+    }
+
+    /**
+     * buildISOName(sFile, fDir, aNames, fJoliet)
+     *
+     * Level 1 names are limited to 8.3 names containing only upper-case letters, digits, and underscores ("d-characters"),
+     * and directory names can't have extensions at all.  Joliet names are limited to 64 UCS-2 characters, which may include
+     * anything except "*", "/", ":", ";", "?", and "\".  Every name returned is also added to aNames, to make sure every name
+     * in a directory is unique.
+     *
+     * @this {DiskInfo}
+     * @param {string} sFile
+     * @param {boolean} fDir
+     * @param {Array.<string>} aNames (names already used in the same directory)
+     * @param {boolean} fJoliet
+     * @returns {string}
+     */
+    buildISOName(sFile, fDir, aNames, fJoliet)
+    {
+        let sName;
+        for (let uniqueID = 0; ; uniqueID++) {
+            if (fJoliet) {
+                sName = sFile.replace(/[*/:;?\\]/g, '_');
+                let suffix = uniqueID? "~" + uniqueID : "";
+                if (sName.length + suffix.length > DiskInfo.ISO.JOLIET_MAXLEN || suffix) {
+                    let iExt = sName.lastIndexOf('.');
+                    let sExt = (iExt > 0 && !fDir)? sName.substr(iExt) : "";
+                    sName = sName.substr(0, Math.min(sName.length - sExt.length, DiskInfo.ISO.JOLIET_MAXLEN - sExt.length - suffix.length)) + suffix + sExt;
+                }
+            } else {
+                sName = this.buildShortName(fDir? sFile.replace(/\./g, '_') : sFile, false, uniqueID).replace(/[^A-Z0-9_.]/g, '_');
+            }
+            if (aNames.indexOf(sName) < 0) break;
+        }
+        aNames.push(sName);
+        return sName;
+    }
+
+    /**
+     * buildISOLabel(sLabel)
+     *
+     * @this {DiskInfo}
+     * @param {string} sLabel
+     * @returns {string} (the label converted to d-characters, up to 32 of them)
+     */
+    buildISOLabel(sLabel)
+    {
+        return sLabel.toUpperCase().replace(/[^A-Z0-9_]/g, '_').substr(0, 32);
+    }
+
+    /**
+     * buildISODate(date, fRecord)
+     *
+     * Like buildDateTime(), this uses the local date and time, which is also how DOS (and MSCDEX) interpret them,
+     * so the GMT offset is always zero.
+     *
+     * @this {DiskInfo}
+     * @param {Date|null} date
+     * @param {boolean} [fRecord] (true for the 7-byte directory record format, false for the 17-byte volume descriptor format)
+     * @returns {Array.<number>}
+     */
+    buildISODate(date, fRecord)
+    {
+        let ab = [];
+        if (fRecord) {
+            if (date) {
+                ab.push(date.getFullYear() - 1900, date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds(), 0);
+            } else {
+                ab.push(0, 0, 0, 0, 0, 0, 0);
+            }
+        } else {
+            let s = date? this.device.sprintf("%04d%02d%02d%02d%02d%02d00", date.getFullYear(), date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds()) : "0000000000000000";
+            for (let i = 0; i < s.length; i++) ab.push(s.charCodeAt(i));
+            ab.push(0);
+        }
+        return ab;
+    }
+
     /**
      * buildDiskFromJSON(sData)
      *
@@ -1448,6 +2506,7 @@ export default class DiskInfo {
     {
         this.aDiskData = null;
         this.cbDiskData = 0;
+        this.dwChecksum = 0;
 
         this.abOrigBPB = [];
         this.fBPBModified = false;
@@ -1464,6 +2523,7 @@ export default class DiskInfo {
         let CHUNK_IBMM = 0x49424d4d;    // "IBMM": IBM MFM sector header
         let CHUNK_TEXT = 0x54455854;
         let CHUNK_DATA = 0x44415441;
+        let CHUNK_WEAK = 0x5745414b;    // "WEAK": weak bit mask for the current sector
 
         let getCRC = function(start, end) {
             let crc = 0;
@@ -1537,6 +2597,7 @@ export default class DiskInfo {
                 data[cylinder][head].push(sector);
                 if (flags & 0x1) {
                     sector[DiskInfo.SECTOR.DATA][sectorIndex++] = pattern | (pattern << 8) | (pattern << 16) | (pattern << 24);
+                    this.initSector(sector, sector[DiskInfo.SECTOR.DATA], size);
                 }
                 if (flags & 0x4) {
                     sector[DiskInfo.SECTOR.DATA_ERROR] = -1;
@@ -1567,10 +2628,36 @@ export default class DiskInfo {
                 if (sectorIndex < maxIndex) {
                     this.printf(Device.MESSAGE.WARN, "warning: sector data stops at offset %d instead of %d\n", sectorIndex * 4, size);
                 }
+                this.initSector(sector, sector[DiskInfo.SECTOR.DATA], size);
+                break;
+
+            case CHUNK_WEAK:
+                this.printf(Device.MESSAGE.INFO, "WEAK: %d bytes\n", dbChunk.length);
+                if (sector) {
+                    let adwWeak = [], fWeak = false;
+                    for (let off = 0; off < dbChunk.length && off < size; off += 4) {
+                        let dw = dbChunk.readUInt8(off) | (dbChunk.readUInt8(off+1) << 8) | (dbChunk.readUInt8(off+2) << 16) | (dbChunk.readUInt8(off+3) << 24);
+                        if (dw) fWeak = true;
+                        adwWeak.push(dw);
+                    }
+                    if (fWeak) {
+                        /*
+                         * Like sector data, the mask's last value is implicitly repeated, so there's no need to store copies.
+                         */
+                        while (adwWeak.length > 1 && adwWeak[adwWeak.length - 1] == adwWeak[adwWeak.length - 2]) adwWeak.length--;
+                        sector[DiskInfo.SECTOR.DATA_WEAK] = adwWeak;
+                    }
+                }
                 break;
 
             case CHUNK_IBMM:
                 this.printf(Device.MESSAGE.INFO, "IBMM: at 0x%x\n", chunkOffset);
+                if (sector && dbChunk.length >= 5) {
+                    flags = dbChunk.readUInt8(4);
+                    if (flags & 0x01) sector[DiskInfo.SECTOR.HEAD_ERROR] = true;
+                    if (flags & 0x02) sector[DiskInfo.SECTOR.DATA_ERROR] = -1;
+                    if (flags & 0x04) sector[DiskInfo.SECTOR.DATA_MARK] = 0xF8;
+                }
                 break;
 
             case CHUNK_OFFS:
@@ -1583,7 +2670,7 @@ export default class DiskInfo {
 
             case CHUNK_END:
                 chunkID = 0;
-                this.aDiskData = data;
+                this.initGeometry(data);
                 break;
 
             default:
@@ -1596,1938 +2683,4225 @@ export default class DiskInfo {
     }
 
     /**
-     * buildFileTableFromJSON(fileTable)
-     *
-     * Convert an array of JSON FILEDESC objects to FileInfo objects.
+     * buildDiskFromIMD(dbDisk)
      *
-     * @this {DiskInfo}
-     * @param {Array.<Object>} fileTable
-     */
-    buildFileTableFromJSON(fileTable)
-    {
-        if (!fileTable) return;
-        if (!this.fileTable.length) {
-            for (let i = 0; i < fileTable.length; i++) {
-                let desc = fileTable[i];
-                let iVolume = desc[DiskInfo.FILEDESC.VOL] || 0;
-                let name = this.device.getBaseName(desc[DiskInfo.FILEDESC.PATH], false, true);
-                let path = desc[DiskInfo.FILEDESC.PATH].replace(/\//g, '\\');
-                let attr = +desc[DiskInfo.FILEDESC.ATTR];
-                let date = this.device.parseDate(desc[DiskInfo.FILEDESC.DATE]);
-                let size = desc[DiskInfo.FILEDESC.SIZE] || 0;
-                let file = new FileInfo(this, iVolume, path, name, attr, date, size);
-                file.index = i;
-                fileTable[i] = file;
-                let hash = desc[DiskInfo.FILEDESC.HASH];
-                if (hash) file.hash = hash;
-            }
-            this.fileTable = fileTable;
-        }
-    }
-
-    /**
-     * buildTables(fRebuild)
+     * Build disk image from an IMD file.
      *
-     * This function builds (or rebuilds) a complete file table from all FAT volumes found on the current disk,
-     * and then updates all the sector objects with references to the corresponding file and offset.  Used for
-     * BACKTRACK and SYMBOLS support.  Because this is an expensive operation, in terms of both time and memory,
-     * it should only be called when a disk is mounted or has been modified (eg, by applying deltas from a saved
-     * machine state).
+     * IMD files are ImageDisk files, created by Dave Dunfield's ImageDisk utility; see http://dunfield.classiccmp.org/img/
+     * for details.  An IMD file begins with an ASCII header ("IMD v.vv: dd/mm/yyyy hh:mm:ss") and an optional comment,
+     * terminated by an EOF (0x1A) character, followed by a series of track records, each of which contains:
      *
-     * More recently, the FileInfo objects in the table have been enhanced to include debugging information if
-     * the file is an EXE or DLL, which we determine merely by checking the file extension.
+     *      0x00: mode (1 byte; 0-2 for FM at 500/300/250kbps, 3-5 for MFM at 500/300/250kbps)
+     *      0x01: cylinder (1 byte)
+     *      0x02: head (1 byte; bit 7 set if a cylinder map follows, bit 6 set if a head map follows)
+     *      0x03: number of sectors (1 byte)
+     *      0x04: sector size code (1 byte; 0-6 for 128 << n bytes, or 0xFF if a table of sector sizes follows)
      *
-     * Note that while most of the methods in this module use CHS-style parameters, because our primary clients
-     * are old disk controllers that deal exclusively with cylinder/head/sector values, here we use 0-based
-     * "volume" sector numbers for volume-relative block addresses (aka VBAs or Volume Block Addresses), and
-     * 0-based "logical" sector numbers for disk-relative block addresses (aka LBAs or Logical Block Addresses).
+     * followed by the sector ID map (1 byte per sector), the optional cylinder and head maps (also 1 byte per sector),
+     * the optional sector size table (2 bytes per sector), and finally, one data record per sector, where each record
+     * begins with a type byte (see IMD_DATA_* below) and is followed by either a full sector of data or a single fill byte.
      *
-     * NOTE: It's now possible to reconstitute these tables from our newer "extended" JSON images, if that
-     * was the source of the image.  See buildDiskFromJSON(), which in turn calls buildFileTableFromJSON() when
-     * a new JSON disk image is loaded.
+     * We preserve the order of sectors as they appear in the sector ID map (ie, any interleave), and we record deleted-data
+     * sectors with a DATA_MARK of 0xF8 and bad-data sectors with a DATA_ERROR of -1, the same way parseSuppData() does.
+     * Tracks recorded in FM mode also record the IMD mode in TRACK_MODE, since we otherwise assume MFM.
      *
      * @this {DiskInfo}
-     * @param {boolean} fRebuild
-     * @returns {number} (-1 if error, otherwise number of files found across all volumes)
+     * @param {DataBuffer} dbDisk
+     * @returns {boolean} true if successful (aDiskData initialized); false otherwise
      */
-    buildTables(fRebuild)
+    buildDiskFromIMD(dbDisk)
     {
-        if (!this.fileTable.length && !this.tablesBuilt || fRebuild) {
+        this.aDiskData = null;
+        this.cbDiskData = 0;
+        this.dwChecksum = 0;
+        this.fromJSON = false;
 
-            /*
-             * The built flag avoids rebuilding tables needlessly for volumes that simply have zero files.
-             */
-            this.tablesBuilt = true;
+        this.abOrigBPB = [];
+        this.fBPBModified = false;
 
-            this.deleteTables();
+        let IMD_DATA_NONE       = 0x00;         // sector data unavailable
+        let IMD_DATA_COMPRESSED = 0x01;         // if type is even, the record contains a single fill byte
+        let IMD_DATA_DELETED    = 0x02;         // types 3, 4, 7 and 8 contain deleted data
+        let IMD_DATA_ERROR      = 0x04;         // types 5 through 8 contain data that was read with an error
+        let IMD_DATA_MAX        = 0x08;
+        let IMD_MODE_MFM        = 3;            // modes 3-5 are MFM; modes 0-2 are FM
+        let IMD_HEAD_CYLMAP     = 0x80;
+        let IMD_HEAD_HEADMAP    = 0x40;
 
-            let sectorBoot = this.getSector(0);
-            if (!sectorBoot) {
-                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: unable to read boot sector\n", this.diskName);
-                return -1;
-            }
+        let off = 0;
+        let cbDisk = dbDisk.length;
 
-            /*
-             * Process all recognized volumes.
-             *
-             * NOTE: Our file table currently supports only files on FAT volumes, and there is only one file
-             * table for all FAT volumes; every FileInfo object contains a volume index to indicate the volume.
-             */
-            let iVolume = 0;
-            while (true) {
-                let vol = this.buildVolume(iVolume, sectorBoot);
-                if (!vol || vol.iPartition < 0) break;
-                iVolume++;
-            }
+        if (cbDisk < 4 || dbDisk.slice(0, 4).toString("ascii") != "IMD ") {
+            this.printf(Device.MESSAGE.WARN, "missing IMD header\n");
+            return false;
+        }
+        while (off < cbDisk && dbDisk.readUInt8(off) != 0x1A) off++;
+        let sHeader = dbDisk.slice(0, off).toString("ascii").replace(/\r/g, "");
+        this.printf(Device.MESSAGE.INFO, "%s\n", sHeader);
+        off++;
 
-            /*
-             * For all files in the file table, create the sector-to-file mappings now.
-             */
-            for (let iFile = 0; iFile < this.fileTable.length; iFile++) {
-                let file = this.fileTable[iFile], off = 0;
-                if (file.name == "." || file.name == "..") continue;
-                for (let iSector = 0; iSector < file.aLBA.length; iSector++) {
-                    this.updateSector(iFile, off, file.aLBA[iSector]);
-                    off += this.cbSector;
+        let data = [];
+        while (off < cbDisk) {
+            if (off + 5 > cbDisk) {
+                this.printf(Device.MESSAGE.WARN, "truncated track record at 0x%x\n", off);
+                break;
+            }
+            let mode = dbDisk.readUInt8(off);
+            let cylinder = dbDisk.readUInt8(off + 1);
+            let bHead = dbDisk.readUInt8(off + 2);
+            let nSectors = dbDisk.readUInt8(off + 3);
+            let sizeCode = dbDisk.readUInt8(off + 4);
+            let head = bHead & 0x01;
+            off += 5;
+            let aIDs = [], aCylinders = null, aHeads = null, aSizes = [], i;
+            for (i = 0; i < nSectors; i++) aIDs.push(dbDisk.readUInt8(off++));
+            if (bHead & IMD_HEAD_CYLMAP) {
+                aCylinders = [];
+                for (i = 0; i < nSectors; i++) aCylinders.push(dbDisk.readUInt8(off++));
+            }
+            if (bHead & IMD_HEAD_HEADMAP) {
+                aHeads = [];
+                for (i = 0; i < nSectors; i++) aHeads.push(dbDisk.readUInt8(off++));
+            }
+            for (i = 0; i < nSectors; i++) {
+                if (sizeCode == 0xFF) {
+                    aSizes.push(dbDisk.readUInt16LE(off));
+                    off += 2;
+                } else {
+                    aSizes.push(128 << sizeCode);
                 }
-                file.loadSymbols();
+            }
+            this.printf(Device.MESSAGE.INFO, "track %d:%d: mode %d, %d sectors\n", cylinder, head, mode, nSectors);
+            while (data.length < cylinder + 1) {
+                data.push([]);
+            }
+            while (data[cylinder].length < head + 1) {
+                data[cylinder].push([]);
+            }
+            let track = data[cylinder][head];
+            for (i = 0; i < nSectors; i++) {
+                let size = aSizes[i];
+                let type = dbDisk.readUInt8(off++);
+                if (type > IMD_DATA_MAX) {
+                    this.printf(Device.MESSAGE.ERROR, "unrecognized data record type at 0x%x: 0x%02x\n", off - 1, type);
+                    return false;
+                }
+                if (aCylinders && aCylinders[i] != cylinder || aHeads && aHeads[i] != head) {
+                    this.printf(Device.MESSAGE.WARN, "sector %d:%d:%d has non-physical ID (%d:%d), ignored\n", cylinder, head, aIDs[i], aCylinders? aCylinders[i] : cylinder, aHeads? aHeads[i] : head);
+                }
+                let sector;
+                if (type == IMD_DATA_NONE) {
+                    sector = this.buildSector(cylinder, head, aIDs[i], size);
+                    sector[DiskInfo.SECTOR.DATA_ERROR] = -1;
+                    this.printf(Device.MESSAGE.WARN, "sector %d:%d:%d data unavailable\n", cylinder, head, aIDs[i]);
+                } else {
+                    type--;
+                    if (type & IMD_DATA_COMPRESSED) {
+                        let b = dbDisk.readUInt8(off++);
+                        sector = {
+                            [DiskInfo.SECTOR.CYLINDER]: cylinder,
+                            [DiskInfo.SECTOR.HEAD]:     head,
+                            [DiskInfo.SECTOR.ID]:       aIDs[i],
+                            [DiskInfo.SECTOR.LENGTH]:   size,
+                            [DiskInfo.SECTOR.DATA]:     [b | (b << 8) | (b << 16) | (b << 24)]
+                        };
+                        sector = this.initSector(sector, sector[DiskInfo.SECTOR.DATA], size);
+                    } else {
+                        sector = this.buildSector(cylinder, head, aIDs[i], size, dbDisk.slice(off, off + size));
+                        off += size;
+                    }
+                    if (type & IMD_DATA_DELETED) {
+                        sector[DiskInfo.SECTOR.DATA_MARK] = 0xF8;
+                    }
+                    if (type & IMD_DATA_ERROR) {
+                        sector[DiskInfo.SECTOR.DATA_ERROR] = -1;
+                    }
+                }
+                if (mode < IMD_MODE_MFM) {
+                    sector[DiskInfo.SECTOR.TRACK_MODE] = mode;
+                }
+                track.push(sector);
+                this.cbDiskData += size;
             }
         }
-        return this.fileTable.length;
+
+        if (off > cbDisk) {
+            this.printf(Device.MESSAGE.ERROR, "IMD data exceeds file length\n");
+            return false;
+        }
+
+        this.initGeometry(data);
+        return true;
     }
 
     /**
-     * buildVolume(iVolume, sectorBoot)
+     * buildDiskFromTD0(dbDisk)
      *
-     * @param {number} iVolume
-     * @param {Sector} sectorBoot
-     * @returns {VolInfo|null}
+     * Build disk image from a TD0 file.
+     *
+     * TD0 files are created by Sydex's Teledisk utility, and the format was never officially documented, so this is
+     * based on the same (reverse-engineered) details that other tools rely on.  A TD0 file begins with a 12-byte header:
+     *
+     *      0x00: signature (2 bytes; "TD" for normal images, "td" for images with "advanced" compression)
+     *      0x02: volume sequence (1 byte)
+     *      0x03: check signature (1 byte)
+     *      0x04: Teledisk version (1 byte; eg, 21 for version 2.1)
+     *      0x05: data rate (1 byte; 0-2 for 250/300/500kbps, with bit 7 set for FM)
+     *      0x06: drive type (1 byte)
+     *      0x07: stepping (1 byte; bit 7 set if a comment block follows)
+     *      0x08: DOS allocation flag (1 byte)
+     *      0x09: sides (1 byte)
+     *      0x0A: header CRC (2 bytes)
+     *
+     * With advanced compression, everything following the header is compressed with LZSS and adaptive Huffman coding
+     * (see expandTD0()).  What follows is an optional comment block (a 10-byte header, including the length of the comment,
+     * followed by the comment itself), and then a series of track records, each with a 4-byte header (number of sectors,
+     * cylinder, head, and CRC), followed by the sectors, each with a 6-byte header (cylinder, head, sector ID, size code,
+     * flags, and CRC) and an optional data block.  A track record with 0xFF sectors marks the end of the image.
+     *
+     * As with IMD images, we record deleted-data sectors with a DATA_MARK of 0xF8, sectors with CRC errors (or no data at
+     * all) with a DATA_ERROR of -1, and FM tracks with the equivalent IMD TRACK_MODE.
+     *
+     * @this {DiskInfo}
+     * @param {DataBuffer} dbDisk
+     * @returns {boolean} true if successful (aDiskData initialized); false otherwise
      */
-    buildVolume(iVolume, sectorBoot)
+    buildDiskFromTD0(dbDisk)
     {
-        let idFAT = 0;
-        let cbDisk = this.nCylinders * this.nHeads * this.nSectors * this.cbSector;
-        let vol = /** @type {VolInfo} */({iVolume, iPartition: -1, idMedia: 0, lbaStart: 0, lbaTotal: 0});
+        this.aDiskData = null;
+        this.cbDiskData = 0;
+        this.dwChecksum = 0;
+        this.fromJSON = false;
 
-        if (iVolume == 0) {
+        this.abOrigBPB = [];
+        this.fBPBModified = false;
 
-            vol.idMedia = this.getSectorData(sectorBoot, DiskInfo.BPB.MEDIA, 1);
-            vol.cbSector = this.getSectorData(sectorBoot, DiskInfo.BPB.SECBYTES, 2);
+        let TD0_SECTOR_DUPLICATE = 0x01;        // sector was duplicated within the track
+        let TD0_SECTOR_CRC_ERROR = 0x02;        // sector was read with a CRC error
+        let TD0_SECTOR_DELETED   = 0x04;        // sector has a deleted data address mark
+        let TD0_SECTOR_SKIPPED   = 0x10;        // sector was skipped because DOS had not allocated it
+        let TD0_SECTOR_NO_DATA   = 0x20;        // sector has an ID field but no data field
+        let TD0_SECTOR_NO_ID     = 0x40;        // sector has a data field but no ID field
+        let TD0_RATE_FM          = 0x80;
 
-            if (vol.cbSector != this.cbSector || !this.checkMediaID(vol.idMedia)) {
-                /*
-                 * When the first sector doesn't appear to contain a valid BPB, the most likely explanations are:
-                 *
-                 *      1. The image is from a diskette formatted by DOS 1.x, which didn't use BPBs
-                 *      2. The image is a fixed (partitioned) disk and the first sector is actually an MBR
-                 *      3. The image is from a diskette that used a non-standard boot sector (or sector size)
-                 *
-                 * We start by assuming it's a DOS 1.x diskette (or a DOS diskette with a non-standard boot sector),
-                 * so we'll check ALL our default (diskette) BPBs.  If the diskette looks like a match (both in terms
-                 * of FAT ID and total disk size), then we'll extract the remaining BPB defaults.
-                 */
-                vol.idMedia = 0;
-                vol.vbaFAT = 1;
-                vol.nFATBits = 12;
-                vol.cbSector == this.cbSector;
-                idFAT = this.getClusterEntry(vol, 0, 0);
-                for (let i = 0; i < DiskInfo.aDefaultBPBs.length; i++) {
-                    let bpb = DiskInfo.aDefaultBPBs[i];
-                    if (bpb[DiskInfo.BPB.MEDIA] == idFAT || !bpb[DiskInfo.BPB.MEDIA] && idFAT >= 0xF8) {
-                        let cbDiskBPB = (bpb[DiskInfo.BPB.DISKSECS] + (bpb[DiskInfo.BPB.DISKSECS + 1] * 0x100)) * this.cbSector;
-                        /*
-                         * With such a heavy reliance on a single byte (idFAT) from the first FAT sector, we're going
-                         * believe this BPB match only for disks <= 360K.  I would have limited it to 320K (the largest
-                         * that DOS 1.x supported), but there's the 360K Microsoft Chart 2.02 disk image (and a few others),
-                         * which are a bit "off", so there you go.
-                         */
-                        if (cbDiskBPB == cbDisk && (cbDisk <= 360 * 1024 || !bpb[DiskInfo.BPB.MEDIA])) {
-                            vol.idMedia = idFAT;
-                            /*
-                             * NOTE: Like DISKSECS, FATSECS and DIRENTS are 2-byte fields; but unlike DISKSECS,
-                             * their upper byte is zero in all our default (diskette) BPBs, so there's no need to fetch them.
-                             */
-                            vol.vbaRoot = vol.vbaFAT + bpb[DiskInfo.BPB.FATSECS] * bpb[DiskInfo.BPB.FATS];
-                            vol.clusSecs = bpb[DiskInfo.BPB.CLUSSECS];
-                            vol.lbaTotal = cbDiskBPB / this.cbSector;
-                            vol.nEntries = bpb[DiskInfo.BPB.DIRENTS];
-                            vol.cbSector = this.cbSector;
-                            break;
-                        }
-                    }
+        let getCRC = function(db, start, end) {
+            let crc = 0;
+            for (let i = start; i < end; i++) {
+                crc ^= db.readUInt8(i) << 8;
+                for (let j = 0; j < 8; j++) {
+                    crc = (crc & 0x8000)? ((crc << 1) ^ 0xA097) : (crc << 1);
                 }
             }
-        }
+            return crc & 0xffff;
+        };
 
-        let iVolFound = 0;
-        if (!vol.idMedia) {
+        if (dbDisk.length < 12) {
+            this.printf(Device.MESSAGE.WARN, "missing TD0 header\n");
+            return false;
+        }
 
-            idFAT = 0;
-            vol.cbSector = this.cbSector;
+        let sig = dbDisk.slice(0, 2).toString("ascii");
+        let version = dbDisk.readUInt8(0x04);
+        let rate = dbDisk.readUInt8(0x05);
+        let stepping = dbDisk.readUInt8(0x07);
+        if (sig != "TD" && sig != "td") {
+            this.printf(Device.MESSAGE.WARN, "missing TD0 header\n");
+            return false;
+        }
+        let crcHeader = dbDisk.readUInt16LE(0x0A), crc = getCRC(dbDisk, 0, 0x0A);
+        if (crcHeader != crc) {
+            this.printf(Device.MESSAGE.WARN, "TD0 header CRC 0x%04x != calculated CRC 0x%04x\n", crcHeader, crc);
+        }
+        this.printf(Device.MESSAGE.INFO, "Teledisk version %d.%d, data rate 0x%02x%s\n", (version / 10) | 0, version % 10, rate, sig == "td"? ", advanced compression" : "");
 
+        let db = dbDisk.slice(12);
+        if (sig == "td") {
             /*
-             * So, this is either a fixed (partitioned) disk, or a disk using a non-standard sector size.
-             *
-             * Let's assume the former (ie, we have an MBR) and check for partition records.  We will do this check
-             * in two phases: checking for "primary" partition records first, and for "extended" partition records next.
+             * Teledisk 1.x used a different (LZW-based) form of advanced compression, which we don't support.
              */
-            let iEntry;
-            let maxIterations = 48;     // circuit breaker tripped after 24 potential volumes (with 2 phases per volume)
-            let lbaPrimary = 0, lbaExtended = 0;
-
-            for (let iPhase = 0; iPhase <= 1; iPhase++) {
-
-                iEntry = 0;
-                while (iEntry < 4) {
-
-                    let lba;
-                    let off = DiskInfo.MBR.PARTITIONS.OFFSET + iEntry * DiskInfo.MBR.PARTITIONS.ENTRY_LENGTH;
-                    let bStatus = this.getSectorData(sectorBoot, off + DiskInfo.MBR.PARTITIONS.ENTRY.STATUS, 1);
+            if (version < 20) {
+                this.printf(Device.MESSAGE.ERROR, "unsupported Teledisk version for advanced compression: %d\n", version);
+                return false;
+            }
+            let ab = this.expandTD0(db);
+            db = dbDisk.slice(0, 0);
+            db.new(ab.length);
+            db.fill(ab);
+        }
 
-                    if (bStatus == DiskInfo.MBR.PARTITIONS.STATUS.ACTIVE || bStatus == DiskInfo.MBR.PARTITIONS.STATUS.INACTIVE) {
+        let off = 0;
+        let cbData = db.length;
 
-                        let bType = this.getSectorData(sectorBoot, off + DiskInfo.MBR.PARTITIONS.ENTRY.TYPE, 1);
+        if (stepping & 0x80) {
+            let cbComment = db.readUInt16LE(0x02);
+            let sComment = db.slice(0x0A, 0x0A + cbComment).toString("ascii").replace(/\0+$/, "").replace(/\0/g, "\n");
+            this.printf(Device.MESSAGE.INFO, "%d/%d/%d %02d:%02d:%02d: %s\n", db.readUInt8(0x05) + 1, db.readUInt8(0x06), db.readUInt8(0x04) + 1900, db.readUInt8(0x07), db.readUInt8(0x08), db.readUInt8(0x09), sComment);
+            off = 0x0A + cbComment;
+        }
 
-                        if (bType == DiskInfo.MBR.PARTITIONS.TYPE.FAT12_PRIMARY ||
-                            bType == DiskInfo.MBR.PARTITIONS.TYPE.FAT16_PRIMARY || bType == DiskInfo.MBR.PARTITIONS.TYPE.FAT16_BIG) {
-                            if (iPhase == 0 && iVolFound++ == iVolume) {
-                                lba = this.getSectorData(sectorBoot, off + DiskInfo.MBR.PARTITIONS.ENTRY.VBA_FIRST, 4);
-                                vol.lbaStart = lba + lbaPrimary;
-                                sectorBoot = this.getSector(vol.lbaStart);
-                                if (!sectorBoot) break;     // something's wrong
-                                if (this.getSectorData(sectorBoot, DiskInfo.BPB.SECBYTES, 2) != this.cbSector) {
-                                    sectorBoot = null;      // sectorBoot should have contained a DOS boot sector with BPB, but apparently not
-                                }
-                                break;
-                            }
+        let data = [];
+        while (true) {
+            if (off + 4 > cbData) {
+                this.printf(Device.MESSAGE.WARN, "missing end of image at 0x%x\n", off);
+                break;
+            }
+            let nSectors = db.readUInt8(off);
+            if (nSectors == 0xFF) break;
+            let cylinder = db.readUInt8(off + 1);
+            let head = db.readUInt8(off + 2) & 0x01;
+            let fFM = !!((db.readUInt8(off + 2) & 0x80) || (rate & TD0_RATE_FM));
+            off += 4;
+            this.printf(Device.MESSAGE.INFO, "track %d:%d: %d sectors%s\n", cylinder, head, nSectors, fFM? " (FM)" : "");
+            while (data.length < cylinder + 1) {
+                data.push([]);
+            }
+            while (data[cylinder].length < head + 1) {
+                data[cylinder].push([]);
+            }
+            let track = data[cylinder][head];
+            for (let i = 0; i < nSectors; i++) {
+                if (off + 6 > cbData) {
+                    this.printf(Device.MESSAGE.ERROR, "truncated sector record at 0x%x\n", off);
+                    return false;
+                }
+                let idCylinder = db.readUInt8(off);
+                let idHead = db.readUInt8(off + 1);
+                let idSector = db.readUInt8(off + 2);
+                let sizeCode = db.readUInt8(off + 3);
+                let flags = db.readUInt8(off + 4);
+                let size = 128 << (sizeCode & 0x07);
+                off += 6;
+                if (idCylinder != cylinder || (idHead & 0x01) != head) {
+                    this.printf(Device.MESSAGE.WARN, "sector %d:%d:%d has non-physical ID (%d:%d), ignored\n", cylinder, head, idSector, idCylinder, idHead);
+                }
+                let ab = [];
+                if (!(flags & (TD0_SECTOR_SKIPPED | TD0_SECTOR_NO_DATA)) && sizeCode <= 6) {
+                    let cbBlock = db.readUInt16LE(off);
+                    let encoding = db.readUInt8(off + 2);
+                    let offBlock = off + 3;
+                    let offEnd = off + 2 + cbBlock;
+                    off = offEnd;
+                    switch(encoding) {
+                    case 0:
+                        while (offBlock < offEnd) ab.push(db.readUInt8(offBlock++));
+                        break;
+                    case 1:
+                        for (let n = db.readUInt16LE(offBlock); n > 0; n--) {
+                            ab.push(db.readUInt8(offBlock + 2), db.readUInt8(offBlock + 3));
                         }
-                        if (bType == DiskInfo.MBR.PARTITIONS.TYPE.EXTENDED) {
-                            if (iPhase == 1) {
-                                lba = this.getSectorData(sectorBoot, off + DiskInfo.MBR.PARTITIONS.ENTRY.VBA_FIRST, 4);
-                                lbaPrimary = lba + lbaExtended;
-                                if (!lbaExtended) lbaExtended = lbaPrimary;
-                                sectorBoot = this.getSector(lbaPrimary);
-                                if (!sectorBoot) break;     // something's wrong
-                                iEntry = iPhase = 0;        // sectorBoot should contain another (extended) boot record table
-                                continue;
+                        break;
+                    case 2:
+                        while (offBlock < offEnd && ab.length < size) {
+                            let type = db.readUInt8(offBlock);
+                            let count = db.readUInt8(offBlock + 1);
+                            offBlock += 2;
+                            if (!type) {
+                                while (count--) ab.push(db.readUInt8(offBlock++));
+                            } else {
+                                let len = 1 << type;
+                                while (count--) {
+                                    for (let j = 0; j < len; j++) ab.push(db.readUInt8(offBlock + j));
+                                }
+                                offBlock += len;
                             }
                         }
+                        break;
+                    default:
+                        this.printf(Device.MESSAGE.ERROR, "unrecognized encoding for sector %d:%d:%d: %d\n", cylinder, head, idSector, encoding);
+                        return false;
+                    }
+                    if (ab.length != size) {
+                        this.printf(Device.MESSAGE.WARN, "sector %d:%d:%d contains %d bytes instead of %d\n", cylinder, head, idSector, ab.length, size);
                     }
-                    iEntry++;
                 }
-                if (iEntry < 4 || !--maxIterations) break;
-            }
-
-            if (!sectorBoot || iEntry == 4) {
-                if (!iVolume) this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, "%s warning: %d-byte disk image contains unknown volume(s)\n", this.diskName, cbDisk);
-                return null;
+                let dbSector = null;
+                if (ab.length) {
+                    dbSector = dbDisk.slice(0, 0);
+                    dbSector.new(ab.length);
+                    dbSector.fill(ab);
+                }
+                let sector = this.buildSector(cylinder, head, idSector, size, dbSector);
+                if (flags & (TD0_SECTOR_CRC_ERROR | TD0_SECTOR_NO_DATA)) {
+                    sector[DiskInfo.SECTOR.DATA_ERROR] = -1;
+                }
+                if (flags & TD0_SECTOR_DELETED) {
+                    sector[DiskInfo.SECTOR.DATA_MARK] = 0xF8;
+                }
+                if (flags & (TD0_SECTOR_DUPLICATE | TD0_SECTOR_NO_ID)) {
+                    this.printf(Device.MESSAGE.WARN, "sector %d:%d:%d has unsupported flags: 0x%02x\n", cylinder, head, idSector, flags);
+                }
+                if (fFM) {
+                    /*
+                     * Teledisk data rates 0-2 (250/300/500kbps) map to IMD FM modes 2-0.
+                     */
+                    sector[DiskInfo.SECTOR.TRACK_MODE] = 2 - (rate & 0x03);
+                }
+                track.push(sector);
+                this.cbDiskData += size;
             }
-
-            vol.sectorFATCache = null;  // since vol.lbsStart may have changed, these cache variables must be flushed as well
         }
 
-        vol.iPartition = iVolFound - 1;
+        this.initGeometry(data);
+        return true;
+    }
 
-        if (!vol.lbaTotal) {
-            vol.idMedia = this.getSectorData(sectorBoot, DiskInfo.BPB.MEDIA, 1);
-            vol.lbaTotal = this.getSectorData(sectorBoot, DiskInfo.BPB.DISKSECS, 2) || this.getSectorData(sectorBoot, DiskInfo.BPB.LARGESECS, 4);
-            vol.vbaFAT = this.getSectorData(sectorBoot, DiskInfo.BPB.RESSECS, 2);
-            vol.vbaRoot = vol.vbaFAT + this.getSectorData(sectorBoot, DiskInfo.BPB.FATSECS, 2) * this.getSectorData(sectorBoot, DiskInfo.BPB.FATS, 1);
-            vol.nEntries = this.getSectorData(sectorBoot, DiskInfo.BPB.DIRENTS, 2);
-            vol.clusSecs = this.getSectorData(sectorBoot, DiskInfo.BPB.CLUSSECS, 1);
-        }
+    /**
+     * expandTD0(dbIn)
+     *
+     * Decompresses the "advanced compression" used by Teledisk 2.x, which is the LZHUF algorithm published by Haruyasu
+     * Yoshizaki and Haruhiko Okumura (LZSS with a 4Kb ring buffer and 60-byte maximum matches, plus adaptive Huffman coding
+     * of the literals and match lengths, and a static code for the upper 6 bits of match positions).  The original code
+     * relied on knowing the size of the decompressed data, which Teledisk doesn't record, so we simply stop when the input
+     * is exhausted; any padding bits may produce some trailing garbage, which our caller will never reach.
+     *
+     * @this {DiskInfo}
+     * @param {DataBuffer} dbIn
+     * @returns {Array.<number>}
+     */
+    expandTD0(dbIn)
+    {
+        const N = 4096, F = 60, THRESHOLD = 2;
+        const N_CHAR = 256 - THRESHOLD + F;
+        const T = N_CHAR * 2 - 1, R = T - 1;
+        const MAX_FREQ = 0x8000;
 
-        vol.vbaData = vol.vbaRoot + (((vol.nEntries * DiskInfo.DIRENT.LENGTH + (vol.cbSector - 1)) / vol.cbSector) | 0);
-        vol.clusTotal = (((vol.lbaTotal - vol.vbaData) / vol.clusSecs) | 0);
+        let freq = new Array(T + 1), prnt = new Array(T + N_CHAR), son = new Array(T);
+        let i, j, k, l, c;
 
         /*
-         * In all FATs, the first valid cluster number is 2, as 0 is used to indicate a free cluster and 1 is reserved.
-         *
-         * In a 12-bit FAT chain, the largest valid cluster number (clusMax) is 0xFF6; 0xFF7 is reserved for marking
-         * bad clusters and should NEVER appear in a cluster chain, and 0xFF8-0xFFF are used to indicate the end of a chain.
-         * Reports that cluster numbers 0xFF0-0xFF6 are "reserved" (eg, http://support.microsoft.com/KB/65541) should be
-         * ignored; those numbers may have been considered "reserved" at some early point in FAT's history, but no longer.
-         *
-         * Since 12 bits yield 4096 possible values, and since 11 of the values (0, 1, and 0xFF7-0xFFF) cannot be used to
-         * refer to an actual cluster, that leaves a theoretical maximum of 4085 clusters for a 12-bit FAT.  However, for
-         * reasons that only a small (and shrinking -- RIP AAR) number of people know, the actual cut-off is 4084.
-         *
-         * So, a FAT volume with 4084 or fewer clusters uses a 12-bit FAT, a FAT volume with 4085 to 65524 clusters uses
-         * a 16-bit FAT, and a FAT volume with more than 65524 clusters uses a 32-bit FAT.
-         *
-         * TODO: Eventually add support for FAT32.
+         * Build the tables used to decode the upper 6 bits of a position: d_code[] contains the upper 6 bits for every
+         * possible 8-bit prefix, and d_len[] contains the total number of bits (not including the lower 6) for that prefix.
          */
-        vol.nFATBits = (vol.clusTotal <= DiskInfo.FAT12.MAX_CLUSTERS? 12 : 16);
-        vol.clusMax = (vol.nFATBits == 12? DiskInfo.FAT12.CLUSNUM_MAX : DiskInfo.FAT16.CLUSNUM_MAX);
-
-        if (!idFAT) idFAT = this.getClusterEntry(vol, 0, 0);
-
-        if (idFAT != vol.idMedia) {
-            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s volume %d error: FAT ID (%#0bx) does not match media ID (%#0bx)\n", this.diskName, iVolume, idFAT, vol.idMedia);
-            return null;
+        let d_code = [], d_len = [], code = 0;
+        for (let len = 3; len <= 8; len++) {
+            let nCodes = [1, 3, 8, 12, 24, 16][len - 3];
+            for (c = 0; c < nCodes; c++, code++) {
+                for (i = 0; i < (1 << (8 - len)); i++) {
+                    d_code.push(code);
+                    d_len.push(len);
+                }
+            }
         }
 
-        if (Device.DEBUG) this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "%s:\n  vbaFAT: %d\n  vbaRoot: %d\n  vbaData: %d\n  lbaTotal: %d\n  clusSecs: %d\n  clusTotal: %d\n", this.diskName, vol.vbaFAT, vol.vbaRoot, vol.vbaData, vol.lbaTotal, vol.clusSecs, vol.clusTotal);
-
-        /*
-         * The following assertion is here only to catch anomalies; it is NOT a requirement that the number of data sectors
-         * be a perfect multiple of clusSecs, but if it ever happens, it's worth verifying we didn't miscalculate something.
-         */
-        let nWasted = (vol.lbaTotal - vol.vbaData) % vol.clusSecs;
-        if (nWasted) this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "%s volume %d contains %d sectors, wasting %d sectors\n", this.diskName, iVolume, vol.lbaTotal, nWasted);
-
-        /*
-         * Similarly, it is NOT a requirement that the size of all root directory entries be a perfect multiple of the sector
-         * size (cbSector), but it may indicate a problem if it's not.  Note that when it comes time to read the root directory,
-         * we treat it exactly like any other directory; that is, we ignore the nEntries value and scan the entire contents of
-         * every sector allocated to the directory.  TODO: Determine whether DOS reads all root sector contents or only nEntries
-         * (ie, create a test volume where nEntries * 32 is NOT a multiple of cbSector and watch what happens).
-         */
-        this.assert(!((vol.nEntries * DiskInfo.DIRENT.LENGTH) % vol.cbSector));
+        for (i = 0; i < N_CHAR; i++) {
+            freq[i] = 1;
+            son[i] = i + T;
+            prnt[i + T] = i;
+        }
+        for (i = 0, j = N_CHAR; j <= R; i += 2, j++) {
+            freq[j] = freq[i] + freq[i + 1];
+            son[j] = i;
+            prnt[i] = prnt[i + 1] = j;
+        }
+        freq[T] = 0xffff;
+        prnt[R] = 0;
+
+        let reconst = function() {
+            for (i = 0, j = 0; i < T; i++) {
+                if (son[i] >= T) {
+                    freq[j] = (freq[i] + 1) >> 1;
+                    son[j] = son[i];
+                    j++;
+                }
+            }
+            for (i = 0, j = N_CHAR; j < T; i += 2, j++) {
+                let f = freq[j] = freq[i] + freq[i + 1];
+                for (k = j - 1; f < freq[k]; k--);
+                k++;
+                freq.splice(j, 1);
+                freq.splice(k, 0, f);
+                son.splice(j, 1);
+                son.splice(k, 0, i);
+            }
+            for (i = 0; i < T; i++) {
+                k = son[i];
+                if (k >= T) {
+                    prnt[k] = i;
+                } else {
+                    prnt[k] = prnt[k + 1] = i;
+                }
+            }
+        };
 
-        this.volTable.push(vol);
+        let update = function(ch) {
+            if (freq[R] == MAX_FREQ) reconst();
+            ch = prnt[ch + T];
+            do {
+                k = ++freq[ch];
+                l = ch + 1;
+                if (k > freq[l]) {
+                    while (k > freq[++l]);
+                    l--;
+                    freq[ch] = freq[l];
+                    freq[l] = k;
+                    i = son[ch];
+                    prnt[i] = l;
+                    if (i < T) prnt[i + 1] = l;
+                    j = son[l];
+                    son[l] = i;
+                    prnt[j] = ch;
+                    if (j < T) prnt[j + 1] = ch;
+                    son[ch] = j;
+                    ch = l;
+                }
+            } while ((ch = prnt[ch]) != 0);
+        };
 
-        let aLBA = [];
-        for (let vba = vol.vbaRoot; vba < vol.vbaData; vba++) aLBA.push(vol.lbaStart + vba);
-        this.getDir(vol, aLBA);
+        let iBit = 0, cBits = dbIn.length * 8;
+        let getBit = function() {
+            let b = 0;
+            if (iBit < cBits) {
+                b = (dbIn.readUInt8(iBit >> 3) >> (7 - (iBit & 7))) & 1;
+            }
+            iBit++;
+            return b;
+        };
+        let getBits = function(n) {
+            let v = 0;
+            while (n--) v = (v << 1) | getBit();
+            return v;
+        };
 
-        /*
-         * Calculate free (unused) space, as well as total "bad" space.
-         *
-         * Some disks, like FLICKERFREE.img, mark all their unused clusters as bad, perhaps to discourage anyone
-         * from writing to the disk.  Here's what CHKDSK reports for the FLICKERFREE diskette:
-         *
-         *      Volume FlickerFree created Apr 1, 1986 12:00a
-         *
-         *         179712 bytes total disk space
-         *              0 bytes in 1 hidden files
-         *          48128 bytes in 5 user files
-         *         131584 bytes in bad sectors
-         *              0 bytes available on disk
-         *
-         *         262144 bytes total memory
-         *         237568 bytes free
-         *
-         * And it's a bit of misnomer to list the total as "bad sectors", because the unit of "badness" is a cluster,
-         * not a sector, and while for floppies, it's usually true that a cluster is the same size as a sector, that's
-         * not true in general.
-         */
-        vol.clusBad = 0, vol.clusFree = 0;
-        for (let cluster = 2; cluster < vol.clusTotal + 2; cluster++) {
-            let clusterNext = this.getClusterEntry(vol, cluster, 0) | this.getClusterEntry(vol, cluster, 1);
-            if (!clusterNext) {
-                vol.clusFree++;
-            } else if (clusterNext == vol.clusMax + 1) {
-                vol.clusBad++;
+        let abText = new Array(N + F - 1).fill(0x20);
+        let r = N - F;
+        let abOut = [];
+
+        while (iBit < cBits) {
+            c = son[R];
+            while (c < T) c = son[c + getBit()];
+            c -= T;
+            update(c);
+            if (c < 256) {
+                abOut.push(c);
+                abText[r++] = c;
+                r &= (N - 1);
+            } else {
+                let b = getBits(8);
+                let pos = (d_code[b] << 6) | ((((b << (d_len[b] - 2)) | getBits(d_len[b] - 2))) & 0x3f);
+                let iText = (r - pos - 1) & (N - 1);
+                let len = c - 255 + THRESHOLD;
+                for (k = 0; k < len; k++) {
+                    c = abText[(iText + k) & (N - 1)];
+                    abOut.push(c);
+                    abText[r++] = c;
+                    r &= (N - 1);
+                }
             }
         }
-
-        this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "%s volume %d: %d cluster(s) bad, %d cluster(s) free, %d bytes free\n", this.diskName, iVolume, vol.clusBad, vol.clusFree, vol.clusFree * vol.clusSecs * vol.cbSector);
-        return vol;
+        return abOut;
     }
 
     /**
-     * checkMediaID(idMedia)
+     * buildDiskFromVHD(dbDisk, hash, forceBPB, sectorIDs, sectorErrors, suppData)
+     *
+     * Builds a disk image from a VHD (Virtual Hard Disk) file, as used by Virtual PC, 86Box, and others.  Every VHD file
+     * ends with a 512-byte footer (older Virtual PC images used a 511-byte footer) describing the disk's size, geometry, and
+     * type.  The data of a fixed disk simply precedes the footer, whereas a dynamic disk begins with a copy of the footer,
+     * followed by a dynamic disk header, a Block Allocation Table (BAT), and any number of blocks, each consisting of a sector
+     * bitmap and the block's data; blocks that were never allocated (ie, BAT entries of 0xFFFFFFFF) contain zeros.
+     *
+     * Differencing disks are not supported, since they're meaningless without their parent disk.
+     *
+     * The footer's CHS values determine the disk's geometry, unless they don't account for the entire disk (the VHD
+     * specification's geometry algorithm can leave some sectors unused), in which case we let buildDiskFromBuffer() have
+     * first crack at the disk's data, as if it were any other raw image; the remaining parameters are passed through to
+     * buildDiskFromBuffer() for that purpose.
      *
      * @this {DiskInfo}
-     * @param {number} idMedia
-     * @returns {boolean} (true if idMedia is valid, false if not)
-     */
-    checkMediaID(idMedia)
-    {
-        for (let type in DiskInfo.FAT) {
-            if (idMedia == DiskInfo.FAT[type]) return true;
+     * @param {DataBuffer} dbDisk
+     * @param {string} [hash]
+     * @param {boolean} [forceBPB]
+     * @param {Array|string} [sectorIDs]
+     * @param {Array|string} [sectorErrors]
+     * @param {string} [suppData] (eg, supplementary disk data that can be found in such files as: /software/pcx86/app/microsoft/word/1.15/debugger/index.md)
+     * @returns {boolean} true if successful (aDiskData initialized); false otherwise
+     */
+    buildDiskFromVHD(dbDisk, hash, forceBPB, sectorIDs, sectorErrors, suppData)
+    {
+        this.aDiskData = null;
+        this.cbDiskData = 0;
+        this.dwChecksum = 0;
+        this.fromJSON = false;
+
+        this.abOrigBPB = [];
+        this.fBPBModified = false;
+
+        let FOOTER = DiskInfo.VHD.FOOTER, HEADER = DiskInfo.VHD.HEADER;
+        let cbDisk = dbDisk.length;
+        let getString = (off, len) => (off >= 0 && off + len <= cbDisk? dbDisk.slice(off, off + len).toString("ascii") : "");
+        let getSize = (off) => dbDisk.readUInt32BE(off) * 0x100000000 + dbDisk.readUInt32BE(off + 4);
+
+        let offFooter = cbDisk - FOOTER.LENGTH, cbFooter = FOOTER.LENGTH;
+        if (getString(offFooter, 8) != DiskInfo.VHD.FOOTER_COOKIE) {
+            if (getString(offFooter + 1, 8) == DiskInfo.VHD.FOOTER_COOKIE) {
+                offFooter++;
+                cbFooter--;
+            } else if (getString(0, 8) == DiskInfo.VHD.FOOTER_COOKIE) {
+                /*
+                 * If only the dynamic disk's copy of the footer is intact, that's good enough.
+                 */
+                offFooter = 0;
+            } else {
+                this.printf(Device.MESSAGE.ERROR, "VHD footer not found\n");
+                return false;
+            }
         }
-        return false;
+        let dwChecksum = this.getVHDChecksum(dbDisk, offFooter, cbFooter, FOOTER.CHECKSUM);
+        if (dwChecksum != dbDisk.readUInt32BE(offFooter + FOOTER.CHECKSUM)) {
+            this.printf(Device.MESSAGE.WARN, "VHD footer checksum (%#010x) does not match calculated checksum (%#010x)\n", dbDisk.readUInt32BE(offFooter + FOOTER.CHECKSUM), dwChecksum);
+        }
+
+        let cbData = getSize(offFooter + FOOTER.CURR_SIZE);
+        let nCylinders = dbDisk.readUInt16BE(offFooter + FOOTER.CYLINDERS);
+        let nHeads = dbDisk.readUInt8(offFooter + FOOTER.HEADS);
+        let nSectorsPerTrack = dbDisk.readUInt8(offFooter + FOOTER.SECTORS);
+        let cbSector = 512;
+        let dbData;
+
+        let type = dbDisk.readUInt32BE(offFooter + FOOTER.DISK_TYPE);
+        if (type == DiskInfo.VHD.TYPE.FIXED) {
+            if (cbData > offFooter) {
+                this.printf(Device.MESSAGE.ERROR, "VHD disk size (%d) exceeds file size (%d)\n", cbData, offFooter);
+                return false;
+            }
+            dbData = dbDisk.slice(0, cbData);
+        }
+        else if (type == DiskInfo.VHD.TYPE.DYNAMIC) {
+            let offHeader = getSize(offFooter + FOOTER.DATA_OFFSET);
+            if (getString(offHeader, 8) != DiskInfo.VHD.HEADER_COOKIE) {
+                this.printf(Device.MESSAGE.ERROR, "VHD dynamic disk header not found\n");
+                return false;
+            }
+            let offBAT = getSize(offHeader + HEADER.TABLE_OFFSET);
+            let nEntries = dbDisk.readUInt32BE(offHeader + HEADER.MAX_ENTRIES);
+            let cbBlock = dbDisk.readUInt32BE(offHeader + HEADER.BLOCK_SIZE);
+            /*
+             * Every block begins with a bitmap (1 bit per sector), padded to a sector boundary.
+             */
+            let cbBitmap = Math.ceil(cbBlock / cbSector / 8 / cbSector) * cbSector;
+            dbData = dbDisk.slice(0, 0);
+            dbData.new(cbData);
+            for (let iBlock = 0; iBlock < nEntries && iBlock * cbBlock < cbData; iBlock++) {
+                let lba = dbDisk.readUInt32BE(offBAT + iBlock * 4);
+                if (lba == DiskInfo.VHD.BAT_UNUSED) continue;
+                let off = lba * cbSector + cbBitmap;
+                let cb = Math.min(cbBlock, cbData - iBlock * cbBlock);
+                if (off + cb > cbDisk) {
+                    this.printf(Device.MESSAGE.ERROR, "VHD block %d exceeds file size\n", iBlock);
+                    return false;
+                }
+                dbDisk.slice(off, off + cb).copy(dbData, iBlock * cbBlock);
+            }
+        }
+        else {
+            this.printf(Device.MESSAGE.ERROR, "unsupported VHD disk type: %d\n", type);
+            return false;
+        }
+
+        if (nCylinders * nHeads * nSectorsPerTrack * cbSector != cbData) {
+            if (this.buildDiskFromBuffer(dbData, hash, forceBPB, sectorIDs, sectorErrors, suppData)) return true;
+            if (!nCylinders || !nHeads || !nSectorsPerTrack || nCylinders * nHeads * nSectorsPerTrack * cbSector > cbData) {
+                this.printf(Device.MESSAGE.ERROR, "VHD geometry (%d:%d:%d) does not match disk size (%d)\n", nCylinders, nHeads, nSectorsPerTrack, cbData);
+                return false;
+            }
+            this.abOrigBPB = [];
+            this.fBPBModified = false;
+        }
+
+        let aDiskData = new Array(nCylinders), ib = 0;
+        for (let iCylinder = 0; iCylinder < nCylinders; iCylinder++) {
+            let aHeads = aDiskData[iCylinder] = new Array(nHeads);
+            for (let iHead = 0; iHead < nHeads; iHead++) {
+                let aSectors = aHeads[iHead] = new Array(nSectorsPerTrack);
+                for (let iSector = 0; iSector < nSectorsPerTrack; iSector++) {
+                    aSectors[iSector] = this.buildSector(iCylinder, iHead, iSector + 1, cbSector, dbData, ib);
+                    ib += cbSector;
+                    this.cbDiskData += cbSector;
+                }
+            }
+        }
+        this.initGeometry(aDiskData);
+        return true;
     }
 
     /**
-     * deleteTables()
+     * getVHDChecksum(db, off, cb, offChecksum)
      *
-     * In order for buildTables() to rebuild an existing table (eg, after deltas have been
-     * applied), we also need to zap any and all existing file table references in the sector data.
+     * VHD footers and dynamic disk headers are checksummed by taking the one's complement of the sum of all their bytes,
+     * excluding the checksum itself.
      *
      * @this {DiskInfo}
+     * @param {DataBuffer} db
+     * @param {number} off (offset of the footer or header)
+     * @param {number} cb (length of the footer or header)
+     * @param {number} offChecksum (offset of the checksum, relative to off)
+     * @returns {number}
      */
-    deleteTables()
+    getVHDChecksum(db, off, cb, offChecksum)
     {
-        if (this.fileTable.length) {
-            let aDiskData = this.aDiskData;
-            for (let iCylinder = 0; iCylinder < aDiskData.length; iCylinder++) {
-                for (let iHead = 0; iHead < aDiskData[iCylinder].length; iHead++) {
-                    for (let iSector = 0; iSector < aDiskData[iCylinder][iHead].length; iSector++) {
-                        let sector = aDiskData[iCylinder][iHead][iSector];
-                        if (sector) {
-                            delete sector[DiskInfo.SECTOR.FILE_INDEX];
-                            delete sector[DiskInfo.SECTOR.FILE_OFFSET];
-                            delete sector.iModify;
-                            delete sector.cModify;
-                        }
-                    }
-                }
-            }
+        let dwChecksum = 0;
+        for (let i = 0; i < cb; i++) {
+            if (i >= offChecksum && i < offChecksum + 4) continue;
+            dwChecksum += db.readUInt8(off + i);
         }
-        this.fileTable = [];
-        this.volTable = [];
+        return (~dwChecksum) >>> 0;
     }
 
     /**
-     * getFileListing(iVolume, indent)
+     * initGeometry(aDiskData)
+     *
+     * Used by the sector-oriented image readers (PSI, IMD, TD0) to install their [cylinder][head][sector] data and
+     * set our geometry values.  As with JSON images, those values reflect the first track (and the first sector of that
+     * track), so any heterogeneity is up to the caller to deal with.
      *
      * @this {DiskInfo}
-     * @param {number} [iVolume] (-1 to list contents of ALL volumes in image)
-     * @param {number} [indent]
-     * @returns {string}
+     * @param {Array} aDiskData
      */
-    getFileListing(iVolume = -1, indent = 0)
+    initGeometry(aDiskData)
     {
-        let sListing = "";
-        if (this.buildTables() > 0) {
-            let nVolumes = this.volTable.length;
-            if (iVolume < 0) {
-                iVolume = 0;
-            } else {
-                nVolumes = 1;
-            }
-            let sIndent = " ".repeat(indent);
-            while (iVolume < this.volTable.length && nVolumes-- > 0) {
-                let vol = this.volTable[iVolume];
-                let curVol = -1;
-                let curDir = null;
-                let cbDir = 0, nFiles = 0;
-                let cbTotal = 0, nTotal = 0;
-                let getTotal = function(nFiles, cbDir) {
-                    return this.device.sprintf("%s %8d file(s)   %8d bytes\n", sIndent, nFiles, cbDir);
-                }.bind(this);
-                let i, sLabel = "", sDrive = "?";
-                /*
-                 * Do a preliminary scan for a volume label, and don't look beyond root directory entries;
-                 * since those are all at the beginning of the file table, we can stop as soon as we see a SUBDIR.
-                 */
-                for (i = 0; i < this.fileTable.length; i++) {
-                    let file = this.fileTable[i];
-                    if (file.iVolume > iVolume) break;
-                    if (file.iVolume != iVolume) continue;
-                    if (file.path.lastIndexOf('\\') > 0) break;
-                    if (file.attr & DiskInfo.ATTR.VOLUME) {
-                        /*
-                         * Volume labels are displayed slightly differently from all other directory entries;
-                         * specifically, they may contain non-standard characters (eg, extra periods, lower-case letters),
-                         * and they are displayed as an 11-character sequence.  In other words, they are displayed as-is.
-                         */
-                        sLabel = file.name;
-                        break;
-                    }
-                }
-                for (i = 0; i < this.fileTable.length; i++) {
-                    let file = this.fileTable[i];
-                    if (file.iVolume != iVolume) continue;
-                    if (file.attr & DiskInfo.ATTR.VOLUME) continue;
-                    if (curVol != file.iVolume) {
-                        let vol = this.volTable[file.iVolume];
-                        sDrive = String.fromCharCode(vol.iPartition < 0? 0x41 : 0x43 + vol.iPartition);
-                        curVol = file.iVolume;
-                    }
-                    let name = file.name, ext = "";
-                    let j = file.path.lastIndexOf('\\');
-                    let dir = file.path.substring(0, j);
-                    if (!dir) dir = "\\";
-                    /*
-                     * The only names allowed to begin with a period are "." and "..", and those should always
-                     * have an attr with DiskInfo.ATTR.SUBDIR set.
-                     */
-                    if (name[0] != ".") {
-                        j = name.indexOf(".");
-                        if (j > 0) {
-                            ext = name.substr(j + 1);
-                            name = name.substr(0, j);
-                        }
-                    }
-                    if (curDir != dir) {
-                        if (curDir != null) {
-                            sListing += getTotal(nFiles, cbDir);
-                        } else {
-                            sListing += this.device.sprintf("\n%s Volume in drive %s %s%s", sIndent, sDrive, sLabel? "is " : "has no label", sLabel);
-                        }
-                        curDir = dir;
-                        sListing += this.device.sprintf("\n%s Directory of %s:%s\n\n", sIndent, sDrive, dir);
-                        cbDir = nFiles = 0;
-                    }
-                    let sSize;
-                    if (file.attr & DiskInfo.ATTR.SUBDIR) {
-                        sSize = "<DIR>    ";
-                    } else {
-                        sSize = this.device.sprintf("%9d", file.size);
-                        cbDir += file.size;
-                        cbTotal += file.size;
-                    }
-                    sListing += this.device.sprintf("%s%-8s %-3s%s%s  %#2M-%#02D-%#0.2Y  %#2G:%#02N%#.1A\n", sIndent, name, ext, (file.attr & (DiskInfo.ATTR.READONLY | DiskInfo.ATTR.HIDDEN | DiskInfo.ATTR.SYSTEM))? "*" : " ", sSize, file.date);
-                    nTotal++;
-                    /*
-                     * NOTE: While it seems odd to include all SUBDIR entries in the file count, that's what DOS always did, so we do, too.
-                     * SUBDIRs don't affect the current directory's byte total (cbDir), since A) the size of a SUBDIR entry is normally recorded
-                     * as zero (regardless whether the SUBDIR contains files or not), and B) we don't add their size to the total anyway.
-                     */
-                    nFiles++;
-                }
-                sListing += getTotal(nFiles, cbDir);
-                if (nTotal > nFiles) {
-                    sListing += "\n" + sIndent + "Total files listed:\n";
-                    sListing += getTotal(nTotal, cbTotal);
-                }
-                /*
-                 * This calculation used to use vol.cbSector, but we don't really support volumes with (default) sector sizes that
-                 * that differ from the disk's (default) sector size, nor do we export per-volume sector sizes in the VOLDESC structure,
-                 * so the only code that can rely on vol.cbSector is buildTables(), buildVolume(), and any other code that follows
-                 * those calls -- and if we've reconstituted the disk and all its tables using buildDiskFromJSON(), that doesn't happen
-                 * automatically.
-                 */
-                sListing += this.device.sprintf("%s%28d bytes free\n", sIndent, vol.clusFree * vol.clusSecs * this.cbSector);
-                iVolume++;
+        this.nCylinders = aDiskData.length;
+        this.nHeads = this.nSectors = this.cbSector = 0;
+        for (let iCylinder = 0; iCylinder < aDiskData.length; iCylinder++) {
+            let aHeads = aDiskData[iCylinder];
+            if (aHeads.length > this.nHeads) this.nHeads = aHeads.length;
+            for (let iHead = 0; iHead < aHeads.length; iHead++) {
+                let aSectors = aHeads[iHead];
+                if (!this.nSectors) this.nSectors = aSectors.length;
+                if (!this.cbSector && aSectors.length) this.cbSector = aSectors[0][DiskInfo.SECTOR.LENGTH];
             }
         }
-        return sListing;
+        this.aDiskData = aDiskData;
     }
 
     /**
-     * getFileDesc(file, fComplete, fnHash)
+     * buildFileTableFromJSON(fileTable)
+     *
+     * Convert an array of JSON FILEDESC objects to FileInfo objects.
      *
      * @this {DiskInfo}
-     * @param {FileInfo} file
-     * @param {boolean} [fComplete] (if not "complete", then the descriptor omits NAME, since PATH includes it, as well as SIZE and VOL when they are zero)
-     * @param {function(Array,string)} [fnHash]
-     * @returns {Object}
+     * @param {Array.<Object>} fileTable
      */
-    getFileDesc(file, fComplete, fnHash)
+    buildFileTableFromJSON(fileTable)
     {
-        let ab = null;
-        let desc = {
-            [DiskInfo.FILEDESC.HASH]: file.hash,
-            [DiskInfo.FILEDESC.PATH]: file.path.replace(/\\/g, '/'),
-            [DiskInfo.FILEDESC.NAME]: file.name,
-            [DiskInfo.FILEDESC.ATTR]: this.device.sprintf("%#0bx", file.attr),
-            [DiskInfo.FILEDESC.DATE]: this.device.sprintf("%#T", file.date),
-            [DiskInfo.FILEDESC.SIZE]: file.size,
-            [DiskInfo.FILEDESC.VOL]:  file.iVolume
-        };
-        if (file.size && (fComplete || fnHash)) {
-            this.assert(file.name[0] != '.');   // make sure we're not hashing "." and ".." DIRENTs
-            ab = new Array(file.size);
-            this.readSectorArray(file, ab);
-        }
-        if (fComplete) {
-            if (ab) desc[DiskInfo.FILEDESC.CONTENTS] = ab;
-        } else {
-            delete desc[DiskInfo.FILEDESC.NAME];
-            if (!file.size && (file.attr & DiskInfo.ATTR.SUBDIR | DiskInfo.ATTR.VOLUME)) {
-                delete desc[DiskInfo.FILEDESC.SIZE];
-            }
-            if (!file.iVolume) {
-                delete desc[DiskInfo.FILEDESC.VOL];
-            }
-        }
-        if (file.module) {
-            desc[DiskInfo.FILEDESC.MODULE] = {
-                [DiskInfo.FILEDESC.MODNAME]: file.module,
-                [DiskInfo.FILEDESC.MODDESC]: file.modDesc,
-                [DiskInfo.FILEDESC.MODSEGS]: file.segments
+        if (!fileTable) return;
+        if (!this.fileTable.length) {
+            for (let i = 0; i < fileTable.length; i++) {
+                let desc = fileTable[i];
+                let iVolume = desc[DiskInfo.FILEDESC.VOL] || 0;
+                let name = this.device.getBaseName(desc[DiskInfo.FILEDESC.PATH], false, true);
+                let path = desc[DiskInfo.FILEDESC.PATH].replace(/\//g, '\\');
+                let attr = +desc[DiskInfo.FILEDESC.ATTR];
+                let date = this.device.parseDate(desc[DiskInfo.FILEDESC.DATE]);
+                let size = desc[DiskInfo.FILEDESC.SIZE] || 0;
+                let file = new FileInfo(this, iVolume, path, name, attr, date, size);
+                file.index = i;
+                fileTable[i] = file;
+                let hash = desc[DiskInfo.FILEDESC.HASH];
+                if (hash) file.hash = hash;
+                let lfn = desc[DiskInfo.FILEDESC.LFN];
+                if (lfn) file.lfn = lfn;
             }
+            this.fileTable = fileTable;
         }
-        if (fnHash && ab) {
-            desc[DiskInfo.FILEDESC.HASH] = fnHash(ab);
-        } else {
-            if (!desc[DiskInfo.FILEDESC.HASH]) delete desc[DiskInfo.FILEDESC.HASH];
-        }
-        return desc;
     }
 
     /**
-     * getVolDesc(vol, fComplete)
+     * buildTables(fRebuild)
      *
-     * @this {DiskInfo}
-     * @param {VolInfo} vol
-     * @param {boolean} [fComplete]
-     * @returns {Object}
-     */
-    getVolDesc(vol, fComplete)
-    {
-        let desc = {
-            [DiskInfo.VOLDESC.PARTITION]:  vol.iPartition,
-            [DiskInfo.VOLDESC.MEDIA_ID]:   vol.idMedia,
-            [DiskInfo.VOLDESC.LBA_VOL]:    vol.lbaStart,
-            [DiskInfo.VOLDESC.LBA_TOTAL]:  vol.lbaTotal,
-            [DiskInfo.VOLDESC.FAT_ID]:     vol.nFATBits,
-            [DiskInfo.VOLDESC.VBA_FAT]:    vol.vbaFAT,
-            [DiskInfo.VOLDESC.VBA_ROOT]:   vol.vbaRoot,
-            [DiskInfo.VOLDESC.ROOT_TOTAL]: vol.nEntries,
-            [DiskInfo.VOLDESC.VBA_DATA]:   vol.vbaData,
-            [DiskInfo.VOLDESC.CLUS_SECS]:  vol.clusSecs,
-            [DiskInfo.VOLDESC.CLUS_MAX]:   vol.clusMax,
-            [DiskInfo.VOLDESC.CLUS_BAD]:   vol.clusBad,
-            [DiskInfo.VOLDESC.CLUS_FREE]:  vol.clusFree,
-            [DiskInfo.VOLDESC.CLUS_TOTAL]: vol.clusTotal
-        };
+     * This function builds (or rebuilds) a complete file table from all FAT volumes found on the current disk,
+     * and then updates all the sector objects with references to the corresponding file and offset.  Used for
+     * BACKTRACK and SYMBOLS support.  Because this is an expensive operation, in terms of both time and memory,
+     * it should only be called when a disk is mounted or has been modified (eg, by applying deltas from a saved
+     * machine state).
+     *
+     * More recently, the FileInfo objects in the table have been enhanced to include debugging information if
+     * the file is an EXE or DLL, which we determine merely by checking the file extension.
+     *
+     * Note that while most of the methods in this module use CHS-style parameters, because our primary clients
+     * are old disk controllers that deal exclusively with cylinder/head/sector values, here we use 0-based
+     * "volume" sector numbers for volume-relative block addresses (aka VBAs or Volume Block Addresses), and
+     * 0-based "logical" sector numbers for disk-relative block addresses (aka LBAs or Logical Block Addresses).
+     *
+     * NOTE: It's now possible to reconstitute these tables from our newer "extended" JSON images, if that
+     * was the source of the image.  See buildDiskFromJSON(), which in turn calls buildFileTableFromJSON() when
+     * a new JSON disk image is loaded.
+     *
+     * @this {DiskInfo}
+     * @param {boolean} fRebuild
+     * @returns {number} (-1 if error, otherwise number of files found across all volumes)
+     */
+    buildTables(fRebuild)
+    {
+        if (!this.fileTable.length && !this.tablesBuilt || fRebuild) {
+
+            /*
+             * The built flag avoids rebuilding tables needlessly for volumes that simply have zero files.
+             */
+            this.tablesBuilt = true;
+
+            this.deleteTables();
+
+            let sectorBoot = this.getSector(0);
+            if (!sectorBoot) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: unable to read boot sector\n", this.diskName);
+                return -1;
+            }
+
+            /*
+             * Process all recognized volumes: an unpartitioned disk (eg, a diskette) contains only one, whereas
+             * a partitioned disk contains one for every FAT partition that getPartitions() can find.
+             *
+             * NOTE: Our file table currently supports only files on FAT volumes (and ISO 9660 volumes, which are
+             * always unpartitioned), and there is only one file table for all volumes; every FileInfo object contains
+             * a volume index to indicate the volume.
+             */
+            if (!this.buildISOVolume(0) && !this.buildVolume(0, sectorBoot)) {
+                let aPartitions = this.getPartitions(sectorBoot);
+                for (let i = 0; i < aPartitions.length; i++) {
+                    this.buildVolume(this.volTable.length, sectorBoot, aPartitions[i]);
+                }
+                if (!this.volTable.length) {
+                    this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, "%s warning: %d-byte disk image contains unknown volume(s)\n", this.diskName, this.nCylinders * this.nHeads * this.nSectors * this.cbSector);
+                }
+            }
+
+            /*
+             * For all files in the file table, create the sector-to-file mappings now.
+             */
+            for (let iFile = 0; iFile < this.fileTable.length; iFile++) {
+                let file = this.fileTable[iFile], off = 0;
+                if (file.name == "." || file.name == "..") continue;
+                for (let iSector = 0; iSector < file.aLBA.length; iSector++) {
+                    this.updateSector(iFile, off, file.aLBA[iSector]);
+                    off += this.cbSector;
+                }
+                file.loadSymbols();
+            }
+        }
+        return this.fileTable.length;
+    }
+
+    /**
+     * buildVolume(iVolume, sectorBoot, partition)
+     *
+     * If no partition is specified, then sectorBoot must be the first sector of the disk, and a volume is built only
+     * if the disk appears to be unpartitioned (eg, a diskette); otherwise, the volume is built from the boot sector of
+     * the given partition (see getPartitions()).
+     *
+     * @param {number} iVolume
+     * @param {Sector} sectorBoot
+     * @param {Object} [partition]
+     * @returns {VolInfo|null}
+     */
+    buildVolume(iVolume, sectorBoot, partition)
+    {
+        let idFAT = 0;
+        let cbDisk = this.nCylinders * this.nHeads * this.nSectors * this.cbSector;
+        let vol = /** @type {VolInfo} */({iVolume, iPartition: -1, idMedia: 0, lbaStart: 0, lbaTotal: 0});
+
+        if (!partition) {
+
+            vol.idMedia = this.getSectorData(sectorBoot, DiskInfo.BPB.MEDIA, 1);
+            vol.cbSector = this.getSectorData(sectorBoot, DiskInfo.BPB.SECBYTES, 2);
+
+            if (vol.cbSector != this.cbSector || !this.checkMediaID(vol.idMedia)) {
+                /*
+                 * When the first sector doesn't appear to contain a valid BPB, the most likely explanations are:
+                 *
+                 *      1. The image is from a diskette formatted by DOS 1.x, which didn't use BPBs
+                 *      2. The image is a fixed (partitioned) disk and the first sector is actually an MBR
+                 *      3. The image is from a diskette that used a non-standard boot sector (or sector size)
+                 *
+                 * We start by assuming it's a DOS 1.x diskette (or a DOS diskette with a non-standard boot sector),
+                 * so we'll check ALL our default (diskette) BPBs.  If the diskette looks like a match (both in terms
+                 * of FAT ID and total disk size), then we'll extract the remaining BPB defaults.
+                 */
+                vol.idMedia = 0;
+                vol.vbaFAT = 1;
+                vol.nFATBits = 12;
+                vol.cbSector == this.cbSector;
+                idFAT = this.getClusterEntry(vol, 0, 0);
+                for (let i = 0; i < DiskInfo.aDefaultBPBs.length; i++) {
+                    let bpb = DiskInfo.aDefaultBPBs[i];
+                    if (bpb[DiskInfo.BPB.MEDIA] == idFAT || !bpb[DiskInfo.BPB.MEDIA] && idFAT >= 0xF8) {
+                        let cbDiskBPB = (bpb[DiskInfo.BPB.DISKSECS] + (bpb[DiskInfo.BPB.DISKSECS + 1] * 0x100)) * this.cbSector;
+                        /*
+                         * With such a heavy reliance on a single byte (idFAT) from the first FAT sector, we're going
+                         * believe this BPB match only for disks <= 360K.  I would have limited it to 320K (the largest
+                         * that DOS 1.x supported), but there's the 360K Microsoft Chart 2.02 disk image (and a few others),
+                         * which are a bit "off", so there you go.
+                         */
+                        if (cbDiskBPB == cbDisk && (cbDisk <= 360 * 1024 || !bpb[DiskInfo.BPB.MEDIA])) {
+                            vol.idMedia = idFAT;
+                            /*
+                             * NOTE: Like DISKSECS, FATSECS and DIRENTS are 2-byte fields; but unlike DISKSECS,
+                             * their upper byte is zero in all our default (diskette) BPBs, so there's no need to fetch them.
+                             */
+                            vol.nFATs = bpb[DiskInfo.BPB.FATS];
+                            vol.vbaRoot = vol.vbaFAT + bpb[DiskInfo.BPB.FATSECS] * vol.nFATs;
+                            vol.clusSecs = bpb[DiskInfo.BPB.CLUSSECS];
+                            vol.lbaTotal = cbDiskBPB / this.cbSector;
+                            vol.nEntries = bpb[DiskInfo.BPB.DIRENTS];
+                            vol.cbSector = this.cbSector;
+                            break;
+                        }
+                    }
+                }
+            }
+            /*
+             * If we still don't have a media ID, then this is either a fixed (partitioned) disk, or a disk using
+             * a non-standard sector size, and either way, the caller will have to look for partitions instead.
+             */
+            if (!vol.idMedia) return null;
+        }
+        else {
+            vol.iPartition = partition.iPartition;
+            vol.bType = partition.bType;
+            vol.lbaStart = partition.lbaStart;
+            vol.cbSector = this.cbSector;
+            sectorBoot = this.getSector(vol.lbaStart);
+            if (!sectorBoot || this.getSectorData(sectorBoot, DiskInfo.BPB.SECBYTES, 2) != this.cbSector) {
+                /*
+                 * sectorBoot should have contained a DOS boot sector with BPB, but apparently not.
+                 */
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, "%s warning: partition %d (type %#0bx) at LBA %d does not contain a valid boot sector\n", this.diskName, partition.iPartition, partition.bType, partition.lbaStart);
+                return null;
+            }
+        }
+
+        if (!vol.lbaTotal) {
+            vol.idMedia = this.getSectorData(sectorBoot, DiskInfo.BPB.MEDIA, 1);
+            vol.lbaTotal = this.getSectorData(sectorBoot, DiskInfo.BPB.DISKSECS, 2) || this.getSectorData(sectorBoot, DiskInfo.BPB.LARGESECS, 4);
+            vol.vbaFAT = this.getSectorData(sectorBoot, DiskInfo.BPB.RESSECS, 2);
+            let nFATSecs = this.getSectorData(sectorBoot, DiskInfo.BPB.FATSECS, 2);
+            if (!nFATSecs) {
+                /*
+                 * A zero FATSECS value is the hallmark of a FAT32 BPB (aka BPB32), which moves the FAT size to a 4-byte
+                 * field at offset 0x024 and replaces the fixed-size root directory with an ordinary cluster chain, so we
+                 * record the root directory's first cluster and leave nEntries at zero (which also ensures vbaData == vbaRoot).
+                 */
+                nFATSecs = this.getSectorData(sectorBoot, DiskInfo.BPB32.FATSECS, 4);
+                vol.clusRoot = this.getSectorData(sectorBoot, DiskInfo.BPB32.ROOTCLUS, 4);
+                vol.vbaFSInfo = this.getSectorData(sectorBoot, DiskInfo.BPB32.FSINFO, 2);
+            }
+            vol.nFATs = this.getSectorData(sectorBoot, DiskInfo.BPB.FATS, 1);
+            vol.vbaRoot = vol.vbaFAT + nFATSecs * vol.nFATs;
+            vol.nEntries = this.getSectorData(sectorBoot, DiskInfo.BPB.DIRENTS, 2);
+            vol.clusSecs = this.getSectorData(sectorBoot, DiskInfo.BPB.CLUSSECS, 1);
+        }
+
+        vol.vbaData = vol.vbaRoot + (((vol.nEntries * DiskInfo.DIRENT.LENGTH + (vol.cbSector - 1)) / vol.cbSector) | 0);
+        vol.clusTotal = (((vol.lbaTotal - vol.vbaData) / vol.clusSecs) | 0);
+
+        /*
+         * In all FATs, the first valid cluster number is 2, as 0 is used to indicate a free cluster and 1 is reserved.
+         *
+         * In a 12-bit FAT chain, the largest valid cluster number (clusMax) is 0xFF6; 0xFF7 is reserved for marking
+         * bad clusters and should NEVER appear in a cluster chain, and 0xFF8-0xFFF are used to indicate the end of a chain.
+         * Reports that cluster numbers 0xFF0-0xFF6 are "reserved" (eg, http://support.microsoft.com/KB/65541) should be
+         * ignored; those numbers may have been considered "reserved" at some early point in FAT's history, but no longer.
+         *
+         * Since 12 bits yield 4096 possible values, and since 11 of the values (0, 1, and 0xFF7-0xFFF) cannot be used to
+         * refer to an actual cluster, that leaves a theoretical maximum of 4085 clusters for a 12-bit FAT.  However, for
+         * reasons that only a small (and shrinking -- RIP AAR) number of people know, the actual cut-off is 4084.
+         *
+         * So, a FAT volume with 4084 or fewer clusters uses a 12-bit FAT, a FAT volume with 4085 to 65524 clusters uses
+         * a 16-bit FAT, and a FAT volume with more than 65524 clusters uses a 32-bit FAT.
+         *
+         * We also treat any volume with a BPB32 (ie, a root directory cluster) as FAT32, regardless of its cluster count,
+         * since there's no fixed root directory for a 12-bit or 16-bit interpretation to find.
+         */
+        if (vol.clusRoot || vol.clusTotal > DiskInfo.FAT16.MAX_CLUSTERS) {
+            vol.nFATBits = 32;
+            vol.clusMax = DiskInfo.FAT32.CLUSNUM_MAX;
+        } else {
+            vol.nFATBits = (vol.clusTotal <= DiskInfo.FAT12.MAX_CLUSTERS? 12 : 16);
+            vol.clusMax = (vol.nFATBits == 12? DiskInfo.FAT12.CLUSNUM_MAX : DiskInfo.FAT16.CLUSNUM_MAX);
+        }
+
+        if (!idFAT) idFAT = this.getClusterEntry(vol, 0, 0);
+
+        if (idFAT != vol.idMedia) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s volume %d error: FAT ID (%#0bx) does not match media ID (%#0bx)\n", this.diskName, iVolume, idFAT, vol.idMedia);
+            return null;
+        }
+
+        if (Device.DEBUG) this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "%s:\n  vbaFAT: %d\n  vbaRoot: %d\n  vbaData: %d\n  lbaTotal: %d\n  clusSecs: %d\n  clusTotal: %d\n", this.diskName, vol.vbaFAT, vol.vbaRoot, vol.vbaData, vol.lbaTotal, vol.clusSecs, vol.clusTotal);
+
         /*
-         * By default, we don't include a partition number if it's an unpartitioned disk.
+         * The following assertion is here only to catch anomalies; it is NOT a requirement that the number of data sectors
+         * be a perfect multiple of clusSecs, but if it ever happens, it's worth verifying we didn't miscalculate something.
          */
-        if (!fComplete) {
-            if (vol.iPartition < 0) {
-                delete desc[DiskInfo.VOLDESC.PARTITION];
+        let nWasted = (vol.lbaTotal - vol.vbaData) % vol.clusSecs;
+        if (nWasted) this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "%s volume %d contains %d sectors, wasting %d sectors\n", this.diskName, iVolume, vol.lbaTotal, nWasted);
+
+        /*
+         * Similarly, it is NOT a requirement that the size of all root directory entries be a perfect multiple of the sector
+         * size (cbSector), but it may indicate a problem if it's not.  Note that when it comes time to read the root directory,
+         * we treat it exactly like any other directory; that is, we ignore the nEntries value and scan the entire contents of
+         * every sector allocated to the directory.  TODO: Determine whether DOS reads all root sector contents or only nEntries
+         * (ie, create a test volume where nEntries * 32 is NOT a multiple of cbSector and watch what happens).
+         */
+        this.assert(!((vol.nEntries * DiskInfo.DIRENT.LENGTH) % vol.cbSector));
+
+        this.volTable.push(vol);
+
+        this.getDir(vol, this.getDirSectors(vol, 0));
+
+        /*
+         * Calculate free (unused) space, as well as total "bad" space.
+         *
+         * Some disks, like FLICKERFREE.img, mark all their unused clusters as bad, perhaps to discourage anyone
+         * from writing to the disk.  Here's what CHKDSK reports for the FLICKERFREE diskette:
+         *
+         *      Volume FlickerFree created Apr 1, 1986 12:00a
+         *
+         *         179712 bytes total disk space
+         *              0 bytes in 1 hidden files
+         *          48128 bytes in 5 user files
+         *         131584 bytes in bad sectors
+         *              0 bytes available on disk
+         *
+         *         262144 bytes total memory
+         *         237568 bytes free
+         *
+         * And it's a bit of misnomer to list the total as "bad sectors", because the unit of "badness" is a cluster,
+         * not a sector, and while for floppies, it's usually true that a cluster is the same size as a sector, that's
+         * not true in general.
+         */
+        vol.clusBad = 0, vol.clusFree = 0;
+        for (let cluster = 2; cluster < vol.clusTotal + 2; cluster++) {
+            let clusterNext = this.getClusterEntry(vol, cluster, 0) | this.getClusterEntry(vol, cluster, 1);
+            if (!clusterNext) {
+                vol.clusFree++;
+            } else if (clusterNext == vol.clusMax + 1) {
+                vol.clusBad++;
             }
         }
-        return desc;
+
+        /*
+         * FAT32 volumes also maintain a free cluster count in the FSInfo sector, but it's merely a hint (and 0xFFFFFFFF
+         * means "unknown"), so we only warn if it disagrees with the count we just calculated.
+         */
+        if (vol.vbaFSInfo) {
+            let sectorInfo = this.getSector(vol.lbaStart + vol.vbaFSInfo);
+            if (!sectorInfo || this.getSectorData(sectorInfo, DiskInfo.FSINFO.SIG_LEAD, 4) != DiskInfo.FSINFO.LEAD_SIGNATURE || this.getSectorData(sectorInfo, DiskInfo.FSINFO.SIG_STRUC, 4) != DiskInfo.FSINFO.STRUC_SIGNATURE) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, "%s volume %d warning: invalid FSInfo sector (%d)\n", this.diskName, iVolume, vol.vbaFSInfo);
+            } else {
+                let clusFree = this.getSectorData(sectorInfo, DiskInfo.FSINFO.FREE_COUNT, 4) >>> 0;
+                if (clusFree != DiskInfo.FSINFO.UNKNOWN && clusFree != vol.clusFree) {
+                    this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, "%s volume %d warning: FSInfo free cluster count (%d) does not match actual free clusters (%d)\n", this.diskName, iVolume, clusFree, vol.clusFree);
+                }
+            }
+        }
+
+        this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "%s volume %d: %d cluster(s) bad, %d cluster(s) free, %d bytes free\n", this.diskName, iVolume, vol.clusBad, vol.clusFree, vol.clusFree * vol.clusSecs * vol.cbSector);
+        return vol;
     }
 
     /**
-     * getFileManifest(fnHash)
+     * buildISOVolume(iVolume)
      *
-     * Returns an array of FILEDESC (file descriptors).  Each object is largely a clone
-     * of the FileInfo object, with the exception of cluster and aLBA properties (which aren't
-     * useful outside the context of the DiskInfo object), and with the inclusion of
-     * a HASH property, if the caller provides a hash function.
+     * If the disk contains an ISO 9660 primary volume descriptor, a volume is built from it.  ISO 9660 volumes
+     * have no FAT, so every FAT-related VolInfo property is zero, and since every sector is a "cluster", clusSecs
+     * is 1 and clusTotal is the total number of sectors.
+     *
+     * If there is also a Joliet supplementary volume descriptor, then the Joliet directory tree is used instead of
+     * the primary tree, because both trees describe the same files, and Joliet names are the (mixed-case, long) names
+     * that the files were originally given.
      *
      * @this {DiskInfo}
-     * @param {function(Array,string)} [fnHash]
-     * @returns {Array}
+     * @param {number} iVolume
+     * @returns {VolInfo|null}
      */
-    getFileManifest(fnHash)
+    buildISOVolume(iVolume)
     {
-        let aFiles = [];
-        if (this.buildTables() > 0) {
+        if (this.cbSector != DiskInfo.ISO.SECTOR_SIZE) return null;
+
+        let sectorPVD = null, sectorSVD = null;
+        for (let lba = DiskInfo.ISO.VD_LBA; ; lba++) {
+            let sector = this.getSector(lba);
+            if (!sector || this.getSectorString(sector, DiskInfo.ISO.VD.ID, DiskInfo.ISO.SIGNATURE.length) != DiskInfo.ISO.SIGNATURE) break;
+            let type = this.getSectorData(sector, DiskInfo.ISO.VD.TYPE, 1);
+            if (type == DiskInfo.ISO.VD_TYPE.TERMINATOR) break;
+            if (type == DiskInfo.ISO.VD_TYPE.PRIMARY) {
+                if (!sectorPVD) sectorPVD = sector;
+            }
+            else if (type == DiskInfo.ISO.VD_TYPE.SUPPLEMENTARY) {
+                if (!sectorSVD && DiskInfo.ISO.JOLIET.indexOf(this.getSectorString(sector, DiskInfo.ISO.VD.ESCAPES, 3)) >= 0) sectorSVD = sector;
+            }
+        }
+        if (!sectorPVD) return null;
+
+        let fJoliet = !!sectorSVD;
+        let sectorVD = sectorSVD || sectorPVD;
+        let lbaTotal = this.getSectorData(sectorPVD, DiskInfo.ISO.VD.VOLUME_SIZE, 4);
+        let vol = /** @type {VolInfo} */ ({
+            iVolume, iPartition: -1, idMedia: 0, lbaStart: 0, lbaTotal,
+            nFATBits: 0, vbaFAT: 0, nFATs: 0, vbaRoot: 0, nEntries: 0, vbaData: 0,
+            clusSecs: 1, clusMax: 0, clusBad: 0, clusFree: 0, clusTotal: lbaTotal,
+            cbSector: DiskInfo.ISO.SECTOR_SIZE, fJoliet
+        });
+
+        let root = this.getISODirRecord(sectorVD, DiskInfo.ISO.VD.ROOT, fJoliet);
+        if (!root || !(root.flags & DiskInfo.ISO.FLAGS.DIRECTORY)) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: invalid ISO 9660 root directory\n", this.diskName);
+            return null;
+        }
+        vol.vbaRoot = root.aLBA[0];
+        this.volTable.push(vol);
+
+        /*
+         * The volume ID is the closest thing an ISO 9660 volume has to a volume label, so we add it to the file table
+         * as one, using the root directory's timestamp.
+         */
+        let sLabel = this.getISOString(sectorVD, DiskInfo.ISO.VD.VOLUME_ID, 32, fJoliet).trim();
+        if (sLabel) {
+            let file = new FileInfo(this, iVolume, "\\" + sLabel, sLabel, DiskInfo.ATTR.VOLUME, root.date, 0, -1, []);
+            file.index = this.fileTable.length;
+            this.fileTable.push(file);
+        }
+
+        this.getISODir(vol, root.aLBA, root.size, "", fJoliet);
+
+        this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "%s volume %d: ISO 9660%s volume \"%s\", %d sector(s)\n", this.diskName, iVolume, fJoliet? " (Joliet)" : "", sLabel, lbaTotal);
+        return vol;
+    }
+
+    /**
+     * getISODir(vol, aLBA, size, path, fJoliet)
+     *
+     * Like getDir(), all the entries of a directory are added to the file table before any of its subdirectories
+     * are processed.  Unlike FAT directories, ISO 9660 directories don't contain "." and ".." in any recognizable form,
+     * so those entries are simply skipped.
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {Array.<number>} aLBA
+     * @param {number} size (of the directory, in bytes)
+     * @param {string} path
+     * @param {boolean} fJoliet
+     */
+    getISODir(vol, aLBA, size, path, fJoliet)
+    {
+        let file = null, fMultiExtent = false;
+        let iStart = this.fileTable.length;
+
+        if (Device.DEBUG) this.printf(Device.MESSAGE.DISK, 'getISODir("%s","%s\\")\n', this.diskName, path);
+
+        for (let iSector = 0; iSector < aLBA.length && size > 0; iSector++, size -= vol.cbSector) {
+            let sector = this.getSector(aLBA[iSector]);
+            if (!sector) break;
+            let off = 0;
+            while (off + DiskInfo.ISO.DIR.MINLENGTH <= vol.cbSector) {
+                let rec = this.getISODirRecord(sector, off, fJoliet);
+                if (!rec) break;
+                off += rec.length;
+                if (!rec.name) continue;
+                /*
+                 * Files larger than 4Gb (or files that were simply written in pieces) consist of multiple records with the
+                 * same name, all but the last of which have the MULTI_EXTENT flag set; we combine them into one file.
+                 */
+                if (fMultiExtent && file && file.name == rec.name) {
+                    file.size += rec.size;
+                    file.aLBA = file.aLBA.concat(rec.aLBA);
+                }
+                else {
+                    let attr = (rec.flags & DiskInfo.ISO.FLAGS.DIRECTORY)? DiskInfo.ATTR.SUBDIR : 0;
+                    if (rec.flags & DiskInfo.ISO.FLAGS.HIDDEN) attr |= DiskInfo.ATTR.HIDDEN;
+                    /*
+                     * Directories are given a size of zero, like FAT subdirectories, but we keep track of their actual size,
+                     * because (unlike FAT subdirectories) unused sectors at the end of a directory are not necessarily empty.
+                     */
+                    file = new FileInfo(this, vol.iVolume, path + "\\" + rec.name, rec.name, attr, rec.date, (attr & DiskInfo.ATTR.SUBDIR)? 0 : rec.size, -1, rec.aLBA);
+                    file.index = this.fileTable.length;
+                    if (attr & DiskInfo.ATTR.SUBDIR) file.cbDir = rec.size;
+                    this.fileTable.push(file);
+                }
+                fMultiExtent = !!(rec.flags & DiskInfo.ISO.FLAGS.MULTI_EXTENT);
+            }
+        }
+
+        let iEnd = this.fileTable.length;
+
+        for (let i = iStart; i < iEnd; i++) {
+            file = this.fileTable[i];
+            if ((file.attr & DiskInfo.ATTR.SUBDIR) && file.aLBA.length) {
+                this.getISODir(vol, file.aLBA, file.cbDir, file.path, fJoliet);
+            }
+        }
+    }
+
+    /**
+     * getISODirRecord(sector, off, fJoliet)
+     *
+     * Returns an object describing the directory record at the given offset, or null if there are no more records
+     * in the sector.  The name of a "." or ".." record is empty, and any version suffix (eg, ";1") is removed from
+     * all other names, along with the trailing period of ISO 9660 names without extensions.
+     *
+     * @this {DiskInfo}
+     * @param {Sector} sector
+     * @param {number} off
+     * @param {boolean} fJoliet
+     * @returns {Object|null} ({length, name, flags, date, size, aLBA})
+     */
+    getISODirRecord(sector, off, fJoliet)
+    {
+        let length = this.getSectorData(sector, off + DiskInfo.ISO.DIR.LENGTH, 1);
+        if (length < DiskInfo.ISO.DIR.MINLENGTH || off + length > sector[DiskInfo.SECTOR.LENGTH]) return null;
+        let cbName = this.getSectorData(sector, off + DiskInfo.ISO.DIR.NAME_LENGTH, 1);
+        if (DiskInfo.ISO.DIR.NAME + cbName > length) return null;
+        let name = "";
+        if (cbName > 1 || this.getSectorData(sector, off + DiskInfo.ISO.DIR.NAME, 1) > 1) {
+            name = this.getISOString(sector, off + DiskInfo.ISO.DIR.NAME, cbName, fJoliet).replace(/;\d*$/, "");
+            if (!fJoliet) name = name.replace(/\.$/, "");
+        }
+        let flags = this.getSectorData(sector, off + DiskInfo.ISO.DIR.FLAGS, 1);
+        let size = this.getSectorData(sector, off + DiskInfo.ISO.DIR.SIZE, 4) >>> 0;
+        let lba = this.getSectorData(sector, off + DiskInfo.ISO.DIR.EXTENT, 4) + this.getSectorData(sector, off + DiskInfo.ISO.DIR.EXT_LENGTH, 1);
+        let aLBA = [];
+        for (let cb = 0; cb < size; cb += this.cbSector) aLBA.push(lba++);
+        let offDate = off + DiskInfo.ISO.DIR.DATE;
+        let date = this.getDate(
+            this.getSectorData(sector, offDate, 1) + 1900,
+            this.getSectorData(sector, offDate + 1, 1) - 1,
+            this.getSectorData(sector, offDate + 2, 1),
+            this.getSectorData(sector, offDate + 3, 1),
+            this.getSectorData(sector, offDate + 4, 1),
+            this.getSectorData(sector, offDate + 5, 1),
+            this.diskName + ":" + name
+        );
+        return {length, name, flags, date, size, aLBA};
+    }
+
+    /**
+     * getISOString(sector, off, len, fJoliet)
+     *
+     * ISO 9660 strings are padded with spaces (or nulls), and Joliet strings are UCS-2 (big-endian); len is in bytes.
+     *
+     * @this {DiskInfo}
+     * @param {Sector} sector
+     * @param {number} off
+     * @param {number} len
+     * @param {boolean} fJoliet
+     * @returns {string}
+     */
+    getISOString(sector, off, len, fJoliet)
+    {
+        let s = "";
+        for (let i = 0; i < len; i += (fJoliet? 2 : 1)) {
+            let ch = this.read(sector, off + i);
+            if (fJoliet) ch = (ch << 8) | this.read(sector, off + i + 1);
+            s += String.fromCharCode(ch);
+        }
+        return s.replace(/[\0 ]+$/, "");
+    }
+
+    /**
+     * getPartitions(sectorMBR)
+     *
+     * Returns all the FAT partitions described by the partition table in sectorMBR, including the logical partitions
+     * in any extended partition (by following its chain of extended boot records, or EBRs), in the order that DOS would
+     * assign drive letters: the active (or first) primary partition, all logical partitions, and then any remaining primary
+     * partitions.  Hidden partitions (ie, FAT partitions whose type has been "hidden" by a boot manager) are listed last.
+     *
+     * Partition table entries in the MBR contain absolute LBAs, whereas the first entry in an EBR (which describes the
+     * logical partition) is relative to the EBR, and the second entry (which links to the next EBR, if any) is relative to
+     * the start of the extended partition.
+     *
+     * @this {DiskInfo}
+     * @param {Sector} sectorMBR
+     * @returns {Array.<Object>} (each with iPartition, bStatus, bType, lbaStart, and lbaTotal properties)
+     */
+    getPartitions(sectorMBR)
+    {
+        let aPrimary = [], aLogical = [], aHidden = [], aExtended = [];
+        let lbaDisk = this.nCylinders * this.nHeads * this.nSectors;
+        let TYPE = DiskInfo.MBR.PARTITIONS.TYPE;
+        let aFATTypes = [TYPE.FAT12_PRIMARY, TYPE.FAT16_PRIMARY, TYPE.FAT16_BIG, TYPE.FAT32_CHS, TYPE.FAT32_LBA, TYPE.FAT16_LBA];
+
+        let readTable = (sector, lbaBase, lbaExtended) => {
+            let lbaNext = 0;
+            if (sector && this.getSectorData(sector, DiskInfo.MBR.SIG_OFFSET, 2) == DiskInfo.MBR.SIGNATURE) {
+                for (let iEntry = 0; iEntry < 4; iEntry++) {
+                    let off = DiskInfo.MBR.PARTITIONS.OFFSET + iEntry * DiskInfo.MBR.PARTITIONS.ENTRY_LENGTH;
+                    let bStatus = this.getSectorData(sector, off + DiskInfo.MBR.PARTITIONS.ENTRY.STATUS, 1);
+                    let bType = this.getSectorData(sector, off + DiskInfo.MBR.PARTITIONS.ENTRY.TYPE, 1);
+                    let lbaFirst = this.getSectorData(sector, off + DiskInfo.MBR.PARTITIONS.ENTRY.VBA_FIRST, 4) >>> 0;
+                    let lbaTotal = this.getSectorData(sector, off + DiskInfo.MBR.PARTITIONS.ENTRY.VBA_TOTAL, 4) >>> 0;
+                    if (bStatus != DiskInfo.MBR.PARTITIONS.STATUS.ACTIVE && bStatus != DiskInfo.MBR.PARTITIONS.STATUS.INACTIVE || !lbaFirst) {
+                        continue;
+                    }
+                    if (bType == TYPE.EXTENDED || bType == TYPE.EXTENDED_LBA) {
+                        if (!lbaExtended) {
+                            aExtended.push(lbaFirst);
+                        } else {
+                            lbaNext = lbaExtended + lbaFirst;
+                        }
+                        continue;
+                    }
+                    let lbaStart = lbaBase + lbaFirst;
+                    if (lbaStart >= lbaDisk) continue;
+                    let partition = {iPartition: -1, bStatus, bType, lbaStart, lbaTotal};
+                    if (aFATTypes.indexOf(bType) >= 0) {
+                        if (lbaExtended) {
+                            aLogical.push(partition);
+                        } else {
+                            aPrimary.push(partition);
+                        }
+                    }
+                    else if ((bType & TYPE.HIDDEN) && aFATTypes.indexOf(bType & ~TYPE.HIDDEN) >= 0) {
+                        aHidden.push(partition);
+                    }
+                }
+            }
+            return lbaNext;
+        };
+
+        readTable(sectorMBR, 0, 0);
+
+        for (let i = 0; i < aExtended.length; i++) {
+            let aVisited = [];
+            let lbaEBR = aExtended[i];
+            while (lbaEBR && lbaEBR < lbaDisk && aVisited.indexOf(lbaEBR) < 0) {
+                aVisited.push(lbaEBR);
+                lbaEBR = readTable(this.getSector(lbaEBR), lbaEBR, aExtended[i]);
+            }
+        }
+
+        let iActive = 0;
+        for (let i = 0; i < aPrimary.length; i++) {
+            if (aPrimary[i].bStatus == DiskInfo.MBR.PARTITIONS.STATUS.ACTIVE) {
+                iActive = i;
+                break;
+            }
+        }
+        let aPartitions = aPrimary.splice(iActive, 1).concat(aLogical, aPrimary, aHidden);
+        for (let i = 0; i < aPartitions.length; i++) {
+            aPartitions[i].iPartition = i;
+        }
+        return aPartitions;
+    }
+
+    /**
+     * checkMediaID(idMedia)
+     *
+     * @this {DiskInfo}
+     * @param {number} idMedia
+     * @returns {boolean} (true if idMedia is valid, false if not)
+     */
+    checkMediaID(idMedia)
+    {
+        for (let type in DiskInfo.FAT) {
+            if (idMedia == DiskInfo.FAT[type]) return true;
+        }
+        return false;
+    }
+
+    /**
+     * deleteTables()
+     *
+     * In order for buildTables() to rebuild an existing table (eg, after deltas have been
+     * applied), we also need to zap any and all existing file table references in the sector data.
+     *
+     * @this {DiskInfo}
+     */
+    deleteTables()
+    {
+        if (this.fileTable.length) {
+            let aDiskData = this.aDiskData;
+            for (let iCylinder = 0; iCylinder < aDiskData.length; iCylinder++) {
+                for (let iHead = 0; iHead < aDiskData[iCylinder].length; iHead++) {
+                    for (let iSector = 0; iSector < aDiskData[iCylinder][iHead].length; iSector++) {
+                        let sector = aDiskData[iCylinder][iHead][iSector];
+                        if (sector) {
+                            delete sector[DiskInfo.SECTOR.FILE_INDEX];
+                            delete sector[DiskInfo.SECTOR.FILE_OFFSET];
+                            delete sector.iModify;
+                            delete sector.cModify;
+                        }
+                    }
+                }
+            }
+        }
+        this.fileTable = [];
+        this.volTable = [];
+    }
+
+    /**
+     * getFileListing(iVolume, indent)
+     *
+     * @this {DiskInfo}
+     * @param {number} [iVolume] (-1 to list contents of ALL volumes in image)
+     * @param {number} [indent]
+     * @returns {string}
+     */
+    getFileListing(iVolume = -1, indent = 0)
+    {
+        let sListing = "";
+        if (this.buildTables() > 0) {
+            let nVolumes = this.volTable.length;
+            if (iVolume < 0) {
+                iVolume = 0;
+            } else {
+                nVolumes = 1;
+            }
+            let sIndent = " ".repeat(indent);
+            while (iVolume < this.volTable.length && nVolumes-- > 0) {
+                let vol = this.volTable[iVolume];
+                let curVol = -1;
+                let curDir = null;
+                let cbDir = 0, nFiles = 0;
+                let cbTotal = 0, nTotal = 0;
+                let getTotal = function(nFiles, cbDir) {
+                    return this.device.sprintf("%s %8d file(s)   %8d bytes\n", sIndent, nFiles, cbDir);
+                }.bind(this);
+                let i, sLabel = "", sDrive = "?";
+                /*
+                 * Do a preliminary scan for a volume label, and don't look beyond root directory entries;
+                 * since those are all at the beginning of the file table, we can stop as soon as we see a SUBDIR.
+                 */
+                for (i = 0; i < this.fileTable.length; i++) {
+                    let file = this.fileTable[i];
+                    if (file.iVolume > iVolume) break;
+                    if (file.iVolume != iVolume) continue;
+                    if (file.path.lastIndexOf('\\') > 0) break;
+                    if (file.attr & DiskInfo.ATTR.VOLUME) {
+                        /*
+                         * Volume labels are displayed slightly differently from all other directory entries;
+                         * specifically, they may contain non-standard characters (eg, extra periods, lower-case letters),
+                         * and they are displayed as an 11-character sequence.  In other words, they are displayed as-is.
+                         */
+                        sLabel = file.name;
+                        break;
+                    }
+                }
+                for (i = 0; i < this.fileTable.length; i++) {
+                    let file = this.fileTable[i];
+                    if (file.iVolume != iVolume) continue;
+                    if (file.attr & DiskInfo.ATTR.VOLUME) continue;
+                    if (curVol != file.iVolume) {
+                        let vol = this.volTable[file.iVolume];
+                        sDrive = String.fromCharCode(vol.iPartition < 0? 0x41 : 0x43 + vol.iPartition);
+                        curVol = file.iVolume;
+                    }
+                    let name = file.name, ext = "";
+                    let j = file.path.lastIndexOf('\\');
+                    let dir = file.path.substring(0, j);
+                    if (!dir) dir = "\\";
+                    /*
+                     * The only names allowed to begin with a period are "." and "..", and those should always
+                     * have an attr with DiskInfo.ATTR.SUBDIR set.
+                     */
+                    if (name[0] != ".") {
+                        j = name.indexOf(".");
+                        if (j > 0) {
+                            ext = name.substr(j + 1);
+                            name = name.substr(0, j);
+                        }
+                    }
+                    if (curDir != dir) {
+                        if (curDir != null) {
+                            sListing += getTotal(nFiles, cbDir);
+                        } else {
+                            sListing += this.device.sprintf("\n%s Volume in drive %s%s %s%s", sIndent, sDrive, (vol.bType & DiskInfo.MBR.PARTITIONS.TYPE.HIDDEN)? " (hidden)" : "", sLabel? "is " : "has no label", sLabel);
+                        }
+                        curDir = dir;
+                        sListing += this.device.sprintf("\n%s Directory of %s:%s\n\n", sIndent, sDrive, dir);
+                        cbDir = nFiles = 0;
+                    }
+                    let sSize;
+                    if (file.attr & DiskInfo.ATTR.SUBDIR) {
+                        sSize = "<DIR>    ";
+                    } else {
+                        sSize = this.device.sprintf("%9d", file.size);
+                        cbDir += file.size;
+                        cbTotal += file.size;
+                    }
+                    /*
+                     * Like the DIR command in MS-DOS 7.0, we display a file's long filename, if any, after all its other information
+                     * (which must be appended separately, because sprintf() reuses its last parameter, file.date, for all date formats).
+                     */
+                    sListing += this.device.sprintf("%s%-8s %-3s%s%s  %#2M-%#02D-%#0.2Y  %#2G:%#02N%#.1A", sIndent, name, ext, (file.attr & (DiskInfo.ATTR.READONLY | DiskInfo.ATTR.HIDDEN | DiskInfo.ATTR.SYSTEM))? "*" : " ", sSize, file.date);
+                    sListing += (file.lfn? "  " + file.lfn : "") + "\n";
+                    nTotal++;
+                    /*
+                     * NOTE: While it seems odd to include all SUBDIR entries in the file count, that's what DOS always did, so we do, too.
+                     * SUBDIRs don't affect the current directory's byte total (cbDir), since A) the size of a SUBDIR entry is normally recorded
+                     * as zero (regardless whether the SUBDIR contains files or not), and B) we don't add their size to the total anyway.
+                     */
+                    nFiles++;
+                }
+                sListing += getTotal(nFiles, cbDir);
+                if (nTotal > nFiles) {
+                    sListing += "\n" + sIndent + "Total files listed:\n";
+                    sListing += getTotal(nTotal, cbTotal);
+                }
+                /*
+                 * This calculation used to use vol.cbSector, but we don't really support volumes with (default) sector sizes that
+                 * that differ from the disk's (default) sector size, nor do we export per-volume sector sizes in the VOLDESC structure,
+                 * so the only code that can rely on vol.cbSector is buildTables(), buildVolume(), and any other code that follows
+                 * those calls -- and if we've reconstituted the disk and all its tables using buildDiskFromJSON(), that doesn't happen
+                 * automatically.
+                 */
+                sListing += this.device.sprintf("%s%28d bytes free\n", sIndent, vol.clusFree * vol.clusSecs * this.cbSector);
+                iVolume++;
+            }
+        }
+        return sListing;
+    }
+
+    /**
+     * getFileDesc(file, fComplete, fnHash)
+     *
+     * @this {DiskInfo}
+     * @param {FileInfo} file
+     * @param {boolean} [fComplete] (if not "complete", then the descriptor omits NAME, since PATH includes it, as well as SIZE and VOL when they are zero)
+     * @param {function(Array,string)} [fnHash]
+     * @returns {Object}
+     */
+    getFileDesc(file, fComplete, fnHash)
+    {
+        let ab = null;
+        let desc = {
+            [DiskInfo.FILEDESC.HASH]: file.hash,
+            [DiskInfo.FILEDESC.PATH]: file.path.replace(/\\/g, '/'),
+            [DiskInfo.FILEDESC.NAME]: file.name,
+            [DiskInfo.FILEDESC.ATTR]: this.device.sprintf("%#0bx", file.attr),
+            [DiskInfo.FILEDESC.DATE]: this.device.sprintf("%#T", file.date),
+            [DiskInfo.FILEDESC.SIZE]: file.size,
+            [DiskInfo.FILEDESC.VOL]:  file.iVolume
+        };
+        if (file.lfn) desc[DiskInfo.FILEDESC.LFN] = file.lfn;
+        if (file.size && (fComplete || fnHash)) {
+            this.assert(file.name[0] != '.');   // make sure we're not hashing "." and ".." DIRENTs
+            ab = new Array(file.size);
+            this.readSectorArray(file, ab);
+        }
+        if (fComplete) {
+            if (ab) desc[DiskInfo.FILEDESC.CONTENTS] = ab;
+        } else {
+            delete desc[DiskInfo.FILEDESC.NAME];
+            if (!file.size && (file.attr & DiskInfo.ATTR.SUBDIR | DiskInfo.ATTR.VOLUME)) {
+                delete desc[DiskInfo.FILEDESC.SIZE];
+            }
+            if (!file.iVolume) {
+                delete desc[DiskInfo.FILEDESC.VOL];
+            }
+        }
+        if (file.module) {
+            desc[DiskInfo.FILEDESC.MODULE] = {
+                [DiskInfo.FILEDESC.MODNAME]: file.module,
+                [DiskInfo.FILEDESC.MODDESC]: file.modDesc,
+                [DiskInfo.FILEDESC.MODSEGS]: file.segments
+            }
+        }
+        if (fnHash && ab) {
+            desc[DiskInfo.FILEDESC.HASH] = fnHash(ab);
+        } else {
+            if (!desc[DiskInfo.FILEDESC.HASH]) delete desc[DiskInfo.FILEDESC.HASH];
+        }
+        return desc;
+    }
+
+    /**
+     * getVolDesc(vol, fComplete)
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {boolean} [fComplete]
+     * @returns {Object}
+     */
+    getVolDesc(vol, fComplete)
+    {
+        let desc = {
+            [DiskInfo.VOLDESC.PARTITION]:  vol.iPartition,
+            [DiskInfo.VOLDESC.MEDIA_ID]:   vol.idMedia,
+            [DiskInfo.VOLDESC.LBA_VOL]:    vol.lbaStart,
+            [DiskInfo.VOLDESC.LBA_TOTAL]:  vol.lbaTotal,
+            [DiskInfo.VOLDESC.FAT_ID]:     vol.nFATBits,
+            [DiskInfo.VOLDESC.VBA_FAT]:    vol.vbaFAT,
+            [DiskInfo.VOLDESC.VBA_ROOT]:   vol.vbaRoot,
+            [DiskInfo.VOLDESC.ROOT_TOTAL]: vol.nEntries,
+            [DiskInfo.VOLDESC.VBA_DATA]:   vol.vbaData,
+            [DiskInfo.VOLDESC.CLUS_SECS]:  vol.clusSecs,
+            [DiskInfo.VOLDESC.CLUS_MAX]:   vol.clusMax,
+            [DiskInfo.VOLDESC.CLUS_BAD]:   vol.clusBad,
+            [DiskInfo.VOLDESC.CLUS_FREE]:  vol.clusFree,
+            [DiskInfo.VOLDESC.CLUS_TOTAL]: vol.clusTotal,
+            [DiskInfo.VOLDESC.CLUS_ROOT]:  vol.clusRoot || 0
+        };
+        /*
+         * By default, we don't include a partition number if it's an unpartitioned disk, nor a root cluster
+         * if it's not a FAT32 volume.
+         */
+        if (!fComplete) {
+            if (vol.iPartition < 0) {
+                delete desc[DiskInfo.VOLDESC.PARTITION];
+            }
+            if (!vol.clusRoot) {
+                delete desc[DiskInfo.VOLDESC.CLUS_ROOT];
+            }
+        }
+        return desc;
+    }
+
+    /**
+     * getFileManifest(fnHash)
+     *
+     * Returns an array of FILEDESC (file descriptors).  Each object is largely a clone
+     * of the FileInfo object, with the exception of cluster and aLBA properties (which aren't
+     * useful outside the context of the DiskInfo object), and with the inclusion of
+     * a HASH property, if the caller provides a hash function.
+     *
+     * @this {DiskInfo}
+     * @param {function(Array,string)} [fnHash]
+     * @returns {Array}
+     */
+    getFileManifest(fnHash)
+    {
+        let aFiles = [];
+        if (this.buildTables() > 0) {
             for (let i = 0; i < this.fileTable.length; i++) {
                 let file = this.fileTable[i];
                 if (file.name == "." || file.name == "..") continue;
                 aFiles.push(this.getFileDesc(file, true, fnHash));
             }
         }
-        return aFiles;
+        return aFiles;
+    }
+
+    /**
+     * getModuleInfo(sModule, nSegment)
+     *
+     * If the given module and segment number is found, we return an Array of symbol offsets, indexed by symbol name.
+     *
+     * @this {DiskInfo}
+     * @param {string} sModule
+     * @param {number} nSegment
+     * @returns {Object}
+     */
+    getModuleInfo(sModule, nSegment)
+    {
+        let aSymbols = {};
+        for (let iFile = 0; iFile < this.fileTable.length; iFile++) {
+            let file = this.fileTable[iFile];
+            if (file.sModule != sModule) continue;
+            let segment = file.aSegments[nSegment];
+            if (!segment) continue;
+            for (let iOrdinal in segment.entries) {
+                let entry = segment.entries[iOrdinal];
+                /*
+                 * entry[1] is the symbol name, which becomes the index, and entry[0] is the offset.
+                 */
+                aSymbols[entry[1]] = entry[0];
+            }
+            break;
+        }
+        return aSymbols;
+    }
+
+    /**
+     * getSymbolInfo(sSymbol)
+     *
+     * For all whole or partial symbol matches, return them in an Array of entries:
+     *
+     *      [symbol, file name, segment number, segment offset, segment size].
+     *
+     * TODO: This function has many limitations (ie, slow, case-sensitive), but it gets the job done for now.
+     *
+     * @this {DiskInfo}
+     * @param {string} sSymbol
+     * @returns {Array}
+     */
+    getSymbolInfo(sSymbol)
+    {
+        let aInfo = [];
+        let sSymbolUpper = sSymbol.toUpperCase();
+        for (let iFile = 0; iFile < this.fileTable.length; iFile++) {
+            let file = this.fileTable[iFile];
+            for (let iSegment in file.aSegments) {
+                let segment = file.aSegments[iSegment];
+                for (let iOrdinal in segment.entries) {
+                    let entry = segment.entries[iOrdinal];
+                    if (entry[1] && entry[1].indexOf(sSymbolUpper) >= 0) {
+                        aInfo.push([entry[1], file.name, iSegment, entry[0], segment.offEnd - segment.offStart]);
+                    }
+                }
+            }
+        }
+        return aInfo;
+    }
+
+    /**
+     * getDate(year, month, day, hour, minute, second, sFile)
+     *
+     * @this {DiskInfo}
+     * @param {number} year
+     * @param {number} month
+     * @param {number} day
+     * @param {number} hour
+     * @param {number} minute
+     * @param {number} second
+     * @param {number} sFile
+     * @returns {Date} (UTC date corresponding to the given date/time parameters)
+     */
+    getDate(year, month, day, hour, minute, second, sFile)
+    {
+        let errors = 0;
+        let y = year, m = month, d = day, h = hour, n = minute, s = second;
+        if (m < 0) {
+            m = 0;
+        }
+        if (m > 11) {
+            m = 11;
+            errors++;
+        }
+        if (d < 1) {
+            d = 1;
+        }
+        if (d > 31) {
+            d = 31;
+            errors++;
+        }
+        if (h > 23) {
+            h = 23;
+            errors++;
+        }
+        if (n > 59) {
+            n = 59;
+            errors++;
+        }
+        if (s > 59) {
+            s = 59;
+            errors++;
+        }
+        if (errors) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, "%s warning: invalid timestamp: %04d-%02d-%02d %02d:%02d:%02d\n", sFile, year, month, day, hour, minute, second);
+        }
+        return this.device.parseDate(y, m, d, h, n, s);
+    }
+
+    /**
+     * getDir(vol, aLBA, dir, path)
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {Array.<number>} aLBA
+     * @param {DirInfo} [dir]
+     * @param {string} [path]
+     */
+    getDir(vol, aLBA, dir = {}, path = "")
+    {
+        let file;
+        let iStart = this.fileTable.length;
+        let nEntriesPerSector = (vol.cbSector / DiskInfo.DIRENT.LENGTH) | 0;
+
+        dir.path = path + "\\";
+
+        if (Device.DEBUG) this.printf(Device.MESSAGE.DISK, 'getDir("%s","%s")\n', this.diskName, dir.path);
+
+        for (let iSector = 0; iSector < aLBA.length; iSector++) {
+            let lba = aLBA[iSector];
+            for (let iEntry = 0; iEntry < nEntriesPerSector; iEntry++) {
+                if (!this.getDirEntry(vol, dir, lba, iEntry)) {
+                    iSector = aLBA.length;
+                    break;
+                }
+                if (dir.name == null) continue;
+                if (dir.attr == DiskInfo.ATTR.LFN) continue;
+                let path = dir.path + dir.name;
+                let dateMod = this.getDate(
+                    (dir.modDate >> 9) + 1980,
+                    ((dir.modDate >> 5) & 0xf) - 1,
+                    (dir.modDate & 0x1f),
+                    (dir.modTime >> 11),
+                    (dir.modTime >> 5) & 0x3f,
+                    (dir.modTime & 0x1f) << 1,
+                    this.diskName + ":" + path
+                );
+                file = new FileInfo(this, vol.iVolume, path, dir.name, dir.attr, dateMod, dir.size, dir.cluster, dir.aLBA);
+                file.index = this.fileTable.length;
+                if (dir.lfn) file.lfn = dir.lfn;
+                this.fileTable.push(file);
+            }
+        }
+
+        let iEnd = this.fileTable.length;
+
+        for (let i = iStart; i < iEnd; i++) {
+            file = this.fileTable[i];
+            if ((file.attr & DiskInfo.ATTR.SUBDIR) && file.aLBA.length && file.name != "." && file.name != "..") {
+                this.getDir(vol, file.aLBA, dir, path + "\\" + file.name);
+            }
+        }
+    }
+
+    /**
+     * getDirEntry(vol, dir, lba, i)
+     *
+     * This sets the following properties on the 'dir' object:
+     *
+     *      name (null if invalid/deleted entry)
+     *      attr
+     *      modDate
+     *      modTime
+     *      size
+     *      cluster
+     *      aLBA (ie, array of logical block addresses)
+     *
+     * On return, it's the caller's responsibility to copy out any data into a new object
+     * if it wants to preserve any of the above information.
+     *
+     * This function also caches the following properties in the 'dir' object:
+     *
+     *      lbaDirCache (of the last directory sector read, if any)
+     *      sectorDirCache (of the last directory sector read, if any)
+     *
+     * Also, the caller must also set the following 'dir' helper properties, so that clusters
+     * can be located and converted to sectors (see convertClusterToSectors):
+     *
+     *      vbaFAT
+     *      vbaData
+     *      cbSector
+     *      clusMax
+     *      clusSecs
+     *      nFATBits
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {DirInfo} dir (to be filled in)
+     * @param {number} lba (a sector of the directory)
+     * @param {number} i (an entry in the directory sector, 0-based)
+     * @returns {boolean} true if entry was returned (even if invalid/deleted), false if no more entries
+     */
+    getDirEntry(vol, dir, lba, i)
+    {
+        if (!vol.sectorDirCache || !vol.lbaDirCache || vol.lbaDirCache != lba) {
+            vol.lbaDirCache = lba;
+            vol.sectorDirCache = this.getSector(vol.lbaDirCache);
+            // if (Device.DEBUG) this.printf(Device.MESSAGE.DISK, this.dumpSector(vol.sectorDirCache, vol.lbaDirCache, dir.path));
+        }
+        if (vol.sectorDirCache) {
+            let off = i * DiskInfo.DIRENT.LENGTH;
+            let b = this.getSectorData(vol.sectorDirCache, off, 1);
+            if (b == DiskInfo.DIRENT.UNUSED) {
+                return false;
+            }
+            if (b == DiskInfo.DIRENT.INVALID) {
+                dir.name = dir.lfn = dir.lfnChars = null;
+                return true;
+            }
+            dir.attr = this.getSectorData(vol.sectorDirCache, off + DiskInfo.DIRENT.ATTR, 1);
+            if (dir.attr == DiskInfo.ATTR.LFN) {
+                this.getLFNEntry(vol.sectorDirCache, off, dir);
+            } else {
+                /*
+                 * An LFN chain belongs to this entry only if the chain is complete and its checksum matches the short name;
+                 * otherwise, the chain is an orphan (eg, left behind by software that renamed the file without knowing about
+                 * LFNs) and must be ignored.
+                 */
+                dir.lfn = null;
+                if (dir.lfnChars && dir.lfnSeq == 0) {
+                    let abName = [];
+                    for (let i = 0; i < 11; i++) abName.push(this.read(vol.sectorDirCache, off + DiskInfo.DIRENT.NAME + i));
+                    if (dir.lfnChecksum == this.calcLFNChecksum(abName)) {
+                        let i = dir.lfnChars.indexOf(0);
+                        if (i >= 0) dir.lfnChars.length = i;
+                        dir.lfn = String.fromCharCode(...dir.lfnChars);
+                    }
+                }
+                dir.lfnChars = null;
+            }
+            dir.name = this.getSectorString(vol.sectorDirCache, off + DiskInfo.DIRENT.NAME, 8);
+            let ext = this.getSectorString(vol.sectorDirCache, off + DiskInfo.DIRENT.EXT, 3);
+            if (dir.attr & DiskInfo.ATTR.VOLUME) {
+                dir.name = (dir.name + ext).trim();
+            } else {
+                dir.name = dir.name.trim();
+                ext = ext.trim();
+                if (ext.length) dir.name += '.' + ext;
+            }
+            dir.modDate = this.getSectorData(vol.sectorDirCache, off + DiskInfo.DIRENT.MODDATE, 2);
+            dir.modTime = this.getSectorData(vol.sectorDirCache, off + DiskInfo.DIRENT.MODTIME, 2);
+            dir.size = this.getSectorData(vol.sectorDirCache, off + DiskInfo.DIRENT.SIZE, 4);
+            if (dir.size < 0) {
+                dir.size = 0;
+            }
+            dir.cluster = this.getSectorData(vol.sectorDirCache, off + DiskInfo.DIRENT.CLUSTER, 2);
+            /*
+             * The CLUSTER_HI field of an LFN entry contains filename characters, and its CLUSTER field is always zero.
+             */
+            if (vol.nFATBits == 32 && dir.attr != DiskInfo.ATTR.LFN) {
+                dir.cluster += this.getSectorData(vol.sectorDirCache, off + DiskInfo.DIRENT.CLUSTER_HI, 2) * 0x10000;
+            }
+            dir.aLBA = this.convertClusterToSectors(vol, dir);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * getLFNEntry(sector, off, dir)
+     *
+     * Adds the characters of the long filename (LFN) entry at the given offset of a directory sector to the LFN chain
+     * in the given DirInfo, starting a new chain if the entry is marked as the last entry of a chain (which is always
+     * the first entry of a chain on disk).  The chain is discarded if an entry is out of sequence or its checksum doesn't
+     * match the rest of the chain; getDirEntry() validates the completed chain when it reaches the short entry.
+     *
+     * @this {DiskInfo}
+     * @param {Sector} sector
+     * @param {number} off
+     * @param {DirInfo} dir
+     */
+    getLFNEntry(sector, off, dir)
+    {
+        let b = this.getSectorData(sector, off + DiskInfo.LFN.SEQ, 1);
+        let seq = b & DiskInfo.LFN.SEQ_MASK;
+        let checksum = this.getSectorData(sector, off + DiskInfo.LFN.CHECKSUM, 1);
+        if (b & DiskInfo.LFN.SEQ_LAST) {
+            dir.lfnChars = [];
+            dir.lfnSeq = seq;
+            dir.lfnChecksum = checksum;
+        }
+        if (dir.lfnChars && seq && seq == dir.lfnSeq && checksum == dir.lfnChecksum) {
+            let aChars = [];
+            for (let i = 0; i < DiskInfo.LFN.CHARS; i++) {
+                let offChar = (i < 5? DiskInfo.LFN.NAME1 + i * 2 : (i < 11? DiskInfo.LFN.NAME2 + (i - 5) * 2 : DiskInfo.LFN.NAME3 + (i - 11) * 2));
+                aChars.push(this.getSectorData(sector, off + offChar, 2));
+            }
+            dir.lfnChars = aChars.concat(dir.lfnChars);
+            dir.lfnSeq--;
+        } else {
+            dir.lfnChars = null;
+        }
+    }
+
+    /**
+     * getDirSectors(vol, cluster)
+     *
+     * Returns the sectors of the directory starting at the specified cluster, where cluster 0 refers to the root
+     * directory (which, for FAT12 and FAT16 volumes, occupies a fixed set of sectors preceding the data area).
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {number} cluster
+     * @returns {Array.<number>} of LBAs (logical block addresses)
+     */
+    getDirSectors(vol, cluster)
+    {
+        let aLBA = [];
+        if (!cluster && vol.nFATBits == 32) cluster = vol.clusRoot;
+        if (cluster) {
+            aLBA = this.convertClusterToSectors(vol, /** @type {DirInfo} */ ({name: "\\", cluster}));
+        } else {
+            for (let vba = vol.vbaRoot; vba < vol.vbaData; vba++) aLBA.push(vol.lbaStart + vba);
+        }
+        return aLBA;
+    }
+
+    /**
+     * convertClusterToSectors(vol, dir)
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {DirInfo} dir
+     * @returns {Array.<number>} of LBAs (logical block addresses)
+     */
+    convertClusterToSectors(vol, dir)
+    {
+        let aLBA = [];
+        let cluster = dir.cluster;
+        if (cluster) {
+            do {
+                if (cluster < DiskInfo.FAT12.CLUSNUM_MIN) {
+                    break;
+                }
+                let vba = vol.vbaData + ((cluster - DiskInfo.FAT12.CLUSNUM_MIN) * vol.clusSecs);
+                for (let i = 0; i < vol.clusSecs; i++) {
+                    aLBA.push(vol.lbaStart + vba++);
+                }
+                cluster = this.getClusterEntry(vol, cluster, 0) | this.getClusterEntry(vol, cluster, 1);
+            } while (cluster <= vol.clusMax);
+
+            if (cluster < DiskInfo.FAT12.CLUSNUM_MIN || cluster == vol.clusMax + 1 /* aka CLUSNUM_BAD */) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, "%s warning: %s contains invalid cluster (%d)\n", this.diskName, dir.name, cluster);
+            }
+        }
+        return aLBA;
+    }
+
+    /**
+     * getClusterEntry(vol, cluster, iByte)
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {number} cluster
+     * @param {number} iByte (0 for low byte of cluster entry, 1 for high byte)
+     * @returns {number}
+     */
+    getClusterEntry(vol, cluster, iByte)
+    {
+        let w = 0;
+        let cbitsSector = vol.cbSector * 8;
+        let offBits = vol.nFATBits * cluster + (iByte? 8 : 0);
+        let iSector = (offBits / cbitsSector) | 0;
+        if (!vol.sectorFATCache || !vol.vbaFATCache || vol.vbaFATCache != vol.vbaFAT + iSector) {
+            vol.vbaFATCache = vol.vbaFAT + iSector;
+            vol.sectorFATCache = this.getSector(vol.lbaStart + vol.vbaFATCache);
+        }
+        if (vol.sectorFATCache) {
+            offBits = (offBits % cbitsSector) | 0;
+            let off = (offBits >> 3);
+            w = this.getSectorData(vol.sectorFATCache, off, 1);
+            if (!iByte) {
+                if (offBits & 0x7) w >>= 4;
+            } else {
+                if (vol.nFATBits == 32) {
+                    /*
+                     * FAT32 entries are 4 bytes, so we return the remaining 3 bytes (minus the 4 reserved high bits,
+                     * which must be preserved when writing but ignored when reading).
+                     */
+                    w = (this.getSectorData(vol.sectorFATCache, off, 3) << 8) & 0x0FFFFF00;
+                } else if (vol.nFATBits == 16) {
+                    w <<= 8;
+                } else {
+                    this.assert(vol.nFATBits == 12);
+                    if (offBits & 0x7) {
+                        w <<= 4;
+                    } else {
+                        w = (w & 0xf) << 8;
+                    }
+                }
+            }
+        }
+        return w;
+    }
+
+    /**
+     * setClusterEntry(vol, cluster, value)
+     *
+     * Updates the specified cluster entry in every copy of the FAT.  A 12-bit entry shares a byte with its neighbor
+     * (and that byte may even be the first or last byte of a sector), so we update it one byte at a time, preserving
+     * the neighbor's nibble; similarly, the upper 4 bits of a 32-bit entry are reserved and must be preserved.
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {number} cluster
+     * @param {number} value
+     * @returns {boolean} (true if successful, false otherwise)
+     */
+    setClusterEntry(vol, cluster, value)
+    {
+        let nFATSecs = ((vol.vbaRoot - vol.vbaFAT) / vol.nFATs) | 0;
+        let offEntry = (vol.nFATBits * cluster) >> 3;
+        let cbEntry = (vol.nFATBits + 7) >> 3;
+        if (vol.nFATBits == 32) {
+            value = (value & 0x0FFFFFFF) >>> 0;
+        } else if (vol.nFATBits == 12 && (cluster & 0x1)) {
+            value <<= 4;
+        }
+        for (let iFAT = 0; iFAT < vol.nFATs; iFAT++) {
+            let v = value;
+            for (let i = 0; i < cbEntry; i++) {
+                let off = offEntry + i;
+                let sector = this.getSector(vol.lbaStart + vol.vbaFAT + iFAT * nFATSecs + ((off / vol.cbSector) | 0));
+                if (!sector) return false;
+                off %= vol.cbSector;
+                let b = v & 0xff, bOld = this.getSectorData(sector, off, 1);
+                if (vol.nFATBits == 12) {
+                    if (!i && (cluster & 0x1)) b |= (bOld & 0x0f);
+                    if (i && !(cluster & 0x1)) b |= (bOld & 0xf0);
+                } else if (vol.nFATBits == 32 && i == 3) {
+                    b |= (bOld & 0xf0);
+                }
+                if (!this.write(sector, off, b, true)) return false;
+                v >>>= 8;
+            }
+        }
+        vol.sectorFATCache = null;
+        return true;
+    }
+
+    /**
+     * getCHS(lba)
+     *
+     * @this {DiskInfo}
+     * @param {number} lba (logical block address)
+     * @returns {Array.<number>} [iCylinder, iHead, idSector] (if idSector is zero, the conversion failed)
+     */
+    getCHS(lba)
+    {
+        let iCylinder, iHead = 0, idSector = 0;
+        let nSectorsPerCylinder = this.nHeads * this.nSectors;
+        iCylinder = (lba / nSectorsPerCylinder) | 0;
+        if (iCylinder < this.nCylinders) {
+            let nSectorsRemaining = (lba % nSectorsPerCylinder);
+            iHead = (nSectorsRemaining / this.nSectors) | 0;
+            /*
+             * LBA numbers are 0-based, but the sector numbers in CHS addressing are 1-based, so add 1 to the sector index.
+             */
+            idSector = (nSectorsRemaining % this.nSectors) + 1;
+        }
+        return [iCylinder, iHead, idSector];
+    }
+
+    /**
+     * getSector(lba)
+     *
+     * @this {DiskInfo}
+     * @param {number} lba (logical block address)
+     * @returns {Sector|null} sector
+     */
+    getSector(lba)
+    {
+        let [iCylinder, iHead, idSector] = this.getCHS(lba);
+        return this.seek(iCylinder, iHead, idSector);
+    }
+
+    /**
+     * getSectorArray(file)
+     *
+     * @this {DiskInfo}
+     * @param {FileInfo} [file]
+     * @returns {number} (number of sectors mapped)
+     */
+    getSectorArray(file)
+    {
+        let nSectors = 0;
+        if (this.fileTable.length && (!file || file.size > 0 && !file.aLBA)) {
+            let aDiskData = this.aDiskData, lba = 0;
+            for (let iCylinder = 0; iCylinder < aDiskData.length; iCylinder++) {
+                for (let iHead = 0; iHead < aDiskData[iCylinder].length; iHead++) {
+                    for (let iSector = 0; iSector < aDiskData[iCylinder][iHead].length; iSector++) {
+                        let sector = aDiskData[iCylinder][iHead][iSector];
+                        if (sector) {
+                            let iFile = sector[DiskInfo.SECTOR.FILE_INDEX];
+                            if (iFile != undefined) {
+                                /*
+                                 * When the caller specifies a particular file, it is tempting to do this:
+                                 *
+                                 *      if (file.index === iFile) ...
+                                 *
+                                 * but if we have to scan every sector for a single file, we may as well do ALL files.
+                                 */
+                                let fileCur = this.fileTable[iFile];
+                                this.assert(fileCur);
+                                if (!fileCur.aLBA) fileCur.aLBA = [];
+                                let iLBA = sector[DiskInfo.SECTOR.FILE_OFFSET] / this.cbSector;
+                                /*
+                                 * Disks that have known errors (like the APL-100 disk image we received) can trigger this
+                                 * assertion, so it should be a DEBUG-only check.
+                                 */
+                                if (Device.DEBUG) this.assert(fileCur.aLBA[iLBA] == undefined || fileCur.aLBA[iLBA] == iLBA);
+                                fileCur.aLBA[iLBA] = lba;
+                                if (!file || file.index == iFile) nSectors++;
+                            }
+                        }
+                        lba++;
+                    }
+                }
+            }
+        }
+        return nSectors;
+    }
+
+    /**
+     * getUnusedSector(iVolume, lba)
+     *
+     * @this {DiskInfo}
+     * @param {number} iVolume
+     * @param {number} lba (previous lba from getUnusedSector(), or -1 if none)
+     * @returns {boolean}
+     */
+    getUnusedSector(iVolume, lba)
+    {
+        let lbaNext = -1;
+        if (iVolume < 0) iVolume = 0;
+        if (this.volTable.length && iVolume >= 0 && iVolume < this.volTable.length) {
+            lbaNext = lba + 1;
+            if (!lbaNext) {
+                let vol = this.volTable[iVolume];
+                lbaNext = vol.lbaStart + vol.vbaData;
+            }
+            let sector;
+            while ((sector = this.getSector(lbaNext))) {
+                if (this.getUnusedSectorData(sector) >= 0) break;
+                lbaNext++;
+            }
+            if (!sector) lbaNext = -1;
+        }
+        return lbaNext;
+    }
+
+    /**
+     * getUnusedSectorData(sector)
+     *
+     * @this {DiskInfo}
+     * @param {Sector} sector (presumed to be in the volume data area)
+     * @returns {number} (offset of unused data in sector, or -1 if none)
+     */
+    getUnusedSectorData(sector)
+    {
+        let offset = 0;
+        let iFile = sector[DiskInfo.SECTOR.FILE_INDEX];
+        if (iFile != undefined) {
+            let file = this.fileTable[iFile];
+            if (file) {
+                let offFile = sector[DiskInfo.SECTOR.FILE_OFFSET];
+                offset = file.size - offFile;
+                if (offset >= this.cbSector) offset = -1;
+            }
+        }
+        return offset;
+    }
+
+    /**
+     * recoverFiles(iVolume, fSlack)
+     *
+     * Scans every directory of the specified volume (or of all volumes, if iVolume is -1) for deleted entries, and
+     * reconstructs each deleted file (or directory) as a RecoveredFile, using the same approach as UNDELETE: if the
+     * file's FAT chain is still present and doesn't belong to any other file, the chain is used; otherwise, the file is
+     * presumed to occupy consecutive clusters, starting with its first cluster, skipping any clusters that are in use.
+     * Clusters are considered in use if they are allocated in the FAT or mapped to an existing file (as determined
+     * by getUnusedSectorData()), or if they have already been assigned to another recovered file.
+     *
+     * The first character of a deleted short name is lost, so it is replaced with an underscore, unless the deleted
+     * entry is preceded by deleted LFN entries whose checksum identifies the missing character.
+     *
+     * Deleted directories are scanned as well, as long as their first cluster still appears to contain a directory.
+     *
+     * If fSlack is true, the slack space of every file (ie, the bytes from the end of the file to the end of its last
+     * cluster) is also returned, for any file whose slack space contains non-zero data.
+     *
+     * @this {DiskInfo}
+     * @param {number} [iVolume] (-1 for all volumes)
+     * @param {boolean} [fSlack] (true to include slack space)
+     * @returns {Array.<RecoveredFile>}
+     */
+    recoverFiles(iVolume = -1, fSlack = false)
+    {
+        let aRecovered = [];
+        if (this.buildTables() < 0) return aRecovered;
+        for (let iVol = 0; iVol < this.volTable.length; iVol++) {
+            if (iVolume >= 0 && iVol != iVolume) continue;
+            let vol = this.volTable[iVol];
+            if (!vol.nFATBits) continue;
+            let cbCluster = vol.clusSecs * vol.cbSector;
+            let clusLast = DiskInfo.FAT12.CLUSNUM_MIN + vol.clusTotal - 1;
+            let nEntriesPerSector = (vol.cbSector / DiskInfo.DIRENT.LENGTH) | 0;
+            let aClaimed = [];
+            let getLBA = (cluster) => vol.lbaStart + vol.vbaData + (cluster - DiskInfo.FAT12.CLUSNUM_MIN) * vol.clusSecs;
+            let getNext = (cluster) => this.getClusterEntry(vol, cluster, 0) | this.getClusterEntry(vol, cluster, 1);
+            let isUnused = (cluster) => {
+                if (cluster < DiskInfo.FAT12.CLUSNUM_MIN || cluster > clusLast || aClaimed[cluster]) return false;
+                let sector = this.getSector(getLBA(cluster));
+                return !!sector && !this.getUnusedSectorData(sector);
+            };
+
+            /*
+             * The root directory of a FAT32 volume isn't in the file table, so its clusters must be claimed up front.
+             */
+            for (let cluster = vol.clusRoot || 0; isUnused(cluster); cluster = getNext(cluster)) {
+                aClaimed[cluster] = true;
+            }
+
+            /*
+             * Start with the root directory and every existing subdirectory; any deleted subdirectories that we
+             * recover are added to the end of the list.
+             */
+            let aDirs = [{path: "", aLBA: this.getDirSectors(vol, 0)}];
+            for (let iFile = 0; iFile < this.fileTable.length; iFile++) {
+                let file = this.fileTable[iFile];
+                if (file.iVolume != iVol || !(file.attr & DiskInfo.ATTR.SUBDIR) || file.name == "." || file.name == "..") continue;
+                aDirs.push({path: file.path, aLBA: file.aLBA});
+            }
+
+            for (let iDir = 0; iDir < aDirs.length; iDir++) {
+                let dir = aDirs[iDir];
+                let lfnChars = null, lfnChecksum = -1;
+                for (let iSector = 0; iSector < dir.aLBA.length; iSector++) {
+                    let sector = this.getSector(dir.aLBA[iSector]);
+                    if (!sector) break;
+                    for (let iEntry = 0; iEntry < nEntriesPerSector; iEntry++) {
+                        let off = iEntry * DiskInfo.DIRENT.LENGTH;
+                        let b = this.getSectorData(sector, off, 1);
+                        if (b == DiskInfo.DIRENT.UNUSED) {
+                            iSector = dir.aLBA.length;
+                            break;
+                        }
+                        let attr = this.getSectorData(sector, off + DiskInfo.DIRENT.ATTR, 1);
+                        if (b != DiskInfo.DIRENT.INVALID) {
+                            lfnChars = null;
+                            continue;
+                        }
+                        if (attr == DiskInfo.ATTR.LFN) {
+                            /*
+                             * Deleted LFN entries lose their sequence numbers, so all we can do is collect the characters
+                             * of consecutive entries with the same checksum, in reverse order (see getLFNEntry()).
+                             */
+                            let checksum = this.getSectorData(sector, off + DiskInfo.LFN.CHECKSUM, 1);
+                            if (!lfnChars || checksum != lfnChecksum) {
+                                lfnChars = [];
+                                lfnChecksum = checksum;
+                            }
+                            let aChars = [];
+                            for (let i = 0; i < DiskInfo.LFN.CHARS; i++) {
+                                let offChar = (i < 5? DiskInfo.LFN.NAME1 + i * 2 : (i < 11? DiskInfo.LFN.NAME2 + (i - 5) * 2 : DiskInfo.LFN.NAME3 + (i - 11) * 2));
+                                aChars.push(this.getSectorData(sector, off + offChar, 2));
+                            }
+                            lfnChars = aChars.concat(lfnChars);
+                            continue;
+                        }
+                        let aLFNChars = lfnChars;
+                        lfnChars = null;
+                        let abName = [];
+                        for (let i = 0; i < 11; i++) abName.push(this.read(sector, off + DiskInfo.DIRENT.NAME + i));
+                        /*
+                         * Skip deleted volume labels, as well as entries that were never valid (eg, entries that FORMAT
+                         * filled with 0xE5 bytes, or with 0xE5 followed by zeros), which contain invalid name or attr bits.
+                         */
+                        if ((attr & (DiskInfo.ATTR.VOLUME | 0xC0)) || abName.some((b) => b < 0x20)) continue;
+                        /*
+                         * If there's a deleted LFN, try the first character of the LFN (in upper-case) first, followed by
+                         * every other character that's valid in a short name, looking for one that matches the LFN checksum.
+                         */
+                        let lfn = null;
+                        abName[0] = 0x5F;       // '_'
+                        if (aLFNChars) {
+                            let i = aLFNChars.indexOf(0);
+                            if (i >= 0) aLFNChars.length = i;
+                            let sLFN = String.fromCharCode(...aLFNChars);
+                            let sChars = sLFN.charAt(0).toUpperCase() + "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!#$%&'()-@^_`{}~";
+                            for (i = 0; i < sChars.length; i++) {
+                                let abTry = [sChars.charCodeAt(i)].concat(abName.slice(1));
+                                if (this.calcLFNChecksum(abTry) == lfnChecksum) {
+                                    abName = abTry;
+                                    lfn = sLFN;
+                                    break;
+                                }
+                            }
+                        }
+                        let name = String.fromCharCode(...abName.slice(0, 8)).trim();
+                        let ext = String.fromCharCode(...abName.slice(8)).trim();
+                        if (ext) name += '.' + ext;
+                        let modDate = this.getSectorData(sector, off + DiskInfo.DIRENT.MODDATE, 2);
+                        let modTime = this.getSectorData(sector, off + DiskInfo.DIRENT.MODTIME, 2);
+                        let size = this.getSectorData(sector, off + DiskInfo.DIRENT.SIZE, 4) >>> 0;
+                        let cluster = this.getSectorData(sector, off + DiskInfo.DIRENT.CLUSTER, 2);
+                        if (vol.nFATBits == 32) {
+                            cluster += this.getSectorData(sector, off + DiskInfo.DIRENT.CLUSTER_HI, 2) * 0x10000;
+                        }
+                        let path = dir.path + "\\" + name;
+                        let date = this.getDate((modDate >> 9) + 1980, ((modDate >> 5) & 0xf) - 1, (modDate & 0x1f), (modTime >> 11), (modTime >> 5) & 0x3f, (modTime & 0x1f) << 1, this.diskName + ":" + path);
+                        let fDir = !!(attr & DiskInfo.ATTR.SUBDIR);
+                        if (fDir) size = 0;
+                        /*
+                         * Directory entries don't record the size of a directory, so unless its FAT chain is still intact,
+                         * we recover only its first cluster.
+                         */
+                        let nClusters = fDir? 1 : Math.ceil(size / cbCluster);
+                        let aClusters = [];
+                        let status;
+                        if (!fDir && !size) {
+                            status = DiskInfo.RECOVER.EMPTY;
+                        } else if (!isUnused(cluster)) {
+                            status = DiskInfo.RECOVER.OVERWRITTEN;
+                        } else if (getNext(cluster) != DiskInfo.FAT12.CLUSNUM_FREE) {
+                            let clusterNext = cluster;
+                            while (isUnused(clusterNext) && aClusters.indexOf(clusterNext) < 0 && (fDir || aClusters.length < nClusters)) {
+                                aClusters.push(clusterNext);
+                                clusterNext = getNext(clusterNext);
+                            }
+                            status = (fDir || aClusters.length == nClusters)? DiskInfo.RECOVER.CHAIN : DiskInfo.RECOVER.PARTIAL;
+                        } else {
+                            let fSkipped = false;
+                            for (let clusterNext = cluster; aClusters.length < nClusters && clusterNext <= clusLast; clusterNext++) {
+                                if (isUnused(clusterNext) && getNext(clusterNext) == DiskInfo.FAT12.CLUSNUM_FREE) {
+                                    aClusters.push(clusterNext);
+                                } else {
+                                    fSkipped = true;
+                                }
+                            }
+                            status = aClusters.length < nClusters? DiskInfo.RECOVER.PARTIAL : (fSkipped? DiskInfo.RECOVER.FRAGMENTED : DiskInfo.RECOVER.CONTIGUOUS);
+                        }
+                        let aLBA = [];
+                        for (let i = 0; i < aClusters.length; i++) {
+                            aClaimed[aClusters[i]] = true;
+                            for (let j = 0, lba = getLBA(aClusters[i]); j < vol.clusSecs; j++) aLBA.push(lba + j);
+                        }
+                        aRecovered.push({iVolume: iVol, path, name, lfn, attr, date, size, cluster, aLBA, offset: 0, status});
+                        if (fDir && aLBA.length) {
+                            let sectorDir = this.getSector(aLBA[0]);
+                            if (sectorDir && this.getSectorString(sectorDir, DiskInfo.DIRENT.NAME, 8).trim() == ".") {
+                                aDirs.push({path, aLBA});
+                            }
+                        }
+                    }
+                }
+            }
+
+            /*
+             * Slack space begins at the end of each file's data and extends to the end of the file's last cluster.
+             */
+            for (let iFile = 0; fSlack && iFile < this.fileTable.length; iFile++) {
+                let file = this.fileTable[iFile];
+                if (file.iVolume != iVol || (file.attr & (DiskInfo.ATTR.SUBDIR | DiskInfo.ATTR.VOLUME)) || !file.aLBA) continue;
+                let iLBA = (file.size / vol.cbSector) | 0;
+                let offset = file.size % vol.cbSector;
+                let aLBA = file.aLBA.slice(iLBA);
+                let ab = this.readRecoveredFile({aLBA, offset, size: aLBA.length * vol.cbSector - offset});
+                if (ab.some((b) => b != 0)) {
+                    aRecovered.push({iVolume: iVol, path: file.path, name: file.name, lfn: file.lfn || null, attr: file.attr, date: file.date, size: ab.length, cluster: 0, aLBA, offset, status: DiskInfo.RECOVER.SLACK});
+                }
+            }
+        }
+        return aRecovered;
+    }
+
+    /**
+     * readRecoveredFile(file)
+     *
+     * Returns the data of a file returned by recoverFiles(); the data may be shorter than the file's size if not
+     * all of its clusters could be recovered.
+     *
+     * @this {DiskInfo}
+     * @param {RecoveredFile|Object} file
+     * @returns {Array.<number>}
+     */
+    readRecoveredFile(file)
+    {
+        let ab = [];
+        let off = file.offset || 0;
+        for (let iLBA = 0; iLBA < file.aLBA.length && ab.length < file.size; iLBA++) {
+            let sector = this.getSector(file.aLBA[iLBA]);
+            if (!sector) break;
+            let cbSector = sector[DiskInfo.SECTOR.LENGTH];
+            for (; off < cbSector && ab.length < file.size; off++) {
+                let b = this.read(sector, off);
+                if (b < 0) return ab;
+                ab.push(b);
+            }
+            off = 0;
+        }
+        return ab;
+    }
+
+    /**
+     * readSectorArray(file, ab)
+     *
+     * @this {DiskInfo}
+     * @param {FileInfo} file
+     * @param {Array.<number>} ab
+     * @returns {number} (number of bytes read)
+     */
+    readSectorArray(file, ab)
+    {
+        let iLBA = 0, ib = 0;
+        let cbRemain = ab.length;
+        if (!file.aLBA) this.getSectorArray(file);
+        if (file.aLBA) {
+            while (cbRemain > 0 && iLBA >= 0 && iLBA < file.aLBA.length) {
+                let sector = this.getSector(file.aLBA[iLBA++]);
+                if (!sector) break;
+                let cbSector = sector[DiskInfo.SECTOR.LENGTH];
+                let cbRead = cbRemain > cbSector? cbSector : cbRemain;
+                for (let i = 0; i < cbRead; i++) {
+                    let b = this.read(sector, i);
+                    if (b < 0) {
+                        iLBA = -1;
+                        break;
+                    }
+                    ab[ib++] = b;
+                    cbRemain--;
+                }
+            }
+        }
+        return ab.length - cbRemain;
+    }
+
+    /**
+     * getSectorData(sector, off, len)
+     *
+     * WARNING: This function is restricted to reading data contained ENTIRELY within the specified sector.
+     *
+     * NOTE: Yes, this function is not the most efficient way to read a byte/word/dword value from within a sector,
+     * but given the different states a sector may be in, it's certainly the simplest and safest, and since this is
+     * only used by buildTables() and its progeny, it's not clear that we need to be superfast anyway.
+     *
+     * @this {DiskInfo}
+     * @param {Sector} sector
+     * @param {number} off (byte offset)
+     * @param {number} len (1 to 4 bytes)
+     * @returns {number}
+     */
+    getSectorData(sector, off, len)
+    {
+        let dw = 0;
+        let nShift = 0;
+        this.assert(len > 0 && len <= 4);
+        while (len--) {
+            this.assert(off < sector[DiskInfo.SECTOR.LENGTH]);
+            let b = this.read(sector, off++);
+            this.assert(b >= 0);
+            if (b < 0) break;
+            dw |= (b << nShift);
+            nShift += 8;
+        }
+        return dw;
+    }
+
+    /**
+     * getSectorString(sector, off, len)
+     *
+     * WARNING: This function is restricted to reading a string contained ENTIRELY within the specified sector.
+     *
+     * @this {DiskInfo}
+     * @param {Sector} sector
+     * @param {number} off (byte offset)
+     * @param {number} len (use -1 to read a null-terminated string)
+     * @returns {string}
+     */
+    getSectorString(sector, off, len)
+    {
+        let s = "";
+        while (len--) {
+            let b = this.read(sector, off++);
+            if (b <= 0) break;
+            s += String.fromCharCode(b);
+        }
+        return s;
+    }
+
+    /**
+     * updateSector(iFile, off, lba)
+     *
+     * Like getSector(), this must convert a LBA into CHS values; consider factoring that conversion code out.
+     *
+     * @this {DiskInfo}
+     * @param {number} iFile
+     * @param {number} off (file offset corresponding to the given LBA of the given file)
+     * @param {number} lba (logical block address from the file's aLBA)
+     * @returns {boolean} true if successfully updated, false if not
+     */
+    updateSector(iFile, off, lba)
+    {
+        let cylinder, head, sector;
+        let [iCylinder, iHead, idSector] = this.getCHS(lba);
+        if ((cylinder = this.aDiskData[iCylinder]) && (head = cylinder[iHead]) && (sector = head[idSector - 1])) {
+            let file = this.fileTable[iFile];
+            if (sector[DiskInfo.SECTOR.ID] != idSector) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, "warning: %d:%d:%d has non-standard sector ID %d; see file %s\n", iCylinder, iHead, idSector, sector[DiskInfo.SECTOR.ID], file.path);
+            }
+            if (sector[DiskInfo.SECTOR.FILE_INDEX] != undefined) {
+                let filePrev = this.fileTable[sector[DiskInfo.SECTOR.FILE_INDEX]];
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, 'warning: "%s" cross-linked at offset %d with "%s" at offset %d\n', filePrev.path, sector[DiskInfo.SECTOR.FILE_OFFSET], file.path, off);
+                return false;
+            }
+            sector[DiskInfo.SECTOR.FILE_INDEX] = iFile;
+            sector[DiskInfo.SECTOR.FILE_OFFSET] = off;
+            return true;
+        }
+        this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: unable to map LBA %d to CHS\n", this.diskName, lba);
+        return false;
+    }
+
+    /**
+     * buildSector(iCylinder, iHead, idSector, cbSector, db, ib)
+     *
+     * Builds a Sector object with the following properties (see DiskInfo.SECTOR for complete list):
+     *
+     *      Property    Description                     Deprecated
+     *      'c':        cylinder number (0-based)       ('cylinder')
+     *      'h':        head number (0-based)           ('head')
+     *      's':        sector ID                       ('sector')
+     *      'l':        size of the sector, in bytes    ('length')
+     *      'd':        array of dwords                 ('data')
+     *
+     * NOTE: The 'pattern' property is no longer used; if the sector ends with a repeated 32-bit pattern,
+     * we now store that pattern as the last 'd' (data) array value and shrink the array.
+     *
+     * @this {DiskInfo}
+     * @param {number} iCylinder
+     * @param {number} iHead
+     * @param {number} idSector
+     * @param {number} cbSector
+     * @param {DataBuffer} [db]
+     * @param {number} [ib]
+     * @returns {Sector}
+     */
+    buildSector(iCylinder, iHead, idSector, cbSector, db, ib = 0)
+    {
+        let adw = [];
+        let cdw = cbSector >> 2;
+        for (let idw = 0; idw < cdw; idw++, ib += 4) {
+            adw[idw] = db && ib < db.length? db.readInt32LE(ib) : 0;
+        }
+        let sector = /** @type {Sector} */ ({
+            [DiskInfo.SECTOR.CYLINDER]: iCylinder,
+            [DiskInfo.SECTOR.HEAD]:     iHead,
+            [DiskInfo.SECTOR.ID]:       idSector,
+            [DiskInfo.SECTOR.LENGTH]:   cbSector,
+            [DiskInfo.SECTOR.DATA]:     adw
+        });
+        return this.initSector(sector, adw, cbSector, 0);
     }
 
     /**
-     * getModuleInfo(sModule, nSegment)
+     * rebuildSector(iCylinder, iHead, sector)
      *
-     * If the given module and segment number is found, we return an Array of symbol offsets, indexed by symbol name.
+     * Builds a Sector object with the following properties (see DiskInfo.SECTOR for complete list):
+     *
+     *      Property    Description                     Deprecated
+     *      'c':        cylinder number (0-based)       ('cylinder')
+     *      'h':        head number (0-based)           ('head')
+     *      's':        sector ID                       ('sector')
+     *      'l':        size of the sector, in bytes    ('length')
+     *      'd':        array of dwords                 ('data')
+     *
+     * NOTE: The 'pattern' property is no longer stored in JSON images; if the sector ends with a repeated
+     * 32-bit pattern, we now store that pattern as the last 'd' array value and shrink the array.
+     *
+     * However, IF the JSON data comes directly from the Disk component, which still uses 'pattern' internally,
+     * we will honor it, and fill out any partial sector with the given pattern, instead of assuming we should
+     * use the last 'd' value.
      *
      * @this {DiskInfo}
-     * @param {string} sModule
-     * @param {number} nSegment
-     * @returns {Object}
+     * @param {number} iCylinder
+     * @param {number} iHead
+     * @param {Object} sector
+     * @returns {Sector}
      */
-    getModuleInfo(sModule, nSegment)
+    rebuildSector(iCylinder, iHead, sector)
     {
-        let aSymbols = {};
-        for (let iFile = 0; iFile < this.fileTable.length; iFile++) {
-            let file = this.fileTable[iFile];
-            if (file.sModule != sModule) continue;
-            let segment = file.aSegments[nSegment];
-            if (!segment) continue;
-            for (let iOrdinal in segment.entries) {
-                let entry = segment.entries[iOrdinal];
-                /*
-                 * entry[1] is the symbol name, which becomes the index, and entry[0] is the offset.
-                 */
-                aSymbols[entry[1]] = entry[0];
+        if (sector[DiskInfo.SECTOR.CYLINDER] != undefined) {
+            this.assert(sector[DiskInfo.SECTOR.CYLINDER] == iCylinder);
+            delete sector[DiskInfo.SECTOR.CYLINDER];
+        }
+
+        if (sector[DiskInfo.SECTOR.HEAD] != undefined) {
+            this.assert(sector[DiskInfo.SECTOR.HEAD] == iHead);
+            delete sector[DiskInfo.SECTOR.HEAD];
+        }
+
+        let dwPattern = sector['pattern'];
+        delete sector['pattern'];
+
+        let idSector = sector[DiskInfo.SECTOR.ID];
+        if (idSector != undefined) {
+            delete sector[DiskInfo.SECTOR.ID];
+        } else {
+            dwPattern |= 0;
+            idSector = sector['sector'];
+            delete sector['sector'];
+        }
+
+        let cbSector = sector[DiskInfo.SECTOR.LENGTH];
+        if (cbSector != undefined) {
+            delete sector[DiskInfo.SECTOR.LENGTH];
+        } else {
+            cbSector = sector['length'] || 512;
+            delete sector['length'];
+        }
+
+        let adw = sector[DiskInfo.SECTOR.DATA];
+        if (adw) {
+            this.assert(adw.length);
+            delete sector[DiskInfo.SECTOR.DATA];
+        } else {
+            adw = sector['data'];
+            if (!adw) {
+                adw = [];
+            } else {
+                delete sector['data'];
             }
-            break;
         }
-        return aSymbols;
+
+        sector[DiskInfo.SECTOR.CYLINDER] = iCylinder;
+        sector[DiskInfo.SECTOR.HEAD] = iHead;
+        sector[DiskInfo.SECTOR.ID] = idSector;
+        sector[DiskInfo.SECTOR.LENGTH] = cbSector;
+        sector[DiskInfo.SECTOR.DATA] = adw;
+
+        return this.initSector(sector, adw, cbSector, dwPattern);
     }
 
     /**
-     * getSymbolInfo(sSymbol)
-     *
-     * For all whole or partial symbol matches, return them in an Array of entries:
-     *
-     *      [symbol, file name, segment number, segment offset, segment size].
-     *
-     * TODO: This function has many limitations (ie, slow, case-sensitive), but it gets the job done for now.
+     * initSector(sector, adw, cbSector, dwPattern)
      *
      * @this {DiskInfo}
-     * @param {string} sSymbol
-     * @returns {Array}
+     * @param {Sector} sector
+     * @param {Array.<number>} adw
+     * @param {number} cbSector
+     * @param {number} [dwPattern] (undefined for new JSON disk images, because they simply store any final repeating value as the last DATA value)
+     * @returns {Sector}
      */
-    getSymbolInfo(sSymbol)
+    initSector(sector, adw, cbSector, dwPattern)
     {
-        let aInfo = [];
-        let sSymbolUpper = sSymbol.toUpperCase();
-        for (let iFile = 0; iFile < this.fileTable.length; iFile++) {
-            let file = this.fileTable[iFile];
-            for (let iSegment in file.aSegments) {
-                let segment = file.aSegments[iSegment];
-                for (let iOrdinal in segment.entries) {
-                    let entry = segment.entries[iOrdinal];
-                    if (entry[1] && entry[1].indexOf(sSymbolUpper) >= 0) {
-                        aInfo.push([entry[1], file.name, iSegment, entry[0], segment.offEnd - segment.offStart]);
-                    }
+        let cdw = cbSector >> 2;
+        let dwPrev = null, cPrev = 0;
+        for (let idw = 0; idw < cdw; idw++) {
+            let dw = adw[idw];
+            if (dw == undefined) {
+                if (dwPattern != undefined) {
+                    dw = dwPattern;
+                } else {
+                    dw = adw[adw.length-1];
+                    this.assert(dw != undefined);
                 }
+                adw[idw] = dw;
+            }
+            if (dwPrev === dw) {
+                cPrev++;
+            } else {
+                dwPrev = dw;
+                cPrev = 0;
             }
         }
-        return aInfo;
+        adw.length -= cPrev;
+        /*
+         * To be backward-compatible with the checksumming logic used with older JSON disk images (where
+         * any ending pattern was stored in a separate 'pattern' property and omitted from the 'data' array),
+         * we must omit the final data value from *our* checksum as well, but only if it's the final value
+         * in a less-than-full sector.
+         */
+        cdw = adw.length < cdw? adw.length - 1 : adw.length;
+        let dwChecksum = 0;
+        for (let idw = 0; idw < cdw; idw++) {
+            dwChecksum = (dwChecksum + adw[idw]) & (0xffffffff|0);
+        }
+        this.dwChecksum = (this.dwChecksum + dwChecksum) & (0xffffffff|0);
+        if (this.fWritable) {
+            /*
+             * If this disk is writable (ie, will be loaded into a machine with a read/write drive),
+             * then we also maintain the following information on a per-sector basis, as sectors are modified:
+             *
+             *      iModify:    index of first modified dword in sector
+             *      cModify:    number of modified dwords in sector
+             */
+            sector.iModify = sector.cModify = 0;
+        }
+        return sector;
     }
 
     /**
-     * getDate(year, month, day, hour, minute, second, sFile)
+     * getData(dbDisk, fLegacy)
      *
      * @this {DiskInfo}
-     * @param {number} year
-     * @param {number} month
-     * @param {number} day
-     * @param {number} hour
-     * @param {number} minute
-     * @param {number} second
-     * @param {number} sFile
-     * @returns {Date} (UTC date corresponding to the given date/time parameters)
+     * @param {DataBuffer} dbDisk
+     * @param {boolean} [fLegacy]
+     * @returns {boolean} (true if successful, false if error)
      */
-    getDate(year, month, day, hour, minute, second, sFile)
+    getData(dbDisk, fLegacy)
     {
-        let errors = 0;
-        let y = year, m = month, d = day, h = hour, n = minute, s = second;
-        if (m < 0) {
-            m = 0;
-        }
-        if (m > 11) {
-            m = 11;
-            errors++;
-        }
-        if (d < 1) {
-            d = 1;
-        }
-        if (d > 31) {
-            d = 31;
-            errors++;
-        }
-        if (h > 23) {
-            h = 23;
-            errors++;
-        }
-        if (n > 59) {
-            n = 59;
-            errors++;
-        }
-        if (s > 59) {
-            s = 59;
-            errors++;
-        }
-        if (errors) {
-            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, "%s warning: invalid timestamp: %04d-%02d-%02d %02d:%02d:%02d\n", sFile, year, month, day, hour, minute, second);
+        if (this.aDiskData) {
+            let ib = 0;
+            let aDiskData = this.aDiskData;
+            for (let iCylinder = 0; iCylinder < aDiskData.length; iCylinder++) {
+                for (let iHead = 0; iHead < aDiskData[iCylinder].length; iHead++) {
+                    /*
+                     * Raw images have no sector IDs, so any sectors recorded with an interleave (eg, from an IMD image)
+                     * must be written in sector ID order.
+                     */
+                    let track = aDiskData[iCylinder][iHead].slice().sort((a, b) => (a && b? a[DiskInfo.SECTOR.ID] - b[DiskInfo.SECTOR.ID] : 0));
+                    for (let iSector = 0; iSector < track.length; iSector++) {
+                        let sector = track[iSector];
+                        if (sector) {
+                            let n = sector[DiskInfo.SECTOR.LENGTH];
+                            for (let i = 0; i < n; i++) {
+                                let b = this.read(sector, i);
+                                this.assert(b >= 0);
+                                dbDisk.writeUInt8(b, ib++);
+                            }
+                        }
+                    }
+                }
+            }
+            if (this.abOrigBPB.length && fLegacy) {
+                let off = this.abOrigBPB.shift();
+                for (let i = DiskInfo.BPB.OPCODE; i < DiskInfo.BPB.LARGESECS+4; i++) {
+                    dbDisk.writeUInt8(this.abOrigBPB[i - DiskInfo.BPB.OPCODE], off + i);
+                }
+            }
+            this.assert(ib == dbDisk.length);
+            return true;
         }
-        return this.device.parseDate(y, m, d, h, n, s);
+        return false;
     }
 
     /**
-     * getDir(vol, aLBA, dir, path)
+     * getPSI()
      *
-     * @this {DiskInfo}
-     * @param {VolInfo} vol
-     * @param {Array.<number>} aLBA
-     * @param {DirInfo} [dir]
-     * @param {string} [path]
+     * Returns the disk image as a PSI (PCE Sector Image) file, the inverse of buildDiskFromPSI().  The file consists of
+     * a PSI header chunk, followed by a SECT chunk for every sector (in the order they appear on each track, so any sector
+     * ID and interleave oddities are preserved), each followed by a DATA chunk (unless the sector can be described by a
+     * single fill byte), and finally an END chunk.
+     *
+     * Sectors with a DATA_ERROR have the SECT "data CRC error" flag set, and sectors with a HEAD_ERROR or a deleted
+     * DATA_MARK also get an IBMM (IBM MFM sector header) chunk describing those conditions.  Sectors with a DATA_WEAK
+     * mask get a WEAK chunk as well (any DATA_VARIANTS have no PSI equivalent, so only the sector's own data is written).
+     *
+     * @this {DiskInfo}
+     * @returns {Array.<number>|null} (array of bytes, or null if there's no disk data)
      */
-    getDir(vol, aLBA, dir = {}, path = "")
+    getPSI()
     {
-        let file;
-        let iStart = this.fileTable.length;
-        let nEntriesPerSector = (vol.cbSector / DiskInfo.DIRENT.LENGTH) | 0;
-
-        dir.path = path + "\\";
+        if (!this.aDiskData) return null;
 
-        if (Device.DEBUG) this.printf(Device.MESSAGE.DISK, 'getDir("%s","%s")\n', this.diskName, dir.path);
+        let CHUNK_PSI  = 0x50534920;
+        let CHUNK_END  = 0x454e4420;
+        let CHUNK_SECT = 0x53454354;
+        let CHUNK_IBMM = 0x49424d4d;
+        let CHUNK_DATA = 0x44415441;
+        let CHUNK_WEAK = 0x5745414b;
 
-        for (let iSector = 0; iSector < aLBA.length; iSector++) {
-            let lba = aLBA[iSector];
-            for (let iEntry = 0; iEntry < nEntriesPerSector; iEntry++) {
-                if (!this.getDirEntry(vol, dir, lba, iEntry)) {
-                    iSector = aLBA.length;
-                    break;
+        let abPSI = [];
+        let putBytes = function(ab, v, len) {
+            while (len--) ab.push((v >>> (len * 8)) & 0xff);
+        };
+        let putChunk = function(chunkID, abData) {
+            let offChunk = abPSI.length;
+            putBytes(abPSI, chunkID, 4);
+            putBytes(abPSI, abData.length, 4);
+            for (let i = 0; i < abData.length; i++) abPSI.push(abData[i]);
+            let crc = 0;
+            for (let i = offChunk; i < abPSI.length; i++) {
+                crc ^= abPSI[i] << 24;
+                for (let j = 0; j < 8; j++) {
+                    if (crc & 0x80000000) {
+                        crc = (crc << 1) ^ 0x1edc6f41;
+                    } else {
+                        crc = crc << 1;
+                    }
                 }
-                if (dir.name == null) continue;
-                if (dir.attr == DiskInfo.ATTR.LFN) continue;
-                let path = dir.path + dir.name;
-                let dateMod = this.getDate(
-                    (dir.modDate >> 9) + 1980,
-                    ((dir.modDate >> 5) & 0xf) - 1,
-                    (dir.modDate & 0x1f),
-                    (dir.modTime >> 11),
-                    (dir.modTime >> 5) & 0x3f,
-                    (dir.modTime & 0x1f) << 1,
-                    this.diskName + ":" + path
-                );
-                file = new FileInfo(this, vol.iVolume, path, dir.name, dir.attr, dateMod, dir.size, dir.cluster, dir.aLBA);
-                file.index = this.fileTable.length;
-                this.fileTable.push(file);
             }
-        }
-
-        let iEnd = this.fileTable.length;
+            putBytes(abPSI, crc, 4);
+        };
 
-        for (let i = iStart; i < iEnd; i++) {
-            file = this.fileTable[i];
-            if ((file.attr & DiskInfo.ATTR.SUBDIR) && file.aLBA.length && file.name != "." && file.name != "..") {
-                this.getDir(vol, file.aLBA, dir, path + "\\" + file.name);
+        /*
+         * The default sector format is IBM MFM, either DD (0x0200) or HD (0x0201), based on the size of the first track.
+         */
+        let cbTrack = this.nSectors * this.cbSector;
+        let abHeader = [];
+        putBytes(abHeader, 0, 2);
+        putBytes(abHeader, cbTrack > 9 * 1024? 0x0201 : 0x0200, 2);
+        putChunk(CHUNK_PSI, abHeader);
+
+        let aDiskData = this.aDiskData;
+        for (let iCylinder = 0; iCylinder < aDiskData.length; iCylinder++) {
+            for (let iHead = 0; iHead < aDiskData[iCylinder].length; iHead++) {
+                for (let iSector = 0; iSector < aDiskData[iCylinder][iHead].length; iSector++) {
+                    let sector = aDiskData[iCylinder][iHead][iSector];
+                    if (!sector) continue;
+                    let idSector = sector[DiskInfo.SECTOR.ID];
+                    let cbSector = sector[DiskInfo.SECTOR.LENGTH];
+                    let abData = [], fPattern = true;
+                    for (let i = 0; i < cbSector; i++) {
+                        let b = this.read(sector, i);
+                        this.assert(b >= 0);
+                        abData.push(b);
+                        if (b != abData[0]) fPattern = false;
+                    }
+                    let flags = (fPattern? 0x01 : 0) | (sector[DiskInfo.SECTOR.DATA_ERROR]? 0x04 : 0);
+                    let abSect = [];
+                    putBytes(abSect, iCylinder, 2);
+                    putBytes(abSect, iHead, 1);
+                    putBytes(abSect, idSector, 1);
+                    putBytes(abSect, cbSector, 2);
+                    putBytes(abSect, flags, 1);
+                    putBytes(abSect, fPattern? abData[0] : 0, 1);
+                    putChunk(CHUNK_SECT, abSect);
+                    let fDeleted = (sector[DiskInfo.SECTOR.DATA_MARK] == 0xF8);
+                    if (sector[DiskInfo.SECTOR.HEAD_ERROR] || fDeleted) {
+                        let sizeCode = 0;
+                        while ((128 << sizeCode) < cbSector) sizeCode++;
+                        let bFlags = (sector[DiskInfo.SECTOR.HEAD_ERROR]? 0x01 : 0) | (sector[DiskInfo.SECTOR.DATA_ERROR]? 0x02 : 0) | (fDeleted? 0x04 : 0);
+                        putChunk(CHUNK_IBMM, [iCylinder, iHead, idSector, sizeCode, bFlags, 0]);
+                    }
+                    if (!fPattern) putChunk(CHUNK_DATA, abData);
+                    let adwWeak = sector[DiskInfo.SECTOR.DATA_WEAK];
+                    if (adwWeak && adwWeak.length) {
+                        let abWeak = [];
+                        for (let i = 0; i < cbSector; i++) {
+                            let dw = adwWeak[Math.min(i >> 2, adwWeak.length - 1)];
+                            abWeak.push((dw >> ((i & 0x3) << 3)) & 0xff);
+                        }
+                        putChunk(CHUNK_WEAK, abWeak);
+                    }
+                }
             }
         }
+        putChunk(CHUNK_END, []);
+        return abPSI;
     }
 
     /**
-     * getDirEntry(vol, dir, lba, i)
-     *
-     * This sets the following properties on the 'dir' object:
-     *
-     *      name (null if invalid/deleted entry)
-     *      attr
-     *      modDate
-     *      modTime
-     *      size
-     *      cluster
-     *      aLBA (ie, array of logical block addresses)
-     *
-     * On return, it's the caller's responsibility to copy out any data into a new object
-     * if it wants to preserve any of the above information.
-     *
-     * This function also caches the following properties in the 'dir' object:
+     * getVHD(dbDisk, fDynamic)
      *
-     *      lbaDirCache (of the last directory sector read, if any)
-     *      sectorDirCache (of the last directory sector read, if any)
-     *
-     * Also, the caller must also set the following 'dir' helper properties, so that clusters
-     * can be located and converted to sectors (see convertClusterToSectors):
+     * Returns the disk image as a VHD file, the inverse of buildDiskFromVHD(); the caller must provide the disk's raw data
+     * (see getData()).  A fixed VHD is simply that data followed by a footer, whereas a dynamic VHD omits any blocks that
+     * contain nothing but zeros.
      *
-     *      vbaFAT
-     *      vbaData
-     *      cbSector
-     *      clusMax
-     *      clusSecs
-     *      nFATBits
+     * NOTE: The footer records the disk's actual geometry, rather than whatever geometry the VHD specification's algorithm
+     * would produce for the disk's size, so that the disk's CHS values survive the round trip (and so that the disk can be
+     * matched with the correct drive type when it's loaded into a machine).
      *
      * @this {DiskInfo}
-     * @param {VolInfo} vol
-     * @param {DirInfo} dir (to be filled in)
-     * @param {number} lba (a sector of the directory)
-     * @param {number} i (an entry in the directory sector, 0-based)
-     * @returns {boolean} true if entry was returned (even if invalid/deleted), false if no more entries
+     * @param {DataBuffer} dbDisk (raw disk data)
+     * @param {boolean} [fDynamic] (true to create a dynamic VHD; default is fixed)
+     * @returns {DataBuffer}
      */
-    getDirEntry(vol, dir, lba, i)
+    getVHD(dbDisk, fDynamic = false)
     {
-        if (!vol.sectorDirCache || !vol.lbaDirCache || vol.lbaDirCache != lba) {
-            vol.lbaDirCache = lba;
-            vol.sectorDirCache = this.getSector(vol.lbaDirCache);
-            // if (Device.DEBUG) this.printf(Device.MESSAGE.DISK, this.dumpSector(vol.sectorDirCache, vol.lbaDirCache, dir.path));
+        let FOOTER = DiskInfo.VHD.FOOTER, HEADER = DiskInfo.VHD.HEADER;
+        let cbData = dbDisk.length;
+        let putSize = (db, off, cb) => {
+            db.writeUInt32BE(Math.floor(cb / 0x100000000), off);
+            db.writeUInt32BE(cb >>> 0, off + 4);
+        };
+
+        let dbFooter = dbDisk.slice(0, 0);
+        dbFooter.new(FOOTER.LENGTH);
+        dbFooter.write(DiskInfo.VHD.FOOTER_COOKIE, FOOTER.COOKIE);
+        dbFooter.writeUInt32BE(0x00000002, FOOTER.FEATURES);
+        dbFooter.writeUInt32BE(0x00010000, FOOTER.VERSION);
+        if (fDynamic) {
+            putSize(dbFooter, FOOTER.DATA_OFFSET, FOOTER.LENGTH);
+        } else {
+            dbFooter.fill(0xff, FOOTER.DATA_OFFSET, FOOTER.DATA_OFFSET + 8);
         }
-        if (vol.sectorDirCache) {
-            let off = i * DiskInfo.DIRENT.LENGTH;
-            let b = this.getSectorData(vol.sectorDirCache, off, 1);
-            if (b == DiskInfo.DIRENT.UNUSED) {
-                return false;
-            }
-            if (b == DiskInfo.DIRENT.INVALID) {
-                dir.name = null;
-                return true;
-            }
-            dir.attr = this.getSectorData(vol.sectorDirCache, off + DiskInfo.DIRENT.ATTR, 1);
-            dir.name = this.getSectorString(vol.sectorDirCache, off + DiskInfo.DIRENT.NAME, 8);
-            let ext = this.getSectorString(vol.sectorDirCache, off + DiskInfo.DIRENT.EXT, 3);
-            if (dir.attr & DiskInfo.ATTR.VOLUME) {
-                dir.name = (dir.name + ext).trim();
-            } else {
-                dir.name = dir.name.trim();
-                ext = ext.trim();
-                if (ext.length) dir.name += '.' + ext;
-            }
-            dir.modDate = this.getSectorData(vol.sectorDirCache, off + DiskInfo.DIRENT.MODDATE, 2);
-            dir.modTime = this.getSectorData(vol.sectorDirCache, off + DiskInfo.DIRENT.MODTIME, 2);
-            dir.size = this.getSectorData(vol.sectorDirCache, off + DiskInfo.DIRENT.SIZE, 4);
-            if (dir.size < 0) {
-                dir.size = 0;
+        dbFooter.writeUInt32BE(Math.max(0, Math.floor(Date.now() / 1000) - DiskInfo.VHD.TIMESTAMP_BASE), FOOTER.TIMESTAMP);
+        dbFooter.write("pcjs", FOOTER.CREATOR_APP);
+        dbFooter.writeUInt32BE(0x00010000, FOOTER.CREATOR_VER);
+        dbFooter.write("Wi2k", FOOTER.CREATOR_OS);
+        putSize(dbFooter, FOOTER.ORIG_SIZE, cbData);
+        putSize(dbFooter, FOOTER.CURR_SIZE, cbData);
+        let nCylinders = Math.min(this.nCylinders, 0xffff);
+        dbFooter.writeUInt8(nCylinders >> 8, FOOTER.CYLINDERS);
+        dbFooter.writeUInt8(nCylinders & 0xff, FOOTER.CYLINDERS + 1);
+        dbFooter.writeUInt8(Math.min(this.nHeads, 0xff), FOOTER.HEADS);
+        dbFooter.writeUInt8(Math.min(this.nSectors, 0xff), FOOTER.SECTORS);
+        dbFooter.writeUInt32BE(fDynamic? DiskInfo.VHD.TYPE.DYNAMIC : DiskInfo.VHD.TYPE.FIXED, FOOTER.DISK_TYPE);
+        for (let i = 0; i < 16; i++) {
+            let b = (Math.random() * 256) | 0;
+            if (i == 6) b = (b & 0x0f) | 0x40;          // version 4 (random) UUID
+            if (i == 8) b = (b & 0x3f) | 0x80;          // variant 1 UUID
+            dbFooter.writeUInt8(b, FOOTER.UUID + i);
+        }
+        dbFooter.writeUInt32BE(this.getVHDChecksum(dbFooter, 0, FOOTER.LENGTH, FOOTER.CHECKSUM), FOOTER.CHECKSUM);
+
+        let dbVHD = dbDisk.slice(0, 0);
+        if (!fDynamic) {
+            dbVHD.new(cbData + FOOTER.LENGTH);
+            dbDisk.copy(dbVHD, 0);
+            dbFooter.copy(dbVHD, cbData);
+            return dbVHD;
+        }
+
+        /*
+         * For a dynamic VHD, we first determine which blocks contain any non-zero data, so that we know how large
+         * the file must be; the layout is: footer copy, dynamic disk header, BAT (padded to a sector boundary), blocks
+         * (each preceded by a 1-sector bitmap, since a 2Mb block contains 4096 sectors), and finally the footer.
+         */
+        let cbBlock = DiskInfo.VHD.BLOCK_SIZE, cbBitmap = 512;
+        let nEntries = Math.ceil(cbData / cbBlock);
+        let aBlocks = [];
+        for (let iBlock = 0; iBlock < nEntries; iBlock++) {
+            let offEnd = Math.min((iBlock + 1) * cbBlock, cbData);
+            for (let off = iBlock * cbBlock; off < offEnd; off += 4) {
+                if (dbDisk.readInt32LE(off)) {
+                    aBlocks.push(iBlock);
+                    break;
+                }
             }
-            dir.cluster = this.getSectorData(vol.sectorDirCache, off + DiskInfo.DIRENT.CLUSTER, 2);
-            dir.aLBA = this.convertClusterToSectors(vol, dir);
-            return true;
         }
-        return false;
+        let offBAT = FOOTER.LENGTH + HEADER.LENGTH;
+        let offBlocks = offBAT + Math.ceil(nEntries * 4 / 512) * 512;
+        dbVHD.new(offBlocks + aBlocks.length * (cbBitmap + cbBlock) + FOOTER.LENGTH);
+        dbFooter.copy(dbVHD, 0);
+
+        let offHeader = FOOTER.LENGTH;
+        dbVHD.write(DiskInfo.VHD.HEADER_COOKIE, offHeader + HEADER.COOKIE);
+        dbVHD.fill(0xff, offHeader + HEADER.DATA_OFFSET, offHeader + HEADER.DATA_OFFSET + 8);
+        putSize(dbVHD, offHeader + HEADER.TABLE_OFFSET, offBAT);
+        dbVHD.writeUInt32BE(0x00010000, offHeader + HEADER.VERSION);
+        dbVHD.writeUInt32BE(nEntries, offHeader + HEADER.MAX_ENTRIES);
+        dbVHD.writeUInt32BE(cbBlock, offHeader + HEADER.BLOCK_SIZE);
+        dbVHD.writeUInt32BE(this.getVHDChecksum(dbVHD, offHeader, HEADER.LENGTH, HEADER.CHECKSUM), offHeader + HEADER.CHECKSUM);
+
+        dbVHD.fill(0xff, offBAT, offBlocks);
+        let off = offBlocks;
+        for (let i = 0; i < aBlocks.length; i++) {
+            let iBlock = aBlocks[i];
+            dbVHD.writeUInt32BE(off / 512, offBAT + iBlock * 4);
+            dbVHD.fill(0xff, off, off + cbBitmap);
+            off += cbBitmap;
+            dbDisk.slice(iBlock * cbBlock, Math.min((iBlock + 1) * cbBlock, cbData)).copy(dbVHD, off);
+            off += cbBlock;
+        }
+        dbFooter.copy(dbVHD, off);
+        return dbVHD;
     }
 
     /**
-     * convertClusterToSectors(vol, dir)
+     * getJSON(fnHash, fLegacy, indent)
+     *
+     * If a disk image contains a recognized volume type (eg, FAT12, FAT16), we now prefer to produce an
+     * "extended" JSON image, which will include a volume table (of volume descriptors), a file table (of
+     * file descriptors), and sector-level "metadata" which, for every used sector, refers back to a file
+     * in the file table (along with a file offset).
+     *
+     * To create a "legacy" JSON image, without any "extended" information, set fLegacy to true.
      *
      * @this {DiskInfo}
-     * @param {VolInfo} vol
-     * @param {DirInfo} dir
-     * @returns {Array.<number>} of LBAs (logical block addresses)
+     * @param {function(Array,string)} [fnHash]
+     * @param {boolean} [fLegacy] (must be explicitly set to true to generate a "legacy" JSON disk image)
+     * @param {number} [indent] (indentation is not recommended, due to significant bloat)
+     * @returns {string}
      */
-    convertClusterToSectors(vol, dir)
+    getJSON(fnHash, fLegacy = false, indent = 0)
     {
-        let aLBA = [];
-        let cluster = dir.cluster;
-        if (cluster) {
-            do {
-                if (cluster < DiskInfo.FAT12.CLUSNUM_MIN) {
-                    break;
+        let volTable, fileTable;
+        if (!fLegacy) {
+            if (this.buildTables(this.fromJSON) >= 0) {
+                for (let iVolume = 0; iVolume < this.volTable.length; iVolume++) {
+                    if (!volTable) volTable = [];
+                    volTable.push(this.getVolDesc(this.volTable[iVolume]));
                 }
-                let vba = vol.vbaData + ((cluster - DiskInfo.FAT12.CLUSNUM_MIN) * vol.clusSecs);
-                for (let i = 0; i < vol.clusSecs; i++) {
-                    aLBA.push(vol.lbaStart + vba++);
+                for (let iFile = 0; iFile < this.fileTable.length; iFile++) {
+                    let file = this.fileTable[iFile];
+                    /*
+                     * We can't skip any "." and ".." entries without adjusting file indexes, so let's not.
+                     *
+                     *      if (file.name == "." || file.name == "..") continue;
+                     */
+                    let desc = this.getFileDesc(file, false, fnHash);
+                    // let indentDesc = desc[DiskInfo.FILEDESC.MODULE]? 4 : 0;
+                    if (!fileTable) fileTable = [];
+                    fileTable.push(JSON.stringify(desc, null, 0));
                 }
-                cluster = this.getClusterEntry(vol, cluster, 0) | this.getClusterEntry(vol, cluster, 1);
-            } while (cluster <= vol.clusMax);
-
-            if (cluster < DiskInfo.FAT12.CLUSNUM_MIN || cluster == vol.clusMax + 1 /* aka CLUSNUM_BAD */) {
-                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, "%s warning: %s contains invalid cluster (%d)\n", this.diskName, dir.name, cluster);
             }
+        } else {
+            this.deleteTables();
         }
-        return aLBA;
+        let imageInfo = {
+            [DiskInfo.IMAGE.TYPE]: DiskInfo.TYPE.CHS,
+            [DiskInfo.IMAGE.NAME]: this.diskName,
+            [DiskInfo.IMAGE.FORMAT]: this.getFormat(),
+            [DiskInfo.IMAGE.HASH]: this.hash,
+            [DiskInfo.IMAGE.CHECKSUM]: this.dwChecksum,
+            [DiskInfo.IMAGE.CYLINDERS]: this.nCylinders,
+            [DiskInfo.IMAGE.HEADS]: this.nHeads,
+            [DiskInfo.IMAGE.TRACKDEF]: this.nSectors,
+            [DiskInfo.IMAGE.SECTORDEF]: this.cbSector,
+            [DiskInfo.IMAGE.DISKSIZE]: this.cbDiskData,
+            [DiskInfo.IMAGE.ORIGBPB]: JSON.stringify(this.abOrigBPB),
+            [DiskInfo.IMAGE.VERSION]: Device.VERSION,
+            [DiskInfo.IMAGE.REPOSITORY]: Device.REPOSITORY,
+            // [DiskInfo.IMAGE.COMMAND]: this.args,
+        };
+        if (!this.fBPBModified) {
+            delete imageInfo[DiskInfo.IMAGE.ORIGBPB];
+        }
+        let sImageInfo = JSON.stringify(imageInfo, null, indent + 2);
+        let sVolTable, sFileTable;
+        if (volTable) {
+            sVolTable = JSON.stringify(volTable, null, indent + 2);
+        }
+        if (fileTable) {
+            sFileTable = '';
+            fileTable.forEach((desc) => {
+                if (sFileTable) sFileTable += ',\n';
+                sFileTable += '  ' + desc;
+            });
+            sFileTable = '[\n' + sFileTable + '\n]';
+        }
+        let sDiskData = JSON.stringify(this.aDiskData, null, indent);
+        let sImageData = "{\n\"" + DiskInfo.DESC.IMAGE + "\": " + sImageInfo + ",\n\"" + (sVolTable? DiskInfo.DESC.VOLUMES + "\": " + sVolTable + ",\n\"" : "") + (sFileTable? DiskInfo.DESC.FILES + "\": " + sFileTable + ",\n\"" : "") + DiskInfo.DESC.DISKDATA + "\":" + sDiskData + "\n}";
+        return sImageData;
     }
 
     /**
-     * getClusterEntry(vol, cluster, iByte)
+     * findFile(name, text)
      *
      * @this {DiskInfo}
-     * @param {VolInfo} vol
-     * @param {number} cluster
-     * @param {number} iByte (0 for low byte of cluster entry, 1 for high byte)
-     * @returns {number}
+     * @param {string} name
+     * @param {string} [text]
+     * @return {Object|null}
      */
-    getClusterEntry(vol, cluster, iByte)
+    findFile(name)
     {
-        let w = 0;
-        let cbitsSector = vol.cbSector * 8;
-        let offBits = vol.nFATBits * cluster + (iByte? 8 : 0);
-        let iSector = (offBits / cbitsSector) | 0;
-        if (!vol.sectorFATCache || !vol.vbaFATCache || vol.vbaFATCache != vol.vbaFAT + iSector) {
-            vol.vbaFATCache = vol.vbaFAT + iSector;
-            vol.sectorFATCache = this.getSector(vol.lbaStart + vol.vbaFATCache);
-        }
-        if (vol.sectorFATCache) {
-            offBits = (offBits % cbitsSector) | 0;
-            let off = (offBits >> 3);
-            w = this.getSectorData(vol.sectorFATCache, off, 1);
-            if (!iByte) {
-                if (offBits & 0x7) w >>= 4;
-            } else {
-                if (vol.nFATBits == 16) {
-                    w <<= 8;
-                } else {
-                    this.assert(vol.nFATBits == 12);
-                    if (offBits & 0x7) {
-                        w <<= 4;
-                    } else {
-                        w = (w & 0xf) << 8;
+        let desc = null;
+        if (this.buildTables() > 0) {
+            name = name.toUpperCase();
+            if (this.fileTable) {
+                for (let i = 0; i < this.fileTable.length; i++) {
+                    let file = this.fileTable[i];
+                    if (name == file.name) {
+                        desc = this.getFileDesc(file, true);
+                        break;
                     }
                 }
             }
         }
-        return w;
+        return desc;
     }
 
     /**
-     * getCHS(lba)
+     * getChecksum()
      *
-     * @this {DiskInfo}
-     * @param {number} lba (logical block address)
-     * @returns {Array.<number>} [iCylinder, iHead, idSector] (if idSector is zero, the conversion failed)
-     */
-    getCHS(lba)
-    {
-        let iCylinder, iHead = 0, idSector = 0;
-        let nSectorsPerCylinder = this.nHeads * this.nSectors;
-        iCylinder = (lba / nSectorsPerCylinder) | 0;
-        if (iCylinder < this.nCylinders) {
-            let nSectorsRemaining = (lba % nSectorsPerCylinder);
-            iHead = (nSectorsRemaining / this.nSectors) | 0;
-            /*
-             * LBA numbers are 0-based, but the sector numbers in CHS addressing are 1-based, so add 1 to the sector index.
-             */
-            idSector = (nSectorsRemaining % this.nSectors) + 1;
-        }
-        return [iCylinder, iHead, idSector];
-    }
-
-    /**
-     * getSector(lba)
+     * NOTE: As noted in initSector(), our checksums are somewhat constrained by compatibility with previous JSON formats;
+     * in particular, for sectors that end with a repeating value, only the DATA values up to but NOT including that final
+     * repeating value are checksummed.
+     *
+     * Technically, the checksums we calculated for older JSON formats should have repeatedly summed their 'pattern' value
+     * as well.  But they didn't.  And I would like to avoid checksum warnings for anyone loading the new JSON format for the
+     * first time, due to an old checksum stored in their browser's local storage.  The warnings aren't fatal, but they do
+     * cause any saved machine state to be discarded, since the validity of a machine state is predicated on all the original
+     * inputs (including the original diskette images) matching the current inputs.  And while it's unfortunate that our
+     * checksums didn't (and still don't) sum the entire image, the limited purpose that they serve is still satisfied.
+     *
+     * TODO: Add a new "full" checksum property to DiskInfo that checksums the entire disk image, including repeated values,
+     * along with an option to return the "full" checksum here.
      *
      * @this {DiskInfo}
-     * @param {number} lba (logical block address)
-     * @returns {Sector|null} sector
+     * @returns {number}
      */
-    getSector(lba)
+    getChecksum()
     {
-        let [iCylinder, iHead, idSector] = this.getCHS(lba);
-        return this.seek(iCylinder, iHead, idSector);
+        return this.dwChecksum;
     }
 
     /**
-     * getSectorArray(file)
+     * getFormat()
+     *
+     * For disks that match a standard "PC" disk geometry AND contain 1 or more FAT volumes,
+     * this returns a "PCxxxK" string; otherwise, it returns "Unknown".  Additionally, if any
+     * sector contains a non-standard "marker", eg:
+     *
+     *      dataCRC
+     *      dataError
+     *      dataMark
+     *      headCRC
+     *      headError
+     *      dataVariants
+     *      dataWeak
+     *
+     * or a non-standard sector ID, then the string will be flagged with an asterisk (eg, "PC360K*",
+     * "Unknown*", etc.)
      *
      * @this {DiskInfo}
-     * @param {FileInfo} [file]
-     * @returns {number} (number of sectors mapped)
+     * @returns {string}
      */
-    getSectorArray(file)
+    getFormat()
     {
-        let nSectors = 0;
-        if (this.fileTable.length && (!file || file.size > 0 && !file.aLBA)) {
-            let aDiskData = this.aDiskData, lba = 0;
-            for (let iCylinder = 0; iCylinder < aDiskData.length; iCylinder++) {
-                for (let iHead = 0; iHead < aDiskData[iCylinder].length; iHead++) {
-                    for (let iSector = 0; iSector < aDiskData[iCylinder][iHead].length; iSector++) {
+        let flags = "";
+        let sFormat = "Unknown";
+        let markers = [
+            DiskInfo.SECTOR.DATA_CRC,
+            DiskInfo.SECTOR.DATA_ERROR,
+            DiskInfo.SECTOR.DATA_MARK,
+            DiskInfo.SECTOR.HEAD_CRC,
+            DiskInfo.SECTOR.HEAD_ERROR,
+            DiskInfo.SECTOR.TRACK_MODE,
+            DiskInfo.SECTOR.DATA_VARIANTS,
+            DiskInfo.SECTOR.DATA_WEAK
+        ];
+        if (this.aDiskData) {
+            let aDiskData = this.aDiskData;
+            for (let iCylinder = 0; iCylinder < aDiskData.length && !flags; iCylinder++) {
+                for (let iHead = 0; iHead < aDiskData[iCylinder].length && !flags; iHead++) {
+                    for (let iSector = 0; iSector < aDiskData[iCylinder][iHead].length && !flags; iSector++) {
                         let sector = aDiskData[iCylinder][iHead][iSector];
                         if (sector) {
-                            let iFile = sector[DiskInfo.SECTOR.FILE_INDEX];
-                            if (iFile != undefined) {
-                                /*
-                                 * When the caller specifies a particular file, it is tempting to do this:
-                                 *
-                                 *      if (file.index === iFile) ...
-                                 *
-                                 * but if we have to scan every sector for a single file, we may as well do ALL files.
-                                 */
-                                let fileCur = this.fileTable[iFile];
-                                this.assert(fileCur);
-                                if (!fileCur.aLBA) fileCur.aLBA = [];
-                                let iLBA = sector[DiskInfo.SECTOR.FILE_OFFSET] / this.cbSector;
-                                /*
-                                 * Disks that have known errors (like the APL-100 disk image we received) can trigger this
-                                 * assertion, so it should be a DEBUG-only check.
-                                 */
-                                if (Device.DEBUG) this.assert(fileCur.aLBA[iLBA] == undefined || fileCur.aLBA[iLBA] == iLBA);
-                                fileCur.aLBA[iLBA] = lba;
-                                if (!file || file.index == iFile) nSectors++;
+                            if (+sector[DiskInfo.SECTOR.ID] != iSector + 1) {
+                                flags = "*";
+                                break;
+                            }
+                            for (let marker in markers) {
+                                if (sector[markers[marker]] !== undefined) {
+                                    flags = "*";
+                                    break;
+                                }
                             }
                         }
-                        lba++;
                     }
                 }
             }
+            if (this.volTable.length) {
+                sFormat = "PC" + Math.round(this.cbDiskData / 1024) + "K";
+            }
         }
-        return nSectors;
+        return sFormat + flags;
     }
 
     /**
-     * getUnusedSector(iVolume, lba)
+     * getName()
      *
      * @this {DiskInfo}
-     * @param {number} iVolume
-     * @param {number} lba (previous lba from getUnusedSector(), or -1 if none)
-     * @returns {boolean}
+     * @returns {string}
      */
-    getUnusedSector(iVolume, lba)
+    getName()
     {
-        let lbaNext = -1;
-        if (iVolume < 0) iVolume = 0;
-        if (this.volTable.length && iVolume >= 0 && iVolume < this.volTable.length) {
-            lbaNext = lba + 1;
-            if (!lbaNext) {
-                let vol = this.volTable[iVolume];
-                lbaNext = vol.lbaStart + vol.vbaData;
-            }
-            let sector;
-            while ((sector = this.getSector(lbaNext))) {
-                if (this.getUnusedSectorData(sector) >= 0) break;
-                lbaNext++;
-            }
-            if (!sector) lbaNext = -1;
-        }
-        return lbaNext;
+        return this.diskName.replace(/\.[a-z][a-z0-9]*$/i, "");
     }
 
     /**
-     * getUnusedSectorData(sector)
+     * setName(name)
+     *
+     * A disk image file name is normally associated with the DiskInfo when it's created (see the constructor), and it
+     * doesn't normally change.  However, there are cases where the disk was created from a set of files, and so the default
+     * name isn't particularly meaningful or appropriate, so we let the caller update the name as needed.
      *
      * @this {DiskInfo}
-     * @param {Sector} sector (presumed to be in the volume data area)
-     * @returns {number} (offset of unused data in sector, or -1 if none)
+     * @param {string} name
      */
-    getUnusedSectorData(sector)
+    setName(name)
     {
-        let offset = 0;
-        let iFile = sector[DiskInfo.SECTOR.FILE_INDEX];
-        if (iFile != undefined) {
-            let file = this.fileTable[iFile];
-            if (file) {
-                let offFile = sector[DiskInfo.SECTOR.FILE_OFFSET];
-                offset = file.size - offFile;
-                if (offset >= this.cbSector) offset = -1;
-            }
-        }
-        return offset;
+        if (name) this.diskName = name;
     }
 
     /**
-     * readSectorArray(file, ab)
+     * getNewestDate(fExecutable)
+     *
+     * Looks through the dates of all the specified files and returns the newest date found, if any.
      *
      * @this {DiskInfo}
-     * @param {FileInfo} file
-     * @param {Array.<number>} ab
-     * @returns {number} (number of bytes read)
+     * @param {boolean} [fExecutable] (true for executable files only, false for all files)
+     * @returns {Date|undefined}
      */
-    readSectorArray(file, ab)
+    getNewestDate(fExecutable)
     {
-        let iLBA = 0, ib = 0;
-        let cbRemain = ab.length;
-        if (!file.aLBA) this.getSectorArray(file);
-        if (file.aLBA) {
-            while (cbRemain > 0 && iLBA >= 0 && iLBA < file.aLBA.length) {
-                let sector = this.getSector(file.aLBA[iLBA++]);
-                if (!sector) break;
-                let cbSector = sector[DiskInfo.SECTOR.LENGTH];
-                let cbRead = cbRemain > cbSector? cbSector : cbRemain;
-                for (let i = 0; i < cbRead; i++) {
-                    let b = this.read(sector, i);
-                    if (b < 0) {
-                        iLBA = -1;
-                        break;
-                    }
-                    ab[ib++] = b;
-                    cbRemain--;
-                }
+        let date;
+        for (let i = 0; i < this.fileTable.length; i++) {
+            let file = this.fileTable[i];
+            if (!fExecutable || file.name.indexOf(".COM") > 0 || file.name.indexOf(".EXE") > 0) {
+                if (!date || date.getTime() < file.date.getTime()) date = file.date;
             }
         }
-        return ab.length - cbRemain;
+        return date;
     }
 
     /**
-     * getSectorData(sector, off, len)
-     *
-     * WARNING: This function is restricted to reading data contained ENTIRELY within the specified sector.
-     *
-     * NOTE: Yes, this function is not the most efficient way to read a byte/word/dword value from within a sector,
-     * but given the different states a sector may be in, it's certainly the simplest and safest, and since this is
-     * only used by buildTables() and its progeny, it's not clear that we need to be superfast anyway.
+     * getSize()
      *
      * @this {DiskInfo}
-     * @param {Sector} sector
-     * @param {number} off (byte offset)
-     * @param {number} len (1 to 4 bytes)
-     * @returns {number}
+     * @returns {number|undefined}
      */
-    getSectorData(sector, off, len)
+    getSize()
     {
-        let dw = 0;
-        let nShift = 0;
-        this.assert(len > 0 && len <= 4);
-        while (len--) {
-            this.assert(off < sector[DiskInfo.SECTOR.LENGTH]);
-            let b = this.read(sector, off++);
-            this.assert(b >= 0);
-            if (b < 0) break;
-            dw |= (b << nShift);
-            nShift += 8;
-        }
-        return dw;
+        return this.cbDiskData;
     }
 
     /**
-     * getSectorString(sector, off, len)
-     *
-     * WARNING: This function is restricted to reading a string contained ENTIRELY within the specified sector.
+     * setArgs(args)
      *
-     * @this {DiskInfo}
-     * @param {Sector} sector
-     * @param {number} off (byte offset)
-     * @param {number} len (use -1 to read a null-terminated string)
-     * @returns {string}
-     */
-    getSectorString(sector, off, len)
-    {
-        let s = "";
-        while (len--) {
-            let b = this.read(sector, off++);
-            if (b <= 0) break;
-            s += String.fromCharCode(b);
-        }
-        return s;
+     * @this {DiskInfo}
+     * @param {string} args
+     */
+    setArgs(args)
+    {
+        this.args = args;
     }
 
     /**
-     * updateSector(iFile, off, lba)
-     *
-     * Like getSector(), this must convert a LBA into CHS values; consider factoring that conversion code out.
+     * parseSuppData()
      *
      * @this {DiskInfo}
-     * @param {number} iFile
-     * @param {number} off (file offset corresponding to the given LBA of the given file)
-     * @param {number} lba (logical block address from the file's aLBA)
-     * @returns {boolean} true if successfully updated, false if not
+     * @param {string} suppData
+     * @returns {Object}
      */
-    updateSector(iFile, off, lba)
+    parseSuppData(suppData)
     {
-        let cylinder, head, sector;
-        let [iCylinder, iHead, idSector] = this.getCHS(lba);
-        if ((cylinder = this.aDiskData[iCylinder]) && (head = cylinder[iHead]) && (sector = head[idSector - 1])) {
-            let file = this.fileTable[iFile];
-            if (sector[DiskInfo.SECTOR.ID] != idSector) {
-                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, "warning: %d:%d:%d has non-standard sector ID %d; see file %s\n", iCylinder, iHead, idSector, sector[DiskInfo.SECTOR.ID], file.path);
-            }
-            if (sector[DiskInfo.SECTOR.FILE_INDEX] != undefined) {
-                let filePrev = this.fileTable[sector[DiskInfo.SECTOR.FILE_INDEX]];
-                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, 'warning: "%s" cross-linked at offset %d with "%s" at offset %d\n', filePrev.path, sector[DiskInfo.SECTOR.FILE_OFFSET], file.path, off);
-                return false;
+        let suppObj = {};
+        if (suppData) {
+            let aSuppData = suppData.split(/[ \t]*MFM Sector\s*\n/);
+            for (let i = 1; i < aSuppData.length; i++) {
+                let metaData = aSuppData[i].match(/Sector ID:([0-9]+)[\s\S]*?Track ID:([0-9]+)[\s\S]*?Side ID:([0-9]+)[\s\S]*?Size:([0-9]+)[\s\S]*?DataMark:0x([0-9A-F]+)[\s\S]*?Head CRC:0x([0-9A-F]+)\s+\(([^)]*)\)[\s\S]*?Data CRC:0x([0-9A-F]+)\s+\(([^)]*)\)/);
+                if (metaData) {
+                    let data = [];
+                    let sectorID = +metaData[1];
+                    let trackID = +metaData[2];
+                    let headID = +metaData[3];
+                    let length = +metaData[4];
+                    let dataMark = parseInt(metaData[5], 16);
+                    let headCRC = parseInt(metaData[6], 16);
+                    let headError = (metaData[7] != "Ok");
+                    let dataCRC = parseInt(metaData[8], 16)
+                    let dataError = (metaData[9] != "BAD CRC!"? 0 : -1);
+                    let matchData, reData = /([0-9A-F]+)\|([^|]*)\|/g;
+                    while ((matchData = reData.exec(aSuppData[i]))) {
+                        let shift = 0, dw = 0;
+                        let matchByte, reByte = /\s+([0-9A-F]+)/g;
+                        while ((matchByte = reByte.exec(matchData[2]))) {
+                            dw |= parseInt(matchByte[1], 16) << shift;
+                            shift += 8;
+                            if (shift == 32) {
+                                data.push(dw);
+                                shift = dw = 0;
+                            }
+                        }
+                        if (shift) data.push(dw);
+                    }
+                    if (!suppObj[trackID]) suppObj[trackID] = {};
+                    if (!suppObj[trackID][headID]) suppObj[trackID][headID] = [];
+                    let sector = {sectorID, length, dataMark, headCRC, headError, dataCRC, dataError, data};
+                    suppObj[trackID][headID].push(sector);
+                }
             }
-            sector[DiskInfo.SECTOR.FILE_INDEX] = iFile;
-            sector[DiskInfo.SECTOR.FILE_OFFSET] = off;
-            return true;
         }
-        this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: unable to map LBA %d to CHS\n", this.diskName, lba);
-        return false;
+        return suppObj;
     }
 
     /**
-     * buildSector(iCylinder, iHead, idSector, cbSector, db, ib)
-     *
-     * Builds a Sector object with the following properties (see DiskInfo.SECTOR for complete list):
-     *
-     *      Property    Description                     Deprecated
-     *      'c':        cylinder number (0-based)       ('cylinder')
-     *      'h':        head number (0-based)           ('head')
-     *      's':        sector ID                       ('sector')
-     *      'l':        size of the sector, in bytes    ('length')
-     *      'd':        array of dwords                 ('data')
-     *
-     * NOTE: The 'pattern' property is no longer used; if the sector ends with a repeated 32-bit pattern,
-     * we now store that pattern as the last 'd' (data) array value and shrink the array.
+     * read(sector, iByte, fCompare)
      *
      * @this {DiskInfo}
-     * @param {number} iCylinder
-     * @param {number} iHead
-     * @param {number} idSector
-     * @param {number} cbSector
-     * @param {DataBuffer} [db]
-     * @param {number} [ib]
-     * @returns {Sector}
+     * @param {Sector} sector (returned from a previous seek)
+     * @param {number} iByte (byte index within the given sector)
+     * @param {boolean} [fCompare] is true if this write-compare read
+     * @returns {number} the specified (unsigned) byte, or -1 if no more data in the sector
      */
-    buildSector(iCylinder, iHead, idSector, cbSector, db, ib = 0)
+    read(sector, iByte, fCompare)
     {
-        let adw = [];
-        let cdw = cbSector >> 2;
-        for (let idw = 0; idw < cdw; idw++, ib += 4) {
-            adw[idw] = db && ib < db.length? db.readInt32LE(ib) : 0;
+        let b = -1;
+        if (sector) {
+            if (Device.DEBUG && !iByte && !fCompare) {
+                this.printf(Device.MESSAGE.DISK, 'read("%s",CHS=%d:%d:%d)\n', this.diskName, sector[DiskInfo.SECTOR.CYLINDER], sector[DiskInfo.SECTOR.HEAD], sector[DiskInfo.SECTOR.ID]);
+            }
+            if (iByte < sector[DiskInfo.SECTOR.LENGTH]) {
+                let adw = sector[DiskInfo.SECTOR.DATA];
+                let idw = iByte >> 2;
+                let dw = (idw < adw.length? adw[idw] : adw[adw.length-1]);
+                b = ((dw >> ((iByte & 0x3) << 3)) & 0xff);
+            }
         }
-        let sector = /** @type {Sector} */ ({
-            [DiskInfo.SECTOR.CYLINDER]: iCylinder,
-            [DiskInfo.SECTOR.HEAD]:     iHead,
-            [DiskInfo.SECTOR.ID]:       idSector,
-            [DiskInfo.SECTOR.LENGTH]:   cbSector,
-            [DiskInfo.SECTOR.DATA]:     adw
-        });
-        return this.initSector(sector, adw, cbSector, 0);
+        return b;
     }
 
     /**
-     * rebuildSector(iCylinder, iHead, sector)
-     *
-     * Builds a Sector object with the following properties (see DiskInfo.SECTOR for complete list):
-     *
-     *      Property    Description                     Deprecated
-     *      'c':        cylinder number (0-based)       ('cylinder')
-     *      'h':        head number (0-based)           ('head')
-     *      's':        sector ID                       ('sector')
-     *      'l':        size of the sector, in bytes    ('length')
-     *      'd':        array of dwords                 ('data')
+     * seek(iCylinder, iHead, idSector, sectorPrev, done)
      *
-     * NOTE: The 'pattern' property is no longer stored in JSON images; if the sector ends with a repeated
-     * 32-bit pattern, we now store that pattern as the last 'd' array value and shrink the array.
+     * TODO: There's some dodgy code in seek() that allows floppy images to be dynamically
+     * reconfigured with more heads and/or sectors/track, and it does so by peeking at more drive
+     * properties.  That code used to be in the FDC component, where it was perfectly reasonable
+     * to access those properties.  We need a cleaner interface back to the drive, similar to the
+     * info() interface we provide to the controller.
      *
-     * However, IF the JSON data comes directly from the Disk component, which still uses 'pattern' internally,
-     * we will honor it, and fill out any partial sector with the given pattern, instead of assuming we should
-     * use the last 'd' value.
+     * Whether or not the "dynamic reconfiguration" feature itself is perfectly reasonable is,
+     * of course, a separate question.
      *
      * @this {DiskInfo}
      * @param {number} iCylinder
      * @param {number} iHead
-     * @param {Object} sector
-     * @returns {Sector}
+     * @param {number} idSector
+     * @param {Sector|null} [sectorPrev]
+     * @param {function(Sector,boolean)} [done]
+     * @returns {Sector|null} is the requested sector, or null if not found (or not available yet)
      */
-    rebuildSector(iCylinder, iHead, sector)
+    seek(iCylinder, iHead, idSector, sectorPrev, done)
     {
-        if (sector[DiskInfo.SECTOR.CYLINDER] != undefined) {
-            this.assert(sector[DiskInfo.SECTOR.CYLINDER] == iCylinder);
-            delete sector[DiskInfo.SECTOR.CYLINDER];
-        }
-
-        if (sector[DiskInfo.SECTOR.HEAD] != undefined) {
-            this.assert(sector[DiskInfo.SECTOR.HEAD] == iHead);
-            delete sector[DiskInfo.SECTOR.HEAD];
-        }
-
-        let dwPattern = sector['pattern'];
-        delete sector['pattern'];
-
-        let idSector = sector[DiskInfo.SECTOR.ID];
-        if (idSector != undefined) {
-            delete sector[DiskInfo.SECTOR.ID];
-        } else {
-            dwPattern |= 0;
-            idSector = sector['sector'];
-            delete sector['sector'];
-        }
-
-        let cbSector = sector[DiskInfo.SECTOR.LENGTH];
-        if (cbSector != undefined) {
-            delete sector[DiskInfo.SECTOR.LENGTH];
-        } else {
-            cbSector = sector['length'] || 512;
-            delete sector['length'];
-        }
-
-        let adw = sector[DiskInfo.SECTOR.DATA];
-        if (adw) {
-            this.assert(adw.length);
-            delete sector[DiskInfo.SECTOR.DATA];
-        } else {
-            adw = sector['data'];
-            if (!adw) {
-                adw = [];
-            } else {
-                delete sector['data'];
+        let sector = null;
+        let drive = this.drive;
+        let cylinder = this.aDiskData[iCylinder];
+        if (cylinder) {
+            let i;
+            let track = cylinder[iHead];
+            /*
+             * The following code allows a single-sided diskette image to be reformatted (ie, "expanded")
+             * as a double-sided image, provided the drive has more than one head (see drive.nHeads).
+             *
+             * NOTE: Strangely, we must ignore the number of drive heads both here and in doFormat(); otherwise,
+             * PC DOS 1.10 "FORMAT /1" will fail.  Even though "/1" means format as a single-sided diskette, FORMAT
+             * still attempts to format the first track with head 1.
+             */
+            if (!track && drive && drive.bFormatting && iHead < 2 /* drive.nHeads */) {
+                track = new Array(drive.bSectorEnd);
+                for (i = 0; i < track.length; i++) {
+                    track[i] = this.buildSector(iCylinder, iHead, i + 1, drive.nBytes);
+                }
+                /*
+                 * TODO: This is more dodginess, because we can't be certain that every cylinder on the disk
+                 * will receive the same "expanded" treatment, but functions like getSector() rely on instance
+                 * properties (eg, this.nHeads), on the assumption that the disk's geometry is homogeneous.
+                 */
+                if (iHead < drive.nHeads) {
+                    cylinder[iHead] = track;
+                    this.nHeads = iHead + 1;
+                }
+            }
+            if (track) {
+                for (i = 0; i < track.length; i++) {
+                    if (track[i] && track[i][DiskInfo.SECTOR.ID] == idSector) {
+                        sector = track[i];
+                        /*
+                         * When confronted with a series of sectors with the same sector ID (as found, for example, on
+                         * the 1984 King's Quest copy-protected diskette), we're supposed to advance to another sector in
+                         * the series.  So if the current sector matches the previous sector, we'll peek at the next sector
+                         * (if any), and if it has the same sector ID, then we'll choose that sector instead.
+                         */
+                        if (sectorPrev && sectorPrev == sector) {
+                            let j = i, sectorNext;
+                            while (true) {
+                                if (++j >= track.length) j = 0;
+                                sectorNext = track[j];
+                                if (sectorNext == sector) break;
+                                if (sectorNext[DiskInfo.SECTOR.ID] == idSector) {
+                                    sector = sectorNext;
+                                    i = j;
+                                    break;
+                                }
+                            }
+                        }
+                        break;
+                    }
+                }
+                /*
+                 * The following code allows an 8-sector track to be reformatted (ie, "expanded") as a 9-sector track.
+                 */
+                if (!sector && drive && drive.bFormatting && drive.bSector == 9) {
+                    sector = track[i] = this.buildSector(iCylinder, iHead, drive.bSector, drive.nBytes);
+                    /*
+                     * TODO: This is more dodginess, because we can't be certain that every track on the disk
+                     * will receive the same "expanded" treatment, but functions like getSector() rely on instance
+                     * properties (eg, this.nSectors), on the assumption that the disk's geometry is homogeneous.
+                     */
+                    if (this.nSectors < drive.bSector) this.nSectors = drive.bSector;
+                }
             }
         }
-
-        sector[DiskInfo.SECTOR.CYLINDER] = iCylinder;
-        sector[DiskInfo.SECTOR.HEAD] = iHead;
-        sector[DiskInfo.SECTOR.ID] = idSector;
-        sector[DiskInfo.SECTOR.LENGTH] = cbSector;
-        sector[DiskInfo.SECTOR.DATA] = adw;
-
-        return this.initSector(sector, adw, cbSector, dwPattern);
+        if (done) done(sector, false);
+        return sector;
     }
 
     /**
-     * initSector(sector, adw, cbSector, dwPattern)
+     * write(sector, iByte, b, fForce)
      *
      * @this {DiskInfo}
-     * @param {Sector} sector
-     * @param {Array.<number>} adw
-     * @param {number} cbSector
-     * @param {number} [dwPattern] (undefined for new JSON disk images, because they simply store any final repeating value as the last DATA value)
-     * @returns {Sector}
+     * @param {Sector} sector (returned from a previous seek)
+     * @param {number} iByte (byte index within the given sector)
+     * @param {number} b the byte value to write
+     * @param {boolean} [fForce] (true to force a write operation, even if disk not writable)
+     * @returns {boolean|null} true if write successful, false if write-protected, null if out of bounds
      */
-    initSector(sector, adw, cbSector, dwPattern)
+    write(sector, iByte, b, fForce)
     {
-        let cdw = cbSector >> 2;
-        let dwPrev = null, cPrev = 0;
-        for (let idw = 0; idw < cdw; idw++) {
-            let dw = adw[idw];
-            if (dw == undefined) {
-                if (dwPattern != undefined) {
-                    dw = dwPattern;
-                } else {
-                    dw = adw[adw.length-1];
-                    this.assert(dw != undefined);
+        if (!fForce && !this.fWritable) return false;
+
+        if (Device.DEBUG && !iByte) {
+            this.printf(Device.MESSAGE.DISK, 'write("%s",CHS=%d:%d:%d)\n', this.diskName, sector.iCylinder, sector.iHead, sector[DiskInfo.SECTOR.ID]);
+        }
+
+        if (iByte < sector[DiskInfo.SECTOR.LENGTH]) {
+            if (b != this.read(sector, iByte, true)) {
+                let adw = sector[DiskInfo.SECTOR.DATA];
+                let dwPattern = adw[adw.length-1];
+                let idw = iByte >> 2;
+                let nShift = (iByte & 0x3) << 3;
+                /*
+                 * Ensure every dword in the sector is properly initialized; it's not enough to initialize only
+                 * the dwords up to the specified byte, because any dwords beyond the end of the array are assumed
+                 * to match the LAST dword, which we're about to modify.
+                 */
+                let cdw = sector[DiskInfo.SECTOR.LENGTH] >> 2;
+                for (let i = adw.length; i < cdw; i++) adw[i] = dwPattern;
+                /*
+                 * Non-writable disks don't need to track modifications, and the only way we can get here
+                 * on a non-writable disk is if this is a "forced" write, which again doesn't need to be tracked.
+                 */
+                if (this.fWritable) {
+                    if (!sector.cModify) {
+                        sector.iModify = idw;
+                        sector.cModify = 1;
+                    } else if (idw < sector.iModify) {
+                        sector.cModify += sector.iModify - idw;
+                        sector.iModify = idw;
+                    } else if (idw >= sector.iModify + sector.cModify) {
+                        sector.cModify += idw - (sector.iModify + sector.cModify) + 1;
+                    }
                 }
-                adw[idw] = dw;
-            }
-            if (dwPrev === dw) {
-                cPrev++;
-            } else {
-                dwPrev = dw;
-                cPrev = 0;
+                /*
+                 * Finally, write the byte.
+                 */
+                adw[idw] = (adw[idw] & ~(0xff << nShift)) | (b << nShift);
             }
+            return true;
         }
-        adw.length -= cPrev;
-        /*
-         * To be backward-compatible with the checksumming logic used with older JSON disk images (where
-         * any ending pattern was stored in a separate 'pattern' property and omitted from the 'data' array),
-         * we must omit the final data value from *our* checksum as well, but only if it's the final value
-         * in a less-than-full sector.
-         */
-        cdw = adw.length < cdw? adw.length - 1 : adw.length;
-        let dwChecksum = 0;
-        for (let idw = 0; idw < cdw; idw++) {
-            dwChecksum = (dwChecksum + adw[idw]) & (0xffffffff|0);
-        }
-        this.dwChecksum = (this.dwChecksum + dwChecksum) & (0xffffffff|0);
-        if (this.fWritable) {
-            /*
-             * If this disk is writable (ie, will be loaded into a machine with a read/write drive),
-             * then we also maintain the following information on a per-sector basis, as sectors are modified:
-             *
-             *      iModify:    index of first modified dword in sector
-             *      cModify:    number of modified dwords in sector
-             */
-            sector.iModify = sector.cModify = 0;
-        }
-        return sector;
+        return null;
     }
 
     /**
-     * getData(dbDisk, fLegacy)
+     * updateBootSector(dbBoot, fReplaceBPB, iVolume)
+     *
+     * We use the write() interface to modify the bytes of the boot sector, with fForce
+     * set, which allows writes even when the disk wasn't opened for writing.
      *
      * @this {DiskInfo}
-     * @param {DataBuffer} dbDisk
-     * @param {boolean} [fLegacy]
-     * @returns {boolean} (true if successful, false if error)
+     * @param {DataBuffer} dbBoot (DataBuffer containing new boot sector)
+     * @param {boolean} [fReplaceBPB] (default is false, so we preserve the existing BPB)
+     * @param {number} [iVolume] (default is first volume, which is all most disks have anyway)
+     * @returns {boolean} (true if successful, false otherwise)
      */
-    getData(dbDisk, fLegacy)
+    updateBootSector(db, fReplaceBPB = false, iVolume = 0)
     {
-        if (this.aDiskData) {
-            let ib = 0;
-            let aDiskData = this.aDiskData;
-            for (let iCylinder = 0; iCylinder < aDiskData.length; iCylinder++) {
-                for (let iHead = 0; iHead < aDiskData[iCylinder].length; iHead++) {
-                    for (let iSector = 0; iSector < aDiskData[iCylinder][iHead].length; iSector++) {
-                        let sector = aDiskData[iCylinder][iHead][iSector];
-                        if (sector) {
-                            let n = sector[DiskInfo.SECTOR.LENGTH];
-                            for (let i = 0; i < n; i++) {
-                                let b = this.read(sector, i);
-                                this.assert(b >= 0);
-                                dbDisk.writeUInt8(b, ib++);
-                            }
+        let fSuccess = false;
+        if (db && this.buildTables() >= 0) {
+            if (iVolume >= 0 && iVolume < this.volTable.length) {
+                let lbaBoot = this.volTable[iVolume].lbaStart;
+                let sectorBoot = this.getSector(lbaBoot);
+                if (sectorBoot) {
+                    fSuccess = true;
+                    let cb = sectorBoot[DiskInfo.SECTOR.LENGTH];
+                    /*
+                     * Even if we're not replacing the BPB portion of the boot sector, we still
+                     * need to check for a disk using our extended BPB format, and make sure those
+                     * fields are in sync with the existing BPB fields.
+                     */
+                    let bOpcode = db.readUInt8(0);
+                    if (bOpcode == CPUx86.OPCODE.CLD) {
+                        let nSecBytes = this.getSectorData(sectorBoot, DiskInfo.BPB.SECBYTES, 2);
+                        let nFATs = this.getSectorData(sectorBoot, DiskInfo.BPB.FATS, 1);
+                        let nFATSecs = this.getSectorData(sectorBoot, DiskInfo.BPB.FATSECS, 2);
+                        let nResSecs = this.getSectorData(sectorBoot, DiskInfo.BPB.RESSECS, 2);
+                        let nLBARoot = nResSecs + nFATs * nFATSecs;
+                        let nDirEnts = this.getSectorData(sectorBoot, DiskInfo.BPB.DIRENTS, 2);
+                        let nLBAData = (nLBARoot + ((nDirEnts * 0x20) + (nSecBytes - 1)) / nSecBytes)|0;
+                        let nTrackSecs = this.getSectorData(sectorBoot, DiskInfo.BPB.TRACKSECS, 2);
+                        let nDriveHeads = this.getSectorData(sectorBoot, DiskInfo.BPB.DRIVEHEADS, 2);
+                        let nCylSecs = nTrackSecs * nDriveHeads;
+                        db.writeUInt8(0, DiskInfo.BPB.DRIVE);
+                        db.writeUInt16LE(nCylSecs, DiskInfo.BPB.CYLSECS);
+                        db.writeUInt16LE(nLBARoot, DiskInfo.BPB.LBAROOT);
+                        db.writeUInt16LE(nLBAData, DiskInfo.BPB.LBADATA);
+                    }
+                    for (let ib = 0; ib < cb; ib++) {
+                        if (!fReplaceBPB) {
+                            if (ib >= DiskInfo.BPB.BEGIN && ib < DiskInfo.BPB.END) continue;
+                        }
+                        let b = db.readUInt8(ib);
+                        if (!this.write(sectorBoot, ib, b, true)) {
+                            fSuccess = false;
+                            break;
                         }
                     }
                 }
             }
-            if (this.abOrigBPB.length && fLegacy) {
-                let off = this.abOrigBPB.shift();
-                for (let i = DiskInfo.BPB.OPCODE; i < DiskInfo.BPB.LARGESECS+4; i++) {
-                    dbDisk.writeUInt8(this.abOrigBPB[i - DiskInfo.BPB.OPCODE], off + i);
-                }
-            }
-            this.assert(ib == dbDisk.length);
-            return true;
         }
-        return false;
+        return fSuccess;
     }
 
     /**
-     * getJSON(fnHash, fLegacy, indent)
-     *
-     * If a disk image contains a recognized volume type (eg, FAT12, FAT16), we now prefer to produce an
-     * "extended" JSON image, which will include a volume table (of volume descriptors), a file table (of
-     * file descriptors), and sector-level "metadata" which, for every used sector, refers back to a file
-     * in the file table (along with a file offset).
+     * addFile(sPath, db, attr, dateMod, iVolume)
      *
-     * To create a "legacy" JSON image, without any "extended" information, set fLegacy to true.
+     * Adds a file to an existing FAT volume, allocating clusters and a directory entry for it, without disturbing
+     * the boot sector or any other files.  The parent directory (eg, "\DOS" in "\DOS\ANSI.SYS") must already exist.
      *
      * @this {DiskInfo}
-     * @param {function(Array,string)} [fnHash]
-     * @param {boolean} [fLegacy] (must be explicitly set to true to generate a "legacy" JSON disk image)
-     * @param {number} [indent] (indentation is not recommended, due to significant bloat)
-     * @returns {string}
+     * @param {string} sPath (eg, "\CONFIG.SYS")
+     * @param {DataBuffer} db (contents of the new file)
+     * @param {number} [attr]
+     * @param {Date} [dateMod]
+     * @param {number} [iVolume]
+     * @returns {boolean} (true if successful, false otherwise)
      */
-    getJSON(fnHash, fLegacy = false, indent = 0)
+    addFile(sPath, db, attr = DiskInfo.ATTR.ARCHIVE, dateMod = new Date(), iVolume = 0)
     {
-        let volTable, fileTable;
-        if (!fLegacy) {
-            if (this.buildTables(this.fromJSON) >= 0) {
-                for (let iVolume = 0; iVolume < this.volTable.length; iVolume++) {
-                    if (!volTable) volTable = [];
-                    volTable.push(this.getVolDesc(this.volTable[iVolume]));
-                }
-                for (let iFile = 0; iFile < this.fileTable.length; iFile++) {
-                    let file = this.fileTable[iFile];
-                    /*
-                     * We can't skip any "." and ".." entries without adjusting file indexes, so let's not.
-                     *
-                     *      if (file.name == "." || file.name == "..") continue;
-                     */
-                    let desc = this.getFileDesc(file, false, fnHash);
-                    // let indentDesc = desc[DiskInfo.FILEDESC.MODULE]? 4 : 0;
-                    if (!fileTable) fileTable = [];
-                    fileTable.push(JSON.stringify(desc, null, 0));
-                }
+        let vol = this.getFATVolume(iVolume);
+        if (!vol) return false;
+        let iSep = Math.max(sPath.lastIndexOf('\\'), sPath.lastIndexOf('/'));
+        let sName = this.buildShortName(sPath.substr(iSep + 1));
+        let clusterDir = 0;
+        if (iSep > 0) {
+            let dir = this.findDirEntry(vol, sPath.substr(0, iSep));
+            if (!dir || !(dir.attr & DiskInfo.ATTR.SUBDIR)) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: directory %s not found\n", this.diskName, sPath.substr(0, iSep));
+                return false;
             }
-        } else {
-            this.deleteTables();
-        }
-        let imageInfo = {
-            [DiskInfo.IMAGE.TYPE]: DiskInfo.TYPE.CHS,
-            [DiskInfo.IMAGE.NAME]: this.diskName,
-            [DiskInfo.IMAGE.FORMAT]: this.getFormat(),
-            [DiskInfo.IMAGE.HASH]: this.hash,
-            [DiskInfo.IMAGE.CHECKSUM]: this.dwChecksum,
-            [DiskInfo.IMAGE.CYLINDERS]: this.nCylinders,
-            [DiskInfo.IMAGE.HEADS]: this.nHeads,
-            [DiskInfo.IMAGE.TRACKDEF]: this.nSectors,
-            [DiskInfo.IMAGE.SECTORDEF]: this.cbSector,
-            [DiskInfo.IMAGE.DISKSIZE]: this.cbDiskData,
-            [DiskInfo.IMAGE.ORIGBPB]: JSON.stringify(this.abOrigBPB),
-            [DiskInfo.IMAGE.VERSION]: Device.VERSION,
-            [DiskInfo.IMAGE.REPOSITORY]: Device.REPOSITORY,
-            // [DiskInfo.IMAGE.COMMAND]: this.args,
-        };
-        if (!this.fBPBModified) {
-            delete imageInfo[DiskInfo.IMAGE.ORIGBPB];
+            clusterDir = dir.cluster;
         }
-        let sImageInfo = JSON.stringify(imageInfo, null, indent + 2);
-        let sVolTable, sFileTable;
-        if (volTable) {
-            sVolTable = JSON.stringify(volTable, null, indent + 2);
+        if (this.findDirEntry(vol, sName, clusterDir)) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: %s already exists\n", this.diskName, sPath);
+            return false;
         }
-        if (fileTable) {
-            sFileTable = '';
-            fileTable.forEach((desc) => {
-                if (sFileTable) sFileTable += ',\n';
-                sFileTable += '  ' + desc;
-            });
-            sFileTable = '[\n' + sFileTable + '\n]';
+        let entry = this.findFreeDirEntry(vol, clusterDir);
+        if (!entry) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: no room in directory for %s\n", this.diskName, sPath);
+            return false;
         }
-        let sDiskData = JSON.stringify(this.aDiskData, null, indent);
-        let sImageData = "{\n\"" + DiskInfo.DESC.IMAGE + "\": " + sImageInfo + ",\n\"" + (sVolTable? DiskInfo.DESC.VOLUMES + "\": " + sVolTable + ",\n\"" : "") + (sFileTable? DiskInfo.DESC.FILES + "\": " + sFileTable + ",\n\"" : "") + DiskInfo.DESC.DISKDATA + "\":" + sDiskData + "\n}";
-        return sImageData;
+        let aClusters = this.allocClusters(vol, this.getClusterCount(vol, db.length));
+        if (!aClusters) return false;
+        this.writeClusters(vol, aClusters, db);
+        this.writeDirEntry(entry, sName, db.length, attr, dateMod, aClusters[0] || 0);
+        return this.updateTables(vol);
     }
 
     /**
-     * findFile(name, text)
+     * deleteFile(sPath, iVolume)
+     *
+     * Deletes a file (or an empty subdirectory) from an existing FAT volume, freeing its clusters in every FAT and
+     * marking its directory entry (along with any long filename entries preceding it) as unused.
      *
      * @this {DiskInfo}
-     * @param {string} name
-     * @param {string} [text]
-     * @return {Object|null}
+     * @param {string} sPath
+     * @param {number} [iVolume]
+     * @returns {boolean} (true if successful, false otherwise)
      */
-    findFile(name)
+    deleteFile(sPath, iVolume = 0)
     {
-        let desc = null;
-        if (this.buildTables() > 0) {
-            name = name.toUpperCase();
-            if (this.fileTable) {
-                for (let i = 0; i < this.fileTable.length; i++) {
-                    let file = this.fileTable[i];
-                    if (name == file.name) {
-                        desc = this.getFileDesc(file, true);
+        let vol = this.getFATVolume(iVolume);
+        if (!vol) return false;
+        let entry = this.findDirEntry(vol, sPath);
+        if (!entry) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: %s not found\n", this.diskName, sPath);
+            return false;
+        }
+        if (entry.attr & DiskInfo.ATTR.SUBDIR) {
+            let aLBA = this.getDirSectors(vol, entry.cluster);
+            for (let iSector = 0; iSector < aLBA.length; iSector++) {
+                let sector = this.getSector(aLBA[iSector]);
+                for (let off = 0; sector && off < vol.cbSector; off += DiskInfo.DIRENT.LENGTH) {
+                    let b = this.getSectorData(sector, off, 1);
+                    if (b == DiskInfo.DIRENT.UNUSED) {
+                        iSector = aLBA.length;
                         break;
                     }
+                    if (b != DiskInfo.DIRENT.INVALID && b != 0x2E /* '.' */) {
+                        this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: directory %s is not empty\n", this.diskName, sPath);
+                        return false;
+                    }
                 }
             }
         }
-        return desc;
+        this.freeClusters(vol, entry.cluster);
+        let aEntries = entry.aLFN.concat(entry);
+        for (let i = 0; i < aEntries.length; i++) {
+            this.write(this.getSector(aEntries[i].lba), aEntries[i].off, DiskInfo.DIRENT.INVALID, true);
+        }
+        return this.updateTables(vol);
     }
 
     /**
-     * getChecksum()
+     * renameFile(sPath, sNewName, iVolume)
      *
-     * NOTE: As noted in initSector(), our checksums are somewhat constrained by compatibility with previous JSON formats;
-     * in particular, for sectors that end with a repeating value, only the DATA values up to but NOT including that final
-     * repeating value are checksummed.
+     * Renames a file (or subdirectory) on an existing FAT volume; the new name must not contain a path, because
+     * we don't move files between directories.  Any long filename entries for the old name are marked as unused.
      *
-     * Technically, the checksums we calculated for older JSON formats should have repeatedly summed their 'pattern' value
-     * as well.  But they didn't.  And I would like to avoid checksum warnings for anyone loading the new JSON format for the
-     * first time, due to an old checksum stored in their browser's local storage.  The warnings aren't fatal, but they do
-     * cause any saved machine state to be discarded, since the validity of a machine state is predicated on all the original
-     * inputs (including the original diskette images) matching the current inputs.  And while it's unfortunate that our
-     * checksums didn't (and still don't) sum the entire image, the limited purpose that they serve is still satisfied.
+     * @this {DiskInfo}
+     * @param {string} sPath
+     * @param {string} sNewName
+     * @param {number} [iVolume]
+     * @returns {boolean} (true if successful, false otherwise)
+     */
+    renameFile(sPath, sNewName, iVolume = 0)
+    {
+        let vol = this.getFATVolume(iVolume);
+        if (!vol) return false;
+        let entry = this.findDirEntry(vol, sPath);
+        if (!entry) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: %s not found\n", this.diskName, sPath);
+            return false;
+        }
+        let sName = this.buildShortName(sNewName);
+        if (this.findDirEntry(vol, sName, entry.clusterDir)) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: %s already exists\n", this.diskName, sName);
+            return false;
+        }
+        let ab = [];
+        this.buildDirEntry(ab, 0, sName, 0, 0, null, 0);
+        let sector = this.getSector(entry.lba);
+        for (let i = DiskInfo.DIRENT.NAME; i < DiskInfo.DIRENT.ATTR; i++) {
+            this.write(sector, entry.off + i, ab[i], true);
+        }
+        for (let i = 0; i < entry.aLFN.length; i++) {
+            this.write(this.getSector(entry.aLFN[i].lba), entry.aLFN[i].off, DiskInfo.DIRENT.INVALID, true);
+        }
+        return this.updateTables(vol);
+    }
+
+    /**
+     * replaceFile(sPath, db, dateMod, iVolume)
      *
-     * TODO: Add a new "full" checksum property to DiskInfo that checksums the entire disk image, including repeated values,
-     * along with an option to return the "full" checksum here.
+     * Replaces the contents of an existing file on a FAT volume, reallocating its clusters and updating its size
+     * and modification date, but preserving its name, attributes, and position in the directory.
      *
      * @this {DiskInfo}
-     * @returns {number}
+     * @param {string} sPath
+     * @param {DataBuffer} db (new contents of the file)
+     * @param {Date} [dateMod]
+     * @param {number} [iVolume]
+     * @returns {boolean} (true if successful, false otherwise)
      */
-    getChecksum()
+    replaceFile(sPath, db, dateMod = new Date(), iVolume = 0)
     {
-        return this.dwChecksum;
+        let vol = this.getFATVolume(iVolume);
+        if (!vol) return false;
+        let entry = this.findDirEntry(vol, sPath);
+        if (!entry || (entry.attr & (DiskInfo.ATTR.SUBDIR | DiskInfo.ATTR.VOLUME))) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: file %s not found\n", this.diskName, sPath);
+            return false;
+        }
+        /*
+         * We must make sure there's enough room for the new contents BEFORE freeing the old contents, which
+         * means the old clusters can't be reused, so that's what we check first (in case the disk is full).
+         */
+        let nClusters = this.getClusterCount(vol, db.length);
+        if (nClusters > vol.clusFree + this.getClusterCount(vol, entry.size)) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: insufficient space for %s\n", this.diskName, sPath);
+            return false;
+        }
+        this.freeClusters(vol, entry.cluster);
+        let aClusters = this.allocClusters(vol, nClusters);
+        if (!aClusters) return false;
+        this.writeClusters(vol, aClusters, db);
+        this.writeDirEntry(entry, entry.name, db.length, entry.attr, dateMod, aClusters[0] || 0);
+        return this.updateTables(vol);
     }
 
     /**
-     * getFormat()
+     * checkDisk(fRepair)
      *
-     * For disks that match a standard "PC" disk geometry AND contain 1 or more FAT volumes,
-     * this returns a "PCxxxK" string; otherwise, it returns "Unknown".  Additionally, if any
-     * sector contains a non-standard "marker", eg:
+     * Checks every FAT volume on the disk, much like CHKDSK, and returns an array of problems, where each problem is
+     * an object with the following properties:
      *
-     *      dataCRC
-     *      dataError
-     *      dataMark
-     *      headCRC
-     *      headError
+     *      vol:        volume index
+     *      type:       one of the DiskInfo.CHECK values
+     *      path:       path of the file or directory (if any) with the problem
+     *      cluster:    cluster (if any) where the problem was found
+     *      message:    description of the problem
+     *      repaired:   true if the problem was repaired
      *
-     * or a non-standard sector ID, then the string will be flagged with an asterisk (eg, "PC360K*",
-     * "Unknown*", etc.)
+     * If fRepair is true, then every problem that can be repaired is repaired, the way CHKDSK /F would: FAT copies
+     * are updated from the first FAT, chains containing invalid or cross-linked clusters are truncated, file sizes are
+     * adjusted to match their chains (or chains are truncated to match their sizes), and lost chains are recovered
+     * into FILEnnnn.CHK files in the root directory.
      *
      * @this {DiskInfo}
-     * @returns {string}
+     * @param {boolean} [fRepair]
+     * @returns {Array.<Object>}
      */
-    getFormat()
+    checkDisk(fRepair = false)
     {
-        let flags = "";
-        let sFormat = "Unknown";
-        let markers = [
-            DiskInfo.SECTOR.DATA_CRC,
-            DiskInfo.SECTOR.DATA_ERROR,
-            DiskInfo.SECTOR.DATA_MARK,
-            DiskInfo.SECTOR.HEAD_CRC,
-            DiskInfo.SECTOR.HEAD_ERROR
-        ];
-        if (this.aDiskData) {
-            let aDiskData = this.aDiskData;
-            for (let iCylinder = 0; iCylinder < aDiskData.length && !flags; iCylinder++) {
-                for (let iHead = 0; iHead < aDiskData[iCylinder].length && !flags; iHead++) {
-                    for (let iSector = 0; iSector < aDiskData[iCylinder][iHead].length && !flags; iSector++) {
-                        let sector = aDiskData[iCylinder][iHead][iSector];
-                        if (sector) {
-                            if (+sector[DiskInfo.SECTOR.ID] != iSector + 1) {
-                                flags = "*";
-                                break;
-                            }
-                            for (let marker in markers) {
-                                if (sector[markers[marker]] !== undefined) {
-                                    flags = "*";
-                                    break;
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-            if (this.volTable.length) {
-                sFormat = "PC" + Math.round(this.cbDiskData / 1024) + "K";
+        let aProblems = [];
+        if (this.buildTables(true) >= 0) {
+            for (let iVolume = 0; iVolume < this.volTable.length; iVolume++) {
+                if (!this.volTable[iVolume].nFATBits) continue;     // nothing to check on ISO 9660 volumes
+                this.checkVolume(iVolume, fRepair, aProblems);
             }
         }
-        return sFormat + flags;
+        return aProblems;
     }
 
     /**
-     * getName()
+     * checkVolume(iVolume, fRepair, aProblems)
      *
      * @this {DiskInfo}
-     * @returns {string}
+     * @param {number} iVolume
+     * @param {boolean} fRepair
+     * @param {Array.<Object>} aProblems (see checkDisk())
      */
-    getName()
+    checkVolume(iVolume, fRepair, aProblems)
     {
-        return this.diskName.replace(/\.[a-z]+$/i, "");
+        let vol = this.volTable[iVolume];
+        let nRepairs = 0;
+        let addProblem = (type, path, cluster, fRepaired, format, ...args) => {
+            aProblems.push({vol: iVolume, type, path, cluster, message: this.device.sprintf(format, ...args), repaired: fRepaired});
+            if (fRepaired) nRepairs++;
+        };
+
+        if (!this.checkMediaID(vol.idMedia)) {
+            addProblem(DiskInfo.CHECK.MEDIA, "", 0, false, "media ID %#0bx is not valid", vol.idMedia);
+        }
+
+        /*
+         * Compare every copy of the FAT to the first; when repairing, the first copy wins.
+         */
+        let nFATSecs = ((vol.vbaRoot - vol.vbaFAT) / vol.nFATs) | 0;
+        for (let iFAT = 1; iFAT < vol.nFATs; iFAT++) {
+            let nDiffs = 0;
+            for (let iSector = 0; iSector < nFATSecs; iSector++) {
+                let sector = this.getSector(vol.lbaStart + vol.vbaFAT + iSector);
+                let sectorCopy = this.getSector(vol.lbaStart + vol.vbaFAT + iFAT * nFATSecs + iSector);
+                for (let off = 0; sector && sectorCopy && off < vol.cbSector; off++) {
+                    let b = this.read(sector, off, true);
+                    if (b != this.read(sectorCopy, off, true)) {
+                        if (fRepair) this.write(sectorCopy, off, b, true);
+                        nDiffs++;
+                    }
+                }
+            }
+            if (nDiffs) {
+                addProblem(DiskInfo.CHECK.FATCOPY, "", 0, fRepair, "FAT copy %d differs from FAT copy 0 (%d byte(s))", iFAT, nDiffs);
+            }
+        }
+
+        /*
+         * A FAT32 volume's FSInfo free cluster count is simply rewritten (by updateTables()) when repairing.
+         */
+        if (vol.vbaFSInfo) {
+            let sectorInfo = this.getSector(vol.lbaStart + vol.vbaFSInfo);
+            if (sectorInfo && (this.getSectorData(sectorInfo, DiskInfo.FSINFO.SIG_LEAD, 4) >>> 0) == DiskInfo.FSINFO.LEAD_SIGNATURE) {
+                let clusFree = this.getSectorData(sectorInfo, DiskInfo.FSINFO.FREE_COUNT, 4) >>> 0;
+                if (clusFree != DiskInfo.FSINFO.UNKNOWN && clusFree != vol.clusFree) {
+                    addProblem(DiskInfo.CHECK.FREE, "", 0, fRepair, "FSInfo free cluster count (%d) does not match actual free clusters (%d)", clusFree, vol.clusFree);
+                }
+            }
+        }
+
+        let cbCluster = vol.clusSecs * vol.cbSector;
+        let clusLast = DiskInfo.FAT12.CLUSNUM_MIN + vol.clusTotal - 1;
+        let clusBad = vol.clusMax + 1;
+        let clusEOC = vol.clusMax + 9;
+        let getNext = (cluster) => this.getClusterEntry(vol, cluster, 0) | this.getClusterEntry(vol, cluster, 1);
+        let setEntry = (path, cbFile, cluster) => {
+            let entry = this.findDirEntry(vol, path);
+            if (!entry) return false;
+            let sector = this.getSector(entry.lba);
+            for (let i = 0; cbFile >= 0 && i < 4; i++) {
+                this.write(sector, entry.off + DiskInfo.DIRENT.SIZE + i, (cbFile >>> (i << 3)) & 0xff, true);
+            }
+            for (let i = 0; cluster >= 0 && i < 4; i++) {
+                if (i >= 2 && vol.nFATBits != 32) break;
+                this.write(sector, entry.off + (i < 2? DiskInfo.DIRENT.CLUSTER + i : DiskInfo.DIRENT.CLUSTER_HI + i - 2), (cluster >>> (i << 3)) & 0xff, true);
+            }
+            return true;
+        };
+
+        /*
+         * Walk the chain of every file and directory (including the root directory of a FAT32 volume), recording
+         * the owner of every cluster, so that we can detect cross-linked clusters now and lost clusters later.
+         */
+        let aFiles = [];
+        if (vol.clusRoot) aFiles.push({path: "\\", attr: DiskInfo.ATTR.SUBDIR, size: 0, cluster: vol.clusRoot});
+        for (let iFile = 0; iFile < this.fileTable.length; iFile++) {
+            let file = this.fileTable[iFile];
+            if (file.iVolume != iVolume || file.name == "." || file.name == ".." || (file.attr & DiskInfo.ATTR.VOLUME)) continue;
+            aFiles.push(file);
+        }
+        let aOwners = [];
+        for (let iFile = 0; iFile < aFiles.length; iFile++) {
+            let file = aFiles[iFile];
+            let fDir = !!(file.attr & DiskInfo.ATTR.SUBDIR);
+            let fRoot = (file.path == "\\");
+            let aChain = [], fTruncated = false;
+            let cluster = file.cluster;
+            while (cluster) {
+                if (cluster < DiskInfo.FAT12.CLUSNUM_MIN || cluster > clusLast) {
+                    addProblem(DiskInfo.CHECK.CHAIN, file.path, cluster, fRepair && !fRoot, "%s contains invalid cluster %#x%s", file.path, cluster, cluster == clusBad? " (bad)" : "");
+                    fTruncated = true;
+                    break;
+                }
+                if (aOwners[cluster] !== undefined) {
+                    let sOwner = aOwners[cluster];
+                    if (sOwner == file.path) {
+                        addProblem(DiskInfo.CHECK.CROSSLINK, file.path, cluster, fRepair && !fRoot, "%s contains a loop at cluster %d", file.path, cluster);
+                    } else {
+                        addProblem(DiskInfo.CHECK.CROSSLINK, file.path, cluster, fRepair && !fRoot, "%s is cross-linked with %s at cluster %d", file.path, sOwner, cluster);
+                    }
+                    fTruncated = true;
+                    break;
+                }
+                aOwners[cluster] = file.path;
+                aChain.push(cluster);
+                cluster = getNext(cluster);
+                if (cluster > clusBad) break;
+            }
+            if (fTruncated && fRepair && !fRoot) {
+                if (aChain.length) {
+                    this.setClusterEntry(vol, aChain[aChain.length - 1], clusEOC);
+                } else {
+                    setEntry(file.path, -1, 0);
+                }
+            }
+            if (fDir) {
+                if (!fRoot && !file.cluster) {
+                    addProblem(DiskInfo.CHECK.CHAIN, file.path, 0, false, "directory %s has no clusters", file.path);
+                }
+                if (file.size) {
+                    addProblem(DiskInfo.CHECK.SIZE, file.path, file.cluster, fRepair, "directory %s has non-zero size (%d)", file.path, file.size);
+                    if (fRepair) setEntry(file.path, 0, -1);
+                }
+                continue;
+            }
+            /*
+             * For files, the number of clusters in the chain should match the file size; if there are too few, the size
+             * is adjusted, and if there are too many, the excess clusters are freed (which is what CHKDSK does).
+             */
+            let nClusters = Math.ceil(file.size / cbCluster);
+            if (aChain.length < nClusters) {
+                let cbFile = aChain.length * cbCluster;
+                addProblem(DiskInfo.CHECK.SIZE, file.path, file.cluster, fRepair, "%s size (%d) exceeds its allocation (%d cluster(s), %d bytes)", file.path, file.size, aChain.length, cbFile);
+                if (fRepair) setEntry(file.path, cbFile, -1);
+            } else if (aChain.length > nClusters) {
+                addProblem(DiskInfo.CHECK.SIZE, file.path, file.cluster, fRepair, "%s allocation (%d cluster(s)) exceeds its size (%d bytes) by %d cluster(s)", file.path, aChain.length, file.size, aChain.length - nClusters);
+                if (fRepair) {
+                    for (let i = nClusters; i < aChain.length; i++) {
+                        this.setClusterEntry(vol, aChain[i], DiskInfo.FAT12.CLUSNUM_FREE);
+                        vol.clusFree++;
+                    }
+                    if (nClusters) {
+                        this.setClusterEntry(vol, aChain[nClusters - 1], clusEOC);
+                    } else {
+                        setEntry(file.path, -1, 0);
+                    }
+                }
+            }
+        }
+
+        /*
+         * Any cluster that's neither free nor bad nor owned by a file or directory is lost; lost clusters are grouped
+         * into chains, starting with every lost cluster that no other lost cluster refers to (and then with any remaining
+         * lost clusters, which must be part of a loop).
+         */
+        let aLost = [], aNext = [];
+        for (let cluster = DiskInfo.FAT12.CLUSNUM_MIN; cluster <= clusLast; cluster++) {
+            if (aOwners[cluster] !== undefined) continue;
+            let clusterNext = getNext(cluster);
+            if (clusterNext == DiskInfo.FAT12.CLUSNUM_FREE || clusterNext == clusBad) continue;
+            aLost[cluster] = true;
+            aNext[cluster] = clusterNext;
+        }
+        let aHeads = [];
+        aLost.forEach((f, cluster) => {
+            if (!aLost[aNext[cluster]] || aNext[cluster] == cluster) return;
+            aHeads[aNext[cluster]] = false;
+        });
+        let aChains = [];
+        let getChain = (cluster) => {
+            let aChain = [];
+            while (aLost[cluster]) {
+                aLost[cluster] = false;
+                aChain.push(cluster);
+                cluster = aNext[cluster];
+            }
+            return aChain;
+        };
+        aLost.forEach((f, cluster) => {
+            if (aHeads[cluster] !== false) aChains.push(getChain(cluster));
+        });
+        aLost.forEach((f, cluster) => {
+            if (f) aChains.push(getChain(cluster));
+        });
+        let iCHK = 0;
+        for (let i = 0; i < aChains.length; i++) {
+            let aChain = aChains[i];
+            if (!aChain.length) continue;
+            let sAction = "";
+            if (fRepair) {
+                let sName;
+                do {
+                    sName = this.device.sprintf("FILE%04d.CHK", iCHK++);
+                } while (this.findDirEntry(vol, sName));
+                let entry = this.findFreeDirEntry(vol, 0);
+                if (entry) {
+                    this.setClusterEntry(vol, aChain[aChain.length - 1], clusEOC);
+                    this.writeDirEntry(entry, sName, aChain.length * cbCluster, DiskInfo.ATTR.ARCHIVE, new Date(), aChain[0]);
+                    sAction = ", recovered as \\" + sName;
+                } else {
+                    for (let j = 0; j < aChain.length; j++) {
+                        this.setClusterEntry(vol, aChain[j], DiskInfo.FAT12.CLUSNUM_FREE);
+                        vol.clusFree++;
+                    }
+                    sAction = ", freed (no room in root directory)";
+                }
+            }
+            addProblem(DiskInfo.CHECK.LOST, "", aChain[0], fRepair, "%d lost cluster(s) in chain starting at cluster %d%s", aChain.length, aChain[0], sAction);
+        }
+
+        if (nRepairs) this.updateTables(vol);
     }
 
     /**
-     * setName(name)
+     * getFATVolume(iVolume)
      *
-     * A disk image file name is normally associated with the DiskInfo when it's created (see the constructor), and it
-     * doesn't normally change.  However, there are cases where the disk was created from a set of files, and so the default
-     * name isn't particularly meaningful or appropriate, so we let the caller update the name as needed.
+     * Rebuilds the disk's tables (to make sure we're working with current volume information, which is not
+     * necessarily the case for tables restored from JSON) and returns the specified volume.
      *
      * @this {DiskInfo}
-     * @param {string} name
+     * @param {number} iVolume
+     * @returns {VolInfo|null}
      */
-    setName(name)
+    getFATVolume(iVolume)
     {
-        if (name) this.diskName = name;
+        if (this.buildTables(true) >= 0 && iVolume >= 0 && iVolume < this.volTable.length) {
+            if (this.volTable[iVolume].nFATBits) return this.volTable[iVolume];
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: volume %d is not a FAT volume\n", this.diskName, iVolume);
+            return null;
+        }
+        this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: volume %d not found\n", this.diskName, iVolume);
+        return null;
     }
 
     /**
-     * getNewestDate(fExecutable)
+     * findDirEntry(vol, sPath, clusterDir)
      *
-     * Looks through the dates of all the specified files and returns the newest date found, if any.
+     * Returns an object describing the directory entry for the specified path, relative to the directory starting
+     * at clusterDir (0 for the root directory); the object contains the name, attr, size and (first) cluster of the
+     * file, the LBA and offset of its directory entry, the first cluster of its directory (clusterDir), and an array
+     * (aLFN) of the LBAs and offsets of any long filename entries that immediately precede it.  Each component of
+     * the path may be either a short (8.3) name or a long filename.
      *
      * @this {DiskInfo}
-     * @param {boolean} [fExecutable] (true for executable files only, false for all files)
-     * @returns {Date|undefined}
+     * @param {VolInfo} vol
+     * @param {string} sPath
+     * @param {number} [clusterDir]
+     * @returns {Object|null}
      */
-    getNewestDate(fExecutable)
+    findDirEntry(vol, sPath, clusterDir = 0)
     {
-        let date;
-        for (let i = 0; i < this.fileTable.length; i++) {
-            let file = this.fileTable[i];
-            if (!fExecutable || file.name.indexOf(".COM") > 0 || file.name.indexOf(".EXE") > 0) {
-                if (!date || date.getTime() < file.date.getTime()) date = file.date;
+        let entry = null;
+        let aNames = sPath.split(/[\\/]/).filter((s) => !!s);
+        let nEntriesPerSector = (vol.cbSector / DiskInfo.DIRENT.LENGTH) | 0;
+        for (let iName = 0; iName < aNames.length; iName++) {
+            if (entry) {
+                if (!(entry.attr & DiskInfo.ATTR.SUBDIR)) return null;
+                clusterDir = entry.cluster;
+                entry = null;
+            }
+            let sName = aNames[iName].toUpperCase();
+            let dir = /** @type {DirInfo} */ ({}), aLFN = [];
+            let aLBA = this.getDirSectors(vol, clusterDir);
+            for (let iSector = 0; !entry && iSector < aLBA.length; iSector++) {
+                let lba = aLBA[iSector];
+                for (let iEntry = 0; iEntry < nEntriesPerSector; iEntry++) {
+                    if (!this.getDirEntry(vol, dir, lba, iEntry)) {
+                        iSector = aLBA.length;
+                        break;
+                    }
+                    let off = iEntry * DiskInfo.DIRENT.LENGTH;
+                    if (dir.name != null && dir.attr == DiskInfo.ATTR.LFN) {
+                        aLFN.push({lba, off});
+                        continue;
+                    }
+                    if (dir.name != null && !(dir.attr & DiskInfo.ATTR.VOLUME) && (dir.name == sName || dir.lfn && dir.lfn.toUpperCase() == sName)) {
+                        entry = {name: dir.name, attr: dir.attr, size: dir.size, cluster: dir.cluster, lba, off, clusterDir, aLFN};
+                        break;
+                    }
+                    aLFN = [];
+                }
             }
+            if (!entry) break;
         }
-        return date;
+        return entry;
     }
 
     /**
-     * getSize()
+     * findFreeDirEntry(vol, clusterDir)
+     *
+     * Returns the LBA and offset of the first available entry in the directory starting at clusterDir (0 for the
+     * root directory).  If the directory is full, we add another (zero-filled) cluster to it, unless it's a FAT12 or
+     * FAT16 root directory, which can't grow.
      *
      * @this {DiskInfo}
-     * @returns {number|undefined}
+     * @param {VolInfo} vol
+     * @param {number} clusterDir
+     * @returns {Object|null}
      */
-    getSize()
+    findFreeDirEntry(vol, clusterDir)
     {
-        return this.cbDiskData;
+        let aLBA = this.getDirSectors(vol, clusterDir);
+        for (let iSector = 0; iSector < aLBA.length; iSector++) {
+            let sector = this.getSector(aLBA[iSector]);
+            for (let off = 0; sector && off < vol.cbSector; off += DiskInfo.DIRENT.LENGTH) {
+                let b = this.getSectorData(sector, off, 1);
+                if (b == DiskInfo.DIRENT.UNUSED || b == DiskInfo.DIRENT.INVALID) {
+                    return {lba: aLBA[iSector], off};
+                }
+            }
+        }
+        if (!clusterDir && vol.nFATBits != 32) return null;
+        let cluster = clusterDir || vol.clusRoot, clusterNext;
+        while ((clusterNext = this.getClusterEntry(vol, cluster, 0) | this.getClusterEntry(vol, cluster, 1)) >= DiskInfo.FAT12.CLUSNUM_MIN && clusterNext <= vol.clusMax) {
+            cluster = clusterNext;
+        }
+        let aClusters = this.allocClusters(vol, 1, cluster);
+        if (!aClusters) return null;
+        this.writeClusters(vol, aClusters);
+        return {lba: vol.lbaStart + vol.vbaData + (aClusters[0] - DiskInfo.FAT12.CLUSNUM_MIN) * vol.clusSecs, off: 0};
     }
 
     /**
-     * setArgs(args)
+     * getClusterCount(vol, cb)
      *
      * @this {DiskInfo}
-     * @param {string} args
+     * @param {VolInfo} vol
+     * @param {number} cb
+     * @returns {number} (number of clusters required to store the specified number of bytes)
      */
-    setArgs(args)
+    getClusterCount(vol, cb)
     {
-        this.args = args;
+        let cbCluster = vol.clusSecs * vol.cbSector;
+        return Math.ceil(cb / cbCluster);
     }
 
     /**
-     * parseSuppData()
+     * allocClusters(vol, nClusters, clusterPrev)
+     *
+     * Allocates the requested number of free clusters (lowest numbered first, as DOS would), chains them together,
+     * and if clusterPrev is specified, appends the new chain to the chain ending with clusterPrev.
      *
      * @this {DiskInfo}
-     * @param {string} suppData
-     * @returns {Object}
-     */
-    parseSuppData(suppData)
-    {
-        let suppObj = {};
-        if (suppData) {
-            let aSuppData = suppData.split(/[ \t]*MFM Sector\s*\n/);
-            for (let i = 1; i < aSuppData.length; i++) {
-                let metaData = aSuppData[i].match(/Sector ID:([0-9]+)[\s\S]*?Track ID:([0-9]+)[\s\S]*?Side ID:([0-9]+)[\s\S]*?Size:([0-9]+)[\s\S]*?DataMark:0x([0-9A-F]+)[\s\S]*?Head CRC:0x([0-9A-F]+)\s+\(([^)]*)\)[\s\S]*?Data CRC:0x([0-9A-F]+)\s+\(([^)]*)\)/);
-                if (metaData) {
-                    let data = [];
-                    let sectorID = +metaData[1];
-                    let trackID = +metaData[2];
-                    let headID = +metaData[3];
-                    let length = +metaData[4];
-                    let dataMark = parseInt(metaData[5], 16);
-                    let headCRC = parseInt(metaData[6], 16);
-                    let headError = (metaData[7] != "Ok");
-                    let dataCRC = parseInt(metaData[8], 16)
-                    let dataError = (metaData[9] != "BAD CRC!"? 0 : -1);
-                    let matchData, reData = /([0-9A-F]+)\|([^|]*)\|/g;
-                    while ((matchData = reData.exec(aSuppData[i]))) {
-                        let shift = 0, dw = 0;
-                        let matchByte, reByte = /\s+([0-9A-F]+)/g;
-                        while ((matchByte = reByte.exec(matchData[2]))) {
-                            dw |= parseInt(matchByte[1], 16) << shift;
-                            shift += 8;
-                            if (shift == 32) {
-                                data.push(dw);
-                                shift = dw = 0;
-                            }
-                        }
-                        if (shift) data.push(dw);
-                    }
-                    if (!suppObj[trackID]) suppObj[trackID] = {};
-                    if (!suppObj[trackID][headID]) suppObj[trackID][headID] = [];
-                    let sector = {sectorID, length, dataMark, headCRC, headError, dataCRC, dataError, data};
-                    suppObj[trackID][headID].push(sector);
-                }
+     * @param {VolInfo} vol
+     * @param {number} nClusters
+     * @param {number} [clusterPrev]
+     * @returns {Array.<number>|null} (array of allocated clusters, or null if insufficient free clusters)
+     */
+    allocClusters(vol, nClusters, clusterPrev = 0)
+    {
+        let aClusters = [];
+        for (let cluster = DiskInfo.FAT12.CLUSNUM_MIN; aClusters.length < nClusters && cluster < vol.clusTotal + DiskInfo.FAT12.CLUSNUM_MIN; cluster++) {
+            if (!(this.getClusterEntry(vol, cluster, 0) | this.getClusterEntry(vol, cluster, 1))) {
+                aClusters.push(cluster);
             }
         }
-        return suppObj;
+        if (aClusters.length < nClusters) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s volume %d error: %d cluster(s) required, %d cluster(s) free\n", this.diskName, vol.iVolume, nClusters, aClusters.length);
+            return null;
+        }
+        for (let i = 0; i < aClusters.length; i++) {
+            this.setClusterEntry(vol, aClusters[i], i < aClusters.length - 1? aClusters[i + 1] : vol.clusMax + 9 /* aka CLUSNUM_EOC (max) */);
+        }
+        if (clusterPrev && aClusters.length) {
+            this.setClusterEntry(vol, clusterPrev, aClusters[0]);
+        }
+        vol.clusFree -= aClusters.length;
+        return aClusters;
     }
 
     /**
-     * read(sector, iByte, fCompare)
+     * freeClusters(vol, cluster)
+     *
+     * Frees every cluster in the chain starting with the specified cluster.
      *
      * @this {DiskInfo}
-     * @param {Sector} sector (returned from a previous seek)
-     * @param {number} iByte (byte index within the given sector)
-     * @param {boolean} [fCompare] is true if this write-compare read
-     * @returns {number} the specified (unsigned) byte, or -1 if no more data in the sector
+     * @param {VolInfo} vol
+     * @param {number} cluster
      */
-    read(sector, iByte, fCompare)
+    freeClusters(vol, cluster)
     {
-        let b = -1;
-        if (sector) {
-            if (Device.DEBUG && !iByte && !fCompare) {
-                this.printf(Device.MESSAGE.DISK, 'read("%s",CHS=%d:%d:%d)\n', this.diskName, sector[DiskInfo.SECTOR.CYLINDER], sector[DiskInfo.SECTOR.HEAD], sector[DiskInfo.SECTOR.ID]);
-            }
-            if (iByte < sector[DiskInfo.SECTOR.LENGTH]) {
-                let adw = sector[DiskInfo.SECTOR.DATA];
-                let idw = iByte >> 2;
-                let dw = (idw < adw.length? adw[idw] : adw[adw.length-1]);
-                b = ((dw >> ((iByte & 0x3) << 3)) & 0xff);
-            }
+        let nClusters = 0;
+        while (cluster >= DiskInfo.FAT12.CLUSNUM_MIN && cluster <= vol.clusMax && nClusters++ < vol.clusTotal) {
+            let clusterNext = this.getClusterEntry(vol, cluster, 0) | this.getClusterEntry(vol, cluster, 1);
+            this.setClusterEntry(vol, cluster, DiskInfo.FAT12.CLUSNUM_FREE);
+            vol.clusFree++;
+            cluster = clusterNext;
         }
-        return b;
     }
 
     /**
-     * seek(iCylinder, iHead, idSector, sectorPrev, done)
-     *
-     * TODO: There's some dodgy code in seek() that allows floppy images to be dynamically
-     * reconfigured with more heads and/or sectors/track, and it does so by peeking at more drive
-     * properties.  That code used to be in the FDC component, where it was perfectly reasonable
-     * to access those properties.  We need a cleaner interface back to the drive, similar to the
-     * info() interface we provide to the controller.
+     * writeClusters(vol, aClusters, db)
      *
-     * Whether or not the "dynamic reconfiguration" feature itself is perfectly reasonable is,
-     * of course, a separate question.
+     * Writes the contents of the given buffer to the given clusters, zero-filling any remaining bytes.
      *
      * @this {DiskInfo}
-     * @param {number} iCylinder
-     * @param {number} iHead
-     * @param {number} idSector
-     * @param {Sector|null} [sectorPrev]
-     * @param {function(Sector,boolean)} [done]
-     * @returns {Sector|null} is the requested sector, or null if not found (or not available yet)
+     * @param {VolInfo} vol
+     * @param {Array.<number>} aClusters
+     * @param {DataBuffer} [db] (if omitted, the clusters are simply zero-filled)
      */
-    seek(iCylinder, iHead, idSector, sectorPrev, done)
+    writeClusters(vol, aClusters, db)
     {
-        let sector = null;
-        let drive = this.drive;
-        let cylinder = this.aDiskData[iCylinder];
-        if (cylinder) {
-            let i;
-            let track = cylinder[iHead];
-            /*
-             * The following code allows a single-sided diskette image to be reformatted (ie, "expanded")
-             * as a double-sided image, provided the drive has more than one head (see drive.nHeads).
-             *
-             * NOTE: Strangely, we must ignore the number of drive heads both here and in doFormat(); otherwise,
-             * PC DOS 1.10 "FORMAT /1" will fail.  Even though "/1" means format as a single-sided diskette, FORMAT
-             * still attempts to format the first track with head 1.
-             */
-            if (!track && drive && drive.bFormatting && iHead < 2 /* drive.nHeads */) {
-                track = new Array(drive.bSectorEnd);
-                for (i = 0; i < track.length; i++) {
-                    track[i] = this.buildSector(iCylinder, iHead, i + 1, drive.nBytes);
-                }
-                /*
-                 * TODO: This is more dodginess, because we can't be certain that every cylinder on the disk
-                 * will receive the same "expanded" treatment, but functions like getSector() rely on instance
-                 * properties (eg, this.nHeads), on the assumption that the disk's geometry is homogeneous.
-                 */
-                if (iHead < drive.nHeads) {
-                    cylinder[iHead] = track;
-                    this.nHeads = iHead + 1;
-                }
-            }
-            if (track) {
-                for (i = 0; i < track.length; i++) {
-                    if (track[i] && track[i][DiskInfo.SECTOR.ID] == idSector) {
-                        sector = track[i];
-                        /*
-                         * When confronted with a series of sectors with the same sector ID (as found, for example, on
-                         * the 1984 King's Quest copy-protected diskette), we're supposed to advance to another sector in
-                         * the series.  So if the current sector matches the previous sector, we'll peek at the next sector
-                         * (if any), and if it has the same sector ID, then we'll choose that sector instead.
-                         */
-                        if (sectorPrev && sectorPrev == sector) {
-                            let j = i, sectorNext;
-                            while (true) {
-                                if (++j >= track.length) j = 0;
-                                sectorNext = track[j];
-                                if (sectorNext == sector) break;
-                                if (sectorNext[DiskInfo.SECTOR.ID] == idSector) {
-                                    sector = sectorNext;
-                                    i = j;
-                                    break;
-                                }
-                            }
-                        }
-                        break;
-                    }
-                }
-                /*
-                 * The following code allows an 8-sector track to be reformatted (ie, "expanded") as a 9-sector track.
-                 */
-                if (!sector && drive && drive.bFormatting && drive.bSector == 9) {
-                    sector = track[i] = this.buildSector(iCylinder, iHead, drive.bSector, drive.nBytes);
-                    /*
-                     * TODO: This is more dodginess, because we can't be certain that every track on the disk
-                     * will receive the same "expanded" treatment, but functions like getSector() rely on instance
-                     * properties (eg, this.nSectors), on the assumption that the disk's geometry is homogeneous.
-                     */
-                    if (this.nSectors < drive.bSector) this.nSectors = drive.bSector;
+        let off = 0;
+        let cb = db? db.length : 0;
+        for (let i = 0; i < aClusters.length; i++) {
+            let lba = vol.lbaStart + vol.vbaData + (aClusters[i] - DiskInfo.FAT12.CLUSNUM_MIN) * vol.clusSecs;
+            for (let iSector = 0; iSector < vol.clusSecs; iSector++) {
+                let sector = this.getSector(lba + iSector);
+                for (let ib = 0; sector && ib < vol.cbSector; ib++, off++) {
+                    this.write(sector, ib, off < cb? db.readUInt8(off) : 0, true);
                 }
             }
         }
-        if (done) done(sector, false);
-        return sector;
     }
 
     /**
-     * write(sector, iByte, b, fForce)
+     * writeDirEntry(entry, sName, cbFile, attr, dateMod, cluster)
+     *
+     * The bytes that buildDirEntry() doesn't set (0x0C-0x13, which later versions of DOS use for things like the
+     * creation date) are preserved if the entry is already in use, and zeroed otherwise.
      *
      * @this {DiskInfo}
-     * @param {Sector} sector (returned from a previous seek)
-     * @param {number} iByte (byte index within the given sector)
-     * @param {number} b the byte value to write
-     * @param {boolean} [fForce] (true to force a write operation, even if disk not writable)
-     * @returns {boolean|null} true if write successful, false if write-protected, null if out of bounds
+     * @param {Object} entry (LBA and offset of the directory entry to write)
+     * @param {string} sName
+     * @param {number} cbFile
+     * @param {number} attr
+     * @param {Date} dateMod
+     * @param {number} cluster
      */
-    write(sector, iByte, b, fForce)
+    writeDirEntry(entry, sName, cbFile, attr, dateMod, cluster)
     {
-        if (!fForce && !this.fWritable) return false;
-
-        if (Device.DEBUG && !iByte) {
-            this.printf(Device.MESSAGE.DISK, 'write("%s",CHS=%d:%d:%d)\n', this.diskName, sector.iCylinder, sector.iHead, sector[DiskInfo.SECTOR.ID]);
-        }
-
-        if (iByte < sector[DiskInfo.SECTOR.LENGTH]) {
-            if (b != this.read(sector, iByte, true)) {
-                let adw = sector[DiskInfo.SECTOR.DATA];
-                let dwPattern = adw[adw.length-1];
-                let idw = iByte >> 2;
-                let nShift = (iByte & 0x3) << 3;
-                /*
-                 * Ensure every byte up to the specified byte is properly initialized.
-                 */
-                for (let i = adw.length; i <= idw; i++) adw[i] = dwPattern;
-                /*
-                 * Non-writable disks don't need to track modifications, and the only way we can get here
-                 * on a non-writable disk is if this is a "forced" write, which again doesn't need to be tracked.
-                 */
-                if (this.fWritable) {
-                    if (!sector.cModify) {
-                        sector.iModify = idw;
-                        sector.cModify = 1;
-                    } else if (idw < sector.iModify) {
-                        sector.cModify += sector.iModify - idw;
-                        sector.iModify = idw;
-                    } else if (idw >= sector.iModify + sector.cModify) {
-                        sector.cModify += idw - (sector.iModify + sector.cModify) + 1;
-                    }
-                }
-                /*
-                 * Finally, write the byte.
-                 */
-                adw[idw] = (adw[idw] & ~(0xff << nShift)) | (b << nShift);
+        let ab = new Array(DiskInfo.DIRENT.LENGTH);
+        this.buildDirEntry(ab, 0, sName, cbFile, attr, dateMod, cluster);
+        let sector = this.getSector(entry.lba);
+        let b = this.getSectorData(sector, entry.off, 1);
+        let fInUse = (b != DiskInfo.DIRENT.UNUSED && b != DiskInfo.DIRENT.INVALID);
+        for (let i = 0; i < ab.length; i++) {
+            if (ab[i] == undefined) {
+                if (fInUse) continue;
+                ab[i] = 0;
             }
-            return true;
+            this.write(sector, entry.off + i, ab[i], true);
         }
-        return null;
     }
 
     /**
-     * updateBootSector(dbBoot, fReplaceBPB, iVolume)
+     * updateTables(vol)
      *
-     * We use the write() interface to modify the bytes of the boot sector, with fForce
-     * set, which allows writes even when the disk wasn't opened for writing.
+     * Called after a volume has been modified, to update the FAT32 FSInfo free cluster count (if any), recalculate
+     * the disk's checksum, and rebuild all the disk's tables.
      *
      * @this {DiskInfo}
-     * @param {DataBuffer} dbBoot (DataBuffer containing new boot sector)
-     * @param {boolean} [fReplaceBPB] (default is false, so we preserve the existing BPB)
-     * @param {number} [iVolume] (default is first volume, which is all most disks have anyway)
+     * @param {VolInfo} vol
      * @returns {boolean} (true if successful, false otherwise)
      */
-    updateBootSector(db, fReplaceBPB = false, iVolume = 0)
+    updateTables(vol)
     {
-        let fSuccess = false;
-        if (db && this.buildTables() >= 0) {
-            if (iVolume >= 0 && iVolume < this.volTable.length) {
-                let lbaBoot = this.volTable[iVolume].lbaStart;
-                let sectorBoot = this.getSector(lbaBoot);
-                if (sectorBoot) {
-                    fSuccess = true;
-                    let cb = sectorBoot[DiskInfo.SECTOR.LENGTH];
-                    /*
-                     * Even if we're not replacing the BPB portion of the boot sector, we still
-                     * need to check for a disk using our extended BPB format, and make sure those
-                     * fields are in sync with the existing BPB fields.
-                     */
-                    let bOpcode = db.readUInt8(0);
-                    if (bOpcode == CPUx86.OPCODE.CLD) {
-                        let nSecBytes = this.getSectorData(sectorBoot, DiskInfo.BPB.SECBYTES, 2);
-                        let nFATs = this.getSectorData(sectorBoot, DiskInfo.BPB.FATS, 1);
-                        let nFATSecs = this.getSectorData(sectorBoot, DiskInfo.BPB.FATSECS, 2);
-                        let nResSecs = this.getSectorData(sectorBoot, DiskInfo.BPB.RESSECS, 2);
-                        let nLBARoot = nResSecs + nFATs * nFATSecs;
-                        let nDirEnts = this.getSectorData(sectorBoot, DiskInfo.BPB.DIRENTS, 2);
-                        let nLBAData = (nLBARoot + ((nDirEnts * 0x20) + (nSecBytes - 1)) / nSecBytes)|0;
-                        let nTrackSecs = this.getSectorData(sectorBoot, DiskInfo.BPB.TRACKSECS, 2);
-                        let nDriveHeads = this.getSectorData(sectorBoot, DiskInfo.BPB.DRIVEHEADS, 2);
-                        let nCylSecs = nTrackSecs * nDriveHeads;
-                        db.writeUInt8(0, DiskInfo.BPB.DRIVE);
-                        db.writeUInt16LE(nCylSecs, DiskInfo.BPB.CYLSECS);
-                        db.writeUInt16LE(nLBARoot, DiskInfo.BPB.LBAROOT);
-                        db.writeUInt16LE(nLBAData, DiskInfo.BPB.LBADATA);
-                    }
-                    for (let ib = 0; ib < cb; ib++) {
-                        if (!fReplaceBPB) {
-                            if (ib >= DiskInfo.BPB.BEGIN && ib < DiskInfo.BPB.END) continue;
-                        }
-                        let b = db.readUInt8(ib);
-                        if (!this.write(sectorBoot, ib, b, true)) {
-                            fSuccess = false;
-                            break;
-                        }
-                    }
+        if (vol.vbaFSInfo) {
+            let sectorInfo = this.getSector(vol.lbaStart + vol.vbaFSInfo);
+            if (sectorInfo && (this.getSectorData(sectorInfo, DiskInfo.FSINFO.SIG_LEAD, 4) >>> 0) == DiskInfo.FSINFO.LEAD_SIGNATURE) {
+                for (let i = 0; i < 4; i++) {
+                    this.write(sectorInfo, DiskInfo.FSINFO.FREE_COUNT + i, (vol.clusFree >>> (i << 3)) & 0xff, true);
                 }
             }
         }
-        return fSuccess;
+        this.dwChecksum = 0;
+        let aDiskData = this.aDiskData;
+        for (let iCylinder = 0; iCylinder < aDiskData.length; iCylinder++) {
+            for (let iHead = 0; iHead < aDiskData[iCylinder].length; iHead++) {
+                for (let iSector = 0; iSector < aDiskData[iCylinder][iHead].length; iSector++) {
+                    let sector = aDiskData[iCylinder][iHead][iSector];
+                    if (sector) this.initSector(sector, sector[DiskInfo.SECTOR.DATA], sector[DiskInfo.SECTOR.LENGTH]);
+                }
+            }
+        }
+        return this.buildTables(true) >= 0;
     }
 }
 
+/*
+ * Status of each file returned by recoverFiles().
+ */
+DiskInfo.RECOVER = {
+    CHAIN:          'chain',        // recovered by following the file's (still intact) FAT chain
+    CONTIGUOUS:     'contiguous',   // recovered from consecutive free clusters
+    FRAGMENTED:     'fragmented',   // recovered from free clusters, skipping clusters in use (least reliable)
+    PARTIAL:        'partial',      // not enough free clusters; only part of the file was recovered
+    OVERWRITTEN:    'overwritten',  // the file's first cluster is in use, so nothing was recovered
+    EMPTY:          'empty',        // the file was empty, so there was nothing to recover
+    SLACK:          'slack'         // slack space (ie, unused bytes in the last cluster) of an existing file
+};
+
+/*
+ * Types of problems reported by checkDisk().
+ */
+DiskInfo.CHECK = {
+    MEDIA:      'media',            // invalid media ID
+    FATCOPY:    'fatcopy',          // FAT copy doesn't match the first FAT
+    FREE:       'free',             // FAT32 FSInfo free cluster count doesn't match the FAT
+    CHAIN:      'chain',            // invalid cluster in a chain (or a directory without any clusters)
+    CROSSLINK:  'crosslink',        // cluster belongs to more than one chain (or a chain contains a loop)
+    SIZE:       'size',             // file size doesn't match its chain length (or a directory has a non-zero size)
+    LOST:       'lost'              // chain of allocated clusters that doesn't belong to any file or directory
+};
+
 /*
  * Top-level descriptors in "extended" JSON disk images.
  */
@@ -3573,7 +6947,7 @@ DiskInfo.VOLDESC = {
     MEDIA_ID:   'idMedia',          // media ID
     LBA_VOL:    'lbaStart',         // LBA of volume
     LBA_TOTAL:  'lbaTotal',         // total blocks in volume
-    FAT_ID:     'idFAT',            // type of FAT (ie, 12 or 16)
+    FAT_ID:     'idFAT',            // type of FAT (ie, 12, 16 or 32)
     VBA_FAT:    'vbaFAT',           // VBA of first block of (first) FAT
     VBA_ROOT:   'vbaRoot',          // VBA of root directory
     ROOT_TOTAL: 'rootTotal',        // total entries in root directory
@@ -3582,7 +6956,8 @@ DiskInfo.VOLDESC = {
     CLUS_MAX:   'clusMax',          // maximum valid cluster number
     CLUS_BAD:   'clusBad',          // total bad clusters
     CLUS_FREE:  'clusFree',         // total free clusters
-    CLUS_TOTAL: 'clusTotal'         // total clusters
+    CLUS_TOTAL: 'clusTotal',        // total clusters
+    CLUS_ROOT:  'clusRoot'          // first cluster of root directory (FAT32 only)
 };
 
 /*
@@ -3599,6 +6974,7 @@ DiskInfo.FILEDESC = {
     DATE:       'date',
     SIZE:       'size',
     HASH:       'hash',
+    LFN:        'lfn',
     MODULE:     'module',
     MODNAME:    'name',
     MODDESC:    'description',
@@ -3626,7 +7002,10 @@ DiskInfo.SECTOR = {
     DATA_ERROR: 'dataError',
     DATA_MARK:  'dataMark',
     HEAD_CRC:   'headCRC',
-    HEAD_ERROR: 'headError'
+    HEAD_ERROR: 'headError',
+    TRACK_MODE: 'trackMode',        // IMD track mode (recorded only for FM tracks; see buildDiskFromIMD() and buildDiskFromTD0())
+    DATA_VARIANTS: 'dataVariants',  // array of alternate DATA arrays, returned by successive reads (for "weak" sectors)
+    DATA_WEAK:  'dataWeak'          // array of dword masks, laid out like DATA, of bits that read back randomly
 };
 
 DiskInfo.MBR = {
@@ -3650,7 +7029,12 @@ DiskInfo.MBR = {
             FAT12_PRIMARY:  0x01,   // DOS 2.0 and up (12-bit FAT)
             FAT16_PRIMARY:  0x04,   // DOS 3.0 and up (16-bit FAT with less than 65536 sectors (< 32Mb))
             EXTENDED:       0x05,   // DOS 3.3 and up (must reside within the first 8Gb)
-            FAT16_BIG:      0x06    // DOS 3.31 and up (16-bit FAT with 65536 or more sectors (>= 32Mb and < 8Gb))
+            FAT16_BIG:      0x06,   // DOS 3.31 and up (16-bit FAT with 65536 or more sectors (>= 32Mb and < 8Gb))
+            FAT32_CHS:      0x0B,   // Windows 95 OSR2 and up (32-bit FAT, CHS addressing)
+            FAT32_LBA:      0x0C,   // Windows 95 OSR2 and up (32-bit FAT, LBA addressing)
+            FAT16_LBA:      0x0E,   // Windows 95 and up (16-bit FAT, LBA addressing)
+            EXTENDED_LBA:   0x0F,   // Windows 95 and up (extended partition, LBA addressing)
+            HIDDEN:         0x10    // OS/2 Boot Manager (and others) hide a FAT partition by setting this bit in its type
         }
     },
     SIG_OFFSET:     0x1FE,
@@ -3715,6 +7099,90 @@ DiskInfo.BPB = {
     ENDEX:          0x2B        // end of extended BPB
 };
 
+/*
+ * FAT32 BIOS Parameter Block (BPB32) offsets
+ *
+ * A BPB32 is identical to a DOS 3.31 BPB up to offset 0x024, except that DIRENTS, DISKSECS and FATSECS must be zero;
+ * the rest of the FAT32-specific fields start at offset 0x024, which means our own extended BPB fields (see above) can't
+ * coexist with a BPB32.
+ */
+DiskInfo.BPB32 = {
+    FATSECS:        0x024,      // 4 bytes: sectors per FAT
+    EXTFLAGS:       0x028,      // 2 bytes: FAT mirroring flags (zero if all FATs are mirrored)
+    FSVER:          0x02A,      // 2 bytes: file system version (zero)
+    ROOTCLUS:       0x02C,      // 4 bytes: first cluster of root directory (usually 2)
+    FSINFO:         0x030,      // 2 bytes: VBA of FSInfo sector (usually 1)
+    BACKUP:         0x032,      // 2 bytes: VBA of backup boot sector (usually 6)
+    DRIVE:          0x040,      // 1 byte: drive # (0x80 for a fixed disk)
+    EXTSIG:         0x042,      // 1 byte: extended boot signature (0x29)
+    VOLID:          0x043,      // 4 bytes: volume serial number
+    LABEL:          0x047,      // 11 bytes: volume label
+    FSTYPE:         0x052,      // 8 bytes: "FAT32   "
+    END:            0x05A       // end of BPB32
+};
+
+/*
+ * FAT32 FSInfo sector offsets and signatures
+ */
+DiskInfo.FSINFO = {
+    SIG_LEAD:           0x000,  // 4 bytes: LEAD_SIGNATURE
+    SIG_STRUC:          0x1E4,  // 4 bytes: STRUC_SIGNATURE
+    FREE_COUNT:         0x1E8,  // 4 bytes: last known free cluster count (or UNKNOWN)
+    NEXT_FREE:          0x1EC,  // 4 bytes: hint for the next free cluster (or UNKNOWN)
+    SIG_TRAIL:          0x1FC,  // 4 bytes: TRAIL_SIGNATURE
+    LEAD_SIGNATURE:     0x41615252,
+    STRUC_SIGNATURE:    0x61417272,
+    TRAIL_SIGNATURE:    0xAA550000,
+    UNKNOWN:            0xFFFFFFFF
+};
+
+/*
+ * VHD (Virtual Hard Disk) footer and dynamic disk header offsets and constants; all multi-byte values are big-endian,
+ * and all "8 byte" values are 64-bit quantities, which we treat as 32-bit quantities (ie, we ignore the upper 32 bits).
+ */
+DiskInfo.VHD = {
+    FOOTER: {
+        COOKIE:         0x000,  // 8 bytes: "conectix"
+        FEATURES:       0x008,  // 4 bytes: 0x00000002 (the "reserved" bit must always be set)
+        VERSION:        0x00C,  // 4 bytes: 0x00010000
+        DATA_OFFSET:    0x010,  // 8 bytes: offset of the dynamic disk header (0xFFFFFFFFFFFFFFFF for fixed disks)
+        TIMESTAMP:      0x018,  // 4 bytes: seconds since January 1, 2000 12:00:00 AM UTC
+        CREATOR_APP:    0x01C,  // 4 bytes
+        CREATOR_VER:    0x020,  // 4 bytes
+        CREATOR_OS:     0x024,  // 4 bytes
+        ORIG_SIZE:      0x028,  // 8 bytes
+        CURR_SIZE:      0x030,  // 8 bytes
+        CYLINDERS:      0x038,  // 2 bytes
+        HEADS:          0x03A,  // 1 byte
+        SECTORS:        0x03B,  // 1 byte (sectors per track)
+        DISK_TYPE:      0x03C,  // 4 bytes: one of the TYPE values below
+        CHECKSUM:       0x040,  // 4 bytes: one's complement of the sum of all footer bytes, excluding the checksum
+        UUID:           0x044,  // 16 bytes
+        SAVED_STATE:    0x054,  // 1 byte
+        LENGTH:         512
+    },
+    HEADER: {
+        COOKIE:         0x000,  // 8 bytes: "cxsparse"
+        DATA_OFFSET:    0x008,  // 8 bytes: unused (0xFFFFFFFFFFFFFFFF)
+        TABLE_OFFSET:   0x010,  // 8 bytes: offset of the Block Allocation Table (BAT)
+        VERSION:        0x018,  // 4 bytes: 0x00010000
+        MAX_ENTRIES:    0x01C,  // 4 bytes: number of BAT entries
+        BLOCK_SIZE:     0x020,  // 4 bytes: size of the data portion of each block (default is 2Mb)
+        CHECKSUM:       0x024,  // 4 bytes
+        LENGTH:         1024
+    },
+    TYPE: {
+        FIXED:          2,
+        DYNAMIC:        3,
+        DIFFERENCING:   4
+    },
+    FOOTER_COOKIE:      "conectix",
+    HEADER_COOKIE:      "cxsparse",
+    BLOCK_SIZE:         0x200000,
+    BAT_UNUSED:         0xFFFFFFFF,
+    TIMESTAMP_BASE:     946684800   // January 1, 2000 12:00:00 AM UTC, in seconds since January 1, 1970
+};
+
 /*
  * The BPBs that buildDiskFromBuffer() currently supports; these BPBs should be in order of smallest/oldest to largest/newest
  * capacity, to help ensure we don't select a disk format larger (or newer) than necessary.
@@ -4010,6 +7478,7 @@ DiskInfo.FAT = {
  */
 DiskInfo.FAT12 = {
     MAX_CLUSTERS:   4084,
+    MAX_SECTORS:    32680,      // FDISK and FORMAT use a 12-bit FAT only for hard disk partitions smaller than this (ie, < 16Mb)
     CLUSNUM_FREE:   0,          // this should NEVER appear in cluster chain (except at the start of an empty chain)
     CLUSNUM_RES:    1,          // reserved; this should NEVER appear in cluster chain
     CLUSNUM_MIN:    2,          // smallest valid cluster number
@@ -4031,6 +7500,23 @@ DiskInfo.FAT16 = {
     CLUSNUM_EOC:    0xFFF8      // end of chain (actually, anything from 0xFFF8-0xFFFF indicates EOC)
 };
 
+/*
+ * Cluster constants for 32-bit FATs (CLUSNUM_FREE, CLUSNUM_RES and CLUSNUM_MIN are the same for all FATs)
+ *
+ * FAT32 entries are really only 28 bits; the upper 4 bits are reserved, so they should be ignored when reading an entry
+ * and preserved when writing one.  MIN_CLUSTERS is the smallest cluster count that requires a 32-bit FAT.
+ */
+DiskInfo.FAT32 = {
+    MIN_CLUSTERS:   65525,
+    MAX_CLUSTERS:   0x0FFFFFF5,
+    CLUSNUM_FREE:   0,          // this should NEVER appear in cluster chain (except at the start of an empty chain)
+    CLUSNUM_RES:    1,          // reserved; this should NEVER appear in cluster chain
+    CLUSNUM_MIN:    2,          // smallest valid cluster number
+    CLUSNUM_MAX:    0x0FFFFFF6, // largest valid cluster number
+    CLUSNUM_BAD:    0x0FFFFFF7, // bad cluster; this should NEVER appear in cluster chain
+    CLUSNUM_EOC:    0x0FFFFFF8  // end of chain (actually, anything from 0x0FFFFFF8-0x0FFFFFFF indicates EOC)
+};
+
 /*
  * Directory Entry offsets (and assorted constants) in FAT disk images
  *
@@ -4045,6 +7531,7 @@ DiskInfo.DIRENT = {
     NAME:           0x000,      // 8 bytes
     EXT:            0x008,      // 3 bytes
     ATTR:           0x00B,      // 1 byte
+    CLUSTER_HI:     0x014,      // 2 bytes (FAT32 only: high word of the first cluster number)
     MODTIME:        0x016,      // 2 bytes: bits 15-11 is hour (0-31), bits 10-5 is minute (0-63), bits 4-0 is second/2 (0-31)
     MODDATE:        0x018,      // 2 bytes: bits 15-9 is year (0 for 1980, 127 for 2107), bits 8-5 is month (1-12), bits 4-0 is day (1-31)
     CLUSTER:        0x01A,      // 2 bytes
@@ -4054,6 +7541,26 @@ DiskInfo.DIRENT = {
     INVALID:        0xE5        // indicates this directory entry is unused
 };
 
+/*
+ * Long filename (LFN) directory entries, which are identified by a DIRENT.ATTR of ATTR.LFN, precede the
+ * short (8.3) entry they belong to, in reverse order; ie, the entry containing the last part of the name comes
+ * first, and its sequence number has the LAST bit set.
+ */
+DiskInfo.LFN = {
+    SEQ:            0x000,      // 1 byte: sequence number (1-20), plus LAST bit
+    NAME1:          0x001,      // 10 bytes (5 UCS-2 characters)
+    ATTR:           0x00B,      // 1 byte (always ATTR.LFN)
+    TYPE:           0x00C,      // 1 byte (always zero)
+    CHECKSUM:       0x00D,      // 1 byte: checksum of the 11-byte short name
+    NAME2:          0x00E,      // 12 bytes (6 UCS-2 characters)
+    CLUSTER:        0x01A,      // 2 bytes (always zero)
+    NAME3:          0x01C,      // 4 bytes (2 UCS-2 characters)
+    SEQ_MASK:       0x1F,
+    SEQ_LAST:       0x40,
+    CHARS:          13,         // UCS-2 characters per entry
+    MAXLEN:         255         // maximum long filename length
+};
+
 /*
  * Possible values for DIRENT.ATTR
  */
@@ -4066,3 +7573,81 @@ DiskInfo.ATTR = {
     SUBDIR:         0x10,       // PC DOS 2.0 and up
     ARCHIVE:        0x20        // PC DOS 2.0 and up
 };
+
+/*
+ * ISO 9660 (CD-ROM) volume descriptors begin at VD_LBA and continue until a TERMINATOR descriptor; all multi-byte
+ * values are recorded in both little-endian and big-endian order ("both-endian"), and we read only the little-endian
+ * half (which always comes first).  A Joliet volume is simply a SUPPLEMENTARY descriptor whose ESCAPES field begins
+ * with one of the JOLIET escape sequences, and all its names (including the volume ID) are UCS-2 (big-endian).
+ */
+DiskInfo.ISO = {
+    SECTOR_SIZE:    2048,
+    VD_LBA:         16,
+    SIGNATURE:      "CD001",
+    VD: {
+        TYPE:         0x000,      // 1 byte (see VD_TYPE)
+        ID:           0x001,      // 5 bytes (SIGNATURE)
+        VERSION:      0x006,      // 1 byte (always 1)
+        SYSTEM_ID:    0x008,      // 32 bytes
+        VOLUME_ID:    0x028,      // 32 bytes
+        VOLUME_SIZE:  0x050,      // 8 bytes (both-endian): total logical blocks
+        ESCAPES:      0x058,      // 32 bytes (SUPPLEMENTARY descriptors only)
+        SET_SIZE:     0x078,      // 4 bytes (both-endian)
+        SEQ_NUM:      0x07C,      // 4 bytes (both-endian)
+        BLOCK_SIZE:   0x080,      // 4 bytes (both-endian): logical block size (always 2048 in practice)
+        PATH_SIZE:    0x084,      // 8 bytes (both-endian)
+        PATH_LE:      0x08C,      // 4 bytes: LBA of the little-endian path table
+        PATH_BE:      0x094,      // 4 bytes (big-endian): LBA of the big-endian path table
+        ROOT:         0x09C,      // 34 bytes: directory record of the root directory
+        SET_ID:       0x0BE,      // 128 bytes
+        PUBLISHER_ID: 0x13E,      // 128 bytes
+        PREPARER_ID:  0x1BE,      // 128 bytes
+        APP_ID:       0x23E,      // 128 bytes
+        COPYRIGHT_ID: 0x2BE,      // 37 bytes (the remaining identifiers are file names)
+        ABSTRACT_ID:  0x2E3,      // 37 bytes
+        BIBLIO_ID:    0x308,      // 37 bytes
+        CREATED:      0x32D,      // 17 bytes: "YYYYMMDDHHMMSScc" followed by a 1-byte GMT offset (in 15-minute intervals)
+        MODIFIED:     0x33E,      // 17 bytes
+        EXPIRES:      0x34F,      // 17 bytes
+        EFFECTIVE:    0x360,      // 17 bytes
+        FS_VERSION:   0x371       // 1 byte (always 1)
+    },
+    VD_TYPE: {
+        BOOT:         0x00,
+        PRIMARY:      0x01,
+        SUPPLEMENTARY:0x02,
+        PARTITION:    0x03,
+        TERMINATOR:   0xFF
+    },
+    JOLIET: ["%/@", "%/C", "%/E"],  // UCS-2 levels 1, 2 and 3
+    JOLIET_MAXLEN:  64,             // maximum length of a Joliet name (in UCS-2 characters)
+    DIR: {
+        LENGTH:       0x000,      // 1 byte: length of the record (records never span sectors; zero means skip to the next sector)
+        EXT_LENGTH:   0x001,      // 1 byte: length of the extended attribute record, if any (in logical blocks)
+        EXTENT:       0x002,      // 8 bytes (both-endian): first LBA of the extent
+        SIZE:         0x00A,      // 8 bytes (both-endian): size of the extent, in bytes
+        DATE:         0x012,      // 7 bytes: years since 1900, month (1-12), day, hour, minute, second, GMT offset
+        FLAGS:        0x019,      // 1 byte (see FLAGS)
+        UNIT_SIZE:    0x01A,      // 1 byte (interleaved files only)
+        GAP_SIZE:     0x01B,      // 1 byte (interleaved files only)
+        SEQ_NUM:      0x01C,      // 4 bytes (both-endian): volume sequence number
+        NAME_LENGTH:  0x020,      // 1 byte
+        NAME:         0x021,      // name (0x00 for ".", 0x01 for ".."), padded to an even record length
+        MINLENGTH:    0x022       // 34 bytes (ie, a record with a 1-byte name)
+    },
+    PATH: {
+        NAME_LENGTH:  0x000,      // 1 byte
+        EXT_LENGTH:   0x001,      // 1 byte
+        EXTENT:       0x002,      // 4 bytes (little-endian in the L table, big-endian in the M table)
+        PARENT:       0x006,      // 2 bytes (same as EXTENT): number (1-based) of the parent directory's path table record
+        NAME:         0x008       // name (0x00 for the root), padded to an even record length
+    },
+    FLAGS: {
+        HIDDEN:       0x01,
+        DIRECTORY:    0x02,
+        ASSOCIATED:   0x04,
+        RECORD:       0x08,
+        PROTECTION:   0x10,
+        MULTI_EXTENT: 0x80      // more extents of the same file follow
+    }
+};
@@ -28,6 +28,7 @@ import DiskInfo from "./diskinfo.js";
  * @property {number}    size
  * @property {number}    cluster
  * @property {Array.<number>}   aLBA
+ * @property {string}           [lfn] (long filename, if any)
  * @property {string}           [module]
  * @property {string}           [modDesc]
  * @property {Object.<segInfo>} [segments]
@@ -36,7 +36,8 @@ var DiskAPI = {
         LOCAL:      "local",    // this mode implies no API (at best, localStorage backing only)
         PRELOAD:    "preload",  // this mode implies use of the DumpAPI
         DEMANDRW:   "demandrw",
-        DEMANDRO:   "demandro"
+        DEMANDRO:   "demandro",
+        STREAM:     "stream"    // this mode implies HTTP Range requests for raw disk images (see Disk.loadStream())
     },
     FAIL: {
         BADACTION:  "invalid action",
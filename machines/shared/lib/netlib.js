@@ -292,15 +292,22 @@ class Net {
      *
      * Request the specified resource (sURL), and once the request is complete, notify done().
      *
+     * Web.getResource() passes its request type as dataPost, and a type of "arraybuffer" (eg, for a raw disk image)
+     * returns the contents of a local file as an ArrayBuffer instead of a string.
+     *
      * @param {string} sURL
-     * @param {Object|null} [dataPost] for a POST request (default is a GET request)
+     * @param {Object|string|null} [dataPost] for a POST request (default is a GET request)
      * @param {boolean} [fAsync] is true for an asynchronous request
-     * @param {function(string,string|null,number)} [done]
+     * @param {function(string,string|ArrayBuffer|null,number)} [done]
      * @return {Array|null} Array containing [sResource, nErrorCode], or null if no response yet
      */
     static getResource(sURL, dataPost, fAsync, done)
     {
         let nErrorCode = -1, sResource = null, response = null;
+        let sEncoding = (dataPost == "arraybuffer"? null : "utf8");
+        let getResource = function(data) {
+            return sEncoding? data : data.buffer.slice(data.byteOffset, data.byteOffset + data.length);
+        };
 
         if (Net.isRemote(sURL)) {
             /*
@@ -322,20 +329,20 @@ class Net {
             }
             let sFile = path.join(Net.sServerRoot, sURL);
             if (fAsync) {
-                fs.readFile(sFile, {encoding: "utf8"}, function(err, s)
+                fs.readFile(sFile, {encoding: sEncoding}, function(err, data)
                 {
                     /*
                      * TODO: If err is set, is there an error code we should return (instead of -1)?
                      */
                     if (!err) {
-                        sResource = s;
+                        sResource = getResource(data);
                         nErrorCode = 0;
                     }
                     if (done) done(sURL, sResource, nErrorCode);
                 });
             } else {
                 try {
-                    sResource = fs.readFileSync(sFile, {encoding: "utf8"});
+                    sResource = getResource(fs.readFileSync(sFile, {encoding: sEncoding}));
                     nErrorCode = 0;
                 } catch (err) {
                     /*
@@ -349,6 +356,88 @@ class Net {
         }
         return response;
     }
+
+    /**
+     * getResourceRange(sURL, off, len, fAsync, done)
+     *
+     * The Node counterpart to Web.getResourceRange(); local files are read directly, and remote files are requested
+     * with an HTTP Range header (only asynchronously, so synchronous requests for remote files simply fail).
+     *
+     * @param {string} sURL
+     * @param {number} off
+     * @param {number} len
+     * @param {boolean} fAsync
+     * @param {function(string,ArrayBuffer,number,number,number)} done
+     */
+    static getResourceRange(sURL, off, len, fAsync, done)
+    {
+        let getArrayBuffer = function(buf) {
+            return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.length);
+        };
+        if (Net.isRemote(sURL)) {
+            if (!fAsync) {
+                done(sURL, null, -1, 0, off);
+                return;
+            }
+            let options = url.parse(sURL);
+            options.headers = {"Range": "bytes=" + off + "-" + (off + len - 1)};
+            http.get(options, function(res)
+            {
+                let aBuffers = [];
+                res.on('data', function(data)
+                {
+                    aBuffers.push(data);
+                }).on('end', function()
+                {
+                    let buf = Buffer.concat(aBuffers);
+                    if (res.statusCode == 206) {
+                        let match = (res.headers['content-range'] || "").match(/\/([0-9]+)$/);
+                        done(sURL, getArrayBuffer(buf), 0, match? +match[1] : off + buf.length, off);
+                    } else if (res.statusCode == 200) {
+                        done(sURL, getArrayBuffer(buf), 0, buf.length, 0);
+                    } else {
+                        done(sURL, null, res.statusCode, 0, off);
+                    }
+                }).on('error', function(err)
+                {
+                    done(sURL, null, res.statusCode || -1, 0, off);
+                });
+            }).on('error', function(err)
+            {
+                done(sURL, null, -1, 0, off);
+            });
+            return;
+        }
+        if (!Net.sServerRoot) {
+            Net.sServerRoot = path.join(path.dirname(fs.realpathSync(__filename)), "../../../");
+        }
+        let sFile = path.join(Net.sServerRoot, sURL);
+        let resource = null, nErrorCode = -1, cbTotal = 0, fd;
+        try {
+            fd = fs.openSync(sFile, "r");
+            cbTotal = fs.fstatSync(fd).size;
+            if (off < 0 || len <= 0 || off >= cbTotal) {
+                /*
+                 * This is the same error (416: Range Not Satisfiable) that a server would return for the same request.
+                 */
+                nErrorCode = 416;
+            } else {
+                let buf = Buffer.alloc(Math.min(len, cbTotal - off));
+                fs.readSync(fd, buf, 0, buf.length, off);
+                resource = getArrayBuffer(buf);
+                nErrorCode = 0;
+            }
+        } catch(err) {
+            console.log(err.message);
+        } finally {
+            if (fd !== undefined) fs.closeSync(fd);
+        }
+        if (fAsync) {
+            setTimeout(function() { done(sURL, resource, nErrorCode, cbTotal, off); }, 0);
+        } else {
+            done(sURL, resource, nErrorCode, cbTotal, off);
+        }
+    }
 }
 
 /*
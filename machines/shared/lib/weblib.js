@@ -179,9 +179,7 @@ class Web {
             return response;
         }
 
-        if (COMPILED || !Web.getHostName().match(/^(.+\.local|localhost|0\.0\.0\.0|pcjs)$/)) {
-            sURL = sURL.replace(/^\/(diskettes|gamedisks|harddisks|decdisks|pcsig[0-9a-z]*-disks|private)\//, "https://$1.pcjs.org/").replace(/^\/discs\/([^/]*)\//, "https://$1.pcjs.org/");
-        }
+        sURL = Web.getResourceURL(sURL);
 
         if (typeof module !== "undefined") {
             /*
@@ -293,6 +291,96 @@ class Web {
         return response;
     }
 
+    /**
+     * getResourceRange(sURL, off, len, fAsync, done)
+     *
+     * Request the specified range of bytes from the specified resource (sURL), using an HTTP Range request,
+     * and once the request is complete, notify done(), which is passed five parameters:
+     *
+     *      done(sURL, resource, nErrorCode, cbTotal, offResource)
+     *
+     * where resource is an ArrayBuffer, cbTotal is the size of the entire resource, and offResource is the offset
+     * of the resource data within the entire resource.  Servers that don't support Range requests will return the
+     * entire resource, in which case offResource will be zero and the resource length will be cbTotal.
+     *
+     * Browsers don't allow synchronous requests to specify an "arraybuffer" response type, so synchronous requests
+     * fall back to the old "x-user-defined" character set trick, and the resulting string is converted to an ArrayBuffer.
+     *
+     * @param {string} sURL
+     * @param {number} off
+     * @param {number} len
+     * @param {boolean} fAsync
+     * @param {function(string,ArrayBuffer,number,number,number)} done
+     */
+    static getResourceRange(sURL, off, len, fAsync, done)
+    {
+        sURL = Web.getResourceURL(sURL);
+
+        if (typeof module !== "undefined") {
+            let Net = require("../../shared/lib/netlib");
+            Net.getResourceRange(sURL, off, len, fAsync, done);
+            return;
+        }
+
+        let request = new window.XMLHttpRequest();
+        let callback = function() {
+            if (request.readyState !== 4) return;
+            let resource = null, nErrorCode = 0, cbTotal = 0, offResource = off;
+            try {
+                if (fAsync) {
+                    resource = request.response;
+                } else {
+                    let s = request.responseText;
+                    let ab = new Uint8Array(s.length);
+                    for (let i = 0; i < s.length; i++) ab[i] = s.charCodeAt(i) & 0xff;
+                    resource = ab.buffer;
+                }
+            } catch(err) {
+                if (MAXDEBUG) Web.log("xmlHTTPRequest(" + sURL + ") exception: " + err.message);
+            }
+            if (resource && request.status == 206) {
+                let match = (request.getResponseHeader("Content-Range") || "").match(/\/([0-9]+)$/);
+                cbTotal = match? +match[1] : off + resource.byteLength;
+            } else if (resource && request.status == 200) {
+                cbTotal = resource.byteLength;
+                offResource = 0;
+            } else {
+                nErrorCode = request.status || -1;
+                Web.log("xmlHTTPRequest(" + sURL + "): error code " + nErrorCode);
+            }
+            done(sURL, resource, nErrorCode, cbTotal, offResource);
+        };
+
+        if (MAXDEBUG) Web.log("Web.getResourceRange(GET " + sURL + "," + off + "," + len + ")");
+        request.open("GET", sURL, fAsync);
+        request.setRequestHeader("Range", "bytes=" + off + "-" + (off + len - 1));
+        if (fAsync) {
+            request.responseType = "arraybuffer";
+            request.onreadystatechange = callback;
+        } else {
+            request.overrideMimeType("text/plain; charset=x-user-defined");
+        }
+        request.send();
+        if (!fAsync) callback();
+    }
+
+    /**
+     * getResourceURL(sURL)
+     *
+     * Maps any of our implicit disk paths (eg, "/harddisks/...") to the corresponding disk server, unless we're running
+     * on a development server.
+     *
+     * @param {string} sURL
+     * @return {string}
+     */
+    static getResourceURL(sURL)
+    {
+        if (COMPILED || !Web.getHostName().match(/^(.+\.local|localhost|0\.0\.0\.0|pcjs)$/)) {
+            sURL = sURL.replace(/^\/(diskettes|gamedisks|harddisks|decdisks|pcsig[0-9a-z]*-disks|private)\//, "https://$1.pcjs.org/").replace(/^\/discs\/([^/]*)\//, "https://$1.pcjs.org/");
+        }
+        return sURL;
+    }
+
     /**
      * parseMemoryResource(sURL, sData)
      *
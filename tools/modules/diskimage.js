@@ -15,15 +15,18 @@ import path       from "path";
 import got        from "got";
 import DataBuffer from "./nodebuffer.js";
 import StdLib     from "./stdlib.js";
+import ZipFile    from "./zipfile.js";
 import Device     from "../../machines/modules/device.js";
 import JSONLib    from "../../machines/modules/jsonlib.js";
 import DiskInfo   from "../../machines/pcx86/modules/diskinfo.js";
+import RT11       from "../../machines/dec/pdp11/modules/rt11.js";
 
 let device = new Device("node");
 let printf = device.printf.bind(device);
 let sprintf = device.sprintf.bind(device);
 let stdlib = new StdLib();
 let nMaxDefault = 512, nMaxInit, nMaxCount;
+let cbChunk = 32768;            // size of the chunks that ATAPI (CD-ROM) drives read (see writeDisk())
 let moduleDir, rootDir, sFileIndex, useServer;
 
 function printError(err)
@@ -77,7 +80,7 @@ function createDisk(diskFile, diskette, argv)
         /*
          * The "archive" property determines what we look for in an "archive/" folder alongside the JSON disk image:
          *
-         *  1) If it begins with a period, then we assume it's a file extension (eg, ".img", ".psi", etc)
+         *  1) If it begins with a period, then we assume it's a file extension (eg, ".img", ".psi", ".imd", ".td0", etc)
          *  2) If it's "folder", then the name of the diskette is used as a folder name (with trailing slash)
          *  3) Anything else is more or less used as-is (and unless it contains a period, we add a trailing slash)
          */
@@ -114,6 +117,92 @@ function createDisk(diskFile, diskette, argv)
     return di;
 }
 
+/**
+ * diffDisks(di1, di2)
+ *
+ * Unlike compareDisks(), which simply tells you whether two disk image files are identical, this compares two
+ * disk images at the file level, using the file manifest of each image, and then compares all the sectors (or the
+ * parts of sectors) that don't belong to any file in either image, so that differences in boot sectors, FATs,
+ * directories, file slack, and unused space are reported as well.
+ *
+ * Sector data belonging to a file is never compared, because any difference there is already reported as a
+ * file change (or as an added or removed file).
+ *
+ * @param {DiskInfo} di1
+ * @param {DiskInfo} di2
+ * @returns {Object} (with disk1, disk2, added, removed, changed, and sectors properties)
+ */
+function diffDisks(di1, di2)
+{
+    let report = {disk1: di1.getName(), disk2: di2.getName(), added: [], removed: [], changed: [], sectors: []};
+
+    let getFiles = (di) => {
+        let files = {};
+        di.getFileManifest(getHash).forEach(function addManifestFile(desc) {
+            let file = {
+                path: desc[DiskInfo.FILEDESC.PATH],
+                vol: desc[DiskInfo.FILEDESC.VOL] || 0,
+                size: desc[DiskInfo.FILEDESC.SIZE] || 0,
+                date: desc[DiskInfo.FILEDESC.DATE],
+                attr: desc[DiskInfo.FILEDESC.ATTR]
+            };
+            if (desc[DiskInfo.FILEDESC.HASH]) file.hash = desc[DiskInfo.FILEDESC.HASH];
+            files[file.vol + ':' + file.path] = file;
+        });
+        return files;
+    };
+
+    let files1 = getFiles(di1), files2 = getFiles(di2);
+    for (let key in files1) {
+        let file1 = files1[key], file2 = files2[key];
+        if (!file2) {
+            report.removed.push(file1);
+            continue;
+        }
+        let changes = {};
+        ['size', 'date', 'attr', 'hash'].forEach(function compareFileProperty(prop) {
+            if (file1[prop] !== file2[prop]) changes[prop] = [file1[prop], file2[prop]];
+        });
+        if (Object.keys(changes).length) {
+            report.changed.push(Object.assign({path: file1.path, vol: file1.vol}, changes));
+        }
+    }
+    for (let key in files2) {
+        if (!files1[key]) report.added.push(files2[key]);
+    }
+
+    let nSectors = Math.max(Math.ceil((di1.getSize() || 0) / di1.cbSector), Math.ceil((di2.getSize() || 0) / di2.cbSector));
+    for (let lba = 0; lba < nSectors; lba++) {
+        let sector1 = di1.getSector(lba), sector2 = di2.getSector(lba);
+        if (!sector1 || !sector2) {
+            let di = sector1? di1 : di2;
+            let [type] = getSectorUsage(di, lba);
+            report.sectors.push({lba, type, missing: sector1? 2 : 1});
+            continue;
+        }
+        let [type1, offset1, path1] = getSectorUsage(di1, lba);
+        let [type2, offset2, path2] = getSectorUsage(di2, lba);
+        if (offset1 < 0 || offset2 < 0) continue;
+        let offset = Math.max(offset1, offset2);
+        let type = type1 == "slack" || type2 != "slack"? type1 : type2;
+        let sPath = type1 == "slack"? path1 : path2;
+        let cbSector = Math.max(sector1[DiskInfo.SECTOR.LENGTH], sector2[DiskInfo.SECTOR.LENGTH]);
+        let offFirst = -1, nBytes = 0;
+        for (let i = offset; i < cbSector; i++) {
+            if (di1.read(sector1, i, true) != di2.read(sector2, i, true)) {
+                if (offFirst < 0) offFirst = i;
+                nBytes++;
+            }
+        }
+        if (nBytes) {
+            let diff = {lba, type, offset: offFirst, length: nBytes};
+            if (type == "slack") diff.path = sPath;
+            report.sectors.push(diff);
+        }
+    }
+    return report;
+}
+
 /**
  * dumpSector(di, sector, offset, limit)
  *
@@ -194,6 +283,50 @@ function getFullPath(sFile)
     return sFile;
 }
 
+/**
+ * getSectorUsage(di, lba)
+ *
+ * Classifies the given sector of a disk image as one of the following types:
+ *
+ *      "mbr":      master boot record (ie, the first sector of a partitioned disk)
+ *      "boot":     boot sector (or any other reserved sector) of a volume
+ *      "fat":      FAT sector
+ *      "dir":      root directory or subdirectory sector
+ *      "slack":    last sector of a file, which may contain unused bytes after the end of the file
+ *      "file":     any other sector of a file
+ *      "unused":   data area sector that doesn't belong to any file
+ *      "reserved": any other sector outside of all volumes (eg, the rest of the first track of a hard disk)
+ *
+ * along with the offset of the first byte that does NOT belong to a file (ie, zero for all non-file sectors,
+ * and -1 if the entire sector belongs to a file), which we obtain from getUnusedSectorData().
+ *
+ * @param {DiskInfo} di
+ * @param {number} lba
+ * @returns {Array} ([type, offset, path], where path is set only for file sectors)
+ */
+function getSectorUsage(di, lba)
+{
+    let sector = di.getSector(lba);
+    let iFile = sector && sector[DiskInfo.SECTOR.FILE_INDEX];
+    if (iFile != undefined) {
+        let file = di.fileTable[iFile];
+        let sPath = file.path.replace(/\\/g, '/');
+        if (file.attr & DiskInfo.ATTR.SUBDIR) {
+            return ["dir", 0, sPath];
+        }
+        let offset = di.getUnusedSectorData(sector);
+        return [offset < 0? "file" : "slack", offset, sPath];
+    }
+    for (let iVolume = 0; iVolume < di.volTable.length; iVolume++) {
+        let vol = di.volTable[iVolume];
+        let vba = lba - vol.lbaStart;
+        if (vba >= 0 && vba < vol.lbaTotal) {
+            return [vba < vol.vbaFAT? "boot" : (vba < vol.vbaRoot? "fat" : (vba < vol.vbaData? "dir" : "unused")), 0];
+        }
+    }
+    return [!lba && di.volTable.length && di.volTable[0].iPartition >= 0? "mbr" : "reserved", 0];
+}
+
 /**
  * isServerRoot(diskFile)
  *
@@ -239,6 +372,18 @@ function isTextFile(sFile)
     return false;
 }
 
+/**
+ * isZipFile(sFile)
+ *
+ * @param {string} sFile
+ * @return {boolean} true if the filename has a ".zip" extension and is an existing file, false otherwise
+ */
+function isZipFile(sFile)
+{
+    if (!sFile.toLowerCase().endsWith(".zip") || !existsFile(sFile)) return false;
+    return fs.statSync(getFullPath(sFile)).isFile();
+}
+
 /**
  * mapDiskToServer(diskFile)
  *
@@ -253,6 +398,82 @@ function mapDiskToServer(diskFile)
     return diskFile;
 }
 
+/**
+ * normalizeText(sName, data)
+ *
+ * @param {string} sName
+ * @param {string} data
+ * @returns {DataBuffer} (the data with LF line endings replaced with CR+LF, unless the data isn't ASCII)
+ */
+function normalizeText(sName, data)
+{
+    if (isASCII(data)) {
+        let dataNew = data.replace(/\n/g, "\r\n").replace(/\r+/g, "\r");
+        if (dataNew != data) printf("replaced line endings in %s (size changed from %d to %d bytes)\n", sName, data.length, dataNew.length);
+        data = dataNew;
+    } else {
+        printf("non-ASCII data in %s (line endings unchanged)\n", sName);
+    }
+    return new DataBuffer(data);
+}
+
+/**
+ * printCheck(di, aProblems)
+ *
+ * Prints the problems returned by checkDisk().
+ *
+ * @param {DiskInfo} di
+ * @param {Array.<Object>} aProblems
+ */
+function printCheck(di, aProblems)
+{
+    let nRepaired = 0;
+    for (let problem of aProblems) {
+        printf("volume %d: %s%s\n", problem.vol, problem.message, problem.repaired? " (repaired)" : "");
+        if (problem.repaired) nRepaired++;
+    }
+    if (!aProblems.length) {
+        printf("%s: no problems found\n", di.getName());
+    } else {
+        printf("%s: %d problem(s) found, %d repaired\n", di.getName(), aProblems.length, nRepaired);
+    }
+}
+
+/**
+ * printDiff(report)
+ *
+ * Prints the report returned by diffDisks().
+ *
+ * @param {Object} report
+ */
+function printDiff(report)
+{
+    let getPath = (file) => (file.vol? sprintf("%d:", file.vol) : "") + file.path;
+    printf("comparing %s to %s\n", report.disk1, report.disk2);
+    report.removed.forEach(function printRemovedFile(file) {
+        printf("removed: %-32s %7d  %s  %s\n", getPath(file), file.size, file.date, file.attr);
+    });
+    report.added.forEach(function printAddedFile(file) {
+        printf("added:   %-32s %7d  %s  %s\n", getPath(file), file.size, file.date, file.attr);
+    });
+    report.changed.forEach(function printChangedFile(file) {
+        let aChanges = [];
+        ['size', 'date', 'attr', 'hash'].forEach(function printFileProperty(prop) {
+            let values = file[prop];
+            if (values) aChanges.push(sprintf("%s %s -> %s", prop, values[0] != undefined? values[0] : "none", values[1] != undefined? values[1] : "none"));
+        });
+        printf("changed: %-32s %s\n", getPath(file), aChanges.join(", "));
+    });
+    report.sectors.forEach(function printSectorDiff(diff) {
+        if (diff.missing) {
+            printf("sector:  LBA %d (%s) missing from %s\n", diff.lba, diff.type, diff.missing == 1? report.disk1 : report.disk2);
+        } else {
+            printf("sector:  LBA %d (%s%s) %d byte(s) differ, starting at offset %#06x\n", diff.lba, diff.type, diff.path? " " + diff.path : "", diff.length, diff.offset);
+        }
+    });
+    printf("%d file(s) removed, %d added, %d changed; %d sector(s) outside of files differ\n", report.removed.length, report.added.length, report.changed.length, report.sectors.length);
+}
+
 /**
  * printFileDesc(diskFile, diskName, desc)
  *
@@ -361,7 +582,106 @@ function processDisk(di, diskFile, argv, diskette)
         }
     }
 
-    if (argv['list']) {
+    /*
+     * Any "--add", "--replace", "--delete", or "--rename" options modify the disk in place; they may be specified
+     * multiple times, and they are processed in that order.  If any modifications are made and no output file is
+     * specified, then the modified disk is written back to the original disk image (if it was a local file).
+     */
+    let fModified = false;
+    if (!diskette) {
+        let getOptions = function(option) {
+            let values = argv[option];
+            if (values === undefined) return [];
+            if (!Array.isArray(values)) values = [values];
+            return values.filter((value) => {
+                if (typeof value == "string" && value) return true;
+                printf("specify --%s=%s\n", option, option == "delete"? "DISKPATH" : (option == "rename"? "DISKPATH:NEWNAME" : "LOCALFILE[:DISKPATH]"));
+                return false;
+            });
+        };
+        let updateFile = function(option) {
+            getOptions(option).forEach((value) => {
+                let [sFile, sPath] = value.split(':');
+                if (!sPath) sPath = "\\" + path.basename(sFile);
+                let db = readFile(sFile, null);
+                if (!db) return;
+                let date = fs.statSync(getFullPath(sFile)).mtime;
+                let fSuccess = (option == "add"? di.addFile(sPath, db, DiskInfo.ATTR.ARCHIVE, date) : di.replaceFile(sPath, db, date));
+                if (fSuccess) {
+                    printf("%s %s: %d bytes\n", option == "add"? "added" : "replaced", sPath, db.length);
+                    fModified = true;
+                }
+            });
+        };
+        updateFile("add");
+        updateFile("replace");
+        getOptions("delete").forEach((sPath) => {
+            if (di.deleteFile(sPath)) {
+                printf("deleted %s\n", sPath);
+                fModified = true;
+            }
+        });
+        getOptions("rename").forEach((value) => {
+            let [sPath, sName] = value.split(':');
+            if (!sName) {
+                printf("specify --rename=DISKPATH:NEWNAME\n");
+            } else if (di.renameFile(sPath, sName)) {
+                printf("renamed %s to %s\n", sPath, sName);
+                fModified = true;
+            }
+        });
+    }
+
+    /*
+     * If --verify or --repair, then check the disk's FAT volumes for problems (eg, lost clusters, cross-linked files,
+     * mismatched FAT copies, etc), and if --repair, fix them as well.  As with --diff, --json prints the results in
+     * JSON format (either to the console or to the specified file).
+     */
+    if (argv['verify'] || argv['repair']) {
+        let fRepair = !!argv['repair'];
+        if (fRepair && diskette) {
+            printf("diskette images cannot be repaired\n");
+            fRepair = false;
+        }
+        let aProblems = di.checkDisk(fRepair);
+        if (aProblems.some((problem) => problem.repaired)) fModified = true;
+        if (!argv['json']) {
+            printCheck(di, aProblems);
+        } else {
+            let sReport = JSON.stringify({disk: di.getName(), problems: aProblems}, null, 2);
+            if (typeof argv['json'] == "string") {
+                writeFile(argv['json'], sReport, false, argv['overwrite']);
+            } else {
+                printf("%s\n", sReport);
+            }
+        }
+    }
+
+    /*
+     * If --rt11, then the disk is treated as an RT-11 volume, so --list and --extract list and extract RT-11 files
+     * instead of FAT files.
+     */
+    if (argv['rt11']) {
+        let rt11 = new RT11(di);
+        if (argv['list']) {
+            printf("%s", rt11.getListing());
+        }
+        if (argv['extract'] && rt11.getVolume()) {
+            for (let entry of rt11.getVolume().aEntries) {
+                if (!(entry.status & RT11.STATUS.PERM)) continue;
+                if (typeof argv['extract'] == "string" && entry.name != argv['extract'].toUpperCase()) continue;
+                let sPath = typeof argv['extract'] == "string"? entry.name : path.join(di.getName(), entry.name);
+                let ab = rt11.readFile(entry);
+                if (!ab) continue;
+                printf("extracting: %s\n", entry.name);
+                if (writeFile(sPath, new DataBuffer(ab), true, argv['overwrite']) && entry.date) {
+                    fs.utimesSync(sPath, entry.date, entry.date);
+                }
+            }
+        }
+    }
+
+    if (argv['list'] && !argv['rt11']) {
         let sLines = "";
         let iVolume = +argv['volume'];
         if (isNaN(iVolume)) iVolume = -1;
@@ -399,8 +719,13 @@ function processDisk(di, diskFile, argv, diskette)
         printf("%s\n", sLines);
     }
 
-    if (argv['extract']) {
+    /*
+     * If --extract specifies a ".zip" file, then all the files are extracted into that ZIP archive instead.
+     */
+    if (argv['extract'] && !argv['rt11']) {
         let manifest = di.getFileManifest();
+        let sZip = typeof argv['extract'] == "string" && argv['extract'].toLowerCase().endsWith(".zip")? argv['extract'] : "";
+        let aZipEntries = [];
         manifest.forEach(function extractManifestFile(desc) {
             /*
              * Parse each file descriptor in much the same way that buildFileTableFromJSON() does.  That function
@@ -411,6 +736,11 @@ function processDisk(di, diskFile, argv, diskette)
             let sPath = desc[DiskInfo.FILEDESC.PATH];
             if (sPath[0] == '/') sPath = sPath.substr(1);       // PATH should ALWAYS start with a slash, but let's be safe
             let name = path.basename(sPath);
+            /*
+             * Files from a disk with multiple volumes are extracted into a separate folder for each volume, so that files
+             * with the same path on different volumes don't collide.
+             */
+            if (di.volTable.length > 1) sPath = path.join("VOL" + (desc[DiskInfo.FILEDESC.VOL] || 0), sPath);
             let size = desc[DiskInfo.FILEDESC.SIZE] || 0;
             let attr = +desc[DiskInfo.FILEDESC.ATTR];
             /*
@@ -424,6 +754,12 @@ function processDisk(di, diskFile, argv, diskette)
             let contents = desc[DiskInfo.FILEDESC.CONTENTS] || [];
             let db = new DataBuffer(contents);
             device.assert(size == db.length);
+            if (sZip) {
+                if (!(attr & DiskInfo.ATTR.VOLUME)) {
+                    aZipEntries.push({name: (attr & DiskInfo.ATTR.SUBDIR)? sPath + '/' : sPath, date, attr, data: db.buffer});
+                }
+                return;
+            }
             let subDir = typeof argv['extract'] != "string"? di.getName() : "";
             if (subDir || name == argv['extract']) {
                 let fSuccess = false;
@@ -442,6 +778,51 @@ function processDisk(di, diskFile, argv, diskette)
                 if (fSuccess) fs.utimesSync(sPath, date, date);
             }
         });
+        if (sZip && writeFile(sZip, ZipFile.buildArchive(aZipEntries), true, argv['overwrite'])) {
+            printf("%d file(s) extracted to %s\n", aZipEntries.length, sZip);
+        }
+    }
+
+    /*
+     * If --recover, then list any deleted files (and directories) that can be recovered, along with the slack space of
+     * existing files if --slack is also specified; if a folder is specified (ie, --recover=FOLDER), then the recovered
+     * files are also extracted into that folder (using the long filenames of files, if known), and slack space is extracted into
+     * files with the same names as the existing files, plus a ".slack" extension.
+     */
+    if (argv['recover']) {
+        let iVolume = +argv['volume'];
+        if (isNaN(iVolume)) iVolume = -1;
+        let aRecovered = di.recoverFiles(iVolume, !!argv['slack']);
+        let sFolder = typeof argv['recover'] == "string"? argv['recover'] : "";
+        let paths = {};
+        for (let file of aRecovered) {
+            printf("%d  %-11s %10d  %s%s\n", file.iVolume, file.status, file.size, file.path, file.lfn? "  " + file.lfn : "");
+            if (!sFolder || file.status == DiskInfo.RECOVER.OVERWRITTEN) continue;
+            let sPath = path.join(sFolder, di.volTable.length > 1? "VOL" + file.iVolume : "", ...file.path.split('\\'));
+            let fSuccess = false;
+            if (file.attr & DiskInfo.ATTR.SUBDIR) {
+                if (!existsFile(sPath)) {
+                    fs.mkdirSync(sPath, {recursive: true});
+                    fSuccess = true;
+                }
+            } else {
+                if (file.lfn) sPath = path.join(path.dirname(sPath), file.lfn);
+                if (file.status == DiskInfo.RECOVER.SLACK) sPath += ".slack";
+                /*
+                 * Since deleted files have lost the first character of their names, different files can easily end up
+                 * with the same name (eg, "_.BIN"), so any duplicates get a numeric suffix (eg, "_~1.BIN").
+                 */
+                if (paths[sPath]) {
+                    let sExt = path.extname(sPath), sBase = sPath.slice(0, sPath.length - sExt.length), n = 1;
+                    while (paths[sBase + '~' + n + sExt]) n++;
+                    sPath = sBase + '~' + n + sExt;
+                }
+                paths[sPath] = true;
+                fSuccess = writeFile(sPath, new DataBuffer(di.readRecoveredFile(file)), true, argv['overwrite']);
+            }
+            if (fSuccess && file.status != DiskInfo.RECOVER.SLACK) fs.utimesSync(sPath, file.date, file.date);
+        }
+        if (!aRecovered.length) printf("%s: no recoverable files\n", di.getName());
     }
 
     if (argv['manifest']) {
@@ -449,6 +830,28 @@ function processDisk(di, diskFile, argv, diskette)
         printManifest(diskFile, di.getName(), manifest);
     }
 
+    /*
+     * If --diff, then compare this disk image to the specified disk image, file by file and sector by sector,
+     * and print the differences (or, if --json is also specified, write the differences in JSON format, either to
+     * the console or to the specified file).
+     */
+    if (typeof argv['diff'] == "string") {
+        let diDiff = readDisk(argv['diff'], argv['forceBPB']);
+        if (diDiff) {
+            let report = diffDisks(di, diDiff);
+            if (!argv['json']) {
+                printDiff(report);
+            } else {
+                let sReport = JSON.stringify(report, null, 2);
+                if (typeof argv['json'] == "string") {
+                    writeFile(argv['json'], sReport, false, argv['overwrite']);
+                } else {
+                    printf("%s\n", sReport);
+                }
+            }
+        }
+    }
+
     /*
      * If --rewrite, then rewrite the JSON disk image.  --overwrite is implicit.
      */
@@ -718,8 +1121,14 @@ function processDisk(di, diskFile, argv, diskette)
         if (output) {
             if (typeof output == "string") output = [output];
             output.forEach((outputFile) => {
-                writeDisk(outputFile, di, argv['legacy'], argv['indent']? 2 : 0, argv['overwrite'], true, argv['writable']);
+                writeDisk(outputFile, di, argv['legacy'], argv['indent']? 2 : 0, argv['overwrite'], true, argv['writable'], argv['dynamic']);
             });
+        } else if (fModified) {
+            if (diskFile && existsFile(diskFile) && fs.statSync(getFullPath(diskFile)).isFile()) {
+                writeDisk(diskFile, di, argv['legacy'], argv['indent']? 2 : 0, true, true, argv['writable'], argv['dynamic']);
+            } else {
+                printf("specify --output to save the modified disk\n");
+            }
         }
     }
 }
@@ -795,22 +1204,23 @@ function readAll(argv)
 }
 
 /**
- * readDir(sDir, sLabel, fNormalize, kbTarget, nMax)
+ * readDir(sDir, sLabel, fNormalize, kbTarget, nMax, fLongNames)
  *
  * @param {string} sDir (directory name)
  * @param {string} [sLabel] (if not set with --label, then basename(sDir) will be used instead)
  * @param {boolean} [fNormalize] (if true, known text files get their line-endings "fixed")
  * @param {number} [kbTarget] (target disk size, in Kb; zero or undefined if no target disk size)
  * @param {number} [nMax] (maximum number of files to read; default is 256)
+ * @param {boolean} [fLongNames] (if true, files whose names aren't valid 8.3 names get long filename entries)
  * @returns {DiskInfo|null}
  */
-function readDir(sDir, sLabel, fNormalize, kbTarget, nMax)
+function readDir(sDir, sLabel, fNormalize, kbTarget, nMax, fLongNames)
 {
     let di, diskName;
     if (sDir.endsWith('/')) {
-        diskName = path.basename(sDir);
+        diskName = path.basename(sDir).replace(/\.zip$/i, "");
         if (!sLabel) {
-            sLabel = path.basename(sDir).replace(/^.*-([^0-9][^-]+)$/, "$1");
+            sLabel = diskName.replace(/^.*-([^0-9][^-]+)$/, "$1");
         }
     } else {
         diskName = path.basename(path.dirname(sDir));
@@ -824,7 +1234,108 @@ function readDir(sDir, sLabel, fNormalize, kbTarget, nMax)
         let aFileData = readDirFiles(sDir, sLabel, fNormalize, 0);
         di = new DiskInfo(device);
         let db = new DataBuffer();
-        if (!di.buildDiskFromFiles(db, diskName, aFileData, kbTarget || 0)) {
+        if (!di.buildDiskFromFiles(db, diskName, aFileData, kbTarget || 0, fLongNames)) {
+            di = null;
+        }
+    } catch(err) {
+        printError(err);
+        di = null;
+    }
+    return di;
+}
+
+/**
+ * readDirISO(sDir, sLabel, fNormalize, nMax)
+ *
+ * Like readDir(), but builds an ISO 9660 (CD-ROM) image, with Joliet names (see DiskInfo.buildDiskFromISOFiles()).
+ *
+ * @param {string} sDir (directory name with a trailing slash, or a list of comma-separated filenames)
+ * @param {string} [sLabel] (if not set with --label, then basename(sDir) will be used instead)
+ * @param {boolean} [fNormalize] (if true, known text files get their line-endings "fixed")
+ * @param {number} [nMax] (maximum number of files to read; default is 512)
+ * @returns {DiskInfo|null}
+ */
+function readDirISO(sDir, sLabel, fNormalize, nMax)
+{
+    let di;
+    let diskName = path.basename(sDir.endsWith('/')? sDir : path.dirname(sDir)).replace(/\.zip$/i, "");
+    if (!sLabel && sDir.endsWith('/')) sLabel = diskName;
+    sDir = getFullPath(sDir);
+    try {
+        nMaxInit = nMaxCount = nMax || nMaxDefault;
+        let aFileData = readDirFiles(sDir, sLabel, fNormalize, 0);
+        di = new DiskInfo(device);
+        let db = new DataBuffer();
+        if (!di.buildDiskFromISOFiles(db, diskName, aFileData)) {
+            di = null;
+        }
+    } catch(err) {
+        printError(err);
+        di = null;
+    }
+    return di;
+}
+
+/**
+ * readDirRT11(sDir, format, fNormalize, nSegments, nMax)
+ *
+ * Like readDir(), but builds an RT-11 disk image (see RT11.FORMATS for the supported formats).
+ *
+ * @param {string} sDir (directory name with a trailing slash, or a list of comma-separated filenames)
+ * @param {string} format (eg, "rx01", "rk05", "rl01", or "rl02")
+ * @param {boolean} [fNormalize] (if true, known text files get their line-endings "fixed")
+ * @param {number} [nSegments] (number of directory segments; zero or undefined for the format's default)
+ * @param {number} [nMax] (maximum number of files)
+ * @returns {DiskInfo|null}
+ */
+function readDirRT11(sDir, format, fNormalize, nSegments, nMax)
+{
+    let di;
+    let diskName = path.basename(sDir.endsWith('/')? sDir : path.dirname(sDir));
+    sDir = getFullPath(sDir);
+    try {
+        nMaxInit = nMaxCount = nMax || nMaxDefault;
+        let aFileData = readDirFiles(sDir, "none", fNormalize, 0);
+        di = new DiskInfo(device);
+        let db = new DataBuffer();
+        if (!new RT11(di).buildDiskFromFiles(db, diskName, aFileData, format.toLowerCase(), nSegments || 0)) {
+            di = null;
+        }
+    } catch(err) {
+        printError(err);
+        di = null;
+    }
+    return di;
+}
+
+/**
+ * readDirs(asDirs, fNormalize, kbTarget, nMax, fLongNames)
+ *
+ * Like readDir(), but builds a partitioned hard disk image, with one partition per directory; each partition's
+ * volume label is derived from its directory name.
+ *
+ * @param {Array.<string>} asDirs (directory names)
+ * @param {boolean} [fNormalize] (if true, known text files get their line-endings "fixed")
+ * @param {number} [kbTarget] (target disk size, in Kb; zero or undefined if no target disk size)
+ * @param {number} [nMax] (maximum number of files per directory)
+ * @param {boolean} [fLongNames] (if true, files whose names aren't valid 8.3 names get long filename entries)
+ * @returns {DiskInfo|null}
+ */
+function readDirs(asDirs, fNormalize, kbTarget, nMax, fLongNames)
+{
+    let di;
+    try {
+        let aVolumeData = [];
+        for (let i = 0; i < asDirs.length; i++) {
+            let sDir = asDirs[i];
+            if (!sDir.endsWith('/')) sDir += '/';
+            let sLabel = path.basename(sDir).replace(/\.zip$/i, "").replace(/^.*-([^0-9][^-]+)$/, "$1");
+            nMaxInit = nMaxCount = nMax || nMaxDefault;
+            aVolumeData.push(readDirFiles(getFullPath(sDir), sLabel, fNormalize, 0));
+        }
+        di = new DiskInfo(device);
+        let db = new DataBuffer();
+        if (!di.buildDiskFromPartitions(db, path.basename(asDirs[0]), aVolumeData, kbTarget || 0, fLongNames)) {
             di = null;
         }
     } catch(err) {
@@ -847,8 +1358,16 @@ function readDirFiles(sDir, sLabel, fNormalize = false, iLevel = 0)
 {
     let aFileData = [];
 
-    let asFiles;
-    if (sDir.endsWith('/')) {
+    /*
+     * A "directory" that's actually a ZIP archive (eg, "--dir archive.zip") is read directly, as is any ZIP
+     * archive in a list of files (eg, "--files archive.zip,README.TXT"); in both cases, it's the archive's contents
+     * that are used, not the archive itself.
+     */
+    let asFiles, sZip = "", fList = !sDir.endsWith('/');
+    if (!fList && isZipFile(sDir.slice(0, -1))) {
+        sZip = sDir.slice(0, -1);
+        asFiles = [];
+    } else if (!fList) {
         asFiles = fs.readdirSync(sDir);
         for (let i = 0; i < asFiles.length; i++) {
             asFiles[i] = path.join(sDir, asFiles[i]);
@@ -895,6 +1414,10 @@ function readDirFiles(sDir, sLabel, fNormalize = false, iLevel = 0)
         aFileData.push(file);
     }
 
+    if (sZip) {
+        return aFileData.concat(readZipFiles(sZip, fNormalize));
+    }
+
     let iFile;
     for (iFile = 0; iFile < asFiles.length && nMaxCount > 0; iFile++, nMaxCount--) {
         /*
@@ -906,6 +1429,10 @@ function readDirFiles(sDir, sLabel, fNormalize = false, iLevel = 0)
         let sPath = asFiles[iFile];
         let sName = path.basename(sPath);
         if (sName.charAt(0) == '.') continue;
+        if (fList && isZipFile(sPath)) {
+            aFileData.push(...readZipFiles(sPath, fNormalize));
+            continue;
+        }
         let file = {path: sPath, name: sName};
         let stats = fs.statSync(sPath);
         file.date = stats.mtime;
@@ -921,16 +1448,7 @@ function readDirFiles(sDir, sLabel, fNormalize = false, iLevel = 0)
             if (data.length != stats.size) {
                 printf("file data length (%d) does not match file size (%d)\n", data.length, stats.size);
             }
-            if (fText) {
-                if (isASCII(data)) {
-                    let dataNew = data.replace(/\n/g, "\r\n").replace(/\r+/g, "\r");
-                    if (dataNew != data) printf("replaced line endings in %s (size changed from %d to %d bytes)\n", sName, data.length, dataNew.length);
-                    data = dataNew;
-                } else {
-                    printf("non-ASCII data in %s (line endings unchanged)\n", sName);
-                }
-                data = new DataBuffer(data);
-            }
+            if (fText) data = normalizeText(sName, data);
             file.attr = DiskInfo.ATTR.ARCHIVE;
             file.size = data.length;
             file.data = data;
@@ -978,6 +1496,12 @@ function readDisk(diskFile, forceBPB, sectorIDs, sectorErrors, suppData)
                 let hash = getHash(db);
                 if (diskName.endsWith(".psi")) {
                     if (!di.buildDiskFromPSI(db)) di = null;
+                } else if (diskName.toLowerCase().endsWith(".imd")) {
+                    if (!di.buildDiskFromIMD(db)) di = null;
+                } else if (diskName.toLowerCase().endsWith(".td0")) {
+                    if (!di.buildDiskFromTD0(db)) di = null;
+                } else if (diskName.toLowerCase().endsWith(".vhd")) {
+                    if (!di.buildDiskFromVHD(db, hash, forceBPB, sectorIDs, sectorErrors, suppData)) di = null;
                 } else {
                     if (!di.buildDiskFromBuffer(db, hash, forceBPB, sectorIDs, sectorErrors, suppData)) di = null;
                 }
@@ -1031,7 +1555,62 @@ function readJSON(sFile)
 }
 
 /**
- * writeDisk(diskFile, di, fLegacy, indent, fOverwrite, fPrint, fWritable)
+ * readZipFiles(sZip, fNormalize)
+ *
+ * Returns the contents of a ZIP archive as FileData, using the DOS timestamps and attributes recorded in the archive.
+ * Directories are created as needed, whether or not the archive contains entries for them, and just as readDirFiles()
+ * ignores hidden files, any entries with path components beginning with a period (or named "__MACOSX") are ignored.
+ *
+ * @param {string} sZip
+ * @param {boolean} [fNormalize] (if true, known text files get their line-endings "fixed")
+ * @returns {Array.<FileData>}
+ */
+function readZipFiles(sZip, fNormalize)
+{
+    let aFileData = [];
+    let dirs = {"": {files: aFileData}};
+    let getDir = (sPath, date) => {
+        if (!dirs[sPath]) {
+            let i = sPath.lastIndexOf('/');
+            let dir = {path: path.join(sZip, sPath), name: sPath.substr(i + 1), attr: DiskInfo.ATTR.SUBDIR, date, size: -1, data: new DataBuffer(), files: []};
+            getDir(i < 0? "" : sPath.substr(0, i), date).files.push(dir);
+            dirs[sPath] = dir;
+        }
+        return dirs[sPath];
+    };
+    let aEntries = ZipFile.readEntries(fs.readFileSync(getFullPath(sZip)));
+    let iEntry;
+    for (iEntry = 0; iEntry < aEntries.length && nMaxCount > 0; iEntry++) {
+        let entry = aEntries[iEntry];
+        let asParts = entry.name.split('/').filter((s) => !!s);
+        if (!asParts.length || asParts.some((s) => s[0] == '.' || s == "__MACOSX")) continue;
+        let sName = asParts.pop();
+        let sParent = asParts.join('/');
+        if (entry.attr & DiskInfo.ATTR.SUBDIR) {
+            let dir = getDir(sParent? sParent + '/' + sName : sName, entry.date);
+            dir.date = entry.date;
+            dir.attr = entry.attr;
+            nMaxCount--;
+            continue;
+        }
+        if (!entry.data) {
+            printf("warning: unable to read %s from %s (%s)\n", entry.name, sZip, entry.error);
+            continue;
+        }
+        let data = new DataBuffer(entry.data);
+        if (fNormalize && isTextFile(sName)) data = normalizeText(sName, entry.data.toString("utf8"));
+        let file = {path: path.join(sZip, entry.name), name: sName, attr: entry.attr, date: entry.date, size: data.length, data};
+        (sParent? getDir(sParent, entry.date).files : aFileData).push(file);
+        nMaxCount--;
+    }
+    if (iEntry < aEntries.length && nMaxCount <= 0) {
+        printf("warning: %d file limit reached, use --maxfiles # to increase\n", nMaxInit);
+    }
+    return aFileData;
+}
+
+/**
+ * writeDisk(diskFile, di, fLegacy, indent, fOverwrite, fPrint, fWritable, fDynamic)
  *
  * @param {string} diskFile
  * @param {DiskInfo} di
@@ -1040,8 +1619,9 @@ function readJSON(sFile)
  * @param {boolean} [fOverwrite]
  * @param {boolean} [fPrint]
  * @param {boolean} [fWritable]
+ * @param {boolean} [fDynamic] (for VHD output only: true to write a dynamic VHD instead of a fixed VHD)
  */
-function writeDisk(diskFile, di, fLegacy = false, indent = 0, fOverwrite = false, fPrint = true, fWritable = false)
+function writeDisk(diskFile, di, fLegacy = false, indent = 0, fOverwrite = false, fPrint = true, fWritable = false, fDynamic = false)
 {
     let diskName = path.basename(diskFile);
     try {
@@ -1051,11 +1631,33 @@ function writeDisk(diskFile, di, fLegacy = false, indent = 0, fOverwrite = false
             let diskFileLC = diskFile.toLowerCase();
             if (diskFileLC.endsWith(".json")) {
                 data = di.getJSON(getHash, fLegacy, 0);
+            } else if (diskFileLC.endsWith(".psi")) {
+                let ab = di.getPSI();
+                if (ab) data = new DataBuffer(ab).buffer;
+            } else if (diskFileLC.endsWith(".vhd")) {
+                let db = new DataBuffer(di.getSize());
+                if (di.getData(db, fLegacy)) data = di.getVHD(db, fDynamic).buffer;
             } else {
                 let db = new DataBuffer(di.getSize());
                 if (di.getData(db, fLegacy)) data = db.buffer;
             }
-            if (data) {
+            if (data && diskFile.endsWith('/')) {
+                /*
+                 * A trailing slash requests a folder of chunks ("x00000", "x00001", etc), which is how ATAPI drives
+                 * read their disc images (see the HDC's READ packet command); any old chunks are removed first.
+                 */
+                if (fPrint) printf("writing %s...\n", diskFile);
+                diskFile = getFullPath(diskFile);
+                if (fExists) {
+                    for (let sName of fs.readdirSync(diskFile)) {
+                        if (sName.match(/^x[0-9]{5}$/)) fs.unlinkSync(path.join(diskFile, sName));
+                    }
+                }
+                fs.mkdirSync(diskFile, {recursive: true});
+                for (let off = 0; off < data.length; off += cbChunk) {
+                    fs.writeFileSync(path.join(diskFile, sprintf("x%05d", off / cbChunk)), data.slice(off, off + cbChunk));
+                }
+            } else if (data) {
                 if (fPrint) printf("writing %s...\n", diskFile);
                 diskFile = getFullPath(diskFile);
                 let sDir = path.dirname(diskFile);
@@ -1162,6 +1764,12 @@ async function readDiskAsync(diskFile, forceBPB, sectorIDs, sectorErrors, suppDa
                 let hash = getHash(db);
                 if (diskName.endsWith(".psi")) {
                     if (!di.buildDiskFromPSI(db)) di = null;
+                } else if (diskName.toLowerCase().endsWith(".imd")) {
+                    if (!di.buildDiskFromIMD(db)) di = null;
+                } else if (diskName.toLowerCase().endsWith(".td0")) {
+                    if (!di.buildDiskFromTD0(db)) di = null;
+                } else if (diskName.toLowerCase().endsWith(".vhd")) {
+                    if (!di.buildDiskFromVHD(db, hash, forceBPB, sectorIDs, sectorErrors, suppData)) di = null;
                 } else {
                     if (!di.buildDiskFromBuffer(db, hash, forceBPB, sectorIDs, sectorErrors, suppData)) di = null;
                 }
@@ -1179,6 +1787,7 @@ async function readDiskAsync(diskFile, forceBPB, sectorIDs, sectorErrors, suppDa
  *
  * @param {string} sFile
  * @param {string|null} [encoding]
+ * @returns {Promise} (resolves to a DataBuffer if encoding is null, like readFile())
  */
 function readFileAsync(sFile, encoding = "utf8")
 {
@@ -1186,6 +1795,7 @@ function readFileAsync(sFile, encoding = "utf8")
     return new Promise((resolve, reject) => {
         fs.readFile(sFile, encoding, (err, data) => {
             if (err) reject(err);
+            if (!encoding && data) data = new DataBuffer(data);
             resolve(data);
         });
     });
@@ -1245,8 +1855,15 @@ function main(argc, argv)
         return;
     }
 
-    let fDirectory = false
+    let fDirectory = false, asDirs;
     input = argv['dir'];
+    if (Array.isArray(input)) {
+        /*
+         * If you use --dir more than once, then you get a hard disk image with one partition per directory.
+         */
+        asDirs = input;
+        input = input[0];
+    }
     if (input) {
         fDirectory = true;          // directories should end with a trailing slash, but we'll make sure
         if (!input.endsWith('/')) input += '/';
@@ -1267,7 +1884,17 @@ function main(argc, argv)
             /*
              * readDir() takes care of both directories and files, distinguishing between them on the basis of a trailing slash.
              */
-            di = readDir(input, argv['label'], argv['normalize'], +argv['target'], +argv['maxfiles']);
+            let output = argv['output'] || argv[1];
+            if (typeof output != "string") output = output && output[0] || "";
+            if (argv['iso'] || output.toLowerCase().endsWith(".iso")) {
+                di = readDirISO(input, argv['label'], argv['normalize'], +argv['maxfiles']);
+            } else if (typeof argv['rt11'] == "string") {
+                di = readDirRT11(input, argv['rt11'], argv['normalize'], +argv['segments'], +argv['maxfiles']);
+            } else if (asDirs) {
+                di = readDirs(asDirs, argv['normalize'], +argv['target'], +argv['maxfiles'], argv['lfn']);
+            } else {
+                di = readDir(input, argv['label'], argv['normalize'], +argv['target'], +argv['maxfiles'], argv['lfn']);
+            }
             if (di) {
                 let name = argv['output'] || argv[1];
                 if (name) {
@@ -0,0 +1,594 @@
+/**
+ * @fileoverview Local disk server for PCjs "remote" (DEMANDRW and DEMANDRO) disks
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+import fs         from "fs";
+import http       from "http";
+import path       from "path";
+import DataBuffer from "./nodebuffer.js";
+import StdLib     from "./stdlib.js";
+import Device     from "../../machines/modules/device.js";
+import DiskAPI    from "../../machines/shared/lib/diskapi.js";
+import DiskInfo   from "../../machines/pcx86/modules/diskinfo.js";
+import DumpAPI    from "../../machines/shared/lib/dumpapi.js";
+
+let device = new Device("node");
+let printf = device.printf.bind(device);
+let sprintf = device.sprintf.bind(device);
+let stdlib = new StdLib();
+let rootDir, overlayDir, fVerbose;
+
+/*
+ * Every volume that has been opened (by any client) is cached here, keyed by its full path; each entry is an
+ * object with 'di' (the DiskInfo, or null if the volume didn't exist and we're providing a blank disk instead)
+ * and 'sessions' (the number of sessions currently using it).
+ */
+let volumes = {};
+
+/*
+ * Every open session is recorded here, keyed by user, machine, and volume (see getSessionKey()).  A session
+ * contains the client's write overlay ('sectors', an object mapping LBAs to Buffers); the underlying volume itself
+ * is never modified.  For DEMANDRW sessions, every write is also appended to an overlay file, so that the overlay
+ * can be restored the next time the same user opens the same volume on the same machine.
+ */
+let sessions = {};
+
+/*
+ * Content types for the static files we're willing to serve; anything else is served as "application/octet-stream".
+ */
+let mimeTypes = {
+    ".css":     "text/css",
+    ".htm":     "text/html",
+    ".html":    "text/html",
+    ".js":      "application/javascript",
+    ".json":    "application/json",
+    ".png":     "image/png",
+    ".svg":     "image/svg+xml",
+    ".txt":     "text/plain",
+    ".xml":     "application/xml",
+    ".xsl":     "application/xml"
+};
+
+/**
+ * DiskError
+ *
+ * Thrown by any of the request handlers below, with one of the DiskAPI.FAIL messages and an HTTP status code.
+ */
+class DiskError extends Error {
+    /**
+     * DiskError(message, status)
+     *
+     * @this {DiskError}
+     * @param {string} message
+     * @param {number} [status]
+     */
+    constructor(message, status = 400)
+    {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * getCHS(sCHS)
+ *
+ * @param {string} sCHS (eg, "cylinders:heads:sectors:bytes")
+ * @returns {Array.<number>|null} ([nCylinders, nHeads, nSectors, cbSector], or null if invalid)
+ */
+function getCHS(sCHS)
+{
+    let match = (sCHS || "").match(/^(\d+):(\d+):(\d+)(?::(\d+)|)$/);
+    if (match) {
+        let chs = [+match[1], +match[2], +match[3], +(match[4] || 512)];
+        if (chs[0] && chs[1] && chs[2] && chs[3] >= 128 && !(chs[3] & (chs[3] - 1))) return chs;
+    }
+    return null;
+}
+
+/**
+ * getAddr(session, sAddr)
+ *
+ * @param {Object} session
+ * @param {string} sAddr (eg, "cylinder:head:sector:count")
+ * @returns {Array.<number>} ([lba, nSectors])
+ */
+function getAddr(session, sAddr)
+{
+    let match = (sAddr || "").match(/^(\d+):(\d+):(\d+):(\d+)$/);
+    if (match) {
+        let [nCylinders, nHeads, nSectors] = session.chs;
+        let iCylinder = +match[1], iHead = +match[2], idSector = +match[3], n = +match[4];
+        if (iCylinder < nCylinders && iHead < nHeads && idSector >= 1 && idSector <= nSectors && n > 0) {
+            let lba = (iCylinder * nHeads + iHead) * nSectors + idSector - 1;
+            if (lba + n <= nCylinders * nHeads * nSectors) return [lba, n];
+        }
+    }
+    throw new DiskError(DiskAPI.FAIL.BADVOL);
+}
+
+/**
+ * getVolumePath(sVolume)
+ *
+ * Volume paths are the same site-relative paths used by machine configuration files (eg, "/harddisks/pcx86/10mb.img"),
+ * so we resolve them relative to our root directory, and we refuse any that would take us outside it.
+ *
+ * @param {string} sVolume
+ * @returns {string}
+ */
+function getVolumePath(sVolume)
+{
+    if (sVolume) {
+        sVolume = sVolume.replace(/^[a-z]+:\/\/[^/]*/i, "");
+        let sFile = path.join(rootDir, sVolume);
+        if (sFile.startsWith(rootDir + path.sep)) return sFile;
+    }
+    throw new DiskError(DiskAPI.FAIL.BADVOL);
+}
+
+/**
+ * getSessionKey(sUser, sMachine, sFile)
+ *
+ * @param {string} sUser
+ * @param {string} sMachine
+ * @param {string} sFile
+ * @returns {string}
+ */
+function getSessionKey(sUser, sMachine, sFile)
+{
+    return sUser + '|' + sMachine + '|' + sFile;
+}
+
+/**
+ * getOverlayPath(session)
+ *
+ * Overlay files are stored by user and machine, using the volume's path relative to the root directory (with any
+ * path separators replaced with underscores), plus an ".ovl" extension.
+ *
+ * @param {Object} session
+ * @returns {string}
+ */
+function getOverlayPath(session)
+{
+    let sName = path.relative(rootDir, session.file).replace(/[/\\:]/g, '_') + ".ovl";
+    return path.join(overlayDir, session.user.replace(/[^\w.-]/g, '_'), (session.machine || "default").replace(/[^\w.-]/g, '_'), sName);
+}
+
+/**
+ * loadVolume(sFile, chs)
+ *
+ * @param {string} sFile
+ * @param {Array.<number>|null} chs
+ * @returns {Object} (the volume entry)
+ */
+function loadVolume(sFile, chs)
+{
+    let volume = volumes[sFile];
+    if (!volume) {
+        let di = null;
+        if (fs.existsSync(sFile)) {
+            let diskName = path.basename(sFile), diskNameLC = diskName.toLowerCase();
+            di = new DiskInfo(device, diskName);
+            try {
+                let fSuccess;
+                if (diskNameLC.endsWith(".json")) {
+                    fSuccess = di.buildDiskFromJSON(fs.readFileSync(sFile, "utf8"));
+                } else {
+                    let db = new DataBuffer(fs.readFileSync(sFile));
+                    if (diskNameLC.endsWith(".psi")) {
+                        fSuccess = di.buildDiskFromPSI(db);
+                    } else if (diskNameLC.endsWith(".imd")) {
+                        fSuccess = di.buildDiskFromIMD(db);
+                    } else if (diskNameLC.endsWith(".td0")) {
+                        fSuccess = di.buildDiskFromTD0(db);
+                    } else if (diskNameLC.endsWith(".vhd")) {
+                        fSuccess = di.buildDiskFromVHD(db);
+                    } else {
+                        fSuccess = di.buildDiskFromBuffer(db);
+                    }
+                }
+                if (!fSuccess) di = null;
+            } catch(err) {
+                printf("%s: %s\n", diskName, err.message);
+                di = null;
+            }
+            if (!di) throw new DiskError(DiskAPI.FAIL.OPENVOL, 500);
+        }
+        else if (!chs) {
+            throw new DiskError(DiskAPI.FAIL.OPENVOL, 404);
+        }
+        else {
+            /*
+             * A volume that doesn't exist yet is treated as a blank disk with the client's geometry; every sector the
+             * client writes will live in its overlay, and nothing is ever written to the root directory.
+             */
+            printf("%s does not exist, using blank %d:%d:%d:%d volume\n", sFile, chs[0], chs[1], chs[2], chs[3]);
+        }
+        volume = volumes[sFile] = {di, sessions: 0};
+    }
+    return volume;
+}
+
+/**
+ * readOverlay(session)
+ *
+ * An overlay file is simply a log of sector writes, each consisting of a 32-bit LBA, a 32-bit length, and the sector
+ * data; later records for the same LBA supersede earlier ones.
+ *
+ * @param {Object} session
+ */
+function readOverlay(session)
+{
+    let sFile = getOverlayPath(session);
+    if (fs.existsSync(sFile)) {
+        let buf = fs.readFileSync(sFile), off = 0, nRecords = 0;
+        while (off + 8 <= buf.length) {
+            let lba = buf.readUInt32LE(off), cb = buf.readUInt32LE(off + 4);
+            if (off + 8 + cb > buf.length) {
+                printf("%s: truncated overlay record at offset %d\n", sFile, off);
+                break;
+            }
+            session.sectors[lba] = Buffer.from(buf.subarray(off + 8, off + 8 + cb));
+            off += 8 + cb;
+            nRecords++;
+        }
+        if (fVerbose) printf("%s: %d sector writes restored\n", sFile, nRecords);
+    }
+}
+
+/**
+ * writeOverlay(session, lba, nSectors)
+ *
+ * Appends the specified overlay sectors to the session's overlay file (DEMANDRW sessions only).  If no sectors are
+ * specified, then the overlay file is rewritten with a single record per sector (which we do whenever a session closes).
+ *
+ * @param {Object} session
+ * @param {number} [lba]
+ * @param {number} [nSectors]
+ */
+function writeOverlay(session, lba, nSectors)
+{
+    if (session.mode != DiskAPI.MODE.DEMANDRW) return;
+    let aLBA = [];
+    if (lba === undefined) {
+        aLBA = Object.keys(session.sectors).map((s) => +s).sort((a, b) => a - b);
+    } else {
+        while (nSectors--) aLBA.push(lba++);
+    }
+    let aBuffers = [];
+    for (let i = 0; i < aLBA.length; i++) {
+        let data = session.sectors[aLBA[i]];
+        let header = Buffer.alloc(8);
+        header.writeUInt32LE(aLBA[i], 0);
+        header.writeUInt32LE(data.length, 4);
+        aBuffers.push(header, data);
+    }
+    let sFile = getOverlayPath(session);
+    try {
+        if (lba === undefined) {
+            if (!aBuffers.length && !fs.existsSync(sFile)) return;
+            fs.mkdirSync(path.dirname(sFile), {recursive: true});
+            fs.writeFileSync(sFile, Buffer.concat(aBuffers));
+        } else {
+            fs.mkdirSync(path.dirname(sFile), {recursive: true});
+            fs.appendFileSync(sFile, Buffer.concat(aBuffers));
+        }
+    } catch(err) {
+        printf("%s: %s\n", sFile, err.message);
+        throw new DiskError(DiskAPI.FAIL.WRITEVOL, 500);
+    }
+}
+
+/**
+ * readSector(session, lba)
+ *
+ * Returns the data for the specified sector, from the session's overlay if the client has written it, otherwise from
+ * the underlying volume.  Since sectors are addressed using the client's geometry, which may differ from the volume's,
+ * we go through the sector's LBA; any sector beyond the end of the volume (or any sector of a blank volume) reads as zeros.
+ *
+ * @param {Object} session
+ * @param {number} lba
+ * @returns {Buffer}
+ */
+function readSector(session, lba)
+{
+    let cbSector = session.chs[3];
+    let data = session.sectors[lba];
+    if (!data) {
+        data = Buffer.alloc(cbSector);
+        let di = session.volume.di;
+        let sector = di && lba < di.nCylinders * di.nHeads * di.nSectors && di.getSector(lba);
+        if (sector) {
+            for (let i = 0; i < cbSector; i++) {
+                let b = di.read(sector, i);
+                if (b < 0) break;
+                data[i] = b;
+            }
+        }
+    }
+    return data;
+}
+
+/**
+ * getSession(params, mode, chs)
+ *
+ * @param {URLSearchParams} params
+ * @param {string} [mode] (DEMANDRW or DEMANDRO, to open a new session if necessary)
+ * @param {Array.<number>} [chs] (required with mode)
+ * @returns {Object}
+ */
+function getSession(params, mode, chs)
+{
+    let sUser = params.get(DiskAPI.QUERY.USER);
+    if (!sUser) throw new DiskError(DiskAPI.FAIL.BADUSER, 403);
+    let sMachine = params.get(DiskAPI.QUERY.MACHINE) || "";
+    let sFile = getVolumePath(params.get(DiskAPI.QUERY.VOLUME));
+    let key = getSessionKey(sUser, sMachine, sFile);
+    let session = sessions[key];
+    if (!session) {
+        /*
+         * Sessions exist only between OPEN and CLOSE requests; if we receive any other request for a session we don't
+         * know about (eg, because the server was restarted), then the client's access has effectively been revoked.
+         */
+        if (!mode) throw new DiskError(DiskAPI.FAIL.REVOKED, 410);
+        let volume = loadVolume(sFile, chs);
+        session = {key, user: sUser, machine: sMachine, file: sFile, mode, chs, volume, sectors: {}};
+        if (mode == DiskAPI.MODE.DEMANDRW) readOverlay(session);
+        sessions[key] = session;
+        volume.sessions++;
+    }
+    return session;
+}
+
+/**
+ * closeSession(session)
+ *
+ * @param {Object} session
+ */
+function closeSession(session)
+{
+    writeOverlay(session);
+    delete sessions[session.key];
+    if (!--session.volume.sessions) delete volumes[session.file];
+}
+
+/**
+ * doDiskRequest(params)
+ *
+ * @param {URLSearchParams} params
+ * @returns {string} (the response)
+ */
+function doDiskRequest(params)
+{
+    let session, mode, chs, lba, nSectors;
+    let action = params.get(DiskAPI.QUERY.ACTION);
+    switch(action) {
+
+    case DiskAPI.ACTION.OPEN:
+        mode = params.get(DiskAPI.QUERY.MODE);
+        if (mode != DiskAPI.MODE.DEMANDRW && mode != DiskAPI.MODE.DEMANDRO) throw new DiskError(DiskAPI.FAIL.BADACTION);
+        chs = getCHS(params.get(DiskAPI.QUERY.CHS));
+        if (!chs) throw new DiskError(DiskAPI.FAIL.BADVOL);
+        session = getSession(params, mode, chs);
+        /*
+         * If the session was already open (eg, the client reloaded the page without closing it), we adopt the client's
+         * current mode and geometry.
+         */
+        session.mode = mode;
+        session.chs = chs;
+        printf("%s: opened %s (%s) for user %s\n", session.machine || "default", path.relative(rootDir, session.file), session.mode, session.user);
+        return JSON.stringify({[DiskAPI.QUERY.VOLUME]: params.get(DiskAPI.QUERY.VOLUME), [DiskAPI.QUERY.CHS]: session.chs.join(':')});
+
+    case DiskAPI.ACTION.READ:
+        session = getSession(params);
+        [lba, nSectors] = getAddr(session, params.get(DiskAPI.QUERY.ADDR));
+        if (fVerbose) printf("%s: read %d sector(s) at LBA %d\n", session.machine || "default", nSectors, lba);
+        {
+            let ab = [];
+            while (nSectors--) {
+                let data = readSector(session, lba++);
+                for (let i = 0; i < data.length; i++) ab.push(data[i]);
+            }
+            return JSON.stringify(ab);
+        }
+
+    case DiskAPI.ACTION.WRITE:
+        session = getSession(params);
+        [lba, nSectors] = getAddr(session, params.get(DiskAPI.QUERY.ADDR));
+        if (fVerbose) printf("%s: write %d sector(s) at LBA %d\n", session.machine || "default", nSectors, lba);
+        {
+            let ab, cbSector = session.chs[3];
+            try {
+                ab = JSON.parse(params.get(DiskAPI.QUERY.DATA));
+            } catch(err) {
+                ab = null;
+            }
+            if (!Array.isArray(ab) || ab.length != nSectors * cbSector) throw new DiskError(DiskAPI.FAIL.WRITEVOL);
+            for (let i = 0; i < nSectors; i++) {
+                session.sectors[lba + i] = Buffer.from(ab.slice(i * cbSector, (i + 1) * cbSector));
+            }
+            writeOverlay(session, lba, nSectors);
+            return "OK";
+        }
+
+    case DiskAPI.ACTION.CLOSE:
+        session = getSession(params);
+        closeSession(session);
+        printf("%s: closed %s for user %s\n", session.machine || "default", path.relative(rootDir, session.file), session.user);
+        return "OK";
+
+    default:
+        throw new DiskError(DiskAPI.FAIL.BADACTION);
+    }
+}
+
+/**
+ * doDumpRequest(params, res)
+ *
+ * Supports a subset of the DumpAPI: the "disk" (or "path") parameter specifies a disk image (using the same site-relative
+ * paths as volumes), and the "format" parameter must be either "json" (the default) or "img".
+ *
+ * @param {URLSearchParams} params
+ * @param {http.ServerResponse} res
+ */
+function doDumpRequest(params, res)
+{
+    let sFile = getVolumePath(params.get(DumpAPI.QUERY.DISK) || params.get(DumpAPI.QUERY.PATH));
+    let di = loadVolume(sFile, null).di;
+    if (!volumes[sFile].sessions) delete volumes[sFile];
+    if (!di) throw new DiskError(DiskAPI.FAIL.OPENVOL, 404);
+    let format = params.get(DumpAPI.QUERY.FORMAT) || DumpAPI.FORMAT.JSON;
+    if (format == DumpAPI.FORMAT.JSON) {
+        res.writeHead(200, {"Content-Type": "application/json"});
+        res.end(di.getJSON());
+    } else if (format == DumpAPI.FORMAT.IMG) {
+        let db = new DataBuffer(di.getSize());
+        di.getData(db);
+        res.writeHead(200, {"Content-Type": "application/octet-stream"});
+        res.end(db.buffer);
+    } else {
+        throw new DiskError(DiskAPI.FAIL.BADACTION);
+    }
+}
+
+/**
+ * doFileRequest(sPath, res, sRange)
+ *
+ * A single HTTP Range (eg, "bytes=0-65535") is honored, so that PCx86 hard drives configured with a "stream" mode
+ * can load their disk images in chunks.
+ *
+ * @param {string} sPath
+ * @param {http.ServerResponse} res
+ * @param {string} [sRange] (value of the request's Range header, if any)
+ */
+function doFileRequest(sPath, res, sRange)
+{
+    let sFile = path.join(rootDir, decodeURIComponent(sPath));
+    if (sFile != rootDir && !sFile.startsWith(rootDir + path.sep)) {
+        throw new DiskError("invalid path", 403);
+    }
+    if (fs.existsSync(sFile) && fs.statSync(sFile).isDirectory()) {
+        sFile = path.join(sFile, "index.html");
+    }
+    if (!fs.existsSync(sFile)) {
+        throw new DiskError("file not found", 404);
+    }
+    let sType = mimeTypes[path.extname(sFile).toLowerCase()] || "application/octet-stream";
+    let cbFile = fs.statSync(sFile).size;
+    let match = sRange && sRange.match(/^bytes=([0-9]*)-([0-9]*)$/);
+    if (match && (match[1] || match[2])) {
+        let start = match[1]? +match[1] : Math.max(0, cbFile - +match[2]);
+        let end = match[1] && match[2]? Math.min(+match[2], cbFile - 1) : cbFile - 1;
+        if (start > end) {
+            res.writeHead(416, {"Content-Range": "bytes */" + cbFile});
+            res.end();
+            return;
+        }
+        res.writeHead(206, {"Content-Type": sType, "Content-Length": end - start + 1, "Content-Range": "bytes " + start + "-" + end + "/" + cbFile, "Accept-Ranges": "bytes"});
+        fs.createReadStream(sFile, {start, end}).pipe(res);
+        return;
+    }
+    res.writeHead(200, {"Content-Type": sType, "Content-Length": cbFile, "Accept-Ranges": "bytes"});
+    fs.createReadStream(sFile).pipe(res);
+}
+
+/**
+ * doRequest(req, res, sBody)
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} sBody
+ */
+function doRequest(req, res, sBody)
+{
+    let url = new URL(req.url, "http://" + (req.headers.host || "localhost"));
+    try {
+        if (url.pathname == DiskAPI.ENDPOINT) {
+            let params = req.method == "POST"? new URLSearchParams(sBody) : url.searchParams;
+            let sResponse = doDiskRequest(params);
+            res.writeHead(200, {"Content-Type": "text/plain"});
+            res.end(sResponse);
+        }
+        else if (url.pathname == DumpAPI.ENDPOINT) {
+            doDumpRequest(url.searchParams, res);
+        }
+        else {
+            doFileRequest(url.pathname, res, req.headers['range']);
+        }
+    } catch(err) {
+        if (!(err instanceof DiskError)) printf("%s %s: %s\n", req.method, url.pathname, err.message);
+        res.writeHead(err.status || 500, {"Content-Type": "text/plain"});
+        res.end(err.message);
+    }
+}
+
+/**
+ * closeAll()
+ *
+ * Saves (ie, compacts) all DEMANDRW overlays and closes all sessions.
+ */
+function closeAll()
+{
+    for (let key in sessions) {
+        try {
+            closeSession(sessions[key]);
+        } catch(err) {
+            printf("%s\n", err.message);
+        }
+    }
+}
+
+/**
+ * main(argc, argv)
+ *
+ * @param {number} argc
+ * @param {Array} argv
+ */
+function main(argc, argv)
+{
+    let argv0 = argv[0].split(' ');
+    let options = argv0.slice(1).join(' ');
+
+    Device.DEBUG = !!argv['debug'];
+    let moduleDir = path.dirname(argv0[0]);
+    rootDir = path.resolve(typeof argv['root'] == "string"? argv['root'] : path.join(moduleDir, "../.."));
+    overlayDir = path.resolve(typeof argv['overlays'] == "string"? argv['overlays'] : path.join(rootDir, "tmp/overlays"));
+    fVerbose = !!argv['verbose'];
+
+    printf("DiskServer v%s\n%s\n%s\n", Device.VERSION, Device.COPYRIGHT, (options? sprintf("options: %s", options) : ""));
+
+    device.setMessages(Device.MESSAGE.DISK + Device.MESSAGE.WARN + Device.MESSAGE.ERROR, true);
+
+    let port = +argv['port'] || 8088;
+    let host = typeof argv['host'] == "string"? argv['host'] : "localhost";
+
+    let server = http.createServer(function(req, res) {
+        let aChunks = [];
+        req.on('data', (chunk) => aChunks.push(chunk));
+        req.on('end', () => doRequest(req, res, Buffer.concat(aChunks).toString()));
+    });
+
+    server.on('error', function(err) {
+        printf("%s\n", err.message);
+        process.exit(1);
+    });
+
+    server.listen(port, host, function() {
+        printf("serving %s at http://%s:%d (overlays in %s)\n", rootDir, host, port, overlayDir);
+    });
+
+    let shutdown = function() {
+        printf("closing %d session(s)\n", Object.keys(sessions).length);
+        closeAll();
+        server.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main(...stdlib.getArgs());
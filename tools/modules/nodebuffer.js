@@ -263,6 +263,18 @@ export default class DataBuffer {
         this.buffer.writeInt32LE(dw, off);
     }
 
+    /**
+     * writeUInt32BE(dw, off)
+     *
+     * @this {DataBuffer}
+     * @param {number} dw
+     * @param {number} off
+     */
+    writeUInt32BE(dw, off)
+    {
+        this.buffer.writeUInt32BE(dw, off);
+    }
+
     /**
      * toString(format)
      *
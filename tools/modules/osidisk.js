@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Command-line interface to OS-65D disk image processing
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+import fs         from "fs";
+import path       from "path";
+import StdLib     from "./stdlib.js";
+import Device     from "../../machines/modules/device.js";
+import OS65D      from "../../machines/osi/c1p/modules/os65d.js";
+
+let device = new Device("node");
+let printf = device.printf.bind(device);
+let stdlib = new StdLib();
+
+/**
+ * addFile(os, sFile)
+ *
+ * Files with a ".BAS" extension are assumed to contain BASIC program text, which is tokenized first;
+ * all other files are added as-is.  The OS-65D name is the file's base name, truncated to 6 characters.
+ *
+ * @param {OS65D} os
+ * @param {string} sFile
+ * @returns {boolean}
+ */
+function addFile(os, sFile)
+{
+    let ab;
+    try {
+        ab = fs.readFileSync(sFile);
+    } catch(err) {
+        printf("%s\n", err.message);
+        return false;
+    }
+    let ext = path.extname(sFile);
+    let name = path.basename(sFile, ext).toUpperCase();
+    if (name.length > OS65D.DIR.NAME_LENGTH) {
+        printf("warning: %s truncated to %s\n", name, name.substr(0, OS65D.DIR.NAME_LENGTH));
+        name = name.substr(0, OS65D.DIR.NAME_LENGTH);
+    }
+    if (ext.toUpperCase() == ".BAS") {
+        let aErrors = [];
+        ab = OS65D.tokenize(ab.toString("latin1"), aErrors);
+        for (let sError of aErrors) printf("warning: %s: %s\n", sFile, sError);
+    } else {
+        ab = Array.from(ab);
+    }
+    let entry = os.writeFile(name, ab);
+    if (!entry) return false;
+    printf("added %s to tracks %02d-%02d\n", entry.name, entry.trackFirst, entry.trackLast);
+    return true;
+}
+
+/**
+ * extractFiles(os, sDir, fOverwrite)
+ *
+ * BASIC files are extracted as text (with a ".BAS" extension); all other files are extracted as-is.
+ *
+ * @param {OS65D} os
+ * @param {string} sDir
+ * @param {boolean} [fOverwrite]
+ * @returns {number} (number of files extracted)
+ */
+function extractFiles(os, sDir, fOverwrite)
+{
+    let nFiles = 0;
+    let aEntries = os.getDirectory() || [];
+    for (let entry of aEntries) {
+        if (!entry.name) continue;
+        let ab = os.readFile(entry);
+        if (!ab) {
+            printf("warning: %s is incomplete\n", entry.name);
+            continue;
+        }
+        let sFile = path.join(sDir, entry.name), data;
+        if (OS65D.isBASIC(ab)) {
+            sFile += ".BAS";
+            data = OS65D.detokenize(ab);
+        } else {
+            data = new Uint8Array(ab);
+        }
+        if (writeFile(sFile, data, fOverwrite)) {
+            printf("extracted %s\n", sFile);
+            nFiles++;
+        }
+    }
+    return nFiles;
+}
+
+/**
+ * writeFile(sFile, data, fOverwrite)
+ *
+ * @param {string} sFile
+ * @param {string|Uint8Array} data
+ * @param {boolean} [fOverwrite]
+ * @returns {boolean}
+ */
+function writeFile(sFile, data, fOverwrite)
+{
+    try {
+        fs.mkdirSync(path.dirname(sFile), {recursive: true});
+        if (!fs.existsSync(sFile) || fOverwrite) {
+            fs.writeFileSync(sFile, data);
+            return true;
+        }
+        printf("%s exists, use --overwrite to replace\n", sFile);
+    } catch(err) {
+        printf("%s\n", err.message);
+    }
+    return false;
+}
+
+/**
+ * main(argc, argv)
+ *
+ * Usage:
+ *
+ *      node osidisk.js [disk] [--list] [--extract[=folder]] [--add=file ...] [--dir=folder] [--output=disk] [--overwrite]
+ *
+ * If no input disk is specified, a blank (but formatted) data disk is created.  Disks whose names end with ".json"
+ * are read and written in the JSON format that the C1P disk controller loads; all others are raw track images.
+ *
+ * @param {number} argc
+ * @param {Array} argv
+ */
+function main(argc, argv)
+{
+    printf("OSIDisk v%s\n%s\n", Device.VERSION, Device.COPYRIGHT);
+    device.setMessages(Device.MESSAGE.DISK + Device.MESSAGE.WARN + Device.MESSAGE.ERROR, true);
+
+    let os = new OS65D(device);
+    let sInput = argv[1];
+    if (sInput) {
+        let data;
+        try {
+            data = sInput.toLowerCase().endsWith(".json")? fs.readFileSync(sInput, "utf8") : fs.readFileSync(sInput);
+        } catch(err) {
+            printf("%s\n", err.message);
+            return;
+        }
+        if (!os.loadImage(data)) return;
+    } else {
+        os.buildDisk();
+    }
+
+    let asFiles = [];
+    let addFiles = argv['add'];
+    if (addFiles) asFiles = asFiles.concat(addFiles);
+    let sDir = argv['dir'];
+    if (typeof sDir == "string") {
+        try {
+            for (let sName of fs.readdirSync(sDir).sort()) {
+                let sFile = path.join(sDir, sName);
+                if (sName[0] != '.' && fs.statSync(sFile).isFile()) asFiles.push(sFile);
+            }
+        } catch(err) {
+            printf("%s\n", err.message);
+            return;
+        }
+    }
+    let fModified = false;
+    for (let sFile of asFiles) {
+        if (typeof sFile != "string") continue;
+        if (addFile(os, sFile)) fModified = true;
+    }
+
+    if (argv['list'] || !sInput && !argv['output']) {
+        printf("%s", os.getListing());
+    }
+
+    let sExtract = argv['extract'];
+    if (sExtract) {
+        if (typeof sExtract != "string") sExtract = path.basename(sInput || "disk", path.extname(sInput || ""));
+        let nFiles = extractFiles(os, sExtract, !!argv['overwrite']);
+        printf("%d file(s) extracted to %s\n", nFiles, sExtract);
+    }
+
+    let sOutput = argv['output'];
+    if (typeof sOutput == "string") {
+        let data = sOutput.toLowerCase().endsWith(".json")? os.getJSON() : os.getImage();
+        if (writeFile(sOutput, data, !!argv['overwrite'])) {
+            printf("%s written\n", sOutput);
+        }
+    } else if (fModified) {
+        printf("use --output to save the modified disk\n");
+    }
+}
+
+main(...stdlib.getArgs());
@@ -0,0 +1,301 @@
+/**
+ * @fileoverview Reads and writes ZIP archives
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+import zlib from "zlib";
+
+/**
+ * ZipEntry describes a file (or directory) in a ZIP archive.
+ *
+ * @typedef {Object} ZipEntry
+ * @property {string} name (full path within the archive, using forward slashes; directories have a trailing slash)
+ * @property {Date} date (local date and time, since that's what ZIP archives record)
+ * @property {number} attr (DOS attributes)
+ * @property {Buffer|null} data (null if the entry couldn't be read; see error)
+ * @property {string} [error]
+ */
+
+/**
+ * ZipFile supports only what's needed to move files between ZIP archives and disk images: entries must be either
+ * stored or deflated, and neither encryption nor ZIP64 extensions are supported.  Timestamps are the DOS timestamps
+ * recorded in the central directory, and attributes are the DOS attributes recorded in the external attributes field
+ * (which archivers running on DOS-like hosts always set, and which Info-ZIP sets on other hosts as well).
+ *
+ * @class {ZipFile}
+ */
+export default class ZipFile {
+    /**
+     * readEntries(buffer)
+     *
+     * @param {Buffer} buffer
+     * @returns {Array.<ZipEntry>}
+     */
+    static readEntries(buffer)
+    {
+        let offEnd = -1;
+        for (let off = buffer.length - ZipFile.END.SIZE; off >= 0 && off >= buffer.length - ZipFile.END.SIZE - 0xffff; off--) {
+            if (buffer.readUInt32LE(off) == ZipFile.END.SIG) {
+                offEnd = off;
+                break;
+            }
+        }
+        if (offEnd < 0) {
+            throw new Error("not a ZIP archive (no end of central directory record)");
+        }
+        let nEntries = buffer.readUInt16LE(offEnd + ZipFile.END.ENTRIES);
+        let offDir = buffer.readUInt32LE(offEnd + ZipFile.END.DIR_OFFSET);
+        if (nEntries == 0xffff || offDir == 0xffffffff) {
+            throw new Error("ZIP64 archives are not supported");
+        }
+        let aEntries = [];
+        for (let i = 0, off = offDir; i < nEntries; i++) {
+            if (off + ZipFile.DIR.SIZE > buffer.length || buffer.readUInt32LE(off) != ZipFile.DIR.SIG) {
+                throw new Error("invalid central directory entry " + i);
+            }
+            let flags = buffer.readUInt16LE(off + ZipFile.DIR.FLAGS);
+            let method = buffer.readUInt16LE(off + ZipFile.DIR.METHOD);
+            let crc = buffer.readUInt32LE(off + ZipFile.DIR.CRC);
+            let cbData = buffer.readUInt32LE(off + ZipFile.DIR.CSIZE);
+            let cbFile = buffer.readUInt32LE(off + ZipFile.DIR.USIZE);
+            let cbName = buffer.readUInt16LE(off + ZipFile.DIR.NAME_LEN);
+            let cbExtra = buffer.readUInt16LE(off + ZipFile.DIR.EXTRA_LEN);
+            let cbComment = buffer.readUInt16LE(off + ZipFile.DIR.COMMENT_LEN);
+            let host = buffer.readUInt8(off + ZipFile.DIR.VERSION + 1);
+            let attrExt = buffer.readUInt32LE(off + ZipFile.DIR.ATTR_EXT);
+            let offLocal = buffer.readUInt32LE(off + ZipFile.DIR.LOCAL_OFFSET);
+            let name = buffer.toString((flags & ZipFile.FLAGS.UTF8)? "utf8" : "latin1", off + ZipFile.DIR.SIZE, off + ZipFile.DIR.SIZE + cbName);
+            let entry = {
+                name: name.replace(/\\/g, '/'),
+                date: ZipFile.getDate(buffer.readUInt16LE(off + ZipFile.DIR.DATE), buffer.readUInt16LE(off + ZipFile.DIR.TIME)),
+                attr: 0,
+                data: null
+            };
+            /*
+             * Only the low byte of the external attributes contains DOS attributes; for Unix hosts, the high word
+             * contains the Unix mode, which I consult only to determine if the file is read-only (when no DOS attributes
+             * are present).
+             */
+            entry.attr = attrExt & ZipFile.ATTR.MASK;
+            if (host == ZipFile.HOST.UNIX && !entry.attr && (attrExt >>> 16)) {
+                if (!((attrExt >>> 16) & 0o200)) entry.attr |= ZipFile.ATTR.READONLY;
+            }
+            if (entry.name.endsWith('/')) entry.attr |= ZipFile.ATTR.SUBDIR;
+            if (entry.attr & ZipFile.ATTR.SUBDIR) {
+                if (!entry.name.endsWith('/')) entry.name += '/';
+                entry.data = Buffer.alloc(0);
+            } else if (flags & ZipFile.FLAGS.ENCRYPTED) {
+                entry.error = "encrypted";
+            } else if (method != ZipFile.METHOD.STORED && method != ZipFile.METHOD.DEFLATED) {
+                entry.error = "unsupported compression method " + method;
+            } else if (offLocal + ZipFile.LOCAL.SIZE > buffer.length || buffer.readUInt32LE(offLocal) != ZipFile.LOCAL.SIG) {
+                entry.error = "invalid local header";
+            } else {
+                let offData = offLocal + ZipFile.LOCAL.SIZE + buffer.readUInt16LE(offLocal + ZipFile.LOCAL.NAME_LEN) + buffer.readUInt16LE(offLocal + ZipFile.LOCAL.EXTRA_LEN);
+                let data = buffer.slice(offData, offData + cbData);
+                try {
+                    if (method == ZipFile.METHOD.DEFLATED) data = zlib.inflateRawSync(data);
+                    if (data.length != cbFile) {
+                        entry.error = "size mismatch";
+                    } else if (ZipFile.getCRC(data) != crc) {
+                        entry.error = "CRC mismatch";
+                    } else {
+                        entry.data = data;
+                    }
+                } catch(err) {
+                    entry.error = err.message;
+                }
+            }
+            aEntries.push(entry);
+            off += ZipFile.DIR.SIZE + cbName + cbExtra + cbComment;
+        }
+        return aEntries;
+    }
+
+    /**
+     * buildArchive(aEntries)
+     *
+     * Every file is deflated, unless that doesn't make it any smaller, in which case it's stored.  Names are
+     * recorded in UTF-8 (with the corresponding flag set) only if they contain non-ASCII characters.
+     *
+     * @param {Array.<ZipEntry>} aEntries
+     * @returns {Buffer}
+     */
+    static buildArchive(aEntries)
+    {
+        let aLocal = [], aDir = [], offLocal = 0;
+        for (let entry of aEntries) {
+            let data = entry.data || Buffer.alloc(0);
+            let method = ZipFile.METHOD.STORED, dataStored = data;
+            if (data.length) {
+                let dataDeflated = zlib.deflateRawSync(data);
+                if (dataDeflated.length < data.length) {
+                    method = ZipFile.METHOD.DEFLATED;
+                    dataStored = dataDeflated;
+                }
+            }
+            let fUTF8 = (/[^\x20-\x7e]/).test(entry.name);
+            let abName = Buffer.from(entry.name, fUTF8? "utf8" : "latin1");
+            let [date, time] = ZipFile.getDOSDateTime(entry.date);
+            let crc = ZipFile.getCRC(data);
+            let bufLocal = Buffer.alloc(ZipFile.LOCAL.SIZE);
+            bufLocal.writeUInt32LE(ZipFile.LOCAL.SIG, 0);
+            bufLocal.writeUInt16LE(ZipFile.VERSION_NEEDED, ZipFile.LOCAL.VERSION_NEEDED);
+            bufLocal.writeUInt16LE(fUTF8? ZipFile.FLAGS.UTF8 : 0, ZipFile.LOCAL.FLAGS);
+            bufLocal.writeUInt16LE(method, ZipFile.LOCAL.METHOD);
+            bufLocal.writeUInt16LE(time, ZipFile.LOCAL.TIME);
+            bufLocal.writeUInt16LE(date, ZipFile.LOCAL.DATE);
+            bufLocal.writeUInt32LE(crc, ZipFile.LOCAL.CRC);
+            bufLocal.writeUInt32LE(dataStored.length, ZipFile.LOCAL.CSIZE);
+            bufLocal.writeUInt32LE(data.length, ZipFile.LOCAL.USIZE);
+            bufLocal.writeUInt16LE(abName.length, ZipFile.LOCAL.NAME_LEN);
+            let bufDir = Buffer.alloc(ZipFile.DIR.SIZE);
+            bufDir.writeUInt32LE(ZipFile.DIR.SIG, 0);
+            bufDir.writeUInt16LE((ZipFile.HOST.DOS << 8) | ZipFile.VERSION_NEEDED, ZipFile.DIR.VERSION);
+            bufLocal.copy(bufDir, ZipFile.DIR.VERSION_NEEDED, ZipFile.LOCAL.VERSION_NEEDED, ZipFile.LOCAL.EXTRA_LEN);
+            bufDir.writeUInt32LE(entry.attr & ZipFile.ATTR.MASK, ZipFile.DIR.ATTR_EXT);
+            bufDir.writeUInt32LE(offLocal, ZipFile.DIR.LOCAL_OFFSET);
+            aLocal.push(bufLocal, abName, dataStored);
+            aDir.push(bufDir, abName);
+            offLocal += bufLocal.length + abName.length + dataStored.length;
+        }
+        let bufDir = Buffer.concat(aDir);
+        let bufEnd = Buffer.alloc(ZipFile.END.SIZE);
+        bufEnd.writeUInt32LE(ZipFile.END.SIG, 0);
+        bufEnd.writeUInt16LE(aEntries.length, ZipFile.END.DISK_ENTRIES);
+        bufEnd.writeUInt16LE(aEntries.length, ZipFile.END.ENTRIES);
+        bufEnd.writeUInt32LE(bufDir.length, ZipFile.END.DIR_SIZE);
+        bufEnd.writeUInt32LE(offLocal, ZipFile.END.DIR_OFFSET);
+        return Buffer.concat([...aLocal, bufDir, bufEnd]);
+    }
+
+    /**
+     * getCRC(data)
+     *
+     * @param {Buffer} data
+     * @returns {number} (CRC-32 of the data)
+     */
+    static getCRC(data)
+    {
+        if (!ZipFile.aCRCTable) {
+            ZipFile.aCRCTable = new Uint32Array(256);
+            for (let i = 0; i < 256; i++) {
+                let c = i;
+                for (let j = 0; j < 8; j++) c = (c & 1)? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                ZipFile.aCRCTable[i] = c;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = ZipFile.aCRCTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * getDate(date, time)
+     *
+     * @param {number} date (DOS date)
+     * @param {number} time (DOS time)
+     * @returns {Date} (local)
+     */
+    static getDate(date, time)
+    {
+        return new Date((date >> 9) + 1980, ((date >> 5) & 0xf) - 1, date & 0x1f, time >> 11, (time >> 5) & 0x3f, (time & 0x1f) << 1);
+    }
+
+    /**
+     * getDOSDateTime(date)
+     *
+     * @param {Date} date (local)
+     * @returns {Array.<number>} [date, time] (DOS date and time; dates before 1980 are recorded as 1980-01-01)
+     */
+    static getDOSDateTime(date)
+    {
+        let year = date.getFullYear();
+        if (year < 1980) return [(1 << 5) | 1, 0];
+        return [((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(), (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1)];
+    }
+}
+
+ZipFile.VERSION_NEEDED = 20;        // version 2.0 (the first version to support deflate and directories)
+
+ZipFile.HOST = {
+    DOS:            0,
+    UNIX:           3
+};
+
+ZipFile.FLAGS = {
+    ENCRYPTED:      0x0001,
+    UTF8:           0x0800
+};
+
+ZipFile.METHOD = {
+    STORED:         0,
+    DEFLATED:       8
+};
+
+/*
+ * DOS attributes (the same values as DiskInfo.ATTR); VOLUME is deliberately excluded from MASK.
+ */
+ZipFile.ATTR = {
+    READONLY:       0x01,
+    SUBDIR:         0x10,
+    MASK:           0x37
+};
+
+/*
+ * Local file header offsets.
+ */
+ZipFile.LOCAL = {
+    SIG:            0x04034b50,
+    VERSION_NEEDED: 4,
+    FLAGS:          6,
+    METHOD:         8,
+    TIME:           10,
+    DATE:           12,
+    CRC:            14,
+    CSIZE:          18,
+    USIZE:          22,
+    NAME_LEN:       26,
+    EXTRA_LEN:      28,
+    SIZE:           30
+};
+
+/*
+ * Central directory header offsets.
+ */
+ZipFile.DIR = {
+    SIG:            0x02014b50,
+    VERSION:        4,              // version made by (the high byte is the host)
+    VERSION_NEEDED: 6,
+    FLAGS:          8,
+    METHOD:         10,
+    TIME:           12,
+    DATE:           14,
+    CRC:            16,
+    CSIZE:          20,
+    USIZE:          24,
+    NAME_LEN:       28,
+    EXTRA_LEN:      30,
+    COMMENT_LEN:    32,
+    ATTR_EXT:       38,
+    LOCAL_OFFSET:   42,
+    SIZE:           46
+};
+
+/*
+ * End of central directory record offsets.
+ */
+ZipFile.END = {
+    SIG:            0x06054b50,
+    DISK_ENTRIES:   8,
+    ENTRIES:        10,
+    DIR_SIZE:       12,
+    DIR_OFFSET:     16,
+    SIZE:           22
+};
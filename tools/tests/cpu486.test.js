@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Tests for the 80486 CPU model (new instructions, flags, and CR0 bits)
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+var machinelib = require("./machinelib");
+
+/*
+ * Every program is loaded at 0:7C00 and ends by storing 0x1234 at 0:7000 (which is where results are stored, too).
+ */
+var abDone = [
+    0xC7, 0x06, 0x00, 0x70, 0x34, 0x12,     // mov word [7000h],1234h
+    0xEB, 0xFE                              // jmp $
+];
+
+var abArith = [
+    0x31, 0xC0,                             // xor ax,ax
+    0x8E, 0xD8,                             // mov ds,ax
+    0x66, 0xB8, 0x78, 0x56, 0x34, 0x12,     // mov eax,12345678h
+    0x66, 0x0F, 0xC8,                       // bswap eax
+    0x66, 0xA3, 0x10, 0x70,                 // mov [7010h],eax
+    0xB3, 0x05,                             // mov bl,5
+    0xB1, 0x03,                             // mov cl,3
+    0x0F, 0xC0, 0xCB,                       // xadd bl,cl
+    0x88, 0x1E, 0x14, 0x70,                 // mov [7014h],bl
+    0x88, 0x0E, 0x15, 0x70,                 // mov [7015h],cl
+    0xB0, 0x08,                             // mov al,8
+    0xB2, 0x44,                             // mov dl,44h
+    0x0F, 0xB0, 0xD3,                       // cmpxchg bl,dl (AL == BL, so BL = DL and ZF = 1)
+    0x9C,                                   // pushf
+    0x88, 0x1E, 0x16, 0x70,                 // mov [7016h],bl
+    0xB0, 0x01,                             // mov al,1
+    0x0F, 0xB0, 0xD3,                       // cmpxchg bl,dl (AL != BL, so AL = BL and ZF = 0)
+    0x9C,                                   // pushf
+    0xA2, 0x17, 0x70,                       // mov [7017h],al
+    0x58,                                   // pop ax
+    0xA3, 0x18, 0x70,                       // mov [7018h],ax
+    0x58,                                   // pop ax
+    0xA3, 0x1A, 0x70,                       // mov [701Ah],ax
+    0xC7, 0x06, 0x1C, 0x70, 0x00, 0x10,     // mov word [701Ch],1000h
+    0xB8, 0x34, 0x02,                       // mov ax,0234h
+    0x0F, 0xC1, 0x06, 0x1C, 0x70,           // xadd [701Ch],ax
+    0xA3, 0x1E, 0x70                        // mov [701Eh],ax
+].concat(abDone);
+
+var abIdentify = [
+    0x31, 0xC0,                             // xor ax,ax
+    0x8E, 0xD8,                             // mov ds,ax
+    0x66, 0x9C,                             // pushfd
+    0x66, 0x58,                             // pop eax
+    0x66, 0x0D, 0x00, 0x00, 0x24, 0x00,     // or eax,240000h (AC and ID)
+    0x66, 0x50,                             // push eax
+    0x66, 0x9D,                             // popfd
+    0x66, 0x9C,                             // pushfd
+    0x66, 0x58,                             // pop eax
+    0x66, 0xA3, 0x10, 0x70,                 // mov [7010h],eax
+    0x66, 0x31, 0xC0,                       // xor eax,eax
+    0x0F, 0xA2,                             // cpuid
+    0x66, 0xA3, 0x14, 0x70,                 // mov [7014h],eax
+    0x66, 0x89, 0x1E, 0x18, 0x70,           // mov [7018h],ebx
+    0x66, 0x89, 0x16, 0x1C, 0x70,           // mov [701Ch],edx
+    0x66, 0x89, 0x0E, 0x20, 0x70,           // mov [7020h],ecx
+    0x66, 0xB8, 0x01, 0x00, 0x00, 0x00,     // mov eax,1
+    0x0F, 0xA2,                             // cpuid
+    0x66, 0xA3, 0x24, 0x70,                 // mov [7024h],eax
+    0x66, 0x89, 0x16, 0x28, 0x70,           // mov [7028h],edx
+    0x0F, 0x08,                             // invd
+    0x0F, 0x09,                             // wbinvd
+    0x0F, 0x01, 0x3F                        // invlpg [bx]
+].concat(abDone);
+
+/*
+ * An invalid opcode handler, which stores 6 at 0:7002 and then ends the program.
+ */
+var abInvalid = [
+    0xC6, 0x06, 0x02, 0x70, 0x06            // mov byte [7002h],6
+].concat(abDone);
+
+var abCR0 = [
+    0x0F, 0x20, 0xC0,                       // mov eax,cr0
+    0x66, 0x0D, 0x20, 0x00, 0x05, 0x10,     // or eax,10050020h (reserved bit 28, AM, WP, and NE)
+    0x66, 0x25, 0xFF, 0xFF, 0xFF, 0x9F,     // and eax,9FFFFFFFh (CD and NW)
+    0x0F, 0x22, 0xC0,                       // mov cr0,eax
+    0x0F, 0x20, 0xC3,                       // mov ebx,cr0
+    0x31, 0xC0,                             // xor ax,ax
+    0x8E, 0xD8,                             // mov ds,ax
+    0x0F, 0x01, 0xF0,                       // lmsw ax
+    0x0F, 0x20, 0xC1,                       // mov ecx,cr0
+    0x66, 0x89, 0x1E, 0x10, 0x70,           // mov [7010h],ebx
+    0x66, 0x89, 0x0E, 0x14, 0x70            // mov [7014h],ecx
+].concat(abDone);
+
+/**
+ * makeMathProgram(fNE)
+ *
+ * @param {boolean} fNE (true to set CR0.NE before dividing by zero with all FPU exceptions unmasked)
+ * @returns {Array.<number>}
+ */
+function makeMathProgram(fNE)
+{
+    return [
+        0x31, 0xC0,                         // xor ax,ax
+        0x8E, 0xD8,                         // mov ds,ax
+        0xB0, 0x80,                         // mov al,80h
+        0xE6, 0xA0,                         // out 0A0h,al (enable NMI)
+        0x0F, 0x20, 0xC0,                   // mov eax,cr0
+        0x66, 0x0D, 0x20, 0x00, 0x00, 0x00, // or eax,20h (NE)
+        0x66, 0x25, fNE? 0xFF : 0xDF, 0xFF, 0xFF, 0xFF,     // and eax,0FFFFFFFFh (or 0FFFFFFDFh to clear NE)
+        0x0F, 0x22, 0xC0,                   // mov cr0,eax
+        0xDB, 0xE3,                         // fninit
+        0xD9, 0x3E, 0x10, 0x70,             // fnstcw [7010h]
+        0x80, 0x26, 0x10, 0x70, 0x00,       // and byte [7010h],0 (unmask all exceptions, and clear IEM)
+        0xD9, 0x2E, 0x10, 0x70,             // fldcw [7010h]
+        0xD9, 0xE8,                         // fld1
+        0xD9, 0xEE,                         // fldz
+        0xDE, 0xF9,                         // fdivp st1,st
+        0xDD, 0x3E, 0x12, 0x70,             // fnstsw [7012h] (no-wait, so no fault)
+        0x90,                               // nop
+        0x9B                                // wait
+    ].concat(abDone);
+}
+
+/*
+ * NMI (vector 2) and MF_FAULT (vector 16) handlers, which record the vector at 0:7002 or 0:7003 and clear the
+ * FPU's exceptions.
+ */
+var abNMI = [
+    0xC6, 0x06, 0x02, 0x70, 0x02,           // mov byte [7002h],2
+    0xDB, 0xE2,                             // fnclex
+    0xCF                                    // iret
+];
+
+var abMathFault = [
+    0xC6, 0x06, 0x03, 0x70, 0x10,           // mov byte [7003h],10h
+    0xDB, 0xE2,                             // fnclex
+    0xCF                                    // iret
+];
+
+/**
+ * makePagingProgram(fWP)
+ *
+ * Creates a program that enables protected-mode and paging (with the first 4Mb identity-mapped, except for the
+ * read-only page at 0x20000), and then writes 0x55 to 0x20000 at CPL 0.  The program's memory (a GDT with flat
+ * code and data segments, an IDT with a page fault handler, and the page tables) is returned as well.
+ *
+ * @param {boolean} fWP (true to set CR0.WP along with PG and PE)
+ * @returns {Object} (with the program's code in ab and its memory in aMem)
+ */
+function makePagingProgram(fWP)
+{
+    let abReal = [
+        0xFA,                               // cli
+        0x31, 0xC0,                         // xor ax,ax
+        0x8E, 0xD8,                         // mov ds,ax
+        0x0F, 0x01, 0x16, 0x00, 0x7B,       // lgdt [7B00h]
+        0x0F, 0x01, 0x1E, 0x08, 0x7B,       // lidt [7B08h]
+        0x66, 0xB8, 0x00, 0x00, 0x01, 0x00, // mov eax,10000h
+        0x0F, 0x22, 0xD8,                   // mov cr3,eax
+        0x0F, 0x20, 0xC0,                   // mov eax,cr0
+        0x66, 0x0D, 0x01, 0x00, fWP? 0x01 : 0x00, 0x80,     // or eax,80000001h (or 80010001h to set WP)
+        0x0F, 0x22, 0xC0                    // mov cr0,eax
+    ];
+    let offProt = 0x7C00 + abReal.length + 5;
+    abReal.push(0xEA, offProt & 0xff, offProt >> 8, 0x08, 0x00);    // jmp 0008h:offProt
+    let abProt = [
+        0x66, 0xB8, 0x10, 0x00,             // mov ax,10h
+        0x8E, 0xD8,                         // mov ds,ax
+        0x8E, 0xD0,                         // mov ss,ax
+        0xBC, 0x00, 0x60, 0x00, 0x00,       // mov esp,6000h
+        0xC6, 0x05, 0x00, 0x00, 0x02, 0x00, 0x55,                   // mov byte [20000h],55h
+        0xC7, 0x05, 0x00, 0x70, 0x00, 0x00, 0x34, 0x12, 0x00, 0x00, // mov dword [7000h],1234h
+        0xEB, 0xFE                          // jmp $
+    ];
+    let abFault = [
+        0x0F, 0x20, 0xD0,                   // mov eax,cr2
+        0xA3, 0x04, 0x70, 0x00, 0x00,       // mov [7004h],eax
+        0x59,                               // pop ecx (error code)
+        0x89, 0x0D, 0x08, 0x70, 0x00, 0x00, // mov [7008h],ecx
+        0xC7, 0x05, 0x00, 0x70, 0x00, 0x00, 0x34, 0x12, 0x00, 0x00, // mov dword [7000h],1234h
+        0xEB, 0xFE                          // jmp $
+    ];
+    let abPageDir = Buffer.alloc(4), abPageTable = Buffer.alloc(4096);
+    abPageDir.writeUInt32LE(0x11003);
+    for (let i = 0; i < 1024; i++) {
+        abPageTable.writeUInt32LE(i * 0x1000 | (i == 0x20? 0x1 : 0x3), i * 4);
+    }
+    return {
+        ab: abReal.concat(abProt),
+        aMem: [
+            [0x7B00, [0x17, 0x00, 0x00, 0x08, 0x00, 0x00]],         // GDTR (3 descriptors at 0x800)
+            [0x7B08, [0x7F, 0x00, 0x00, 0x09, 0x00, 0x00]],         // IDTR (16 descriptors at 0x900)
+            [0x0808, [0xFF, 0xFF, 0x00, 0x00, 0x00, 0x9A, 0xCF, 0x00]],
+            [0x0810, [0xFF, 0xFF, 0x00, 0x00, 0x00, 0x92, 0xCF, 0x00]],
+            [0x0900 + 14 * 8, [0x00, 0x7E, 0x08, 0x00, 0x00, 0x8E, 0x00, 0x00]],
+            [0x7E00, abFault],
+            [0x10000, Array.from(abPageDir)],
+            [0x11000, Array.from(abPageTable)]
+        ]
+    };
+}
+
+/**
+ * runPrograms(nModel, aPrograms)
+ *
+ * Runs each program in turn, in a machine with the given CPU model.  Each program is an object with the program's
+ * code (ab), and optionally, additional memory contents (aMem, an array of [addr, ab] pairs) and interrupt handlers
+ * (aVectors, an array of [vector, ab] pairs).
+ *
+ * @param {number} nModel
+ * @param {Array.<Object>} aPrograms
+ * @returns {Object} (with the initial EDX and CR0 values, plus results for each program, including the 64 bytes at 0:7000)
+ */
+function runPrograms(nModel, aPrograms)
+{
+    let machine = machinelib.getMachine();
+    machine['cpu']['model'] = nModel;
+    return machinelib.runMachine(machine, function(getObject, args) {
+        let cpu = getObject("cpu"), dbg = getObject("debugger");
+        let result = {edxReset: cpu.regEDX >>> 0, cr0Reset: cpu.regCR0 >>> 0, aResults: []};
+        let setBytes = function(addr, ab) {
+            for (let i = 0; i < ab.length; i++) cpu.setByte(addr + i, ab[i]);
+        };
+        args.aPrograms.forEach(function(program) {
+            setBytes(0x7000, new Array(64).fill(0));
+            setBytes(0x7C00, program.ab);
+            (program.aMem || []).forEach(function(mem) { setBytes(mem[0], mem[1]); });
+            (program.aVectors || []).forEach(function(vector, i) {
+                let addr = 0x7E00 + i * 0x40;
+                setBytes(addr, vector[1]);
+                cpu.setShort(vector[0] * 4, addr);
+                cpu.setShort(vector[0] * 4 + 2, 0);
+            });
+            cpu.setCSIP(0x7C00, 0x0000);
+            cpu.setSS(0);
+            cpu.setSP(0x6000);
+            cpu.setPS(0x0002);
+            let nSteps = 0;
+            while (cpu.getShort(0x7000) != 0x1234 && nSteps++ < 1000) dbg.stepCPU(0, false, false);
+            let ab = [];
+            for (let i = 0; i < 64; i++) ab.push(cpu.getByte(0x7000 + i));
+            result.aResults.push({ab: ab, cr0: cpu.regCR0 >>> 0, b20000: cpu.getByte(0x20000)});
+        });
+        return result;
+    }, {aPrograms: aPrograms});
+}
+
+/**
+ * getLong(ab, off)
+ *
+ * @param {Array.<number>} ab
+ * @param {number} off
+ * @returns {number}
+ */
+function getLong(ab, off)
+{
+    return Buffer.from(ab).readUInt32LE(off);
+}
+
+testlib.test("BSWAP, XADD, and CMPXCHG", function() {
+    let ab = runPrograms(80486, [{ab: abArith}]).aResults[0].ab;
+    assert.strictEqual(getLong(ab, 0), 0x1234, "program didn't finish");
+    assert.strictEqual(getLong(ab, 0x10), 0x78563412, "BSWAP");
+    assert.deepStrictEqual(ab.slice(0x14, 0x16), [0x08, 0x05], "XADD of registers");
+    assert.strictEqual(ab[0x16], 0x44, "CMPXCHG should have stored the source");
+    assert.strictEqual(ab[0x17], 0x44, "CMPXCHG should have loaded the accumulator");
+    assert.strictEqual(ab[0x1A] & 0x40, 0x40, "ZF should be set when the accumulator matches");
+    assert.strictEqual(ab[0x18] & 0x40, 0x00, "ZF should be clear when the accumulator doesn't match");
+    assert.deepStrictEqual(ab.slice(0x1C, 0x20), [0x34, 0x12, 0x00, 0x10], "XADD with memory");
+});
+
+testlib.test("the 80486 identifies itself with the ID flag, CPUID, and its reset state", function() {
+    let result = runPrograms(80486, [{ab: abIdentify, aVectors: [[6, abInvalid]]}]);
+    let ab = result.aResults[0].ab;
+    assert.strictEqual(result.edxReset, 0x480, "DX should contain the CPU signature after reset");
+    assert.strictEqual(result.cr0Reset, 0x60000010, "CR0 should have CD, NW, and ET set after reset");
+    assert.strictEqual(getLong(ab, 0), 0x1234, "program didn't finish");
+    assert.strictEqual(ab[2], 0, "no opcode should be invalid");
+    assert.strictEqual(getLong(ab, 0x10) & 0x240000, 0x240000, "AC and ID should be settable");
+    assert.strictEqual(getLong(ab, 0x14), 1, "highest CPUID function");
+    assert.strictEqual(Buffer.from(ab.slice(0x18, 0x24)).toString("latin1"), "GenuineIntel");
+    assert.strictEqual(getLong(ab, 0x24), 0x480, "CPUID signature");
+    assert.strictEqual(getLong(ab, 0x28), 0x1, "CPUID features should include the FPU");
+});
+
+testlib.test("the 80386 can't set AC or ID, and the new opcodes are invalid", function() {
+    let result = runPrograms(80386, [{ab: abIdentify, aVectors: [[6, abInvalid]]}, {ab: abArith, aVectors: [[6, abInvalid]]}]);
+    let ab = result.aResults[0].ab;
+    assert.strictEqual(getLong(ab, 0x10) & 0x240000, 0, "AC and ID shouldn't be settable");
+    assert.strictEqual(ab[2], 6, "CPUID should be invalid");
+    assert.strictEqual(result.aResults[1].ab[2], 6, "BSWAP should be invalid");
+});
+
+testlib.test("CR0 accepts only the 80486's bits, and LMSW can't change ET or NE", function() {
+    let ab = runPrograms(80486, [{ab: abCR0}]).aResults[0].ab;
+    assert.strictEqual(getLong(ab, 0x10), 0x00050030, "MOV CR0");
+    assert.strictEqual(getLong(ab, 0x14), 0x00050030, "LMSW");
+});
+
+testlib.test("CR0.NE reports FPU errors with MF_FAULT instead of an interrupt", function() {
+    let aVectors = [[2, abNMI], [16, abMathFault]];
+    let result = runPrograms(80486, [{ab: makeMathProgram(false), aVectors: aVectors}, {ab: makeMathProgram(true), aVectors: aVectors}]);
+    let ab = result.aResults[0].ab;
+    assert.deepStrictEqual(ab.slice(0, 2), [0x34, 0x12], "program didn't finish");
+    assert.deepStrictEqual(ab.slice(2, 4), [0x02, 0x00], "without NE, the error should generate an NMI");
+    ab = result.aResults[1].ab;
+    assert.deepStrictEqual(ab.slice(0, 2), [0x34, 0x12], "program didn't finish");
+    assert.strictEqual(ab[0x12] & 0x80, 0x80, "with NE, the error should remain pending until the next WAIT");
+    assert.deepStrictEqual(ab.slice(2, 4), [0x00, 0x10], "with NE, the error should generate MF_FAULT");
+});
+
+testlib.test("CR0.WP makes read-only pages read-only at CPL 0, too", function() {
+    let resultNoWP = runPrograms(80486, [makePagingProgram(false)]).aResults[0];
+    let resultWP = runPrograms(80486, [makePagingProgram(true)]).aResults[0];
+    assert.strictEqual(getLong(resultNoWP.ab, 0), 0x1234, "program didn't finish");
+    assert.strictEqual(resultNoWP.b20000, 0x55, "without WP, the write should succeed");
+    assert.strictEqual(getLong(resultNoWP.ab, 4), 0, "without WP, there should be no page fault");
+    assert.strictEqual(getLong(resultWP.ab, 0), 0x1234, "program didn't finish");
+    assert.strictEqual((resultWP.cr0 & 0x80010001) >>> 0, 0x80010001);
+    assert.strictEqual(resultWP.b20000, 0x00, "with WP, the write should fail");
+    assert.strictEqual(getLong(resultWP.ab, 4), 0x20000, "with WP, CR2 should contain the faulting address");
+    assert.strictEqual(getLong(resultWP.ab, 8), 0x3, "page fault error code should indicate a write to a present page");
+});
+
+testlib.test("the Debugger disassembles the 80486 instructions", function() {
+    let machine = machinelib.getMachine();
+    machine['cpu']['model'] = 80486;
+    let aLines = machinelib.runMachine(machine, function(getObject, args) {
+        let cpu = getObject("cpu"), dbg = getObject("debugger");
+        args.ab.forEach(function(b, i) { cpu.setByte(0x7C00 + i, b); });
+        let dbgAddr = dbg.newAddr(0x7C00, 0x0000), aLines = [];
+        while (dbgAddr.off < 0x7C00 + args.ab.length) aLines.push(dbg.getInstruction(dbgAddr));
+        return aLines;
+    }, {ab: abArith.concat(abIdentify)});
+    let sLines = aLines.join("\n");
+    for (let sIns of ["BSWAP\\s+EAX", "XADD\\s+BL,CL", "CMPXCHG\\s+BL,DL", "XADD\\s+\\[701C\\],AX", "CPUID", "INVD", "WBINVD", "INVLPG\\s+BYTE \\[BX\\]"]) {
+        assert.match(sLines, new RegExp("^&0000:7C[0-9A-F]{2} [0-9A-F]+\\s+" + sIns + "\\s*$", "m"));
+    }
+});
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Tests for comparing disk images (--diff)
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+
+var files = {
+    "SAME.TXT": "same\r\n",
+    "GONE.TXT": "gone\r\n",
+    "CHANGED.TXT": "before\r\n"
+};
+
+testlib.test("--diff reports added, removed, and changed files", function() {
+    let sDir = testlib.makeFiles("diff", files);
+    testlib.diskImage([sDir, "diff1.img"]);
+    testlib.writeFile("diff2.img", testlib.readFile("diff1.img"));
+    testlib.writeFile("NEW.TXT", "new\r\n");
+    testlib.writeFile("CHANGED.TXT", "after, and longer\r\n");
+    testlib.diskImage(["diff2.img", "--add=NEW.TXT", "--replace=CHANGED.TXT", "--delete=\\GONE.TXT"]);
+    let output = testlib.diskImage(["diff1.img", "--diff=diff2.img"]);
+    assert.match(output, /removed: \/GONE\.TXT\s+6/);
+    assert.match(output, /added: {3}\/NEW\.TXT\s+5/);
+    assert.match(output, /changed: \/CHANGED\.TXT\s+size 8 -> 19/);
+    assert.doesNotMatch(output, /SAME\.TXT/);
+    assert.match(output, /1 file\(s\) removed, 1 added, 1 changed/);
+});
+
+testlib.test("--diff reports sectors that differ outside of files, including slack space", function() {
+    let abDisk = testlib.readFile("diff1.img");
+    abDisk[0x100] ^= 0xFF;                                  // change the boot code
+    let offData = abDisk.indexOf("same\r\n");
+    assert.ok(offData > 0, "missing SAME.TXT data");
+    abDisk[offData + 100] = 0x55;                           // change the slack space following SAME.TXT
+    testlib.writeFile("diff3.img", abDisk);
+    let output = testlib.diskImage(["diff1.img", "--diff=diff3.img", "--json"]);
+    let report = JSON.parse(output.slice(output.indexOf("{")));
+    assert.strictEqual(report.disk1, "diff1");
+    assert.strictEqual(report.disk2, "diff3");
+    assert.deepStrictEqual([report.added.length, report.removed.length, report.changed.length], [0, 0, 0]);
+    assert.strictEqual(report.sectors.length, 2);
+    assert.deepStrictEqual(report.sectors[0], {lba: 0, type: "boot", offset: 0x100, length: 1});
+    assert.strictEqual(report.sectors[1].lba, offData >> 9);
+    assert.strictEqual(report.sectors[1].type, "slack");
+    assert.strictEqual(report.sectors[1].path, "/SAME.TXT");
+    assert.strictEqual(report.sectors[1].offset, (offData + 100) & 0x1FF);
+});
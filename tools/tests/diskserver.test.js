@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Tests for the local disk server
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var fs = require("fs");
+var testlib = require("./testlib");
+
+var port = 20000 + (process.pid % 10000);
+var sServer = "http://localhost:" + port;
+var sOverlay = testlib.getPath("overlays/user1/machine1/disks_server.img.ovl");
+
+/**
+ * diskRequest(params, method)
+ *
+ * @param {Object} params (DiskAPI query parameters)
+ * @param {string} [method] (default is "GET"; "POST" sends the parameters in the request body instead)
+ * @returns {Promise} (see testlib.httpRequest())
+ */
+function diskRequest(params, method = "GET")
+{
+    let sParams = new URLSearchParams(params).toString();
+    if (method == "POST") {
+        return testlib.httpRequest(sServer + "/api/v1/disk", method, {"Content-Type": "application/x-www-form-urlencoded"}, sParams);
+    }
+    return testlib.httpRequest(sServer + "/api/v1/disk?" + sParams);
+}
+
+/**
+ * withServer(fn)
+ *
+ * Starts the disk server, calls fn() (which returns a Promise), and then stops the server, whether fn() succeeded or not.
+ *
+ * @param {function()} fn
+ * @returns {Promise}
+ */
+function withServer(fn)
+{
+    return testlib.startNode("tools/modules/diskserver.js", ["--port=" + port, "--root=" + testlib.getPath("root"), "--overlays=" + testlib.getPath("overlays")], /serving/).then(function(child) {
+        return fn().then(function() {
+            return testlib.stopNode(child);
+        }, function(err) {
+            return testlib.stopNode(child).then(function() {
+                throw err;
+            });
+        });
+    });
+}
+
+testlib.test("the disk server reads volumes and keeps each client's writes in its own overlay", function() {
+    let sDir = testlib.makeFiles("server", {"HELLO.TXT": "hello\r\n"});
+    testlib.diskImage([sDir, "root/disks/server.img"]);
+    let abDisk = testlib.readFile("root/disks/server.img");
+    let user1 = {volume: "/disks/server.img", user: "user1", machine: "machine1"};
+    let user2 = {volume: "/disks/server.img", user: "user2", machine: "machine1"};
+    let abWrite = Array.from(testlib.getRandomData(1024));
+    return withServer(function() {
+        return diskRequest(Object.assign({action: "open", mode: "demandrw", chs: "40:1:8:512"}, user1)).then(function(res) {
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(JSON.parse(res.body.toString()), {volume: "/disks/server.img", chs: "40:1:8:512"});
+            return diskRequest(Object.assign({action: "read", addr: "0:0:1:1"}, user1));
+        }).then(function(res) {
+            assert.ok(Buffer.from(JSON.parse(res.body.toString())).equals(abDisk.slice(0, 512)), "sector 0:0:1 doesn't match the volume");
+            return diskRequest(Object.assign({action: "write", addr: "1:0:3:2", data: JSON.stringify(abWrite)}, user1), "POST");
+        }).then(function(res) {
+            assert.strictEqual(res.body.toString(), "OK");
+            return diskRequest(Object.assign({action: "read", addr: "1:0:3:2"}, user1));
+        }).then(function(res) {
+            assert.deepStrictEqual(JSON.parse(res.body.toString()), abWrite);
+            return diskRequest(Object.assign({action: "open", mode: "demandro", chs: "40:1:8:512"}, user2));
+        }).then(function() {
+            return diskRequest(Object.assign({action: "read", addr: "1:0:3:2"}, user2));
+        }).then(function(res) {
+            let off = (8 + 2) * 512;
+            assert.ok(Buffer.from(JSON.parse(res.body.toString())).equals(abDisk.slice(off, off + 1024)), "another client's writes are visible");
+            return diskRequest(Object.assign({action: "close"}, user1));
+        }).then(function(res) {
+            assert.strictEqual(res.body.toString(), "OK");
+            assert.strictEqual(fs.statSync(sOverlay).size, 2 * (8 + 512));
+            return diskRequest(Object.assign({action: "open", mode: "demandrw", chs: "40:1:8:512"}, user1));
+        }).then(function() {
+            return diskRequest(Object.assign({action: "read", addr: "1:0:3:2"}, user1));
+        }).then(function(res) {
+            assert.deepStrictEqual(JSON.parse(res.body.toString()), abWrite, "overlay wasn't restored");
+            assert.ok(testlib.readFile("root/disks/server.img").equals(abDisk), "volume was modified");
+        });
+    });
+});
+
+testlib.test("the disk server rejects invalid requests", function() {
+    return withServer(function() {
+        return diskRequest({action: "open", volume: "/disks/server.img", mode: "demandrw", chs: "40:1:8:512"}).then(function(res) {
+            assert.strictEqual(res.status, 403);
+            assert.strictEqual(res.body.toString(), "invalid user");
+            return diskRequest({action: "read", volume: "/disks/server.img", user: "user3", addr: "0:0:1:1"});
+        }).then(function(res) {
+            assert.strictEqual(res.status, 410);
+            assert.strictEqual(res.body.toString(), "access revoked");
+            return diskRequest({action: "open", volume: "/../server.img", user: "user3", mode: "demandro", chs: "40:1:8:512"});
+        }).then(function(res) {
+            assert.strictEqual(res.status, 400);
+            assert.strictEqual(res.body.toString(), "invalid volume");
+            return diskRequest({action: "open", volume: "/disks/server.img", user: "user3", mode: "demandro", chs: "40:1:8:512"});
+        }).then(function() {
+            return diskRequest({action: "read", volume: "/disks/server.img", user: "user3", addr: "40:0:1:1"});
+        }).then(function(res) {
+            assert.strictEqual(res.status, 400);
+            return diskRequest({action: "write", volume: "/disks/server.img", user: "user3", addr: "0:0:1:1", data: "[1,2,3]"});
+        }).then(function(res) {
+            assert.strictEqual(res.status, 400);
+            assert.strictEqual(res.body.toString(), "unable to write volume");
+            return testlib.httpRequest(sServer + "/api/v1/dump?disk=/disks/server.img&format=img");
+        }).then(function(res) {
+            assert.strictEqual(res.status, 200);
+            assert.ok(res.body.equals(testlib.readFile("root/disks/server.img")), "dumped image doesn't match the volume");
+        });
+    });
+});
+
+testlib.test("the disk server provides blank volumes and compacts overlays when it stops", function() {
+    let blank = {volume: "/disks/blank.img", user: "user1", machine: "machine1"};
+    let abSector = Array.from(Buffer.alloc(512, 0xE5));
+    return withServer(function() {
+        return diskRequest(Object.assign({action: "open", mode: "demandrw", chs: "40:1:8:512"}, blank)).then(function(res) {
+            assert.strictEqual(res.status, 200);
+            return diskRequest(Object.assign({action: "read", addr: "0:0:1:1"}, blank));
+        }).then(function(res) {
+            assert.deepStrictEqual(JSON.parse(res.body.toString()), Array.from(Buffer.alloc(512)));
+            return diskRequest(Object.assign({action: "write", addr: "0:0:1:1", data: JSON.stringify(abSector)}, blank), "POST");
+        }).then(function() {
+            return diskRequest(Object.assign({action: "write", addr: "0:0:1:1", data: JSON.stringify(abSector)}, blank), "POST");
+        }).then(function() {
+            assert.strictEqual(fs.statSync(testlib.getPath("overlays/user1/machine1/disks_blank.img.ovl")).size, 2 * (8 + 512));
+        });
+    }).then(function() {
+        assert.strictEqual(fs.statSync(testlib.getPath("overlays/user1/machine1/disks_blank.img.ovl")).size, 8 + 512);
+        assert.ok(!fs.existsSync(testlib.getPath("root/disks/blank.img")), "blank volume was created");
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Tests for FAT32 volumes (building, listing, and extracting)
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+
+var files = {
+    "SUB/BIG.BIN": testlib.getRandomData(100000),
+    "SUB/DEEP/LAST.DAT": "last\r\n"
+};
+
+/*
+ * With 512-byte clusters, 40 files are enough to make the root directory (which is an ordinary cluster chain on
+ * a FAT32 volume) span several clusters.
+ */
+for (let i = 0; i < 40; i++) {
+    files["FILE" + (i < 10? "0" : "") + i + ".TXT"] = "file " + i + "\r\n";
+}
+
+testlib.test("FAT32 volumes round-trip through --list and --extract", function() {
+    let sDir = testlib.makeFiles("fat32", files);
+    testlib.diskImage([sDir, "fat32.img", "--target=40960"]);
+    let output = testlib.diskImage(["fat32.img", "--list"]);
+    assert.match(output, /Volume in drive C is FAT32/);
+    assert.match(output, /FILE39\s+TXT\s+9/);
+    assert.match(output, /BIG\s+BIN\s+100000/);
+    testlib.diskImage(["fat32.img", "--extract"]);
+    testlib.compareFiles("fat32", files);
+});
+
+testlib.test("FAT32 volumes have a FAT32 BPB, an FSInfo sector, and a backup boot sector", function() {
+    let abDisk = testlib.readFile("fat32.img");
+    assert.strictEqual(abDisk.readUInt16LE(0x1FE), 0xAA55);
+    let entry = -1;
+    for (let off = 0x1BE; off < 0x1FE; off += 16) {
+        if (abDisk[off + 4]) entry = off;
+    }
+    assert.ok(entry > 0, "missing partition");
+    assert.ok(abDisk[entry + 4] == 0x0B || abDisk[entry + 4] == 0x0C, "partition type is not FAT32");
+    let offBoot = abDisk.readUInt32LE(entry + 8) * 512;
+    let abBoot = abDisk.slice(offBoot, offBoot + 512);
+    assert.strictEqual(abBoot.toString("ascii", 0x52, 0x5A), "FAT32   ");
+    assert.strictEqual(abBoot.readUInt16LE(0x0E), 32);                 // reserved sectors
+    assert.strictEqual(abBoot.readUInt16LE(0x11), 0);                  // root directory entries
+    assert.strictEqual(abBoot.readUInt16LE(0x30), 1);                  // FSInfo sector
+    assert.strictEqual(abBoot.readUInt16LE(0x32), 6);                  // backup boot sector
+    assert.ok(abDisk.slice(offBoot + 6 * 512, offBoot + 7 * 512).equals(abBoot), "backup boot sector differs");
+    let abInfo = abDisk.slice(offBoot + 512, offBoot + 1024);
+    assert.strictEqual(abInfo.toString("ascii", 0, 4), "RRaA");
+    assert.strictEqual(abInfo.toString("ascii", 0x1E4, 0x1E8), "rrAa");
+    let output = testlib.diskImage(["fat32.img", "--list"]);
+    let match = output.match(/(\d+) bytes free/);
+    assert.ok(match, "missing free space");
+    assert.strictEqual(abInfo.readUInt32LE(0x1E8), match[1] / (abBoot[0x0D] * 512), "FSInfo free cluster count is wrong");
+});
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Tests for the Hercules Graphics Card video model
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+var machinelib = require("./machinelib");
+
+/*
+ * Every program is loaded at 0:7C00 and ends by storing 0x1234 at 0:7000 (which is where results are stored, too).
+ */
+var abDone = [
+    0xC7, 0x06, 0x00, 0x70, 0x34, 0x12,     // mov word [7000h],1234h
+    0xEB, 0xFE                              // jmp $
+];
+
+/*
+ * The usual HGC detection: read the Status Register until bit 7 changes (or we give up), and then record how many
+ * times it changed (0 or 1), along with the final status.
+ */
+var abDetect = [
+    0x31, 0xC0,                             // xor ax,ax
+    0x8E, 0xD8,                             // mov ds,ax
+    0xBA, 0xBA, 0x03,                       // mov dx,3BAh
+    0x31, 0xDB,                             // xor bx,bx
+    0xB9, 0x00, 0x80,                       // mov cx,8000h
+    0xEC,                                   // in al,dx
+    0x24, 0x80,                             // and al,80h
+    0x88, 0xC4,                             // mov ah,al
+    0xEC,                                   // in al,dx
+    0x24, 0x80,                             // and al,80h
+    0x38, 0xE0,                             // cmp al,ah
+    0x75, 0x04,                             // jne changed
+    0xE2, 0xF7,                             // loop $-7
+    0xEB, 0x01,                             // jmp done
+    0x43,                                   // changed: inc bx
+    0xEC,                                   // done: in al,dx
+    0x88, 0x1E, 0x02, 0x70,                 // mov [7002h],bl
+    0xA2, 0x03, 0x70                        // mov [7003h],al
+].concat(abDone);
+
+/*
+ * Tries to select graphics mode and page 1 before enabling them with the Configuration Switch.
+ */
+var abMode = [
+    0x31, 0xC0,                             // xor ax,ax
+    0x8E, 0xD8,                             // mov ds,ax
+    0xBA, 0xB8, 0x03,                       // mov dx,3B8h
+    0xB0, 0x8A,                             // mov al,8Ah (page 1, video enable, graphics)
+    0xEE                                    // out dx,al
+].concat(abDone);
+
+/*
+ * Selects graphics mode and page 1 after enabling them with the Configuration Switch, and then draws a few pixels
+ * on both pages.
+ */
+var abGraphics = [
+    0x31, 0xC0,                             // xor ax,ax
+    0x8E, 0xD8,                             // mov ds,ax
+    0xBA, 0xBF, 0x03,                       // mov dx,3BFh
+    0xB0, 0x03,                             // mov al,3 (allow graphics and page 1)
+    0xEE,                                   // out dx,al
+    0xBA, 0xB8, 0x03,                       // mov dx,3B8h
+    0xB0, 0x8A,                             // mov al,8Ah
+    0xEE,                                   // out dx,al
+    0xB8, 0x00, 0xB0,                       // mov ax,0B000h
+    0x8E, 0xC0,                             // mov es,ax
+    0x26, 0xC6, 0x06, 0x00, 0x00, 0xFF,     // mov byte [es:0000h],0FFh (page 0, line 0)
+    0xB8, 0x00, 0xB8,                       // mov ax,0B800h
+    0x8E, 0xC0,                             // mov es,ax
+    0x26, 0xC6, 0x06, 0x00, 0x00, 0xF0,     // mov byte [es:0000h],0F0h (page 1, line 0)
+    0x26, 0xC6, 0x06, 0x00, 0x20, 0x0F,     // mov byte [es:2000h],0Fh (page 1, line 1)
+    0x26, 0xC6, 0x06, 0x5A, 0x00, 0xAA      // mov byte [es:005Ah],0AAh (page 1, line 4)
+].concat(abDone);
+
+/**
+ * runPrograms(sModel, aPrograms)
+ *
+ * Runs each program in turn, in an IBM PC with the given video model, recording the video mode after each one.
+ * On an HGC, the results also include the pixels that updateScreenHGC() then draws (the first 8 pixels of each of
+ * the first 5 scan lines, where 1 means on), the dirty rectangles of a redraw with no changes and of a redraw after
+ * a change, and the Configuration Switch after a save and restore.
+ *
+ * @param {string} sModel
+ * @param {Array.<Array.<number>>} aPrograms
+ * @returns {Object} (with results for each program, including the 64 bytes at 0:7000 and the video mode)
+ */
+function runPrograms(sModel, aPrograms)
+{
+    let machine = machinelib.getMachine();
+    machine['video'][0]['model'] = sModel;
+    return machinelib.runMachine(machine, function(getObject, args) {
+        let cpu = getObject("cpu"), video = getObject("video");
+        let result = {aResults: []};
+        let runProgram = function(ab) {
+            for (let i = 0; i < 64; i++) cpu.setByte(0x7000 + i, 0);
+            for (let i = 0; i < ab.length; i++) cpu.setByte(0x7C00 + i, ab[i]);
+            cpu.setCSIP(0x7C00, 0x0000);
+            cpu.setSS(0);
+            cpu.setSP(0x6000);
+            cpu.setPS(0x0002);
+            cpu.startCPU();
+            return new Promise(function(resolve, reject) {
+                let nChecks = 0;
+                let timer = setInterval(function() {
+                    if (cpu.getShort(0x7000) == 0x1234 || ++nChecks > 100) {
+                        clearInterval(timer);
+                        cpu.stopCPU();
+                        if (nChecks > 100) {
+                            reject(new Error("program never finished"));
+                            return;
+                        }
+                        let abResult = [];
+                        for (let i = 0; i < 64; i++) abResult.push(cpu.getByte(0x7000 + i));
+                        result.aResults.push({
+                            ab: abResult,
+                            mode: {nMode: video.nMode, addrBuffer: video.addrBuffer, sizeBuffer: video.sizeBuffer, regConfig: video.cardMDA.regConfig}
+                        });
+                        resolve();
+                    }
+                }, 50);
+            });
+        };
+        let checkHGC = function() {
+            let data = video.save();
+            video.cardMDA.setHGCConfig(0);
+            video.restore(data);
+            result.regConfigRestored = video.cardMDA.regConfig;
+            /*
+             * There's no screen in the CLI, so we supply our own image buffer, and a buffer context that records
+             * the rectangles that are updated.
+             */
+            let rect = null;
+            video.imageBuffer = {width: 720, data: new Uint8Array(720 * 348 * 4)};
+            video.contextBuffer = {putImageData: function(imageData, x, y, xDirty, yDirty, cxDirty, cyDirty) { rect = [xDirty, yDirty, cxDirty, cyDirty]; }};
+            video.contextScreen = {drawImage: function() {}};
+            let getPixels = function() {
+                let aPixels = [];
+                for (let y = 0; y < 5; y++) {
+                    for (let x = 0; x < 8; x++) aPixels.push(video.imageBuffer.data[(x + y * 720) * 4]? 1 : 0);
+                }
+                return aPixels;
+            };
+            video.updateScreenHGC(true);
+            result.aPixels = getPixels();
+            rect = null;
+            video.updateScreenHGC(false);
+            result.rectUnchanged = rect;
+            cpu.setByte(0xB8000 + 0x6000, 0x80);
+            video.updateScreenHGC(false);
+            result.rectChanged = rect;
+            result.aPixelsChanged = getPixels();
+        };
+        return args.aPrograms.reduce(function(promise, ab) {
+            return promise.then(function() { return runProgram(ab); });
+        }, Promise.resolve()).then(function() {
+            if (video.cardMDA.fHGC) checkHGC();
+            return result;
+        });
+    }, {aPrograms: aPrograms});
+}
+
+testlib.test("an HGC's VSYNC bit changes, and its ID bits are zero, but an MDA's status bits never change", function() {
+    let ab = runPrograms("hgc", [abDetect]).aResults[0].ab;
+    assert.deepStrictEqual(ab.slice(0, 2), [0x34, 0x12], "program didn't finish");
+    assert.strictEqual(ab[2], 1, "the VSYNC bit never changed");
+    assert.strictEqual(ab[3] & 0x70, 0x00, "the ID bits should be zero");
+    ab = runPrograms("", [abDetect]).aResults[0].ab;
+    assert.deepStrictEqual(ab.slice(0, 2), [0x34, 0x12], "program didn't finish");
+    assert.strictEqual(ab[2], 0, "the VSYNC bit shouldn't change on an MDA");
+    assert.strictEqual(ab[3] & 0xF0, 0xF0);
+});
+
+testlib.test("graphics mode and page 1 require the Configuration Switch", function() {
+    let result = runPrograms("hgc", [abMode, abGraphics]);
+    assert.deepStrictEqual(result.aResults[1].ab.slice(0, 2), [0x34, 0x12], "program didn't finish");
+    assert.deepStrictEqual(result.aResults[0].mode, {nMode: 0x07, addrBuffer: 0xB0000, sizeBuffer: 0x8000, regConfig: 0});
+    assert.deepStrictEqual(result.aResults[1].mode, {nMode: 0x1A, addrBuffer: 0xB0000, sizeBuffer: 0x10000, regConfig: 3});
+    assert.strictEqual(result.regConfigRestored, 3, "the Configuration Switch wasn't restored");
+});
+
+testlib.test("graphics mode displays the selected page, with scan lines interleaved across 4 banks", function() {
+    let result = runPrograms("hgc", [abGraphics]);
+    assert.deepStrictEqual(result.aPixels, [
+        1, 1, 1, 1, 0, 0, 0, 0,             // line 0 (B800:0000)
+        0, 0, 0, 0, 1, 1, 1, 1,             // line 1 (B800:2000)
+        0, 0, 0, 0, 0, 0, 0, 0,             // line 2 (B800:4000)
+        0, 0, 0, 0, 0, 0, 0, 0,             // line 3 (B800:6000)
+        1, 0, 1, 0, 1, 0, 1, 0              // line 4 (B800:005A)
+    ]);
+    assert.strictEqual(result.rectUnchanged, null, "nothing should be redrawn when nothing changed");
+    assert.deepStrictEqual(result.rectChanged, [0, 3, 16, 1], "only the changed cell should be redrawn");
+    assert.deepStrictEqual(result.aPixelsChanged.slice(24, 32), [1, 0, 0, 0, 0, 0, 0, 0]);
+});
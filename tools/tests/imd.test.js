@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Tests for ImageDisk (IMD) images
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+
+var files = {
+    "HELLO.TXT": "hello\r\n",
+    "DATA.BIN": testlib.getRandomData(5000)
+};
+
+/**
+ * makeIMD(abDisk, nCylinders, nHeads, aIDs, fnType)
+ *
+ * Converts a raw disk image (with 512-byte sectors) into an IMD image, recording every track's sectors in the order
+ * given by aIDs; every sector that contains a single repeated byte is recorded as a compressed sector.
+ *
+ * @param {Buffer} abDisk
+ * @param {number} nCylinders
+ * @param {number} nHeads
+ * @param {Array.<number>} aIDs (sector IDs, in the order they appear on each track)
+ * @param {function(number,number,number)} [fnType] (returns extra type bits for the given cylinder, head, and sector ID)
+ * @returns {Buffer}
+ */
+function makeIMD(abDisk, nCylinders, nHeads, aIDs, fnType)
+{
+    let aParts = [Buffer.from("IMD 1.18: 19/10/2026 12:00:00\r\ntest image\r\n\x1A", "latin1")];
+    for (let cylinder = 0; cylinder < nCylinders; cylinder++) {
+        for (let head = 0; head < nHeads; head++) {
+            aParts.push(Buffer.from([5, cylinder, head, aIDs.length, 2]), Buffer.from(aIDs));
+            for (let id of aIDs) {
+                let off = ((cylinder * nHeads + head) * aIDs.length + id - 1) * 512;
+                let abSector = abDisk.slice(off, off + 512);
+                let type = 1 + (fnType? fnType(cylinder, head, id) : 0);
+                if (abSector.every((b) => b == abSector[0])) {
+                    aParts.push(Buffer.from([type + 1, abSector[0]]));
+                } else {
+                    aParts.push(Buffer.from([type]), abSector);
+                }
+            }
+        }
+    }
+    return Buffer.concat(aParts);
+}
+
+testlib.test("IMD images round-trip through --list and --extract", function() {
+    let sDir = testlib.makeFiles("imd", files);
+    testlib.diskImage([sDir, "imd.img"]);
+    let abDisk = testlib.readFile("imd.img");
+    assert.strictEqual(abDisk.length, 160 * 1024);
+    testlib.writeFile("imd.imd", makeIMD(abDisk, 40, 1, [1, 5, 2, 6, 3, 7, 4, 8]));
+    let output = testlib.diskImage(["imd.imd", "--list"]);
+    assert.match(output, /HELLO\s+TXT\s+7/);
+    assert.match(output, /DATA\s+BIN\s+5000/);
+    testlib.removeDir(testlib.getPath("imd"));
+    testlib.diskImage(["imd.imd", "--extract"]);
+    testlib.compareFiles("imd", files);
+    testlib.diskImage(["imd.imd", "imd2.img"]);
+    assert.ok(testlib.readFile("imd2.img").equals(abDisk), "IMD image doesn't convert back to the original image");
+});
+
+testlib.test("IMD images preserve interleave, deleted data, and data errors", function() {
+    let abDisk = testlib.readFile("imd.img");
+    testlib.writeFile("imd3.imd", makeIMD(abDisk, 40, 1, [1, 5, 2, 6, 3, 7, 4, 8], function(cylinder, head, id) {
+        return cylinder == 39? (id == 1? 2 : (id == 2? 4 : 0)) : 0;
+    }));
+    testlib.diskImage(["imd3.imd", "imd3.json"]);
+    let diskData = JSON.parse(testlib.readFile("imd3.json").toString());
+    let track = (diskData.diskData || diskData)[39][0];
+    assert.deepStrictEqual(track.map((sector) => sector.s), [1, 5, 2, 6, 3, 7, 4, 8]);
+    assert.strictEqual(track[0].dataMark, 0xF8);
+    assert.strictEqual(track[2].dataError, -1);
+    assert.strictEqual(track[1].dataMark, undefined);
+    assert.strictEqual(track[1].dataError, undefined);
+});
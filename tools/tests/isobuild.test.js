@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Tests for building ISO 9660 (CD-ROM) images from directories
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var testlib = require("./testlib");
+
+var SECTOR_SIZE = 2048;
+
+var files = {
+    "HELLO.TXT": "hello\r\n",
+    "README": "readme\r\n",
+    "Read Me First.txt": "read me first\r\n",
+    "Sub Directory/Data File.bin": testlib.getRandomData(5000)
+};
+
+/**
+ * makeISOFiles(sDir)
+ *
+ * Creates the test files (and their directories) with a fixed modification time, so that the images built
+ * from them are predictable.
+ *
+ * @param {string} sDir
+ * @returns {string} (sDir with a trailing slash)
+ */
+function makeISOFiles(sDir)
+{
+    let date = new Date(2001, 1, 3, 4, 5, 6);
+    sDir = testlib.makeFiles(sDir, files);
+    for (let sFile in files) {
+        fs.utimesSync(testlib.getPath(sDir + sFile), date, date);
+        if (sFile.indexOf('/') > 0) fs.utimesSync(testlib.getPath(sDir + path.dirname(sFile)), date, date);
+    }
+    return sDir;
+}
+
+/**
+ * getPathTable(abDisk, lbaVD)
+ *
+ * @param {Buffer} abDisk
+ * @param {number} lbaVD (of the volume descriptor whose little-endian path table we want)
+ * @returns {Array.<Object>} (path table records, each with {name, lba, parent})
+ */
+function getPathTable(abDisk, lbaVD)
+{
+    let offVD = lbaVD * SECTOR_SIZE;
+    let cbTable = abDisk.readUInt32LE(offVD + 0x84);
+    let off = abDisk.readUInt32LE(offVD + 0x8C) * SECTOR_SIZE, offEnd = off + cbTable;
+    let aRecords = [];
+    while (off < offEnd) {
+        let cbName = abDisk[off];
+        aRecords.push({name: abDisk.slice(off + 8, off + 8 + cbName), lba: abDisk.readUInt32LE(off + 2), parent: abDisk.readUInt16LE(off + 6)});
+        off += 8 + cbName + (cbName & 1);
+    }
+    return aRecords;
+}
+
+testlib.test("ISO 9660 images built from a directory round-trip through --list and --extract", function() {
+    let sDir = makeISOFiles("src/cd");
+    let output = testlib.diskImage(["--dir=" + sDir, "--output=cd.iso", "--label=TESTCD"]);
+    assert.match(output, /writing cd\.iso/);
+    let abDisk = testlib.readFile("cd.iso");
+    assert.strictEqual(abDisk.length % SECTOR_SIZE, 0);
+    assert.strictEqual(abDisk.toString("latin1", 16 * SECTOR_SIZE + 1, 16 * SECTOR_SIZE + 6), "CD001");
+    assert.strictEqual(abDisk[17 * SECTOR_SIZE], 2, "missing Joliet volume descriptor");
+    assert.strictEqual(abDisk.toString("latin1", 17 * SECTOR_SIZE + 0x58, 17 * SECTOR_SIZE + 0x5B), "%/E");
+    assert.strictEqual(abDisk[18 * SECTOR_SIZE], 0xFF, "missing terminating volume descriptor");
+    assert.strictEqual(abDisk.readUInt32LE(16 * SECTOR_SIZE + 0x50), abDisk.length / SECTOR_SIZE);
+    /*
+     * Level 1 names are upper-case 8.3 names with a version suffix, and names without an extension keep their period.
+     */
+    for (let sName of ["HELLO.TXT;1", "README.;1", "READ_ME.TXT;1", "DATA_FIL.BIN;1"]) {
+        assert.ok(abDisk.indexOf(sName, 0, "latin1") > 0, sName + " not found");
+    }
+    assert.ok(abDisk.indexOf("README;1", 0, "latin1") < 0, "README has no period");
+    output = testlib.diskImage(["cd.iso", "--list"]);
+    assert.match(output, /Volume in drive A is TESTCD/);
+    assert.match(output, /README\s+8 /);
+    assert.match(output, /Read Me First\s+txt\s+15 /);
+    assert.match(output, /Directory of A:\\Sub Directory/);
+    testlib.removeDir(testlib.getPath("cd"));
+    testlib.diskImage(["cd.iso", "--extract"]);
+    testlib.compareFiles("cd", files);
+});
+
+testlib.test("ISO 9660 images have path tables for both directory trees", function() {
+    let abDisk = testlib.readFile("cd.iso");
+    let aPrimary = getPathTable(abDisk, 16), aJoliet = getPathTable(abDisk, 17);
+    assert.strictEqual(aPrimary.length, 2);
+    assert.deepStrictEqual(aPrimary[0].name, Buffer.from([0]));
+    assert.strictEqual(aPrimary[1].name.toString("latin1"), "SUB_DIRE");
+    assert.strictEqual(aPrimary[1].parent, 1);
+    assert.strictEqual(aJoliet.length, 2);
+    assert.strictEqual(Buffer.from(aJoliet[1].name).swap16().toString("utf16le"), "Sub Directory");
+    assert.notStrictEqual(aJoliet[1].lba, aPrimary[1].lba, "Joliet directories should be separate");
+    let offRoot = 16 * SECTOR_SIZE + 0x9C;
+    assert.strictEqual(aPrimary[0].lba, abDisk.readUInt32LE(offRoot + 2), "path table doesn't match the root directory");
+});
+
+testlib.test("ISO 9660 images are reproducible", function() {
+    let abDisk = testlib.readFile("cd.iso");
+    assert.strictEqual(abDisk.toString("latin1", 16 * SECTOR_SIZE + 0x32D, 16 * SECTOR_SIZE + 0x33D), "2001020304050600");
+    testlib.diskImage(["--dir=" + makeISOFiles("src/cd2"), "--output=cd2.iso", "--label=TESTCD"]);
+    assert.ok(testlib.readFile("cd2.iso").equals(abDisk), "images built from the same files differ");
+});
+
+testlib.test("--iso with a trailing slash writes a folder of 32Kb chunks", function() {
+    testlib.diskImage(["--dir=src/cd/", "--iso", "--output=chunks/", "--label=TESTCD"]);
+    let aChunks = fs.readdirSync(testlib.getPath("chunks")).sort();
+    let abDisk = testlib.readFile("cd.iso");
+    assert.strictEqual(aChunks.length, Math.ceil(abDisk.length / 32768));
+    assert.strictEqual(aChunks[0], "x00000");
+    let abChunks = Buffer.concat(aChunks.map(function(sChunk) { return testlib.readFile("chunks/" + sChunk); }));
+    assert.ok(abChunks.equals(abDisk), "chunks don't match the image");
+});
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Tests for reading ISO 9660 (CD-ROM) images, with and without Joliet names
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+
+var SECTOR_SIZE = 2048;
+
+/**
+ * setBoth(ab, off, value, cb)
+ *
+ * Stores a "both-endian" value (little-endian followed by big-endian), as ISO 9660 requires for most numeric fields.
+ *
+ * @param {Buffer} ab
+ * @param {number} off
+ * @param {number} value
+ * @param {number} cb (2 or 4)
+ */
+function setBoth(ab, off, value, cb)
+{
+    ab.writeUIntLE(value, off, cb);
+    ab.writeUIntBE(value, off + cb, cb);
+}
+
+/**
+ * getName(s, fJoliet)
+ *
+ * @param {string} s
+ * @param {boolean} fJoliet
+ * @returns {Buffer}
+ */
+function getName(s, fJoliet)
+{
+    return fJoliet? Buffer.from(s, "utf16le").swap16() : Buffer.from(s, "latin1");
+}
+
+/**
+ * makeDirRecord(abName, lba, size, flags)
+ *
+ * @param {Buffer} abName
+ * @param {number} lba
+ * @param {number} size
+ * @param {number} flags
+ * @returns {Buffer}
+ */
+function makeDirRecord(abName, lba, size, flags)
+{
+    let length = 33 + abName.length;
+    let rec = Buffer.alloc(length + (length & 1));
+    rec[0] = rec.length;
+    setBoth(rec, 0x02, lba, 4);
+    setBoth(rec, 0x0A, size, 4);
+    rec.set([95, 6, 15, 12, 34, 56, 0], 0x12);     // 6-15-95 12:34:56
+    rec[0x19] = flags;
+    setBoth(rec, 0x1C, 1, 2);
+    rec[0x20] = abName.length;
+    abName.copy(rec, 0x21);
+    return rec;
+}
+
+/**
+ * makeISO(tree, sLabel, fJoliet)
+ *
+ * Builds a bare-bones ISO 9660 image (no path tables, since readers don't need them) from a tree of entries, each of
+ * which has an ISO 9660 name, a Joliet name, and either data or a subtree; if fJoliet is set, a Joliet supplementary
+ * volume descriptor (with its own copy of the directory tree) is added as well.
+ *
+ * @param {Array.<Object>} tree (entries with {iso, joliet, data} or {iso, joliet, tree})
+ * @param {string} sLabel
+ * @param {boolean} fJoliet
+ * @returns {Buffer}
+ */
+function makeISO(tree, sLabel, fJoliet)
+{
+    let aSectors = [], mapLBA = new Map();
+    let lbaNext = 16 + (fJoliet? 3 : 2);
+    let allocSectors = function(cb) {
+        let lba = lbaNext;
+        lbaNext += Math.max(1, Math.ceil(cb / SECTOR_SIZE));
+        return lba;
+    };
+    /*
+     * Every directory is one sector, so we can allocate all the directories up front, and then all the file data.
+     */
+    let allocDirs = function(entries) {
+        let dir = {lba: allocSectors(SECTOR_SIZE), entries, subdirs: []};
+        for (let entry of entries) {
+            if (entry.tree) dir.subdirs.push(allocDirs(entry.tree));
+        }
+        return dir;
+    };
+    let allocData = function(entries) {
+        for (let entry of entries) {
+            if (entry.tree) {
+                allocData(entry.tree);
+            } else {
+                let lba = allocSectors(entry.data.length);
+                mapLBA.set(entry, lba);
+                aSectors.push({lba, data: Buffer.from(entry.data)});
+            }
+        }
+    };
+    let writeDir = function(dir, dirParent, fJoliet) {
+        let ab = Buffer.alloc(SECTOR_SIZE), off = 0;
+        let aRecs = [makeDirRecord(Buffer.from([0]), dir.lba, SECTOR_SIZE, 2), makeDirRecord(Buffer.from([1]), dirParent.lba, SECTOR_SIZE, 2)];
+        let iSubdir = 0;
+        for (let entry of dir.entries) {
+            let abName = getName(fJoliet? entry.joliet : entry.iso + (entry.tree? "" : ";1"), fJoliet);
+            aRecs.push(entry.tree? makeDirRecord(abName, dir.subdirs[iSubdir++].lba, SECTOR_SIZE, 2) : makeDirRecord(abName, mapLBA.get(entry), entry.data.length, 0));
+        }
+        for (let rec of aRecs) {
+            rec.copy(ab, off);
+            off += rec.length;
+        }
+        aSectors.push({lba: dir.lba, data: ab});
+        for (let subdir of dir.subdirs) writeDir(subdir, dir, fJoliet);
+    };
+    let makeVD = function(type, dir, fJoliet) {
+        let ab = Buffer.alloc(SECTOR_SIZE);
+        ab[0] = type;
+        ab.write("CD001", 1, "latin1");
+        ab[6] = 1;
+        if (type == 0xFF) return ab;
+        getName(sLabel.padEnd(fJoliet? 16 : 32), fJoliet).copy(ab, 0x28);
+        setBoth(ab, 0x50, lbaNext, 4);
+        if (fJoliet) ab.write("%/E", 0x58, "latin1");
+        setBoth(ab, 0x78, 1, 2);
+        setBoth(ab, 0x7C, 1, 2);
+        setBoth(ab, 0x80, SECTOR_SIZE, 2);
+        makeDirRecord(Buffer.from([0]), dir.lba, SECTOR_SIZE, 2).copy(ab, 0x9C);
+        ab[0x371] = 1;
+        return ab;
+    };
+    let dirISO = allocDirs(tree);
+    let dirJoliet = fJoliet? allocDirs(tree) : null;
+    allocData(tree);
+    writeDir(dirISO, dirISO, false);
+    aSectors.push({lba: 16, data: makeVD(1, dirISO, false)});
+    if (dirJoliet) {
+        writeDir(dirJoliet, dirJoliet, true);
+        aSectors.push({lba: 17, data: makeVD(2, dirJoliet, true)});
+    }
+    aSectors.push({lba: fJoliet? 18 : 17, data: makeVD(0xFF)});
+    let abDisk = Buffer.alloc(lbaNext * SECTOR_SIZE);
+    for (let sector of aSectors) sector.data.copy(abDisk, sector.lba * SECTOR_SIZE);
+    return abDisk;
+}
+
+var abData = testlib.getRandomData(5000);
+
+var tree = [
+    {iso: "README.TXT", joliet: "Read Me First.txt", data: "hello, world\r\n"},
+    {iso: "NOEXT.", joliet: "No Extension", data: "no extension\r\n"},
+    {iso: "SUB_DIR", joliet: "Sub Directory", tree: [
+        {iso: "DATA_FIL.BIN", joliet: "Data File.bin", data: abData},
+        {iso: "EMPTY.DAT", joliet: "Empty.dat", data: ""}
+    ]}
+];
+
+testlib.test("ISO 9660 images round-trip through --list and --extract", function() {
+    testlib.writeFile("cd.iso", makeISO(tree, "TESTCD", false));
+    let output = testlib.diskImage(["cd.iso", "--list"]);
+    assert.match(output, /Volume in drive A is TESTCD/);
+    assert.match(output, /README\s+TXT\s+14\s+6-15-95\s+12:34p/);
+    assert.match(output, /NOEXT\s+14/);
+    assert.match(output, /DATA_FIL\s+BIN\s+5000/);
+    assert.doesNotMatch(output, /;1/);
+    testlib.removeDir(testlib.getPath("cd"));
+    testlib.diskImage(["cd.iso", "--extract"]);
+    testlib.compareFiles("cd", {
+        "README.TXT": "hello, world\r\n",
+        "NOEXT": "no extension\r\n",
+        "SUB_DIR/DATA_FIL.BIN": abData,
+        "SUB_DIR/EMPTY.DAT": ""
+    });
+});
+
+testlib.test("Joliet names are used instead of ISO 9660 names when present", function() {
+    testlib.writeFile("joliet.iso", makeISO(tree, "Joliet CD", true));
+    let output = testlib.diskImage(["joliet.iso", "--list"]);
+    assert.match(output, /Volume in drive A is Joliet CD/);
+    assert.match(output, /Read Me First\s+txt/);
+    assert.match(output, /Data File\s+bin/);
+    assert.doesNotMatch(output, /README|DATA_FIL/);
+    output = testlib.diskImage(["joliet.iso", "--manifest"]);
+    assert.match(output, /[0-9a-f]{32}\s+Data File\.bin\s.*5000\s+joliet:\/Sub Directory\/Data File\.bin/);
+    testlib.removeDir(testlib.getPath("joliet"));
+    testlib.diskImage(["joliet.iso", "--extract"]);
+    testlib.compareFiles("joliet", {
+        "Read Me First.txt": "hello, world\r\n",
+        "No Extension": "no extension\r\n",
+        "Sub Directory/Data File.bin": abData,
+        "Sub Directory/Empty.dat": ""
+    });
+});
+
+testlib.test("ISO 9660 images can't be modified", function() {
+    testlib.writeFile("NEW.TXT", "new\r\n");
+    let abDisk = testlib.readFile("cd.iso");
+    testlib.diskImage(["cd.iso", "--add=NEW.TXT"]);
+    assert.ok(testlib.readFile("cd.iso").equals(abDisk), "cd.iso was modified");
+});
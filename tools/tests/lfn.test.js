@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Tests for VFAT long filenames
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+
+var files = {
+    "A Long File Name.txt": "long\r\n",
+    "Long Directory Name/another long name.text": "another\r\n",
+    "SHORT.TXT": "short\r\n"
+};
+
+/*
+ * These are the short names that --lfn should generate for the files above.
+ */
+var filesShort = {
+    "ALONGF~1.TXT": files["A Long File Name.txt"],
+    "LONGDI~1/ANOTHE~1.TEX": files["Long Directory Name/another long name.text"],
+    "SHORT.TXT": files["SHORT.TXT"]
+};
+
+testlib.test("--lfn preserves long filenames when building a disk", function() {
+    let sDir = testlib.makeFiles("src/lfn", files);
+    testlib.diskImage([sDir, "lfn.img", "--lfn"]);
+    let output = testlib.diskImage(["lfn.img", "--list"]);
+    assert.match(output, /ALONGF~1 TXT\s+6 .* {2}A Long File Name\.txt/);
+    assert.match(output, /LONGDI~1\s+<DIR> .* {2}Long Directory Name/);
+    assert.match(output, /ANOTHE~1 TEX\s+9 .* {2}another long name\.text/);
+    assert.match(output, /SHORT\s+TXT\s+7 .*:\d\d[ap]\n/);
+    testlib.diskImage(["lfn.img", "--extract"]);
+    testlib.compareFiles("lfn", filesShort);
+    testlib.diskImage(["lfn.img", "lfn.json"]);
+    let fileTable = JSON.parse(testlib.readFile("lfn.json").toString()).fileTable;
+    let file = fileTable.find((file) => file.path == "/ALONGF~1.TXT");
+    assert.strictEqual(file && file.lfn, "A Long File Name.txt");
+});
+
+testlib.test("without --lfn, long filenames are converted to short names", function() {
+    testlib.diskImage(["src/lfn/", "short.img"]);
+    let output = testlib.diskImage(["short.img", "--list"]);
+    assert.doesNotMatch(output, /A Long File Name/);
+    assert.doesNotMatch(output, /~1/);
+});
+
+testlib.test("long filenames can be used in disk paths", function() {
+    testlib.writeFile("lfn2.img", testlib.readFile("lfn.img"));
+    let output = testlib.diskImage(["lfn2.img", "--delete=\\Long Directory Name\\another long name.text", "--rename=\\A Long File Name.txt:Renamed.txt"]);
+    assert.match(output, /deleted/);
+    assert.match(output, /renamed/);
+    output = testlib.diskImage(["lfn2.img", "--list"]);
+    assert.doesNotMatch(output, /another long name/);
+    assert.doesNotMatch(output, /A Long File Name/);
+    assert.match(output, /RENAMED\s+TXT\s+6/);
+});
+
+testlib.test("long filenames with a bad checksum are ignored", function() {
+    let abDisk = testlib.readFile("lfn.img");
+    let offRoot = 3 * 512;                  // the root directory of a 160Kb diskette follows the boot sector and 2 FAT sectors
+    let fFound = false;
+    for (let off = offRoot; off < offRoot + 64 * 32; off += 32) {
+        if (abDisk[off + 11] == 0x0F) {
+            abDisk[off + 13] ^= 0xFF;
+            fFound = true;
+        }
+        else if (fFound) break;
+    }
+    assert.ok(fFound, "missing long filename entries");
+    testlib.writeFile("lfn3.img", abDisk);
+    let output = testlib.diskImage(["lfn3.img", "--list"]);
+    assert.doesNotMatch(output, /A Long File Name/);
+    assert.match(output, /ALONGF~1 TXT\s+6/);
+    assert.match(output, /Long Directory Name/);
+});
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Helpers for tests that run PCx86 machines
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ *
+ * Machines are loaded by the PCx86 command-line interface (machines/pcx86/bin/pcx86.js) in a child process, and each
+ * test supplies a function that is evaluated within that process once the machine has been initialized.  That function
+ * can't refer to anything outside itself, since only its source is passed along, and whatever it returns (or resolves
+ * with, if it returns a Promise) must be JSON-serializable.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var spawnSync = require("child_process").spawnSync;
+var testlib = require("./testlib");
+
+/**
+ * getMachine()
+ *
+ * @returns {Object} (a copy of the sample IBM PC machine, which tests can then customize)
+ */
+function getMachine()
+{
+    let machine = JSON.parse(fs.readFileSync(path.join(testlib.rootDir, "machines/pcx86/bin/ibm5150.json"), "utf8"));
+    delete machine['fdc']['autoMount'];
+    return machine;
+}
+
+/**
+ * getMachinePath(sFile)
+ *
+ * Machines load their resources (ROMs, disks, etc) from paths relative to the root of the repository, so files in
+ * the temporary directory must be given to a machine as paths relative to that root.
+ *
+ * @param {string} sFile (relative to the temporary directory)
+ * @returns {string}
+ */
+function getMachinePath(sFile)
+{
+    return path.relative(testlib.rootDir, testlib.getPath(sFile)).split(path.sep).join("/");
+}
+
+/**
+ * runMachine(machine, fnTest, args, asOptions)
+ *
+ * Loads the machine, waits for it to finish initializing, and then calls fnTest(getObject, args, doCommand), where
+ * getObject(sName) returns the machine's first component object with the given name (eg, "cpu" or "fdc"), and
+ * doCommand(sCmd) performs a CLI command (eg, "overlay save").  The CPU is not started, so fnTest is free to start it
+ * (and must stop it before returning), or to step it, or to call component methods directly.
+ *
+ * @param {Object} machine
+ * @param {function(function(string),*,function(string))} fnTest
+ * @param {*} [args]
+ * @param {Array.<string>} [asOptions] (additional CLI options; eg, "--overlay")
+ * @returns {*} (whatever fnTest returned)
+ */
+function runMachine(machine, fnTest, args, asOptions = [])
+{
+    testlib.writeFile("machine.json", JSON.stringify(machine, null, 2));
+    let sScript = [
+        "setTimeout(function() {",
+        "let getObject = function(sName) { let c = aComponents.find(function(c) { return c.name == sName; }); return c && c.objects[0]; };",
+        "Promise.resolve().then(function() { return eval(" + JSON.stringify("(" + fnTest.toString() + ")") + ")(getObject, " + JSON.stringify(args) + ", doCommand); })",
+        ".then(function(result) { console.log('RESULT ' + JSON.stringify(result === undefined? null : result)); process.exit(0); },",
+        "function(err) { console.log('FAILED ' + err.stack); process.exit(1); });",
+        "}, 1000)"
+    ].join(" ");
+    /*
+     * The CLI passes any command that its Debugger doesn't recognize to eval(), and brackets ensure that it isn't
+     * mistaken for a Debugger command.
+     */
+    let result = spawnSync(process.execPath, [path.join(testlib.rootDir, "machines/pcx86/bin/pcx86.js")].concat(asOptions, ["--cmd=load machine.json"]), {cwd: testlib.tmpDir, encoding: "utf8", input: "[" + sScript + "]\n", timeout: 120000});
+    let output = result.stdout + result.stderr;
+    let match = output.match(/^RESULT (.*)$/m);
+    assert.ok(match && result.status === 0, "machine test failed with status " + result.status + ":\n" + output.replace(/^.*doCommand\(.*$/m, ""));
+    return JSON.parse(match[1]);
+}
+
+module.exports = {getMachine, getMachinePath, runMachine};
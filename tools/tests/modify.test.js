@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Tests for modifying disk images in place (--add, --replace, --delete, and --rename)
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+
+var files = {
+    "HELLO.TXT": "hello\r\n",
+    "GONE.TXT": "gone\r\n",
+    "SUB/OLD.TXT": "old\r\n"
+};
+
+var filesModified = {
+    "WORLD.TXT": "hello\r\n",
+    "SUB/OLD.TXT": "replaced\r\n",
+    "SUB/NEW.BIN": testlib.getRandomData(3000)
+};
+
+/**
+ * modifyDisk(sDisk)
+ *
+ * Applies the same set of modifications to the given disk image, and then verifies the result.
+ *
+ * @param {string} sDisk
+ * @returns {string} (the listing of the modified disk)
+ */
+function modifyDisk(sDisk)
+{
+    testlib.writeFile("NEW.BIN", filesModified["SUB/NEW.BIN"]);
+    testlib.writeFile("REP.TXT", filesModified["SUB/OLD.TXT"]);
+    let output = testlib.diskImage([sDisk, "--add=NEW.BIN:\\SUB\\NEW.BIN", "--replace=REP.TXT:\\SUB\\OLD.TXT", "--delete=\\GONE.TXT", "--rename=\\HELLO.TXT:WORLD.TXT"]);
+    assert.match(output, /added \\SUB\\NEW\.BIN: 3000 bytes/);
+    assert.match(output, /replaced \\SUB\\OLD\.TXT: 10 bytes/);
+    assert.match(output, /deleted \\GONE\.TXT/);
+    assert.match(output, /renamed \\HELLO\.TXT to WORLD\.TXT/);
+    let sName = sDisk.replace(/\.[^.]*$/, "");
+    testlib.removeDir(testlib.getPath(sName));
+    testlib.diskImage([sDisk, "--extract"]);
+    testlib.compareFiles(sName, filesModified);
+    return testlib.diskImage([sDisk, "--list"]);
+}
+
+testlib.test("--add, --replace, --delete, and --rename modify a FAT12 diskette image", function() {
+    let sDir = testlib.makeFiles("modify", files);
+    testlib.diskImage([sDir, "modify.img"]);
+    let match = testlib.diskImage(["modify.img", "--list"]).match(/(\d+) bytes free/);
+    let output = modifyDisk("modify.img");
+    let matchModified = output.match(/(\d+) bytes free/);
+    assert.strictEqual(+matchModified[1], match[1] - (6 - 1) * 512, "free space is wrong");        // NEW.BIN needs 6 clusters, and GONE.TXT freed 1
+});
+
+testlib.test("--add, --replace, --delete, and --rename modify a FAT32 hard disk image", function() {
+    let sDir = testlib.makeFiles("modify32", files);
+    testlib.diskImage([sDir, "modify32.img", "--target=40960"]);
+    let output = modifyDisk("modify32.img");
+    let match = output.match(/(\d+) bytes free/);
+    let abDisk = testlib.readFile("modify32.img");
+    let offBoot = abDisk.readUInt32LE(0x1EE + 8) * 512;
+    let abInfo = abDisk.slice(offBoot + 512, offBoot + 1024);
+    assert.strictEqual(abInfo.readUInt32LE(0x1E8), match[1] / (abDisk[offBoot + 0x0D] * 512), "FSInfo free cluster count wasn't updated");
+});
+
+testlib.test("--add refuses to overwrite an existing file", function() {
+    testlib.writeFile("WORLD.TXT", "different\r\n");
+    let output = testlib.diskImage(["modify.img", "--add=WORLD.TXT"]);
+    assert.doesNotMatch(output, /added/);
+    testlib.removeDir(testlib.getPath("modify"));
+    testlib.diskImage(["modify.img", "--extract"]);
+    testlib.compareFiles("modify", filesModified);
+});
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Tests for OS-65D disk images (the OSIDisk utility)
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+
+var files = {
+    "HELLO.BAS": "10 PRINT \"HELLO\"\n20 GOTO 10\n",
+    "DATA": Buffer.concat([testlib.getRandomData(3000), Buffer.alloc(4096 - 3000)])
+};
+
+/**
+ * osiDisk(args)
+ *
+ * @param {Array.<string>} args
+ * @returns {string} (the output of osidisk.js)
+ */
+function osiDisk(args)
+{
+    return testlib.runNode("tools/modules/osidisk.js", args);
+}
+
+testlib.test("OS-65D images round-trip through --list and --extract", function() {
+    testlib.makeFiles("src/osi", files);
+    let output = osiDisk(["--dir=src/osi", "--output=osi.65d"]);
+    assert.match(output, /added DATA to tracks 13-14/);
+    assert.match(output, /added HELLO to tracks 15-15/);
+    let abDisk = testlib.readFile("osi.65d");
+    assert.strictEqual(abDisk.length, 40 * 0x900);
+    let offTrack = 15 * 0x900;
+    assert.ok(abDisk.indexOf(Buffer.from([0x97, 0x20, 0x22]), offTrack) > offTrack, "HELLO.BAS wasn't tokenized");
+    output = osiDisk(["osi.65d", "--list", "--extract=osi"]);
+    assert.match(output, /DATA\s+13-14/);
+    assert.match(output, /HELLO\s+15-15\s+BASIC/);
+    assert.match(output, /2 file\(s\), 24 free track\(s\)/);
+    testlib.compareFiles("osi", files);
+});
+
+testlib.test("OS-65D JSON images round-trip through --list and --extract", function() {
+    osiDisk(["--dir=src/osi", "--output=osi.json"]);
+    let aTracks = JSON.parse(testlib.readFile("osi.json").toString())[0];
+    assert.strictEqual(aTracks.length, 40);
+    assert.strictEqual(aTracks[1].trackSig, "CW");
+    osiDisk(["osi.json", "--extract=osijson"]);
+    testlib.compareFiles("osijson", files);
+});
+
+testlib.test("--add adds a file to an existing OS-65D image", function() {
+    testlib.writeFile("NEW", "new");
+    let output = osiDisk(["osi.65d", "--add=NEW", "--output=osi2.65d"]);
+    assert.match(output, /added NEW to tracks 16-16/);
+    output = osiDisk(["osi2.65d", "--list"]);
+    assert.match(output, /NEW\s+16-16/);
+    assert.match(output, /3 file\(s\), 23 free track\(s\)/);
+});
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Tests for the disk overlays of the PCx86 CLI (--overlay)
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var fs = require("fs");
+var testlib = require("./testlib");
+var machinelib = require("./machinelib");
+
+/**
+ * runDiskette(sImage, args)
+ *
+ * Runs a machine with overlays enabled and the given diskette image in drive A, optionally writes args.b to the first
+ * args.cb bytes of sector 1:0:1 (an unused sector on a 160K diskette), and then optionally performs the CLI command args.sCommand.
+ *
+ * @param {string} sImage
+ * @param {Object} [args]
+ * @returns {Object} (with the first 4 bytes of the sector before (abBefore) and after (abAfter))
+ */
+function runDiskette(sImage, args = {})
+{
+    let machine = machinelib.getMachine();
+    machine['fdc']['autoMount'] = {"A": {"name": "Overlay Test", "path": machinelib.getMachinePath(sImage)}};
+    return machinelib.runMachine(machine, function(getObject, args, doCommand) {
+        let disk = getObject("fdc").aDrives[0].disk;
+        let getBytes = function() {
+            let sector = disk.seek(1, 0, 1), ab = [];
+            for (let i = 0; i < 4; i++) ab.push(disk.read(sector, i));
+            return ab;
+        };
+        let result = {abBefore: getBytes()};
+        if (args.b !== undefined) {
+            let sector = disk.seek(1, 0, 1, null, true);
+            for (let i = 0; i < args.cb; i++) disk.write(sector, i, args.b);
+        }
+        if (args.sCommand) doCommand(args.sCommand);
+        result.abAfter = getBytes();
+        return result;
+    }, args, ["--overlay"]);
+}
+
+var abOriginal;
+
+testlib.test("disk changes are saved in an overlay and applied the next time the disk is mounted", function() {
+    let sDir = testlib.makeFiles("overlay", {"HELLO.TXT": "hello\r\n"});
+    testlib.diskImage([sDir, "overlay.img", "--target=160K"]);
+    let abImage = testlib.readFile("overlay.img");
+    abOriginal = Array.from(abImage.slice(4096, 4100));
+    let result = runDiskette("overlay.img", {b: 0x55, cb: 2});
+    assert.deepStrictEqual(result.abBefore, abOriginal);
+    assert.ok(testlib.readFile("overlay.img").equals(abImage), "the image was modified");
+    let deltas = JSON.parse(testlib.readFile("overlay.img.overlay").toString());
+    assert.strictEqual(deltas.length, 2, "the overlay should contain one modified sector");
+    result = runDiskette("overlay.img");
+    assert.deepStrictEqual(result.abBefore, [0x55, 0x55].concat(abOriginal.slice(2)), "the overlay wasn't applied");
+});
+
+testlib.test("overlay commit writes the changes into the image and removes the overlay", function() {
+    runDiskette("overlay.img", {sCommand: "overlay commit"});
+    assert.ok(!fs.existsSync(testlib.getPath("overlay.img.overlay")), "the overlay wasn't removed");
+    assert.deepStrictEqual(Array.from(testlib.readFile("overlay.img").slice(4096, 4100)), [0x55, 0x55].concat(abOriginal.slice(2)));
+    let output = testlib.diskImage(["overlay.img", "--list"]);
+    assert.match(output, /HELLO\s+TXT\s+7/);
+});
+
+testlib.test("overlay commit updates the sectors of JSON images", function() {
+    testlib.diskImage(["overlay.img", "--output=overlay.json"]);
+    runDiskette("overlay.json", {b: 0x66, cb: 4, sCommand: "overlay commit"});
+    assert.ok(!fs.existsSync(testlib.getPath("overlay.json.overlay")), "the overlay wasn't removed");
+    let sector = JSON.parse(testlib.readFile("overlay.json").toString())['diskData'][1][0][0];
+    assert.strictEqual(sector['s'], 1);
+    assert.strictEqual(sector['d'][0], 0x66666666);
+    let result = runDiskette("overlay.json");
+    assert.deepStrictEqual(result.abBefore, [0x66, 0x66, 0x66, 0x66]);
+});
+
+testlib.test("overlay discard stops saving changes", function() {
+    let abImage = testlib.readFile("overlay.img");
+    let result = runDiskette("overlay.img", {b: 0x77, cb: 1, sCommand: "overlay discard"});
+    assert.strictEqual(result.abAfter[0], 0x77);
+    assert.ok(!fs.existsSync(testlib.getPath("overlay.img.overlay")), "the overlay was saved");
+    assert.ok(testlib.readFile("overlay.img").equals(abImage), "the image was modified");
+});
+
+testlib.test("overlays aren't applied to images that have changed", function() {
+    runDiskette("overlay.img", {b: 0x88, cb: 1});
+    let sOverlay = testlib.readFile("overlay.img.overlay").toString();
+    let abImage = testlib.readFile("overlay.img");
+    abImage[8192] ^= 0xff;
+    testlib.writeFile("overlay.img", abImage);
+    let result = runDiskette("overlay.img", {sCommand: "overlay save"});
+    assert.strictEqual(result.abBefore[0], 0x55, "the overlay was applied");
+    assert.strictEqual(testlib.readFile("overlay.img.overlay").toString(), sOverlay, "the overlay was changed");
+});
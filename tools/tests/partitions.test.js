@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Tests for multi-partition disk images (primary, extended/logical, and hidden partitions)
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+
+var volumes = [
+    {"README.TXT": "drive c\r\n", "DOS/COMMAND.COM": testlib.getRandomData(20000)},
+    {"README.TXT": "drive d\r\n"},
+    {"DATA.BIN": testlib.getRandomData(30000, 2)}
+];
+
+testlib.test("multi-partition images round-trip through --list and --extract", function() {
+    let args = [];
+    for (let i = 0; i < volumes.length; i++) {
+        args.push("--dir=" + testlib.makeFiles("src/" + "CDE"[i], volumes[i]));
+    }
+    testlib.diskImage(args.concat(["--output=parts.img"]));
+    let abDisk = testlib.readFile("parts.img");
+    assert.strictEqual(abDisk[0x1BE], 0x80, "first partition isn't active");
+    assert.ok([0x01, 0x04, 0x06].indexOf(abDisk[0x1BE + 4]) >= 0, "first partition isn't FAT12 or FAT16");
+    assert.strictEqual(abDisk[0x1CE + 4], 0x05, "second partition isn't extended");
+    let output = testlib.diskImage(["parts.img", "--list"]);
+    assert.doesNotMatch(output, /do not match/);
+    let aLabels = output.match(/Volume in drive \w+ is \w+/g);
+    assert.deepStrictEqual(aLabels, ["Volume in drive C is C", "Volume in drive D is D", "Volume in drive E is E"]);
+    output = testlib.diskImage(["parts.img", "--list", "--volume=1"]);
+    assert.match(output, /Volume in drive D is D/);
+    assert.doesNotMatch(output, /drive C/);
+    testlib.diskImage(["parts.img", "--extract"]);
+    for (let i = 0; i < volumes.length; i++) {
+        testlib.compareFiles("parts/VOL" + i, volumes[i]);
+    }
+});
+
+testlib.test("hidden partitions are listed last", function() {
+    let abDisk = testlib.readFile("parts.img");
+    abDisk[0x1BE + 4] |= 0x10;
+    testlib.writeFile("hidden.img", abDisk);
+    let output = testlib.diskImage(["hidden.img", "--list"]);
+    let aLabels = output.match(/Volume in drive .+ is \w+/g);
+    assert.deepStrictEqual(aLabels, ["Volume in drive C is D", "Volume in drive D is E", "Volume in drive E (hidden) is C"]);
+});
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Tests for PCE Sector Image (PSI) output
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+
+var files = {
+    "HELLO.TXT": "hello\r\n",
+    "DATA.BIN": testlib.getRandomData(5000)
+};
+
+testlib.test("PSI images round-trip through --list and --extract", function() {
+    let sDir = testlib.makeFiles("psi", files);
+    testlib.diskImage([sDir, "psi.img"]);
+    testlib.diskImage([sDir, "psi.psi"]);
+    let abPSI = testlib.readFile("psi.psi");
+    assert.strictEqual(abPSI.toString("ascii", 0, 4), "PSI ");
+    assert.strictEqual(abPSI.toString("ascii", abPSI.length - 12, abPSI.length - 8), "END ");
+    let output = testlib.diskImage(["psi.psi", "--list"]);
+    assert.match(output, /HELLO\s+TXT\s+7/);
+    assert.match(output, /DATA\s+BIN\s+5000/);
+    testlib.removeDir(testlib.getPath("psi"));
+    testlib.diskImage(["psi.psi", "--extract"]);
+    testlib.compareFiles("psi", files);
+    testlib.diskImage(["psi.psi", "psi2.img"]);
+    assert.ok(testlib.readFile("psi2.img").equals(testlib.readFile("psi.img")), "PSI image doesn't convert back to the original image");
+});
+
+testlib.test("PSI images preserve sector order, deleted data, and data errors", function() {
+    testlib.diskImage(["psi.img", "psi.json"]);
+    let diskData = JSON.parse(testlib.readFile("psi.json").toString());
+    let track = diskData.diskData[39][0];
+    track.reverse();
+    track[0].dataMark = 0xF8;
+    track[1].dataError = -1;
+    testlib.writeFile("psi2.json", JSON.stringify(diskData));
+    testlib.diskImage(["psi2.json", "psi2.psi"]);
+    testlib.diskImage(["psi2.psi", "psi3.json"]);
+    track = JSON.parse(testlib.readFile("psi3.json").toString()).diskData[39][0];
+    assert.deepStrictEqual(track.map((sector) => sector.s), [8, 7, 6, 5, 4, 3, 2, 1]);
+    assert.strictEqual(track[0].dataMark, 0xF8);
+    assert.strictEqual(track[1].dataError, -1);
+    assert.strictEqual(track[2].dataMark, undefined);
+    assert.strictEqual(track[2].dataError, undefined);
+    testlib.diskImage(["psi2.psi", "psi3.img"]);
+    assert.ok(testlib.readFile("psi3.img").equals(testlib.readFile("psi.img")), "PSI image doesn't convert back to the original image");
+});
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Tests for HTTP Range requests and streamed (on-demand) hard disk images
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+var machinelib = require("./machinelib");
+var Net = require("../../machines/shared/lib/netlib");
+
+var port = 20000 + ((process.pid + 1) % 10000);
+var sServer = "http://localhost:" + port;
+
+/**
+ * withServer(fn)
+ *
+ * Starts the disk server (which serves the temporary directory as its root), calls fn() (which returns a Promise),
+ * and then stops the server, whether fn() succeeded or not.
+ *
+ * @param {function()} fn
+ * @returns {Promise}
+ */
+function withServer(fn)
+{
+    return testlib.startNode("tools/modules/diskserver.js", ["--port=" + port, "--root=" + testlib.tmpDir], /serving/).then(function(child) {
+        return Promise.resolve().then(fn).then(function() {
+            return testlib.stopNode(child);
+        }, function(err) {
+            return testlib.stopNode(child).then(function() {
+                throw err;
+            });
+        });
+    });
+}
+
+/**
+ * getRange(sURL, off, len, fAsync)
+ *
+ * @param {string} sURL
+ * @param {number} off
+ * @param {number} len
+ * @param {boolean} fAsync
+ * @returns {Promise} (resolved with an object containing the resource, as a Buffer, nErrorCode, cbTotal, and offResource)
+ */
+function getRange(sURL, off, len, fAsync)
+{
+    return new Promise(function(resolve) {
+        Net.getResourceRange(sURL, off, len, fAsync, function(sURL, resource, nErrorCode, cbTotal, offResource) {
+            resolve({resource: resource && Buffer.from(resource), nErrorCode, cbTotal, offResource});
+        });
+    });
+}
+
+/**
+ * makeHardDisk(sFile)
+ *
+ * Creates a 10Mb (306:4:17) hard disk image where the first dword of every sector is its LBA.
+ *
+ * @param {string} sFile
+ * @returns {Buffer}
+ */
+function makeHardDisk(sFile)
+{
+    let abDisk = Buffer.alloc(306 * 4 * 17 * 512);
+    for (let lba = 0; lba < abDisk.length / 512; lba++) {
+        abDisk.writeUInt32LE(lba, lba * 512);
+    }
+    testlib.writeFile(sFile, abDisk);
+    return abDisk;
+}
+
+testlib.test("the disk server honors HTTP Range requests", function() {
+    let abFile = testlib.getRandomData(3000);
+    testlib.writeFile("range.bin", abFile);
+    return withServer(function() {
+        return testlib.httpRequest(sServer + "/range.bin").then(function(res) {
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(res.headers['accept-ranges'], "bytes");
+            assert.ok(res.body.equals(abFile));
+            return testlib.httpRequest(sServer + "/range.bin", "GET", {"Range": "bytes=100-611"});
+        }).then(function(res) {
+            assert.strictEqual(res.status, 206);
+            assert.strictEqual(res.headers['content-range'], "bytes 100-611/3000");
+            assert.ok(res.body.equals(abFile.slice(100, 612)));
+            return testlib.httpRequest(sServer + "/range.bin", "GET", {"Range": "bytes=2900-"});
+        }).then(function(res) {
+            assert.strictEqual(res.status, 206);
+            assert.ok(res.body.equals(abFile.slice(2900)));
+            return testlib.httpRequest(sServer + "/range.bin", "GET", {"Range": "bytes=-10"});
+        }).then(function(res) {
+            assert.strictEqual(res.headers['content-range'], "bytes 2990-2999/3000");
+            assert.ok(res.body.equals(abFile.slice(2990)));
+            return testlib.httpRequest(sServer + "/range.bin", "GET", {"Range": "bytes=3000-3999"});
+        }).then(function(res) {
+            assert.strictEqual(res.status, 416);
+            assert.strictEqual(res.headers['content-range'], "bytes */3000");
+        });
+    });
+});
+
+testlib.test("Net.getResourceRange() reads ranges of local and remote files", function() {
+    let abFile = testlib.readFile("range.bin");
+    let sLocal = machinelib.getMachinePath("range.bin");
+    return getRange(sLocal, 2048, 2048, false).then(function(result) {
+        assert.strictEqual(result.nErrorCode, 0);
+        assert.strictEqual(result.cbTotal, 3000);
+        assert.strictEqual(result.offResource, 2048);
+        assert.ok(result.resource.equals(abFile.slice(2048)), "short range doesn't match");
+        return getRange(sLocal, 3000, 100, false);
+    }).then(function(result) {
+        assert.strictEqual(result.nErrorCode, 416);
+        return getRange(sServer + "/range.bin", 0, 100, false);
+    }).then(function(result) {
+        assert.strictEqual(result.nErrorCode, -1, "synchronous remote requests should fail");
+        return withServer(function() {
+            return getRange(sServer + "/range.bin", 1000, 1000, true).then(function(result) {
+                assert.strictEqual(result.nErrorCode, 0);
+                assert.strictEqual(result.cbTotal, 3000);
+                assert.strictEqual(result.offResource, 1000);
+                assert.ok(result.resource.equals(abFile.slice(1000, 2000)), "remote range doesn't match");
+                return getRange(sServer + "/range.bin", 4000, 1000, true);
+            }).then(function(result) {
+                assert.strictEqual(result.nErrorCode, 416);
+            });
+        });
+    });
+});
+
+testlib.test("streamed hard disks load their chunks on demand", function() {
+    makeHardDisk("hd10.img");
+    let machine = machinelib.getMachine();
+    machine['hdc'] = {"id": "hdcXT", "type": "XT", "drives": JSON.stringify([{"name": "10Mb Hard Disk", "type": 3, "path": sServer + "/hd10.img", "mode": "stream"}])};
+    return withServer(function() {
+        let result = machinelib.runMachine(machine, function(getObject) {
+            let disk = getObject("hdc").aDrives[0].disk;
+            let out = {fStream: disk.fStream, aChunksInitial: disk.aStreamMRU.slice()};
+            /*
+             * We shrink the cache to 4 chunks, so that we can see the least-recently-used chunks being discarded.
+             */
+            disk.constructor.STREAM.CACHE_CHUNKS = 4;
+            let seekLBA = function(lba) {
+                return new Promise(function(resolve) {
+                    let c = (lba / (4 * 17)) | 0, h = ((lba / 17) | 0) % 4, s = lba % 17 + 1;
+                    disk.seek(c, h, s, null, false, resolve);
+                });
+            };
+            let readLBA = function(lba) {
+                return seekLBA(lba).then(function(sector) {
+                    let dw = 0;
+                    for (let i = 3; i >= 0; i--) dw = (dw << 8) | disk.read(sector, i);
+                    return dw;
+                });
+            };
+            let wait = function(ms) {
+                return new Promise(function(resolve) { setTimeout(resolve, ms); });
+            };
+            return readLBA(10000).then(function(lba) {
+                out.lbaFar = lba;
+                out.aChunksFar = disk.aStreamMRU.slice();
+                return readLBA(128);
+            }).then(function() {
+                return readLBA(256);
+            }).then(function(lba) {
+                out.lbaNext = lba;
+                return wait(500);
+            }).then(function() {
+                out.aChunksPrefetched = disk.aStreamMRU.slice();
+                return seekLBA(200);
+            }).then(function(sector) {
+                disk.write(sector, 4, 0xAA);
+                return readLBA(20000);
+            }).then(function() {
+                out.aChunksEvicted = disk.aStreamMRU.slice();
+                return seekLBA(200);
+            }).then(function(sector) {
+                out.abModified = [disk.read(sector, 0), disk.read(sector, 4)];
+                return readLBA(129);
+            }).then(function(lba) {
+                out.lbaReloaded = lba;
+                return out;
+            });
+        });
+        assert.strictEqual(result.fStream, true, "disk isn't streamed");
+        assert.deepStrictEqual(result.aChunksInitial, [0], "only the first chunk should be loaded initially");
+        assert.strictEqual(result.lbaFar, 10000);
+        assert.deepStrictEqual(result.aChunksFar, [78, 0]);
+        assert.strictEqual(result.lbaNext, 256);
+        assert.deepStrictEqual(result.aChunksPrefetched.sort(), [1, 2, 3, 4], "sequential reads should prefetch the next 2 chunks");
+        assert.deepStrictEqual(result.aChunksEvicted, [156, 4, 3, 2]);
+        assert.deepStrictEqual(result.abModified, [200, 0xAA], "modified sector was discarded");
+        assert.strictEqual(result.lbaReloaded, 129);
+    });
+});
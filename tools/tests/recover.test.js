@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Tests for recovering deleted files and slack space (--recover)
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+
+var files = {
+    "A.TXT": "a\r\n",
+    "B.BIN": testlib.getRandomData(3000),
+    "C.BIN": testlib.getRandomData(1500, 2)
+};
+
+testlib.test("--recover lists and extracts deleted files", function() {
+    let sDir = testlib.makeFiles("recover", files);
+    testlib.diskImage([sDir, "recover.img"]);
+    testlib.writeFile("deleted.img", testlib.readFile("recover.img"));
+    testlib.diskImage(["deleted.img", "--delete=\\B.BIN", "--delete=\\C.BIN"]);
+    let output = testlib.diskImage(["deleted.img", "--recover"]);
+    assert.match(output, /0 {2}contiguous\s+3000 {2}\\_\.BIN/);
+    assert.match(output, /0 {2}contiguous\s+1500 {2}\\_\.BIN/);
+    assert.doesNotMatch(output, /A\.TXT/);
+    testlib.diskImage(["deleted.img", "--recover=recovered"]);
+    testlib.compareFiles("recovered", {"_.BIN": files["B.BIN"], "_~1.BIN": files["C.BIN"]});
+});
+
+testlib.test("--recover reports deleted files whose clusters have been reused", function() {
+    testlib.writeFile("NEW.BIN", testlib.getRandomData(4000, 3));
+    testlib.diskImage(["deleted.img", "--add=NEW.BIN"]);           // reuses B.BIN's directory entry, and C.BIN's first cluster
+    let output = testlib.diskImage(["deleted.img", "--recover"]);
+    assert.match(output, /0 {2}overwritten\s+1500 {2}\\_\.BIN/);
+    assert.doesNotMatch(output, /3000/);
+});
+
+testlib.test("--recover --slack extracts the slack space of existing files", function() {
+    let abDisk = testlib.readFile("recover.img");
+    let offData = abDisk.indexOf("a\r\n", 7 * 512);
+    abDisk.write("secret", offData + 3, "latin1");
+    testlib.writeFile("slack.img", abDisk);
+    let output = testlib.diskImage(["slack.img", "--recover"]);
+    assert.match(output, /no recoverable files/);
+    output = testlib.diskImage(["slack.img", "--recover=slack", "--slack"]);
+    assert.match(output, /0 {2}slack\s+509 {2}\\A\.TXT/);
+    let abSlack = testlib.readFile("slack/A.TXT.slack");
+    assert.strictEqual(abSlack.length, 512 - 3);
+    assert.strictEqual(abSlack.toString("latin1", 0, 6), "secret");
+});
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Tests for RT-11 volumes (building, listing, and extracting)
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+
+var files = {
+    "HELLO.TXT": "hello\r\n",
+    "PROG.SAV": testlib.getRandomData(3000),
+    "A$B.MAC": testlib.getRandomData(1024, 2)
+};
+
+/**
+ * getBlockFiles(files)
+ *
+ * RT-11 records file sizes in blocks, so extracted files are padded with zeros to a multiple of 512 bytes.
+ *
+ * @param {Object} files
+ * @returns {Object}
+ */
+function getBlockFiles(files)
+{
+    let filesPadded = {};
+    for (let sFile in files) {
+        let ab = Buffer.from(files[sFile]);
+        filesPadded[sFile] = Buffer.concat([ab, Buffer.alloc((512 - ab.length % 512) % 512)]);
+    }
+    return filesPadded;
+}
+
+testlib.test("RT-11 RX01 images round-trip through --list and --extract", function() {
+    let sDir = testlib.makeFiles("src/rx01", Object.assign({"TOOLONGNAME.TXT": "skipped", "SUB/X.TXT": "skipped"}, files));
+    testlib.diskImage(["--dir=" + sDir, "--rt11=rx01", "--output=rx01.img"]);
+    let abDisk = testlib.readFile("rx01.img");
+    assert.strictEqual(abDisk.length, 77 * 26 * 128);
+    let output = testlib.diskImage(["rx01.img", "--rt11", "--list"]);
+    assert.match(output, /HELLO \.TXT\s+1 /);
+    assert.match(output, /PROG {2}\.SAV\s+6 /);
+    assert.match(output, /A\$B {3}\.MAC\s+2 /);
+    assert.match(output, / 3 Files, 9 Blocks/);
+    assert.doesNotMatch(output, /TOOLON|X {5}\.TXT/);
+    testlib.diskImage(["rx01.img", "--rt11", "--extract"]);
+    testlib.compareFiles("rx01", getBlockFiles(files));
+});
+
+testlib.test("RT-11 RK05 images have a home block and spill large directories into multiple segments", function() {
+    let filesMany = {};
+    for (let i = 0; i < 100; i++) {
+        filesMany["FILE" + i + ".DAT"] = "file " + i + "\r\n";
+    }
+    let sDir = testlib.makeFiles("src/rk05", filesMany);
+    testlib.diskImage(["--dir=" + sDir, "--rt11=rk05", "--segments=2", "--output=rk05.img"]);
+    let abDisk = testlib.readFile("rk05.img");
+    assert.strictEqual(abDisk.length, 4872 * 512);
+    assert.strictEqual(abDisk.toString("ascii", 512 + 0x1F0, 512 + 0x1FC), "DECRT11A    ");
+    let offDir = 6 * 512;
+    assert.strictEqual(abDisk.readUInt16LE(offDir), 2, "wrong number of directory segments");
+    assert.strictEqual(abDisk.readUInt16LE(offDir + 2), 2, "second directory segment isn't linked");
+    assert.strictEqual(abDisk.readUInt16LE(offDir + 4), 2, "wrong highest segment in use");
+    let output = testlib.diskImage(["rk05.img", "--rt11", "--list"]);
+    assert.match(output, / 100 Files, 100 Blocks/);
+    testlib.diskImage(["rk05.img", "--rt11", "--extract"]);
+    testlib.compareFiles("rk05", getBlockFiles(filesMany));
+});
+
+testlib.test("--rt11 --extract=NAME extracts a single file", function() {
+    testlib.diskImage(["rx01.img", "--rt11", "--extract=prog.sav"]);
+    assert.ok(testlib.readFile("PROG.SAV").equals(getBlockFiles(files)["PROG.SAV"]), "PROG.SAV differs");
+});
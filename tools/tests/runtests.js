@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Runs every test in this folder
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ *
+ * Usage:
+ *
+ *      node tools/tests/runtests.js [name ...]
+ *
+ * where each optional name selects a test file (eg, "fat32" for fat32.test.js); the default is all of them.
+ */
+
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var testlib = require("./testlib");
+
+var asNames = process.argv.slice(2);
+
+for (let sFile of fs.readdirSync(__dirname).sort()) {
+    if (!sFile.endsWith(".test.js")) continue;
+    if (asNames.length && asNames.indexOf(sFile.slice(0, -8)) < 0) continue;
+    require(path.join(__dirname, sFile));
+}
+
+testlib.runTests(function(cFailures) {
+    process.exitCode = cFailures? 1 : 0;
+});
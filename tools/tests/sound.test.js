@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Tests for the AdLib/Sound Blaster sound card component (OPL2 and DSP)
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+var machinelib = require("./machinelib");
+
+/**
+ * runSound(fnTest)
+ *
+ * Runs fnTest(getObject, io) in a machine with a Sound Blaster 2.0 card at port 0x220 (IRQ 7, DMA 1), after
+ * parking the CPU in a "CLI; JMP $" loop, where io contains:
+ *
+ *      out(port, b): writes b to the given port
+ *      inp(port): reads the given port
+ *      run(ms): runs the CPU for (roughly) the given number of milliseconds, returning a Promise
+ *      samples(): returns (and discards) all the samples generated so far, as an Array
+ *
+ * @param {function(function(string),Object)} fnTest
+ * @returns {*} (whatever fnTest returned)
+ */
+function runSound(fnTest)
+{
+    let machine = machinelib.getMachine();
+    machine['sound'] = {"id": "sound", "model": "sb2", "port": "0x220", "sampleRate": 22050};
+    return machinelib.runMachine(machine, function(getObject, args) {
+        let cpu = getObject("cpu"), sound = getObject("sound"), bus = sound.bus;
+        [0xFA, 0xEB, 0xFE].forEach(function(b, i) { cpu.setByte(0x500 + i, b); });
+        cpu.setCSIP(0x0500, 0x0000);
+        let io = {
+            out: function(port, b) { bus.checkPortOutputNotify(port, 1, b, 0); },
+            inp: function(port) { return bus.checkPortInputNotify(port, 1, 0); },
+            run: function(ms) {
+                cpu.startCPU();
+                return new Promise(function(resolve) {
+                    setTimeout(function() { cpu.stopCPU(); resolve(); }, ms);
+                });
+            },
+            samples: function() { return Array.from(sound.getBuffer(true)); }
+        };
+        return eval(args.sTest)(getObject, io);
+    }, {sTest: "(" + fnTest.toString() + ")"});
+}
+
+testlib.test("the DSP resets and identifies itself", function() {
+    let result = runSound(function(getObject, io) {
+        let ab = [];
+        io.out(0x226, 1);
+        io.out(0x226, 0);
+        ab.push(io.inp(0x22E) & 0x80, io.inp(0x22A));
+        io.out(0x22C, 0xE1);
+        ab.push(io.inp(0x22A), io.inp(0x22A));
+        io.out(0x22C, 0xE0);
+        io.out(0x22C, 0x5A);
+        ab.push(io.inp(0x22A));
+        io.out(0x22C, 0xE4);
+        io.out(0x22C, 0x3C);
+        io.out(0x22C, 0xE8);
+        ab.push(io.inp(0x22A));
+        io.out(0x22C, 0xD8);
+        ab.push(io.inp(0x22A));
+        io.out(0x22C, 0xD1);
+        io.out(0x22C, 0xD8);
+        ab.push(io.inp(0x22A), io.inp(0x22E) & 0x80);
+        return ab;
+    });
+    assert.deepStrictEqual(result, [0x80, 0xAA, 2, 1, 0xA5, 0x3C, 0x00, 0xFF, 0x00]);
+});
+
+testlib.test("the DSP plays single-cycle DMA blocks and interrupts at the end of each block", function() {
+    let result = runSound(function(getObject, io) {
+        let chipset = getObject("chipset"), sound = getObject("sound"), cpu = getObject("cpu");
+        let out = {};
+        /*
+         * 1000 bytes of a square wave at 0:1000, played at 11111hz (time constant 0xA6) through DMA channel 1.
+         */
+        for (let i = 0; i < 1000; i++) cpu.setByte(0x1000 + i, (i & 8)? 0xC0 : 0x40);
+        [[0x0A, 0x05], [0x0B, 0x49], [0x0C, 0x00], [0x02, 0x00], [0x02, 0x10], [0x03, 0xE7], [0x03, 0x03], [0x83, 0x00], [0x0A, 0x01]].forEach(function(a) { io.out(a[0], a[1]); });
+        io.out(0x226, 1);
+        io.out(0x226, 0);
+        io.inp(0x22A);
+        [0xD1, 0x40, 0xA6, 0x14, 0xE7, 0x03].forEach(function(b) { io.out(0x22C, b); });
+        io.samples();
+        return io.run(250).then(function() {
+            out.fIRQ = sound.fIRQ;
+            out.fDMA = sound.fDMA;
+            out.bIRR = chipset.aPICs[0].bIRR & 0x80;
+            out.bStatus = chipset.aDMACs[0].bStatus & 0x02;
+            out.fMasked = chipset.aDMACs[0].aChannels[1].masked;
+            io.inp(0x22E);
+            out.fIRQAck = sound.fIRQ;
+            out.bIRRAck = chipset.aPICs[0].bIRR & 0x80;
+            out.samples = io.samples();
+            return out;
+        });
+    });
+    assert.strictEqual(result.fIRQ, true, "no DSP interrupt");
+    assert.strictEqual(result.fDMA, false, "DMA still active");
+    assert.strictEqual(result.bIRR, 0x80, "IRQ 7 not requested");
+    assert.strictEqual(result.bStatus, 0x02, "DMA channel 1 didn't reach terminal count");
+    assert.strictEqual(result.fMasked, true);
+    assert.strictEqual(result.fIRQAck, false, "reading the status port should acknowledge the interrupt");
+    assert.strictEqual(result.bIRRAck, 0);
+    /*
+     * 1000 bytes at 11111hz is 90ms, or about 1985 samples at 22050hz, half of them high and half of them low, and
+     * then the DAC holds the last byte; since the last 8 bytes are all low, the output stops changing at byte 992,
+     * or about sample 1969.
+     */
+    let samples = result.samples, nHigh = 0, nLow = 0, iLast = 0;
+    for (let i = 1; i < samples.length; i++) {
+        if (samples[i] != samples[i - 1]) iLast = i;
+    }
+    assert.ok(Math.abs(iLast - 1969) < 10, "expected the output to stop changing at about sample 1969, not " + iLast);
+    for (let i = 0; i < iLast; i++) {
+        if (samples[i] > 0) nHigh++; else if (samples[i] < 0) nLow++;
+    }
+    assert.ok(Math.abs(nHigh - nLow) < 40, "square wave is lopsided (" + nHigh + " vs. " + nLow + ")");
+});
+
+testlib.test("auto-init DMA repeats blocks until the DSP is told to exit auto-init mode", function() {
+    let result = runSound(function(getObject, io) {
+        let sound = getObject("sound");
+        let out = {nIRQs: 0};
+        [[0x0A, 0x05], [0x0B, 0x59], [0x0C, 0x00], [0x02, 0x00], [0x02, 0x10], [0x03, 0xE7], [0x03, 0x03], [0x83, 0x00], [0x0A, 0x01]].forEach(function(a) { io.out(a[0], a[1]); });
+        io.out(0x226, 1);
+        io.out(0x226, 0);
+        [0x40, 0xA6, 0x48, 0xF3, 0x01, 0x1C].forEach(function(b) { io.out(0x22C, b); });
+        let poll = function(n) {
+            if (!n) return Promise.resolve();
+            return io.run(10).then(function() {
+                if (sound.fIRQ) {
+                    out.nIRQs++;
+                    io.inp(0x22E);
+                }
+                return poll(n - 1);
+            });
+        };
+        return poll(30).then(function() {
+            out.fDMA = sound.fDMA;
+            io.out(0x22C, 0xDA);
+            return io.run(200);
+        }).then(function() {
+            out.fDMAExit = sound.fDMA;
+            return out;
+        });
+    });
+    assert.ok(result.nIRQs >= 3, "expected an interrupt for every 500-byte block, got " + result.nIRQs);
+    assert.strictEqual(result.fDMA, true, "auto-init DMA stopped");
+    assert.strictEqual(result.fDMAExit, false, "auto-init DMA didn't stop after the current block");
+});
+
+testlib.test("the OPL2 timers set the status bits that AdLib detection looks for", function() {
+    let result = runSound(function(getObject, io) {
+        let opl = function(reg, b) { io.out(0x388, reg); io.out(0x389, b); };
+        let ab = [];
+        opl(0x04, 0x60);
+        opl(0x04, 0x80);
+        ab.push(io.inp(0x388) & 0xE0);
+        opl(0x02, 0xFF);
+        opl(0x04, 0x21);
+        return io.run(20).then(function() {
+            ab.push(io.inp(0x388) & 0xE0);
+            opl(0x04, 0x60);
+            opl(0x04, 0x80);
+            ab.push(io.inp(0x228) & 0xE0);
+            return ab;
+        });
+    });
+    assert.deepStrictEqual(result, [0x00, 0xC0, 0x00]);
+});
+
+testlib.test("an OPL2 channel plays a note at the frequency given by its F-Number and block", function() {
+    let result = runSound(function(getObject, io) {
+        let opl = function(reg, b) { io.out(0x388, reg); io.out(0x389, b); };
+        /*
+         * Channel 0, with a silent modulator and a sustained carrier with the fastest release rate, F-Number 0x198 and block 4, or about 309.5hz.
+         */
+        [[0x20, 0x01], [0x40, 0x3F], [0x60, 0xF0], [0x80, 0x77], [0x23, 0x21], [0x43, 0x00], [0x63, 0xF0], [0x83, 0x0F], [0xC0, 0x00]].forEach(function(a) { opl(a[0], a[1]); });
+        io.samples();
+        return io.run(50).then(function() {
+            opl(0xA0, 0x98);
+            opl(0xB0, 0x31);
+            io.samples();
+            return io.run(300);
+        }).then(function() {
+            let samples = io.samples();
+            opl(0xB0, 0x11);
+            return io.run(300).then(function() {
+                let samplesOff = io.samples();
+                return {samples: samples, samplesOff: samplesOff.slice(-1000)};
+            });
+        });
+    });
+    let samples = result.samples, nCrossings = 0, nPeak = 0;
+    assert.ok(samples.length > 2205, "expected at least 100ms of samples, got " + samples.length);
+    for (let i = 1; i < samples.length; i++) {
+        if ((samples[i - 1] < 0) != (samples[i] < 0)) nCrossings++;
+        nPeak = Math.max(nPeak, Math.abs(samples[i]));
+    }
+    let freq = nCrossings / 2 / (samples.length / 22050);
+    assert.ok(Math.abs(freq - 309.5) < 10, "expected a frequency of about 309.5hz, got " + freq.toFixed(1) + "hz");
+    assert.ok(nPeak > 1000, "note is too quiet (" + nPeak + ")");
+    assert.ok(result.samplesOff.every(function(sample) { return sample == 0; }), "note didn't stop after key-off");
+});
@@ -0,0 +1,323 @@
+/**
+ * @fileoverview Tests for Teledisk (TD0) images
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+
+var files = {
+    "HELLO.TXT": "hello\r\n",
+    "README": "readme",
+    "DATA.BIN": testlib.getRandomData(5000),
+    "PATTERN.TXT": "0123".repeat(300)
+};
+
+/**
+ * getCRC(ab, start, end)
+ *
+ * Calculates the CRC that Teledisk uses for its headers.
+ *
+ * @param {Buffer} ab
+ * @param {number} start
+ * @param {number} end
+ * @returns {number}
+ */
+function getCRC(ab, start, end)
+{
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc ^= ab[i] << 8;
+        for (let j = 0; j < 8; j++) {
+            crc = (crc & 0x8000)? ((crc << 1) ^ 0xA097) : (crc << 1);
+        }
+    }
+    return crc & 0xffff;
+}
+
+/**
+ * encodeSector(abSector)
+ *
+ * Returns a sector's data block, using whichever encoding Teledisk would: 1 if the sector consists of a single repeated
+ * 2-byte pattern, 2 (a series of literal and repeated-pattern blocks) if that's any smaller, and 0 (raw data) otherwise.
+ *
+ * @param {Buffer} abSector
+ * @returns {Buffer}
+ */
+function encodeSector(abSector)
+{
+    let ab;
+    let cb = abSector.length;
+    let fPattern = true;
+    for (let i = 2; i < cb; i++) {
+        if (abSector[i] != abSector[i - 2]) {
+            fPattern = false;
+            break;
+        }
+    }
+    if (fPattern) {
+        ab = Buffer.from([1, cb >> 1, cb >> 9, abSector[0], abSector[1]]);
+    } else {
+        let aParts = [Buffer.from([2])];
+        let abLiteral = [];
+        let flush = function() {
+            for (let i = 0; i < abLiteral.length; i += 255) {
+                let abChunk = abLiteral.slice(i, i + 255);
+                aParts.push(Buffer.from([0, abChunk.length].concat(abChunk)));
+            }
+            abLiteral = [];
+        };
+        for (let i = 0; i < cb;) {
+            let n = 1;
+            while (n < 255 && i + (n + 1) * 2 <= cb && abSector[i + n * 2] == abSector[i] && abSector[i + n * 2 + 1] == abSector[i + 1]) n++;
+            if (n >= 3) {
+                flush();
+                aParts.push(Buffer.from([1, n, abSector[i], abSector[i + 1]]));
+                i += n * 2;
+            } else {
+                abLiteral.push(abSector[i++]);
+            }
+        }
+        flush();
+        ab = Buffer.concat(aParts);
+        if (ab.length > cb + 1) {
+            ab = Buffer.concat([Buffer.from([0]), abSector]);
+        }
+    }
+    let abLength = Buffer.alloc(2);
+    abLength.writeUInt16LE(ab.length);
+    return Buffer.concat([abLength, ab]);
+}
+
+/**
+ * compressTD0(abIn)
+ *
+ * Compresses data using the LZHUF algorithm (LZSS with adaptive Huffman coding) that Teledisk's "advanced compression"
+ * uses.  Matches are found by brute force, which is plenty fast enough for a small disk image, and the Huffman tree is
+ * maintained exactly as the decompressor maintains it.
+ *
+ * @param {Buffer} abIn
+ * @returns {Buffer}
+ */
+function compressTD0(abIn)
+{
+    const N = 4096, F = 60, THRESHOLD = 2;
+    const N_CHAR = 256 - THRESHOLD + F;
+    const T = N_CHAR * 2 - 1, R = T - 1;
+    const MAX_FREQ = 0x8000;
+
+    let freq = new Array(T + 1), prnt = new Array(T + N_CHAR), son = new Array(T);
+    let i, j, k, l;
+
+    /*
+     * p_code[] and p_len[] are the inverse of the decompressor's d_code[] and d_len[] tables: the prefix code (in the
+     * upper bits of a byte) and its length for each possible value of the upper 6 bits of a position.
+     */
+    let p_code = [], p_len = [], b = 0;
+    for (let len = 3; len <= 8; len++) {
+        let nCodes = [1, 3, 8, 12, 24, 16][len - 3];
+        for (let c = 0; c < nCodes; c++) {
+            p_code.push(b);
+            p_len.push(len);
+            b += 1 << (8 - len);
+        }
+    }
+
+    for (i = 0; i < N_CHAR; i++) {
+        freq[i] = 1;
+        son[i] = i + T;
+        prnt[i + T] = i;
+    }
+    for (i = 0, j = N_CHAR; j <= R; i += 2, j++) {
+        freq[j] = freq[i] + freq[i + 1];
+        son[j] = i;
+        prnt[i] = prnt[i + 1] = j;
+    }
+    freq[T] = 0xffff;
+    prnt[R] = 0;
+
+    let reconst = function() {
+        for (i = 0, j = 0; i < T; i++) {
+            if (son[i] >= T) {
+                freq[j] = (freq[i] + 1) >> 1;
+                son[j] = son[i];
+                j++;
+            }
+        }
+        for (i = 0, j = N_CHAR; j < T; i += 2, j++) {
+            let f = freq[j] = freq[i] + freq[i + 1];
+            for (k = j - 1; f < freq[k]; k--);
+            k++;
+            freq.splice(j, 1);
+            freq.splice(k, 0, f);
+            son.splice(j, 1);
+            son.splice(k, 0, i);
+        }
+        for (i = 0; i < T; i++) {
+            k = son[i];
+            if (k >= T) {
+                prnt[k] = i;
+            } else {
+                prnt[k] = prnt[k + 1] = i;
+            }
+        }
+    };
+
+    let update = function(ch) {
+        if (freq[R] == MAX_FREQ) reconst();
+        ch = prnt[ch + T];
+        do {
+            k = ++freq[ch];
+            l = ch + 1;
+            if (k > freq[l]) {
+                while (k > freq[++l]);
+                l--;
+                freq[ch] = freq[l];
+                freq[l] = k;
+                i = son[ch];
+                prnt[i] = l;
+                if (i < T) prnt[i + 1] = l;
+                j = son[l];
+                son[l] = i;
+                prnt[j] = ch;
+                if (j < T) prnt[j + 1] = ch;
+                son[ch] = j;
+                ch = l;
+            }
+        } while ((ch = prnt[ch]) != 0);
+    };
+
+    let abOut = [], bOut = 0, cBits = 0;
+    let putBits = function(v, n) {
+        while (n--) {
+            bOut = (bOut << 1) | ((v >> n) & 1);
+            if (++cBits == 8) {
+                abOut.push(bOut);
+                bOut = cBits = 0;
+            }
+        }
+    };
+
+    /*
+     * A character's code is the path from the root to its leaf, so we collect the bits from the leaf up.
+     */
+    let putChar = function(c) {
+        let aBits = [];
+        for (let node = prnt[c + T]; node != R; node = prnt[node]) {
+            aBits.unshift(node - son[prnt[node]]);
+        }
+        for (let bit of aBits) putBits(bit, 1);
+        update(c);
+    };
+
+    for (let off = 0; off < abIn.length;) {
+        let lenMatch = 0, dist = 0;
+        for (let d = 1; d <= Math.min(off, N - F); d++) {
+            let len = 0;
+            while (len < F && off + len < abIn.length && abIn[off + len] == abIn[off + len - d]) len++;
+            if (len > lenMatch) {
+                lenMatch = len;
+                dist = d;
+                if (len == F) break;
+            }
+        }
+        if (lenMatch > THRESHOLD) {
+            let pos = dist - 1;
+            putChar(255 - THRESHOLD + lenMatch);
+            putBits(p_code[pos >> 6] >> (8 - p_len[pos >> 6]), p_len[pos >> 6]);
+            putBits(pos & 0x3f, 6);
+            off += lenMatch;
+        } else {
+            putChar(abIn[off++]);
+        }
+    }
+    if (cBits) abOut.push(bOut << (8 - cBits));
+    return Buffer.from(abOut);
+}
+
+/**
+ * makeTD0(abDisk, nCylinders, nHeads, nSectors, fCompress, fnFlags)
+ *
+ * Converts a raw disk image (with 512-byte sectors) into a TD0 image.
+ *
+ * @param {Buffer} abDisk
+ * @param {number} nCylinders
+ * @param {number} nHeads
+ * @param {number} nSectors
+ * @param {boolean} [fCompress] (true to use advanced compression)
+ * @param {function(number,number,number)} [fnFlags] (returns the flags for the given cylinder, head, and sector ID)
+ * @returns {Buffer}
+ */
+function makeTD0(abDisk, nCylinders, nHeads, nSectors, fCompress, fnFlags)
+{
+    let aParts = [];
+    let header = Buffer.from([0x54, 0x44, 0, 0, 21, 0x00, 0x01, 0x00, 0x00, nHeads, 0, 0]);
+    if (fCompress) header.write("td", 0, "ascii");
+    header.writeUInt16LE(getCRC(header, 0, 0x0A), 0x0A);
+    let off = 0;
+    for (let cylinder = 0; cylinder < nCylinders; cylinder++) {
+        for (let head = 0; head < nHeads; head++) {
+            aParts.push(Buffer.from([nSectors, cylinder, head, 0]));
+            for (let sector = 1; sector <= nSectors; sector++) {
+                let flags = fnFlags? fnFlags(cylinder, head, sector) : 0;
+                aParts.push(Buffer.from([cylinder, head, sector, 2, flags, 0]), encodeSector(abDisk.slice(off, off + 512)));
+                off += 512;
+            }
+        }
+    }
+    aParts.push(Buffer.from([0xFF, 0, 0, 0]));
+    let abData = Buffer.concat(aParts);
+    return Buffer.concat([header, fCompress? compressTD0(abData) : abData]);
+}
+
+testlib.test("TD0 images round-trip through --list and --extract", function() {
+    let sDir = testlib.makeFiles("td0", files);
+    testlib.diskImage([sDir, "td0.img"]);
+    let abDisk = testlib.readFile("td0.img");
+    assert.strictEqual(abDisk.length, 160 * 1024);
+    testlib.writeFile("td0.td0", makeTD0(abDisk, 40, 1, 8));
+    let output = testlib.diskImage(["td0.td0", "--list"]);
+    assert.match(output, /HELLO\s+TXT\s+7/);
+    assert.match(output, /README\s+6/);
+    assert.match(output, /DATA\s+BIN\s+5000/);
+    testlib.removeDir(testlib.getPath("td0"));
+    testlib.diskImage(["td0.td0", "--extract"]);
+    testlib.compareFiles("td0", files);
+    testlib.diskImage(["td0.td0", "td0a.img"]);
+    assert.ok(testlib.readFile("td0a.img").equals(abDisk), "TD0 image doesn't convert back to the original image");
+});
+
+testlib.test("--disk= reads a TD0 image", function() {
+    let output = testlib.diskImage(["--disk=td0.td0", "--list"]);
+    assert.match(output, /HELLO\s+TXT\s+7/);
+    assert.match(output, /README\s+6/);
+});
+
+testlib.test("TD0 images with advanced compression convert to the original image", function() {
+    let abDisk = testlib.readFile("td0.img");
+    let abTD0 = makeTD0(abDisk, 40, 1, 8, true);
+    assert.ok(abTD0.length < abDisk.length / 2, "advanced compression didn't compress");
+    testlib.writeFile("td0b.td0", abTD0);
+    testlib.diskImage(["td0b.td0", "td0b.img"]);
+    assert.ok(testlib.readFile("td0b.img").equals(abDisk), "TD0 image doesn't convert back to the original image");
+});
+
+testlib.test("TD0 images preserve deleted data and data errors", function() {
+    let abDisk = testlib.readFile("td0.img");
+    testlib.writeFile("td0c.td0", makeTD0(abDisk, 40, 1, 8, false, function(cylinder, head, sector) {
+        return cylinder == 39? (sector == 1? 0x04 : (sector == 2? 0x02 : 0)) : 0;
+    }));
+    testlib.diskImage(["td0c.td0", "td0c.json"]);
+    let diskData = JSON.parse(testlib.readFile("td0c.json").toString());
+    let track = (diskData.diskData || diskData)[39][0];
+    assert.strictEqual(track[0].dataMark, 0xF8);
+    assert.strictEqual(track[1].dataError, -1);
+    assert.strictEqual(track[2].dataMark, undefined);
+    assert.strictEqual(track[2].dataError, undefined);
+});
@@ -0,0 +1,321 @@
+/**
+ * @fileoverview Helpers shared by the tests in this folder
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ *
+ * Every test file (*.test.js) calls test() to register its tests, and runtests.js then calls runTests() to run them
+ * all.  Tests run the command-line tools in child processes, with all their input and output files in a temporary
+ * directory, so they exercise the same code paths (and option parsing) that a user would.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var fs = require("fs");
+var http = require("http");
+var os = require("os");
+var path = require("path");
+var spawn = require("child_process").spawn;
+var spawnSync = require("child_process").spawnSync;
+
+var rootDir = path.join(__dirname, "..", "..");
+var tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "pcjs-"));
+var aTests = [];
+
+/**
+ * test(name, fn)
+ *
+ * Registers a test; if fn returns a Promise, the test isn't finished until the Promise is settled.
+ *
+ * @param {string} name
+ * @param {function()} fn
+ */
+function test(name, fn)
+{
+    aTests.push({name, fn});
+}
+
+/**
+ * runTests(done)
+ *
+ * Runs all the registered tests, one at a time, and then removes the temporary directory.
+ *
+ * @param {function(number)} done (called with the number of tests that failed)
+ */
+function runTests(done)
+{
+    let cFailures = 0;
+    let next = function(i) {
+        if (i >= aTests.length) {
+            removeDir(tmpDir);
+            console.log(cFailures? cFailures + " of " + aTests.length + " test(s) failed" : "all " + aTests.length + " test(s) passed");
+            done(cFailures);
+            return;
+        }
+        let pass = function() {
+            console.log("ok " + (i + 1) + " - " + aTests[i].name);
+            next(i + 1);
+        };
+        let fail = function(err) {
+            cFailures++;
+            console.log("not ok " + (i + 1) + " - " + aTests[i].name + "\n" + (err && err.message || err));
+            next(i + 1);
+        };
+        try {
+            Promise.resolve(aTests[i].fn()).then(pass, fail);
+        } catch(err) {
+            fail(err);
+        }
+    };
+    next(0);
+}
+
+/**
+ * removeDir(sDir)
+ *
+ * Removes a directory and everything in it, including the read-only files that the tools create.
+ *
+ * @param {string} sDir
+ */
+function removeDir(sDir)
+{
+    if (!fs.existsSync(sDir)) return;
+    for (let name of fs.readdirSync(sDir)) {
+        let sPath = path.join(sDir, name);
+        if (fs.lstatSync(sPath).isDirectory()) {
+            removeDir(sPath);
+        } else {
+            fs.chmodSync(sPath, 0o644);
+            fs.unlinkSync(sPath);
+        }
+    }
+    fs.rmdirSync(sDir);
+}
+
+/**
+ * runNode(sScript, args, status)
+ *
+ * Runs a Node script (relative to the root of the repository) in the temporary directory, and returns its output,
+ * after asserting that it exited with the expected status.
+ *
+ * @param {string} sScript
+ * @param {Array.<string>} args
+ * @param {number} [status] (default is 0)
+ * @returns {string}
+ */
+function runNode(sScript, args, status = 0)
+{
+    let result = spawnSync(process.execPath, [path.join(rootDir, sScript)].concat(args), {cwd: tmpDir, encoding: "utf8", timeout: 120000});
+    let output = result.stdout + result.stderr;
+    assert.strictEqual(result.status, status, sScript + " " + args.join(" ") + " exited with " + result.status + ":\n" + output);
+    return output;
+}
+
+/**
+ * startNode(sScript, args, reReady)
+ *
+ * Starts a Node script (relative to the root of the repository) in the temporary directory, for scripts (like servers)
+ * that keep running until they're stopped with stopNode().
+ *
+ * @param {string} sScript
+ * @param {Array.<string>} args
+ * @param {RegExp} reReady (matches the output that indicates the script is ready)
+ * @returns {Promise} (resolved with the child process once it's ready)
+ */
+function startNode(sScript, args, reReady)
+{
+    return new Promise(function(resolve, reject) {
+        let child = spawn(process.execPath, [path.join(rootDir, sScript)].concat(args), {cwd: tmpDir});
+        let output = "", fReady = false;
+        let timer = setTimeout(function() {
+            child.kill();
+            reject(new Error(sScript + " never became ready:\n" + output));
+        }, 30000);
+        let onData = function(data) {
+            output += data;
+            if (!fReady && reReady.test(output)) {
+                fReady = true;
+                clearTimeout(timer);
+                resolve(child);
+            }
+        };
+        child.stdout.on("data", onData);
+        child.stderr.on("data", onData);
+        child.on("exit", function(status) {
+            if (!fReady) {
+                clearTimeout(timer);
+                reject(new Error(sScript + " exited with " + status + ":\n" + output));
+            }
+        });
+    });
+}
+
+/**
+ * stopNode(child)
+ *
+ * @param {ChildProcess} child (from startNode())
+ * @returns {Promise} (resolved with the exit status once the child process has exited)
+ */
+function stopNode(child)
+{
+    return new Promise(function(resolve) {
+        if (child.exitCode !== null) {
+            resolve(child.exitCode);
+            return;
+        }
+        child.on("exit", resolve);
+        child.kill("SIGTERM");
+    });
+}
+
+/**
+ * httpRequest(sURL, method, headers, sBody)
+ *
+ * @param {string} sURL
+ * @param {string} [method] (default is "GET")
+ * @param {Object} [headers]
+ * @param {string} [sBody]
+ * @returns {Promise} (resolved with an object containing the response's status, headers, and body, as a Buffer)
+ */
+function httpRequest(sURL, method = "GET", headers = {}, sBody = "")
+{
+    return new Promise(function(resolve, reject) {
+        let req = http.request(sURL, {method, headers}, function(res) {
+            let aChunks = [];
+            res.on("data", function(chunk) {
+                aChunks.push(chunk);
+            });
+            res.on("end", function() {
+                resolve({status: res.statusCode, headers: res.headers, body: Buffer.concat(aChunks)});
+            });
+        });
+        req.on("error", reject);
+        req.end(sBody);
+    });
+}
+
+/**
+ * diskImage(args)
+ *
+ * @param {Array.<string>} args
+ * @returns {string} (the output of diskimage.js)
+ */
+function diskImage(args)
+{
+    return runNode("tools/modules/diskimage.js", args);
+}
+
+/**
+ * getPath(sFile)
+ *
+ * @param {string} sFile (relative to the temporary directory)
+ * @returns {string}
+ */
+function getPath(sFile)
+{
+    return path.join(tmpDir, sFile);
+}
+
+/**
+ * readFile(sFile)
+ *
+ * @param {string} sFile (relative to the temporary directory)
+ * @returns {Buffer}
+ */
+function readFile(sFile)
+{
+    return fs.readFileSync(getPath(sFile));
+}
+
+/**
+ * writeFile(sFile, data)
+ *
+ * @param {string} sFile (relative to the temporary directory)
+ * @param {Buffer|string} data
+ */
+function writeFile(sFile, data)
+{
+    fs.mkdirSync(path.dirname(getPath(sFile)), {recursive: true});
+    fs.writeFileSync(getPath(sFile), data);
+}
+
+/**
+ * makeFiles(sDir, files)
+ *
+ * @param {string} sDir (relative to the temporary directory)
+ * @param {Object} files (paths, relative to sDir, and their contents)
+ * @returns {string} (sDir with a trailing slash, which is how diskimage.js recognizes an input directory)
+ */
+function makeFiles(sDir, files)
+{
+    fs.mkdirSync(getPath(sDir), {recursive: true});
+    for (let sFile in files) {
+        writeFile(path.join(sDir, sFile), files[sFile]);
+    }
+    return sDir + "/";
+}
+
+/**
+ * readFiles(sDir)
+ *
+ * @param {string} sDir (relative to the temporary directory)
+ * @returns {Object} (paths of all the files in sDir, relative to sDir, and their contents)
+ */
+function readFiles(sDir)
+{
+    let files = {};
+    let readDir = function(sSubDir) {
+        for (let name of fs.readdirSync(getPath(path.join(sDir, sSubDir))).sort()) {
+            let sFile = path.join(sSubDir, name);
+            if (fs.statSync(getPath(path.join(sDir, sFile))).isDirectory()) {
+                readDir(sFile);
+            } else {
+                files[sFile.split(path.sep).join("/")] = readFile(path.join(sDir, sFile));
+            }
+        }
+    };
+    readDir("");
+    return files;
+}
+
+/**
+ * compareFiles(sDir, files)
+ *
+ * Asserts that sDir contains exactly the given files, with exactly the given contents.
+ *
+ * @param {string} sDir (relative to the temporary directory)
+ * @param {Object} files (paths, relative to sDir, and their contents)
+ */
+function compareFiles(sDir, files)
+{
+    let filesDir = readFiles(sDir);
+    assert.deepStrictEqual(Object.keys(filesDir).sort(), Object.keys(files).sort());
+    for (let sFile in files) {
+        assert.ok(filesDir[sFile].equals(Buffer.from(files[sFile])), sFile + " differs");
+    }
+}
+
+/**
+ * getRandomData(cb, seed)
+ *
+ * Returns a buffer of pseudo-random data, so that file contents are unlikely to match by accident (or to compress well),
+ * yet every run of a test uses the same data.
+ *
+ * @param {number} cb
+ * @param {number} [seed]
+ * @returns {Buffer}
+ */
+function getRandomData(cb, seed = 1)
+{
+    let buf = Buffer.alloc(cb);
+    for (let i = 0; i < cb; i++) {
+        seed = (seed * 1103515245 + 12345) >>> 0;
+        buf[i] = seed >>> 24;
+    }
+    return buf;
+}
+
+module.exports = {rootDir, tmpDir, test, runTests, removeDir, runNode, startNode, stopNode, httpRequest, diskImage, getPath, readFile, writeFile, makeFiles, readFiles, compareFiles, getRandomData};
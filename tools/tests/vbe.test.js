@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Tests for the SVGA video model and its VBE 1.2 option ROM
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+var machinelib = require("./machinelib");
+
+/*
+ * Every program is loaded at 0:7C00 and ends by storing 0x1234 at 0:7000 (which is where results are stored, too).
+ */
+var abDone = [
+    0xC7, 0x06, 0x00, 0x70, 0x34, 0x12,     // mov word [7000h],1234h
+    0xEB, 0xFE                              // jmp $
+];
+
+var abInfo = [
+    0x31, 0xC0,                             // xor ax,ax
+    0x8E, 0xD8,                             // mov ds,ax
+    0x8E, 0xC0,                             // mov es,ax
+    0xB8, 0x00, 0x4F,                       // mov ax,4F00h
+    0xBF, 0x00, 0x80,                       // mov di,8000h
+    0xCD, 0x10,                             // int 10h
+    0xA3, 0x02, 0x70,                       // mov [7002h],ax
+    0xB8, 0x01, 0x4F,                       // mov ax,4F01h
+    0xB9, 0x01, 0x01,                       // mov cx,101h
+    0xBF, 0x00, 0x82,                       // mov di,8200h
+    0xCD, 0x10,                             // int 10h
+    0xA3, 0x04, 0x70,                       // mov [7004h],ax
+    0xB8, 0x01, 0x4F,                       // mov ax,4F01h
+    0xB9, 0x00, 0x01,                       // mov cx,100h (not supported)
+    0xBF, 0x00, 0x84,                       // mov di,8400h
+    0xCD, 0x10,                             // int 10h
+    0xA3, 0x06, 0x70                        // mov [7006h],ax
+].concat(abDone);
+
+var abSetMode = [
+    0x31, 0xC0,                             // xor ax,ax
+    0x8E, 0xD8,                             // mov ds,ax
+    0xB8, 0x02, 0x4F,                       // mov ax,4F02h
+    0xBB, 0x01, 0x01,                       // mov bx,101h
+    0xCD, 0x10,                             // int 10h
+    0xA3, 0x02, 0x70,                       // mov [7002h],ax
+    0xB8, 0x03, 0x4F,                       // mov ax,4F03h
+    0xCD, 0x10,                             // int 10h
+    0xA3, 0x04, 0x70,                       // mov [7004h],ax
+    0x89, 0x1E, 0x06, 0x70,                 // mov [7006h],bx
+    0xB8, 0x05, 0x4F,                       // mov ax,4F05h
+    0x31, 0xDB,                             // xor bx,bx
+    0xBA, 0x01, 0x00,                       // mov dx,1
+    0xCD, 0x10,                             // int 10h
+    0xA3, 0x08, 0x70,                       // mov [7008h],ax
+    0xB8, 0x00, 0xA0,                       // mov ax,0A000h
+    0x8E, 0xC0,                             // mov es,ax
+    0x26, 0xC6, 0x06, 0x34, 0x12, 0x2A,     // mov byte [es:1234h],2Ah
+    0xB8, 0x05, 0x4F,                       // mov ax,4F05h
+    0xBB, 0x00, 0x01,                       // mov bx,100h
+    0xCD, 0x10,                             // int 10h
+    0xA3, 0x0A, 0x70,                       // mov [700Ah],ax
+    0x89, 0x16, 0x0C, 0x70,                 // mov [700Ch],dx
+    0xB8, 0x05, 0x4F,                       // mov ax,4F05h
+    0x31, 0xDB,                             // xor bx,bx
+    0x31, 0xD2,                             // xor dx,dx
+    0xCD, 0x10,                             // int 10h
+    0x26, 0xA0, 0x34, 0x12,                 // mov al,[es:1234h]
+    0xA2, 0x0E, 0x70,                       // mov [700Eh],al
+    0xB8, 0x05, 0x4F,                       // mov ax,4F05h
+    0x31, 0xDB,                             // xor bx,bx
+    0xBA, 0x10, 0x00,                       // mov dx,10h (beyond the end of video memory)
+    0xCD, 0x10,                             // int 10h
+    0xA3, 0x10, 0x70                        // mov [7010h],ax
+].concat(abDone);
+
+var abTextMode = [
+    0x31, 0xC0,                             // xor ax,ax
+    0x8E, 0xD8,                             // mov ds,ax
+    0xB8, 0x03, 0x00,                       // mov ax,0003h
+    0xCD, 0x10,                             // int 10h
+    0xB8, 0x03, 0x4F,                       // mov ax,4F03h
+    0xCD, 0x10,                             // int 10h
+    0xA3, 0x02, 0x70,                       // mov [7002h],ax
+    0x89, 0x1E, 0x04, 0x70                  // mov [7004h],bx
+].concat(abDone);
+
+var abLimited = [
+    0x31, 0xC0,                             // xor ax,ax
+    0x8E, 0xD8,                             // mov ds,ax
+    0x8E, 0xC0,                             // mov es,ax
+    0xB8, 0x01, 0x4F,                       // mov ax,4F01h
+    0xB9, 0x05, 0x01,                       // mov cx,105h
+    0xBF, 0x00, 0x82,                       // mov di,8200h
+    0xCD, 0x10,                             // int 10h
+    0xA3, 0x02, 0x70,                       // mov [7002h],ax
+    0xB8, 0x02, 0x4F,                       // mov ax,4F02h
+    0xBB, 0x05, 0x01,                       // mov bx,105h
+    0xCD, 0x10,                             // int 10h
+    0xA3, 0x04, 0x70,                       // mov [7004h],ax
+    0xB8, 0x00, 0x4F,                       // mov ax,4F00h
+    0xBF, 0x00, 0x80,                       // mov di,8000h
+    0xCD, 0x10,                             // int 10h
+    0xA1, 0x12, 0x80,                       // mov ax,[8012h]
+    0xA3, 0x06, 0x70                        // mov [7006h],ax
+].concat(abDone);
+
+/**
+ * runPrograms(aPrograms, sMemory)
+ *
+ * Runs an IBM PC AT with an SVGA card until its ROM BIOS has initialized the VBE option ROM, and then runs each
+ * program in turn.
+ *
+ * @param {Array.<Array.<number>>} aPrograms
+ * @param {string} [sMemory] (amount of video memory, if not the SVGA default)
+ * @returns {Object} (with the INT 10h vector, the ROM's OEM string and mode list (abROM), and results for each program,
+ * including the 64 bytes at 0:7000, the 1.5Kb at 0:8000 where VBE information is stored, and the frame buffer byte at 0x11234)
+ */
+function runPrograms(aPrograms, sMemory)
+{
+    let machine = {
+        "machine": {"id": "ibm5170"},
+        "computer": {"id": "at-svga", "name": "IBM PC AT", "buswidth": 24, "resume": "1", "state": ""},
+        "ram": [{"id": "ramLow", "addr": "0x00000", "size": "0xa0000", "test": false}],
+        "rom": [
+            {"id": "romBIOS", "addr": "0xf0000", "size": "0x10000", "alias": 0xff0000, "file": "/machines/pcx86/ibm/5170/rom/bios/1985-11-15/ATBIOS-REV3.json"},
+            {"id": "romVGA", "addr": "0xc0000", "size": "0x6000", "file": "/machines/pcx86/ibm/video/vga/1986-10-27/IBM-VGA.json", "notify": "videoVGA[0x378d,0x3f8d,0x4eba]"}
+        ],
+        "video": [{"id": "videoVGA", "name": "SVGA", "model": "svga", "screenWidth": 1024, "screenHeight": 768}],
+        "cpu": {"id": "cpu286", "model": 80286, "clock": 0, "multiplier": 1, "autoStart": true},
+        "keyboard": {"id": "keyboard", "model": ""},
+        "fdc": {"id": "fdcNEC"},
+        "chipset": {"id": "chipset", "model": "5170", "floppies": "[1440,1200]"},
+        "debugger": {"id": "debugger", "messages": ""}
+    };
+    if (sMemory) machine['video'][0]['memory'] = sMemory;
+    return machinelib.runMachine(machine, function(getObject, args) {
+        let cpu = getObject("cpu"), video = getObject("video");
+        let result = {aResults: []};
+        let wait = function(fnDone, sError) {
+            cpu.startCPU();
+            return new Promise(function(resolve, reject) {
+                let nChecks = 0;
+                let timer = setInterval(function() {
+                    if (fnDone() || ++nChecks > 200) {
+                        clearInterval(timer);
+                        cpu.stopCPU();
+                        if (nChecks > 200) reject(new Error(sError)); else resolve();
+                    }
+                }, 50);
+            });
+        };
+        let runProgram = function(ab) {
+            for (let i = 0; i < 64; i++) cpu.setByte(0x7000 + i, 0);
+            for (let i = 0; i < ab.length; i++) cpu.setByte(0x7C00 + i, ab[i]);
+            cpu.setCSIP(0x7C00, 0x0000);
+            cpu.setSS(0);
+            cpu.setSP(0x6000);
+            cpu.setPS(0x0202);
+            return wait(function() { return cpu.getShort(0x7000) == 0x1234; }, "program never finished").then(function() {
+                let card = video.cardEGA, abResult = [], abVBE = [];
+                for (let i = 0; i < 64; i++) abResult.push(cpu.getByte(0x7000 + i));
+                for (let i = 0; i < 0x600; i++) abVBE.push(cpu.getByte(0x8000 + i));
+                result.aResults.push({
+                    ab: abResult,
+                    abVBE: abVBE,
+                    nMode: video.nMode,
+                    nVBEMode: card.nVBEMode,
+                    cbVBELine: card.cbVBELine,
+                    bVideo: (card.adwMemory[0x11234 >> 2] >>> ((0x11234 & 3) << 3)) & 0xff,
+                    bModeBIOS: cpu.getByte(0x449)
+                });
+            });
+        };
+        /*
+         * Once the VBE option ROM has hooked INT 10h, we give POST a little more time to finish its initialization.
+         */
+        let nDelay = 0;
+        return wait(function() { return cpu.getShort(0x42) == 0xCA00 && ++nDelay > 10; }, "INT 10h was never hooked").then(function() {
+            result.int10 = (cpu.getShort(0x40) | (cpu.getShort(0x42) << 16)) >>> 0;
+            result.abROM = [];
+            for (let i = 0; i < 0x40; i++) result.abROM.push(cpu.getByte(0xCA040 + i));
+            return args.aPrograms.reduce(function(promise, ab) {
+                return promise.then(function() { return runProgram(ab); });
+            }, Promise.resolve());
+        }).then(function() {
+            return result;
+        });
+    }, {aPrograms: aPrograms});
+}
+
+/**
+ * getShort(ab, off)
+ *
+ * @param {Array.<number>} ab
+ * @param {number} off
+ * @returns {number}
+ */
+function getShort(ab, off)
+{
+    return ab[off] | (ab[off + 1] << 8);
+}
+
+/**
+ * getString(ab, off, len)
+ *
+ * @param {Array.<number>} ab
+ * @param {number} off
+ * @param {number} len
+ * @returns {string}
+ */
+function getString(ab, off, len)
+{
+    return String.fromCharCode.apply(null, ab.slice(off, off + len));
+}
+
+/**
+ * getModes(ab, off)
+ *
+ * @param {Array.<number>} ab
+ * @param {number} off (of the mode list)
+ * @returns {Array.<number>} (the mode list, up to and including its 0xFFFF terminator)
+ */
+function getModes(abROM, off)
+{
+    let aModes = [], nMode;
+    do {
+        nMode = getShort(abROM, off);
+        aModes.push(nMode);
+        off += 2;
+    } while (nMode != 0xFFFF && aModes.length < 16);
+    return aModes;
+}
+
+testlib.test("the VBE option ROM hooks INT 10h and describes the controller and its modes", function() {
+    let result = runPrograms([abInfo]);
+    assert.strictEqual(result.int10, 0xCA000011, "INT 10h should point to the VBE option ROM");
+    let ab = result.aResults[0].ab, abVBE = result.aResults[0].abVBE;
+    assert.deepStrictEqual(ab.slice(0, 2), [0x34, 0x12], "program didn't finish");
+    assert.deepStrictEqual([getShort(ab, 2), getShort(ab, 4), getShort(ab, 6)], [0x004F, 0x004F, 0x014F]);
+    assert.strictEqual(getString(abVBE, 0, 4), "VESA");
+    assert.strictEqual(getShort(abVBE, 4), 0x0102, "VBE version");
+    assert.strictEqual(getShort(abVBE, 0x12), 16, "expected 1Mb of video memory");
+    assert.deepStrictEqual([getShort(abVBE, 0x06), getShort(abVBE, 0x08)], [0x40, 0xCA00], "OEM string pointer");
+    assert.deepStrictEqual([getShort(abVBE, 0x0E), getShort(abVBE, 0x10)], [0x50, 0xCA00], "mode list pointer");
+    assert.strictEqual(getString(result.abROM, 0, 9), "PCjs SVGA");
+    assert.deepStrictEqual(getModes(result.abROM, 0x10), [0x101, 0x103, 0x105, 0xFFFF]);
+    let abMode = abVBE.slice(0x200);
+    assert.strictEqual(getShort(abMode, 0x00), 0x001B, "mode attributes");
+    assert.strictEqual(abMode[0x02], 0x07, "window A attributes");
+    assert.deepStrictEqual([getShort(abMode, 0x04), getShort(abMode, 0x06), getShort(abMode, 0x08)], [64, 64, 0xA000], "window granularity, size, and segment");
+    assert.deepStrictEqual([getShort(abMode, 0x10), getShort(abMode, 0x12), getShort(abMode, 0x14)], [640, 640, 480], "scan line size and resolution");
+    assert.deepStrictEqual([abMode[0x19], abMode[0x1B]], [8, 4], "bits per pixel and memory model");
+});
+
+testlib.test("4F02h sets VBE modes, 4F05h selects the bank visible at A000:0000, and BIOS mode sets end VBE modes", function() {
+    let result = runPrograms([abSetMode, abTextMode]);
+    let ab = result.aResults[0].ab;
+    assert.deepStrictEqual(ab.slice(0, 2), [0x34, 0x12], "program didn't finish");
+    assert.strictEqual(getShort(ab, 2), 0x004F, "set mode");
+    assert.deepStrictEqual([getShort(ab, 4), getShort(ab, 6)], [0x004F, 0x101], "get mode");
+    assert.strictEqual(getShort(ab, 8), 0x004F, "set bank");
+    assert.deepStrictEqual([getShort(ab, 0x0A), getShort(ab, 0x0C)], [0x004F, 1], "get bank");
+    assert.strictEqual(ab[0x0E], 0, "the write to bank 1 should not be visible in bank 0");
+    assert.strictEqual(getShort(ab, 0x10), 0x014F, "banks beyond the end of video memory should be rejected");
+    let res = result.aResults[0];
+    assert.deepStrictEqual([res.nMode, res.nVBEMode, res.cbVBELine, res.bModeBIOS], [0x17, 0x101, 640, 0x13]);
+    assert.strictEqual(res.bVideo, 0x2A, "the write to bank 1 should be at offset 0x11234 of the frame buffer");
+    ab = result.aResults[1].ab;
+    assert.deepStrictEqual(ab.slice(0, 2), [0x34, 0x12], "program didn't finish");
+    assert.deepStrictEqual([getShort(ab, 2), getShort(ab, 4)], [0x004F, 0x0003], "get mode after a BIOS mode set");
+    res = result.aResults[1];
+    assert.deepStrictEqual([res.nMode, res.nVBEMode, res.bModeBIOS], [0x03, 0, 0x03]);
+});
+
+testlib.test("modes that don't fit in video memory aren't listed or supported", function() {
+    let result = runPrograms([abLimited], "0x80000");
+    let ab = result.aResults[0].ab;
+    assert.deepStrictEqual(ab.slice(0, 2), [0x34, 0x12], "program didn't finish");
+    assert.deepStrictEqual(getModes(result.abROM, 0x10), [0x101, 0x103, 0xFFFF]);
+    assert.deepStrictEqual([getShort(ab, 2), getShort(ab, 4), getShort(ab, 6)], [0x014F, 0x014F, 8]);
+    assert.strictEqual(result.aResults[0].nVBEMode, 0);
+});
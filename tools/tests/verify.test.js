@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Tests for checking and repairing disk images (--verify and --repair)
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+
+var files = {
+    "A.TXT": "a\r\n",
+    "B.BIN": testlib.getRandomData(3000)
+};
+
+/*
+ * Layout of a 160Kb diskette: a boot sector, two 1-sector FATs, a 4-sector root directory, and 1-sector clusters.
+ */
+var offFAT1 = 1 * 512, offFAT2 = 2 * 512, offRoot = 3 * 512;
+
+/**
+ * setFAT12(abDisk, offFAT, iCluster, value)
+ *
+ * @param {Buffer} abDisk
+ * @param {number} offFAT
+ * @param {number} iCluster
+ * @param {number} value
+ */
+function setFAT12(abDisk, offFAT, iCluster, value)
+{
+    let off = offFAT + ((iCluster * 3) >> 1);
+    let w = abDisk.readUInt16LE(off);
+    w = (iCluster & 1)? ((w & 0x000F) | (value << 4)) : ((w & 0xF000) | value);
+    abDisk.writeUInt16LE(w, off);
+}
+
+/**
+ * verify(sDisk, fRepair)
+ *
+ * @param {string} sDisk
+ * @param {boolean} [fRepair]
+ * @returns {Array.<Object>} (problems reported)
+ */
+function verify(sDisk, fRepair)
+{
+    let output = testlib.diskImage([sDisk, fRepair? "--repair" : "--verify", "--json"]);
+    return JSON.parse(output.slice(output.indexOf("{"), output.lastIndexOf("}") + 1)).problems;
+}
+
+testlib.test("--verify finds no problems on a new disk", function() {
+    let sDir = testlib.makeFiles("verify", files);
+    testlib.diskImage([sDir, "verify.img"]);
+    let output = testlib.diskImage(["verify.img", "--verify"]);
+    assert.match(output, /verify: no problems found/);
+    assert.deepStrictEqual(verify("verify.img"), []);
+});
+
+testlib.test("--verify finds mismatched FATs, lost chains, and bad sizes, and --repair fixes them", function() {
+    let abDisk = testlib.readFile("verify.img");
+    let offEntry = abDisk.indexOf("B       BIN", offRoot, "latin1");
+    assert.ok(offEntry > 0, "missing B.BIN");
+    abDisk.writeUInt32LE(1000, offEntry + 0x1C);           // B.BIN's size no longer matches its chain
+    setFAT12(abDisk, offFAT1, 100, 0xFFF);                  // cluster 100 is now a lost chain
+    setFAT12(abDisk, offFAT2, 100, 0xFFF);
+    abDisk[offFAT2 + 300] ^= 0x55;                          // the FAT copy no longer matches the first FAT
+    testlib.writeFile("broken.img", abDisk);
+
+    let aTypes = verify("broken.img").map((problem) => problem.type).sort();
+    assert.deepStrictEqual(aTypes, ["fatcopy", "lost", "size"]);
+    assert.ok(testlib.readFile("broken.img").equals(abDisk), "--verify modified the disk");
+
+    let aProblems = verify("broken.img", true);
+    assert.ok(aProblems.length >= 3 && aProblems.every((problem) => problem.repaired), "not every problem was repaired");
+    assert.deepStrictEqual(verify("broken.img"), []);
+    let output = testlib.diskImage(["broken.img", "--list"]);
+    assert.match(output, /B\s+BIN\s+1000/);
+    assert.match(output, /FILE0000 CHK\s+512/);
+    let cbFree = +testlib.diskImage(["verify.img", "--list"]).match(/(\d+) bytes free/)[1];
+    assert.match(output, new RegExp((cbFree + (4 - 1) * 512) + " bytes free"));          // B.BIN freed 4 clusters, and FILE0000.CHK kept 1
+});
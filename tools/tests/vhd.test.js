@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Tests for fixed and dynamic VHD images
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+
+var files = {
+    "HELLO.TXT": "hello\r\n",
+    "DATA.BIN": testlib.getRandomData(20000)
+};
+
+/**
+ * checkFooter(abDisk, off, type)
+ *
+ * Asserts that a VHD footer has the expected signature, disk type, and checksum.
+ *
+ * @param {Buffer} abDisk
+ * @param {number} off
+ * @param {number} type (2 for fixed, 3 for dynamic)
+ */
+function checkFooter(abDisk, off, type)
+{
+    assert.strictEqual(abDisk.toString("ascii", off, off + 8), "conectix");
+    assert.strictEqual(abDisk.readUInt32BE(off + 0x3C), type, "unexpected disk type");
+    let sum = 0;
+    for (let i = 0; i < 512; i++) {
+        if (i < 0x40 || i >= 0x44) sum += abDisk[off + i];
+    }
+    assert.strictEqual(abDisk.readUInt32BE(off + 0x40), ~sum >>> 0, "footer checksum is wrong");
+}
+
+testlib.test("fixed VHD images round-trip through --list and --extract", function() {
+    let sDir = testlib.makeFiles("vhd", files);
+    testlib.diskImage([sDir, "vhd.img", "--target=10000"]);
+    testlib.diskImage([sDir, "vhd.vhd", "--target=10000"]);
+    let abDisk = testlib.readFile("vhd.img");
+    let abVHD = testlib.readFile("vhd.vhd");
+    assert.strictEqual(abVHD.length, abDisk.length + 512);
+    assert.ok(abVHD.slice(0, abDisk.length).equals(abDisk), "fixed VHD data doesn't match the raw image");
+    checkFooter(abVHD, abDisk.length, 2);
+    let output = testlib.diskImage(["vhd.vhd", "--list"]);
+    assert.match(output, /HELLO\s+TXT\s+7/);
+    assert.match(output, /DATA\s+BIN\s+20000/);
+    testlib.removeDir(testlib.getPath("vhd"));
+    testlib.diskImage(["vhd.vhd", "--extract"]);
+    testlib.compareFiles("vhd", files);
+    testlib.diskImage(["vhd.vhd", "vhd2.img"]);
+    assert.ok(testlib.readFile("vhd2.img").equals(abDisk), "fixed VHD image doesn't convert back to the original image");
+});
+
+testlib.test("dynamic VHD images convert to the original image", function() {
+    testlib.diskImage(["vhd.img", "dynamic.vhd", "--dynamic"]);
+    let abDisk = testlib.readFile("vhd.img");
+    let abVHD = testlib.readFile("dynamic.vhd");
+    assert.ok(abVHD.length < abDisk.length / 2, "dynamic VHD image isn't sparse");
+    checkFooter(abVHD, 0, 3);
+    checkFooter(abVHD, abVHD.length - 512, 3);
+    assert.strictEqual(abVHD.toString("ascii", 512, 520), "cxsparse");
+    testlib.diskImage(["dynamic.vhd", "dynamic.img"]);
+    assert.ok(testlib.readFile("dynamic.img").equals(abDisk), "dynamic VHD image doesn't convert back to the original image");
+});
+
+testlib.test("--disk= reads a dynamic VHD image", function() {
+    let output = testlib.diskImage(["--disk=dynamic.vhd", "--list"]);
+    assert.match(output, /HELLO\s+TXT\s+7/);
+    assert.match(output, /DATA\s+BIN\s+20000/);
+});
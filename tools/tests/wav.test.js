@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Tests for capturing the PC speaker's output to WAV files in the PCx86 CLI (--wav)
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var fs = require("fs");
+var testlib = require("./testlib");
+var machinelib = require("./machinelib");
+
+/*
+ * A program that plays a 1000hz tone (PIT timer 2 in mode 3, with a count of 1193) for about 150ms, turns the
+ * speaker off, stores 0x1234 at 0:7000, and then loops forever.
+ */
+var abTone = [
+    0xFA,                       // cli
+    0x31, 0xC0,                 // xor ax,ax
+    0x8E, 0xD8,                 // mov ds,ax
+    0xB0, 0xB6,                 // mov al,0B6h (timer 2, LSB then MSB, mode 3)
+    0xE6, 0x43,                 // out 43h,al
+    0xB8, 0xA9, 0x04,           // mov ax,1193
+    0xE6, 0x42,                 // out 42h,al
+    0x88, 0xE0,                 // mov al,ah
+    0xE6, 0x42,                 // out 42h,al
+    0xE4, 0x61,                 // in al,61h
+    0x0C, 0x03,                 // or al,3 (timer 2 gate and speaker on)
+    0xE6, 0x61,                 // out 61h,al
+    0xB9, 0x10, 0xA4,           // mov cx,0A410h
+    0xE2, 0xFE,                 // loop $
+    0xE4, 0x61,                 // in al,61h
+    0x24, 0xFC,                 // and al,0FCh
+    0xE6, 0x61,                 // out 61h,al
+    0xC7, 0x06, 0x00, 0x70, 0x34, 0x12,     // mov word [7000h],1234h
+    0xEB, 0xFE                  // jmp $
+];
+
+/**
+ * runTone(asOptions, aCommands)
+ *
+ * Runs the tone program in a machine started with the given CLI options, performing the CLI commands in
+ * aCommands.before before starting the CPU, and those in aCommands.after once the program is done.
+ *
+ * @param {Array.<string>} asOptions
+ * @param {Object} [aCommands]
+ * @returns {Array.<*>} (the results of all the commands)
+ */
+function runTone(asOptions, aCommands = {})
+{
+    return machinelib.runMachine(machinelib.getMachine(), function(getObject, args, doCommand) {
+        let cpu = getObject("cpu");
+        args.abTone.forEach(function(b, i) { cpu.setByte(0x500 + i, b); });
+        cpu.setCSIP(0x0500, 0x0000);
+        let aResults = (args.before || []).map(doCommand);
+        cpu.startCPU();
+        return new Promise(function(resolve, reject) {
+            let nChecks = 0;
+            let timer = setInterval(function() {
+                if (cpu.getShort(0x7000) == 0x1234 || ++nChecks > 100) {
+                    clearInterval(timer);
+                    cpu.stopCPU();
+                    if (nChecks > 100) {
+                        reject(new Error("tone program never finished"));
+                        return;
+                    }
+                    resolve(aResults.concat((args.after || []).map(doCommand)));
+                }
+            }, 100);
+        });
+    }, {abTone: abTone, before: aCommands.before, after: aCommands.after}, asOptions);
+}
+
+/**
+ * readWAV(sFile)
+ *
+ * @param {string} sFile
+ * @returns {Object} (with the format fields of the WAV file, and its samples)
+ */
+function readWAV(sFile)
+{
+    let ab = testlib.readFile(sFile);
+    assert.strictEqual(ab.toString("ascii", 0, 4), "RIFF");
+    assert.strictEqual(ab.readUInt32LE(4), ab.length - 8);
+    assert.strictEqual(ab.toString("ascii", 8, 16), "WAVEfmt ");
+    assert.strictEqual(ab.toString("ascii", 36, 40), "data");
+    assert.strictEqual(ab.readUInt32LE(40), ab.length - 44);
+    let samples = [];
+    for (let off = 44; off < ab.length; off += 2) samples.push(ab.readInt16LE(off));
+    return {
+        wFormat: ab.readUInt16LE(20),
+        nChannels: ab.readUInt16LE(22),
+        nSampleRate: ab.readUInt32LE(24),
+        nBytesPerSecond: ab.readUInt32LE(28),
+        nBlockAlign: ab.readUInt16LE(32),
+        nBits: ab.readUInt16LE(34),
+        samples: samples
+    };
+}
+
+/**
+ * getFrequency(samples, nSampleRate)
+ *
+ * @param {Array.<number>} samples
+ * @param {number} nSampleRate
+ * @returns {number} (frequency of the samples, based on how often they cross zero)
+ */
+function getFrequency(samples, nSampleRate)
+{
+    let nCrossings = 0;
+    for (let i = 1; i < samples.length; i++) {
+        if ((samples[i - 1] < 0) != (samples[i] < 0)) nCrossings++;
+    }
+    return nCrossings / 2 / (samples.length / nSampleRate);
+}
+
+testlib.test("--wav captures the speaker's output and saves it when the CLI exits", function() {
+    runTone(["--wav=tone.wav"]);
+    let wav = readWAV("tone.wav");
+    assert.deepStrictEqual([wav.wFormat, wav.nChannels, wav.nSampleRate, wav.nBytesPerSecond, wav.nBlockAlign, wav.nBits], [1, 1, 44100, 88200, 2, 16]);
+    /*
+     * The loop runs 42000 times at 17 cycles per iteration, or about 150ms (6600 samples) of the tone.
+     */
+    let iLast = 0;
+    for (let i = 0; i < wav.samples.length; i++) {
+        if (Math.abs(wav.samples[i]) > 8000) iLast = i;
+    }
+    assert.ok(Math.abs(iLast - 6600) < 100, "expected the tone to end at about sample 6600, not " + iLast);
+    let freq = getFrequency(wav.samples.slice(100, 6500), 44100);
+    assert.ok(Math.abs(freq - 1000) < 10, "expected a frequency of about 1000hz, got " + freq.toFixed(1) + "hz");
+    assert.ok(wav.samples.slice(iLast + 2000).every(function(sample) { return Math.abs(sample) < 100; }), "speaker didn't go quiet");
+});
+
+testlib.test("the wav command starts, stops, and saves captures at other sample rates", function() {
+    let aResults = runTone([], {before: ["wav save none.wav", "wav start 8000"], after: ["wav stop", "wav stop", "wav save tone8k.wav"]});
+    assert.deepStrictEqual(aResults, [false, true, true, false, true]);
+    assert.ok(!fs.existsSync(testlib.getPath("none.wav")), "nothing should be saved before capture starts");
+    let wav = readWAV("tone8k.wav");
+    assert.deepStrictEqual([wav.nSampleRate, wav.nBytesPerSecond], [8000, 16000]);
+    let freq = getFrequency(wav.samples.slice(20, 1150), 8000);
+    assert.ok(Math.abs(freq - 1000) < 10, "expected a frequency of about 1000hz, got " + freq.toFixed(1) + "hz");
+});
+
+testlib.test("captures are driven by CPU cycles, so the same program produces the same samples", function() {
+    runTone(["--wav=tone2.wav"]);
+    let samples1 = readWAV("tone.wav").samples.slice(0, 6000);
+    let samples2 = readWAV("tone2.wav").samples.slice(0, 6000);
+    assert.deepStrictEqual(samples2, samples1);
+});
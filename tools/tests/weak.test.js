@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Tests for sectors with "weak" bits (dataVariants and dataWeak)
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var testlib = require("./testlib");
+var machinelib = require("./machinelib");
+
+/*
+ * A boot sector that reads sector 2 (which has a read variant) twice, into 0:8000 and 0:8200, and sector 3 (which
+ * has weak bits) twice, into 0:8400 and 0:8600, and then stores 0x1234 at 0:7000 and loops forever.
+ */
+var abBoot = [
+    0x31, 0xC0,                 // xor ax,ax
+    0x8E, 0xD8,                 // mov ds,ax
+    0x8E, 0xC0,                 // mov es,ax
+    0xBB, 0x00, 0x80,           // mov bx,8000h
+    0xB9, 0x02, 0x00,           // mov cx,0002h (cylinder 0, sector 2)
+    0xBE, 0x04, 0x00,           // mov si,4
+    0xB8, 0x01, 0x02,           // mov ax,0201h (read 1 sector)
+    0x31, 0xD2,                 // xor dx,dx (head 0, drive 0)
+    0xCD, 0x13,                 // int 13h
+    0x81, 0xC3, 0x00, 0x02,     // add bx,200h
+    0x83, 0xFE, 0x03,           // cmp si,3
+    0x75, 0x01,                 // jne $+3
+    0x41,                       // inc cx
+    0x4E,                       // dec si
+    0x75, 0xEC,                 // jnz (mov ax,0201h)
+    0xC7, 0x06, 0x00, 0x70, 0x34, 0x12,     // mov word [7000h],1234h
+    0xEB, 0xFE                  // jmp $
+];
+
+/**
+ * makeWeakDisk(sFile)
+ *
+ * @param {string} sFile (JSON disk image to create)
+ */
+function makeWeakDisk(sFile)
+{
+    let abDisk = Buffer.alloc(160 * 1024);
+    Buffer.from(abBoot).copy(abDisk);
+    abDisk.fill(0x11, 512, 1024);
+    abDisk.fill(0x22, 1024, 1536);
+    testlib.writeFile("weak.img", abDisk);
+    testlib.diskImage(["weak.img", "--output=" + sFile]);
+    let disk = JSON.parse(testlib.readFile(sFile).toString());
+    let aSectors = disk['diskData'][0][0];
+    aSectors[1]['dataVariants'] = [[0x33333333]];
+    aSectors[2]['dataWeak'] = [0x0000FFFF];
+    testlib.writeFile(sFile, JSON.stringify(disk));
+}
+
+testlib.test("weak-bit masks and read variants are preserved by disk image conversions", function() {
+    makeWeakDisk("weak.json");
+    testlib.diskImage(["weak.json", "--output=weak.psi"]);
+    assert.ok(testlib.readFile("weak.psi").indexOf("WEAK") > 0, "missing WEAK chunk");
+    testlib.diskImage(["weak.psi", "--output=weak2.json"]);
+    let aSectors = JSON.parse(testlib.readFile("weak2.json").toString())['diskData'][0][0];
+    assert.deepStrictEqual(aSectors[2]['dataWeak'], [0x0000FFFF]);
+    assert.strictEqual(aSectors[1]['dataVariants'], undefined, "PSI files have no read variants");
+    testlib.diskImage(["weak.json", "--output=weak3.json"]);
+    aSectors = JSON.parse(testlib.readFile("weak3.json").toString())['diskData'][0][0];
+    assert.deepStrictEqual(aSectors[1]['dataVariants'], [[0x33333333]]);
+});
+
+testlib.test("the FDC returns read variants and weak bits on successive reads", function() {
+    let machine = machinelib.getMachine();
+    machine['fdc']['autoMount'] = {"A": {"name": "Weak Bits", "path": machinelib.getMachinePath("weak.json")}};
+    let result = machinelib.runMachine(machine, function(getObject) {
+        let cpu = getObject("cpu");
+        cpu.startCPU();
+        return new Promise(function(resolve, reject) {
+            let nChecks = 0;
+            let timer = setInterval(function() {
+                if (cpu.getShort(0x7000) == 0x1234 || ++nChecks > 300) {
+                    clearInterval(timer);
+                    cpu.stopCPU();
+                    if (nChecks > 300) {
+                        reject(new Error("boot sector never finished"));
+                        return;
+                    }
+                    let aReads = [];
+                    for (let addr = 0x8000; addr < 0x8800; addr += 0x200) {
+                        let ab = [];
+                        for (let i = 0; i < 512; i++) ab.push(cpu.getByte(addr + i));
+                        aReads.push(ab);
+                    }
+                    resolve(aReads);
+                }
+            }, 100);
+        });
+    });
+    assert.deepStrictEqual(result[0], new Array(512).fill(0x11), "first read should return the sector's data");
+    assert.deepStrictEqual(result[1], new Array(512).fill(0x33), "second read should return the variant");
+    let cDiffs = 0;
+    for (let i = 0; i < 512; i++) {
+        if ((i & 3) >= 2) {
+            assert.strictEqual(result[2][i], 0x22, "unmasked bits changed");
+            assert.strictEqual(result[3][i], 0x22, "unmasked bits changed");
+        } else if (result[2][i] != result[3][i]) {
+            cDiffs++;
+        }
+    }
+    assert.ok(cDiffs > 128, "weak bits didn't change (" + cDiffs + " differences)");
+});
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Tests for building disk images from ZIP archives, and extracting disk images to ZIP archives
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var zlib = require("zlib");
+var testlib = require("./testlib");
+
+var files = {
+    "README.TXT": "readme\r\n".repeat(100),
+    "BIN/DATA.BIN": testlib.getRandomData(5000),
+    "BIN/EMPTY.DAT": ""
+};
+
+/**
+ * getCRC32(ab)
+ *
+ * @param {Buffer} ab
+ * @returns {number}
+ */
+function getCRC32(ab)
+{
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < ab.length; i++) {
+        crc ^= ab[i];
+        for (let j = 0; j < 8; j++) {
+            crc = (crc & 1)? ((crc >>> 1) ^ 0xEDB88320) : (crc >>> 1);
+        }
+    }
+    return ~crc >>> 0;
+}
+
+/**
+ * makeZip(entries)
+ *
+ * Builds a ZIP archive the way a typical archiver would, deflating every file that deflation makes smaller.
+ *
+ * @param {Object} entries (paths and contents; a path ending with a slash is a directory)
+ * @returns {Buffer}
+ */
+function makeZip(entries)
+{
+    let aLocal = [], aCentral = [], offLocal = 0, nEntries = 0;
+    let wTime = (12 << 11) | (34 << 5) | (56 >> 1), wDate = ((1990 - 1980) << 9) | (6 << 5) | 15;
+    for (let sPath in entries) {
+        let ab = Buffer.from(entries[sPath]);
+        let abDeflated = zlib.deflateRawSync(ab);
+        let method = abDeflated.length < ab.length? 8 : 0;
+        let abData = method? abDeflated : ab;
+        let abName = Buffer.from(sPath, "latin1");
+        let header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(method, 8);
+        header.writeUInt16LE(wTime, 10);
+        header.writeUInt16LE(wDate, 12);
+        header.writeUInt32LE(getCRC32(ab), 14);
+        header.writeUInt32LE(abData.length, 18);
+        header.writeUInt32LE(ab.length, 22);
+        header.writeUInt16LE(abName.length, 26);
+        let central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        header.copy(central, 8, 6, 30);
+        central.writeUInt32LE(sPath.endsWith('/')? 0x10 : 0x20, 38);
+        central.writeUInt32LE(offLocal, 42);
+        aLocal.push(header, abName, abData);
+        aCentral.push(central, abName);
+        offLocal += header.length + abName.length + abData.length;
+        nEntries++;
+    }
+    let abCentral = Buffer.concat(aCentral);
+    let end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(nEntries, 8);
+    end.writeUInt16LE(nEntries, 10);
+    end.writeUInt32LE(abCentral.length, 12);
+    end.writeUInt32LE(offLocal, 16);
+    return Buffer.concat(aLocal.concat([abCentral, end]));
+}
+
+testlib.test("disk images can be built from ZIP archives with stored and deflated entries", function() {
+    testlib.writeFile("zip.zip", makeZip(Object.assign({"BIN/": ""}, files)));
+    testlib.diskImage(["--dir=zip.zip", "--output=zip.img"]);
+    let output = testlib.diskImage(["zip.img", "--list"]);
+    assert.match(output, /Volume in drive A is ZIP/);
+    assert.match(output, /README\s+TXT\s+800\s+6-15-90\s+12:34p/);
+    assert.match(output, /DATA\s+BIN\s+5000/);
+    testlib.diskImage(["zip.img", "--extract"]);
+    testlib.compareFiles("zip", files);
+});
+
+testlib.test("disk images round-trip through --extract=ZIP", function() {
+    let output = testlib.diskImage(["zip.img", "--extract=zip2.zip"]);
+    assert.match(output, /extracted to zip2\.zip/);
+    let abZip = testlib.readFile("zip2.zip");
+    assert.strictEqual(abZip.readUInt32LE(0), 0x04034b50);
+    let offEnd = abZip.length - 22;
+    assert.strictEqual(abZip.readUInt32LE(offEnd), 0x06054b50);
+    assert.strictEqual(abZip.readUInt16LE(offEnd + 10), 4, "wrong number of ZIP entries");
+    testlib.diskImage(["--dir=zip2.zip", "--output=zip2.img", "--label=ZIP"]);
+    output = testlib.diskImage(["zip.img", "--diff=zip2.img"]);
+    assert.match(output, /0 file\(s\) removed, 0 added, 0 changed/);
+    testlib.diskImage(["zip2.img", "--extract"]);
+    testlib.compareFiles("zip2", files);
+});